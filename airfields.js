@@ -0,0 +1,212 @@
+// ============================================================================
+// AIRFIELDS - SORTIE ROSTERS, LAUNCH TRIGGERS, DEPARTURE AND RECOVERY
+// ============================================================================
+// An Airfield geo-point launches aircraft when it is given an `airfield` object:
+//   { roster: [sortie, ...], nextSortieId }
+// A sortie is one flight of aircraft:
+//   { id, platform, name, count, trigger: 'time' | 'scramble', time (s), range (NM),
+//     heading (runway), altitude (ft), speed (kts), stationId, endurance (min), tactics,
+//     launched, recovered }
+//   time     - launches at `time` mission seconds
+//   scramble - launches when an opposing aircraft comes within `range` of the field
+//              (hostile fields scramble on friendlies and the ownship, friendly fields
+//              on hostiles), heading straight for it
+// Aircraft take the field's identity, fly to the `stationId` geo-point (orbiting it)
+// if one is set, and carry the hostile tactics AI when `tactics` is on.
+//
+// Each launched aircraft carries `asset.recovery`:
+//   { airfieldId, sortieId, lat, lon, runwayHeading, missionHeading, cruiseAltitude,
+//     fuel (s), phase: 'departure' | 'mission' | 'rtb' | 'landed', reason }
+// updateRecovery runs after tactics every physics tick. Departure holds runway heading
+// to 1,500 ft and climbs at 6,000 ft/min to cruise. At bingo (endurance used up) or
+// when the tactics AI goes cold (bingo or winchester), the aircraft drops its route,
+// flies home down a 300 ft/NM glide path, slows to approach speed inside 10 NM and
+// lands within 1 NM of the field.
+//
+// SimulationCore.stepSimulation (the physics tick of the simulation worker, the UI-thread
+// loop in app.js and headless runs) runs updateRecovery every substep and checkAirfields
+// once per tick; launches are reported as events and the UI creates the aircraft.
+//
+// Browser: loaded as a plain <script> after simulation-core.js, exposes window.Airfields
+// Node:    const Airfields = require('./airfields.js');
+
+(function (root, factory) {
+    const airfields = typeof module !== 'undefined' && module.exports
+        ? factory(require('./simulation-core.js'))
+        : factory(root.SimulationCore);
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = airfields;
+    } else {
+        root.Airfields = airfields;
+    }
+})(typeof self !== 'undefined' ? self : this, function (SimulationCore) {
+
+    const { calculateBearing, calculateDistance } = SimulationCore;
+
+    const TAKEOFF_SPEED = 150;           // Knots at liftoff
+    const DEPARTURE_CLIMB = 100;         // Feet per second (6,000 ft/min)
+    const DEPARTURE_TURN_ALTITUDE = 1500; // Feet - runway heading held below this
+    const GLIDE_PATH = 300;              // Feet of altitude per NM from the field (~3°)
+    const APPROACH_RANGE = 10;           // NM - slow to approach speed inside this
+    const APPROACH_SPEED = 150;          // Knots
+    const LANDING_RANGE = 1;             // NM
+    const LANDING_ALTITUDE = 1000;       // Feet
+
+    const SORTIE_TRIGGERS = {
+        time: 'Scheduled',
+        scramble: 'Scramble'
+    };
+
+    // New sortie with the roster editor's defaults
+    function createSortie(id, platformName) {
+        return {
+            id,
+            platform: platformName,
+            name: '',
+            count: 2,
+            trigger: 'time',
+            time: 0,
+            range: 60,
+            heading: 0,
+            altitude: 25000,
+            speed: 450,
+            stationId: null,
+            endurance: 60,
+            tactics: true,
+            launched: false,
+            recovered: 0
+        };
+    }
+
+    function isAirfield(geoPoint) {
+        return !!(geoPoint && geoPoint.type === 'airfield' && geoPoint.airfield && Array.isArray(geoPoint.airfield.roster));
+    }
+
+    // Whether an asset is one the field scrambles against
+    function isOpposing(geoPoint, asset) {
+        if (asset.domain !== 'air' || asset.hidden) return false;
+        const friendly = asset.type === 'ownship' || asset.identity === 'friendly';
+        if (geoPoint.identity === 'hostile') return friendly;
+        if (geoPoint.identity === 'friendly') return asset.identity === 'hostile';
+        return false;
+    }
+
+    // Sorties due to launch. Returns events of type 'airfieldLaunch':
+    //   { geoPointId, sortieId, threatId (scramble only), missionTime }
+    function checkAirfields(geoPoints, assets, missionTime) {
+        const events = [];
+
+        (geoPoints || []).filter(isAirfield).forEach(geoPoint => {
+            geoPoint.airfield.roster.forEach(sortie => {
+                if (sortie.launched || !sortie.platform) return;
+
+                if (sortie.trigger === 'time') {
+                    if (missionTime >= sortie.time) {
+                        events.push({ type: 'airfieldLaunch', geoPointId: geoPoint.id, sortieId: sortie.id, threatId: null, missionTime });
+                    }
+                } else if (sortie.trigger === 'scramble') {
+                    const threat = assets
+                        .filter(asset => isOpposing(geoPoint, asset))
+                        .map(asset => ({ asset, range: calculateDistance(geoPoint.lat, geoPoint.lon, asset.lat, asset.lon) }))
+                        .filter(entry => entry.range <= sortie.range)
+                        .sort((a, b) => a.range - b.range)[0];
+                    if (threat) {
+                        events.push({ type: 'airfieldLaunch', geoPointId: geoPoint.id, sortieId: sortie.id, threatId: threat.asset.id, missionTime });
+                    }
+                }
+            });
+        });
+
+        return events;
+    }
+
+    // Recovery state for one aircraft of a sortie; missionHeading is where it turns after departure
+    function createRecovery(geoPoint, sortie, missionHeading) {
+        return {
+            airfieldId: geoPoint.id,
+            sortieId: sortie.id,
+            lat: geoPoint.lat,
+            lon: geoPoint.lon,
+            runwayHeading: sortie.heading,
+            missionHeading,
+            cruiseAltitude: sortie.altitude,
+            fuel: sortie.endurance * 60,
+            phase: 'departure',
+            reason: null
+        };
+    }
+
+    // Departure climb, bingo/winchester RTB, approach and landing for airfield-launched aircraft.
+    // context: { geoPoints } - the home field is looked up so a moved field is flown to
+    // Returns { asset, events } with radio events for friendly RTB calls and
+    // 'airfieldRecovery' { assetId, assetName, geoPointId, sortieId } on landing.
+    function updateRecovery(asset, deltaTime, context) {
+        if (!asset.recovery || asset.recovery.phase === 'landed') return { asset, events: [] };
+
+        const recovery = { ...asset.recovery, fuel: Math.max(0, asset.recovery.fuel - deltaTime) };
+        const updated = { ...asset, recovery };
+        const events = [];
+        const field = (context.geoPoints || []).find(gp => gp.id === recovery.airfieldId) || recovery;
+        const tactics = asset.tacticsState;
+        const defending = !!tactics && tactics.phase === 'defend';
+        const assetName = asset.name || `Asset ${asset.id}`;
+
+        if (recovery.phase !== 'rtb' && (recovery.fuel <= 0 || (tactics && tactics.phase === 'cold'))) {
+            recovery.phase = 'rtb';
+            recovery.reason = recovery.fuel > 0 && tactics && tactics.missiles <= 0 ? 'winchester' : 'bingo';
+            updated.waypoints = [];
+            updated.isOrbiting = false;
+            updated.behaviorInterceptTargetId = null;
+            if (asset.identity === 'friendly') {
+                events.push({ type: 'radio', sender: assetName, message: `${assetName}, ${recovery.reason}, RTB` });
+            }
+        }
+
+        if (recovery.phase === 'departure' && !defending) {
+            if (asset.altitude < DEPARTURE_TURN_ALTITUDE) {
+                updated.targetHeading = recovery.runwayHeading;
+            } else if (recovery.missionHeading !== null) {
+                updated.targetHeading = recovery.missionHeading;
+                recovery.missionHeading = null;
+            }
+            updated.targetAltitude = Math.min(recovery.cruiseAltitude, asset.altitude + DEPARTURE_CLIMB * deltaTime);
+            if (asset.altitude >= recovery.cruiseAltitude) recovery.phase = 'mission';
+        } else if (recovery.phase === 'rtb' && !defending) {
+            const distance = calculateDistance(asset.lat, asset.lon, field.lat, field.lon);
+            updated.targetHeading = calculateBearing(asset.lat, asset.lon, field.lat, field.lon);
+
+            // Descend onto the glide path, never climb to it
+            const glideAltitude = distance * GLIDE_PATH;
+            if (glideAltitude < asset.altitude) updated.targetAltitude = glideAltitude;
+            if (distance <= APPROACH_RANGE && asset.speed > APPROACH_SPEED) updated.targetSpeed = APPROACH_SPEED;
+
+            if (distance <= LANDING_RANGE && asset.altitude <= LANDING_ALTITUDE) {
+                recovery.phase = 'landed';
+                updated.speed = 0;
+                updated.altitude = 0;
+                updated.targetSpeed = null;
+                updated.targetAltitude = null;
+                updated.targetHeading = null;
+                events.push({
+                    type: 'airfieldRecovery',
+                    assetId: asset.id,
+                    assetName,
+                    geoPointId: recovery.airfieldId,
+                    sortieId: recovery.sortieId
+                });
+            }
+        }
+
+        return { asset: updated, events };
+    }
+
+    return {
+        TAKEOFF_SPEED,
+        SORTIE_TRIGGERS,
+        createSortie,
+        isAirfield,
+        checkAirfields,
+        createRecovery,
+        updateRecovery
+    };
+});
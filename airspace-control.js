@@ -0,0 +1,271 @@
+// ============================================================================
+// AIRSPACE CONTROL - CONTROL MEASURES, RULES AND VIOLATION DETECTION
+// ============================================================================
+// Any area shape can be made an airspace control measure (ACM) by giving it an
+// `acm` object:
+//   { type: 'roz' | 'mez' | 'fez' | 'noFly' | 'rtf', rules: [rule, ...] }
+// The shape's label is the ACM's name and its altitude block its vertical extent.
+//
+// A rule picks the assets it applies to and what it checks:
+//   { type: 'prohibited' | 'below' | 'above' | 'alertEntry' | 'alertExit',
+//     identity: 'any' | 'friendly' | 'hostile' | 'neutral' | 'unknown' | 'unknownUnevaluated',
+//     domain: 'any' | 'air' | 'surface' | 'subSurface',
+//     altitude: feet (below / above only) }
+//   prohibited  - being inside is a violation
+//   below/above - being inside below/above `altitude` is a violation
+//   alertEntry  - alert when an asset enters
+//   alertExit   - alert when an asset leaves
+// The ownship counts as friendly.
+//
+// checkAirspace runs once per physics tick in SimulationCore.stepSimulation (simulation
+// worker, the UI-thread loop in app.js, headless runs) and reports entries, exits and
+// violation start/end as events.
+// Hiding or deleting an asset inside a control measure counts as an exit.
+//
+// Browser: loaded as a plain <script> after shape-geometry.js, exposes window.AirspaceControl
+// Node:    const AirspaceControl = require('./airspace-control.js');
+
+(function (root, factory) {
+    const airspaceControl = typeof module !== 'undefined' && module.exports
+        ? factory(require('./shape-geometry.js'))
+        : factory(root.ShapeGeometry);
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = airspaceControl;
+    } else {
+        root.AirspaceControl = airspaceControl;
+    }
+})(typeof self !== 'undefined' ? self : this, function (ShapeGeometry) {
+
+    // Control measure types with the rules a new one starts with
+    const ACM_TYPES = {
+        roz: {
+            label: 'ROZ',
+            name: 'Restricted Operations Zone',
+            rules: [
+                { type: 'alertEntry', identity: 'any', domain: 'air', altitude: null }
+            ]
+        },
+        mez: {
+            label: 'MEZ',
+            name: 'Missile Engagement Zone',
+            rules: [
+                { type: 'prohibited', identity: 'friendly', domain: 'air', altitude: null },
+                { type: 'alertEntry', identity: 'hostile', domain: 'air', altitude: null }
+            ]
+        },
+        fez: {
+            label: 'FEZ',
+            name: 'Fighter Engagement Zone',
+            rules: [
+                { type: 'alertEntry', identity: 'hostile', domain: 'air', altitude: null }
+            ]
+        },
+        noFly: {
+            label: 'NFA',
+            name: 'No-Fly Area',
+            rules: [
+                { type: 'prohibited', identity: 'any', domain: 'air', altitude: null }
+            ]
+        },
+        rtf: {
+            label: 'RTF',
+            name: 'Return-to-Force Corridor',
+            rules: [
+                { type: 'below', identity: 'friendly', domain: 'air', altitude: 20000 },
+                { type: 'alertEntry', identity: 'hostile', domain: 'air', altitude: null }
+            ]
+        }
+    };
+
+    const RULE_TYPES = {
+        prohibited: { label: 'Not allowed inside', violation: true },
+        below: { label: 'Not allowed below', violation: true, usesAltitude: true },
+        above: { label: 'Not allowed above', violation: true, usesAltitude: true },
+        alertEntry: { label: 'Alert on entry' },
+        alertExit: { label: 'Alert on exit' }
+    };
+
+    const IDENTITY_LABELS = {
+        any: 'All',
+        friendly: 'Friendly',
+        hostile: 'Hostile',
+        neutral: 'Neutral',
+        unknown: 'Unknown',
+        unknownUnevaluated: 'Unknown Unevaluated'
+    };
+
+    const DOMAIN_LABELS = {
+        any: 'all',
+        air: 'air',
+        surface: 'surface',
+        subSurface: 'subsurface'
+    };
+
+    // New control measure of the given type (rules are copies, safe to edit)
+    function createControlMeasure(type) {
+        const config = ACM_TYPES[type];
+        if (!config) return null;
+        return { type, rules: config.rules.map(rule => ({ ...rule })) };
+    }
+
+    function isControlMeasure(shape) {
+        return !!(shape && shape.acm && ACM_TYPES[shape.acm.type] &&
+            ShapeGeometry.AREA_SHAPES.includes(shape.type));
+    }
+
+    // 'MEZ ALPHA', or just 'MEZ' for an unlabeled measure
+    function controlMeasureName(shape) {
+        const label = ACM_TYPES[shape.acm.type].label;
+        return shape.label ? `${label} ${shape.label}` : label;
+    }
+
+    // 'Friendly air not allowed below FL200'
+    function describeRule(rule) {
+        const identity = IDENTITY_LABELS[rule.identity] || rule.identity;
+        const domain = DOMAIN_LABELS[rule.domain] || rule.domain;
+        const who = rule.identity === 'any'
+            ? (rule.domain === 'any' ? 'All assets' : `All ${domain}`)
+            : (rule.domain === 'any' ? identity : `${identity} ${domain}`);
+        const what = (RULE_TYPES[rule.type] || { label: rule.type }).label.toLowerCase();
+        if (!RULE_TYPES[rule.type] || !RULE_TYPES[rule.type].usesAltitude) return `${who}: ${what}`;
+        return `${who} ${what} FL${String(Math.round((rule.altitude || 0) / 100)).padStart(3, '0')}`;
+    }
+
+    function assetIdentity(asset) {
+        return asset.type === 'ownship' ? 'friendly' : asset.identity;
+    }
+
+    // Feet above the surface; submarines report negative depth
+    function assetAltitude(asset) {
+        if (asset.domain === 'air') return asset.altitude || 0;
+        if (asset.domain === 'subSurface') return -(asset.depth || 0);
+        return 0;
+    }
+
+    function ruleApplies(rule, asset) {
+        return (rule.identity === 'any' || rule.identity === assetIdentity(asset)) &&
+            (rule.domain === 'any' || rule.domain === asset.domain);
+    }
+
+    function isViolating(rule, altitude) {
+        if (rule.type === 'prohibited') return true;
+        if (rule.type === 'below') return rule.altitude != null && altitude < rule.altitude;
+        if (rule.type === 'above') return rule.altitude != null && altitude > rule.altitude;
+        return false;
+    }
+
+    // Check every asset against every control measure.
+    // occupancy: the previous call's result, or null after a load/restart (assets
+    //   already inside are then taken as present rather than entering; violations
+    //   in progress are still reported)
+    // Returns { occupancy, events } with events of type 'airspace':
+    //   { kind: 'entry' | 'exit' | 'violation' | 'violationEnd', alert, shapeId, acmName,
+    //     assetId, assetName, identity, rule, missionTime, startTime (violationEnd), message }
+    function checkAirspace(shapes, assets, occupancy, missionTime) {
+        const previous = occupancy || {};
+        const next = {};
+        const events = [];
+        const checked = new Set(); // occupancy keys of visible assets in current control measures
+
+        (shapes || []).filter(isControlMeasure).forEach(shape => {
+            const acmName = controlMeasureName(shape);
+            const rules = shape.acm.rules || [];
+
+            assets.forEach(asset => {
+                if (asset.hidden) return;
+
+                const key = `${shape.id}:${asset.id}`;
+                checked.add(key);
+                const before = previous[key];
+                const altitude = assetAltitude(asset);
+                const inside = ShapeGeometry.containsPosition(shape, asset.lat, asset.lon, altitude);
+                if (!inside && !before) return;
+
+                const assetName = asset.name || `Asset ${asset.id}`;
+                const base = {
+                    type: 'airspace', shapeId: shape.id, acmName,
+                    assetId: asset.id, assetName, identity: assetIdentity(asset), missionTime
+                };
+                const applicable = rules.filter(rule => ruleApplies(rule, asset));
+                const wasInside = !!(before && before.inside);
+
+                if (occupancy && inside !== wasInside) {
+                    const kind = inside ? 'entry' : 'exit';
+                    const alertRule = applicable.find(rule => rule.type === (inside ? 'alertEntry' : 'alertExit'));
+                    events.push({
+                        ...base, kind, alert: !!alertRule, rule: alertRule || null,
+                        message: `${assetName} ${inside ? 'entered' : 'exited'} ${acmName}`
+                    });
+                }
+
+                // Violations are tracked per rule so each one has its own start and end
+                const violations = {};
+                rules.forEach((rule, index) => {
+                    const since = before && before.violations[index];
+                    const violating = inside && applicable.includes(rule) &&
+                        !!RULE_TYPES[rule.type] && !!RULE_TYPES[rule.type].violation &&
+                        isViolating(rule, altitude);
+                    if (violating) {
+                        violations[index] = since !== undefined ? since : missionTime;
+                        if (since === undefined) {
+                            events.push({
+                                ...base, kind: 'violation', alert: true, rule,
+                                message: `${assetName} violating ${acmName} - ${describeRule(rule)}`
+                            });
+                        }
+                    } else if (since !== undefined) {
+                        events.push({
+                            ...base, kind: 'violationEnd', alert: false, rule, startTime: since,
+                            message: `${assetName} clear of ${acmName} violation`
+                        });
+                    }
+                });
+
+                // Names are kept so an exit can still be reported once the asset is gone
+                if (inside) {
+                    next[key] = {
+                        inside, violations,
+                        shapeId: shape.id, acmName, assetId: asset.id, assetName, identity: base.identity
+                    };
+                }
+            });
+        });
+
+        // An asset that was inside and has since been hidden or deleted (or whose control
+        // measure is gone) leaves without an alert, closing its open violations
+        Object.keys(previous).filter(key => !checked.has(key)).forEach(key => {
+            const before = previous[key];
+            const shape = (shapes || []).find(s => s.id === before.shapeId);
+            const rules = shape && shape.acm ? shape.acm.rules || [] : [];
+            const base = {
+                type: 'airspace', shapeId: before.shapeId, acmName: before.acmName,
+                assetId: before.assetId, assetName: before.assetName, identity: before.identity, missionTime
+            };
+            Object.keys(before.violations).forEach(index => {
+                events.push({
+                    ...base, kind: 'violationEnd', alert: false, rule: rules[index] || null,
+                    startTime: before.violations[index],
+                    message: `${before.assetName} clear of ${before.acmName} violation`
+                });
+            });
+            events.push({
+                ...base, kind: 'exit', alert: false, rule: null,
+                message: `${before.assetName} exited ${before.acmName}`
+            });
+        });
+
+        return { occupancy: next, events };
+    }
+
+    return {
+        ACM_TYPES,
+        RULE_TYPES,
+        IDENTITY_LABELS,
+        DOMAIN_LABELS,
+        createControlMeasure,
+        isControlMeasure,
+        controlMeasureName,
+        describeRule,
+        checkAirspace
+    };
+});
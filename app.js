@@ -1,4 +1,17 @@
 const { useState, useEffect, useRef, useCallback, useMemo } = React;
+// Navigation math and the physics step live in simulation-core.js (shared with Node)
+const {
+    DOMAIN_TYPES,
+    calculateBearing, calculateDistance, computeDestinationPoint, shortestTurn,
+    BEHAVIOR_LINK_ACTIONS, SONOBUOY_DETECTION_RANGE,
+    TACTICS_DEFAULTS, TACTICS_DEFENSES, selectAirToAirWeapon,
+    SURFACE_TACTICS_DEFAULTS, selectAntiShipWeapon, SUBMARINE_TACTICS_DEFAULTS,
+    detectSweepContacts, detectActiveEmitters, detectSonobuoyContacts,
+    isInboundMissile, detectInboundMissiles, detectSeekerEmitters,
+    diffAssets, isEmptyPatch, applyAssetPatch,
+    generateScenarioSeed, hashSeed, createSeededRandom,
+    rollDetectionThreshold, rollRandomTriggerTime, rollRandomBehaviorTimes
+} = SimulationCore;
 
 // ============================================================================
 // CONSTANTS AND CONFIGURATION
@@ -8,10 +21,12 @@ const { useState, useEffect, useRef, useCallback, useMemo } = React;
 const INITIAL_SCALE = 100; // nautical miles
 const MIN_SCALE = 2;
 const MAX_SCALE = 360;
-const PHYSICS_UPDATE_RATE = 1000 / 60; // 60 Hz
-const WAYPOINT_ARRIVAL_THRESHOLD = 0.5; // nautical miles
-const SONOBUOY_DETECTION_RANGE = 3; // nautical miles
+const TIME_COMPRESSION_RATES = [1, 2, 4, 8, 16]; // Available time compression multipliers
+const STEP_DURATIONS = [1, 5, 10, 30, 60]; // Seconds of simulation time per STEP while paused
+const EDIT_HISTORY_LIMIT = 100; // Undo steps kept while editing
+const EDIT_COALESCE_MS = 1000; // Repeated edits to the same field within this window are one undo step (typing)
 const YARDS_PER_NAUTICAL_MILE = 2025.37;
+const VAMPIRE_BEARING_TOLERANCE = 15; // degrees - a vampire call's bearing must be this close to the missile
 
 // Asset type configurations
 const ASSET_TYPES = {
@@ -32,10 +47,14 @@ const GEOPOINT_TYPES = {
     mark: { label: 'Mark', icon: 'mark' }
 };
 
-// Shape type configurations
+// Shape type configurations (geometry lives in shape-geometry.js)
 const SHAPE_TYPES = {
     lineSegment: { label: 'Line Segment' },
-    circle: { label: 'Circle' }
+    polygon: { label: 'Polygon' },
+    circle: { label: 'Circle' },
+    rectangle: { label: 'Rectangle' },
+    ellipse: { label: 'Ellipse' },
+    sector: { label: 'Sector' }
 };
 
 const CALIBRATION_CATEGORIES = {
@@ -62,47 +81,6 @@ const CALIBRATION_CATEGORIES = {
     }
 };
 
-// Domain configurations
-const DOMAIN_TYPES = {
-    air: {
-        label: 'Air',
-        maxSpeed: 999,
-        turnRate: 15, // degrees per second
-        speedRate: 10, // knots per second
-        hasAltitude: true,
-        hasDepth: false
-    },
-    surface: {
-        label: 'Surface',
-        maxSpeed: 30,
-        turnRate: 1, // degrees per second
-        speedRate: 2, // knots per second
-        hasAltitude: false,
-        hasDepth: false
-    },
-    subSurface: {
-        label: 'Sub-Surface',
-        maxSpeed: 30,
-        turnRate: 1, // degrees per second
-        speedRate: 2, // knots per second
-        hasAltitude: false,
-        hasDepth: true
-    },
-    land: {
-        label: 'Land',
-        maxSpeed: 0, // Stationary - no movement
-        turnRate: 0, // No turning
-        speedRate: 0, // No speed changes
-        hasAltitude: false,
-        hasDepth: false
-    }
-};
-
-// Turn/climb/speed rates (default for air assets)
-const TURN_RATE = 15; // degrees per second
-const SPEED_RATE = 10; // knots per second
-const CLIMB_RATE = 100; // feet per second (6000 ft/min)
-
 // ============================================================================
 // UTILITY FUNCTIONS - NAVIGATION AND PHYSICS
 // ============================================================================
@@ -194,45 +172,105 @@ function dmmToDecimal(dmm) {
     return decimal;
 }
 
-// Calculate bearing between two lat/lon points (in degrees)
-function calculateBearing(lat1, lon1, lat2, lon2) {
-    const φ1 = lat1 * Math.PI / 180;
-    const φ2 = lat2 * Math.PI / 180;
-    const Δλ = (lon2 - lon1) * Math.PI / 180;
+// New asset with the defaults and domain/platform limits the Add Asset dialog applies.
+// assetData: { lat, lon, type, identity, domain, platform, heading, speed, altitude, ... }
+function createAsset(assetData, id) {
+    // Determine domain (default to 'air' if not specified)
+    const domain = assetData.domain || 'air';
+    const domainConfig = DOMAIN_TYPES[domain];
+
+    // Get platform if specified
+    const platform = assetData.platform || null;
 
-    const y = Math.sin(Δλ) * Math.cos(φ2);
-    const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
-    const θ = Math.atan2(y, x);
+    // Set default values based on domain and platform
+    // Default speed to 0 for all assets to support realistic threat presentations (e.g., aircraft launching from airfields)
+    let speed = assetData.speed !== undefined ? assetData.speed : 0;
+    let altitude = assetData.altitude !== undefined ? assetData.altitude : (domain === 'air' ? 25000 : 0);
+    let depth = assetData.depth !== undefined ? assetData.depth : (domain === 'subSurface' ? 50 : null);
 
-    return (θ * 180 / Math.PI + 360) % 360;
-}
+    // Apply ownship limits if creating ownship
+    if (assetData.type === 'ownship') {
+        speed = Math.min(220, speed);
+        altitude = Math.min(27000, altitude);
+    }
 
-// Calculate distance between two lat/lon points (in nautical miles)
-function calculateDistance(lat1, lon1, lat2, lon2) {
-    const φ1 = lat1 * Math.PI / 180;
-    const φ2 = lat2 * Math.PI / 180;
-    const Δφ = (lat2 - lat1) * Math.PI / 180;
-    const Δλ = (lon2 - lon1) * Math.PI / 180;
+    // Apply platform-specific limits if platform is assigned
+    if (platform) {
+        speed = Math.min(platform.maxSpeed, speed);
+        if (domainConfig.hasAltitude) {
+            altitude = Math.min(platform.maxAltitude, altitude);
+        }
+    } else {
+        // Apply domain-specific speed limits if no platform
+        speed = Math.min(domainConfig.maxSpeed, speed);
+    }
 
-    const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-              Math.cos(φ1) * Math.cos(φ2) *
-              Math.sin(Δλ/2) * Math.sin(Δλ/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+    // LAND DOMAIN: Force stationary (speed=0, heading=0)
+    if (domain === 'land') {
+        speed = 0;
+    }
 
-    const R = 3440.065; // Earth radius in nautical miles
-    return R * c;
-}
+    // Initialize emitter states (all emitters off by default)
+    const emitterStates = {};
+    if (platform && platform.emitters && platform.emitters.length > 0) {
+        platform.emitters.forEach(emitter => {
+            emitterStates[emitter] = false; // default: off
+        });
+    }
+
+    const newAsset = {
+        id: id,
+        name: assetData.name || `Asset ${id}`,
+        type: assetData.type || 'unknown',
+        identity: assetData.identity || 'unknown', // friendly, hostile, neutral, unknown, unknownUnevaluated
+        domain: domain,
+        platform: platform,
+        lat: assetData.lat,
+        lon: assetData.lon,
+        heading: assetData.heading || 0,
+        speed: speed,
+        altitude: domainConfig.hasAltitude ? altitude : 0,
+        depth: domainConfig.hasDepth ? depth : null,
+        targetHeading: null,
+        targetSpeed: null,
+        targetAltitude: domainConfig.hasAltitude ? null : null,
+        targetDepth: domainConfig.hasDepth ? null : null,
+        waypoints: [],
+        trackNumber: null,
+        emitterStates: emitterStates,
+        iffModeI: assetData.iffModeI || '',
+        iffModeII: assetData.iffModeII || '',
+        iffModeIII: assetData.iffModeIII || '',
+        iffSquawking: assetData.iffSquawking !== undefined ? assetData.iffSquawking : false,
+        datalinkNet: assetData.datalinkNet || '',
+        datalinkJU: assetData.datalinkJU || '',
+        datalinkTrackBlockStart: assetData.datalinkTrackBlockStart || '',
+        datalinkTrackBlockEnd: assetData.datalinkTrackBlockEnd || '',
+        datalinkActive: false, // Whether asset is active in datalink
+        datalinkAssignedTrack: null, // Track number assigned when reported to datalink
+        behaviors: [],
+        hidden: assetData.hidden !== undefined ? assetData.hidden : true, // HIDDEN checkbox (instructor only) - defaults to CHECKED
+        trackFileEnabled: assetData.trackFileEnabled !== undefined ? assetData.trackFileEnabled : true, // TRACK FILE checkbox (instructor only)
+        studentLabel: assetData.studentLabel || '', // Student-assigned label (student mode)
+        // AIC targeting state
+        targetingState: null,  // null | 'intercepting' | 'engaging' | 'escorting'
+        targetedAssetId: null, // ID of the asset being targeted
+        targetDeclaration: null, // 'hostile' | 'bandit' | 'bogeySpades'
+        interceptCommitted: false, // True from commit until picture clean/reset - pauses waypoints
+        behaviorInterceptTargetId: null, // ID of asset to continuously intercept (set by behavior action)
+        tactics: assetData.tactics || null, // Hostile fighter tactics AI settings (see updateTactics in simulation-core.js)
+        tacticsState: null, // Tactics phase, target, missiles and fuel while running
+        recovery: assetData.recovery || null, // Home airfield, fuel and departure/RTB phase (see airfields.js)
+        // VID (Visual ID) state for Bogey Spades intercepts
+        vidCalled20nm: false,  // Has called "V-I-D, group" at 20nm
+        vidCalled2nm: false,   // Has called "V-I-D group, group NATO name" at 2nm
+        // AIC Training Mode - range-triggered call flags
+        declareCalled28nm: false,  // Has fighter called "declare group" at 28nm
+        declareResponseReceived: false, // Has AIC responded to the declare call
+        fox3Called25nm: false      // Has fighter called "fox-3 group" at 25nm
+    };
 
-// Compute destination lat/lon given origin, bearing (degrees), and distance (nautical miles)
-function computeDestinationPoint(lat, lon, bearingDeg, distanceNM) {
-    const R = 3440.065; // Earth radius in NM
-    const d = distanceNM / R;
-    const brng = bearingDeg * Math.PI / 180;
-    const lat1 = lat * Math.PI / 180;
-    const lon1 = lon * Math.PI / 180;
-    const lat2 = Math.asin(Math.sin(lat1) * Math.cos(d) + Math.cos(lat1) * Math.sin(d) * Math.cos(brng));
-    const lon2 = lon1 + Math.atan2(Math.sin(brng) * Math.sin(d) * Math.cos(lat1), Math.cos(d) - Math.sin(lat1) * Math.sin(lat2));
-    return { lat: lat2 * 180 / Math.PI, lon: lon2 * 180 / Math.PI };
+    return newAsset;
 }
 
 // Determine if asset is Maritime Patrol Aircraft (P-3, P-8) vs fighter
@@ -380,28 +418,6 @@ function getDistanceUnit(currentScale) {
     return currentScale <= 5 ? ' yds' : '';
 }
 
-// Normalize heading to 0-359 range
-function normalizeHeading(heading) {
-    heading = heading % 360;
-    if (heading < 0) heading += 360;
-    return heading;
-}
-
-// Calculate shortest turn direction
-function shortestTurn(current, target) {
-    current = normalizeHeading(current);
-    target = normalizeHeading(target);
-
-    const diff = target - current;
-    if (Math.abs(diff) <= 180) {
-        return diff;
-    } else if (diff > 180) {
-        return diff - 360;
-    } else {
-        return diff + 360;
-    }
-}
-
 // Convert lat/lon to screen coordinates
 function latLonToScreen(lat, lon, centerLat, centerLon, scale, width, height) {
     // Calculate distance from center in NM
@@ -678,7 +694,33 @@ function detectGroupManeuverType(contacts, assets) {
 // BEHAVIORS TAB COMPONENT
 // ============================================================================
 
-const BehaviorsTab = ({ asset, assets, onAddBehavior, onUpdateBehavior, onDeleteBehavior, bullseyePosition, bullseyeName, geoPoints, shapes }) => {
+// Trigger types in the order the editor lists them (also the timeline's grouping order)
+const BEHAVIOR_TRIGGER_LABELS = {
+    missionTime: 'Mission Time',
+    randomTime: 'Random Time',
+    distanceFromAsset: 'Distance from Asset',
+    distanceFromGeoPoint: 'Distance from Geo-Point',
+    atWaypoint: 'At Waypoint',
+    radarDetected: 'Detected by Ownship Radar',
+    illuminated: 'Illuminated by Friendly Emitter',
+    weaponLaunched: 'Weapon Launched at This Asset',
+    assetDestroyed: 'Another Asset Destroyed',
+    identityChanged: 'Identity Changed',
+    enterShape: 'Entering Shape',
+    exitShape: 'Leaving Shape',
+    altitudeCrossing: 'Altitude Crossing',
+    speedCrossing: 'Speed Crossing',
+    radioKeyword: 'Keyword on Radio'
+};
+
+// What an Identity Changed trigger watches (triggerConfig.source)
+const IDENTITY_SOURCE_LABELS = {
+    any: 'Asset or Student Track',
+    asset: 'Asset Identity',
+    track: 'Student Track'
+};
+
+const BehaviorsTab = ({ asset, assets, onAddBehavior, onUpdateBehavior, onDeleteBehavior, bullseyePosition, bullseyeName, geoPoints, shapes, platforms, weaponConfigs, openBehaviorId, onOpenBehaviorHandled }) => {
     const [currentBehaviorIndex, setCurrentBehaviorIndex] = React.useState(0);
     const [editMode, setEditMode] = React.useState(false); // false = view, true = create/edit
     const [editingBehaviorId, setEditingBehaviorId] = React.useState(null); // null = new, id = editing existing
@@ -686,6 +728,10 @@ const BehaviorsTab = ({ asset, assets, onAddBehavior, onUpdateBehavior, onDelete
     const [formData, setFormData] = React.useState({
         triggerType: 'missionTime',
         triggerConfig: { missionTimeDisplay: '00:00:00' },
+        conditions: [],
+        conditionLogic: 'and',
+        repeat: null,
+        enabled: true,
         actions: []
     });
 
@@ -697,51 +743,88 @@ const BehaviorsTab = ({ asset, assets, onAddBehavior, onUpdateBehavior, onDelete
         setFormData({
             triggerType: 'missionTime',
             triggerConfig: { missionTimeDisplay: '00:00:00' },
+            conditions: [],
+            conditionLogic: 'and',
+            repeat: null,
+            enabled: true,
             actions: []
         });
         setEditingBehaviorId(null);
         setEditMode(true);
     };
 
-    // Load existing behavior for editing
-    const handleEditBehavior = () => {
-        if (currentBehavior) {
-            const config = { ...currentBehavior.triggerConfig };
-            // Convert mission time from seconds to HH:MM:SS for editing
-            if (currentBehavior.triggerType === 'missionTime' && config.missionTime !== undefined) {
-                config.missionTimeDisplay = formatMissionTime(config.missionTime);
-            }
-            // Convert randomTime min/max from seconds to HH:MM:SS for editing
-            if (currentBehavior.triggerType === 'randomTime') {
-                if (config.minTime !== undefined) config.minTimeDisplay = formatMissionTime(config.minTime);
-                if (config.maxTime !== undefined) config.maxTimeDisplay = formatMissionTime(config.maxTime);
-            }
-            setFormData({
-                triggerType: currentBehavior.triggerType,
-                triggerConfig: config,
-                actions: [...currentBehavior.actions]
-            });
-            setEditingBehaviorId(currentBehavior.id);
-            setEditMode(true);
+    // Trigger config as edited in the form (times as HH:MM:SS)
+    const toEditableConfig = (trigger) => {
+        const config = { ...trigger.triggerConfig };
+        // Convert mission time from seconds to HH:MM:SS for editing
+        if (trigger.triggerType === 'missionTime' && config.missionTime !== undefined) {
+            config.missionTimeDisplay = formatMissionTime(config.missionTime);
+        }
+        // Convert randomTime min/max from seconds to HH:MM:SS for editing
+        if (trigger.triggerType === 'randomTime') {
+            if (config.minTime !== undefined) config.minTimeDisplay = formatMissionTime(config.minTime);
+            if (config.maxTime !== undefined) config.maxTimeDisplay = formatMissionTime(config.maxTime);
         }
+        return config;
     };
 
-    // Save behavior (create or update)
-    const handleSaveBehavior = () => {
-        const dataToSave = { ...formData };
+    // Trigger config as stored on the behavior (times in seconds)
+    const toStoredConfig = (trigger) => {
         // Convert mission time display string back to seconds
-        if (formData.triggerType === 'missionTime' && formData.triggerConfig.missionTimeDisplay) {
-            dataToSave.triggerConfig = {
-                missionTime: parseTimeToSeconds(formData.triggerConfig.missionTimeDisplay)
-            };
+        if (trigger.triggerType === 'missionTime' && trigger.triggerConfig.missionTimeDisplay) {
+            return { missionTime: parseTimeToSeconds(trigger.triggerConfig.missionTimeDisplay) };
+        }
+        // Convert randomTime display strings back to seconds
+        // (the random time itself is rolled from the scenario seed when the behavior is stored)
+        if (trigger.triggerType === 'randomTime') {
+            const minTime = parseTimeToSeconds(trigger.triggerConfig.minTimeDisplay || '00:00:00');
+            const maxTime = parseTimeToSeconds(trigger.triggerConfig.maxTimeDisplay || '00:00:00');
+            return { minTime, maxTime };
         }
-        // Convert randomTime display strings back to seconds and compute initial random time
-        if (formData.triggerType === 'randomTime') {
-            const minTime = parseTimeToSeconds(formData.triggerConfig.minTimeDisplay || '00:00:00');
-            const maxTime = parseTimeToSeconds(formData.triggerConfig.maxTimeDisplay || '00:00:00');
-            const randomMissionTime = minTime + Math.floor(Math.random() * (maxTime - minTime + 1));
-            dataToSave.triggerConfig = { minTime, maxTime, randomMissionTime };
+        return trigger.triggerConfig;
+    };
+
+    // Load a behavior into the form for editing
+    const startEditing = (behavior) => {
+        setFormData({
+            triggerType: behavior.triggerType,
+            triggerConfig: toEditableConfig(behavior),
+            conditions: (behavior.conditions || []).map(c => ({
+                triggerType: c.triggerType,
+                triggerConfig: toEditableConfig(c)
+            })),
+            conditionLogic: behavior.conditionLogic || 'and',
+            repeat: behavior.repeat || null,
+            enabled: behavior.enabled !== false,
+            actions: [...behavior.actions]
+        });
+        setEditingBehaviorId(behavior.id);
+        setEditMode(true);
+    };
+
+    // Load existing behavior for editing
+    const handleEditBehavior = () => {
+        if (currentBehavior) startEditing(currentBehavior);
+    };
+
+    // Behavior picked on the scenario timeline: page to it and open it for editing
+    React.useEffect(() => {
+        if (openBehaviorId === null || openBehaviorId === undefined) return;
+        const index = behaviors.findIndex(b => b.id === openBehaviorId);
+        if (index !== -1) {
+            setCurrentBehaviorIndex(index);
+            startEditing(behaviors[index]);
         }
+        onOpenBehaviorHandled();
+    }, [openBehaviorId]);
+
+    // Save behavior (create or update)
+    const handleSaveBehavior = () => {
+        const dataToSave = {
+            ...formData,
+            triggerConfig: toStoredConfig(formData),
+            conditions: formData.conditions.map(c => ({ triggerType: c.triggerType, triggerConfig: toStoredConfig(c) }))
+        };
 
         if (editingBehaviorId !== null) {
             // Update existing
@@ -814,161 +897,164 @@ const BehaviorsTab = ({ asset, assets, onAddBehavior, onUpdateBehavior, onDelete
         }));
     };
 
-    return React.createElement('div', { style: { color: '#00FF00' } },
-        // Header with behavior count
-        React.createElement('div', { style: { marginBottom: '15px', display: 'flex', justifyContent: 'space-between', alignItems: 'center' } },
-            React.createElement('div', { style: { fontSize: '14px', fontWeight: 'bold' } },
-                editMode ? 'CREATE/EDIT BEHAVIOR' : `BEHAVIOR ${currentBehaviorIndex + 1} OF ${behaviors.length}`
-            ),
-            !editMode && React.createElement('button', {
-                onClick: handleNewBehavior,
-                style: {
-                    padding: '5px 15px',
-                    backgroundColor: '#00FF00',
-                    color: '#000',
-                    border: 'none',
-                    cursor: 'pointer',
-                    fontWeight: 'bold'
-                }
-            }, 'NEW')
-        ),
+    // Extra conditions (combined with the main trigger by formData.conditionLogic)
+    const handleAddCondition = () => {
+        setFormData(prev => ({
+            ...prev,
+            conditions: [...prev.conditions, { triggerType: 'missionTime', triggerConfig: { missionTimeDisplay: '00:00:00' } }]
+        }));
+    };
 
-        // View Mode
-        !editMode && behaviors.length > 0 && currentBehavior && React.createElement('div', {},
-            // Trigger Display
-            React.createElement('div', { style: { marginBottom: '15px', padding: '10px', border: '1px solid #00FF00' } },
-                React.createElement('div', { style: { fontWeight: 'bold', marginBottom: '5px' } }, 'TRIGGER:'),
-                React.createElement('div', {}, 'Type: ' + currentBehavior.triggerType),
-                currentBehavior.triggerType === 'missionTime' && React.createElement('div', {}, 'Time: ' + formatMissionTime(currentBehavior.triggerConfig.missionTime)),
-                currentBehavior.triggerType === 'randomTime' && React.createElement('div', {},
-                    'Min: ' + formatMissionTime(currentBehavior.triggerConfig.minTime),
-                    React.createElement('br'),
-                    'Max: ' + formatMissionTime(currentBehavior.triggerConfig.maxTime),
-                    React.createElement('br'),
-                    'Random: ' + formatMissionTime(currentBehavior.triggerConfig.randomMissionTime)
-                ),
-                currentBehavior.triggerType === 'distanceFromAsset' && React.createElement('div', {},
-                    'Target: ' + (assets.find(a => a.id === currentBehavior.triggerConfig.targetAssetId)?.name || 'Unknown'),
-                    React.createElement('br'),
-                    'Distance: ' + ((c) => c === 'gt' ? '> ' : c === 'eq' ? '≈ ' : '≤ ')(currentBehavior.triggerConfig.comparison || 'lte') + currentBehavior.triggerConfig.distance + ' NM'
-                ),
-                currentBehavior.triggerType === 'atWaypoint' && React.createElement('div', {}, 'Waypoint: #' + (currentBehavior.triggerConfig.waypointIndex + 1)),
-                currentBehavior.triggerType === 'distanceFromGeoPoint' && React.createElement('div', {},
-                    'Target: ' + (() => {
-                        const gt = currentBehavior.triggerConfig.geoTarget || '';
-                        if (gt === 'bullseye') return bullseyeName ? `Bullseye (${bullseyeName})` : 'Bullseye';
-                        if (gt.startsWith('geo-')) {
-                            const gp = (geoPoints || []).find(g => g.id === parseInt(gt.split('-')[1]));
-                            return gp ? (gp.name || `Geo-Point ${gp.id}`) : 'Unknown';
-                        }
-                        if (gt.startsWith('circle-')) {
-                            const s = (shapes || []).find(s => s.id === parseInt(gt.split('-')[1]) && s.type === 'circle');
-                            return s ? (s.label ? `Circle: ${s.label}` : `Circle ${s.id}`) : 'Unknown';
-                        }
-                        if (gt.startsWith('line-')) {
-                            const parts = gt.split('-');
-                            const s = (shapes || []).find(s => s.id === parseInt(parts[1]) && s.type === 'lineSegment');
-                            const pt = s && s.points[parseInt(parts[2])];
-                            return pt ? (pt.name ? `Line Pt: ${pt.name}` : `Line ${parts[1]} Pt ${parseInt(parts[2]) + 1}`) : 'Unknown';
-                        }
-                        return 'Unknown';
-                    })(),
-                    React.createElement('br'),
-                    'Distance: ' + ((c) => c === 'gt' ? '> ' : c === 'eq' ? '≈ ' : '≤ ')(currentBehavior.triggerConfig.comparison || 'lte') + currentBehavior.triggerConfig.distance + ' NM'
-                ),
-                React.createElement('div', { style: { marginTop: '5px', color: currentBehavior.fired ? '#FFFF00' : '#00FF00' } },
-                    'Status: ' + (currentBehavior.fired ? 'FIRED' : 'ACTIVE')
-                )
-            ),
+    const handleUpdateCondition = (index, changes) => {
+        setFormData(prev => ({
+            ...prev,
+            conditions: prev.conditions.map((c, i) => i === index ? { ...c, ...changes } : c)
+        }));
+    };
 
-            // Actions Display
-            React.createElement('div', { style: { marginBottom: '15px', padding: '10px', border: '1px solid #00FF00' } },
-                React.createElement('div', { style: { fontWeight: 'bold', marginBottom: '5px' } }, 'ACTIONS:'),
-                ...currentBehavior.actions.map((action, idx) => {
-                    // Format action display based on type
-                    let actionText = `${idx + 1}. ${action.type}`;
-                    if (action.type === 'makeVisible') {
-                        actionText = `${idx + 1}. Make Visible (uncheck HIDDEN)`;
-                    } else if (action.type === 'makeInvisible') {
-                        actionText = `${idx + 1}. Make Invisible (check HIDDEN)`;
-                    } else if (action.type === 'turnOnTrackFile') {
-                        actionText = `${idx + 1}. Turn On Track File (enable TRACK FILE)`;
-                    } else if (action.type === 'turnOffTrackFile') {
-                        actionText = `${idx + 1}. Turn Off Track File (disable TRACK FILE)`;
-                    } else if (action.value !== undefined) {
-                        actionText = `${idx + 1}. ${action.type}: ${action.value}`;
-                    }
-                    return React.createElement('div', { key: idx, style: { marginBottom: '5px' } }, actionText);
-                })
-            ),
+    const handleRemoveCondition = (index) => {
+        setFormData(prev => ({
+            ...prev,
+            conditions: prev.conditions.filter((_, i) => i !== index)
+        }));
+    };
 
-            // Action Buttons
-            React.createElement('div', { style: { display: 'flex', gap: '10px', justifyContent: 'space-between' } },
-                React.createElement('div', { style: { display: 'flex', gap: '10px' } },
-                    React.createElement('button', {
-                        onClick: handleBack,
-                        disabled: currentBehaviorIndex === 0,
-                        style: {
-                            padding: '5px 15px',
-                            backgroundColor: currentBehaviorIndex === 0 ? '#333' : '#00FF00',
-                            color: currentBehaviorIndex === 0 ? '#666' : '#000',
-                            border: 'none',
-                            cursor: currentBehaviorIndex === 0 ? 'not-allowed' : 'pointer',
-                            fontWeight: 'bold'
-                        }
-                    }, 'BACK'),
-                    React.createElement('button', {
-                        onClick: handleNext,
-                        disabled: currentBehaviorIndex >= behaviors.length - 1,
-                        style: {
-                            padding: '5px 15px',
-                            backgroundColor: currentBehaviorIndex >= behaviors.length - 1 ? '#333' : '#00FF00',
-                            color: currentBehaviorIndex >= behaviors.length - 1 ? '#666' : '#000',
-                            border: 'none',
-                            cursor: currentBehaviorIndex >= behaviors.length - 1 ? 'not-allowed' : 'pointer',
-                            fontWeight: 'bold'
-                        }
-                    }, 'NEXT')
-                ),
-                React.createElement('div', { style: { display: 'flex', gap: '10px' } },
-                    React.createElement('button', {
-                        onClick: handleEditBehavior,
-                        style: {
-                            padding: '5px 15px',
-                            backgroundColor: '#FFAA00',
-                            color: '#000',
-                            border: 'none',
-                            cursor: 'pointer',
-                            fontWeight: 'bold'
-                        }
-                    }, 'EDIT'),
-                    React.createElement('button', {
-                        onClick: handleDeleteBehavior,
-                        style: {
-                            padding: '5px 15px',
-                            backgroundColor: '#FF0000',
-                            color: '#FFF',
-                            border: 'none',
-                            cursor: 'pointer',
-                            fontWeight: 'bold'
-                        }
-                    }, 'DELETE')
-                )
+    // Actions whose value is an object ({ weaponName, targetAssetId }, spawn settings, { mode, code })
+    const objectValue = (action) => (action.value && typeof action.value === 'object') ? action.value : {};
+    const handleUpdateActionValue = (index, changes) => {
+        setFormData(prev => ({
+            ...prev,
+            actions: prev.actions.map((action, i) =>
+                i === index ? { ...action, value: { ...objectValue(action), ...changes } } : action
+            )
+        }));
+    };
+
+    // Other behaviors on this asset, for the arm/disarm actions
+    const behaviorName = (behaviorId) => {
+        const index = behaviors.findIndex(b => b.id === behaviorId);
+        return index === -1 ? 'Deleted behavior' : `Behavior ${index + 1} (${behaviors[index].triggerType})`;
+    };
+
+    // Sensor, combat, shape and radio triggers
+    const triggerLabelStyle = { display: 'block', marginBottom: '5px', fontSize: '12px' };
+    const triggerFieldStyle = {
+        width: '100%',
+        padding: '8px',
+        backgroundColor: '#000',
+        color: '#00FF00',
+        border: '1px solid #00FF00',
+        fontSize: '12px',
+        marginBottom: '10px'
+    };
+    const areaShapes = (shapes || []).filter(s => ShapeGeometry.AREA_SHAPES.includes(s.type));
+    const shapeName = (shapeId) => {
+        const s = (shapes || []).find(sh => sh.id === shapeId);
+        return s ? (s.label || `${SHAPE_TYPES[s.type]?.label || 'Shape'} ${s.id}`) : 'Unknown';
+    };
+    const identityName = (identity) => !identity || identity === 'any' ? 'Any change' : (AirspaceControl.IDENTITY_LABELS[identity] || identity);
+
+    const actionLabelStyle = { display: 'block', marginBottom: '5px', fontSize: '11px' };
+    const actionFieldStyle = {
+        width: '100%',
+        padding: '6px',
+        backgroundColor: '#000',
+        color: '#00FF00',
+        border: '1px solid #00FF00',
+        fontSize: '11px',
+        marginBottom: '8px'
+    };
+
+    // Bullseye, geo-points and shape centres for the go-to, orbit and spawn actions
+    const geoTargetOptions = () => [
+        bullseyePosition && React.createElement('option', { key: 'bullseye', value: 'bullseye' },
+            bullseyeName ? `Bullseye (${bullseyeName})` : 'Bullseye'
+        ),
+        ...(geoPoints || []).map(gp =>
+            React.createElement('option', { key: `geo-${gp.id}`, value: `geo-${gp.id}` },
+                gp.name ? `${gp.name} (${gp.type})` : `Geo-Point ${gp.id}`
             )
         ),
+        ...(shapes || []).map(s =>
+            React.createElement('option', { key: `shape-${s.id}`, value: `shape-${s.id}` }, `${shapeName(s.id)} (centre)`)
+        )
+    ];
+
+    // Display name for a geo target key ('bullseye', 'geo-3', 'circle-2', 'line-4-1', 'shape-5')
+    const geoTargetName = (geoTarget) => {
+        const gt = geoTarget || '';
+        if (gt === 'bullseye') return bullseyeName ? `Bullseye (${bullseyeName})` : 'Bullseye';
+        if (gt.startsWith('geo-')) {
+            const gp = (geoPoints || []).find(g => g.id === parseInt(gt.split('-')[1]));
+            return gp ? (gp.name || `Geo-Point ${gp.id}`) : 'Unknown';
+        }
+        if (gt.startsWith('circle-')) {
+            const s = (shapes || []).find(s => s.id === parseInt(gt.split('-')[1]) && s.type === 'circle');
+            return s ? (s.label ? `Circle: ${s.label}` : `Circle ${s.id}`) : 'Unknown';
+        }
+        if (gt.startsWith('line-')) {
+            const parts = gt.split('-');
+            const s = (shapes || []).find(s => s.id === parseInt(parts[1]) && s.type === 'lineSegment');
+            const pt = s && s.points[parseInt(parts[2])];
+            return pt ? (pt.name ? `Line Pt: ${pt.name}` : `Line ${parts[1]} Pt ${parseInt(parts[2]) + 1}`) : 'Unknown';
+        }
+        if (gt.startsWith('shape-')) return shapeName(parseInt(gt.split('-')[1]));
+        return 'Unknown';
+    };
+
+    // View-mode description lines for a trigger or condition
+    const renderTriggerSummary = (trigger) => [
+        React.createElement('div', {}, 'Type: ' + trigger.triggerType),
+        trigger.triggerType === 'missionTime' && React.createElement('div', {}, 'Time: ' + formatMissionTime(trigger.triggerConfig.missionTime)),
+        trigger.triggerType === 'randomTime' && React.createElement('div', {},
+            'Min: ' + formatMissionTime(trigger.triggerConfig.minTime),
+            React.createElement('br'),
+            'Max: ' + formatMissionTime(trigger.triggerConfig.maxTime),
+            React.createElement('br'),
+            'Random: ' + formatMissionTime(trigger.triggerConfig.randomMissionTime)
+        ),
+        trigger.triggerType === 'distanceFromAsset' && React.createElement('div', {},
+            'Target: ' + (assets.find(a => a.id === trigger.triggerConfig.targetAssetId)?.name || 'Unknown'),
+            React.createElement('br'),
+            'Distance: ' + ((c) => c === 'gt' ? '> ' : c === 'eq' ? '≈ ' : '≤ ')(trigger.triggerConfig.comparison || 'lte') + trigger.triggerConfig.distance + ' NM'
+        ),
+        trigger.triggerType === 'atWaypoint' && React.createElement('div', {}, 'Waypoint: #' + (trigger.triggerConfig.waypointIndex + 1)),
+        trigger.triggerType === 'distanceFromGeoPoint' && React.createElement('div', {},
+            'Target: ' + geoTargetName(trigger.triggerConfig.geoTarget),
+            React.createElement('br'),
+            'Distance: ' + ((c) => c === 'gt' ? '> ' : c === 'eq' ? '≈ ' : '≤ ')(trigger.triggerConfig.comparison || 'lte') + trigger.triggerConfig.distance + ' NM'
+        ),
+        trigger.triggerType === 'radarDetected' && React.createElement('div', {}, 'Painted by ownship radar: ' + (trigger.triggerConfig.detections || 1) + ' sweep(s)'),
+        trigger.triggerType === 'illuminated' && React.createElement('div', {}, 'Friendly emitter within: ' + (trigger.triggerConfig.range || 320) + ' NM'),
+        trigger.triggerType === 'weaponLaunched' && React.createElement('div', {}, 'Weapon in flight at this asset'),
+        trigger.triggerType === 'assetDestroyed' && React.createElement('div', {},
+            'Asset: ' + (assets.find(a => a.id === trigger.triggerConfig.targetAssetId)?.name || 'Destroyed')
+        ),
+        trigger.triggerType === 'identityChanged' && React.createElement('div', {},
+            'New identity: ' + identityName(trigger.triggerConfig.identity) + ' (' + (IDENTITY_SOURCE_LABELS[trigger.triggerConfig.source] || IDENTITY_SOURCE_LABELS.any) + ')'
+        ),
+        (trigger.triggerType === 'enterShape' || trigger.triggerType === 'exitShape') && React.createElement('div', {},
+            'Shape: ' + shapeName(trigger.triggerConfig.shapeId)
+        ),
+        (trigger.triggerType === 'altitudeCrossing' || trigger.triggerType === 'speedCrossing') && React.createElement('div', {},
+            'Crosses ' + (trigger.triggerConfig.comparison === 'below' ? 'below ' : 'above ') +
+            trigger.triggerConfig.value + (trigger.triggerType === 'altitudeCrossing' ? ' ft' : ' kts')
+        ),
+        trigger.triggerType === 'radioKeyword' && React.createElement('div', {}, 'Keyword: "' + (trigger.triggerConfig.keyword || '') + '"')
+    ];
 
-        // Empty State
-        !editMode && behaviors.length === 0 && React.createElement('div', {
-            style: { textAlign: 'center', padding: '40px', color: '#666' }
-        }, 'No behaviors defined. Click NEW to create one.'),
+    // Trigger type dropdown and configuration, shared by the main trigger and extra conditions.
+    // onChange receives the fields to merge: { triggerType, triggerConfig }. Conditions can't be
+    // random times (only the main trigger's time is rolled from the scenario seed).
+    const renderTriggerEditor = (trigger, onChange, isCondition) => {
+        const updateTriggerConfig = (changes) => onChange({ triggerConfig: { ...trigger.triggerConfig, ...changes } });
 
-        // Edit Mode - Will continue this in next part due to length
-        editMode && React.createElement('div', {},
+        return React.createElement('div', {},
             // Trigger Type Dropdown
             React.createElement('div', { style: { marginBottom: '15px' } },
                 React.createElement('label', { style: { display: 'block', marginBottom: '5px', fontSize: '12px' } }, 'TRIGGER TYPE:'),
                 React.createElement('select', {
-                    value: formData.triggerType,
+                    value: trigger.triggerType,
                     onChange: (e) => {
                         const newType = e.target.value;
                         let newConfig = {};
@@ -976,7 +1062,13 @@ const BehaviorsTab = ({ asset, assets, onAddBehavior, onUpdateBehavior, onDelete
                         else if (newType === 'randomTime') newConfig = { minTimeDisplay: '00:00:00', maxTimeDisplay: '00:00:00' };
                         else if (newType === 'distanceFromAsset') newConfig = { comparison: 'lte' };
                         else if (newType === 'distanceFromGeoPoint') newConfig = { comparison: 'lte' };
-                        setFormData(prev => ({ ...prev, triggerType: newType, triggerConfig: newConfig }));
+                        else if (newType === 'radarDetected') newConfig = { detections: 3 };
+                        else if (newType === 'illuminated') newConfig = { range: 100 };
+                        else if (newType === 'identityChanged') newConfig = { identity: 'any', source: 'any' };
+                        else if (newType === 'altitudeCrossing') newConfig = { comparison: 'above', value: 20000 };
+                        else if (newType === 'speedCrossing') newConfig = { comparison: 'above', value: 300 };
+                        else if (newType === 'radioKeyword') newConfig = { keyword: '' };
+                        onChange({ triggerType: newType, triggerConfig: newConfig });
                     },
                     style: {
                         width: '100%',
@@ -987,30 +1079,25 @@ const BehaviorsTab = ({ asset, assets, onAddBehavior, onUpdateBehavior, onDelete
                         fontSize: '12px'
                     }
                 },
-                    React.createElement('option', { value: 'missionTime' }, 'Mission Time'),
-                    React.createElement('option', { value: 'randomTime' }, 'Random Time'),
-                    React.createElement('option', { value: 'distanceFromAsset' }, 'Distance from Asset'),
-                    React.createElement('option', { value: 'distanceFromGeoPoint' }, 'Distance from Geo-Point'),
-                    React.createElement('option', { value: 'atWaypoint' }, 'At Waypoint')
+                    ...Object.entries(BEHAVIOR_TRIGGER_LABELS)
+                        .filter(([type]) => !isCondition || type !== 'randomTime')
+                        .map(([type, label]) => React.createElement('option', { key: type, value: type }, label))
                 )
             ),
 
             // Trigger Configuration
             React.createElement('div', { style: { marginBottom: '15px', padding: '10px', border: '1px solid #00FF00' } },
-                formData.triggerType === 'missionTime' && React.createElement('div', {},
+                trigger.triggerType === 'missionTime' && React.createElement('div', {},
                     React.createElement('label', { style: { display: 'block', marginBottom: '5px', fontSize: '12px' } }, 'MISSION TIME (HH:MM:SS):'),
                     React.createElement('input', {
                         type: 'text',
                         placeholder: '00:00:00',
-                        value: formData.triggerConfig.missionTimeDisplay || '',
+                        value: trigger.triggerConfig.missionTimeDisplay || '',
                         onChange: (e) => {
                             const value = e.target.value;
                             // Allow only digits and colons
                             if (/^[0-9:]*$/.test(value)) {
-                                setFormData(prev => ({
-                                    ...prev,
-                                    triggerConfig: { ...prev.triggerConfig, missionTimeDisplay: value }
-                                }));
+                                onChange({ triggerConfig: { ...trigger.triggerConfig, missionTimeDisplay: value } });
                             }
                         },
                         onBlur: (e) => {
@@ -1021,10 +1108,7 @@ const BehaviorsTab = ({ asset, assets, onAddBehavior, onUpdateBehavior, onDelete
                                 const minutes = (parseInt(parts[1]) || 0).toString().padStart(2, '0');
                                 const seconds = (parseInt(parts[2]) || 0).toString().padStart(2, '0');
                                 const formatted = `${hours}:${minutes}:${seconds}`;
-                                setFormData(prev => ({
-                                    ...prev,
-                                    triggerConfig: { ...prev.triggerConfig, missionTimeDisplay: formatted }
-                                }));
+                                onChange({ triggerConfig: { ...trigger.triggerConfig, missionTimeDisplay: formatted } });
                             }
                         },
                         style: {
@@ -1039,19 +1123,16 @@ const BehaviorsTab = ({ asset, assets, onAddBehavior, onUpdateBehavior, onDelete
                     })
                 ),
 
-                formData.triggerType === 'randomTime' && React.createElement('div', {},
+                trigger.triggerType === 'randomTime' && React.createElement('div', {},
                     React.createElement('label', { style: { display: 'block', marginBottom: '5px', fontSize: '12px' } }, 'MIN TIME (HH:MM:SS):'),
                     React.createElement('input', {
                         type: 'text',
                         placeholder: '00:00:00',
-                        value: formData.triggerConfig.minTimeDisplay || '',
+                        value: trigger.triggerConfig.minTimeDisplay || '',
                         onChange: (e) => {
                             const value = e.target.value;
                             if (/^[0-9:]*$/.test(value)) {
-                                setFormData(prev => ({
-                                    ...prev,
-                                    triggerConfig: { ...prev.triggerConfig, minTimeDisplay: value }
-                                }));
+                                onChange({ triggerConfig: { ...trigger.triggerConfig, minTimeDisplay: value } });
                             }
                         },
                         onBlur: (e) => {
@@ -1061,10 +1142,7 @@ const BehaviorsTab = ({ asset, assets, onAddBehavior, onUpdateBehavior, onDelete
                                 const minutes = (parseInt(parts[1]) || 0).toString().padStart(2, '0');
                                 const seconds = (parseInt(parts[2]) || 0).toString().padStart(2, '0');
                                 const formatted = `${hours}:${minutes}:${seconds}`;
-                                setFormData(prev => ({
-                                    ...prev,
-                                    triggerConfig: { ...prev.triggerConfig, minTimeDisplay: formatted }
-                                }));
+                                onChange({ triggerConfig: { ...trigger.triggerConfig, minTimeDisplay: formatted } });
                             }
                         },
                         style: {
@@ -1082,14 +1160,11 @@ const BehaviorsTab = ({ asset, assets, onAddBehavior, onUpdateBehavior, onDelete
                     React.createElement('input', {
                         type: 'text',
                         placeholder: '00:00:00',
-                        value: formData.triggerConfig.maxTimeDisplay || '',
+                        value: trigger.triggerConfig.maxTimeDisplay || '',
                         onChange: (e) => {
                             const value = e.target.value;
                             if (/^[0-9:]*$/.test(value)) {
-                                setFormData(prev => ({
-                                    ...prev,
-                                    triggerConfig: { ...prev.triggerConfig, maxTimeDisplay: value }
-                                }));
+                                onChange({ triggerConfig: { ...trigger.triggerConfig, maxTimeDisplay: value } });
                             }
                         },
                         onBlur: (e) => {
@@ -1099,10 +1174,7 @@ const BehaviorsTab = ({ asset, assets, onAddBehavior, onUpdateBehavior, onDelete
                                 const minutes = (parseInt(parts[1]) || 0).toString().padStart(2, '0');
                                 const seconds = (parseInt(parts[2]) || 0).toString().padStart(2, '0');
                                 const formatted = `${hours}:${minutes}:${seconds}`;
-                                setFormData(prev => ({
-                                    ...prev,
-                                    triggerConfig: { ...prev.triggerConfig, maxTimeDisplay: formatted }
-                                }));
+                                onChange({ triggerConfig: { ...trigger.triggerConfig, maxTimeDisplay: formatted } });
                             }
                         },
                         style: {
@@ -1117,14 +1189,11 @@ const BehaviorsTab = ({ asset, assets, onAddBehavior, onUpdateBehavior, onDelete
                     })
                 ),
 
-                formData.triggerType === 'distanceFromAsset' && React.createElement('div', {},
+                trigger.triggerType === 'distanceFromAsset' && React.createElement('div', {},
                     React.createElement('label', { style: { display: 'block', marginBottom: '5px', fontSize: '12px' } }, 'TARGET ASSET:'),
                     React.createElement('select', {
-                        value: formData.triggerConfig.targetAssetId || '',
-                        onChange: (e) => setFormData(prev => ({
-                            ...prev,
-                            triggerConfig: { ...prev.triggerConfig, targetAssetId: parseInt(e.target.value) }
-                        })),
+                        value: trigger.triggerConfig.targetAssetId || '',
+                        onChange: (e) => onChange({ triggerConfig: { ...trigger.triggerConfig, targetAssetId: parseInt(e.target.value) } }),
                         style: {
                             width: '100%',
                             padding: '8px',
@@ -1144,11 +1213,8 @@ const BehaviorsTab = ({ asset, assets, onAddBehavior, onUpdateBehavior, onDelete
                     React.createElement('input', {
                         type: 'number',
                         step: '0.1',
-                        value: formData.triggerConfig.distance || '',
-                        onChange: (e) => setFormData(prev => ({
-                            ...prev,
-                            triggerConfig: { ...prev.triggerConfig, distance: parseFloat(e.target.value) || 0 }
-                        })),
+                        value: trigger.triggerConfig.distance || '',
+                        onChange: (e) => onChange({ triggerConfig: { ...trigger.triggerConfig, distance: parseFloat(e.target.value) || 0 } }),
                         style: {
                             width: '100%',
                             padding: '8px',
@@ -1160,11 +1226,8 @@ const BehaviorsTab = ({ asset, assets, onAddBehavior, onUpdateBehavior, onDelete
                     }),
                     React.createElement('label', { style: { display: 'block', marginBottom: '5px', marginTop: '10px', fontSize: '12px' } }, 'COMPARISON:'),
                     React.createElement('select', {
-                        value: formData.triggerConfig.comparison || 'lte',
-                        onChange: (e) => setFormData(prev => ({
-                            ...prev,
-                            triggerConfig: { ...prev.triggerConfig, comparison: e.target.value }
-                        })),
+                        value: trigger.triggerConfig.comparison || 'lte',
+                        onChange: (e) => onChange({ triggerConfig: { ...trigger.triggerConfig, comparison: e.target.value } }),
                         style: {
                             width: '100%',
                             padding: '8px',
@@ -1180,14 +1243,11 @@ const BehaviorsTab = ({ asset, assets, onAddBehavior, onUpdateBehavior, onDelete
                     )
                 ),
 
-                formData.triggerType === 'atWaypoint' && React.createElement('div', {},
+                trigger.triggerType === 'atWaypoint' && React.createElement('div', {},
                     React.createElement('label', { style: { display: 'block', marginBottom: '5px', fontSize: '12px' } }, 'WAYPOINT:'),
                     React.createElement('select', {
-                        value: formData.triggerConfig.waypointIndex ?? '',
-                        onChange: (e) => setFormData(prev => ({
-                            ...prev,
-                            triggerConfig: { waypointIndex: parseInt(e.target.value) }
-                        })),
+                        value: trigger.triggerConfig.waypointIndex ?? '',
+                        onChange: (e) => onChange({ triggerConfig: { waypointIndex: parseInt(e.target.value) } }),
                         style: {
                             width: '100%',
                             padding: '8px',
@@ -1209,62 +1269,179 @@ const BehaviorsTab = ({ asset, assets, onAddBehavior, onUpdateBehavior, onDelete
                     (!asset.waypoints || asset.waypoints.length === 0) && React.createElement('div', {
                         style: { color: '#FFAA00', fontSize: '10px', marginTop: '5px' }
                     }, 'No waypoints assigned to this asset')
-                )
-            ),
+                ),
 
-            formData.triggerType === 'distanceFromGeoPoint' && React.createElement('div', {},
-                React.createElement('label', { style: { display: 'block', marginBottom: '5px', fontSize: '12px' } }, 'GEO-POINT:'),
-                React.createElement('select', {
-                    value: formData.triggerConfig.geoTarget || '',
-                    onChange: (e) => setFormData(prev => ({
-                        ...prev,
-                        triggerConfig: { ...prev.triggerConfig, geoTarget: e.target.value }
-                    })),
-                    style: {
-                        width: '100%',
-                        padding: '8px',
-                        backgroundColor: '#000',
-                        color: '#00FF00',
-                        border: '1px solid #00FF00',
-                        fontSize: '12px',
-                        marginBottom: '10px'
-                    }
-                },
-                    React.createElement('option', { value: '' }, 'Select Geo-Point...'),
-                    // Bullseye
-                    bullseyePosition && React.createElement('option', { key: 'bullseye', value: 'bullseye' },
-                        bullseyeName ? `Bullseye (${bullseyeName})` : 'Bullseye'
-                    ),
-                    // Geo-Points
-                    ...(geoPoints || []).map(gp =>
-                        React.createElement('option', { key: `geo-${gp.id}`, value: `geo-${gp.id}` },
-                            gp.name ? `${gp.name} (${gp.type})` : `Geo-Point ${gp.id}`
-                        )
-                    ),
-                    // Circle shapes
-                    ...(shapes || []).filter(s => s.type === 'circle').map(s =>
-                        React.createElement('option', { key: `circle-${s.id}`, value: `circle-${s.id}` },
-                            s.label ? `Circle: ${s.label}` : `Circle ${s.id}`
-                        )
-                    ),
-                    // Line segment points
-                    ...(shapes || []).filter(s => s.type === 'lineSegment').flatMap(s =>
-                        (s.points || []).map((pt, idx) =>
-                            React.createElement('option', { key: `line-${s.id}-${idx}`, value: `line-${s.id}-${idx}` },
-                                pt.name ? `Line Pt: ${pt.name}` : `Line ${s.id} Pt ${idx + 1}`
-                            )
-                        )
-                    )
+                trigger.triggerType === 'radarDetected' && React.createElement('div', {},
+                    React.createElement('label', { style: triggerLabelStyle }, 'RADAR SWEEPS (DETECTIONS):'),
+                    React.createElement('input', {
+                        type: 'number',
+                        min: '1',
+                        step: '1',
+                        value: trigger.triggerConfig.detections || '',
+                        onChange: (e) => updateTriggerConfig({ detections: Math.max(1, parseInt(e.target.value) || 1) }),
+                        style: triggerFieldStyle
+                    }),
+                    React.createElement('div', { style: { color: '#888', fontSize: '10px' } }, 'Student tracks build after 2-3 detections')
                 ),
-                React.createElement('label', { style: { display: 'block', marginBottom: '5px', fontSize: '12px' } }, 'DISTANCE (NM):'),
+
+                trigger.triggerType === 'illuminated' && React.createElement('div', {},
+                    React.createElement('label', { style: triggerLabelStyle }, 'EMITTER RANGE (NM):'),
+                    React.createElement('input', {
+                        type: 'number',
+                        min: '1',
+                        step: '1',
+                        value: trigger.triggerConfig.range || '',
+                        onChange: (e) => updateTriggerConfig({ range: parseFloat(e.target.value) || 0 }),
+                        style: triggerFieldStyle
+                    }),
+                    React.createElement('div', { style: { color: '#888', fontSize: '10px' } }, 'Any friendly asset with an emitter on (or the ownship radar) within range and line of sight')
+                ),
+
+                trigger.triggerType === 'weaponLaunched' && React.createElement('div', { style: { fontSize: '12px' } },
+                    'Fires when any weapon is launched at this asset'
+                ),
+
+                trigger.triggerType === 'assetDestroyed' && React.createElement('div', {},
+                    React.createElement('label', { style: triggerLabelStyle }, 'ASSET:'),
+                    React.createElement('select', {
+                        value: trigger.triggerConfig.targetAssetId ?? '',
+                        onChange: (e) => updateTriggerConfig({ targetAssetId: parseInt(e.target.value) }),
+                        style: triggerFieldStyle
+                    },
+                        React.createElement('option', { value: '' }, 'Select Asset...'),
+                        ...assets.filter(a => a.id !== asset.id).map(a =>
+                            React.createElement('option', { key: a.id, value: a.id }, a.name || `Asset ${a.id}`)
+                        )
+                    )
+                ),
+
+                trigger.triggerType === 'identityChanged' && React.createElement('div', {},
+                    React.createElement('label', { style: triggerLabelStyle }, 'NEW IDENTITY:'),
+                    React.createElement('select', {
+                        value: trigger.triggerConfig.identity || 'any',
+                        onChange: (e) => updateTriggerConfig({ identity: e.target.value }),
+                        style: triggerFieldStyle
+                    },
+                        React.createElement('option', { value: 'any' }, 'Any Change'),
+                        React.createElement('option', { value: 'friendly' }, 'Friendly'),
+                        React.createElement('option', { value: 'hostile' }, 'Hostile'),
+                        React.createElement('option', { value: 'neutral' }, 'Neutral'),
+                        React.createElement('option', { value: 'unknown' }, 'Unknown'),
+                        React.createElement('option', { value: 'unknownUnevaluated' }, 'Unknown Unevaluated')
+                    ),
+                    React.createElement('label', { style: triggerLabelStyle }, 'WATCH:'),
+                    React.createElement('select', {
+                        value: trigger.triggerConfig.source || 'any',
+                        onChange: (e) => updateTriggerConfig({ source: e.target.value }),
+                        style: triggerFieldStyle
+                    },
+                        ...Object.entries(IDENTITY_SOURCE_LABELS).map(([value, label]) =>
+                            React.createElement('option', { key: value, value }, label)
+                        )
+                    ),
+                    React.createElement('div', { style: { color: '#888', fontSize: '10px' } }, "The student's track counts once the asset has a track")
+                ),
+
+                (trigger.triggerType === 'enterShape' || trigger.triggerType === 'exitShape') && React.createElement('div', {},
+                    React.createElement('label', { style: triggerLabelStyle }, 'SHAPE:'),
+                    React.createElement('select', {
+                        value: trigger.triggerConfig.shapeId ?? '',
+                        onChange: (e) => updateTriggerConfig({ shapeId: parseInt(e.target.value) }),
+                        style: triggerFieldStyle,
+                        disabled: areaShapes.length === 0
+                    },
+                        React.createElement('option', { value: '' }, 'Select Shape...'),
+                        ...areaShapes.map(s =>
+                            React.createElement('option', { key: s.id, value: s.id }, `${shapeName(s.id)} (${SHAPE_TYPES[s.type].label})`)
+                        )
+                    ),
+                    areaShapes.length === 0 && React.createElement('div', {
+                        style: { color: '#FFAA00', fontSize: '10px' }
+                    }, 'No polygons, circles, rectangles, ellipses or sectors on the map')
+                ),
+
+                (trigger.triggerType === 'altitudeCrossing' || trigger.triggerType === 'speedCrossing') && React.createElement('div', {},
+                    React.createElement('label', { style: triggerLabelStyle }, 'CROSSES:'),
+                    React.createElement('select', {
+                        value: trigger.triggerConfig.comparison || 'above',
+                        onChange: (e) => updateTriggerConfig({ comparison: e.target.value }),
+                        style: triggerFieldStyle
+                    },
+                        React.createElement('option', { value: 'above' }, 'Above (climbs / accelerates through)'),
+                        React.createElement('option', { value: 'below' }, 'Below (descends / slows through)')
+                    ),
+                    React.createElement('label', { style: triggerLabelStyle },
+                        trigger.triggerType === 'altitudeCrossing' ? 'ALTITUDE (FT, DEPTH NEGATIVE):' : 'SPEED (KTS):'
+                    ),
+                    React.createElement('input', {
+                        type: 'number',
+                        step: trigger.triggerType === 'altitudeCrossing' ? '500' : '10',
+                        value: trigger.triggerConfig.value ?? '',
+                        onChange: (e) => updateTriggerConfig({ value: parseFloat(e.target.value) || 0 }),
+                        style: triggerFieldStyle
+                    })
+                ),
+
+                trigger.triggerType === 'radioKeyword' && React.createElement('div', {},
+                    React.createElement('label', { style: triggerLabelStyle }, 'KEYWORD OR PHRASE:'),
+                    React.createElement('input', {
+                        type: 'text',
+                        placeholder: 'e.g. bandit',
+                        value: trigger.triggerConfig.keyword || '',
+                        onChange: (e) => updateTriggerConfig({ keyword: e.target.value }),
+                        style: triggerFieldStyle
+                    }),
+                    React.createElement('div', { style: { color: '#888', fontSize: '10px' } }, 'Fires on the next radio log entry (either direction) containing it')
+                )
+            ),
+
+            trigger.triggerType === 'distanceFromGeoPoint' && React.createElement('div', {},
+                React.createElement('label', { style: { display: 'block', marginBottom: '5px', fontSize: '12px' } }, 'GEO-POINT:'),
+                React.createElement('select', {
+                    value: trigger.triggerConfig.geoTarget || '',
+                    onChange: (e) => onChange({ triggerConfig: { ...trigger.triggerConfig, geoTarget: e.target.value } }),
+                    style: {
+                        width: '100%',
+                        padding: '8px',
+                        backgroundColor: '#000',
+                        color: '#00FF00',
+                        border: '1px solid #00FF00',
+                        fontSize: '12px',
+                        marginBottom: '10px'
+                    }
+                },
+                    React.createElement('option', { value: '' }, 'Select Geo-Point...'),
+                    // Bullseye
+                    bullseyePosition && React.createElement('option', { key: 'bullseye', value: 'bullseye' },
+                        bullseyeName ? `Bullseye (${bullseyeName})` : 'Bullseye'
+                    ),
+                    // Geo-Points
+                    ...(geoPoints || []).map(gp =>
+                        React.createElement('option', { key: `geo-${gp.id}`, value: `geo-${gp.id}` },
+                            gp.name ? `${gp.name} (${gp.type})` : `Geo-Point ${gp.id}`
+                        )
+                    ),
+                    // Circle shapes
+                    ...(shapes || []).filter(s => s.type === 'circle').map(s =>
+                        React.createElement('option', { key: `circle-${s.id}`, value: `circle-${s.id}` },
+                            s.label ? `Circle: ${s.label}` : `Circle ${s.id}`
+                        )
+                    ),
+                    // Line segment points
+                    ...(shapes || []).filter(s => s.type === 'lineSegment').flatMap(s =>
+                        (s.points || []).map((pt, idx) =>
+                            React.createElement('option', { key: `line-${s.id}-${idx}`, value: `line-${s.id}-${idx}` },
+                                pt.name ? `Line Pt: ${pt.name}` : `Line ${s.id} Pt ${idx + 1}`
+                            )
+                        )
+                    )
+                ),
+                React.createElement('label', { style: { display: 'block', marginBottom: '5px', fontSize: '12px' } }, 'DISTANCE (NM):'),
                 React.createElement('input', {
                     type: 'number',
                     step: '0.1',
-                    value: formData.triggerConfig.distance || '',
-                    onChange: (e) => setFormData(prev => ({
-                        ...prev,
-                        triggerConfig: { ...prev.triggerConfig, distance: parseFloat(e.target.value) || 0 }
-                    })),
+                    value: trigger.triggerConfig.distance || '',
+                    onChange: (e) => onChange({ triggerConfig: { ...trigger.triggerConfig, distance: parseFloat(e.target.value) || 0 } }),
                     style: {
                         width: '100%',
                         padding: '8px',
@@ -1276,11 +1453,8 @@ const BehaviorsTab = ({ asset, assets, onAddBehavior, onUpdateBehavior, onDelete
                 }),
                 React.createElement('label', { style: { display: 'block', marginBottom: '5px', marginTop: '10px', fontSize: '12px' } }, 'COMPARISON:'),
                 React.createElement('select', {
-                    value: formData.triggerConfig.comparison || 'lte',
-                    onChange: (e) => setFormData(prev => ({
-                        ...prev,
-                        triggerConfig: { ...prev.triggerConfig, comparison: e.target.value }
-                    })),
+                    value: trigger.triggerConfig.comparison || 'lte',
+                    onChange: (e) => onChange({ triggerConfig: { ...trigger.triggerConfig, comparison: e.target.value } }),
                     style: {
                         width: '100%',
                         padding: '8px',
@@ -1294,6 +1468,253 @@ const BehaviorsTab = ({ asset, assets, onAddBehavior, onUpdateBehavior, onDelete
                     React.createElement('option', { value: 'gt' }, 'Greater Than (>)'),
                     React.createElement('option', { value: 'eq' }, 'Equal To (≈ ±0.5 NM)')
                 )
+            )
+        );
+    };
+
+    return React.createElement('div', { style: { color: '#00FF00' } },
+        // Header with behavior count
+        React.createElement('div', { style: { marginBottom: '15px', display: 'flex', justifyContent: 'space-between', alignItems: 'center' } },
+            React.createElement('div', { style: { fontSize: '14px', fontWeight: 'bold' } },
+                editMode ? 'CREATE/EDIT BEHAVIOR' : `BEHAVIOR ${currentBehaviorIndex + 1} OF ${behaviors.length}`
+            ),
+            !editMode && React.createElement('button', {
+                onClick: handleNewBehavior,
+                style: {
+                    padding: '5px 15px',
+                    backgroundColor: '#00FF00',
+                    color: '#000',
+                    border: 'none',
+                    cursor: 'pointer',
+                    fontWeight: 'bold'
+                }
+            }, 'NEW')
+        ),
+
+        // View Mode
+        !editMode && behaviors.length > 0 && currentBehavior && React.createElement('div', {},
+            // Trigger Display
+            React.createElement('div', { style: { marginBottom: '15px', padding: '10px', border: '1px solid #00FF00' } },
+                React.createElement('div', { style: { fontWeight: 'bold', marginBottom: '5px' } }, 'TRIGGER:'),
+                ...renderTriggerSummary(currentBehavior),
+                ...(currentBehavior.conditions || []).map((condition, idx) =>
+                    React.createElement('div', { key: idx, style: { marginTop: '8px', paddingLeft: '10px', borderLeft: '2px solid #00FF00' } },
+                        React.createElement('div', { style: { fontWeight: 'bold' } }, currentBehavior.conditionLogic === 'or' ? 'OR' : 'AND'),
+                        ...renderTriggerSummary(condition)
+                    )
+                ),
+                currentBehavior.repeat && React.createElement('div', { style: { marginTop: '5px' } },
+                    'Repeat: every ' + Math.max(1, currentBehavior.repeat.cooldown || 0) + ' s, ' +
+                    (currentBehavior.repeat.limit ? `${currentBehavior.fireCount || 0} of ${currentBehavior.repeat.limit} fired` : `fired ${currentBehavior.fireCount || 0} time(s)`)
+                ),
+                React.createElement('div', {
+                    style: { marginTop: '5px', color: currentBehavior.enabled === false ? '#888' : currentBehavior.fired ? '#FFFF00' : '#00FF00' }
+                },
+                    'Status: ' + (currentBehavior.enabled === false ? 'DISARMED' : currentBehavior.fired ? 'FIRED' : 'ACTIVE')
+                )
+            ),
+
+            // Actions Display
+            React.createElement('div', { style: { marginBottom: '15px', padding: '10px', border: '1px solid #00FF00' } },
+                React.createElement('div', { style: { fontWeight: 'bold', marginBottom: '5px' } }, 'ACTIONS:'),
+                ...currentBehavior.actions.map((action, idx) => {
+                    // Format action display based on type
+                    let actionText = `${idx + 1}. ${action.type}`;
+                    if (action.type === 'makeVisible') {
+                        actionText = `${idx + 1}. Make Visible (uncheck HIDDEN)`;
+                    } else if (action.type === 'makeInvisible') {
+                        actionText = `${idx + 1}. Make Invisible (check HIDDEN)`;
+                    } else if (action.type === 'turnOnTrackFile') {
+                        actionText = `${idx + 1}. Turn On Track File (enable TRACK FILE)`;
+                    } else if (action.type === 'turnOffTrackFile') {
+                        actionText = `${idx + 1}. Turn Off Track File (disable TRACK FILE)`;
+                    } else if (action.type === 'armBehavior' || action.type === 'disarmBehavior') {
+                        actionText = `${idx + 1}. ${action.type === 'armBehavior' ? 'Arm' : 'Disarm'}: ${behaviorName(action.value)}`;
+                    } else if (action.type === 'fireWeapon') {
+                        const target = assets.find(a => a.id === objectValue(action).targetAssetId);
+                        actionText = `${idx + 1}. Fire ${objectValue(action).weaponName || '?'} at ${target ? target.name : 'Unknown'}`;
+                    } else if (action.type === 'spawnAsset') {
+                        const spawn = objectValue(action);
+                        actionText = `${idx + 1}. Spawn ${spawn.count || 1} × ${spawn.platform || '?'} at ${spawn.geoTarget ? geoTargetName(spawn.geoTarget) : 'this asset'}`;
+                    } else if (action.type === 'goToPoint') {
+                        actionText = `${idx + 1}. Go To: ${geoTargetName(action.value)}`;
+                    } else if (action.type === 'orbit') {
+                        actionText = `${idx + 1}. Orbit: ${action.value ? geoTargetName(action.value) : 'present position'}`;
+                    } else if (action.type === 'followRoute') {
+                        actionText = `${idx + 1}. Follow Route: ${shapeName(action.value)}`;
+                    } else if (action.type === 'setIffSquawk') {
+                        const squawk = objectValue(action);
+                        actionText = `${idx + 1}. ${squawk.mode === 'off' ? 'Stop squawking' : `Squawk Mode ${squawk.mode} ${squawk.code || ''}`}`;
+                    } else if (action.type === 'deleteSelf') {
+                        actionText = `${idx + 1}. Delete Self`;
+                    } else if (action.value !== undefined) {
+                        actionText = `${idx + 1}. ${action.type}: ${action.value}`;
+                    }
+                    if (action.delay) actionText += ` (+${action.delay} s)`;
+                    return React.createElement('div', { key: idx, style: { marginBottom: '5px' } }, actionText);
+                })
+            ),
+
+            // Action Buttons
+            React.createElement('div', { style: { display: 'flex', gap: '10px', justifyContent: 'space-between' } },
+                React.createElement('div', { style: { display: 'flex', gap: '10px' } },
+                    React.createElement('button', {
+                        onClick: handleBack,
+                        disabled: currentBehaviorIndex === 0,
+                        style: {
+                            padding: '5px 15px',
+                            backgroundColor: currentBehaviorIndex === 0 ? '#333' : '#00FF00',
+                            color: currentBehaviorIndex === 0 ? '#666' : '#000',
+                            border: 'none',
+                            cursor: currentBehaviorIndex === 0 ? 'not-allowed' : 'pointer',
+                            fontWeight: 'bold'
+                        }
+                    }, 'BACK'),
+                    React.createElement('button', {
+                        onClick: handleNext,
+                        disabled: currentBehaviorIndex >= behaviors.length - 1,
+                        style: {
+                            padding: '5px 15px',
+                            backgroundColor: currentBehaviorIndex >= behaviors.length - 1 ? '#333' : '#00FF00',
+                            color: currentBehaviorIndex >= behaviors.length - 1 ? '#666' : '#000',
+                            border: 'none',
+                            cursor: currentBehaviorIndex >= behaviors.length - 1 ? 'not-allowed' : 'pointer',
+                            fontWeight: 'bold'
+                        }
+                    }, 'NEXT')
+                ),
+                React.createElement('div', { style: { display: 'flex', gap: '10px' } },
+                    React.createElement('button', {
+                        onClick: handleEditBehavior,
+                        style: {
+                            padding: '5px 15px',
+                            backgroundColor: '#FFAA00',
+                            color: '#000',
+                            border: 'none',
+                            cursor: 'pointer',
+                            fontWeight: 'bold'
+                        }
+                    }, 'EDIT'),
+                    React.createElement('button', {
+                        onClick: handleDeleteBehavior,
+                        style: {
+                            padding: '5px 15px',
+                            backgroundColor: '#FF0000',
+                            color: '#FFF',
+                            border: 'none',
+                            cursor: 'pointer',
+                            fontWeight: 'bold'
+                        }
+                    }, 'DELETE')
+                )
+            )
+        ),
+
+        // Empty State
+        !editMode && behaviors.length === 0 && React.createElement('div', {
+            style: { textAlign: 'center', padding: '40px', color: '#666' }
+        }, 'No behaviors defined. Click NEW to create one.'),
+
+        // Edit Mode - Will continue this in next part due to length
+        editMode && React.createElement('div', {},
+            renderTriggerEditor(formData, changes => setFormData(prev => ({ ...prev, ...changes }))),
+
+            // Extra Conditions
+            React.createElement('div', { style: { marginBottom: '15px' } },
+                React.createElement('div', { style: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' } },
+                    React.createElement('div', { style: { fontSize: '12px', fontWeight: 'bold' } }, 'CONDITIONS:'),
+                    React.createElement('button', {
+                        onClick: handleAddCondition,
+                        style: {
+                            padding: '5px 15px',
+                            backgroundColor: '#00FF00',
+                            color: '#000',
+                            border: 'none',
+                            cursor: 'pointer',
+                            fontWeight: 'bold',
+                            fontSize: '10px'
+                        }
+                    }, 'ADD CONDITION')
+                ),
+                formData.conditions.length > 0 && React.createElement('select', {
+                    value: formData.conditionLogic,
+                    onChange: (e) => setFormData(prev => ({ ...prev, conditionLogic: e.target.value })),
+                    style: triggerFieldStyle
+                },
+                    React.createElement('option', { value: 'and' }, 'Fire when the trigger AND every condition are met'),
+                    React.createElement('option', { value: 'or' }, 'Fire when the trigger OR any condition is met')
+                ),
+                ...formData.conditions.map((condition, idx) =>
+                    React.createElement('div', {
+                        key: idx,
+                        style: { marginBottom: '10px', padding: '10px', border: '1px dashed #00FF00', position: 'relative' }
+                    },
+                        React.createElement('button', {
+                            onClick: () => handleRemoveCondition(idx),
+                            style: {
+                                position: 'absolute',
+                                top: '5px',
+                                right: '5px',
+                                padding: '2px 6px',
+                                backgroundColor: '#FF0000',
+                                color: '#FFF',
+                                border: 'none',
+                                cursor: 'pointer',
+                                fontSize: '10px'
+                            }
+                        }, '×'),
+                        React.createElement('div', { style: { fontSize: '11px', marginBottom: '5px' } },
+                            `${formData.conditionLogic === 'or' ? 'OR' : 'AND'} CONDITION ${idx + 1}`
+                        ),
+                        renderTriggerEditor(condition, changes => handleUpdateCondition(idx, changes), true)
+                    )
+                ),
+                formData.conditions.length === 0 && React.createElement('div', {
+                    style: { color: '#666', fontSize: '10px' }
+                }, 'Optional. Combine more triggers, e.g. "weapon launched AND range > 40 NM".')
+            ),
+
+            // Arming and Repeat
+            React.createElement('div', { style: { marginBottom: '15px', padding: '10px', border: '1px solid #00FF00' } },
+                React.createElement('label', { style: { display: 'flex', alignItems: 'center', gap: '8px', fontSize: '12px', marginBottom: '8px', cursor: 'pointer' } },
+                    React.createElement('input', {
+                        type: 'checkbox',
+                        checked: formData.enabled,
+                        onChange: (e) => setFormData(prev => ({ ...prev, enabled: e.target.checked }))
+                    }),
+                    'ARMED (uncheck to wait for an Arm Behavior action)'
+                ),
+                React.createElement('label', { style: { display: 'flex', alignItems: 'center', gap: '8px', fontSize: '12px', cursor: 'pointer' } },
+                    React.createElement('input', {
+                        type: 'checkbox',
+                        checked: !!formData.repeat,
+                        onChange: (e) => setFormData(prev => ({ ...prev, repeat: e.target.checked ? { cooldown: 60, limit: 0 } : null }))
+                    }),
+                    'REPEAT'
+                ),
+                formData.repeat && React.createElement('div', { style: { display: 'flex', gap: '10px', marginTop: '8px' } },
+                    React.createElement('div', { style: { flex: 1 } },
+                        React.createElement('label', { style: triggerLabelStyle }, 'COOLDOWN (SEC):'),
+                        React.createElement('input', {
+                            type: 'number',
+                            min: '1',
+                            value: formData.repeat.cooldown,
+                            onChange: (e) => setFormData(prev => ({ ...prev, repeat: { ...prev.repeat, cooldown: Math.max(1, parseFloat(e.target.value) || 1) } })),
+                            style: triggerFieldStyle
+                        })
+                    ),
+                    React.createElement('div', { style: { flex: 1 } },
+                        React.createElement('label', { style: triggerLabelStyle }, 'TIMES (0 = NO LIMIT):'),
+                        React.createElement('input', {
+                            type: 'number',
+                            min: '0',
+                            step: '1',
+                            value: formData.repeat.limit,
+                            onChange: (e) => setFormData(prev => ({ ...prev, repeat: { ...prev.repeat, limit: Math.max(0, parseInt(e.target.value) || 0) } })),
+                            style: triggerFieldStyle
+                        })
+                    )
+                )
             ),
 
             // Actions Section - Will add in continuation
@@ -1359,9 +1780,37 @@ const BehaviorsTab = ({ asset, assets, onAddBehavior, onUpdateBehavior, onDelete
                             React.createElement('option', { value: 'turnOnTrackFile' }, 'Turn On Track File'),
                             React.createElement('option', { value: 'turnOffTrackFile' }, 'Turn Off Track File'),
                             React.createElement('option', { value: 'transmitOnRadio' }, 'Transmit on Radio'),
-                            React.createElement('option', { value: 'sendMessage' }, 'Send Message')
+                            React.createElement('option', { value: 'sendMessage' }, 'Send Message'),
+                            React.createElement('option', { value: 'armBehavior' }, 'Arm Behavior'),
+                            React.createElement('option', { value: 'disarmBehavior' }, 'Disarm Behavior'),
+                            React.createElement('option', { value: 'fireWeapon' }, 'Fire Weapon'),
+                            React.createElement('option', { value: 'spawnAsset' }, 'Spawn Asset'),
+                            React.createElement('option', { value: 'goToPoint' }, 'Go To Geo-Point / Shape'),
+                            React.createElement('option', { value: 'orbit' }, 'Orbit'),
+                            React.createElement('option', { value: 'followRoute' }, 'Follow Route'),
+                            React.createElement('option', { value: 'changeIdentity' }, 'Change Identity'),
+                            React.createElement('option', { value: 'setIffSquawk' }, 'Set IFF Squawk'),
+                            React.createElement('option', { value: 'deleteSelf' }, 'Delete Self')
                         ),
 
+                        React.createElement('label', { style: { display: 'block', marginBottom: '5px', fontSize: '11px' } }, 'DELAY (SEC AFTER PREVIOUS ACTION):'),
+                        React.createElement('input', {
+                            type: 'number',
+                            min: '0',
+                            value: action.delay || '',
+                            placeholder: '0',
+                            onChange: (e) => handleUpdateAction(idx, 'delay', Math.max(0, parseFloat(e.target.value) || 0)),
+                            style: {
+                                width: '100%',
+                                padding: '6px',
+                                backgroundColor: '#000',
+                                color: '#00FF00',
+                                border: '1px solid #00FF00',
+                                fontSize: '11px',
+                                marginBottom: '8px'
+                            }
+                        }),
+
                         // Action-specific inputs
                         action.type === 'changeHeading' && React.createElement('div', {},
                             React.createElement('label', { style: { display: 'block', marginBottom: '5px', fontSize: '11px' } }, 'HEADING (0-359):'),
@@ -1519,7 +1968,240 @@ const BehaviorsTab = ({ asset, assets, onAddBehavior, onUpdateBehavior, onDelete
                                     React.createElement('option', { key: a.id, value: a.id }, a.name || `Asset ${a.id}`)
                                 )
                             )
-                        )
+                        ),
+
+                        (action.type === 'armBehavior' || action.type === 'disarmBehavior') && React.createElement('div', {},
+                            React.createElement('label', { style: { display: 'block', marginBottom: '5px', fontSize: '11px' } }, 'BEHAVIOR:'),
+                            React.createElement('select', {
+                                value: action.value || '',
+                                onChange: (e) => handleUpdateAction(idx, 'value', e.target.value),
+                                style: {
+                                    width: '100%',
+                                    padding: '6px',
+                                    backgroundColor: '#000',
+                                    color: '#00FF00',
+                                    border: '1px solid #00FF00',
+                                    fontSize: '11px'
+                                }
+                            },
+                                React.createElement('option', { value: '' }, 'Select Behavior...'),
+                                ...behaviors.map(b =>
+                                    React.createElement('option', { key: b.id, value: b.id },
+                                        b.id === editingBehaviorId ? `${behaviorName(b.id)} - this one` : behaviorName(b.id)
+                                    )
+                                )
+                            ),
+                            React.createElement('div', { style: { color: '#888', fontSize: '10px', marginTop: '5px' } },
+                                action.type === 'armBehavior'
+                                    ? 'Arms the behavior and resets it so it can fire again. Save a new behavior first to link to it.'
+                                    : 'Disarms the behavior and cancels its delayed actions.'
+                            )
+                        ),
+
+                        action.type === 'fireWeapon' && React.createElement('div', {},
+                            React.createElement('label', { style: actionLabelStyle }, 'WEAPON:'),
+                            React.createElement('select', {
+                                value: objectValue(action).weaponName || '',
+                                onChange: (e) => handleUpdateActionValue(idx, { weaponName: e.target.value }),
+                                style: actionFieldStyle
+                            },
+                                React.createElement('option', { value: '' }, 'Select Weapon...'),
+                                ...Object.keys(weaponConfigs || {}).map(name =>
+                                    React.createElement('option', { key: name, value: name }, `${name} (${weaponConfigs[name].type}, ${weaponConfigs[name].maxRange} NM)`)
+                                )
+                            ),
+                            React.createElement('label', { style: actionLabelStyle }, 'TARGET ASSET:'),
+                            React.createElement('select', {
+                                value: objectValue(action).targetAssetId ?? '',
+                                onChange: (e) => handleUpdateActionValue(idx, { targetAssetId: parseInt(e.target.value) }),
+                                style: actionFieldStyle
+                            },
+                                React.createElement('option', { value: '' }, 'Select Target Asset...'),
+                                ...assets.filter(a => a.id !== asset.id).map(a =>
+                                    React.createElement('option', { key: a.id, value: a.id }, a.name || `Asset ${a.id}`)
+                                )
+                            ),
+                            React.createElement('div', { style: { color: '#888', fontSize: '10px' } }, 'Holds fire if the target is beyond the weapon\'s range')
+                        ),
+
+                        action.type === 'spawnAsset' && React.createElement('div', {},
+                            React.createElement('div', { style: { display: 'flex', gap: '8px' } },
+                                React.createElement('div', { style: { flex: 1 } },
+                                    React.createElement('label', { style: actionLabelStyle }, 'DOMAIN:'),
+                                    React.createElement('select', {
+                                        value: objectValue(action).domain || 'air',
+                                        onChange: (e) => handleUpdateActionValue(idx, { domain: e.target.value, platform: '' }),
+                                        style: actionFieldStyle
+                                    },
+                                        React.createElement('option', { value: 'air' }, 'Air'),
+                                        React.createElement('option', { value: 'surface' }, 'Surface'),
+                                        React.createElement('option', { value: 'subSurface' }, 'Sub-Surface')
+                                    )
+                                ),
+                                React.createElement('div', { style: { flex: 1 } },
+                                    React.createElement('label', { style: actionLabelStyle }, 'COUNT:'),
+                                    React.createElement('input', {
+                                        type: 'number',
+                                        min: '1',
+                                        max: '12',
+                                        value: objectValue(action).count || 1,
+                                        onChange: (e) => handleUpdateActionValue(idx, { count: Math.min(12, Math.max(1, parseInt(e.target.value) || 1)) }),
+                                        style: actionFieldStyle
+                                    })
+                                )
+                            ),
+                            React.createElement('label', { style: actionLabelStyle }, 'PLATFORM:'),
+                            React.createElement('select', {
+                                value: objectValue(action).platform || '',
+                                onChange: (e) => handleUpdateActionValue(idx, { platform: e.target.value }),
+                                style: actionFieldStyle
+                            },
+                                React.createElement('option', { value: '' }, 'Select Platform...'),
+                                ...((platforms || {})[objectValue(action).domain || 'air'] || []).map(p =>
+                                    React.createElement('option', { key: p.name, value: p.name }, p.name)
+                                )
+                            ),
+                            React.createElement('div', { style: { display: 'flex', gap: '8px' } },
+                                React.createElement('div', { style: { flex: 1 } },
+                                    React.createElement('label', { style: actionLabelStyle }, 'NAME:'),
+                                    React.createElement('input', {
+                                        type: 'text',
+                                        placeholder: 'Platform name',
+                                        value: objectValue(action).name || '',
+                                        onChange: (e) => handleUpdateActionValue(idx, { name: e.target.value }),
+                                        style: actionFieldStyle
+                                    })
+                                ),
+                                React.createElement('div', { style: { flex: 1 } },
+                                    React.createElement('label', { style: actionLabelStyle }, 'IDENTITY:'),
+                                    React.createElement('select', {
+                                        value: objectValue(action).identity || asset.identity || 'hostile',
+                                        onChange: (e) => handleUpdateActionValue(idx, { identity: e.target.value }),
+                                        style: actionFieldStyle
+                                    },
+                                        ...['friendly', 'hostile', 'neutral', 'unknown', 'unknownUnevaluated'].map(id =>
+                                            React.createElement('option', { key: id, value: id }, AirspaceControl.IDENTITY_LABELS[id])
+                                        )
+                                    )
+                                )
+                            ),
+                            React.createElement('label', { style: actionLabelStyle }, 'SPAWN AT:'),
+                            React.createElement('select', {
+                                value: objectValue(action).geoTarget || '',
+                                onChange: (e) => handleUpdateActionValue(idx, { geoTarget: e.target.value }),
+                                style: actionFieldStyle
+                            },
+                                React.createElement('option', { value: '' }, 'This asset'),
+                                ...geoTargetOptions()
+                            ),
+                            React.createElement('div', { style: { display: 'flex', gap: '8px' } },
+                                ...[['heading', 'HDG'], ['speed', 'SPD (KTS)'], ['altitude', 'ALT (FT)']].map(([field, label]) =>
+                                    React.createElement('div', { key: field, style: { flex: 1 } },
+                                        React.createElement('label', { style: actionLabelStyle }, label + ':'),
+                                        React.createElement('input', {
+                                            type: 'number',
+                                            min: '0',
+                                            value: objectValue(action)[field] ?? '',
+                                            onChange: (e) => handleUpdateActionValue(idx, { [field]: parseFloat(e.target.value) || 0 }),
+                                            style: actionFieldStyle,
+                                            disabled: field === 'altitude' && (objectValue(action).domain || 'air') !== 'air'
+                                        })
+                                    )
+                                )
+                            ),
+                            ['air', 'surface', 'subSurface'].includes(objectValue(action).domain || 'air') && React.createElement('label', {
+                                style: { ...actionLabelStyle, display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }
+                            },
+                                React.createElement('input', {
+                                    type: 'checkbox',
+                                    checked: !!objectValue(action).tactics,
+                                    onChange: (e) => handleUpdateActionValue(idx, { tactics: e.target.checked }),
+                                    style: { margin: 0 }
+                                }),
+                                {
+                                    air: 'TACTICS AI (hostile fighters commit, shoot and defend)',
+                                    surface: 'TACTICS AI (hostile ships fire anti-ship missile salvos)',
+                                    subSurface: 'TACTICS AI (hostile submarines evade torpedoes and buoys)'
+                                }[objectValue(action).domain || 'air']
+                            ),
+                            React.createElement('div', { style: { color: '#888', fontSize: '10px' } }, 'Spawned assets are visible, in trail 1 NM apart')
+                        ),
+
+                        (action.type === 'goToPoint' || action.type === 'orbit') && React.createElement('div', {},
+                            React.createElement('label', { style: actionLabelStyle }, action.type === 'orbit' ? 'ORBIT AT:' : 'GO TO:'),
+                            React.createElement('select', {
+                                value: action.value || '',
+                                onChange: (e) => handleUpdateAction(idx, 'value', e.target.value),
+                                style: actionFieldStyle
+                            },
+                                React.createElement('option', { value: '' }, action.type === 'orbit' ? 'Present position' : 'Select Geo-Point or Shape...'),
+                                ...geoTargetOptions()
+                            ),
+                            action.type === 'orbit' && asset.domain !== 'air' && React.createElement('div', {
+                                style: { color: '#FFAA00', fontSize: '10px' }
+                            }, 'Only available for air domain assets')
+                        ),
+
+                        action.type === 'followRoute' && React.createElement('div', {},
+                            React.createElement('label', { style: actionLabelStyle }, 'ROUTE (LINE SEGMENT):'),
+                            React.createElement('select', {
+                                value: action.value ?? '',
+                                onChange: (e) => handleUpdateAction(idx, 'value', parseInt(e.target.value)),
+                                style: actionFieldStyle
+                            },
+                                React.createElement('option', { value: '' }, 'Select Route...'),
+                                ...(shapes || []).filter(s => s.type === 'lineSegment').map(s =>
+                                    React.createElement('option', { key: s.id, value: s.id }, `${shapeName(s.id)} (${(s.points || []).length} pts)`)
+                                )
+                            ),
+                            React.createElement('div', { style: { color: '#888', fontSize: '10px' } }, 'Replaces the waypoints with the line\'s points; label the line to name the route')
+                        ),
+
+                        action.type === 'changeIdentity' && React.createElement('div', {},
+                            React.createElement('label', { style: actionLabelStyle }, 'IDENTITY:'),
+                            React.createElement('select', {
+                                value: action.value || '',
+                                onChange: (e) => handleUpdateAction(idx, 'value', e.target.value),
+                                style: actionFieldStyle
+                            },
+                                React.createElement('option', { value: '' }, 'Select Identity...'),
+                                ...['friendly', 'hostile', 'neutral', 'unknown', 'unknownUnevaluated'].map(id =>
+                                    React.createElement('option', { key: id, value: id }, AirspaceControl.IDENTITY_LABELS[id])
+                                )
+                            )
+                        ),
+
+                        action.type === 'setIffSquawk' && React.createElement('div', { style: { display: 'flex', gap: '8px' } },
+                            React.createElement('div', { style: { flex: 1 } },
+                                React.createElement('label', { style: actionLabelStyle }, 'MODE:'),
+                                React.createElement('select', {
+                                    value: objectValue(action).mode || '',
+                                    onChange: (e) => handleUpdateActionValue(idx, { mode: e.target.value }),
+                                    style: actionFieldStyle
+                                },
+                                    React.createElement('option', { value: '' }, 'Select...'),
+                                    React.createElement('option', { value: 'I' }, 'Mode I'),
+                                    React.createElement('option', { value: 'II' }, 'Mode II'),
+                                    React.createElement('option', { value: 'III' }, 'Mode III'),
+                                    React.createElement('option', { value: 'off' }, 'Stop Squawking')
+                                )
+                            ),
+                            objectValue(action).mode && objectValue(action).mode !== 'off' && React.createElement('div', { style: { flex: 1 } },
+                                React.createElement('label', { style: actionLabelStyle }, 'CODE:'),
+                                React.createElement('input', {
+                                    type: 'text',
+                                    maxLength: 4,
+                                    placeholder: '7700',
+                                    value: objectValue(action).code || '',
+                                    onChange: (e) => handleUpdateActionValue(idx, { code: e.target.value.replace(/[^0-7]/g, '') }),
+                                    style: actionFieldStyle
+                                })
+                            )
+                        ),
+
+                        action.type === 'deleteSelf' && React.createElement('div', {
+                            style: { color: '#FFAA00', fontSize: '11px', padding: '8px', backgroundColor: 'rgba(255, 170, 0, 0.1)', borderRadius: '3px' }
+                        }, 'Removes this asset from the scenario (it is back on restart).')
                     )
                 ),
 
@@ -1664,90 +2346,8 @@ const BehaviorsTab = ({ asset, assets, onAddBehavior, onUpdateBehavior, onDelete
     );
 };
 
-// Persian Gulf coastline data (high-resolution from KML)
-const PERSIAN_GULF_COASTLINE = [
-    // Northwest coast - Kuwait/Iraq/Iran
-    [29.362739979846, 47.69535012679097], [29.37103544197162, 47.78304613822219], [29.37770406779904, 47.84633405282632], [29.3427966711758, 47.82215043810503], [29.31323251782048, 47.84212913279373], [29.33373999609603, 47.91268979397509], [29.36830760966521, 47.95231944169807], [29.38183833393841, 47.99510482041345], [29.35388882189541, 48.02403319034904], [29.3473887839088, 48.08409990983223], [29.34873058689774, 48.10804901034312], [29.26398803755654, 48.09164265494383], [29.13304004967022, 48.13090865169305], [28.96276081399268, 48.17563338288667], [28.90294991082907, 48.23208949797908], [28.87707858308545, 48.27348362549785], [28.88303964200607, 48.29275789984087], [28.83752719728932, 48.2784410651974], [28.80642303785074, 48.27933277142985], [28.77000252276914, 48.29554239628539], [28.75651888466519, 48.32286758249784], [28.73971645626172, 48.3622108651301], [28.74210304746008, 48.3918714885185], [28.72995966009418, 48.38790222376635], [28.69174603130939, 48.37571373297355], [28.66489453797152, 48.38407321193832], [28.61288716868266, 48.3912424037291], [28.58644474275849, 48.39412886657468], [28.54095348797999, 48.42346606334742], [28.50349911971444, 48.4662021954838], [28.49177057094036, 48.50445354315367], [28.4608148935228, 48.50029517144102], [28.42256434270161, 48.51060940643497], [28.41276750726853, 48.54062647546603], [28.38962915920023, 48.53246370633838], [28.35330434440102, 48.51252653599371], [28.32532352989832, 48.51064044681915], [28.28783129190019, 48.53584587551601], [28.24490061311804, 48.57894506680763], [28.21895976655942, 48.61579459111213], [28.18165275046837, 48.62167730688226], [28.13971103801806, 48.60579976249522], [28.0745862355423, 48.62624526070613], [28.02370841916106, 48.65527726159259], [28.0121579017995, 48.73108912716581], [27.99736286228089, 48.78162497529257], [27.97523396932346, 48.74239838958668], [27.95030178981006, 48.74773551023988], [27.91479083877341, 48.78400267451396], [27.89902279565163, 48.79785399677196], [27.87182633659092, 48.8402718363383], [27.8494757154631, 48.85657888900477], [27.83367764560196, 48.8803134289444], [27.81265461795592, 48.8871977379292], [27.77591535950933, 48.87326624419379], [27.74874680276708, 48.88605955699737], [27.72866144093459, 48.85039624366464], [27.7857433627047, 48.85647873097405], [27.81687823926554, 48.85273151666647], [27.80275050897059, 48.83734541524424], [27.78410542601461, 48.8352692860018], [27.76567161343662, 48.83104630752973], [27.7503518728086, 48.83023288587336], [27.73531228829741, 48.82285033132209], [27.71506747110542, 48.83462542081783], [27.70397474681889, 48.84542604579657], [27.68031649728978, 48.86368375663136], [27.66226708485101, 48.87795395384002], [27.62650808877232, 48.91216769599124], [27.58767698952231, 48.89595678960478], [27.56514767372276, 48.90469349610412], [27.57459251520096, 48.92268660437383], [27.59464109995814, 48.92569004459112], [27.60639414458684, 48.93942875519843], [27.62092368795009, 48.95773401326306], [27.6201119543849, 48.97245320051514], [27.61294833014528, 48.98933688979626], [27.60524105696468, 48.99620031614153], [27.5813458256208, 49.01925475289241], [27.56822038173939, 49.0372533402556], [27.5617523774251, 49.06800447616851], [27.53968987095302, 49.10668626054857], [27.53235581568742, 49.15043293771129], [27.5414675803881, 49.17698841289483], [27.54559777651491, 49.21530265084125], [27.52629156175437, 49.23715640320451], [27.48942199307841, 49.27983792914928], [27.47266859790311, 49.30257939044667], [27.44604763213733, 49.31665941291521], [27.42635495821904, 49.30985754673539], [27.41764528286118, 49.29906662390326], [27.43467924534061, 49.29483371686963], [27.42988583757772, 49.27881232338498], [27.4267643764653, 49.26034730418309], [27.43191807585761, 49.2445991340882], [27.42366130097835, 49.23366332853881], [27.41147711179321, 49.25138460303861], [27.39752269329243, 49.26425421500796], [27.38429673150419, 49.26699448457246], [27.36620691625296, 49.24762349427508], [27.35896696507879, 49.23500704265319], [27.34257342787321, 49.24226376264184], [27.33447723221879, 49.23556500819178], [27.32240907081375, 49.22184092421178], [27.31187429808326, 49.22827167546347], [27.3126916367439, 49.2440854515757], [27.32895120371398, 49.26169958839068], [27.34337581252173, 49.27184954728768], [27.33737638273126, 49.29496086919296], [27.332214771998, 49.31217773248061], [27.28739237844328, 49.31517735880237], [27.25941611365752, 49.32778897802676], [27.23468235932625, 49.31973018786357], [27.20887020369031, 49.31724589491909], [27.19857923393602, 49.32794414477137], [27.17505879577316, 49.32964138750945], [27.16247231871798, 49.34012532208418], [27.15464526975243, 49.35440143340904], [27.1712274766907, 49.36401244645783], [27.19368108386228, 49.36391170089672], [27.19973941498024, 49.38499532166435], [27.19531574465035, 49.39970765318517], [27.1873313181851, 49.40662754667735], [27.16373829229759, 49.40639209847733], [27.14077164150095, 49.38893621998884], [27.13945529024699, 49.37232273151893], [27.11831674339943, 49.38505360794399], [27.11043880378798, 49.40925940464875], [27.13848456440684, 49.42986914592497], [27.14712075441977, 49.46662067579724], [27.1265163908605, 49.47379167011563], [27.13040381071011, 49.49733627190886], [27.15734120857412, 49.49268263290568], [27.18327132458876, 49.5260269875886], [27.16404058479086, 49.55274930335081], [27.18328673433261, 49.57846048734046], [27.16205577180805, 49.58937851341028], [27.15026963123653, 49.5739788587245], [27.12338392993765, 49.57461070687804], [27.09923643705313, 49.58167059544461], [27.06678512951412, 49.61805191186063], [27.02703358756934, 49.6442713217411],
-    // Saudi Arabia eastern coast
-    [27.02705324760176, 49.64442367426901], [27.02356315703405, 49.64626041170332], [27.02387110948356, 49.652561092387], [27.02285104835295, 49.66494148690342], [27.02769332323176, 49.66328227100482], [27.02973562028309, 49.66862507425854], [27.02262778445744, 49.67675114711678], [27.03246672472802, 49.68892938880483], [27.02844334464723, 49.69385692625603], [27.01856598228698, 49.68235533687436], [27.01313086266366, 49.68036688755326], [27.01034588271667, 49.66903415025619], [27.0027511416355, 49.67183349539255], [26.99609364305722, 49.67116051333321], [26.98996769142334, 49.66640361921544], [26.9811598336394, 49.67050608635027], [26.97776397933928, 49.67658282347252], [26.97905850326825, 49.68368362294901], [26.98285389075773, 49.68933214311717], [26.97644220929816, 49.69387216264155], [26.97158371460691, 49.68907333964436], [26.96243267777922, 49.69335476905932], [26.95281598942299, 49.70379288508404], [26.94881665489661, 49.71139958214718], [26.94433666763331, 49.72220797919294], [26.93907286322699, 49.73472462781469], [26.92469118948771, 49.74573281032587], [26.91064202879203, 49.76598947302106], [26.9047059931024, 49.7776836291876], [26.89307229147828, 49.8045709136645], [26.87962543539856, 49.82448375650021], [26.87720377334114, 49.83927569545293], [26.87398502653166, 49.84943975845476], [26.86491121684606, 49.86237321131537], [26.85870178039362, 49.87084534294237], [26.85546292693826, 49.90720520408686], [26.85346757632348, 49.9509049974695], [26.85103273413002, 49.95522256892664], [26.84254134600754, 49.96007426888714], [26.83670005597616, 49.97041414769412], [26.8236357041947, 49.98974505758276], [26.82069538547858, 49.99814066819934], [26.81152483475976, 50.0029302736573], [26.78253812186561, 50.02431244839551], [26.76918165331779, 50.03778046600363], [26.75968876387441, 50.04312681993306], [26.74107922812602, 50.0677661112075], [26.71821763554312, 50.08214523805297], [26.70674284268519, 50.10176677629357], [26.69999673848042, 50.10542020381371], [26.6890886817381, 50.12025190951388], [26.67700696929432, 50.13142386503071], [26.65458592218706, 50.14813163669987], [26.6479329808364, 50.16113147361743], [26.63684932643389, 50.16525411817954], [26.62730385047082, 50.16360640249039], [26.6327871301465, 50.15663807328841], [26.64698983069927, 50.14586074879975], [26.66837957674928, 50.13016216645328], [26.67735515746856, 50.11964939751313], [26.67564668018043, 50.10382987042338], [26.6853378271186, 50.08330896629561], [26.68108597580312, 50.05998720750681], [26.67161220756711, 50.043822395781], [26.67378032925328, 50.02879396197417], [26.69300955833759, 50.02934989636935], [26.73539483893357, 50.00413219130337], [26.73457053810801, 49.99302950130953], [26.71247573964558, 49.98661274454138], [26.6763014848996, 49.98932965056589], [26.65996106297644, 49.9900667985662], [26.65645405654197, 50.0118147454719], [26.64622290523995, 50.01575073725866], [26.62546301167906, 50.01319995052201], [26.60448412731834, 50.01859627615362], [26.582496808162, 50.02139082703306], [26.58838007243183, 50.03207886761251], [26.59551809075142, 50.05277598541655], [26.59826682305081, 50.07207425004555], [26.58548210906353, 50.08665935830546], [26.56473258988605, 50.09214377597122], [26.54959804777767, 50.08447271983419], [26.53657646764626, 50.07211181639144], [26.54160848964845, 50.04538158447258], [26.55166529776345, 50.03249992781566], [26.53829184396034, 50.03072343143116], [26.52949240074712, 50.04254824979882], [26.50108575664832, 50.04947609870089], [26.48041474574309, 50.06621807674384], [26.46809318321726, 50.07796759885397], [26.47993148306423, 50.08299301897371], [26.48085883996455, 50.09964161394035], [26.49262832771563, 50.1155913825037], [26.49920374165023, 50.11849396838649], [26.49843073820374, 50.13434891745401], [26.4575746080067, 50.13618566204665], [26.44632355038439, 50.14674217295631], [26.45436461495202, 50.15463109316094], [26.46755559615825, 50.16840589149142], [26.48177338913787, 50.17440420950627], [26.48987610081437, 50.17889907143893], [26.52109135016672, 50.19030261132083], [26.49751253460696, 50.22090467377168], [26.46685996915177, 50.21048710368972], [26.44279158508066, 50.20463598106671], [26.41852952432559, 50.21942469380834], [26.37188979515013, 50.24015663743656], [26.32784569402419, 50.23295797419765], [26.25733544109761, 50.22442031390927], [26.18056508399698, 50.2237260565035], [26.15808076239823, 50.19571157021147], [26.14796354881483, 50.16917658738512], [26.10176353316136, 50.16403853010091], [26.04340275857583, 50.15681248096449], [26.0231945633497, 50.13772735958902], [26.05199963459062, 50.11792634974211], [26.09879626247162, 50.11065115732928], [26.12183793961595, 50.08554474973456], [26.14876955906252, 50.06345304657461], [26.18214497207716, 50.05241091634505], [26.19797935919285, 50.02704131204388], [26.16754926105135, 50.01406124351119], [26.12606971094491, 49.99527673974687], [26.09515490156893, 49.98170627401133], [26.08287743246124, 49.9979200624599], [26.03335448480656, 49.99474045050955], [25.99143076837207, 50.00383080224352], [25.99253184986523, 50.02323272505452], [26.0028734041563, 50.05162750343987], [25.98531035198135, 50.07389293159618], [25.98247079980824, 50.11005675575576], [25.95697331334445, 50.11825084743846], [25.93197421618638, 50.12841779783417], [25.91970507031847, 50.10757877414094], [25.81084133638192, 50.14378929277124], [25.70578875670218, 50.23344186523173], [25.59922114297034, 50.2912938634102], [25.50791405622413, 50.40055968277333], [25.42724891080401, 50.46986860807198], [25.33477951233779, 50.52644690263656], [25.19995072995599, 50.54418033652198], [25.06988981871546, 50.5829391335044], [24.93546944067575, 50.66697122395959], [24.82983648365879, 50.74301464182899], [24.76647221967511, 50.74880828559648], [24.73554432503348, 50.78655894653473], [24.74332311272736, 50.82210562285611], [24.77351872668544, 50.85669515487564], [24.86099893055199, 50.85132358508607], [24.95898790007987, 50.80937265439603], [25.06211520565489, 50.79790223689832], [25.1540174114601, 50.76779932224112], [25.25967035086254, 50.7667514668296], [25.44949328486212, 50.76859971220759], [25.53304911153838, 50.78752005177065], [25.47141379466137, 50.83629942841311], [25.5723418458954, 50.82975619871582], [25.61944968636911, 50.79497905967578], [25.60757107349294, 50.87702311664493], [25.51757213892248, 50.8957439024573], [25.59028957421601, 50.92396888667346], [25.60253574250321, 50.95667776686696], [25.63135652112587, 50.97925366871092], [25.6352323047664, 50.94711364233711], [25.62505702203529, 50.93133440319193], [25.63155678492307, 50.91506163873182], [25.65641015856653, 50.90049733282035],
-    // UAE coast
-    [25.65716083275897, 50.90170575990749], [25.68147696492986, 50.89773161034381], [25.71857479225816, 50.8954911439477], [25.73949294722928, 50.91686676106349], [25.75871945836478, 50.91008866909237], [25.7845751252068, 50.90836702545932], [25.79460915983987, 50.92274696351791], [25.80887571369417, 50.93098415085969], [25.80629389630451, 50.94663737233623], [25.79239730882586, 50.95719817710234], [25.77600525825683, 50.96257652228878], [25.76452660286184, 50.95584316275358], [25.77463157973698, 50.97567480371352], [25.78237282687364, 50.98648588513267], [25.78982235797762, 50.98246344811772], [25.80136570299747, 50.99099761934627], [25.8210458515305, 50.98515757250075], [25.82759528044297, 50.96077005468135], [25.85835092454429, 50.9552759557918], [25.88996810471103, 50.97901883341721], [25.91380775540743, 50.99537525248765], [25.95574954963699, 50.98876030091325], [25.98416736628879, 50.99214776651995], [25.95380103698773, 51.01227399193174], [25.98763438369054, 51.0319745498081], [26.01938296207173, 51.03962313130463], [26.04188184540632, 51.0380355164092], [26.07554628555181, 51.09440849099342], [26.07648578114036, 51.12577648644566], [26.09879289099162, 51.15138177526531], [26.12753975086157, 51.17380600398057], [26.15223756264971, 51.211812976254], [26.15592700396044, 51.25450597631675], [26.14049608217642, 51.2921248651346], [26.11742241367045, 51.34005046723046], [26.07698459956022, 51.35796485026632], [26.04493410516451, 51.36323832953113], [26.02074062295535, 51.38183384289891], [25.99588583240877, 51.40673409444089], [25.96032439465812, 51.4116489197141], [25.9513835549339, 51.44632708077301], [25.95407437271502, 51.49351180974647], [25.94118643738382, 51.53697138554566], [25.90479771242735, 51.57708110954022], [25.85209225558815, 51.585254408003], [25.77901047581922, 51.60274952543374], [25.71986997723302, 51.58911200442687], [25.67696137256, 51.58782006283973], [25.65433845256044, 51.55749189795174], [25.6192528038682, 51.55374295568902], [25.59746833563727, 51.50444468137229], [25.58200294407754, 51.48970981978584], [25.52375027303368, 51.48931340834976], [25.4952407939834, 51.49459332696657], [25.46076933558775, 51.52085151714988], [25.41677524186116, 51.5335715259009], [25.35529783250155, 51.5341166354718], [25.32313602031736, 51.53749847889264], [25.29985305497469, 51.52549367837054], [25.28149461910185, 51.55418734014507], [25.29664179276036, 51.59079490862999], [25.29717906865323, 51.61291850248678], [25.27223266822733, 51.62260132844945], [25.25300592823463, 51.63093053622866], [25.23570164949857, 51.60955098042518], [25.19727979487261, 51.61980799441835], [25.13870117139228, 51.62043745509212], [25.07516567588837, 51.62048061121978], [25.02735892340913, 51.60831099770498], [24.94167176968926, 51.58939425675127], [24.87210694829982, 51.53409303749797], [24.8339275779665, 51.50028446266774], [24.74043284328953, 51.48454260719361], [24.69425854974229, 51.45252618738996], [24.64903360408211, 51.43448291475705], [24.62212222383731, 51.43841916181864], [24.59864433331233, 51.46903422450045], [24.58521979076352, 51.50909865350522], [24.5409587640296, 51.44979843608721], [24.46239652420145, 51.38007676632328], [24.41280482379771, 51.32790685112604], [24.28630356933485, 51.29794655616669], [24.28823051520193, 51.38088267518725], [24.3157954794711, 51.48299934710469], [24.25502129294205, 51.52900870761734], [24.25792848675743, 51.58303055210015], [24.34570649461978, 51.56851745070327], [24.33607808497208, 51.6294320314971], [24.28129244162631, 51.71320543581783], [24.28539429263386, 51.76493911677075], [24.19000585862705, 51.78547655018865], [24.12536403045356, 51.78607153918119], [24.03630047799832, 51.80261147634531], [24.00207045012229, 51.8239539881333], [23.98694115810612, 51.89145527968929], [23.99887391673576, 51.9818984810119], [23.94740834419009, 52.09964400837178], [23.95927597444117, 52.22900903622538], [24.00239933432923, 52.32151301308593], [24.06418944880516, 52.43927197088093], [24.12381621453524, 52.50389022176298], [24.15181604923597, 52.54797305104738], [24.19771926694004, 52.59954347599109], [24.15258458482505, 52.67062646025488], [24.12975489817441, 52.7560273881566], [24.13357170488513, 52.91523082618594], [24.14328810102479, 53.02462099067551], [24.12461292720342, 53.22600514715216],
-    // Oman coast
-    [24.12600295303031, 53.21875506318923], [24.11969795245916, 53.38428100695228], [24.04721712584968, 53.64503491358433], [24.07666292010559, 53.98852851822995], [24.14578023665765, 54.07853357180954], [24.19071860926684, 54.16436601736762], [24.24767674715092, 54.10004423421276], [24.31913766693351, 54.1193589470617], [24.37603760160576, 54.1996301067178], [24.55497758941722, 54.43033608066978], [24.63921724096035, 54.58212687745649], [24.81977579615055, 54.70928348122087], [24.8990592873844, 54.89587992757362], [25.00774310505677, 55.04093282880707], [25.10222948954171, 55.15398339822956], [25.28263621097551, 55.29544231249609], [25.45335911797874, 55.49358435430156], [25.61227126823007, 55.63524118052776], [25.73036359555809, 55.83127146206406], [25.81210026208424, 55.94981716131406], [26.01876526738378, 56.05982011711189], [26.17104933396902, 56.15871045137941], [26.23402192447403, 56.20354154180887], [26.22605661534324, 56.29221407615344], [26.29506556693573, 56.32278135402083], [26.40097525139682, 56.3957804745719], [26.29842205038239, 56.48872316985324], [26.17020649441785, 56.40948438659446], [26.01674011658505, 56.46298204844459], [25.87913267153234, 56.40184413185427], [25.77981451908449, 56.34760732875994], [25.7198931888227, 56.29315800626342], [25.64298160849766, 56.27706028024411], [25.60658979974734, 56.3182912672122], [25.59562210706842, 56.35786521335482], [25.52738734627675, 56.36448296635899], [25.22355775000066, 56.37854255608811], [25.01342218186323, 56.39031927634742], [24.83217361399143, 56.42696688025775], [24.68563586398005, 56.49494443453508], [24.5123943797098, 56.61338344388702], [24.39743420930938, 56.75028722231026], [24.26037375864488, 56.82055733279176], [24.10511334138644, 56.95549851035566], [23.9785028809605, 57.1154069937874], [23.8939578702375, 57.32686956564233], [23.81838965392729, 57.51601313901853], [23.75338176737095, 57.76430202922494], [23.71345890168819, 57.89905423026545], [23.70880126452129, 58.07945161406328], [23.68999414983332, 58.1588867385672], [23.64144506066609, 58.24362449017362], [23.59612387968723, 58.35227494176036], [23.61350557208782, 58.47739790442857], [23.63081834899839, 58.57917213211036], [23.57024508907826, 58.61716897572633], [23.54120802475841, 58.68268739696241], [23.5155793080001, 58.77175248837404], [23.44841021960845, 58.78903013870592], [23.39547991624105, 58.8144833396139], [23.33851323609182, 58.88224214089382], [23.30288197906548, 58.93121843983869], [23.22927718122163, 58.97071134170092], [23.15219985334388, 59.02547686546213], [23.07250679443032, 59.05793162632275], [23.00978828397068, 59.11861544631587], [22.97782030957097, 59.17857338061201], [22.89166714911653, 59.22781385534368], [22.85060184714803, 59.25581452324819], [22.84027207263209, 59.26471451491503], [22.80346003345322, 59.27123470002081], [22.76521112766059, 59.29196694153022], [22.74808179325468, 59.3518979540049], [22.70587160929718, 59.35433671724378], [22.6726774318342, 59.40938108897883], [22.60969901190415, 59.47751936966715], [22.57614659425485, 59.55193956370838], [22.56680214541115, 59.64182318149508], [22.54141784546401, 59.7269234617026], [22.54555800927798, 59.80033697136992], [22.48992793314173, 59.83701284863444], [22.42698204097238, 59.84359660159816], [22.40299778525068, 59.82352173720727], [22.36955172669856, 59.82280919481883], [22.33638306051496, 59.82209920272869], [22.30595471402026, 59.82694466610727], [22.25474409039142, 59.81466625238687], [22.20951458242703, 59.81200244473902], [22.16842869340804, 59.7618683076447], [22.06238417585248, 59.69114853976341], [21.99367739562976, 59.68263230887212], [21.90517008528615, 59.60328734733515], [21.85484471500446, 59.57163215439429], [21.77644356883025, 59.51569206570088], [21.72640052055073, 59.47054075762176], [21.68221242086886, 59.48030074477698], [21.62291201439212, 59.44540394041023], [21.51967099191064, 59.38719120959387], [21.45400727608873, 59.34616075355449], [21.42242884873736, 59.35282819168365], [21.38085759432982, 59.21879232410884], [21.27066252940752, 59.08430707021286], [21.16357435231987, 58.98118031557114], [21.08219111294111, 58.87521155099487], [20.98482315254149, 58.81031369694297], [20.9034426993566, 58.77968635108223], [20.84409485324602, 58.74575818509442], [20.68868188988185, 58.68794550677072], [20.592097324215, 58.60487316623752], [20.39893019065922, 58.50676482546261], [20.33509944581309, 58.38022208655958], [20.34502111408592, 58.28307840799782], [20.38792052904004, 58.19401728469271], [20.53450014495201, 58.25764702382457], [20.5933404806687, 58.25379392450553], [20.58169020973466, 58.12703766007976], [20.46628755593003, 58.04030699051958], [20.39093457173872, 57.9178976667525], [20.34061224625737, 57.98508770132828], [20.2449821859652, 57.90447086268667], [20.19777443203797, 57.84611846918035], [20.09598922660533, 57.84435857896525], [19.9470375630924, 57.80535612640626], [19.74717670558265, 57.69295318515986], [19.67177734065442, 57.71242970694491], [19.60120078108847, 57.71774439427388], [19.49124535323894, 57.74418893797834], [19.40247897874353, 57.78166692478845], [19.28569674153302, 57.75840800325311], [19.17050617294811, 57.75449123883461], [19.08029151370868, 57.83085178178512], [18.97647205063426, 57.85043278911841], [18.9436575263467, 57.73642401419902], [18.92335115939865, 57.49953901876331], [18.89951312802856, 57.27334775416995], [18.83737177270126, 56.99060524967425], [18.73033701387041, 56.77991641316688], [18.57764071739604, 56.63193288719062], [18.43270037907126, 56.6163845913357], [18.14543285909993, 56.56130056285922], [18.05660503306663, 56.49114326884407], [17.95672366264127, 56.39850728261833], [17.88214183758977, 56.33274491125525], [17.9233037207081, 56.16485319929691], [17.89872678362541, 55.88140674586849], [17.87813899267141, 55.80555896238968], [17.85993064426301, 55.60295924456074], [17.7879040669914, 55.42383545369876], [17.69591026787856, 55.37464750464634], [17.60856448349606, 55.28041335521699], [17.4928528853832, 55.23242904540757], [17.36535090399545, 55.31160529262832], [17.22198254489751, 55.25790103270338], [17.10339746684913, 55.14113866752108], [16.98199074507732, 54.98690840157447], [16.92624220623773, 54.80462471314694], [16.95867808035771, 54.68655865697966], [17.01653434119351, 54.54718806179453], [16.98491663887042, 54.21390918333228], [16.91369010900253, 53.96103915889694], [16.84685087595318, 53.70366128481261], [16.75487222290486, 53.54809749772002], [16.62451821561428, 53.01518392073681], [16.39231965526736, 52.41519362927499], [16.20861035907269, 52.25071272840481], [15.91537218831226, 52.16012065162831], [15.75752534416388, 52.21586190743519], [15.62507690720476, 52.21887921160111], [15.42295455714522, 51.73141089297204], [15.27746934225289, 51.57567020314605], [15.08133588195167, 50.77603819373101], [14.88317458450164, 50.29751572348729], [14.75987521349425, 50.00572976044891], [14.69455091668209, 49.44937455858641], [14.40967912695764, 48.99098914024431], [14.04741809429719, 48.80825765934281], [14.00538481132088, 48.49219128686244], [13.96054938081848, 48.30466512483947], [14.01436301157167, 48.0271980789074], [13.89149770225559, 47.7169327604364], [13.730038012432, 47.50397786007001], [13.62239471057608, 47.27173915582942], [13.55709260552895, 46.98355351388067], [13.39937717054382, 46.71978998771436], [13.39834909265336, 46.400647070773], [13.40698855282875, 45.98228213006319], [13.36315070943404, 45.72119509065502], [13.22718006748132, 45.55637083423315], [13.04977543253555, 45.3798546712183], [12.98822662299519, 45.19180878230444], [12.91456953342253, 45.08143130346485], [12.80770039372491, 45.05263303734816], [12.70066252078245, 44.91174635432694], [12.72096832384785, 44.81434854016933], [12.78376558876294, 44.67972214448321], [12.80468343586951, 44.48511478064076], [12.66870892494596, 44.43926391617336], [12.63096804173576, 44.26935014081417], [12.62850362518602, 44.14229353197928], [12.60106767181025, 43.94084563114711], [12.69387595436122, 43.66713762239474], [12.67948497241076, 43.49429665392366], [12.73573436061859, 43.45410463921739], [12.80678734457007, 43.47535670788859], [12.90141016226668, 43.4100218123311], [13.06818861689249, 43.31792832703051], [13.25622293840067, 43.21020880387223], [13.48871093107565, 43.24972344780964], [13.71303910980416, 43.27492143291563], [14.08563271638416, 43.10955809613814], [14.57914144879683, 42.98773287744154], [14.91013226727155, 42.9276399806002], [15.16717339800771, 42.81961910523754], [15.47061207274044, 42.7599375781096], [15.67517739735908, 42.67909657330632], [15.93627880017615, 42.77641551301811], [16.16767690867453, 42.8221909255651], [16.54316344044027, 42.69258839923752], [16.76717091764869, 42.60671179225586], [16.93931891813185, 42.49921271993629], [17.0991101587453, 42.35944949941342], [17.41311275853257, 42.24490890679058], [17.70958185617155, 41.97807655591547], [17.85997224072822, 41.69099544730513], [18.35456456130659, 41.43444449563136], [18.67234325785721, 41.1918070405668], [18.9951831819738, 41.14314886480423], [19.47150716821487, 40.9340980219759], [19.69494237820877, 40.73085852235353], [19.93388863873991, 40.49281271780466], [20.15642997495969, 40.11723093811415], [20.31748640062717, 39.78377256309595], [20.71837114620712, 39.47008282536585], [20.98806161686894, 39.23048918958775], [21.35712024784057, 39.10077791445759], [21.62294712628709, 39.13369368201644], [21.85765124068651, 38.98160581002888], [22.06620322272934, 38.93575161210267], [22.27545506071028, 39.09888376014094], [22.52234677262776, 39.05252711911346], [22.75986848147541, 38.93195765478242], [23.13523208504303, 38.7622494622737], [23.49507975960375, 38.52527621997542], [23.78049587592655, 38.35666979598054], [23.95871015327163, 38.12062662627488], [24.15363665094105, 37.8133926704734], [24.23316896047933, 37.54349018876129], [24.48869215299895, 37.38795950880032], [24.71905649398416, 37.12350375131982], [25.09300991048885, 37.22737860652139], [25.34286680267843, 37.06126755996095], [25.72733732995582, 36.74669116669126], [26.08798162862558, 36.54002361664909], [26.56917738597021, 36.22859646070088], [26.89853608448528, 35.97413009945547], [27.15461246931732, 35.86362190550097], [27.50218537232056, 35.54866889361511], [27.8911073489466, 35.32233378444313],
-    // Iran coast
-    [29.3630710093784, 47.69451494467255], [29.48853279202578, 47.85791469567905], [29.55065101534365, 48.00213064546049], [29.52541632590453, 48.14633315408413], [29.5501818397548, 48.26220164516374], [29.66620981664044, 48.3515812504459], [29.75341402668571, 48.39229938550303], [29.8271655681501, 48.37169750497442], [29.89836843415788, 48.42363782130669], [29.84573587742652, 48.55125295701794], [29.80507565315308, 48.62504992376957], [29.92351663509372, 48.71263873876262], [30.05487699053969, 48.75017105743748], [30.00311089241972, 48.94875629454575], [30.08739095470234, 49.16621667291098], [30.15047701412148, 49.33548674041883], [30.09644916846861, 49.4800228141493], [29.95293809179967, 49.53143448712704], [30.08897585006953, 49.74595878988058], [30.2014066293587, 50.00307312621057], [30.00308855059386, 50.13742303438497], [29.8587605287009, 50.22950859757266], [29.66995756929751, 50.34847936790843], [29.51130257883906, 50.51984004797619], [29.40711372717061, 50.63916623134492], [29.29882105033526, 50.65352650910498], [29.1095213310015, 50.63958691508223], [29.08310381624124, 50.72661405752098], [29.02801717386986, 50.85193202555166], [28.87669361474165, 50.82285544196534], [28.80714001911365, 50.93205219065609], [28.81672290316913, 51.00410864232614], [28.65285812966256, 51.08072448198459], [28.54437997158361, 51.07024230701319], [28.38684654293765, 51.12756787659696], [28.24916656225347, 51.26936617981935], [28.15017516249074, 51.26172633371365], [28.02508877186577, 51.30270813580739], [27.86938224806243, 51.46279959198267], [27.81359690493269, 51.60592934277918], [27.82421934115606, 51.75672538608204], [27.81421163956926, 51.96830953156027], [27.7547074378825, 52.15769593911217], [27.63402889683396, 52.38470137172195], [27.57952789096283, 52.5016271770395], [27.52244495258446, 52.56131676183366], [27.46833594325748, 52.59640993425518], [27.45637043101377, 52.66538582924098], [27.439220807907, 52.67934382424742], [27.41652704005346, 52.68055896898925], [27.40325309039391, 52.66619402382143], [27.39980811895161, 52.62966083935505], [27.39232713960945, 52.58877660011269], [27.36077063392259, 52.58238593597597], [27.33467459619699, 52.63250494693976], [27.23675708652958, 52.77436638424268], [27.1833350803638, 52.87907966681657], [27.14361121133904, 52.97334448618098], [27.0826512021152, 53.10220097705729], [27.03067883762564, 53.26683566013406], [26.98504084867555, 53.43367460822587], [26.95708562742175, 53.47772103624161], [26.88618501797854, 53.48084684395054], [26.84478622518554, 53.46818658342936], [26.78459399488427, 53.55838675876784], [26.74707057180788, 53.66530523223739], [26.69700920416602, 53.7443296808179], [26.71737879232177, 53.81180287566916], [26.70511455617534, 53.92826708420071], [26.74500392847064, 54.01094779023265], [26.72187193391018, 54.07220011374579], [26.70349433322481, 54.19431854801385], [26.71164517919444, 54.28805948978821], [26.66740545755421, 54.34879610123444], [26.59727091789129, 54.37114342369616], [26.56755308071338, 54.46167867716807], [26.57294383504277, 54.46649030756285], [26.59645693690799, 54.50971835457999], [26.55437154162193, 54.57770371575072], [26.50292792214704, 54.59527159457734], [26.48385754314626, 54.6526438165907], [26.49994010826835, 54.73495604407796], [26.49314103811355, 54.82707495936909], [26.53760643182775, 54.88952689136505], [26.63446452293726, 55.0498402583292], [26.72930732162522, 55.19801021960766], [26.78679170679406, 55.28137441580423], [26.73781552756882, 55.3885825499053], [26.73507604630702, 55.4777850388919], [26.79995556876605, 55.55998251494675], [26.88306007976158, 55.56952637058873], [26.96516360057058, 55.64280868317915], [26.97748361447425, 55.69062354042335], [26.97491377229831, 55.75498359405034], [27.00029598487352, 55.87743321828322], [27.03229072017202, 55.96515038670886], [27.09351906209925, 56.05592048396039], [27.13465062100578, 56.1379173830131], [27.13431034948272, 56.20349100465665], [27.18000393323535, 56.28085111644454], [27.17984753011914, 56.41076691710177], [27.17048519872868, 56.5065629682727], [27.13643716831453, 56.65480260072563], [27.10709610945206, 56.76585820738133], [27.05086270054153, 56.83164956169606], [26.96767735023004, 56.87945914629153], [26.90208240427064, 56.94708641161004], [26.7664622744992, 57.03184820378203], [26.63644229571843, 57.07159039195999], [26.54387833533174, 57.07373989761491], [26.45493174059408, 57.05637215737326], [26.40994719679288, 57.05763626137524], [26.30616925256406, 57.08903587474401], [26.2196690489094, 57.15204853548445], [26.17456222731467, 57.21351882727667], [26.11616633673311, 57.20021676048563], [26.05916982883493, 57.17193313919983], [25.99010901607023, 57.21534605031251], [25.91843709247698, 57.27118648811474], [25.82847481728753, 57.29620474977246], [25.77924663019112, 57.31016722182316], [25.75088589762288, 57.39016472425579], [25.72517223395861, 57.48356530705881], [25.72351690256618, 57.60982348573911], [25.73624513668782, 57.7162711812622], [25.71143812184033, 57.77887997013941], [25.67526887318747, 57.77501758561984], [25.63711737860162, 57.77296441586197], [25.66440951654259, 57.84206431103741], [25.70257357729536, 57.94934828905214], [25.64984625353484, 57.98831055685201], [25.59766474262654, 58.03380092696658], [25.5587194250462, 58.09551900472627], [25.55161924316254, 58.19118407012643], [25.58283501703418, 58.29937010146961], [25.57844999150313, 58.40634475432664], [25.58967585023337, 58.52169603060784], [25.57920899411008, 58.62919889668636], [25.56405276998438, 58.72942742454251], [25.55269679602731, 58.82916071033503], [25.50150145249253, 58.92577474296734], [25.4093849786299, 58.99803768511836], [25.39738111359589, 59.06517300951521], [25.41956135625875, 59.21741038426578], [25.46303978993082, 59.38446759163087], [25.46709984114972, 59.48158382780842], [25.40555613880148, 59.55413467287399], [25.37317724378437, 59.65420326558646], [25.39403112354373, 59.78457634604131], [25.37557683380098, 59.87743087228911], [25.32413554566648, 59.92159253108085], [25.36690855584364, 60.02210310716298], [25.37239038330973, 60.14961427991444], [25.31438095658749, 60.18073231750654], [25.31879403601722, 60.23480787493573], [25.30783226757908, 60.32666736434062], [25.2826974958503, 60.46024875741683], [25.33777822538197, 60.46932580288419], [25.41720338908695, 60.46667733202413], [25.41967793816732, 60.52563408655871], [25.4036629960377, 60.57563281437923], [25.33045686416508, 60.60377706800878], [25.28513828944039, 60.61221287480942], [25.26513915051925, 60.70199640292811], [25.23644906686477, 60.86943124268315], [25.19805684358304, 61.04542060052387], [25.17398386072594, 61.17102139104072], [25.1163395232857, 61.19512014658614], [25.09969455687396, 61.31214223335321], [25.05696236992723, 61.42136359921648], [25.07167518951855, 61.45498875650313], [25.12624158843075, 61.48689833088201], [25.19280195727439, 61.56237671017712], [25.1684889242197, 61.73749669402574], [25.09926371079637, 61.76455053752932], [25.00679881492831, 61.71177687426213], [25.03355956054709, 61.86781568983672], [25.10135098314649, 61.92392845167268], [25.08172713190866, 62.04502924100066], [25.15552555123407, 62.13244302568882], [25.10498882117048, 62.35768851634887], [25.14449101067548, 62.48661070287343]
-];
-
-// Persian Gulf islands (polygon data from KML)
-const PERSIAN_GULF_ISLANDS = [
-    // Bahrain Island
-    {
-        name: 'Bahrain',
-        coords: [[26.21158076085144, 50.44904140617817], [26.145795330529, 50.45377293095993], [26.10650872584712, 50.46802717193115], [26.0486135593043, 50.49048419453226], [26.00014323610603, 50.46840300139103], [25.95508018225988, 50.4626426129817], [25.89816190262174, 50.51265935432144], [25.84982497504657, 50.55426481731233], [25.80519802971526, 50.55566206981238], [25.8268131291337, 50.59741509628352], [25.90276425391711, 50.60978648918623], [26.04135089819455, 50.62595948373382], [26.08790934342911, 50.62822031194712], [26.12799644590575, 50.64111105801801], [26.16802847465339, 50.6488644738956], [26.18381529693509, 50.61134004691819], [26.15838163775846, 50.59971939419088], [26.16589484050712, 50.57964887520752], [26.21005716265903, 50.56425515010056], [26.20175564670953, 50.59387006775965], [26.20610111798225, 50.61286207015765], [26.21757460941406, 50.62475106096326], [26.21643926768818, 50.64748776444594], [26.18800416289922, 50.65758527219823], [26.18365929967413, 50.71346324347847], [26.19843421714662, 50.71091021449825], [26.25703879160896, 50.68261802780393], [26.30991662195854, 50.66439064371975], [26.34221700781433, 50.63906516915476], [26.31994405633532, 50.61339727723693], [26.29765688940334, 50.60103021090458], [26.27764745448378, 50.5881600871661], [26.26054084512792, 50.58449010825002], [26.24607915504753, 50.56798590667248], [26.23715169068669, 50.51373651870533], [26.23232099609534, 50.47262492077736], [26.21158076085144, 50.44904140617817]]
-    },
-    // Qeshm Island (large island near Iran coast)
-    {
-        name: 'Qeshm',
-        coords: [[26.83388924742226, 53.16098106316301], [26.80617786808167, 53.20020059631184], [26.78689938755063, 53.26625548699486], [26.79666708183217, 53.39115802173977], [26.81574982191229, 53.36879997181979], [26.82320791987785, 53.31253550085479], [26.82437198344675, 53.26790876053762], [26.8391118432424, 53.22053133823228], [26.84923243603059, 53.18351670921976], [26.84701118204462, 53.15989865213155], [26.8326749301317, 53.16141789414311]]
-    },
-    // Small island near Qeshm
-    {
-        name: 'Hengam',
-        coords: [[26.69426744127513, 53.62994020242423], [26.69452908606819, 53.59666028371338], [26.66376605442796, 53.5971797600231], [26.65551114045004, 53.63166997231118], [26.6597276723581, 53.65891848620582], [26.67802899356301, 53.67425313335964], [26.68462117445997, 53.65595172171258], [26.69426744127513, 53.62994020242423]]
-    },
-    // Island near Iran coast
-    {
-        name: 'Lavan',
-        coords: [[26.5737542873899, 53.93059762497573], [26.54476296254101, 53.904468460419], [26.5138498405523, 53.91321224974693], [26.48659970141385, 53.96293249644906], [26.49814855709469, 54.03176467937006], [26.50316525585812, 54.05225794362083], [26.5322813123808, 54.03813786430419], [26.55434731835557, 54.02238803380176], [26.56823420541257, 54.00836720500337], [26.56873156787647, 53.97192759276769], [26.5737542873899, 53.93059762497573]]
-    },
-    // Small island
-    {
-        name: 'Kish',
-        coords: [[25.92867115714347, 54.52015268333167], [25.91458196976378, 54.49091223163849], [25.89630024458794, 54.50217314249816], [25.89443956931029, 54.53716361443293], [25.89223533686929, 54.55052462392931], [25.9009786527957, 54.55612427394029], [25.91895172224276, 54.55284382535847], [25.93526341824623, 54.54454503039353], [25.92867115714347, 54.52015268333167]]
-    },
-    // Another small island
-    {
-        name: 'Farur',
-        coords: [[26.28941065317824, 54.48750861225877], [26.25105005422746, 54.50856948148449], [26.25716846607932, 54.5313514366356], [26.28141367300959, 54.54101179024482], [26.29776255740658, 54.539214823041], [26.31341290781354, 54.52698480377233], [26.31459669828744, 54.50731693492963], [26.31006201204513, 54.49660516150107], [26.30153786873354, 54.48740418042051], [26.28941065317824, 54.48750861225877]]
-    },
-    // Abu Musa Island complex
-    {
-        name: 'Abu Musa',
-        coords: [[26.64648100001668, 55.27061625633356], [26.60520583140887, 55.28322723119292], [26.57544436478787, 55.27050563584215], [26.53908768751683, 55.28329002529458], [26.55078772417604, 55.32178711278626], [26.56879148249399, 55.39187964372393], [26.59159387336079, 55.47457652016706], [26.59513355766708, 55.51537593202837], [26.62673731222865, 55.57064845950178], [26.6450611953662, 55.63095370704807], [26.6723232927203, 55.67589295174268], [26.68511722734495, 55.7183515307997], [26.67517423448804, 55.7520265082375], [26.70468649241814, 55.81274743132424], [26.73153507716781, 55.86983243480079], [26.71562975146874, 55.89768337780897], [26.69215034142376, 55.9164318743185], [26.68723432526954, 55.95123760720653], [26.73962041468588, 56.01106175945011], [26.77521909493712, 56.0742528845014], [26.81058980655743, 56.11389994505498], [26.85497371345791, 56.14708690985186], [26.88513666639687, 56.15846780859502], [26.91351395110531, 56.1746050962137], [26.92699101694767, 56.25928102711272], [26.93920158922994, 56.28926863010306], [26.96177969776384, 56.27831257827953], [26.98877739175334, 56.25194543883838], [27.00410026807858, 56.18008602902872], [26.98978304905616, 56.12755395176879], [26.9717561275448, 56.07966717134555], [26.95314825749033, 56.02957680796113], [26.94183049665427, 55.97762502844783], [26.92139759999326, 55.94116477664281], [26.90283539040666, 55.89558842310549], [26.89593697924045, 55.86407814551321], [26.91415335627046, 55.83749143109927], [26.93836093311463, 55.79835805744743], [26.95331489509487, 55.75629044717162], [26.94023220485303, 55.73609893632416], [26.92549494444031, 55.73047518314532], [26.9070241879817, 55.7519391669178], [26.88202013978468, 55.77409191162439], [26.86730262468205, 55.77719718740764], [26.85166861024301, 55.77344221103766], [26.84183641341258, 55.78913442116507], [26.82038127287317, 55.79469276924598], [26.78861878150391, 55.78449505495226], [26.77803558091355, 55.75925918450748], [26.76925004235819, 55.73068082775433], [26.77300500734598, 55.70197305967162], [26.77404667032663, 55.6655127325816], [26.75392354594988, 55.62910172971372], [26.7304358647133, 55.59559972325718], [26.71642187130794, 55.56334654089687], [26.70157536906956, 55.51582022137107], [26.69272935301808, 55.48461191556468], [26.67589107410117, 55.44760864872644], [26.67114797086286, 55.42522927050679], [26.6736876838568, 55.41610632355883], [26.66083158501464, 55.39005824504459], [26.64497108490972, 55.36099577103231], [26.6391493999986, 55.33551737754241], [26.65035116547406, 55.29868263204291], [26.66163260975952, 55.27732912508017], [26.65964489132988, 55.26107785969744], [26.64648100001668, 55.27061625633356]]
-    },
-    // Small island near Abu Musa
-    {
-        name: 'Sirri',
-        coords: [[26.65718343571423, 55.86515805166017], [26.63425017663331, 55.84927395677903], [26.61905588788657, 55.84620848553081], [26.61060307629871, 55.8729715554396], [26.6157271578014, 55.89685847173791], [26.664438115674, 55.91564650486005], [26.67964559770322, 55.88936183722537], [26.65718343571423, 55.86515805166017]]
-    },
-    // Islands near UAE coast
-    {
-        name: 'Tunb',
-        coords: [[26.87580999530999, 56.33372875199923], [26.85564910575896, 56.3211491718415], [26.8363693648961, 56.3128049250025], [26.82360670654775, 56.32418637720839], [26.82296035229849, 56.3476139906311], [26.83884618702761, 56.38181605176774], [26.85502932942303, 56.40972565532157], [26.87158596622398, 56.40895446210767], [26.88335576640968, 56.4005019828409], [26.88526777325522, 56.37142857279968], [26.88889681913611, 56.35442133411979], [26.87580999530999, 56.33372875199923]]
-    },
-    {
-        name: 'Greater Tunb',
-        coords: [[27.0850679694066, 56.43976693534419], [27.07386664093139, 56.42668459535815], [27.05872747815262, 56.4226836261759], [27.04012705901408, 56.4269050908211], [27.03417380624986, 56.45988358465255], [27.03759454644505, 56.48888009065269], [27.05082966199624, 56.49923336370116], [27.07137873689881, 56.49816344412518], [27.08237212665431, 56.48867655336879], [27.09431327190706, 56.45811333379947], [27.0850679694066, 56.43976693534419]]
-    }
-];
-
-// Major cities in the Persian Gulf region
-const PERSIAN_GULF_CITIES = [
-    { name: 'Kuwait City', lat: 29.3759, lon: 47.9774 },
-    { name: 'Basra', lat: 30.5085, lon: 47.7835 },
-    { name: 'Doha', lat: 25.2854, lon: 51.5310 },
-    { name: 'Abu Dhabi', lat: 24.4539, lon: 54.3773 },
-    { name: 'Dubai', lat: 25.2048, lon: 55.2708 },
-    { name: 'Sharjah', lat: 25.3463, lon: 55.4209 },
-    { name: 'Manama', lat: 26.2285, lon: 50.5860 },
-    { name: 'Dammam', lat: 26.4207, lon: 50.0888 },
-    { name: 'Dhahran', lat: 26.2361, lon: 50.0393 },
-    { name: 'Al Jubail', lat: 27.0174, lon: 49.6572 },
-    { name: 'Bandar Abbas', lat: 27.1865, lon: 56.2808 },
-    { name: 'Bushehr', lat: 28.9684, lon: 50.8385 },
-    { name: 'Muscat', lat: 23.6100, lon: 58.5400 },
-    { name: 'Khasab', lat: 26.2096, lon: 56.2503 }
-];
+// Map geography comes from the active theater (theaters.js); new scenarios start in the default one
+const DEFAULT_THEATER = Theaters.getTheater(Theaters.DEFAULT_THEATER_ID);
 
 
 // ============================================================================
@@ -1763,8 +2363,8 @@ function AICSimulator() {
             type: 'ownship',
             domain: 'air',
             platform: null,
-            lat: 26.5 - (50 / 60), // 50 NM south of bullseye (initial position)
-            lon: 54.0,
+            lat: DEFAULT_THEATER.bullseye.lat - (50 / 60), // 50 NM south of bullseye (initial position)
+            lon: DEFAULT_THEATER.bullseye.lon,
             heading: 0,
             speed: 0,
             altitude: 15000,
@@ -1796,11 +2396,16 @@ function AICSimulator() {
         }
     ]);
     const [selectedAssetId, setSelectedAssetId] = useState(null);
+    const [groupAssetIds, setGroupAssetIds] = useState([]); // Multi-selection (instructor mode); includes selectedAssetId when non-empty
     const [selectedAssetTab, setSelectedAssetTab] = useState('general');
+    const [timelineBehaviorId, setTimelineBehaviorId] = useState(null); // Behavior picked on the timeline, opened by the BehaviorsTab
     const [selectedSystemTab, setSelectedSystemTab] = useState('radar');
     const [isRunning, setIsRunning] = useState(false);
+    const [timeCompression, setTimeCompression] = useState(1); // Simulation seconds per real second
+    const [stepDuration, setStepDuration] = useState(10); // Seconds to advance per STEP while paused
+    const [simulationWorkerReady, setSimulationWorkerReady] = useState(false); // Physics running in simulation-worker.js
     const [scale, setScale] = useState(INITIAL_SCALE);
-    const [mapCenter, setMapCenter] = useState({ lat: 26.5, lon: 54.0 });
+    const [mapCenter, setMapCenter] = useState({ lat: DEFAULT_THEATER.bullseye.lat, lon: DEFAULT_THEATER.bullseye.lon });
     const [tempMark, setTempMark] = useState(null);
     const [contextMenu, setContextMenu] = useState(null);
     const [cursorPos, setCursorPos] = useState(null);
@@ -1815,6 +2420,9 @@ function AICSimulator() {
     const [showControlsDialog, setShowControlsDialog] = useState(false);
     const [showSoundDialog, setShowSoundDialog] = useState(false);
     const [showMissionProductsDialog, setShowMissionProductsDialog] = useState(false);
+    const [showTrafficDialog, setShowTrafficDialog] = useState(false);
+    const [showGisDialog, setShowGisDialog] = useState(false);
+    const [showTimelineDialog, setShowTimelineDialog] = useState(false);
     const [missionProducts, setMissionProducts] = useState([]); // Array of {id, name, type, size, dateAdded, data}
     const [isLoading, setIsLoading] = useState(true); // Start true for initial load
     const [loadingMessage, setLoadingMessage] = useState('Initializing...');
@@ -1826,6 +2434,9 @@ function AICSimulator() {
     const [dragStart, setDragStart] = useState(null);
     const [draggedWaypoint, setDraggedWaypoint] = useState(null);
     const [draggedAssetId, setDraggedAssetId] = useState(null);
+    const [rubberBand, setRubberBand] = useState(null); // { x0, y0, x1, y1 } screen coords while shift-dragging a selection box
+    const groupDragRef = useRef(null); // { anchorId, offsets } - formation captured at the start of a group drag
+    const suppressClickRef = useRef(false); // Swallow the click that ends a rubber-band drag
     const [draggedOperatorTrackId, setDraggedOperatorTrackId] = useState(null); // For dragging operator tracks
     const [initialScenario, setInitialScenario] = useState(null);
     const [hasStarted, setHasStarted] = useState(false);
@@ -1834,7 +2445,8 @@ function AICSimulator() {
     // Keep ref in sync so setTimeout callbacks get current mission time
     missionTimeRef.current = missionTime;
     const [bullseyeName, setBullseyeName] = useState('');
-    const [bullseyePosition, setBullseyePosition] = useState({ lat: 26.5, lon: 54.0 });
+    const [bullseyePosition, setBullseyePosition] = useState({ lat: DEFAULT_THEATER.bullseye.lat, lon: DEFAULT_THEATER.bullseye.lon });
+    const [theater, setTheater] = useState(DEFAULT_THEATER);
     const [bullseyeLatInput, setBullseyeLatInput] = useState('N26 30.0');
     const [bullseyeLonInput, setBullseyeLonInput] = useState('E054 00.0');
     const [bullseyeSelected, setBullseyeSelected] = useState(false);
@@ -1915,11 +2527,21 @@ function AICSimulator() {
     const [selectedWeaponType, setSelectedWeaponType] = useState(null);
     const [showRangeWarning, setShowRangeWarning] = useState(false);
 
+    // SCENARIO SEED - drives every random decision so runs are repeatable
+    const [scenarioSeed, setScenarioSeed] = useState(generateScenarioSeed);
+    const returnIdRandomRef = useRef(null); // Seeded stream for radar/IFF return IDs
+    if (returnIdRandomRef.current === null) {
+        returnIdRandomRef.current = createSeededRandom(hashSeed(scenarioSeed, 'returnIds'));
+    }
+    const reseedRandomStreams = useCallback((seed) => {
+        returnIdRandomRef.current = createSeededRandom(hashSeed(seed, 'returnIds'));
+    }, []);
+
     // STUDENT/INSTRUCTOR MODE STATE
     const [simulatorMode, setSimulatorMode] = useState('instructor'); // 'instructor' | 'student'
     const [studentTracks, setStudentTracks] = useState([]); // Track files in student mode
     const [radarDetectionCounts, setRadarDetectionCounts] = useState({}); // { assetId: count }
-    const [detectionThresholds, setDetectionThresholds] = useState({}); // { assetId: threshold } - Random 2-4 per asset
+    const [detectionThresholds, setDetectionThresholds] = useState({}); // { assetId: threshold } - Seeded 2-3 per asset
     const [lastDetectionSweepAngle, setLastDetectionSweepAngle] = useState({}); // { assetId: angle } - Track last sweep angle where count was incremented
     const [trackAgingTimers, setTrackAgingTimers] = useState({}); // { trackId: missedSweeps }
     const [nextStudentTrackId, setNextStudentTrackId] = useState(1);
@@ -1937,8 +2559,8 @@ function AICSimulator() {
     const [nextShapeId, setNextShapeId] = useState(1);
     const [selectedShapeId, setSelectedShapeId] = useState(null);
     const [draggedShapeId, setDraggedShapeId] = useState(null);
-    const [draggedShapePointIndex, setDraggedShapePointIndex] = useState(null); // For dragging individual line segment points
-    const [creatingShape, setCreatingShape] = useState(null); // { type: 'lineSegment' | 'circle', points: [] }
+    const [draggedShapeHandle, setDraggedShapeHandle] = useState(null); // ShapeGeometry handle key being dragged ('center', 'point-2', 'radius', ...)
+    const [creatingShape, setCreatingShape] = useState(null); // { type: 'lineSegment' | 'polygon', points: [] } while clicking out points
     const [platforms, setPlatforms] = useState({ air: [], surface: [], subSurface: [] }); // Platform configurations
     const [showPlatformDialog, setShowPlatformDialog] = useState(null); // { domain: string, lat: number, lon: number }
 
@@ -1988,6 +2610,9 @@ function AICSimulator() {
     const [debriefData, setDebriefData] = useState([]);  // Array of completed intercept debriefs
     const [currentIntercept, setCurrentIntercept] = useState(null);  // Active intercept being tracked
     const [showDebriefDialog, setShowDebriefDialog] = useState(false);
+    const [airspaceViolations, setAirspaceViolations] = useState([]); // Control measure violations (deconfliction debrief)
+    const [samLaunches, setSamLaunches] = useState([]); // SAM site launches and their results (threat debrief)
+    const [vampireReports, setVampireReports] = useState([]); // Inbound anti-ship missiles detected and the vampire calls made on them (debrief)
     // Maneuver tracking state - tracks both groups AND individual contacts within groups
     const [maneuverTracking, setManeuverTracking] = useState({
         groups: [],      // Array of tracked groups with their contacts
@@ -2097,14 +2722,42 @@ function AICSimulator() {
     // Refs
     const svgRef = useRef(null);
     const physicsIntervalRef = useRef(null);
-    const deltaTimeRef = useRef(PHYSICS_UPDATE_RATE / 1000); // Actual elapsed time per frame (seconds)
-    const updatePhysicsRef = useRef(null); // Stable ref to latest updatePhysics (avoids effect teardown every frame)
+    const timeCompressionRef = useRef(1); // Mirrors timeCompression for the rAF loop
+    const stepRemainingRef = useRef(null); // Simulation seconds left in a single-step run (null = free running)
+    const missionTimeAccumRef = useRef(0); // Fractional simulation seconds not yet added to missionTime
+    const simClockRef = useRef(Date.now()); // Simulation clock (ms) - use instead of Date.now() for tactical delays so they scale with compression
+    const radarSweepStepRef = useRef(0); // Degrees the radar sweep moved last frame (widens sweep detection under compression)
+    const mapCanvasRef = useRef(null); // Static map layer (grid, coastline, cities)
+    const returnsCanvasRef = useRef(null); // Radar/IFF returns layer
+    const sweepCanvasRef = useRef(null); // Radar sweep layer
+    const radarLayerInputsRef = useRef(null); // Latest render inputs for the canvas render loop
+    const simWorkerRef = useRef(null); // Simulation worker (null = physics on the UI thread)
+    const handleWorkerTickRef = useRef(null); // Latest worker tick handler
+    const assetMirrorRef = useRef([]); // Assets as the worker last knew them (for diffing UI-side changes)
+    const weaponMirrorRef = useRef([]); // Weapons as the worker last knew them
+    const lastWorkerMissionTimeRef = useRef(0); // Mission time the worker last reported or was sent
+    const workerSensorsRef = useRef({ emitters: null, sonoDetections: null }); // ESM/sonobuoy results from the last worker tick
+    const updateControllersRef = useRef(null); // Stable ref to latest updateControllers (avoids effect teardown every frame)
+    const fallbackFrameRef = useRef(null); // Latest UI-thread physics frame (no simulation worker)
+    const airspaceOccupancyRef = useRef(null); // Last AirspaceControl.checkAirspace result (null after load/restart)
+    const nextViolationIdRef = useRef(1);
+    const nextRadioLogIdRef = useRef(1);
+    const behaviorEventRef = useRef(null); // fireWeapon / spawnAssets / removeAsset behavior events
+    const spawnedAssetIdRef = useRef(1); // Lowest id free for behavior-spawned assets
+    const weaponIdRef = useRef(1); // Lowest weapon id not yet handed out (see allocateWeaponId)
+    const samLaunchRef = useRef(null); // SAM site launch handler
+    const samLaunchTimesRef = useRef({}); // Mission time of each site's last launch, by geo-point id
+    const nextSamLaunchIdRef = useRef(1);
+    const vampireWeaponIdsRef = useRef(new Set()); // Inbound missiles already reported since the last load/restart
+    const nextVampireIdRef = useRef(1);
+    const airfieldEventRef = useRef(null); // Airfield launch / recovery handler
+    const launchedSortiesRef = useRef(new Set()); // 'geoPointId:sortieId' launched since the last load/restart
+    const airfieldTrackNumberRef = useRef(0); // Lowest track number free for launched aircraft
     const recordingStartTimeRef = useRef(null);
     const mediaRecorderRef = useRef(null);
     const speechRecognitionRef = useRef(null); // Web Speech API recognition instance
     const lastTranscriptRef = useRef(''); // Store latest transcript for processing on PTT release
     const recordedChunksRef = useRef([]);
-    const missionTimeIntervalRef = useRef(null);
     const threatCallsMadeRef = useRef(new Set()); // AIC Debrief: Track which groups have had threat calls logged
 
     // Get selected asset
@@ -2113,6 +2766,26 @@ function AICSimulator() {
         [assets, selectedAssetId]
     );
 
+    // Multi-selected assets (only meaningful with two or more members)
+    const groupAssets = useMemo(() =>
+        groupAssetIds.length > 1 ? assets.filter(a => groupAssetIds.includes(a.id)) : [],
+        [assets, groupAssetIds]
+    );
+
+    // Selecting anything else (plain click, bullseye, geo-point...) or entering student mode drops the multi-selection
+    useEffect(() => {
+        if (groupAssetIds.length > 0 && (simulatorMode !== 'instructor' || !groupAssetIds.includes(selectedAssetId))) {
+            setGroupAssetIds([]);
+        }
+    }, [selectedAssetId, groupAssetIds, simulatorMode]);
+
+    // Deleted assets leave the selection
+    useEffect(() => {
+        if (groupAssetIds.some(id => !assets.some(a => a.id === id))) {
+            setGroupAssetIds(prev => prev.filter(id => assets.some(a => a.id === id)));
+        }
+    }, [assets, groupAssetIds]);
+
     // ========================================================================
     // PERSIST ELEVENLABS SETTINGS TO LOCALSTORAGE
     // ========================================================================
@@ -2386,6 +3059,10 @@ function AICSimulator() {
             'sir face track': 'surface track',
             'follow-on': 'follow on',
             'rifle': 'rifle',  // Maverick employment call (ensure consistency)
+            // Vampire (inbound anti-ship missile) call
+            'vampyre': 'vampire',
+            'vamp ire': 'vampire',
+            'vam pire': 'vampire',
             // Smack / Harpoon employment terms
             'snack': 'smack',
             'attack access': 'attack axis',
@@ -3731,6 +4408,7 @@ function AICSimulator() {
     // Add entry to radio log
     const addToRadioLog = useCallback((callsign, message, type) => {
         const entry = {
+            id: nextRadioLogIdRef.current++, // Increasing, so radioKeyword triggers can tell new entries from old
             time: formatMissionTime(missionTimeRef.current),
             callsign,
             message,
@@ -3750,6 +4428,9 @@ function AICSimulator() {
         setHasUnreadMessages(true);
     }, []);
 
+    // Radio log as radioKeyword behavior triggers see it
+    const radioMessages = useMemo(() => radioLog.map(entry => ({ id: entry.id, message: entry.message })), [radioLog]);
+
     // Main voice command processor
     const processVoiceCommand = useCallback((transcript) => {
         // Normalize transcript to fix common mishearings (e.g., "won" → "one", "ate" → "eight")
@@ -3763,6 +4444,79 @@ function AICSimulator() {
         console.log('[VOICE CMD] interceptState.phase:', interceptState.phase);
         console.log('========================================');
 
+        // ========================================================================
+        // VAMPIRE: "Vampire, vampire, bearing 0-4-5" (own callsign optional)
+        // Reports inbound anti-ship missiles to the force. Graded against the detected
+        // missiles still in flight: the bearing must be within VAMPIRE_BEARING_TOLERANCE.
+        // ========================================================================
+        if (/\bvampires?\b/i.test(text)) {
+            const bearingMatch = text.match(/bearing\s*((?:(?:\d|zero|one|two|three|four|five|six|seven|eight|nine|niner)[\s,\-]*){1,3})/i);
+            const calledBearing = bearingMatch ? parseSpokenNumber(bearingMatch[1]) % 360 : null;
+            const ownship = assets.find(a => a.type === 'ownship');
+            const bearingTo = (report) => {
+                const weapon = weapons.find(w => w.id === report.weaponId);
+                return calculateBearing(ownship.lat, ownship.lon, weapon.lat, weapon.lon);
+            };
+            const open = ownship ? vampireReports.filter(v =>
+                v.callTime === null && !v.result && weapons.some(w => w.id === v.weaponId)) : [];
+
+            addToRadioLog(ownshipAirDefenseCallsign, transcript, 'outgoing');
+
+            let awResponse;
+            if (open.length === 0) {
+                // Nothing inbound on the scope - recorded as a false call
+                setVampireReports(prev => [...prev, {
+                    id: nextVampireIdRef.current++,
+                    weaponId: null,
+                    weaponName: null,
+                    shooterName: null,
+                    targetName: null,
+                    sensor: null,
+                    detectTime: null,
+                    detectBearing: null,
+                    detectRange: null,
+                    callTime: missionTime,
+                    callBearing: calledBearing,
+                    transcript,
+                    correct: false,
+                    error: 'no inbound missile held',
+                    result: null
+                }]);
+                awResponse = `${ownshipAirDefenseCallsign}, Alpha Whiskey, negative, no vampires held.`;
+            } else {
+                const offBy = (report) => Math.abs(shortestTurn(calledBearing, bearingTo(report)));
+                let called;
+                let graded;
+                if (calledBearing === null) {
+                    called = open;
+                    graded = () => ({ correct: false, error: 'no bearing given' });
+                } else {
+                    called = open.filter(v => offBy(v) <= VAMPIRE_BEARING_TOLERANCE);
+                    graded = () => ({ correct: true, error: null });
+                    if (called.length === 0) {
+                        // Wrong bearing - charged to the missile nearest what was called
+                        called = [open.slice().sort((a, b) => offBy(a) - offBy(b))[0]];
+                        graded = (report) => ({
+                            correct: false,
+                            error: `called ${String(calledBearing).padStart(3, '0')}, missile bore ${String(Math.round(bearingTo(report)) % 360).padStart(3, '0')}`
+                        });
+                    }
+                }
+                const results = new Map(called.map(report => [report.id, graded(report)]));
+                setVampireReports(prev => prev.map(report => results.has(report.id)
+                    ? { ...report, callTime: missionTime, callBearing: calledBearing, transcript, ...results.get(report.id) }
+                    : report));
+                awResponse = `${ownshipAirDefenseCallsign}, Alpha Whiskey, roger vampire, out.`;
+            }
+
+            setTimeout(() => {
+                speakResponse(awResponse);
+                addToRadioLog('Alpha Whiskey', awResponse, 'incoming');
+            }, 500);
+
+            return; // Vampire call handled, exit early
+        }
+
         // ========================================================================
         // AW CHECK PRINT: "AW, Tango, Track 6001, check print Line 1, Line 8, recommend hostile, over"
         // Communication with Air Defense Warfare Commander for track identification
@@ -3909,7 +4663,7 @@ function AICSimulator() {
                 }
 
                 // Create coverage entries — each track gets nearest ship to its target
-                const now = Date.now();
+                const now = simClockRef.current;
                 const batchId = nextBirdsCoverageIdRef.current;
                 const newEntries = resolvedTracks.map(({ trackNum, targetAssetId, targetAsset }) => {
                     let nearestShip = null;
@@ -5270,7 +6024,7 @@ function AICSimulator() {
                             declareCalled28nm: true,
                             declareResponseReceived: true,
                             engageAttempted: false,
-                            retargetDelayUntil: Date.now() + 12000, // 12s acquisition delay after "in"
+                            retargetDelayUntil: simClockRef.current + 12000, // 12s acquisition delay after "in"
                             _skateDebugLogged: false
                         });
                     }
@@ -5767,7 +6521,7 @@ function AICSimulator() {
 
             // Skate flow: start 5-second skate delay timer after separation response
             if (skateFlowEnabled && targetAsset.plannedFlow === 'skate' && !targetAsset.skateDelayStart) {
-                updateAsset(targetAsset.id, { skateDelayStart: Date.now() });
+                updateAsset(targetAsset.id, { skateDelayStart: simClockRef.current });
             }
 
             // AIC DEBRIEF: Log separation call and validate format
@@ -5883,7 +6637,7 @@ function AICSimulator() {
                     // Parse declaration from the vanished call text (should contain hostile/bandit/bogey)
                     const retargetDeclaration = parseDeclarationFromText(text) || 'hostile';
                     // Add 7 second delay before next engagement (simulates clearing the merge)
-                    const retargetDelayUntil = Date.now() + 7000;
+                    const retargetDelayUntil = simClockRef.current + 7000;
                     updateAsset(targetAsset.id, {
                         targetHeading: interceptHeading,
                         targetedAssetId: nextTarget.id,
@@ -6616,7 +7370,7 @@ function AICSimulator() {
             speakResponse(readback);
             addToRadioLog(targetAsset.name, readback, 'incoming');
         }
-    }, [assets, geoPoints, findAssetByCallsign, findGeoPointByName, addToRadioLog, ownshipTacticalCallsign, speakResponse, updateAsset, addOrbitPoint, bullseyeName, containsBullseyeName, findAssetByBullseyeAnchor, bullseyePosition, interceptState, setInterceptState, parseBullseyeAnchor, extractGroupNames, parseDeclarationFromText, getTrackDirection, parseDirectiveTarget, generateFighterCommitResponse, generateFighterTargetAck, generateFighterReadback, generateFighterResetAck, currentIntercept, groupManeuvers, missionTime, debriefData, skateFlowEnabled, waitingForColdOpsPicture, formatCallsignForRadio]);
+    }, [assets, geoPoints, findAssetByCallsign, findGeoPointByName, addToRadioLog, ownshipTacticalCallsign, speakResponse, updateAsset, addOrbitPoint, bullseyeName, containsBullseyeName, findAssetByBullseyeAnchor, bullseyePosition, interceptState, setInterceptState, parseBullseyeAnchor, extractGroupNames, parseDeclarationFromText, getTrackDirection, parseDirectiveTarget, generateFighterCommitResponse, generateFighterTargetAck, generateFighterReadback, generateFighterResetAck, currentIntercept, groupManeuvers, missionTime, debriefData, skateFlowEnabled, waitingForColdOpsPicture, formatCallsignForRadio, weapons, vampireReports]);
 
     // Keep a ref to the latest processVoiceCommand to avoid recreating speech recognition
     const processVoiceCommandRef = useRef(processVoiceCommand);
@@ -6840,52 +7594,194 @@ function AICSimulator() {
     // PHYSICS ENGINE
     // ========================================================================
 
-    const updatePhysics = useCallback(() => {
-        setAssets(prevAssets => prevAssets.map(asset => {
-            let updated = { ...asset };
-            const deltaTime = deltaTimeRef.current; // Actual elapsed time (seconds)
-
-            // Get domain-specific configuration
-            const domainConfig = DOMAIN_TYPES[asset.domain || 'air'];
-
-            // Get platform-specific values or use domain defaults
-            const turnRate = asset.platform ? asset.platform.maxTurn : domainConfig.turnRate;
-            const climbRate = asset.platform && asset.platform.maxClimb ? (asset.platform.maxClimb / 60) : CLIMB_RATE; // Convert ft/min to ft/sec
-
-            // HIDDEN ASSETS: Apply target values immediately (no gradual transitions)
-            // This allows instructors to set up threat presentations before revealing assets
-            // Hidden assets still move based on their speed/heading, they're just not visible to students
-            if (asset.hidden) {
-                if (asset.targetHeading !== null) {
-                    updated.heading = asset.targetHeading;
-                    updated.targetHeading = null;
-                }
-                if (asset.targetSpeed !== null) {
-                    updated.speed = asset.targetSpeed;
-                    updated.targetSpeed = null;
+    // Present side effects reported by the simulation core (radio calls, chat messages)
+    const handleSimulationEvent = (event) => {
+        if (event.type === 'radio') {
+            setTimeout(() => {
+                speakResponse(event.message);
+                addToRadioLog(event.sender, event.message, 'incoming');
+            }, 100);
+        } else if (event.type === 'chat') {
+            setTimeout(() => {
+                addChatMessage(event.sender, event.message);
+            }, 100);
+        } else if (event.type === 'airspace') {
+            handleAirspaceEvent(event);
+        } else if (event.type === 'fireWeapon' || event.type === 'spawnAssets' || event.type === 'removeAsset') {
+            // Behavior actions on weapons and the asset list - run once this tick's updates are applied
+            setTimeout(() => behaviorEventRef.current(event), 0);
+        } else if (event.type === 'samLaunch') {
+            setTimeout(() => samLaunchRef.current(event), 0);
+        } else if (event.type === 'airfieldLaunch' || event.type === 'airfieldRecovery') {
+            setTimeout(() => airfieldEventRef.current(event), 0);
+        }
+    };
+
+    // Airspace control measures: alerts go to the radio log and chat window, violations
+    // are also kept for the deconfliction debrief
+    const handleAirspaceEvent = (event) => {
+        if (event.kind === 'violation') {
+            const violation = {
+                id: nextViolationIdRef.current++,
+                shapeId: event.shapeId,
+                acmName: event.acmName,
+                assetId: event.assetId,
+                assetName: event.assetName,
+                identity: event.identity,
+                rule: AirspaceControl.describeRule(event.rule),
+                startTime: event.missionTime,
+                endTime: null
+            };
+            setAirspaceViolations(prev => [...prev, violation]);
+            addToRadioLog('ACM', event.message, 'error');
+            addChatMessage('ACM', event.message);
+            console.warn(`[AIRSPACE] ${event.message}`);
+        } else if (event.kind === 'violationEnd') {
+            setAirspaceViolations(prev => prev.map(v =>
+                v.shapeId === event.shapeId && v.assetId === event.assetId &&
+                v.startTime === event.startTime && v.endTime === null
+                    ? { ...v, endTime: event.missionTime }
+                    : v
+            ));
+            addToRadioLog('ACM', event.message, 'system');
+        } else if (event.alert) {
+            addToRadioLog('ACM', event.message, 'system');
+            addChatMessage('ACM', event.message);
+        } else {
+            console.log(`[AIRSPACE] ${event.message}`);
+        }
+    };
+
+    // Forget who is inside which control measure (load/restart), so assets already
+    // inside aren't reported as entering
+    const resetAirspace = useCallback(() => {
+        airspaceOccupancyRef.current = null;
+        if (simWorkerRef.current) {
+            simWorkerRef.current.postMessage({ type: 'resetAirspace' });
+        }
+    }, []);
+
+    // Close out SAM launch debrief entries when their missile hits or is lost
+    const recordSamResults = (impactedWeapons) => {
+        const samWeapons = impactedWeapons.filter(w => w.firingGeoPointId);
+        if (samWeapons.length === 0) return;
+        setSamLaunches(prev => prev.map(launch => {
+            const weapon = samWeapons.find(w => w.id === launch.weaponId);
+            return weapon && !launch.result ? { ...launch, result: weapon.impactTargetId ? 'hit' : 'miss' } : launch;
+        }));
+    };
+
+    // Close out vampire debrief entries when their missile hits or is lost
+    const recordVampireResults = (impactedWeapons) => {
+        const vampires = impactedWeapons.filter(w => vampireWeaponIdsRef.current.has(w.id));
+        if (vampires.length === 0) return;
+        setVampireReports(prev => prev.map(report => {
+            const weapon = vampires.find(w => w.id === report.weaponId);
+            return weapon && !report.result ? { ...report, result: weapon.impactTargetId ? 'hit' : 'miss' } : report;
+        }));
+    };
+
+    // Radio calls and bookkeeping for weapons that hit their target: timeout calls,
+    // "grand slam" for covered tracks, MAC BDA reports, and removing destroyed targets
+    const handleWeaponImpacts = (impactedWeapons) => {
+        const targetIdsToRemove = impactedWeapons.map(w => w.impactTargetId);
+
+        // Queue timeout calls for AIC-controlled assets that fired weapons
+        setAssets(prevAssets => {
+            let updatedAssets = prevAssets;
+
+            impactedWeapons.forEach(weapon => {
+                const firingAsset = updatedAssets.find(a => a.id === weapon.firingAssetId);
+                // Only announce timeout if this was an AIC-controlled engagement
+                if (firingAsset && firingAsset.targetingState) {
+                    if (firingAsset.twoShipEngagement) {
+                        // Two-ship: don't queue timeout yet, we'll check when all targets are gone
+                    } else {
+                        // Single contact - queue timeout immediately
+                        setPendingTimeoutCalls(prev => [...prev, {
+                            assetName: firingAsset.name,
+                            groupName: firingAsset.targetGroupName || 'group'
+                        }]);
+                    }
                 }
-                if (domainConfig.hasAltitude && asset.targetAltitude !== null) {
-                    updated.altitude = asset.targetAltitude;
-                    updated.targetAltitude = null;
+            });
+
+            // Check for "cover with birds" impacts — announce "grand slam"
+            impactedWeapons.forEach(weapon => {
+                const coverage = birdsCoverage.find(c =>
+                    c.weaponFired &&
+                    c.targetAssetId === weapon.impactTargetId &&
+                    weapon.firingAssetId === c.assignedShipId
+                );
+                if (coverage) {
+                    setPendingGrandSlamCalls(prev => [...prev, {
+                        trackNumber: coverage.trackNumber,
+                    }]);
+                    setBirdsCoverage(prev => prev.filter(c => c.id !== coverage.id));
                 }
-                if (domainConfig.hasDepth && asset.targetDepth !== null) {
-                    updated.depth = asset.targetDepth;
-                    updated.targetDepth = null;
+            });
+
+            // Check for MAC targeting impacts — "good hit, track XXXX is on fire and sinking"
+            impactedWeapons.forEach(weapon => {
+                // Find the MAC targeting state for the firing asset
+                const macTgt = macTargetingRef.current[weapon.firingAssetId];
+                if (macTgt && macTgt.targetAssetId === weapon.impactTargetId) {
+                    const firingAsset = updatedAssets.find(a => a.id === weapon.firingAssetId);
+                    const assetName = firingAsset?.name || 'Unknown';
+                    const trackNum = macTgt.trackNum;
+                    const tgtGen = macTgt.generation || 0;
+                    const firingId = weapon.firingAssetId;
+
+                    // BDA report after short delay
+                    setTimeout(() => {
+                        const cur = macTargetingRef.current[firingId];
+                        if (!cur || (cur.generation || 0) !== tgtGen) return;
+                        const bdaReport = `${ownshipTacticalCallsignRef.current}, ${assetName}, good hit, track ${trackNum} is on fire and sinking`;
+                        speakResponse(bdaReport);
+                        addToRadioLog(assetName, bdaReport, 'incoming');
+
+                        // Clear MAC targeting state
+                        setMacTargeting(prev => {
+                            const next = { ...prev };
+                            delete next[firingId];
+                            return next;
+                        });
+                    }, 2000);
                 }
-                // Enforce platform limits for hidden assets
-                if (asset.platform) {
-                    if (asset.platform.maxSpeed !== undefined) {
-                        updated.speed = Math.min(updated.speed, asset.platform.maxSpeed);
-                    }
-                    if (asset.platform.maxAltitude !== undefined && domainConfig.hasAltitude) {
-                        updated.altitude = Math.min(updated.altitude, asset.platform.maxAltitude);
-                    }
-                    if (asset.platform.maxDepth !== undefined && domainConfig.hasDepth) {
-                        updated.depth = Math.min(updated.depth, asset.platform.maxDepth);
+            });
+
+
+            // Remove destroyed targets
+            updatedAssets = updatedAssets.filter(a => !targetIdsToRemove.includes(a.id));
+
+            // Check for two-ship timeout: all target assets destroyed
+            updatedAssets = updatedAssets.map(asset => {
+                if (asset.twoShipEngagement && !asset.twoShipTimeoutCalled && asset.twoShipTargetIds?.length > 0) {
+                    // Check if ALL targets from two-ship engagement are now destroyed
+                    const allTargetsDestroyed = asset.twoShipTargetIds.every(
+                        targetId => !updatedAssets.find(a => a.id === targetId)
+                    );
+                    if (allTargetsDestroyed) {
+                        console.log('[TIMEOUT DEBUG] Two-ship targets all destroyed, queueing timeout for', asset.name);
+                        setPendingTimeoutCalls(prev => [...prev, {
+                            assetName: asset.name,
+                            groupName: 'two ship'
+                        }]);
+                        return { ...asset, twoShipTimeoutCalled: true };
                     }
                 }
-                // Continue to position updates - hidden assets move, they're just not visible
-            }
+                return asset;
+            });
+
+            return updatedAssets;
+        });
+    };
+
+    // UI-thread controller logic (AIC targeting, MAC standoff) run after each physics step -
+    // movement, behaviors and weapons are SimulationCore.stepSimulation's
+    const updateControllers = useCallback(() => {
+        setAssets(prevAssets => prevAssets.map(asset => {
+            let updated = { ...asset };
 
             // Handle AIC targeting behavior (intercept/escort)
             if (asset.targetingState && asset.targetedAssetId) {
@@ -6924,7 +7820,7 @@ function AICSimulator() {
 
                         // Check if within engagement range (25 NM) and HOSTILE
                         // Also check retargetDelayUntil - wait before engaging after retarget (clearing the merge)
-                        const canEngage = !asset.retargetDelayUntil || Date.now() >= asset.retargetDelayUntil;
+                        const canEngage = !asset.retargetDelayUntil || simClockRef.current >= asset.retargetDelayUntil;
                         if (distanceToTarget <= 25 && asset.targetDeclaration === 'hostile' && canEngage && asset.declareResponseReceived) {
                             // Clear the delay flag once we're past it
                             if (asset.retargetDelayUntil) {
@@ -7043,7 +7939,7 @@ function AICSimulator() {
                         if (skateFlowEnabled && asset.fox3Called25nm && asset.plannedFlow === 'skate') {
                             // Skate flow: wait 5s after separation response, then turn 180° away
                             // skateDelayStart is set by the separation response handler
-                            if (asset.skateDelayStart && (Date.now() - asset.skateDelayStart >= 5000)) {
+                            if (asset.skateDelayStart && (simClockRef.current - asset.skateDelayStart >= 5000)) {
                                 // Execute skate: turn 180° away from threat
                                 const skateHeading = (bearingToTarget + 180) % 360;
                                 updated.targetHeading = skateHeading;
@@ -7108,221 +8004,27 @@ function AICSimulator() {
                         // VID 2nm call for BOGEY SPADES - visual identification with NATO reporting name
                         // This happens during escort since we switch to escort at 5nm
                         if (asset.targetDeclaration === 'bogeySpades' && distanceToTarget <= 2 && !asset.vidCalled2nm) {
-                            updated.vidCalled2nm = true;
-                            const groupName = asset.targetGroupName || 'group';
-                            const natoName = targetAsset.platform?.natoReportingName || targetAsset.platform?.name || 'unknown';
-                            setPendingVIDCalls(prev => [...prev, {
-                                assetName: asset.name,
-                                type: '2nm',
-                                groupName: groupName,
-                                natoName: natoName
-                            }]);
-                        }
-                    }
-                } else {
-                    // Target lost (destroyed or hidden) - clear targeting state
-                    updated.targetingState = null;
-                    updated.targetedAssetId = null;
-                    updated.targetDeclaration = null;
-                    updated.vidCalled20nm = false;
-                    updated.vidCalled2nm = false;
-                    updated.declareCalled28nm = false;
-                    updated.declareResponseReceived = false;
-                    updated.fox3Called25nm = false;
-                }
-            }
-
-            // Behavior-triggered intercept: continuously track toward target asset
-            if (asset.behaviorInterceptTargetId && !asset.targetingState) {
-                const interceptTarget = prevAssets.find(a => a.id === asset.behaviorInterceptTargetId);
-                if (interceptTarget && !interceptTarget.isDestroyed) {
-                    updated.targetHeading = calculateBearing(
-                        asset.lat, asset.lon,
-                        interceptTarget.lat, interceptTarget.lon
-                    );
-                }
-            }
-
-            // Update heading
-            if (asset.targetHeading !== null) {
-                const turnAmount = shortestTurn(asset.heading, asset.targetHeading);
-                if (Math.abs(turnAmount) > 1) {
-                    const turnDelta = Math.sign(turnAmount) * turnRate * deltaTime;
-                    updated.heading = normalizeHeading(asset.heading + turnDelta);
-                } else {
-                    updated.heading = asset.targetHeading;
-                    updated.targetHeading = null;
-                }
-            }
-
-            // Update speed
-            if (asset.targetSpeed !== null) {
-                const speedDiff = asset.targetSpeed - asset.speed;
-                if (Math.abs(speedDiff) > 1) {
-                    const speedDelta = Math.sign(speedDiff) * domainConfig.speedRate * deltaTime;
-                    updated.speed = asset.speed + speedDelta;
-                } else {
-                    updated.speed = asset.targetSpeed;
-                    updated.targetSpeed = null;
-                }
-            }
-
-            // Enforce platform speed limit
-            if (asset.platform && asset.platform.maxSpeed !== undefined) {
-                updated.speed = Math.min(updated.speed, asset.platform.maxSpeed);
-                if (updated.targetSpeed !== null) {
-                    updated.targetSpeed = Math.min(updated.targetSpeed, asset.platform.maxSpeed);
-                }
-            }
-
-            // Update altitude (only for air domain)
-            if (domainConfig.hasAltitude && asset.targetAltitude !== null) {
-                const altDiff = asset.targetAltitude - asset.altitude;
-                if (Math.abs(altDiff) > 10) {
-                    const altDelta = Math.sign(altDiff) * climbRate * deltaTime;
-                    updated.altitude = asset.altitude + altDelta;
-                } else {
-                    updated.altitude = asset.targetAltitude;
-                    updated.targetAltitude = null;
-                }
-            }
-
-            // Enforce platform altitude limit
-            if (asset.platform && asset.platform.maxAltitude !== undefined && domainConfig.hasAltitude) {
-                updated.altitude = Math.min(updated.altitude, asset.platform.maxAltitude);
-                if (updated.targetAltitude !== null) {
-                    updated.targetAltitude = Math.min(updated.targetAltitude, asset.platform.maxAltitude);
-                }
-            }
-
-            // Update depth (only for sub-surface domain)
-            if (domainConfig.hasDepth && asset.targetDepth !== null) {
-                const depthDiff = asset.targetDepth - asset.depth;
-                if (Math.abs(depthDiff) > 1) {
-                    const depthDelta = Math.sign(depthDiff) * 10 * deltaTime; // 10 ft/sec depth change rate
-                    updated.depth = asset.depth + depthDelta;
-                } else {
-                    updated.depth = asset.targetDepth;
-                    updated.targetDepth = null;
-                }
-            }
-
-            // Enforce platform depth limit
-            if (asset.platform && asset.platform.maxDepth !== undefined && domainConfig.hasDepth) {
-                updated.depth = Math.min(updated.depth, asset.platform.maxDepth);
-                if (updated.targetDepth !== null) {
-                    updated.targetDepth = Math.min(updated.targetDepth, asset.platform.maxDepth);
-                }
-            }
-
-            // Update position based on speed and heading
-            // LAND DOMAIN: Skip position updates (stationary)
-            if (asset.domain !== 'land') {
-                const speedNMPerSec = asset.speed / 3600;
-                const distance = speedNMPerSec * deltaTime;
-
-                const headingRad = asset.heading * Math.PI / 180;
-                const latRad = asset.lat * Math.PI / 180;
-
-                const deltaLat = (distance * Math.cos(headingRad)) / 60;
-                const deltaLon = (distance * Math.sin(headingRad)) / (60 * Math.cos(latRad));
-
-                updated.lat = asset.lat + deltaLat;
-                updated.lon = asset.lon + deltaLon;
-            }
-
-            // Check waypoint arrival FIRST - mark waypoints as reached
-            // LAND DOMAIN: Skip waypoint processing (stationary assets don't navigate)
-            // Skip waypoint navigation when committed on a group - intercept heading takes priority
-            // interceptCommitted stays true from commit until picture clean/reset, even after target is destroyed
-            if (asset.domain !== 'land' && asset.waypoints && asset.waypoints.length > 0 && !asset.targetingState && !asset.interceptCommitted) {
-                // Backwards compatibility: ensure all waypoints have reached flag
-                if (asset.waypoints.some(wp => wp.reached === undefined)) {
-                    updated.waypoints = asset.waypoints.map(wp => ({
-                        ...wp,
-                        id: wp.id || 0,
-                        reached: wp.reached || false
-                    }));
-                }
-
-                // Find first unreached waypoint
-                const currentWpIndex = (updated.waypoints || asset.waypoints).findIndex(wp => !wp.reached);
-                if (currentWpIndex !== -1) {
-                    const wp = (updated.waypoints || asset.waypoints)[currentWpIndex];
-                    const distToWP = calculateDistance(updated.lat, updated.lon, wp.lat, wp.lon);
-
-                    if (distToWP < WAYPOINT_ARRIVAL_THRESHOLD) {
-                        // Mark waypoint as reached
-                        console.log(`Asset ${asset.name || asset.id} reached waypoint ${currentWpIndex} (id: ${wp.id})`);
-                        const waypoints = updated.waypoints || asset.waypoints;
-                        const nextWpIndex = currentWpIndex + 1;
-                        const nextWp = waypoints[nextWpIndex];
-                        const prevWpIndex = currentWpIndex - 1;
-                        const prevWp = prevWpIndex >= 0 ? waypoints[prevWpIndex] : null;
-
-                        // Check if NEXT waypoint is wrapped with current (go to wrapped waypoint)
-                        if (nextWp && nextWp.wrappedWithPrevious) {
-                            // Don't mark current as reached - keep both waypoints active for wrap loop
-                            // Just navigate to the wrapped waypoint
-                            updated.waypoints = waypoints.map((w, idx) => {
-                                if (idx === currentWpIndex) return { ...w, reached: true };
-                                if (idx === nextWpIndex) return { ...w, reached: false }; // Ensure next is unreached
-                                return w;
-                            });
-                            updated.targetHeading = calculateBearing(updated.lat, updated.lon, nextWp.lat, nextWp.lon);
-                        }
-                        // Check if THIS waypoint is wrapped with previous (go back to previous)
-                        else if (wp.wrappedWithPrevious && prevWp) {
-                            // Toggle: mark current as reached, un-reach the previous to go back
-                            updated.waypoints = waypoints.map((w, idx) => {
-                                if (idx === prevWpIndex) return { ...w, reached: false };
-                                if (idx === currentWpIndex) return { ...w, reached: true };
-                                return w;
-                            });
-                            updated.targetHeading = calculateBearing(updated.lat, updated.lon, prevWp.lat, prevWp.lon);
-                        }
-                        else if (wp.isOrbitPoint) {
-                            // Orbit point - mark reached and start orbiting
-                            updated.waypoints = waypoints.map((w, idx) =>
-                                idx === currentWpIndex ? { ...w, reached: true } : w
-                            );
-                            updated.isOrbiting = true;
-                            // Don't clear targetHeading - orbit logic below will handle continuous turning
-                        }
-                        else {
-                            // Normal behavior - mark reached and go to next
-                            updated.waypoints = waypoints.map((w, idx) =>
-                                idx === currentWpIndex ? { ...w, reached: true } : w
-                            );
-
-                            // Find next unreached waypoint
-                            const foundNextWpIndex = updated.waypoints.findIndex((w, idx) => idx > currentWpIndex && !w.reached);
-                            if (foundNextWpIndex !== -1) {
-                                const foundNextWP = updated.waypoints[foundNextWpIndex];
-                                updated.targetHeading = calculateBearing(updated.lat, updated.lon, foundNextWP.lat, foundNextWP.lon);
-                            } else {
-                                // No more waypoints, clear targets
-                                updated.targetHeading = null;
-                            }
+                            updated.vidCalled2nm = true;
+                            const groupName = asset.targetGroupName || 'group';
+                            const natoName = targetAsset.platform?.natoReportingName || targetAsset.platform?.name || 'unknown';
+                            setPendingVIDCalls(prev => [...prev, {
+                                assetName: asset.name,
+                                type: '2nm',
+                                groupName: groupName,
+                                natoName: natoName
+                            }]);
                         }
-                    } else {
-                        // Not at waypoint yet - continuously update heading toward it
-                        // This ensures asset tracks waypoint even if it moves or after behaviors change heading
-                        updated.targetHeading = calculateBearing(updated.lat, updated.lon, wp.lat, wp.lon);
                     }
-                }
-            }
-
-            // Orbit logic - continuous turning when orbiting
-            if (updated.isOrbiting || asset.isOrbiting) {
-                const orbitWp = (updated.waypoints || asset.waypoints).find(wp => wp.isOrbitPoint && wp.reached);
-                if (orbitWp) {
-                    // Continuously turn right at standard rate to create orbit
-                    const turnRate = asset.platform ? asset.platform.maxTurn : domainConfig.turnRate;
-                    // Apply turn rate - heading increments create continuous circle
-                    const currentHeading = updated.heading !== undefined ? updated.heading : asset.heading;
-                    updated.targetHeading = (currentHeading + turnRate * 2) % 360;
-                    updated.isOrbiting = true;
+                } else {
+                    // Target lost (destroyed or hidden) - clear targeting state
+                    updated.targetingState = null;
+                    updated.targetedAssetId = null;
+                    updated.targetDeclaration = null;
+                    updated.vidCalled20nm = false;
+                    updated.vidCalled2nm = false;
+                    updated.declareCalled28nm = false;
+                    updated.declareResponseReceived = false;
+                    updated.fox3Called25nm = false;
                 }
             }
 
@@ -7671,501 +8373,204 @@ function AICSimulator() {
                 }
             }
 
-            // Check behaviors AFTER waypoint arrival - integrated into physics update for synchronization
-            // This allows behaviors to see waypoints that were just marked as reached
-            if (updated.behaviors && updated.behaviors.length > 0) {
-                let behaviorsChanged = false;
-                const updatedBehaviors = updated.behaviors.map(behavior => {
-                    if (!behavior.enabled || behavior.fired) return behavior;
-
-                    let shouldFire = false;
-
-                    // Check trigger condition
-                    switch (behavior.triggerType) {
-                        case 'missionTime':
-                            if (missionTime >= behavior.triggerConfig.missionTime) {
-                                shouldFire = true;
-                            }
-                            break;
-
-                        case 'randomTime':
-                            if (behavior.triggerConfig.randomMissionTime !== undefined && missionTime >= behavior.triggerConfig.randomMissionTime) {
-                                shouldFire = true;
-                            }
-                            break;
-
-                        case 'distanceFromAsset':
-                            const targetAsset = prevAssets.find(a => a.id === behavior.triggerConfig.targetAssetId);
-                            if (targetAsset) {
-                                const distance = calculateDistance(
-                                    updated.lat, updated.lon,
-                                    targetAsset.lat, targetAsset.lon
-                                );
-                                const comp = behavior.triggerConfig.comparison || 'lte';
-                                if (comp === 'lte' && distance <= behavior.triggerConfig.distance) {
-                                    shouldFire = true;
-                                } else if (comp === 'gt' && distance > behavior.triggerConfig.distance) {
-                                    shouldFire = true;
-                                } else if (comp === 'eq' && Math.abs(distance - behavior.triggerConfig.distance) <= 0.5) {
-                                    shouldFire = true;
-                                }
-                            }
-                            break;
-
-                        case 'atWaypoint':
-                            // Check using UPDATED waypoints (not asset.waypoints) to see changes immediately
-                            if (updated.waypoints && updated.waypoints.length > behavior.triggerConfig.waypointIndex) {
-                                const targetWaypoint = updated.waypoints[behavior.triggerConfig.waypointIndex];
-                                console.log(`Checking behavior ${behavior.id} for waypoint ${behavior.triggerConfig.waypointIndex}: waypoint exists=${!!targetWaypoint}, reached=${targetWaypoint?.reached}`);
-                                if (targetWaypoint && targetWaypoint.reached) {
-                                    shouldFire = true;
-                                }
-                            }
-                            break;
-
-                        case 'distanceFromGeoPoint': {
-                            const geoTarget = behavior.triggerConfig.geoTarget;
-                            let targetLat, targetLon, circleRadius = 0;
-
-                            if (geoTarget === 'bullseye') {
-                                targetLat = bullseyePosition.lat;
-                                targetLon = bullseyePosition.lon;
-                            } else if (geoTarget && geoTarget.startsWith('geo-')) {
-                                const geoId = parseInt(geoTarget.split('-')[1]);
-                                const gp = geoPoints.find(g => g.id === geoId);
-                                if (gp) { targetLat = gp.lat; targetLon = gp.lon; }
-                            } else if (geoTarget && geoTarget.startsWith('circle-')) {
-                                const shapeId = parseInt(geoTarget.split('-')[1]);
-                                const circle = shapes.find(s => s.id === shapeId && s.type === 'circle');
-                                if (circle) {
-                                    targetLat = circle.centerLat;
-                                    targetLon = circle.centerLon;
-                                    circleRadius = circle.radius || 0;
-                                }
-                            } else if (geoTarget && geoTarget.startsWith('line-')) {
-                                const parts = geoTarget.split('-');
-                                const shapeId = parseInt(parts[1]);
-                                const ptIdx = parseInt(parts[2]);
-                                const line = shapes.find(s => s.id === shapeId && s.type === 'lineSegment');
-                                if (line && line.points[ptIdx]) {
-                                    targetLat = line.points[ptIdx].lat;
-                                    targetLon = line.points[ptIdx].lon;
-                                }
-                            }
-
-                            if (targetLat !== undefined && targetLon !== undefined) {
-                                const dist = calculateDistance(updated.lat, updated.lon, targetLat, targetLon);
-                                const effectiveDist = Math.max(0, dist - circleRadius);
-                                const comp = behavior.triggerConfig.comparison || 'lte';
-                                if (comp === 'lte' && effectiveDist <= behavior.triggerConfig.distance) {
-                                    shouldFire = true;
-                                } else if (comp === 'gt' && effectiveDist > behavior.triggerConfig.distance) {
-                                    shouldFire = true;
-                                } else if (comp === 'eq' && Math.abs(effectiveDist - behavior.triggerConfig.distance) <= 0.5) {
-                                    shouldFire = true;
-                                }
-                            }
-                            break;
-                        }
-                    }
-
-                    // Execute actions if trigger fired
-                    if (shouldFire) {
-                        console.log(`Behavior ${behavior.id} fired for asset ${updated.name || updated.id}`);
-
-                        behavior.actions.forEach(action => {
-                            switch (action.type) {
-                                case 'changeHeading':
-                                    updated.targetHeading = action.value;
-                                    break;
-                                case 'changeSpeed':
-                                    updated.targetSpeed = action.value;
-                                    break;
-                                case 'changeAltitude':
-                                    if (updated.domain === 'air') {
-                                        updated.targetAltitude = action.value;
-                                    }
-                                    break;
-                                case 'turnEmitterOn':
-                                    updated.emitterStates = {
-                                        ...(updated.emitterStates || {}),
-                                        [action.value]: true
-                                    };
-                                    break;
-                                case 'turnEmitterOff':
-                                    updated.emitterStates = {
-                                        ...(updated.emitterStates || {}),
-                                        [action.value]: false
-                                    };
-                                    break;
-                                case 'makeVisible':
-                                    updated.hidden = false;
-                                    break;
-                                case 'makeInvisible':
-                                    updated.hidden = true;
-                                    break;
-                                case 'turnOnTrackFile':
-                                    updated.trackFileEnabled = true;
-                                    break;
-                                case 'turnOffTrackFile':
-                                    updated.trackFileEnabled = false;
-                                    break;
-                                case 'transmitOnRadio':
-                                    if (action.value) {
-                                        const assetName = updated.name || `Asset ${updated.id}`;
-                                        const message = action.value;
-                                        setTimeout(() => {
-                                            speakResponse(message);
-                                            addToRadioLog(assetName, message, 'incoming');
-                                        }, 100);
-                                    }
-                                    break;
-                                case 'interceptAsset':
-                                    if (action.value) {
-                                        updated.behaviorInterceptTargetId = parseInt(action.value);
-                                    }
-                                    break;
-                                case 'sendMessage':
-                                    if (action.value) {
-                                        const senderName = updated.name || `Asset ${updated.id}`;
-                                        const msg = action.value;
-                                        setTimeout(() => {
-                                            addChatMessage(senderName, msg);
-                                        }, 100);
-                                    }
-                                    break;
-                            }
-                        });
-
-                        behaviorsChanged = true;
-                        return { ...behavior, fired: true };
-                    }
-
-                    return behavior;
-                });
-
-                if (behaviorsChanged) {
-                    updated.behaviors = updatedBehaviors;
-                }
-            }
-
             return updated;
         }));
-
-        // Update weapons (proportional navigation guidance)
-        setWeapons(prevWeapons => {
-            let currentAssets = assets; // Store reference to current assets
-            const updatedWeapons = prevWeapons.map(weapon => {
-                let updated = { ...weapon };
-                const deltaTime = deltaTimeRef.current; // Actual elapsed time (seconds)
-
-                const target = currentAssets.find(a => a.id === weapon.targetId);
-
-                // Operator track torpedo guidance — guide toward operator track, acquire real sub within 1nm
-                if (!target && weapon.operatorTrackTargetId) {
-                    const opTrack = studentTracks.find(t => t.id === weapon.operatorTrackTargetId);
-
-                    if (opTrack) {
-                        // Check if any real submarine asset is within 1nm of the weapon — proximity acquisition
-                        const nearestSub = currentAssets.find(a =>
-                            a.domain === 'subSurface' &&
-                            calculateDistance(weapon.lat, weapon.lon, a.lat, a.lon) < 1.0
-                        );
-
-                        if (nearestSub) {
-                            // Acquire real target — normal proportional navigation takes over
-                            updated.targetId = nearestSub.id;
-                            updated.operatorTrackTargetId = null;
-                            console.log(`Torpedo ${weapon.id} acquired submarine ${nearestSub.name} within 1nm`);
-                            // Fall through to normal guidance below
-                        } else {
-                            // Guide toward operator track position
-                            const bearing = calculateBearing(weapon.lat, weapon.lon, opTrack.lat, opTrack.lon);
-                            const distance = calculateDistance(weapon.lat, weapon.lon, opTrack.lat, opTrack.lon);
-
-                            // Fuel/acceleration
-                            const configKey = weapon.weaponName || weapon.weaponType;
-                            const config = weaponConfigs[configKey];
-                            if (config) {
-                                if (weapon.selfDestructTime !== undefined && missionTime >= weapon.selfDestructTime) {
-                                    updated.impact = true;
-                                    updated.impactTargetId = null;
-                                    return updated;
-                                }
-                                const fuelDepleted = weapon.fuelDepletionTime !== undefined && missionTime >= weapon.fuelDepletionTime;
-                                if (fuelDepleted) {
-                                    const speedLoss = 50 * deltaTime;
-                                    updated.speed = Math.max(0, weapon.speed - speedLoss);
-                                    if (updated.speed < 10) {
-                                        updated.impact = true;
-                                        updated.impactTargetId = null;
-                                        return updated;
-                                    }
-                                } else {
-                                    const currentAcceleration = (weapon.boosterActive && config.boosterAcceleration)
-                                        ? config.boosterAcceleration : config.maxAcceleration;
-                                    if (weapon.speed < config.maxSpeed) {
-                                        updated.speed = weapon.speed + Math.min(currentAcceleration * deltaTime, config.maxSpeed - weapon.speed);
-                                    }
-                                }
-                                if (weapon.boosterActive && weapon.boosterEndTime !== undefined && missionTime >= weapon.boosterEndTime) {
-                                    updated.boosterActive = false;
-                                }
-                            }
-
-                            // Steering
-                            const turnAmount = shortestTurn(weapon.heading, bearing);
-                            const turnDelta = Math.sign(turnAmount) * Math.min(Math.abs(turnAmount), 30 * deltaTime);
-                            updated.heading = normalizeHeading(weapon.heading + turnDelta);
-
-                            // Movement
-                            const speedNMPerSec = updated.speed / 3600;
-                            const travelDist = speedNMPerSec * deltaTime;
-                            const headingRad = updated.heading * Math.PI / 180;
-                            const latRad = updated.lat * Math.PI / 180;
-                            updated.lat = weapon.lat + (travelDist * Math.cos(headingRad)) / 60;
-                            updated.lon = weapon.lon + (travelDist * Math.sin(headingRad)) / (60 * Math.cos(latRad));
-
-                            // If reached operator track position but no sub nearby, clear track target and continue ballistic
-                            if (distance < 0.1) {
-                                updated.operatorTrackTargetId = null;
-                                console.log(`Torpedo ${weapon.id} reached operator track position, no submarine acquired`);
-                            }
-
-                            return updated;
-                        }
-                    } else {
-                        // Operator track deleted — clear and continue ballistic
-                        updated.operatorTrackTargetId = null;
-                    }
+    }, [weaponConfigs, assets, weapons, missionTime, simulatorMode, studentTracks, birdsCoverage]);
+
+    // Keep updateControllersRef in sync (updated every render, avoids effect teardown)
+    updateControllersRef.current = updateControllers;
+
+    // Present the events from one SimulationCore.stepSimulation (worker tick or UI-thread frame)
+    const handleSimulationEvents = (events) => {
+        events.forEach(event => {
+            if (event.type === 'weaponImpact') {
+                recordSamResults([{ id: event.weaponId, firingGeoPointId: event.firingGeoPointId, impactTargetId: event.targetId }]);
+                recordVampireResults([{ id: event.weaponId, impactTargetId: event.targetId }]);
+                if (event.targetId) {
+                    handleWeaponImpacts([{ firingAssetId: event.firingAssetId, impactTargetId: event.targetId }]);
                 }
+            } else {
+                handleSimulationEvent(event);
+            }
+        });
+    };
 
-                if (!target) {
-                    // Target lost, continue on last heading with fuel system active
-
-                    // Check for self-destruct
-                    if (weapon.selfDestructTime !== undefined && missionTime >= weapon.selfDestructTime) {
-                        updated.impact = true;
-                        updated.impactTargetId = null;
-                        console.log(`Weapon ${weapon.id} self-destructed (no target) at mission time ${missionTime.toFixed(1)}`);
-                        return updated;
-                    }
-
-                    // Check fuel depletion
-                    const fuelDepleted = weapon.fuelDepletionTime !== undefined && missionTime >= weapon.fuelDepletionTime;
-
-                    if (fuelDepleted) {
-                        // ENERGY BLEED-OFF
-                        const dragDeceleration = 50;
-                        const speedLoss = dragDeceleration * deltaTime;
-                        updated.speed = Math.max(0, weapon.speed - speedLoss);
-
-                        if (updated.speed < 10) {
-                            updated.impact = true;
-                            updated.impactTargetId = null;
-                            console.log(`Weapon ${weapon.id} lost energy (no target) at mission time ${missionTime.toFixed(1)}`);
-                            return updated;
-                        }
-                    }
-
-                    const speedNMPerSec = updated.speed / 3600;
-                    const distance = speedNMPerSec * deltaTime;
-                    const headingRad = weapon.heading * Math.PI / 180;
-                    const latRad = weapon.lat * Math.PI / 180;
-
-                    const deltaLat = (distance * Math.cos(headingRad)) / 60;
-                    const deltaLon = (distance * Math.sin(headingRad)) / (60 * Math.cos(latRad));
+    // One UI-thread physics frame when there's no simulation worker (updated every render so
+    // it steps the current state) - the same SimulationCore.stepSimulation the worker runs
+    fallbackFrameRef.current = (frameDt) => {
+        const step = SimulationCore.stepSimulation({
+            missionTime,
+            missionTimeAccum: missionTimeAccumRef.current,
+            assets,
+            weapons,
+            bullseye: bullseyePosition,
+            geoPoints,
+            shapes,
+            studentTracks,
+            sonobuoys,
+            airspaceOccupancy: airspaceOccupancyRef.current
+        }, frameDt, {
+            weaponConfigs,
+            radarDetectionCounts,
+            ownshipRadar: radarEnabled,
+            radioMessages
+        });
+        missionTimeAccumRef.current = step.state.missionTimeAccum;
+        airspaceOccupancyRef.current = step.state.airspaceOccupancy;
+
+        const assetPatch = diffAssets(assets, step.state.assets);
+        const weaponPatch = diffAssets(weapons, step.state.weapons);
+        if (!isEmptyPatch(assetPatch)) setAssets(prev => applyAssetPatch(prev, assetPatch));
+        if (!isEmptyPatch(weaponPatch)) setWeapons(prev => applyAssetPatch(prev, weaponPatch));
+        const wholeSeconds = step.state.missionTime - missionTime;
+        if (wholeSeconds > 0) setMissionTime(prev => prev + wholeSeconds);
+
+        handleSimulationEvents(step.events);
+        updateControllersRef.current();
+    };
 
-                    updated.lat = weapon.lat + deltaLat;
-                    updated.lon = weapon.lon + deltaLon;
-                    return updated;
-                }
+    // ========================================================================
+    // SIMULATION WORKER
+    // ========================================================================
+    // When simulation-worker.js is available, movement, behaviors, weapons and sensor
+    // geometry run there; the UI thread applies its patches and runs AIC/MAC controller
+    // logic and sensor bookkeeping. Falls back to the requestAnimationFrame loop below.
 
-                // Proportional navigation
-                const bearing = calculateBearing(weapon.lat, weapon.lon, target.lat, target.lon);
-                const distance = calculateDistance(weapon.lat, weapon.lon, target.lat, target.lon);
-
-                // Weapon fuel and acceleration system
-                // Use weaponName if available (new system), fallback to weaponType (old saves)
-                const configKey = weapon.weaponName || weapon.weaponType;
-                const config = weaponConfigs[configKey];
-
-                if (config) {
-                    // Check for self-destruct
-                    if (weapon.selfDestructTime !== undefined && missionTime >= weapon.selfDestructTime) {
-                        updated.impact = true;
-                        updated.impactTargetId = null; // Exploded in flight, no target hit
-                        console.log(`Weapon ${weapon.id} self-destructed at mission time ${missionTime.toFixed(1)}`);
-                        return updated;
-                    }
+    useEffect(() => {
+        if (typeof Worker === 'undefined') {
+            console.warn('[Simulation Worker] Web Workers not supported - running physics on the UI thread');
+            return;
+        }
 
-                    // Check booster phase
-                    if (weapon.boosterActive && weapon.boosterEndTime !== undefined && missionTime >= weapon.boosterEndTime) {
-                        updated.boosterActive = false;
-                        console.log(`Weapon ${weapon.id} booster burned out at mission time ${missionTime.toFixed(1)}`);
-                    }
+        let worker;
+        try {
+            worker = new Worker('simulation-worker.js');
+        } catch (err) {
+            console.error('[Simulation Worker] Failed to start - running physics on the UI thread:', err);
+            return;
+        }
 
-                    // Check fuel depletion
-                    const fuelDepleted = weapon.fuelDepletionTime !== undefined && missionTime >= weapon.fuelDepletionTime;
-
-                    if (fuelDepleted) {
-                        // ENERGY BLEED-OFF: Lose speed when out of fuel
-                        const dragDeceleration = 50; // knots/sec
-                        const speedLoss = dragDeceleration * deltaTime;
-                        updated.speed = Math.max(0, weapon.speed - speedLoss);
-
-                        // If speed drops too low, weapon falls/self-destructs
-                        if (updated.speed < 10) {
-                            updated.impact = true;
-                            updated.impactTargetId = null;
-                            console.log(`Weapon ${weapon.id} lost energy and fell at mission time ${missionTime.toFixed(1)}`);
-                            return updated;
-                        }
-                    } else {
-                        // NORMAL ACCELERATION: Use booster or cruise acceleration
-                        const currentAcceleration = (weapon.boosterActive && config.boosterAcceleration)
-                            ? config.boosterAcceleration
-                            : config.maxAcceleration;
-
-                        if (weapon.speed < config.maxSpeed) {
-                            const accel = Math.min(currentAcceleration * deltaTime, config.maxSpeed - weapon.speed);
-                            updated.speed = weapon.speed + accel;
-                        }
-                    }
-                }
+        worker.onmessage = (e) => {
+            if (e.data.type === 'ready') {
+                console.log('[Simulation Worker] Ready');
+                simWorkerRef.current = worker;
+                setSimulationWorkerReady(true);
+            } else if (e.data.type === 'tick') {
+                handleWorkerTickRef.current(e.data);
+            }
+        };
+        worker.onerror = (err) => {
+            console.error('[Simulation Worker] Error - falling back to UI-thread physics:', err.message);
+            simWorkerRef.current = null;
+            setSimulationWorkerReady(false);
+            worker.terminate();
+        };
 
-                // Update heading (max turn rate 30°/sec)
-                const turnAmount = shortestTurn(weapon.heading, bearing);
-                const maxTurnRate = 30;
-                const turnDelta = Math.sign(turnAmount) * Math.min(Math.abs(turnAmount), maxTurnRate * deltaTime);
-                updated.heading = normalizeHeading(weapon.heading + turnDelta);
+        return () => {
+            simWorkerRef.current = null;
+            worker.terminate();
+        };
+    }, []);
 
-                // Update position
-                const speedNMPerSec = updated.speed / 3600;
-                const travelDistance = speedNMPerSec * deltaTime;
-                const headingRad = updated.heading * Math.PI / 180;
-                const latRad = updated.lat * Math.PI / 180;
+    // Apply one worker tick (updated every render so it sees current state)
+    handleWorkerTickRef.current = (tick) => {
+        if (restartingRef.current) return;
 
-                const deltaLat = (travelDistance * Math.cos(headingRad)) / 60;
-                const deltaLon = (travelDistance * Math.sin(headingRad)) / (60 * Math.cos(latRad));
+        simClockRef.current += tick.elapsed * 1000;
+        radarSweepAngleRef.current = tick.sweepAngle;
+        radarSweepStepRef.current = tick.sweepStep;
 
-                updated.lat = weapon.lat + deltaLat;
-                updated.lon = weapon.lon + deltaLon;
+        // Worker-side changes: movement, behavior results, weapon flight, destroyed targets
+        if (!isEmptyPatch(tick.assetPatch)) {
+            assetMirrorRef.current = applyAssetPatch(assetMirrorRef.current, tick.assetPatch);
+            setAssets(prev => applyAssetPatch(prev, tick.assetPatch));
+        }
+        if (!isEmptyPatch(tick.weaponPatch)) {
+            weaponMirrorRef.current = applyAssetPatch(weaponMirrorRef.current, tick.weaponPatch);
+            setWeapons(prev => applyAssetPatch(prev, tick.weaponPatch));
+        }
+        if (tick.missionTime !== lastWorkerMissionTimeRef.current) {
+            lastWorkerMissionTimeRef.current = tick.missionTime;
+            setMissionTime(tick.missionTime);
+        }
 
-                // Check for impact (0.1 NM threshold)
-                if (distance < 0.1) {
-                    updated.impact = true;
-                    updated.impactTargetId = weapon.targetId;
-                }
+        handleSimulationEvents(tick.events);
 
-                return updated;
-            });
+        // AIC targeting and MAC standoff - their steering reaches the worker as patches
+        updateControllersRef.current();
 
-            // Remove impacted weapons and their targets
-            const impactedWeapons = updatedWeapons.filter(w => w.impact && w.impactTargetId);
-            if (impactedWeapons.length > 0) {
-                const targetIdsToRemove = impactedWeapons.map(w => w.impactTargetId);
-
-                // Queue timeout calls for AIC-controlled assets that fired weapons
-                setAssets(prevAssets => {
-                    let updatedAssets = prevAssets;
-
-                    impactedWeapons.forEach(weapon => {
-                        const firingAsset = updatedAssets.find(a => a.id === weapon.firingAssetId);
-                        // Only announce timeout if this was an AIC-controlled engagement
-                        if (firingAsset && firingAsset.targetingState) {
-                            if (firingAsset.twoShipEngagement) {
-                                // Two-ship: don't queue timeout yet, we'll check when all targets are gone
-                            } else {
-                                // Single contact - queue timeout immediately
-                                setPendingTimeoutCalls(prev => [...prev, {
-                                    assetName: firingAsset.name,
-                                    groupName: firingAsset.targetGroupName || 'group'
-                                }]);
-                            }
-                        }
-                    });
+        // Sensor bookkeeping
+        if (radarEnabled && tick.radarHits.length > 0) processRadarHits(tick.radarHits);
+        if (iffEnabled && tick.iffHits.length > 0) processIffHits(tick.iffHits);
+        workerSensorsRef.current = { emitters: tick.emitters, sonoDetections: tick.sonoDetections };
 
-                    // Check for "cover with birds" impacts — announce "grand slam"
-                    impactedWeapons.forEach(weapon => {
-                        const coverage = birdsCoverage.find(c =>
-                            c.weaponFired &&
-                            c.targetAssetId === weapon.impactTargetId &&
-                            weapon.firingAssetId === c.assignedShipId
-                        );
-                        if (coverage) {
-                            setPendingGrandSlamCalls(prev => [...prev, {
-                                trackNumber: coverage.trackNumber,
-                            }]);
-                            setBirdsCoverage(prev => prev.filter(c => c.id !== coverage.id));
-                        }
-                    });
+        if (tick.stepComplete) {
+            stepRemainingRef.current = null;
+            setIsRunning(false);
+        }
+    };
 
-                    // Check for MAC targeting impacts — "good hit, track XXXX is on fire and sinking"
-                    impactedWeapons.forEach(weapon => {
-                        // Find the MAC targeting state for the firing asset
-                        const macTgt = macTargetingRef.current[weapon.firingAssetId];
-                        if (macTgt && macTgt.targetAssetId === weapon.impactTargetId) {
-                            const firingAsset = updatedAssets.find(a => a.id === weapon.firingAssetId);
-                            const assetName = firingAsset?.name || 'Unknown';
-                            const trackNum = macTgt.trackNum;
-                            const tgtGen = macTgt.generation || 0;
-                            const firingId = weapon.firingAssetId;
-
-                            // BDA report after short delay
-                            setTimeout(() => {
-                                const cur = macTargetingRef.current[firingId];
-                                if (!cur || (cur.generation || 0) !== tgtGen) return;
-                                const bdaReport = `${ownshipTacticalCallsignRef.current}, ${assetName}, good hit, track ${trackNum} is on fire and sinking`;
-                                speakResponse(bdaReport);
-                                addToRadioLog(assetName, bdaReport, 'incoming');
-
-                                // Clear MAC targeting state
-                                setMacTargeting(prev => {
-                                    const next = { ...prev };
-                                    delete next[firingId];
-                                    return next;
-                                });
-                            }, 2000);
-                        }
-                    });
+    // Send UI-side asset and weapon changes (edits, steering, launches, loads) to the worker
+    useEffect(() => {
+        if (!simulationWorkerReady) return;
+        const patch = diffAssets(assetMirrorRef.current, assets);
+        assetMirrorRef.current = assets;
+        if (!isEmptyPatch(patch)) {
+            simWorkerRef.current.postMessage({ type: 'patch', collection: 'assets', patch });
+        }
+    }, [assets, simulationWorkerReady]);
 
+    useEffect(() => {
+        if (!simulationWorkerReady) return;
+        const patch = diffAssets(weaponMirrorRef.current, weapons);
+        weaponMirrorRef.current = weapons;
+        if (!isEmptyPatch(patch)) {
+            simWorkerRef.current.postMessage({ type: 'patch', collection: 'weapons', patch });
+        }
+    }, [weapons, simulationWorkerReady]);
 
-                    // Remove destroyed targets
-                    updatedAssets = updatedAssets.filter(a => !targetIdsToRemove.includes(a.id));
+    // Mission time set by the UI (scenario load, restart)
+    useEffect(() => {
+        if (!simulationWorkerReady || missionTime === lastWorkerMissionTimeRef.current) return;
+        lastWorkerMissionTimeRef.current = missionTime;
+        simWorkerRef.current.postMessage({ type: 'setClock', missionTime, sweepAngle: radarSweepAngleRef.current });
+    }, [missionTime, simulationWorkerReady]);
 
-                    // Check for two-ship timeout: all target assets destroyed
-                    updatedAssets = updatedAssets.map(asset => {
-                        if (asset.twoShipEngagement && !asset.twoShipTimeoutCalled && asset.twoShipTargetIds?.length > 0) {
-                            // Check if ALL targets from two-ship engagement are now destroyed
-                            const allTargetsDestroyed = asset.twoShipTargetIds.every(
-                                targetId => !updatedAssets.find(a => a.id === targetId)
-                            );
-                            if (allTargetsDestroyed) {
-                                console.log('[TIMEOUT DEBUG] Two-ship targets all destroyed, queueing timeout for', asset.name);
-                                setPendingTimeoutCalls(prev => [...prev, {
-                                    assetName: asset.name,
-                                    groupName: 'two ship'
-                                }]);
-                                return { ...asset, twoShipTimeoutCalled: true };
-                            }
-                        }
-                        return asset;
-                    });
+    useEffect(() => {
+        if (!simulationWorkerReady) return;
+        simWorkerRef.current.postMessage({
+            type: 'setContext',
+            context: { bullseye: bullseyePosition, geoPoints, shapes, studentTracks, sonobuoys, weaponConfigs }
+        });
+    }, [simulationWorkerReady, bullseyePosition, geoPoints, shapes, studentTracks, sonobuoys, weaponConfigs]);
 
-                    return updatedAssets;
-                });
-            }
+    // Sensor and radio state behind radarDetected / radioKeyword behavior triggers
+    useEffect(() => {
+        if (!simulationWorkerReady) return;
+        simWorkerRef.current.postMessage({ type: 'setContext', context: { radarDetectionCounts, radioMessages } });
+    }, [simulationWorkerReady, radarDetectionCounts, radioMessages]);
 
-            return updatedWeapons.filter(w => !w.impact);
+    useEffect(() => {
+        if (!simulationWorkerReady) return;
+        simWorkerRef.current.postMessage({
+            type: 'setSensors',
+            sensors: { radar: radarEnabled, iff: iffEnabled, esm: esmEnabled, sono: sonoEnabled && sonobuoys.length > 0 }
         });
-    }, [weaponConfigs, assets, missionTime, simulatorMode, studentTracks, birdsCoverage]);
-
-    // Keep updatePhysicsRef in sync (updated every render, avoids effect teardown)
-    updatePhysicsRef.current = updatePhysics;
+    }, [simulationWorkerReady, radarEnabled, iffEnabled, esmEnabled, sonoEnabled, sonobuoys.length]);
 
     // Start/stop physics engine (requestAnimationFrame with delta-time for frame-rate independence)
     useEffect(() => {
+        if (simulationWorkerReady) {
+            // Worker owns the tick
+            if (isRunning) {
+                setHasStarted(true);
+                simWorkerRef.current.postMessage({ type: 'run', stepSeconds: stepRemainingRef.current });
+            } else {
+                simWorkerRef.current.postMessage({ type: 'pause' });
+            }
+            return;
+        }
+
         if (isRunning) {
             setHasStarted(true);
             let lastFrameTime = performance.now();
@@ -8173,12 +8578,33 @@ function AICSimulator() {
             const tick = (now) => {
                 const elapsedMs = Math.min(now - lastFrameTime, 100); // Cap at 100ms to prevent physics explosion on tab switch
                 lastFrameTime = now;
-                deltaTimeRef.current = elapsedMs / 1000; // Store actual delta in seconds
 
-                updatePhysicsRef.current(); // Call through stable ref (avoids effect restart)
+                // Simulation time this frame - real time scaled by time compression
+                let frameDt = (elapsedMs / 1000) * timeCompressionRef.current;
+                // Single-step run: don't overshoot the requested step
+                if (stepRemainingRef.current !== null) {
+                    frameDt = Math.min(frameDt, stepRemainingRef.current);
+                }
+
+                // Physics, airspace/SAM/airfield checks and mission clock (substepped in the core)
+                if (!restartingRef.current) {
+                    fallbackFrameRef.current(frameDt); // Call through stable ref (avoids effect restart)
+                }
 
-                // Update radar sweep angle - 36 deg/sec × actual delta time
-                radarSweepAngleRef.current = (radarSweepAngleRef.current + 36 * deltaTimeRef.current) % 360;
+                // Update radar sweep angle - 36 deg/sec × simulation delta time
+                radarSweepStepRef.current = 36 * frameDt;
+                radarSweepAngleRef.current = (radarSweepAngleRef.current + radarSweepStepRef.current) % 360;
+                simClockRef.current += frameDt * 1000;
+
+                if (stepRemainingRef.current !== null) {
+                    stepRemainingRef.current -= frameDt;
+                    if (stepRemainingRef.current <= 1e-6) {
+                        // Step complete - back to paused
+                        stepRemainingRef.current = null;
+                        setIsRunning(false);
+                        return;
+                    }
+                }
 
                 physicsIntervalRef.current = requestAnimationFrame(tick);
             };
@@ -8195,7 +8621,7 @@ function AICSimulator() {
                 cancelAnimationFrame(physicsIntervalRef.current);
             }
         };
-    }, [isRunning]); // Only depends on isRunning - updatePhysics accessed via stable ref
+    }, [isRunning, simulationWorkerReady]); // Frame logic accessed via stable ref
 
     // FPS counter using requestAnimationFrame
     useEffect(() => {
@@ -8234,25 +8660,40 @@ function AICSimulator() {
         return () => ro.disconnect();
     }, []);
 
-    // Mission time clock
+    // Mission time clock is advanced by the physics loop (scales with time compression)
     useEffect(() => {
-        if (isRunning) {
-            missionTimeIntervalRef.current = setInterval(() => {
-                setMissionTime(prev => prev + 1);
-            }, 1000);
-        } else {
-            if (missionTimeIntervalRef.current) {
-                clearInterval(missionTimeIntervalRef.current);
-            }
+        timeCompressionRef.current = timeCompression;
+        if (simulationWorkerReady) {
+            simWorkerRef.current.postMessage({ type: 'setCompression', rate: timeCompression });
         }
+    }, [timeCompression, simulationWorkerReady]);
 
-        return () => {
-            if (missionTimeIntervalRef.current) {
-                clearInterval(missionTimeIntervalRef.current);
+    // Change time compression - voice input is disabled while compressed
+    const changeTimeCompression = useCallback((rate) => {
+        setTimeCompression(rate);
+        if (rate !== 1 && isTransmitting && speechRecognitionRef.current) {
+            try {
+                speechRecognitionRef.current.stop();
+            } catch (err) {
+                console.error('Failed to stop recognition:', err);
+                setIsTransmitting(false);
             }
-        };
+        }
+    }, [isTransmitting]);
+
+    // Advance a paused simulation by a fixed number of seconds, then pause again
+    const stepSimulation = useCallback((seconds) => {
+        if (isRunning) return;
+        stepRemainingRef.current = seconds;
+        setIsRunning(true);
     }, [isRunning]);
 
+    // Manual PLAY/PAUSE cancels any single-step run in progress
+    const togglePlayback = useCallback(() => {
+        stepRemainingRef.current = null;
+        setIsRunning(prev => !prev);
+    }, []);
+
     // ============================================================================
     // AIC Debrief: Maneuver Recognition Tracking (NEW - Contact-Level)
     // ============================================================================
@@ -8553,101 +8994,76 @@ function AICSimulator() {
     // ============================================================================
     // Behavior Execution Engine
     // ============================================================================
-    // NOTE: Behavior checking is now integrated directly into the updatePhysics function
-    // to ensure synchronization with waypoint arrival detection and other physics updates
-
-    // Radar return generation - create returns when sweep passes over assets
-    useEffect(() => {
-        if (isRunning && radarEnabled && !restartingRef.current) {
-            const ownship = assets.find(a => a.type === 'ownship');
-            if (!ownship) return;
-
-            const newReturns = []; // Batch new returns
-
-            // Check each asset to see if the sweep just passed over it
-            assets.forEach(asset => {
-                // Skip ownship itself
-                if (asset.type === 'ownship') return;
-
-                // Skip subsurface assets deeper than 15 feet (fully submerged)
-                if (asset.domain === 'subSurface' && asset.depth > 15) return;
-
-                // Skip land assets - no radar returns from ground installations
-                if (asset.domain === 'land') return;
-
-                // Calculate bearing from ownship to asset
-                const bearing = calculateBearing(ownship.lat, ownship.lon, asset.lat, asset.lon);
-                const distance = calculateDistance(ownship.lat, ownship.lon, asset.lat, asset.lon);
-
-                // Skip if asset is beyond 320 NM range
-                if (distance > 320) return;
-
-                // Calculate radar horizon
-                // d_total ≈ 1.23 × (√h_radar_ft + √h_target_ft)
-                // For surface/subsurface assets, target height is 0
-                const ownshipAltFt = ownship.altitude || 0;
-                const targetAltFt = asset.domain === 'air' ? (asset.altitude || 0) : 0;
-                const radarHorizonNM = 1.23 * (Math.sqrt(ownshipAltFt) + Math.sqrt(targetAltFt));
+    // NOTE: Behaviors are evaluated in SimulationCore.stepSimulation, right after movement,
+    // so they see waypoints that were just reached
+
+    // Turn radar sweep hits (from the simulation core geometry) into returns and detection counts
+    const processRadarHits = (hits) => {
+        const newReturns = []; // Batch new returns
+        let currentThresholds = detectionThresholds;
+
+        hits.forEach(hit => {
+            // STUDENT MODE: Skip HIDDEN assets
+            if (simulatorMode === 'student' && hit.hidden) return;
+
+            // Create radar return for this asset
+            newReturns.push({
+                assetId: hit.assetId,
+                lat: hit.lat,
+                lon: hit.lon,
+                ownshipLat: hit.ownshipLat,  // Store ownship position at time of detection
+                ownshipLon: hit.ownshipLon,  // Store ownship position at time of detection
+                bearing: hit.bearing,
+                distance: hit.distance,
+                missionTime: missionTime,
+                id: `${hit.assetId}-${missionTime}-${returnIdRandomRef.current()}`
+            });
 
-                // Skip if target is beyond radar horizon
-                if (distance > radarHorizonNM) return;
+            // Increment detection count for track building (counts in ALL modes)
+            if (!currentThresholds[hit.assetId]) {
+                const newThreshold = rollDetectionThreshold(scenarioSeed, hit.assetId); // Seeded 2-3
+                currentThresholds = { ...currentThresholds, [hit.assetId]: newThreshold };
+                setDetectionThresholds(currentThresholds);
+            }
 
-                // Check if sweep angle just passed over this bearing (within 0.6 degrees)
-                // We use a tolerance of 1 degree to account for timing
-                const angleDiff = Math.abs(((bearing - radarSweepAngleRef.current + 540) % 360) - 180);
+            const lastMissionTime = lastDetectionSweepAngle[hit.assetId];
+            const shouldIncrement = !lastMissionTime || (missionTime - lastMissionTime) >= 5;
 
-                if (angleDiff < 1) {
-                    // STUDENT MODE: Skip HIDDEN assets
-                    if (simulatorMode === 'student' && asset.hidden) return;
+            if (shouldIncrement) {
+                const currentCount = radarDetectionCounts[hit.assetId] || 0;
+                const newCount = currentCount + 1;
+                const threshold = currentThresholds[hit.assetId];
 
-                    // Create radar return for this asset
-                    newReturns.push({
-                        assetId: asset.id,
-                        lat: asset.lat,
-                        lon: asset.lon,
-                        ownshipLat: ownship.lat,  // Store ownship position at time of detection
-                        ownshipLon: ownship.lon,  // Store ownship position at time of detection
-                        bearing: bearing,
-                        distance: distance,
-                        missionTime: missionTime,
-                        id: `${asset.id}-${missionTime}-${Math.random()}`
-                    });
+                setRadarDetectionCounts(prev => ({ ...prev, [hit.assetId]: newCount }));
+                setLastDetectionSweepAngle(prev => ({ ...prev, [hit.assetId]: missionTime }));
 
-                    // Increment detection count for track building (counts in ALL modes)
-                    let currentThresholds = { ...detectionThresholds };
-                    if (!currentThresholds[asset.id]) {
-                        const newThreshold = 2 + Math.floor(Math.random() * 2); // Random 2-3
-                        currentThresholds[asset.id] = newThreshold;
-                        setDetectionThresholds(currentThresholds);
+                // STUDENT MODE ONLY: Create track when threshold reached
+                if (simulatorMode === 'student' && newCount >= threshold && !studentTracks.find(t => t.assetId === hit.assetId)) {
+                    const asset = assets.find(a => a.id === hit.assetId);
+                    if (asset && asset.trackFileEnabled !== false) {
+                        createStudentTrack(asset);
                     }
+                }
+            }
+        });
 
-                    const lastMissionTime = lastDetectionSweepAngle[asset.id];
-                    const shouldIncrement = !lastMissionTime || (missionTime - lastMissionTime) >= 5;
-
-                    if (shouldIncrement) {
-                        const currentCount = radarDetectionCounts[asset.id] || 0;
-                        const newCount = currentCount + 1;
-                        const threshold = currentThresholds[asset.id];
-
-                        setRadarDetectionCounts(prev => ({ ...prev, [asset.id]: newCount }));
-                        setLastDetectionSweepAngle(prev => ({ ...prev, [asset.id]: missionTime }));
+        // Batch update radar returns (single state update instead of per-asset)
+        if (newReturns.length > 0) {
+            setRadarReturns(prev => [...prev, ...newReturns]);
+        }
+    };
 
-                        // STUDENT MODE ONLY: Create track when threshold reached
-                        if (simulatorMode === 'student' && newCount >= threshold && !studentTracks.find(t => t.assetId === asset.id)) {
-                            if (asset.trackFileEnabled !== false) {
-                                createStudentTrack(asset);
-                            }
-                        }
-                    }
-                }
-            });
+    // Radar return generation - create returns when sweep passes over assets
+    // (the simulation worker reports its own sweep hits with each tick)
+    useEffect(() => {
+        if (isRunning && radarEnabled && !restartingRef.current && !simulationWorkerReady) {
+            const ownship = assets.find(a => a.type === 'ownship');
+            if (!ownship) return;
 
-            // Batch update radar returns (single state update instead of per-asset)
-            if (newReturns.length > 0) {
-                setRadarReturns(prev => [...prev, ...newReturns]);
-            }
+            const sweepTolerance = Math.max(1, radarSweepStepRef.current); // Sweep moves further per frame when compressed
+            processRadarHits(detectSweepContacts(assets, ownship, radarSweepAngleRef.current, sweepTolerance));
         }
-    }, [isRunning, radarEnabled, assets, missionTime, simulatorMode, studentTracks, createStudentTrack, detectionThresholds, radarDetectionCounts, lastDetectionSweepAngle]);
+    }, [isRunning, radarEnabled, assets, missionTime, simulatorMode, studentTracks, createStudentTrack, detectionThresholds, radarDetectionCounts, lastDetectionSweepAngle, scenarioSeed, simulationWorkerReady]);
 
     // STUDENT MODE: Track aging and dead reckoning system
     useEffect(() => {
@@ -8750,7 +9166,8 @@ function AICSimulator() {
 
                 const isDetectable = distance <= 320 && distance <= radarHorizonNM;
                 const angleDiff = Math.abs(((bearing - radarSweepAngleRef.current + 540) % 360) - 180);
-                const sweepDetected = angleDiff < 1;
+                const sweepTolerance = Math.max(1, radarSweepStepRef.current); // Sweep moves further per frame when compressed
+                const sweepDetected = angleDiff < sweepTolerance;
 
                 if (sweepDetected && isDetectable) {
                     // Reset to actual asset position and update estimated course/speed
@@ -8788,71 +9205,40 @@ function AICSimulator() {
     // IFF SYSTEM - Generate IFF returns for squawking assets
     // ========================================================================
 
-    // IFF return generation - create returns when sweep passes over squawking assets
-    useEffect(() => {
-        if (isRunning && iffEnabled && !restartingRef.current) {
-            const ownship = assets.find(a => a.type === 'ownship');
-            if (!ownship) return;
-
-            const newIffReturns = []; // Batch new IFF returns
-
-            // Check each asset to see if the sweep just passed over it and it's squawking IFF
-            assets.forEach(asset => {
-                // Skip ownship itself
-                if (asset.type === 'ownship') return;
-
-                // Skip subsurface assets deeper than 15 feet (fully submerged)
-                if (asset.domain === 'subSurface' && asset.depth > 15) return;
-
-                // Skip land assets - no IFF from ground installations
-                if (asset.domain === 'land') return;
-
-                // Skip assets not squawking IFF
-                if (!asset.iffSquawking) return;
-
-                // Calculate bearing from ownship to asset
-                const bearing = calculateBearing(ownship.lat, ownship.lon, asset.lat, asset.lon);
-                const distance = calculateDistance(ownship.lat, ownship.lon, asset.lat, asset.lon);
-
-                // Skip if asset is beyond 320 NM range
-                if (distance > 320) return;
-
-                // Calculate radar horizon (IFF uses same horizon as radar)
-                const ownshipAltFt = ownship.altitude || 0;
-                const targetAltFt = asset.domain === 'air' ? (asset.altitude || 0) : 0;
-                const iffHorizonNM = 1.23 * (Math.sqrt(ownshipAltFt) + Math.sqrt(targetAltFt));
-
-                // Skip if target is beyond IFF horizon
-                if (distance > iffHorizonNM) return;
-
-                // Check if sweep angle just passed over this bearing
-                const angleDiff = Math.abs(((bearing - radarSweepAngleRef.current + 540) % 360) - 180);
+    // Turn IFF sweep hits into IFF returns
+    const processIffHits = (hits) => {
+        const newIffReturns = hits.map(hit => ({
+            assetId: hit.assetId,
+            lat: hit.lat,
+            lon: hit.lon,
+            ownshipLat: hit.ownshipLat,  // Store ownship position at time of interrogation
+            ownshipLon: hit.ownshipLon,  // Store ownship position at time of interrogation
+            bearing: hit.bearing,
+            distance: hit.distance,
+            missionTime: missionTime,
+            modeI: hit.modeI,
+            modeII: hit.modeII,
+            modeIII: hit.modeIII,
+            id: `${hit.assetId}-${missionTime}-${returnIdRandomRef.current()}`
+        }));
 
-                if (angleDiff < 1) {
-                    // Create IFF return for this asset
-                    newIffReturns.push({
-                        assetId: asset.id,
-                        lat: asset.lat,
-                        lon: asset.lon,
-                        ownshipLat: ownship.lat,  // Store ownship position at time of interrogation
-                        ownshipLon: ownship.lon,  // Store ownship position at time of interrogation
-                        bearing: bearing,
-                        distance: distance,
-                        missionTime: missionTime,
-                        modeI: asset.iffModeI,
-                        modeII: asset.iffModeII,
-                        modeIII: asset.iffModeIII,
-                        id: `${asset.id}-${missionTime}-${Math.random()}`
-                    });
-                }
-            });
+        // Batch update IFF returns (single state update instead of per-asset)
+        if (newIffReturns.length > 0) {
+            setIffReturns(prev => [...prev, ...newIffReturns]);
+        }
+    };
 
-            // Batch update IFF returns (single state update instead of per-asset)
-            if (newIffReturns.length > 0) {
-                setIffReturns(prev => [...prev, ...newIffReturns]);
-            }
+    // IFF return generation - create returns when sweep passes over squawking assets
+    // (the simulation worker reports its own IFF hits with each tick)
+    useEffect(() => {
+        if (isRunning && iffEnabled && !restartingRef.current && !simulationWorkerReady) {
+            const ownship = assets.find(a => a.type === 'ownship');
+            if (!ownship) return;
+
+            const sweepTolerance = Math.max(1, radarSweepStepRef.current); // Sweep moves further per frame when compressed
+            processIffHits(detectSweepContacts(assets, ownship, radarSweepAngleRef.current, sweepTolerance, { iffOnly: true }));
         }
-    }, [isRunning, iffEnabled, assets, missionTime]);
+    }, [isRunning, iffEnabled, assets, missionTime, simulationWorkerReady]);
 
     // Clean up old IFF returns based on radar decay setting (IFF returns use same decay)
     useEffect(() => {
@@ -9206,37 +9592,12 @@ function AICSimulator() {
         const ownship = assets.find(a => a.type === 'ownship');
         if (!ownship) return;
 
-        // Build list of all active emitters from other assets
-        const activeEmitters = [];
-        assets.forEach(asset => {
-            // Skip ownship
-            if (asset.type === 'ownship') return;
-
-            // Skip assets without platforms or emitters
-            if (!asset.platform || !asset.platform.emitters || asset.platform.emitters.length === 0) return;
-
-            // Check each emitter
-            asset.platform.emitters.forEach(emitterName => {
-                // Check if this emitter is turned ON
-                if (asset.emitterStates && asset.emitterStates[emitterName]) {
-                    // Calculate bearing from ownship to this asset
-                    const bearing = calculateBearing(ownship.lat, ownship.lon, asset.lat, asset.lon);
-
-                    // Create unique ID for this emitter
-                    const emitterId = `${asset.id}-${emitterName}`;
-
-                    activeEmitters.push({
-                        id: emitterId,
-                        assetId: asset.id,
-                        emitterName: emitterName,
-                        bearing: bearing,
-                        lat: asset.lat,
-                        lon: asset.lon,
-                        threatLevel: asset.platform.threatLevel || 3 // Default to 3 if not specified
-                    });
-                }
-            });
-        });
+        // Active emitters across all assets, SAM sites and missile seekers (from the simulation worker's last tick when it's running)
+        const activeEmitters = (simulationWorkerReady && isRunning && workerSensorsRef.current.emitters) || [
+            ...detectActiveEmitters(assets, ownship),
+            ...SamSites.detectSiteEmitters(geoPoints, ownship),
+            ...detectSeekerEmitters(weapons, assets, ownship, weaponConfigs)
+        ];
 
         // Update detected emitters list, preserving serial numbers, visibility states, and age tracking
         setDetectedEmitters(prev => {
@@ -9284,97 +9645,218 @@ function AICSimulator() {
 
             return updated;
         });
-    }, [esmEnabled, assets, nextEsmSerialNumber, missionTime]);
+    }, [esmEnabled, assets, weapons, weaponConfigs, geoPoints, nextEsmSerialNumber, missionTime, simulationWorkerReady, isRunning]);
 
     // ========================================================================
-    // SONOBUOY DETECTION SYSTEM
+    // VAMPIRE WARNINGS - Inbound anti-ship missiles on radar or ESM
     // ========================================================================
 
     useEffect(() => {
-        if (!sonoEnabled || sonobuoys.length === 0) {
-            setSonoDetections([]);
-            return;
+        const ownship = assets.find(a => a.type === 'ownship');
+        if (!ownship || weapons.length === 0) return;
+
+        // Radar paints the missile once it clears the horizon; ESM hears its seeker go active
+        const detections = new Map();
+        if (radarEnabled) {
+            detectInboundMissiles(weapons, assets, ownship, weaponConfigs).forEach(missile => {
+                detections.set(missile.weaponId, { ...missile, sensor: 'RADAR' });
+            });
+        }
+        if (esmEnabled) {
+            detectSeekerEmitters(weapons, assets, ownship, weaponConfigs).forEach(seeker => {
+                if (detections.has(seeker.weaponId)) return;
+                const weapon = weapons.find(w => w.id === seeker.weaponId);
+                detections.set(seeker.weaponId, {
+                    weaponId: weapon.id,
+                    weaponName: weapon.weaponName || weapon.weaponType,
+                    firingAssetId: weapon.firingAssetId,
+                    targetId: weapon.targetId,
+                    bearing: seeker.bearing,
+                    range: calculateDistance(ownship.lat, ownship.lon, weapon.lat, weapon.lon),
+                    sensor: 'ESM'
+                });
+            });
         }
 
-        const submarines = assets.filter(a => a.domain === 'subSurface');
-        if (submarines.length === 0) {
+        const fresh = [...detections.values()].filter(missile => !vampireWeaponIdsRef.current.has(missile.weaponId));
+        if (fresh.length === 0) return;
+        fresh.forEach(missile => vampireWeaponIdsRef.current.add(missile.weaponId));
+
+        const assetName = (id) => {
+            const asset = assets.find(a => a.id === id);
+            return asset ? (asset.name || `Asset ${asset.id}`) : 'Unknown';
+        };
+        const reports = fresh.map(missile => {
+            console.log(`[VAMPIRE] ${missile.weaponName} detected by ${missile.sensor}, bearing ${Math.round(missile.bearing)}, ${missile.range.toFixed(1)} NM`);
+            return {
+                id: nextVampireIdRef.current++,
+                weaponId: missile.weaponId,
+                weaponName: missile.weaponName,
+                shooterName: assetName(missile.firingAssetId),
+                targetName: assetName(missile.targetId),
+                sensor: missile.sensor,
+                detectTime: missionTime,
+                detectBearing: missile.bearing,
+                detectRange: missile.range,
+                callTime: null,
+                callBearing: null,
+                transcript: null,
+                correct: null,
+                error: null,
+                result: null
+            };
+        });
+        setVampireReports(prev => [...prev, ...reports]);
+    }, [weapons, assets, radarEnabled, esmEnabled, weaponConfigs, missionTime]);
+
+    // ========================================================================
+    // SONOBUOY DETECTION SYSTEM
+    // ========================================================================
+
+    useEffect(() => {
+        if (!sonoEnabled || sonobuoys.length === 0) {
             setSonoDetections([]);
             return;
         }
 
-        const detections = [];
-        sonobuoys.forEach(sono => {
-            submarines.forEach(sub => {
-                const distance = calculateDistance(sono.lat, sono.lon, sub.lat, sub.lon);
-                if (distance <= SONOBUOY_DETECTION_RANGE) {
-                    const bearing = calculateBearing(sono.lat, sono.lon, sub.lat, sub.lon);
-                    detections.push({
-                        id: `sono-${sono.id}-sub-${sub.id}`,
-                        sonobuoyId: sono.id,
-                        submarineId: sub.id,
-                        bearing: bearing,
-                        sonoLat: sono.lat,
-                        sonoLon: sono.lon,
-                        subLat: sub.lat,
-                        subLon: sub.lon
-                    });
-                }
-            });
-        });
+        // Submarines in range of each buoy (from the simulation worker's last tick when it's running)
+        const detections = (simulationWorkerReady && isRunning && workerSensorsRef.current.sonoDetections) ||
+            detectSonobuoyContacts(sonobuoys, assets, SONOBUOY_DETECTION_RANGE);
 
         setSonoDetections(detections);
-    }, [sonoEnabled, sonobuoys, assets, missionTime]);
+    }, [sonoEnabled, sonobuoys, assets, missionTime, simulationWorkerReady, isRunning]);
 
     // ========================================================================
-    // ASSET MANAGEMENT
+    // EDIT HISTORY (UNDO/REDO)
     // ========================================================================
+    // Instructor edits made while the simulation is stopped snapshot the editable
+    // scenario (assets, geo-points, shapes, bullseye) before they apply. State is
+    // updated immutably, so a snapshot just holds the previous arrays. Physics and
+    // student-mode radio commands never record, and the history is cleared when
+    // the simulation runs or a scenario loads (snapshots would rewind movement).
+
+    const editHistoryRef = useRef({ undo: [], redo: [] });
+    const lastEditRef = useRef({ key: null, time: 0, source: null }); // For coalescing
+    const editGestureRef = useRef(null); // { snapshot } while a drag is in progress - the whole drag is one undo step
+    const editStateRef = useRef(null);
+    editStateRef.current = { assets, geoPoints, shapes, bullseyePosition, nextAssetId, nextGeoPointId, nextShapeId, isRunning, simulatorMode };
+
+    const takeEditSnapshot = (state) => ({
+        assets: state.assets,
+        geoPoints: state.geoPoints,
+        shapes: state.shapes,
+        bullseyePosition: state.bullseyePosition,
+        nextAssetId: state.nextAssetId,
+        nextGeoPointId: state.nextGeoPointId,
+        nextShapeId: state.nextShapeId
+    });
 
-    const addAsset = useCallback((assetData) => {
-        // Determine domain (default to 'air' if not specified)
-        const domain = assetData.domain || 'air';
-        const domainConfig = DOMAIN_TYPES[domain];
-
-        // Get platform if specified
-        const platform = assetData.platform || null;
+    const snapshotMatches = (snapshot, state) =>
+        snapshot.assets === state.assets &&
+        snapshot.geoPoints === state.geoPoints &&
+        snapshot.shapes === state.shapes &&
+        snapshot.bullseyePosition === state.bullseyePosition;
+
+    // Call at the start of an edit, before its setters run. Edits from one event
+    // handler, or repeats with the same key inside EDIT_COALESCE_MS, share a step.
+    // Returns the recorded snapshot, or null if nothing was recorded.
+    const recordEdit = useCallback((key = null) => {
+        const current = editStateRef.current;
+        if (current.isRunning || current.simulatorMode !== 'instructor') return null;
+        if (editGestureRef.current) return null; // Mid-drag: recorded at drag start
+
+        const now = Date.now();
+        const last = lastEditRef.current;
+        if (last.source === current) return null; // Already recorded for this render
+        if (key !== null && last.key === key && now - last.time < EDIT_COALESCE_MS) {
+            last.time = now;
+            return null;
+        }
 
-        // Set default values based on domain and platform
-        // Default speed to 0 for all assets to support realistic threat presentations (e.g., aircraft launching from airfields)
-        let speed = assetData.speed !== undefined ? assetData.speed : 0;
-        let altitude = assetData.altitude !== undefined ? assetData.altitude : (domain === 'air' ? 25000 : 0);
-        let depth = assetData.depth !== undefined ? assetData.depth : (domain === 'subSurface' ? 50 : null);
+        const history = editHistoryRef.current;
+        const snapshot = takeEditSnapshot(current);
+        history.undo.push(snapshot);
+        if (history.undo.length > EDIT_HISTORY_LIMIT) history.undo.shift();
+        history.redo = [];
+        lastEditRef.current = { key, time: now, source: current };
+        return snapshot;
+    }, []);
 
-        // Apply ownship limits if creating ownship
-        if (assetData.type === 'ownship') {
-            speed = Math.min(220, speed);
-            altitude = Math.min(27000, altitude);
+    // Drags call the update functions on every mouse move; record once at drag start
+    const beginEditGesture = useCallback(() => {
+        const snapshot = recordEdit();
+        editGestureRef.current = { snapshot };
+    }, [recordEdit]);
+
+    const endEditGesture = useCallback(() => {
+        const gesture = editGestureRef.current;
+        editGestureRef.current = null;
+        if (!gesture || !gesture.snapshot) return;
+        // Click without movement - drop the empty step
+        const history = editHistoryRef.current;
+        if (history.undo[history.undo.length - 1] === gesture.snapshot && snapshotMatches(gesture.snapshot, editStateRef.current)) {
+            history.undo.pop();
         }
+    }, []);
 
-        // Apply platform-specific limits if platform is assigned
-        if (platform) {
-            speed = Math.min(platform.maxSpeed, speed);
-            if (domainConfig.hasAltitude) {
-                altitude = Math.min(platform.maxAltitude, altitude);
-            }
-        } else {
-            // Apply domain-specific speed limits if no platform
-            speed = Math.min(domainConfig.maxSpeed, speed);
-        }
+    const clearEditHistory = useCallback(() => {
+        editHistoryRef.current = { undo: [], redo: [] };
+        lastEditRef.current = { key: null, time: 0, source: null };
+        editGestureRef.current = null;
+    }, []);
 
-        // LAND DOMAIN: Force stationary (speed=0, heading=0)
-        if (domain === 'land') {
-            speed = 0;
-            if (assetData.heading === undefined) {
-                assetData.heading = 0;
-            }
-        }
+    const restoreEditSnapshot = useCallback((snapshot) => {
+        setAssets(snapshot.assets);
+        setGeoPoints(snapshot.geoPoints);
+        setShapes(snapshot.shapes);
+        setBullseyePosition(snapshot.bullseyePosition);
+        setBullseyeLatInput(decimalToDMM(snapshot.bullseyePosition.lat, true));
+        setBullseyeLonInput(decimalToDMM(snapshot.bullseyePosition.lon, false));
+        setNextAssetId(snapshot.nextAssetId);
+        setNextGeoPointId(snapshot.nextGeoPointId);
+        setNextShapeId(snapshot.nextShapeId);
+        lastEditRef.current = { key: null, time: 0, source: null };
+    }, []);
 
-        // Initialize emitter states (all emitters off by default)
-        const emitterStates = {};
-        if (platform && platform.emitters && platform.emitters.length > 0) {
-            platform.emitters.forEach(emitter => {
-                emitterStates[emitter] = false; // default: off
-            });
+    // Step between two stacks, pushing the current state onto the other one
+    const stepEditHistory = useCallback((from, to) => {
+        const current = editStateRef.current;
+        if (current.isRunning || current.simulatorMode !== 'instructor') return;
+        const history = editHistoryRef.current;
+
+        // Skip steps that wouldn't change anything (e.g. an edit that was rejected)
+        let snapshot = history[from].pop();
+        while (snapshot && snapshotMatches(snapshot, current)) {
+            snapshot = history[from].pop();
         }
+        if (!snapshot) return;
+
+        history[to].push(takeEditSnapshot(current));
+        restoreEditSnapshot(snapshot);
+    }, [restoreEditSnapshot]);
+
+    const undoEdit = useCallback(() => stepEditHistory('undo', 'redo'), [stepEditHistory]);
+    const redoEdit = useCallback(() => stepEditHistory('redo', 'undo'), [stepEditHistory]);
+
+    // Snapshots can't be replayed over physics movement
+    useEffect(() => {
+        if (isRunning) clearEditHistory();
+    }, [isRunning, clearEditHistory]);
+
+    // Bullseye moves typed into the control panel
+    const moveBullseye = useCallback((position) => {
+        recordEdit();
+        setBullseyePosition(position);
+    }, [recordEdit]);
+
+    // ========================================================================
+    // ASSET MANAGEMENT
+    // ========================================================================
+
+    const addAsset = useCallback((assetData) => {
+        recordEdit();
+
+        const platform = assetData.platform || null;
 
         // Initialize weapon inventory for ownship
         if (assetData.type === 'ownship' && platform?.weapons) {
@@ -9409,59 +9891,16 @@ function AICSimulator() {
             setWeaponInventory(initialInventory);
         }
 
-        const newAsset = {
-            id: nextAssetId,
-            name: assetData.name || `Asset ${nextAssetId}`,
-            type: assetData.type || 'unknown',
-            identity: assetData.identity || 'unknown', // friendly, hostile, neutral, unknown, unknownUnevaluated
-            domain: domain,
-            platform: platform,
+        const newAsset = createAsset({
+            ...assetData,
             lat: assetData.lat || bullseyePosition.lat,
-            lon: assetData.lon || bullseyePosition.lon,
-            heading: assetData.heading || 0,
-            speed: speed,
-            altitude: domainConfig.hasAltitude ? altitude : 0,
-            depth: domainConfig.hasDepth ? depth : null,
-            targetHeading: null,
-            targetSpeed: null,
-            targetAltitude: domainConfig.hasAltitude ? null : null,
-            targetDepth: domainConfig.hasDepth ? null : null,
-            waypoints: [],
-            trackNumber: null,
-            emitterStates: emitterStates,
-            iffModeI: assetData.iffModeI || '',
-            iffModeII: assetData.iffModeII || '',
-            iffModeIII: assetData.iffModeIII || '',
-            iffSquawking: assetData.iffSquawking !== undefined ? assetData.iffSquawking : false,
-            datalinkNet: assetData.datalinkNet || '',
-            datalinkJU: assetData.datalinkJU || '',
-            datalinkTrackBlockStart: assetData.datalinkTrackBlockStart || '',
-            datalinkTrackBlockEnd: assetData.datalinkTrackBlockEnd || '',
-            datalinkActive: false, // Whether asset is active in datalink
-            datalinkAssignedTrack: null, // Track number assigned when reported to datalink
-            behaviors: [],
-            hidden: assetData.hidden !== undefined ? assetData.hidden : true, // HIDDEN checkbox (instructor only) - defaults to CHECKED
-            trackFileEnabled: assetData.trackFileEnabled !== undefined ? assetData.trackFileEnabled : true, // TRACK FILE checkbox (instructor only)
-            studentLabel: assetData.studentLabel || '', // Student-assigned label (student mode)
-            // AIC targeting state
-            targetingState: null,  // null | 'intercepting' | 'engaging' | 'escorting'
-            targetedAssetId: null, // ID of the asset being targeted
-            targetDeclaration: null, // 'hostile' | 'bandit' | 'bogeySpades'
-            interceptCommitted: false, // True from commit until picture clean/reset - pauses waypoints
-            behaviorInterceptTargetId: null, // ID of asset to continuously intercept (set by behavior action)
-            // VID (Visual ID) state for Bogey Spades intercepts
-            vidCalled20nm: false,  // Has called "V-I-D, group" at 20nm
-            vidCalled2nm: false,   // Has called "V-I-D group, group NATO name" at 2nm
-            // AIC Training Mode - range-triggered call flags
-            declareCalled28nm: false,  // Has fighter called "declare group" at 28nm
-            declareResponseReceived: false, // Has AIC responded to the declare call
-            fox3Called25nm: false      // Has fighter called "fox-3 group" at 25nm
-        };
+            lon: assetData.lon || bullseyePosition.lon
+        }, nextAssetId);
 
         setAssets(prev => [...prev, newAsset]);
         setNextAssetId(prev => prev + 1);
         setSelectedAssetId(newAsset.id);
-    }, [nextAssetId, bullseyePosition]);
+    }, [nextAssetId, bullseyePosition, recordEdit]);
 
     const deleteAsset = useCallback((assetId) => {
         // Prevent deletion of ownship
@@ -9471,11 +9910,45 @@ function AICSimulator() {
             return;
         }
 
+        recordEdit();
         setAssets(prev => prev.filter(a => a.id !== assetId));
         if (selectedAssetId === assetId) {
             setSelectedAssetId(null);
         }
-    }, [selectedAssetId, assets]);
+    }, [selectedAssetId, assets, recordEdit]);
+
+    // Add vessels from the maritime traffic generator, optionally replacing the
+    // traffic a previous run added (tagged with generatedTraffic)
+    const addGeneratedTraffic = useCallback((params, seed, replaceExisting) => {
+        const kept = replaceExisting ? assets.filter(a => !a.generatedTraffic) : assets;
+        const firstAssetId = Math.max(nextAssetId, ...kept.map(a => a.id + 1));
+        let result;
+        try {
+            result = MaritimeTraffic.generateTraffic(params, {
+                seed,
+                platforms,
+                coastlines: theater.coastlines,
+                islands: theater.islands,
+                cities: theater.cities,
+                lanes: theater.lanes,
+                center: bullseyePosition,
+                firstAssetId
+            });
+        } catch (e) {
+            alert(`Traffic generation failed: ${e.message}`);
+            return null;
+        }
+
+        recordEdit();
+        setAssets([...kept, ...result.assets]);
+        setNextAssetId(result.nextAssetId);
+        if (replaceExisting && selectedAssetId !== null && !kept.some(a => a.id === selectedAssetId)) {
+            setSelectedAssetId(null);
+        }
+        const coiList = result.summary.contactsOfInterest.map(c => `${c.name} (${c.platform}, ${c.cover})`).join(', ');
+        console.log(`[Maritime Traffic] Added ${result.assets.length} vessels (seed ${result.seed})${coiList ? ` - contacts of interest: ${coiList}` : ''}`);
+        return result;
+    }, [assets, nextAssetId, platforms, theater, bullseyePosition, selectedAssetId, recordEdit]);
 
     // ========================================================================
     // STUDENT/INSTRUCTOR MODE TRACK MANAGEMENT FUNCTIONS
@@ -9642,8 +10115,18 @@ function AICSimulator() {
         }
     }, [assets]);
 
-    const fireWeapon = useCallback((firingAssetId, targetAssetId, weaponType) => {
-        console.log('fireWeapon called:', { firingAssetId, targetAssetId, weaponType });
+    // Next free weapon id. Several launches can be queued in one tick, before React
+    // re-renders, so the ref carries ids already handed out past the stale nextWeaponId
+    // and weapons of this render.
+    const allocateWeaponId = () => {
+        const weaponId = Math.max(nextWeaponId, weaponIdRef.current, ...weapons.map(w => w.id + 1));
+        weaponIdRef.current = weaponId + 1;
+        return weaponId;
+    };
+
+    // weaponName (optional) launches that weapons.json entry instead of the platform's first of weaponType
+    const fireWeapon = useCallback((firingAssetId, targetAssetId, weaponType, weaponName) => {
+        console.log('fireWeapon called:', { firingAssetId, targetAssetId, weaponType, weaponName });
 
         const firingAsset = assets.find(a => a.id === firingAssetId);
         const targetAsset = assets.find(a => a.id === targetAssetId);
@@ -9673,7 +10156,9 @@ function AICSimulator() {
         const allPlats = [...(platforms.air || []), ...(platforms.surface || []), ...(platforms.subSurface || [])];
         const currentPlatDef = allPlats.find(p => p.name === firingAsset.platform?.name);
         const platformWeapons = currentPlatDef?.weapons || firingAsset.platform?.weapons || [];
-        if (platformWeapons.length > 0) {
+        if (weaponName) {
+            selectedWeaponName = weaponName;
+        } else if (platformWeapons.length > 0) {
             selectedWeaponName = platformWeapons.find(weaponName => {
                 const config = weaponConfigs[weaponName];
                 console.log(`Checking weapon ${weaponName}: config exists=${!!config}, type=${config?.type}, matches=${config?.type === weaponType}`);
@@ -9702,6 +10187,11 @@ function AICSimulator() {
         const range = calculateDistance(firingAsset.lat, firingAsset.lon, targetAsset.lat, targetAsset.lon);
 
         if (range > config.maxRange) {
+            if (weaponName) {
+                // Scripted launch (behavior action) - no operator to warn
+                console.warn(`${firingAsset.name} held fire: ${targetAsset.name} at ${range.toFixed(1)} NM is beyond ${selectedWeaponName} range`);
+                return;
+            }
             setShowRangeWarning(true);
             setTimeout(() => setShowRangeWarning(false), 2000);
             return;
@@ -9716,8 +10206,9 @@ function AICSimulator() {
             affiliation = firingAsset.identity === 'friendly' || firingAsset.type === 'ownship' ? 'friendly' : 'hostile';
         }
 
+        const weaponId = allocateWeaponId();
         const newWeapon = {
-            id: nextWeaponId,
+            id: weaponId,
             weaponType: weaponType,              // Keep for UI/inventory tracking
             weaponName: selectedWeaponName,      // NEW: Store actual weapon variant
             lat: firingAsset.lat,
@@ -9739,7 +10230,7 @@ function AICSimulator() {
         };
 
         setWeapons(prev => [...prev, newWeapon]);
-        setNextWeaponId(prev => prev + 1);
+        setNextWeaponId(prev => Math.max(prev, weaponId + 1));
 
         if (firingAsset.type === 'ownship') {
             setWeaponInventory(prev => ({
@@ -9747,7 +10238,7 @@ function AICSimulator() {
                 [weaponType]: Math.max(0, prev[weaponType] - 1)
             }));
         }
-    }, [assets, weaponConfigs, nextWeaponId, missionTime, simulatorMode, studentTracks, platforms]);
+    }, [assets, weapons, weaponConfigs, nextWeaponId, missionTime, simulatorMode, studentTracks, platforms]);
 
     // Fire weapon at an operator track (torpedo with proximity guidance to real submarines)
     const fireWeaponAtOperatorTrack = useCallback((operatorTrackId, weaponType) => {
@@ -9790,8 +10281,9 @@ function AICSimulator() {
             return;
         }
 
+        const weaponId = allocateWeaponId();
         const newWeapon = {
-            id: nextWeaponId,
+            id: weaponId,
             weaponType: weaponType,
             weaponName: selectedWeaponName,
             lat: ownship.lat,
@@ -9813,12 +10305,223 @@ function AICSimulator() {
         };
 
         setWeapons(prev => [...prev, newWeapon]);
-        setNextWeaponId(prev => prev + 1);
+        setNextWeaponId(prev => Math.max(prev, weaponId + 1));
         setWeaponInventory(prev => ({
             ...prev,
             [weaponType]: Math.max(0, prev[weaponType] - 1)
         }));
-    }, [assets, studentTracks, weaponConfigs, nextWeaponId, missionTime, simulatorMode]);
+    }, [assets, weapons, studentTracks, weaponConfigs, nextWeaponId, missionTime, simulatorMode]);
+
+    // Behavior actions that reach beyond their own asset (queued by handleSimulationEvent)
+    behaviorEventRef.current = (event) => {
+        const source = assets.find(a => a.id === event.assetId);
+
+        if (event.type === 'fireWeapon') {
+            const config = weaponConfigs[event.weaponName];
+            if (!config) {
+                console.warn(`Behavior weapon ${event.weaponName} is not in weapons.json`);
+                return;
+            }
+            fireWeapon(event.assetId, event.targetId, config.type, event.weaponName);
+        } else if (event.type === 'spawnAssets') {
+            const spec = event.spawn;
+            const domain = spec.domain || 'air';
+            const platform = (platforms[domain] || []).find(p => p.name === spec.platform);
+            if (!platform) {
+                console.warn(`Behavior spawn platform ${spec.platform} is not in platforms.json`);
+                return;
+            }
+            const count = Math.max(1, spec.count || 1);
+            const heading = spec.heading || 0;
+            const baseName = spec.name || platform.name;
+            const firstId = Math.max(nextAssetId, spawnedAssetIdRef.current, ...assets.map(a => a.id + 1));
+            const spawned = Array.from({ length: count }, (_, i) => {
+                // Each one 1 NM in trail of the one ahead
+                const position = computeDestinationPoint(event.lat, event.lon, (heading + 180) % 360, i);
+                return createAsset({
+                    name: count > 1 ? `${baseName} ${i + 1}` : baseName,
+                    identity: spec.identity || source?.identity || 'hostile',
+                    domain,
+                    platform: JSON.parse(JSON.stringify(platform)),
+                    lat: position.lat,
+                    lon: position.lon,
+                    heading,
+                    speed: spec.speed,
+                    altitude: spec.altitude,
+                    hidden: false,
+                    tactics: spec.tactics && domain === 'air' ? { ...TACTICS_DEFAULTS }
+                        : spec.tactics && domain === 'surface' ? { ...SURFACE_TACTICS_DEFAULTS }
+                        : spec.tactics && domain === 'subSurface' ? { ...SUBMARINE_TACTICS_DEFAULTS } : null
+                }, firstId + i);
+            });
+            spawnedAssetIdRef.current = firstId + count;
+            setAssets(prev => [...prev, ...spawned]);
+            setNextAssetId(prev => Math.max(prev, firstId + count));
+            console.log(`Behavior on ${source?.name || event.assetId} spawned ${spawned.map(a => a.name).join(', ')}`);
+        } else if (event.type === 'removeAsset') {
+            setAssets(prev => prev.filter(a => a.id !== event.assetId));
+            if (selectedAssetId === event.assetId) setSelectedAssetId(null);
+            console.log(`Behavior removed ${source?.name || event.assetId} from the scenario`);
+        }
+    };
+
+    // SAM site launches (queued by handleSimulationEvent): the missile, the site's
+    // magazine, the launch call and the threat debrief entry
+    samLaunchRef.current = (event) => {
+        // The worker keeps reporting a shot until the site's geo-point update reaches it
+        const lastLaunch = samLaunchTimesRef.current[event.geoPointId];
+        if (lastLaunch !== undefined && event.missionTime - lastLaunch < SamSites.SHOT_INTERVAL) return;
+
+        const site = geoPoints.find(gp => gp.id === event.geoPointId);
+        const target = assets.find(a => a.id === event.targetId);
+        if (!SamSites.isSamSite(site) || !target) return;
+        const config = weaponConfigs[event.weaponName];
+        if (!config) {
+            console.warn(`SAM site weapon ${event.weaponName} is not in weapons.json`);
+            return;
+        }
+        samLaunchTimesRef.current[event.geoPointId] = event.missionTime;
+
+        const weaponId = allocateWeaponId();
+        const newWeapon = {
+            id: weaponId,
+            weaponType: config.type,
+            weaponName: event.weaponName,
+            lat: site.lat,
+            lon: site.lon,
+            heading: calculateBearing(site.lat, site.lon, target.lat, target.lon),
+            speed: 100,
+            altitude: 0,
+            targetId: target.id,
+            firingAssetId: null,
+            firingGeoPointId: site.id,
+            affiliation: site.identity === 'friendly' ? 'friendly' : 'hostile',
+            launchTime: missionTime,
+            launchMode: simulatorMode,
+            fuelRemaining: config.fuelTime || 60,
+            boosterActive: true,
+            boosterEndTime: missionTime + (config.boosterTime || 10),
+            fuelDepletionTime: missionTime + (config.fuelTime || 60),
+            selfDestructTime: missionTime + (config.selfDestructTime || 120)
+        };
+        setWeapons(prev => [...prev, newWeapon]);
+        setNextWeaponId(prev => Math.max(prev, weaponId + 1));
+        setGeoPoints(prev => prev.map(gp => gp.id === site.id
+            ? { ...gp, sam: { ...gp.sam, missiles: Math.max(0, gp.sam.missiles - 1), lastLaunchTime: event.missionTime } }
+            : gp));
+
+        setSamLaunches(prev => [...prev, {
+            id: nextSamLaunchIdRef.current++,
+            time: event.missionTime,
+            siteName: event.siteName,
+            identity: site.identity,
+            weaponName: event.weaponName,
+            targetName: event.targetName,
+            range: event.range,
+            altitude: event.altitude,
+            weaponId,
+            result: null
+        }]);
+
+        // Hostile launch: the targeted aircraft calls it with the site's position.
+        // Friendly launch: the site reports birds away.
+        const sitePosition = getBullseyePosition(site.lat, site.lon, bullseyePosition);
+        if (site.identity !== 'friendly' && target.type === 'ownship') {
+            addToRadioLog('SAM', `SAM launch, ${sitePosition}`, 'error');
+        } else {
+            const sender = site.identity === 'friendly' ? event.siteName : target.name;
+            const call = site.identity === 'friendly'
+                ? `${event.siteName}, birds away, ${target.name}`
+                : `${target.name}, SAM launch, ${sitePosition}`;
+            setTimeout(() => {
+                speakResponse(call);
+                addToRadioLog(sender, call, 'incoming');
+            }, 100);
+        }
+        console.log(`[SAM] ${event.siteName} launched ${event.weaponName} at ${event.targetName} (${event.range.toFixed(1)} NM, ${Math.round(event.altitude)} ft)`);
+    };
+
+    // Airfield sorties (queued by handleSimulationEvent): launching a flight off the
+    // roster, and taking aircraft that have landed out of the scenario
+    airfieldEventRef.current = (event) => {
+        const field = geoPoints.find(gp => gp.id === event.geoPointId);
+        const updateSortie = (sortieId, update) => setGeoPoints(prev => prev.map(gp => gp.id === event.geoPointId && Airfields.isAirfield(gp)
+            ? { ...gp, airfield: { ...gp.airfield, roster: gp.airfield.roster.map(s => s.id === sortieId ? update(s) : s) } }
+            : gp));
+
+        if (event.type === 'airfieldRecovery') {
+            setAssets(prev => prev.filter(a => a.id !== event.assetId));
+            if (selectedAssetId === event.assetId) setSelectedAssetId(null);
+            updateSortie(event.sortieId, s => ({ ...s, recovered: (s.recovered || 0) + 1 }));
+            console.log(`[AIRFIELD] ${event.assetName} landed at ${field?.name || 'airfield'}`);
+            return;
+        }
+
+        // The worker keeps reporting a launch until the roster update reaches it
+        const key = `${event.geoPointId}:${event.sortieId}`;
+        if (launchedSortiesRef.current.has(key)) return;
+        const sortie = Airfields.isAirfield(field) ? field.airfield.roster.find(s => s.id === event.sortieId) : null;
+        if (!sortie || sortie.launched) return;
+        const platform = (platforms.air || []).find(p => p.name === sortie.platform);
+        if (!platform) {
+            console.warn(`Airfield sortie platform ${sortie.platform} is not in platforms.json`);
+            return;
+        }
+        launchedSortiesRef.current.add(key);
+
+        // After departure: to the station, or straight at the threat on a scramble
+        const station = geoPoints.find(gp => gp.id === sortie.stationId);
+        const threat = assets.find(a => a.id === event.threatId);
+        const missionHeading = station ? calculateBearing(field.lat, field.lon, station.lat, station.lon)
+            : threat ? calculateBearing(field.lat, field.lon, threat.lat, threat.lon)
+            : null;
+
+        const heading = sortie.heading || 0;
+        const count = Math.max(1, sortie.count || 1);
+        const baseName = sortie.name || platform.name;
+        const firstId = Math.max(nextAssetId, spawnedAssetIdRef.current, ...assets.map(a => a.id + 1));
+        const firstTrackNumber = Math.max(nextTrackNumber, airfieldTrackNumberRef.current);
+        const launched = Array.from({ length: count }, (_, i) => {
+            // Stream takeoff - each one 1 NM in trail of the one ahead
+            const position = computeDestinationPoint(field.lat, field.lon, (heading + 180) % 360, i);
+            const aircraft = createAsset({
+                name: count > 1 ? `${baseName} ${i + 1}` : baseName,
+                identity: field.identity || 'unknown',
+                domain: 'air',
+                platform: JSON.parse(JSON.stringify(platform)),
+                lat: position.lat,
+                lon: position.lon,
+                heading,
+                speed: Airfields.TAKEOFF_SPEED,
+                altitude: 0,
+                hidden: false,
+                tactics: sortie.tactics ? { ...TACTICS_DEFAULTS, bingo: sortie.endurance } : null, // Tactics bingo is the sortie's endurance
+                recovery: Airfields.createRecovery(field, sortie, missionHeading)
+            }, firstId + i);
+            aircraft.targetSpeed = sortie.speed;
+            aircraft.trackNumber = firstTrackNumber + i;
+            if (station) {
+                aircraft.waypoints = [{ id: 1, lat: station.lat, lon: station.lon, reached: false, isOrbitPoint: true }];
+                aircraft.nextWaypointId = 1;
+            }
+            return aircraft;
+        });
+        spawnedAssetIdRef.current = firstId + count;
+        airfieldTrackNumberRef.current = firstTrackNumber + count;
+        setAssets(prev => [...prev, ...launched]);
+        setNextAssetId(prev => Math.max(prev, firstId + count));
+        setNextTrackNumber(prev => Math.max(prev, firstTrackNumber + count));
+        updateSortie(sortie.id, s => ({ ...s, launched: true }));
+
+        if (field.identity === 'friendly') {
+            const call = `${launched[0].name}, airborne`;
+            setTimeout(() => {
+                speakResponse(call);
+                addToRadioLog(launched[0].name, call, 'incoming');
+            }, 100);
+        }
+        console.log(`[AIRFIELD] ${field.name || 'Airfield'} launched ${launched.map(a => a.name).join(', ')}${threat ? ` (scramble on ${threat.name})` : ''}`);
+    };
 
     // Handle automatic weapon engagement from AIC targeting
     // When engageAttempted flag is set by physics update, fire AAM at target
@@ -9878,7 +10581,7 @@ function AICSimulator() {
             }
 
             // Wait 15 seconds after cover call before firing (simulates lock-up time)
-            if (Date.now() - coverage.coveredAt < 15000) return;
+            if (simClockRef.current - coverage.coveredAt < 15000) return;
 
             const range = calculateDistance(ship.lat, ship.lon, target.lat, target.lon);
 
@@ -10028,59 +10731,61 @@ function AICSimulator() {
         }
     }, [pendingVIDCalls, speakResponse, addToRadioLog, formatCallsignForRadio]);
 
-    const updateAsset = useCallback((assetId, updates) => {
-        setAssets(prev => prev.map(a => {
-            if (a.id !== assetId) return a;
-
-            // Prevent changing type to or from ownship
-            if (updates.type !== undefined) {
-                if (a.type === 'ownship' || updates.type === 'ownship') {
-                    alert('Ownship type cannot be changed');
-                    return a;
-                }
+    // Merge updates into one asset, enforcing the ownship type lock and platform limits
+    const applyAssetUpdates = (a, updates) => {
+        // Prevent changing type to or from ownship
+        if (updates.type !== undefined) {
+            if (a.type === 'ownship' || updates.type === 'ownship') {
+                alert('Ownship type cannot be changed');
+                return a;
             }
+        }
 
-            const updatedAsset = { ...a, ...updates };
+        const updatedAsset = { ...a, ...updates };
 
-            // Apply platform limits
-            if (updatedAsset.platform) {
-                // Speed limits
-                if (updatedAsset.platform.maxSpeed !== undefined) {
-                    // Only apply limit if targetSpeed is a number (not null/undefined)
-                    if (updates.targetSpeed !== undefined && updates.targetSpeed !== null) {
-                        updatedAsset.targetSpeed = Math.min(updatedAsset.platform.maxSpeed, updates.targetSpeed);
-                    }
-                    if (updatedAsset.speed > updatedAsset.platform.maxSpeed) {
-                        updatedAsset.speed = updatedAsset.platform.maxSpeed;
-                    }
+        // Apply platform limits
+        if (updatedAsset.platform) {
+            // Speed limits
+            if (updatedAsset.platform.maxSpeed !== undefined) {
+                // Only apply limit if targetSpeed is a number (not null/undefined)
+                if (updates.targetSpeed !== undefined && updates.targetSpeed !== null) {
+                    updatedAsset.targetSpeed = Math.min(updatedAsset.platform.maxSpeed, updates.targetSpeed);
+                }
+                if (updatedAsset.speed > updatedAsset.platform.maxSpeed) {
+                    updatedAsset.speed = updatedAsset.platform.maxSpeed;
                 }
+            }
 
-                // Altitude limits
-                if (updatedAsset.platform.maxAltitude !== undefined) {
-                    // Only apply limit if targetAltitude is a number (not null/undefined)
-                    if (updates.targetAltitude !== undefined && updates.targetAltitude !== null) {
-                        updatedAsset.targetAltitude = Math.min(updatedAsset.platform.maxAltitude, updates.targetAltitude);
-                    }
-                    if (updatedAsset.altitude > updatedAsset.platform.maxAltitude) {
-                        updatedAsset.altitude = updatedAsset.platform.maxAltitude;
-                    }
+            // Altitude limits
+            if (updatedAsset.platform.maxAltitude !== undefined) {
+                // Only apply limit if targetAltitude is a number (not null/undefined)
+                if (updates.targetAltitude !== undefined && updates.targetAltitude !== null) {
+                    updatedAsset.targetAltitude = Math.min(updatedAsset.platform.maxAltitude, updates.targetAltitude);
+                }
+                if (updatedAsset.altitude > updatedAsset.platform.maxAltitude) {
+                    updatedAsset.altitude = updatedAsset.platform.maxAltitude;
                 }
+            }
 
-                // Depth limits
-                if (updatedAsset.platform.maxDepth !== undefined) {
-                    // Only apply limit if targetDepth is a number (not null/undefined)
-                    if (updates.targetDepth !== undefined && updates.targetDepth !== null) {
-                        updatedAsset.targetDepth = Math.min(updatedAsset.platform.maxDepth, updates.targetDepth);
-                    }
-                    if (updatedAsset.depth > updatedAsset.platform.maxDepth) {
-                        updatedAsset.depth = updatedAsset.platform.maxDepth;
-                    }
+            // Depth limits
+            if (updatedAsset.platform.maxDepth !== undefined) {
+                // Only apply limit if targetDepth is a number (not null/undefined)
+                if (updates.targetDepth !== undefined && updates.targetDepth !== null) {
+                    updatedAsset.targetDepth = Math.min(updatedAsset.platform.maxDepth, updates.targetDepth);
+                }
+                if (updatedAsset.depth > updatedAsset.platform.maxDepth) {
+                    updatedAsset.depth = updatedAsset.platform.maxDepth;
                 }
             }
+        }
 
-            return updatedAsset;
-        }));
-    }, []);
+        return updatedAsset;
+    };
+
+    const updateAsset = useCallback((assetId, updates) => {
+        recordEdit(`asset:${assetId}:${Object.keys(updates).sort().join(',')}`);
+        setAssets(prev => prev.map(a => (a.id === assetId ? applyAssetUpdates(a, updates) : a)));
+    }, [recordEdit]);
 
     // ============================================================================
     // ISAR Flight Profile Validation
@@ -10159,17 +10864,31 @@ function AICSimulator() {
         return `bhv-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     };
 
+    // Roll the seeded mission time for a randomTime behavior that doesn't have one yet
+    const withRandomTriggerTime = (behavior, assetId, seed) => {
+        if (behavior.triggerType !== 'randomTime' || !behavior.triggerConfig) return behavior;
+        if (behavior.triggerConfig.randomMissionTime !== undefined) return behavior;
+        return {
+            ...behavior,
+            triggerConfig: {
+                ...behavior.triggerConfig,
+                randomMissionTime: rollRandomTriggerTime(behavior.triggerConfig, seed, assetId, behavior.id)
+            }
+        };
+    };
+
     // Add behavior to asset
     const addBehavior = useCallback((assetId, behavior) => {
+        recordEdit();
         setAssets(prevAssets => prevAssets.map(asset => {
             if (asset.id === assetId) {
-                const newBehavior = {
+                const newBehavior = withRandomTriggerTime({
                     ...behavior,
                     id: behavior.id || generateBehaviorId(),
                     assetId: assetId,
                     fired: false,
-                    enabled: true
-                };
+                    enabled: behavior.enabled !== false
+                }, assetId, scenarioSeed);
                 return {
                     ...asset,
                     behaviors: [...(asset.behaviors || []), newBehavior]
@@ -10177,35 +10896,147 @@ function AICSimulator() {
             }
             return asset;
         }));
-    }, []);
+    }, [scenarioSeed, recordEdit]);
 
     // Update existing behavior
     const updateBehavior = useCallback((assetId, behaviorId, updates) => {
+        recordEdit(`behavior:${behaviorId}:${Object.keys(updates).sort().join(',')}`);
         setAssets(prevAssets => prevAssets.map(asset => {
             if (asset.id === assetId) {
                 return {
                     ...asset,
-                    behaviors: (asset.behaviors || []).map(b =>
-                        b.id === behaviorId ? { ...b, ...updates } : b
-                    )
+                    behaviors: (asset.behaviors || []).map(b => {
+                        if (b.id !== behaviorId) return b;
+                        const next = { ...b, ...updates };
+                        // A changed trigger starts watching afresh
+                        if (updates.triggerType !== undefined || updates.triggerConfig !== undefined) delete next.triggerState;
+                        return withRandomTriggerTime(next, assetId, scenarioSeed);
+                    })
                 };
             }
             return asset;
         }));
-    }, []);
+    }, [scenarioSeed, recordEdit]);
 
     // Delete behavior
     const deleteBehavior = useCallback((assetId, behaviorId) => {
+        recordEdit();
         setAssets(prevAssets => prevAssets.map(asset => {
             if (asset.id === assetId) {
                 return {
                     ...asset,
-                    behaviors: (asset.behaviors || []).filter(b => b.id !== behaviorId)
+                    behaviors: (asset.behaviors || []).filter(b => b.id !== behaviorId),
+                    pendingActions: (asset.pendingActions || []).filter(p => p.behaviorId !== behaviorId)
                 };
             }
             return asset;
         }));
-    }, []);
+    }, [recordEdit]);
+
+    // ========================================================================
+    // GROUP OPERATIONS (MULTI-SELECT)
+    // ========================================================================
+
+    // Current members, treating a lone selected asset as the first member
+    const currentGroupMembers = () => {
+        if (groupAssetIds.length > 0) return groupAssetIds;
+        return selectedAssetId !== null && selectedAsset ? [selectedAssetId] : [];
+    };
+
+    // Shift-click: add or remove one asset from the multi-selection
+    const toggleGroupMember = useCallback((assetId) => {
+        const members = currentGroupMembers();
+        if (!members.includes(assetId)) {
+            setGroupAssetIds([...members, assetId]);
+            setSelectedAssetId(assetId);
+            return;
+        }
+        const remaining = members.filter(id => id !== assetId);
+        setGroupAssetIds(remaining.length > 1 ? remaining : []);
+        if (assetId === selectedAssetId) {
+            setSelectedAssetId(remaining.length > 0 ? remaining[remaining.length - 1] : null);
+        }
+    }, [groupAssetIds, selectedAssetId, selectedAsset]);
+
+    // Rubber band: add every boxed asset to the multi-selection
+    const addGroupMembers = useCallback((assetIds) => {
+        const members = currentGroupMembers();
+        const merged = [...members, ...assetIds.filter(id => !members.includes(id))];
+        setGroupAssetIds(merged.length > 1 ? merged : []);
+        if (members.length === 0 && merged.length > 0) {
+            setSelectedAssetId(merged[0]);
+        }
+    }, [groupAssetIds, selectedAssetId, selectedAsset]);
+
+    // Apply updates to several assets as one undo step. updates may be a function
+    // of the asset returning that asset's updates (or null to leave it alone).
+    const updateAssets = useCallback((assetIds, updates) => {
+        recordEdit();
+        setAssets(prev => prev.map(a => {
+            if (!assetIds.includes(a.id)) return a;
+            const assetUpdates = typeof updates === 'function' ? updates(a) : updates;
+            return assetUpdates ? applyAssetUpdates(a, assetUpdates) : a;
+        }));
+    }, [recordEdit]);
+
+    const deleteAssets = useCallback((assetIds) => {
+        const deletable = assets.filter(a => assetIds.includes(a.id) && a.type !== 'ownship').map(a => a.id);
+        if (deletable.length === 0) return;
+
+        recordEdit();
+        setAssets(prev => prev.filter(a => !deletable.includes(a.id)));
+        setGroupAssetIds([]);
+        if (deletable.includes(selectedAssetId)) {
+            setSelectedAssetId(null);
+        }
+    }, [assets, selectedAssetId, recordEdit]);
+
+    // Replace the targets' behaviors with fresh copies of the source asset's behaviors
+    const copyBehaviorsToAssets = useCallback((sourceAssetId, targetAssetIds) => {
+        const source = assets.find(a => a.id === sourceAssetId);
+        if (!source) return;
+
+        recordEdit();
+        setAssets(prev => prev.map(asset => {
+            if (asset.id === sourceAssetId || !targetAssetIds.includes(asset.id) || asset.type === 'ownship') return asset;
+            // Arm/disarm actions follow their behaviors to the new ids
+            const idMap = {};
+            (source.behaviors || []).forEach(b => { idMap[b.id] = generateBehaviorId(); });
+            return {
+                ...asset,
+                behaviors: (source.behaviors || []).map(b => {
+                    const copy = JSON.parse(JSON.stringify(b));
+                    delete copy.triggerState;
+                    delete copy.fireCount;
+                    delete copy.lastFiredTime;
+                    (copy.conditions || []).forEach(c => { delete c.triggerState; });
+                    copy.actions = (copy.actions || []).map(action =>
+                        BEHAVIOR_LINK_ACTIONS.includes(action.type) && idMap[action.value]
+                            ? { ...action, value: idMap[action.value] }
+                            : action
+                    );
+                    return withRandomTriggerTime({ ...copy, id: idMap[b.id], assetId: asset.id, fired: false }, asset.id, scenarioSeed);
+                }),
+                pendingActions: []
+            };
+        }));
+    }, [assets, scenarioSeed, recordEdit]);
+
+    // Common heading/speed/altitude, applied the way the selected-asset SET buttons do:
+    // hidden assets jump straight to the value, visible ones turn/accelerate/climb to it
+    const setGroupTarget = useCallback((assetIds, field, value) => {
+        const targetField = `target${field.charAt(0).toUpperCase()}${field.slice(1)}`;
+        updateAssets(assetIds, asset => {
+            if (asset.domain === 'land') return null; // Stationary
+            if (field === 'altitude' && (asset.domain || 'air') !== 'air') return null;
+
+            const updates = asset.hidden ? { [field]: value, [targetField]: null } : { [targetField]: value };
+            if (field === 'heading' && asset.isOrbiting) {
+                updates.isOrbiting = false;
+            }
+            return updates;
+        });
+    }, [updateAssets]);
 
     const reportTrack = useCallback((assetId) => {
         const asset = assets.find(a => a.id === assetId);
@@ -10301,6 +11132,7 @@ function AICSimulator() {
     // ========================================================================
 
     const addWaypoint = useCallback((assetId, lat, lon, isFirst = false) => {
+        recordEdit();
         setAssets(prev => prev.map(asset => {
             if (asset.id !== assetId) return asset;
 
@@ -10322,9 +11154,10 @@ function AICSimulator() {
 
             return { ...asset, ...updates };
         }));
-    }, []);
+    }, [recordEdit]);
 
     const deleteWaypoint = useCallback((assetId, wpIndex) => {
+        recordEdit();
         setAssets(prev => prev.map(asset => {
             if (asset.id !== assetId) return asset;
 
@@ -10341,9 +11174,10 @@ function AICSimulator() {
 
             return { ...asset, ...updates };
         }));
-    }, []);
+    }, [recordEdit]);
 
     const moveWaypoint = useCallback((assetId, wpIndex, lat, lon) => {
+        recordEdit();
         setAssets(prev => prev.map(asset => {
             if (asset.id !== assetId) return asset;
 
@@ -10363,9 +11197,10 @@ function AICSimulator() {
 
             return { ...asset, ...updates };
         }));
-    }, []);
+    }, [recordEdit]);
 
     const clearWaypoints = useCallback((assetId) => {
+        recordEdit();
         setAssets(prevAssets => prevAssets.map(asset => {
             if (asset.id === assetId) {
                 return {
@@ -10378,9 +11213,10 @@ function AICSimulator() {
             }
             return asset;
         }));
-    }, []);
+    }, [recordEdit]);
 
     const wrapWaypoint = useCallback((assetId, waypointIndex) => {
+        recordEdit();
         setAssets(prev => prev.map(asset => {
             if (asset.id !== assetId) return asset;
             if (waypointIndex < 1) return asset; // Can't wrap first waypoint
@@ -10391,9 +11227,10 @@ function AICSimulator() {
 
             return { ...asset, waypoints: newWaypoints };
         }));
-    }, []);
+    }, [recordEdit]);
 
     const unwrapWaypoint = useCallback((assetId, waypointIndex) => {
+        recordEdit();
         setAssets(prev => prev.map(asset => {
             if (asset.id !== assetId) return asset;
 
@@ -10403,9 +11240,10 @@ function AICSimulator() {
 
             return { ...asset, waypoints: newWaypoints };
         }));
-    }, []);
+    }, [recordEdit]);
 
     const addOrbitPoint = useCallback((assetId, lat, lon) => {
+        recordEdit();
         setAssets(prev => prev.map(asset => {
             if (asset.id !== assetId) return asset;
 
@@ -10434,13 +11272,14 @@ function AICSimulator() {
                 isOrbiting: false  // Will be set true when orbit point reached
             };
         }));
-    }, []);
+    }, [recordEdit]);
 
     // ========================================================================
     // GEO-POINT MANAGEMENT
     // ========================================================================
 
     const addGeoPoint = useCallback((lat, lon, geoPointType) => {
+        recordEdit();
         const newGeoPoint = {
             id: nextGeoPointId,
             name: '', // Blank name by default
@@ -10456,44 +11295,47 @@ function AICSimulator() {
         setSelectedAssetId(null);
         setBullseyeSelected(false);
         setRadarControlsSelected(false);
-    }, [nextGeoPointId]);
+    }, [nextGeoPointId, recordEdit]);
 
     const deleteGeoPoint = useCallback((geoPointId) => {
+        recordEdit();
         setGeoPoints(prev => prev.filter(gp => gp.id !== geoPointId));
         if (selectedGeoPointId === geoPointId) {
             setSelectedGeoPointId(null);
         }
-    }, [selectedGeoPointId]);
+    }, [selectedGeoPointId, recordEdit]);
 
     const updateGeoPoint = useCallback((geoPointId, updates) => {
+        recordEdit(`geoPoint:${geoPointId}:${Object.keys(updates).sort().join(',')}`);
         setGeoPoints(prev => prev.map(gp => {
             if (gp.id !== geoPointId) return gp;
             return { ...gp, ...updates };
         }));
-    }, []);
+    }, [recordEdit]);
 
     // ========================================================================
     // SHAPE MANAGEMENT
     // ========================================================================
 
     const startCreatingShape = useCallback((shapeType, lat, lon) => {
-        if (shapeType === 'lineSegment') {
-            // Start line segment with first point (with blank name)
+        if (ShapeGeometry.POINT_SHAPES.includes(shapeType)) {
+            // Line segments and polygons are clicked out point by point, starting here (blank names)
             setCreatingShape({
-                type: 'lineSegment',
+                type: shapeType,
                 points: [{ lat, lon, name: '' }]
             });
-        } else if (shapeType === 'circle') {
-            // Create circle immediately at clicked location with default radius
+        } else {
+            // Circles, rectangles, ellipses and sectors drop at the clicked location with default sizes
             const newShape = {
                 id: nextShapeId,
-                type: 'circle',
-                centerLat: lat,
-                centerLon: lon,
-                radius: 10, // Default 10 NM radius
+                ...ShapeGeometry.createShape(shapeType, lat, lon),
                 identity: 'unknown',
-                label: ''
+                label: '',
+                minAltitude: null,
+                maxAltitude: null,
+                acm: null
             };
+            recordEdit();
             setShapes(prev => [...prev, newShape]);
             setNextShapeId(prev => prev + 1);
             setSelectedShapeId(newShape.id);
@@ -10503,10 +11345,10 @@ function AICSimulator() {
             setRadarControlsSelected(false);
         }
         setContextMenu(null);
-    }, [nextShapeId]);
+    }, [nextShapeId, recordEdit]);
 
-    const addLineSegmentPoint = useCallback((lat, lon) => {
-        if (!creatingShape || creatingShape.type !== 'lineSegment') return;
+    const addShapePoint = useCallback((lat, lon) => {
+        if (!creatingShape) return;
 
         setCreatingShape(prev => ({
             ...prev,
@@ -10514,18 +11356,21 @@ function AICSimulator() {
         }));
     }, [creatingShape]);
 
-    const finishLineSegment = useCallback(() => {
-        if (!creatingShape || creatingShape.type !== 'lineSegment' || creatingShape.points.length < 2) {
+    const finishPointShape = useCallback(() => {
+        const isPolygon = creatingShape && creatingShape.type === 'polygon';
+        if (!creatingShape || creatingShape.points.length < (isPolygon ? 3 : 2)) {
             setCreatingShape(null);
             return;
         }
 
         const newShape = {
             id: nextShapeId,
-            type: 'lineSegment',
+            type: creatingShape.type,
             points: creatingShape.points,
-            identity: 'unknown'
+            identity: 'unknown',
+            ...(isPolygon ? { label: '', minAltitude: null, maxAltitude: null, acm: null } : {})
         };
+        recordEdit();
         setShapes(prev => [...prev, newShape]);
         setNextShapeId(prev => prev + 1);
         setSelectedShapeId(newShape.id);
@@ -10534,18 +11379,19 @@ function AICSimulator() {
         setSelectedGeoPointId(null);
         setBullseyeSelected(false);
         setRadarControlsSelected(false);
-    }, [creatingShape, nextShapeId]);
+    }, [creatingShape, nextShapeId, recordEdit]);
 
     const cancelShapeCreation = useCallback(() => {
         setCreatingShape(null);
     }, []);
 
     const deleteShape = useCallback((shapeId) => {
+        recordEdit();
         setShapes(prev => prev.filter(s => s.id !== shapeId));
         if (selectedShapeId === shapeId) {
             setSelectedShapeId(null);
         }
-    }, [selectedShapeId]);
+    }, [selectedShapeId, recordEdit]);
 
     const deleteManualBearingLine = useCallback((lineId) => {
         setManualBearingLines(prev => prev.filter(l => l.id !== lineId));
@@ -10555,11 +11401,12 @@ function AICSimulator() {
     }, [selectedEsmId]);
 
     const updateShape = useCallback((shapeId, updates) => {
+        recordEdit(`shape:${shapeId}:${Object.keys(updates).sort().join(',')}`);
         setShapes(prev => prev.map(s => {
             if (s.id !== shapeId) return s;
             return { ...s, ...updates };
         }));
-    }, []);
+    }, [recordEdit]);
 
     // ========================================================================
     // RECORDING FUNCTIONALITY
@@ -10706,14 +11553,13 @@ function AICSimulator() {
     // SAVE/LOAD FUNCTIONALITY
     // ========================================================================
 
-    const saveToLocalStorage = useCallback((name) => {
-        // NOTE: Mission products are excluded from localStorage saves due to size limits
-        // localStorage typically has a 5-10MB limit per domain
-        // Use "Save to File" to include mission products in the scenario
+    const saveToAppStorage = useCallback((name) => {
+        // Application saves go to IndexedDB (scenario-store.js), which has room for mission products
         const saveData = {
-            version: '1.2', // Increment version for mission products
+            version: ScenarioSchema.SCENARIO_VERSION,
             timestamp: new Date().toISOString(),
             assets,
+            theater: Theaters.toSaveData(theater),
             bullseye: bullseyePosition,
             bullseyeName,
             scale,
@@ -10738,35 +11584,33 @@ function AICSimulator() {
             studentTracks,
             radarDetectionCounts,
             detectionThresholds,
+            seed: scenarioSeed,
             trackAgingTimers,
             nextStudentTrackId,
-            skateFlowEnabled
-            // missionProducts excluded - too large for localStorage
+            skateFlowEnabled,
+            missionProducts
         };
 
-        try {
-            localStorage.setItem(`aic-scenario-${name}`, JSON.stringify(saveData));
+        ScenarioStore.saveScenario(name, saveData).then(summary => {
             setCurrentScenarioName(name);
             setCurrentScenarioSource('app');
-            if (missionProducts && missionProducts.length > 0) {
-                alert(`Scenario saved to application: ${name}\n\nNote: Mission products are not included in application saves due to browser storage limits. Use "Save to File" to include mission products.`);
-            } else {
-                alert(`Scenario saved to application: ${name}`);
-            }
-        } catch (e) {
-            if (e.name === 'QuotaExceededError') {
+            alert(`Scenario saved to application: ${name} (${ScenarioStore.formatBytes(summary.size)})`);
+        }).catch(e => {
+            console.error('Save error:', e);
+            if (e && e.name === 'QuotaExceededError') {
                 alert('Failed to save: Browser storage quota exceeded.\n\nTry:\n1. Deleting old saved scenarios\n2. Using "Save to File" instead');
             } else {
-                alert(`Failed to save scenario: ${e.message}`);
+                alert(`Failed to save scenario: ${e && e.message}`);
             }
-        }
-    }, [assets, bullseyePosition, bullseyeName, scale, mapCenter, tempMark, nextTrackNumber, missionTime, geoPoints, nextGeoPointId, shapes, nextShapeId, sonobuoys, sonobuoyCount, nextSonobuoyId, weapons, weaponInventory, nextWeaponId, weaponEnabled, weaponArmed, selectedWeaponType, simulatorMode, studentTracks, radarDetectionCounts, detectionThresholds, trackAgingTimers, nextStudentTrackId, missionProducts]);
+        });
+    }, [assets, theater, bullseyePosition, bullseyeName, scale, mapCenter, tempMark, nextTrackNumber, missionTime, geoPoints, nextGeoPointId, shapes, nextShapeId, sonobuoys, sonobuoyCount, nextSonobuoyId, weapons, weaponInventory, nextWeaponId, weaponEnabled, weaponArmed, selectedWeaponType, simulatorMode, studentTracks, radarDetectionCounts, detectionThresholds, scenarioSeed, trackAgingTimers, nextStudentTrackId, missionProducts]);
 
     const saveToFile = useCallback((name) => {
         const saveData = {
-            version: '1.2', // Increment version for mission products
+            version: ScenarioSchema.SCENARIO_VERSION,
             timestamp: new Date().toISOString(),
             assets,
+            theater: Theaters.toSaveData(theater),
             bullseye: bullseyePosition,
             bullseyeName,
             scale,
@@ -10791,6 +11635,7 @@ function AICSimulator() {
             studentTracks,
             radarDetectionCounts,
             detectionThresholds,
+            seed: scenarioSeed,
             trackAgingTimers,
             nextStudentTrackId,
             skateFlowEnabled,
@@ -10814,200 +11659,285 @@ function AICSimulator() {
             console.error('Save error:', error);
             alert('Failed to save scenario: ' + error.message);
         }
-    }, [assets, bullseyePosition, bullseyeName, scale, mapCenter, tempMark, nextTrackNumber, missionTime, geoPoints, nextGeoPointId, shapes, nextShapeId, sonobuoys, sonobuoyCount, nextSonobuoyId, weapons, weaponInventory, nextWeaponId, weaponEnabled, weaponArmed, selectedWeaponType, simulatorMode, studentTracks, radarDetectionCounts, detectionThresholds, trackAgingTimers, nextStudentTrackId, missionProducts]);
+    }, [assets, theater, bullseyePosition, bullseyeName, scale, mapCenter, tempMark, nextTrackNumber, missionTime, geoPoints, nextGeoPointId, shapes, nextShapeId, sonobuoys, sonobuoyCount, nextSonobuoyId, weapons, weaponInventory, nextWeaponId, weaponEnabled, weaponArmed, selectedWeaponType, simulatorMode, studentTracks, radarDetectionCounts, detectionThresholds, scenarioSeed, trackAgingTimers, nextStudentTrackId, missionProducts]);
+
+    // ========================================================================
+    // GIS EXCHANGE (GeoJSON / KML - geo-exchange.js)
+    // ========================================================================
+
+    // Download the chosen layers for GIS and mission planning tools.
+    // Students never get the truth picture, only what they can see.
+    const exportGeometry = useCallback((name, format, layers) => {
+        const collection = GeoExchange.exportScenario(
+            { name, assets, geoPoints, shapes, studentTracks },
+            { ...layers, assets: layers.assets && simulatorMode === 'instructor' }
+        );
+        const featureCount = collection.layers.reduce((sum, layer) => sum + layer.features.length, 0);
+        if (featureCount === 0) {
+            alert('Nothing to export - the selected layers are empty.');
+            return false;
+        }
+
+        try {
+            const isKml = format === 'kml';
+            const text = isKml
+                ? GeoExchange.writeKML(collection, { colors: Object.fromEntries(Object.entries(ASSET_TYPES).map(([key, config]) => [key, config.color])) })
+                : GeoExchange.writeGeoJSON(collection);
+            const blob = new Blob([text], { type: isKml ? 'application/vnd.google-earth.kml+xml' : 'application/geo+json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${name}.${isKml ? 'kml' : 'geojson'}`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+            console.log(`[GIS] Exported ${featureCount} feature(s) to ${a.download}`);
+            return true;
+        } catch (error) {
+            console.error('GIS export error:', error);
+            alert('Failed to export: ' + error.message);
+            return false;
+        }
+    }, [assets, geoPoints, shapes, studentTracks, simulatorMode]);
+
+    // Add the points, lines and polygons in a GeoJSON or KML file as geo-points and shapes (one undo step)
+    const importGeometryFile = useCallback((file, onDone) => {
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            let result;
+            try {
+                result = GeoExchange.importFeatures(GeoExchange.readFile(file.name, e.target.result));
+            } catch (error) {
+                console.error('GIS import error:', error);
+                alert(`Failed to import ${file.name}:\n\n${error.message}`);
+                return;
+            }
+            if (result.geoPoints.length === 0 && result.shapes.length === 0) {
+                alert(`No points, lines or polygons to import in ${file.name}.${result.warnings.length > 0 ? `\n\n${result.warnings.join('\n')}` : ''}`);
+                return;
+            }
+
+            recordEdit();
+            setGeoPoints(prev => [...prev, ...result.geoPoints.map((gp, i) => ({ ...gp, id: nextGeoPointId + i }))]);
+            setNextGeoPointId(prev => prev + result.geoPoints.length);
+            setShapes(prev => [...prev, ...result.shapes.map((shape, i) => ({ ...shape, id: nextShapeId + i }))]);
+            setNextShapeId(prev => prev + result.shapes.length);
+
+            const summary = `Imported ${result.geoPoints.length} geo-point(s) and ${result.shapes.length} shape(s) from ${file.name}`;
+            console.log(`[GIS] ${summary}`, result.warnings);
+            if (onDone) onDone(summary, result.warnings);
+        };
+        reader.onerror = () => alert('Failed to read file');
+        reader.readAsText(file);
+    }, [nextGeoPointId, nextShapeId, recordEdit]);
 
     const quickSave = useCallback(() => {
         if (!currentScenarioName) return;
         if (currentScenarioSource === 'app') {
-            saveToLocalStorage(currentScenarioName);
+            saveToAppStorage(currentScenarioName);
         } else if (currentScenarioSource === 'file') {
             saveToFile(currentScenarioName);
         }
-    }, [currentScenarioName, currentScenarioSource, saveToLocalStorage, saveToFile]);
-
-    const loadFromLocalStorage = useCallback((name) => {
-        setIsLoading(true);
-        setLoadingMessage('Loading scenario...');
-
-        // Use setTimeout to allow loading screen to render before processing
-        setTimeout(() => {
-            const data = localStorage.getItem(`aic-scenario-${name}`);
-            if (data) {
-                const saveData = JSON.parse(data);
-
-            // Ensure ownship is always present
-            let loadedAssets = saveData.assets || [];
-
-            // Migrate old assets to include domain and platform properties (backward compatibility)
-            loadedAssets = loadedAssets.map(asset => {
-                const migrated = { ...asset };
-
-                // Add domain if missing
-                if (!migrated.domain) {
-                    migrated.domain = 'air';
-                    migrated.depth = null;
-                    migrated.targetDepth = null;
-                    migrated.altitude = asset.altitude !== undefined ? asset.altitude : 25000;
-                    migrated.targetAltitude = asset.targetAltitude !== undefined ? asset.targetAltitude : null;
-                }
-
-                // Add platform if missing
-                if (migrated.platform === undefined) {
-                    migrated.platform = null;
-                }
+    }, [currentScenarioName, currentScenarioSource, saveToAppStorage, saveToFile]);
+
+    // Apply a migrated and validated scenario (see ScenarioSchema.prepareScenario) to simulator state
+    const applyLoadedScenario = useCallback((saveData) => {
+        clearEditHistory();
+        resetAirspace();
+        samLaunchTimesRef.current = {};
+        launchedSortiesRef.current = new Set();
+        airfieldTrackNumberRef.current = 0;
+        vampireWeaponIdsRef.current = new Set();
+
+        // Ensure ownship is always present
+        let loadedAssets = saveData.assets;
+
+        const ownshipIndex = loadedAssets.findIndex(a => a.id === 0 || a.type === 'ownship');
+
+        // Load bullseye position (with fallback to default)
+        const { theater: loadedTheater, warning: theaterWarning } = Theaters.fromSaveData(saveData.theater);
+        if (theaterWarning) console.warn(`[Scenario] ${theaterWarning}`);
+        setTheater(loadedTheater);
+
+        const loadedBullseye = saveData.bullseye || { lat: loadedTheater.bullseye.lat, lon: loadedTheater.bullseye.lon };
+        setBullseyePosition(loadedBullseye);
+        setBullseyeLatInput(decimalToDMM(loadedBullseye.lat, true));
+        setBullseyeLonInput(decimalToDMM(loadedBullseye.lon, false));
+
+        if (ownshipIndex === -1) {
+            // No ownship found, add default ownship 50 NM south of bullseye
+            loadedAssets = [{
+                id: 0,
+                name: 'OWNSHIP',
+                type: 'ownship',
+                domain: 'air',
+                platform: null,
+                lat: loadedBullseye.lat - (50 / 60),
+                lon: loadedBullseye.lon,
+                heading: 0,
+                speed: 0,
+                altitude: 15000,
+                depth: null,
+                targetHeading: null,
+                targetSpeed: null,
+                targetAltitude: null,
+                targetDepth: null,
+                waypoints: [],
+                trackNumber: null
+            }, ...loadedAssets];
+        } else if (loadedAssets[ownshipIndex].id !== 0) {
+            // Ownship exists but has wrong ID, fix it
+            loadedAssets[ownshipIndex].id = 0;
+        }
 
-                // Add behaviors if missing (backward compatibility)
-                if (migrated.behaviors === undefined) {
-                    migrated.behaviors = [];
-                }
+        // prepareScenario seeds files saved before seeding existed; anything built in
+        // memory without one gets a fresh seed
+        const loadedSeed = saveData.seed !== undefined ? saveData.seed : generateScenarioSeed();
+        setScenarioSeed(loadedSeed);
+        reseedRandomStreams(loadedSeed);
+
+        // Recalculate random trigger times on load (seeded, so every reload rolls the same times)
+        loadedAssets.forEach(asset => {
+            if (asset.behaviors) {
+                asset.behaviors.forEach(behavior => {
+                    if (behavior.triggerType === 'randomTime' && behavior.triggerConfig) {
+                        behavior.triggerConfig.randomMissionTime = rollRandomTriggerTime(behavior.triggerConfig, loadedSeed, asset.id, behavior.id);
+                        behavior.fired = false;
+                    }
+                    // Change triggers take a fresh baseline (radio log ids restart each session)
+                    delete behavior.triggerState;
+                });
+            }
+        });
 
-                // Add student/instructor mode fields if missing (backward compatibility)
-                if (migrated.hidden === undefined) {
-                    migrated.hidden = false;
-                }
-                if (migrated.trackFileEnabled === undefined) {
-                    migrated.trackFileEnabled = true;
-                }
-                if (migrated.studentLabel === undefined) {
-                    migrated.studentLabel = '';
-                }
+        setScale(saveData.scale || INITIAL_SCALE);
+        setMapCenter(saveData.mapCenter || loadedBullseye);
+        setTempMark(saveData.tempMark || null);
+        setNextTrackNumber(saveData.nextTrackNumber || 6000);
+        setSelectedAssetId(null);
+        setBullseyeSelected(false);
+        setSelectedGeoPointId(null);
+        setSelectedShapeId(null);
+        setHasStarted(true);
+        setMissionTime(saveData.missionTime || 0);
+        missionTimeAccumRef.current = 0;
+        stepRemainingRef.current = null;
+        setBullseyeName(saveData.bullseyeName || '');
+        setGeoPoints(saveData.geoPoints || []);
+        setNextGeoPointId(saveData.nextGeoPointId || 1);
+        setShapes(saveData.shapes || []);
+        setNextShapeId(saveData.nextShapeId || 1);
+        setSonobuoys(saveData.sonobuoys || []);
+        setSonobuoyCount(saveData.sonobuoyCount !== undefined ? saveData.sonobuoyCount : 30);
+        setNextSonobuoyId(saveData.nextSonobuoyId || 1);
+        setWeapons(saveData.weapons || []);
+        setWeaponInventory(saveData.weaponInventory || { ASM: 0, AAM: 0, AGM: 0, SAM: 0, Torpedo: 0 });
+        setNextWeaponId(saveData.nextWeaponId || 1);
+        weaponIdRef.current = 1;
+        setWeaponEnabled(saveData.weaponEnabled || false);
+        setWeaponArmed(saveData.weaponArmed || false);
+        setWeaponGuardOpen(false);
+        setSelectedTargetAssetId(null);
+        setSelectedOperatorTrackTarget(null);
+        setSelectedWeaponType(saveData.selectedWeaponType || null);
+
+        // Load student/instructor mode state (with backward compatibility)
+        setSimulatorMode(saveData.simulatorMode || 'instructor');
+        // studentTracks and nextStudentTrackId set below after deduplication
+        setRadarDetectionCounts(saveData.radarDetectionCounts || {});
+        setDetectionThresholds(saveData.detectionThresholds || {});
+        setTrackAgingTimers(saveData.trackAgingTimers || {});
+        setSelectedTrackId(null);
+        setSkateFlowEnabled(saveData.skateFlowEnabled || false);
+
+        // Load mission products (with backward compatibility)
+        setMissionProducts(saveData.missionProducts || []);
+
+        // Reset datalink settings (not saved in scenario)
+        setDatalinkEnabled(false);
+        setDatalinkNet('');
+        setDatalinkJU('');
+        setDatalinkTrackBlockStart('');
+        setDatalinkTrackBlockEnd('');
+        setNextDatalinkTrackNumber(null);
+
+        // Deduplicate assets and tracks by ID to fix corrupt save files
+        const assetMaxId = loadedAssets.reduce((max, a) => Math.max(max, a.id), 0);
+        const dedupedAssets = deduplicateById(loadedAssets, assetMaxId + 1);
+        const newAssetMaxId = dedupedAssets.reduce((max, a) => Math.max(max, a.id), 0);
+        setAssets(dedupedAssets);
+        setNextAssetId(newAssetMaxId + 1);
+
+        const loadedTracks = saveData.studentTracks || [];
+        const trackMaxId = loadedTracks.reduce((max, t) => Math.max(max, t.id), 0);
+        const dedupedTracks = deduplicateById(loadedTracks, trackMaxId + 1);
+        const newTrackMaxId = dedupedTracks.reduce((max, t) => Math.max(max, t.id), 0);
+        setStudentTracks(dedupedTracks);
+        setNextStudentTrackId(Math.max(saveData.nextStudentTrackId || 1, newTrackMaxId + 1));
+
+        // Save as initial scenario for restart
+        setInitialScenario({
+            assets: JSON.parse(JSON.stringify(dedupedAssets)),
+            scale: saveData.scale || INITIAL_SCALE,
+            mapCenter: saveData.mapCenter || loadedBullseye,
+            tempMark: saveData.tempMark || null,
+            nextTrackNumber: saveData.nextTrackNumber || 6000,
+            nextAssetId: newAssetMaxId + 1,
+            geoPoints: JSON.parse(JSON.stringify(saveData.geoPoints || [])),
+            nextGeoPointId: saveData.nextGeoPointId || 1,
+            shapes: JSON.parse(JSON.stringify(saveData.shapes || [])),
+            nextShapeId: saveData.nextShapeId || 1,
+            sonobuoys: JSON.parse(JSON.stringify(saveData.sonobuoys || [])),
+            sonobuoyCount: saveData.sonobuoyCount !== undefined ? saveData.sonobuoyCount : 30,
+            nextSonobuoyId: saveData.nextSonobuoyId || 1,
+            studentTracks: JSON.parse(JSON.stringify(dedupedTracks)),
+            nextStudentTrackId: Math.max(saveData.nextStudentTrackId || 1, newTrackMaxId + 1)
+        });
+    }, [reseedRandomStreams, clearEditHistory, resetAirspace]);
+
+    // Migrate and validate a parsed save; alerts with the problem list and returns null if it can't be loaded
+    const prepareLoadedScenario = useCallback((rawData, sourceName) => {
+        const result = ScenarioSchema.prepareScenario(rawData);
+        if (result.errors.length > 0) {
+            console.error(`[Scenario] ${sourceName} failed validation:`, result.errors);
+            alert(`Failed to load scenario "${sourceName}":\n\n${ScenarioSchema.formatReport(result.errors)}`);
+            return null;
+        }
+        if (result.migrations.length > 0) {
+            console.log(`[Scenario] Migrated ${sourceName} from format ${result.fromVersion}:`, result.migrations);
+        }
+        if (result.warnings.length > 0) {
+            console.warn(`[Scenario] ${sourceName}:`, result.warnings);
+        }
+        return result.scenario;
+    }, []);
 
-                return migrated;
-            });
+    const loadFromAppStorage = useCallback((name) => {
+        setIsLoading(true);
+        setLoadingMessage('Loading scenario...');
 
-            const ownshipIndex = loadedAssets.findIndex(a => a.id === 0 || a.type === 'ownship');
-
-            // Load bullseye position (with fallback to default)
-            const loadedBullseye = saveData.bullseye || { lat: 26.5, lon: 54.0 };
-            setBullseyePosition(loadedBullseye);
-            setBullseyeLatInput(decimalToDMM(loadedBullseye.lat, true));
-            setBullseyeLonInput(decimalToDMM(loadedBullseye.lon, false));
-
-            if (ownshipIndex === -1) {
-                // No ownship found, add default ownship 50 NM south of bullseye
-                loadedAssets = [{
-                    id: 0,
-                    name: 'OWNSHIP',
-                    type: 'ownship',
-                    domain: 'air',
-                    platform: null,
-                    lat: loadedBullseye.lat - (50 / 60),
-                    lon: loadedBullseye.lon,
-                    heading: 0,
-                    speed: 0,
-                    altitude: 15000,
-                    depth: null,
-                    targetHeading: null,
-                    targetSpeed: null,
-                    targetAltitude: null,
-                    targetDepth: null,
-                    waypoints: [],
-                    trackNumber: null
-                }, ...loadedAssets];
-            } else if (loadedAssets[ownshipIndex].id !== 0) {
-                // Ownship exists but has wrong ID, fix it
-                loadedAssets[ownshipIndex].id = 0;
+        // IndexedDB reads are async, so the loading screen renders before processing
+        ScenarioStore.loadScenario(name).then(saveData => {
+            if (!saveData) {
+                setIsLoading(false);
+                alert(`Scenario "${name}" not found`);
+                return;
             }
-
-            // Recalculate random trigger times on load
-            loadedAssets.forEach(asset => {
-                if (asset.behaviors) {
-                    asset.behaviors.forEach(behavior => {
-                        if (behavior.triggerType === 'randomTime' && behavior.triggerConfig) {
-                            const { minTime, maxTime } = behavior.triggerConfig;
-                            behavior.triggerConfig.randomMissionTime = minTime + Math.floor(Math.random() * (maxTime - minTime + 1));
-                            behavior.fired = false;
-                        }
-                    });
-                }
-            });
-
-            setScale(saveData.scale || INITIAL_SCALE);
-            setMapCenter(saveData.mapCenter || loadedBullseye);
-            setTempMark(saveData.tempMark || null);
-            setNextTrackNumber(saveData.nextTrackNumber || 6000);
-            setSelectedAssetId(null);
-            setBullseyeSelected(false);
-            setSelectedGeoPointId(null);
-            setSelectedShapeId(null);
-            setHasStarted(true);
-            setMissionTime(saveData.missionTime || 0);
-            setBullseyeName(saveData.bullseyeName || '');
-            setGeoPoints(saveData.geoPoints || []);
-            setNextGeoPointId(saveData.nextGeoPointId || 1);
-            setShapes(saveData.shapes || []);
-            setNextShapeId(saveData.nextShapeId || 1);
-            setSonobuoys(saveData.sonobuoys || []);
-            setSonobuoyCount(saveData.sonobuoyCount !== undefined ? saveData.sonobuoyCount : 30);
-            setNextSonobuoyId(saveData.nextSonobuoyId || 1);
-            setWeapons(saveData.weapons || []);
-            setWeaponInventory(saveData.weaponInventory || { ASM: 0, AAM: 0, AGM: 0, SAM: 0, Torpedo: 0 });
-            setNextWeaponId(saveData.nextWeaponId || 1);
-            setWeaponEnabled(saveData.weaponEnabled || false);
-            setWeaponArmed(saveData.weaponArmed || false);
-            setWeaponGuardOpen(false);
-            setSelectedTargetAssetId(null);
-            setSelectedOperatorTrackTarget(null);
-            setSelectedWeaponType(saveData.selectedWeaponType || null);
-
-            // Load student/instructor mode state (with backward compatibility)
-            setSimulatorMode(saveData.simulatorMode || 'instructor');
-            // studentTracks and nextStudentTrackId set below after deduplication
-            setRadarDetectionCounts(saveData.radarDetectionCounts || {});
-            setDetectionThresholds(saveData.detectionThresholds || {});
-            setTrackAgingTimers(saveData.trackAgingTimers || {});
-            setSelectedTrackId(null);
-            setSkateFlowEnabled(saveData.skateFlowEnabled || false);
-
-            // Load mission products (with backward compatibility)
-            setMissionProducts(saveData.missionProducts || []);
-
-            // Reset datalink settings (not saved in scenario)
-            setDatalinkEnabled(false);
-            setDatalinkNet('');
-            setDatalinkJU('');
-            setDatalinkTrackBlockStart('');
-            setDatalinkTrackBlockEnd('');
-            setNextDatalinkTrackNumber(null);
-
-            // Deduplicate assets and tracks by ID to fix corrupt save files
-            const assetMaxId = loadedAssets.reduce((max, a) => Math.max(max, a.id), 0);
-            const dedupedAssets = deduplicateById(loadedAssets, assetMaxId + 1);
-            const newAssetMaxId = dedupedAssets.reduce((max, a) => Math.max(max, a.id), 0);
-            setAssets(dedupedAssets);
-            setNextAssetId(newAssetMaxId + 1);
-
-            const loadedTracks = saveData.studentTracks || [];
-            const trackMaxId = loadedTracks.reduce((max, t) => Math.max(max, t.id), 0);
-            const dedupedTracks = deduplicateById(loadedTracks, trackMaxId + 1);
-            const newTrackMaxId = dedupedTracks.reduce((max, t) => Math.max(max, t.id), 0);
-            setStudentTracks(dedupedTracks);
-            setNextStudentTrackId(Math.max(saveData.nextStudentTrackId || 1, newTrackMaxId + 1));
-
-            // Save as initial scenario for restart
-            setInitialScenario({
-                assets: JSON.parse(JSON.stringify(dedupedAssets)),
-                scale: saveData.scale || INITIAL_SCALE,
-                mapCenter: saveData.mapCenter || loadedBullseye,
-                tempMark: saveData.tempMark || null,
-                nextTrackNumber: saveData.nextTrackNumber || 6000,
-                nextAssetId: newAssetMaxId + 1,
-                geoPoints: JSON.parse(JSON.stringify(saveData.geoPoints || [])),
-                nextGeoPointId: saveData.nextGeoPointId || 1,
-                shapes: JSON.parse(JSON.stringify(saveData.shapes || [])),
-                nextShapeId: saveData.nextShapeId || 1,
-                sonobuoys: JSON.parse(JSON.stringify(saveData.sonobuoys || [])),
-                sonobuoyCount: saveData.sonobuoyCount !== undefined ? saveData.sonobuoyCount : 30,
-                nextSonobuoyId: saveData.nextSonobuoyId || 1,
-                studentTracks: JSON.parse(JSON.stringify(dedupedTracks)),
-                nextStudentTrackId: Math.max(saveData.nextStudentTrackId || 1, newTrackMaxId + 1)
-            });
+            const scenario = prepareLoadedScenario(saveData, name);
+            if (scenario) {
+                applyLoadedScenario(scenario);
+                setCurrentScenarioName(name);
+                setCurrentScenarioSource('app');
             }
-            setCurrentScenarioName(name);
-            setCurrentScenarioSource('app');
             setIsLoading(false);
-        }, 50);
-    }, []);
+        }).catch(e => {
+            console.error('Load error:', e);
+            setIsLoading(false);
+            alert(`Failed to load scenario: ${e && e.message}`);
+        });
+    }, [prepareLoadedScenario, applyLoadedScenario]);
 
     const loadFromFile = useCallback((event) => {
         const file = event.target.files[0];
@@ -11017,176 +11947,23 @@ function AICSimulator() {
 
             const reader = new FileReader();
             reader.onload = (e) => {
+                let rawData;
                 try {
-                    const saveData = JSON.parse(e.target.result);
-
-                    // Ensure ownship is always present
-                    let loadedAssets = saveData.assets || [];
-
-                    // Migrate old assets to include domain and platform properties (backward compatibility)
-                    loadedAssets = loadedAssets.map(asset => {
-                        const migrated = { ...asset };
-
-                        // Add domain if missing
-                        if (!migrated.domain) {
-                            migrated.domain = 'air';
-                            migrated.depth = null;
-                            migrated.targetDepth = null;
-                            migrated.altitude = asset.altitude !== undefined ? asset.altitude : 25000;
-                            migrated.targetAltitude = asset.targetAltitude !== undefined ? asset.targetAltitude : null;
-                        }
-
-                        // Add platform if missing
-                        if (migrated.platform === undefined) {
-                            migrated.platform = null;
-                        }
-
-                        // Add behaviors if missing (backward compatibility)
-                        if (migrated.behaviors === undefined) {
-                            migrated.behaviors = [];
-                        }
-
-                        // Add student/instructor mode fields if missing (backward compatibility)
-                        if (migrated.hidden === undefined) {
-                            migrated.hidden = false;
-                        }
-                        if (migrated.trackFileEnabled === undefined) {
-                            migrated.trackFileEnabled = true;
-                        }
-                        if (migrated.studentLabel === undefined) {
-                            migrated.studentLabel = '';
-                        }
-
-                        return migrated;
-                    });
-
-                    const ownshipIndex = loadedAssets.findIndex(a => a.id === 0 || a.type === 'ownship');
-
-                    // Load bullseye position (with fallback to default)
-                    const loadedBullseye = saveData.bullseye || { lat: 26.5, lon: 54.0 };
-                    setBullseyePosition(loadedBullseye);
-                    setBullseyeLatInput(decimalToDMM(loadedBullseye.lat, true));
-                    setBullseyeLonInput(decimalToDMM(loadedBullseye.lon, false));
-
-                    if (ownshipIndex === -1) {
-                        // No ownship found, add default ownship 50 NM south of bullseye
-                        loadedAssets = [{
-                            id: 0,
-                            name: 'OWNSHIP',
-                            type: 'ownship',
-                            domain: 'air',
-                            platform: null,
-                            lat: loadedBullseye.lat - (50 / 60),
-                            lon: loadedBullseye.lon,
-                            heading: 0,
-                            speed: 0,
-                            altitude: 15000,
-                            depth: null,
-                            targetHeading: null,
-                            targetSpeed: null,
-                            targetAltitude: null,
-                            targetDepth: null,
-                            waypoints: [],
-                            trackNumber: null
-                        }, ...loadedAssets];
-                    } else if (loadedAssets[ownshipIndex].id !== 0) {
-                        // Ownship exists but has wrong ID, fix it
-                        loadedAssets[ownshipIndex].id = 0;
-                    }
+                    rawData = JSON.parse(e.target.result);
+                } catch (error) {
+                    setIsLoading(false);
+                    alert(`Failed to load scenario: ${file.name} is not valid JSON\n\n${error.message}`);
+                    return;
+                }
 
-                    // Recalculate random trigger times on load
-                    loadedAssets.forEach(asset => {
-                        if (asset.behaviors) {
-                            asset.behaviors.forEach(behavior => {
-                                if (behavior.triggerType === 'randomTime' && behavior.triggerConfig) {
-                                    const { minTime, maxTime } = behavior.triggerConfig;
-                                    behavior.triggerConfig.randomMissionTime = minTime + Math.floor(Math.random() * (maxTime - minTime + 1));
-                                    behavior.fired = false;
-                                }
-                            });
-                        }
-                    });
+                const scenario = prepareLoadedScenario(rawData, file.name);
+                if (!scenario) {
+                    setIsLoading(false);
+                    return;
+                }
 
-                    setScale(saveData.scale || INITIAL_SCALE);
-                    setMapCenter(saveData.mapCenter || loadedBullseye);
-                    setTempMark(saveData.tempMark || null);
-                    setNextTrackNumber(saveData.nextTrackNumber || 6000);
-                    setSelectedAssetId(null);
-                    setBullseyeSelected(false);
-                    setSelectedGeoPointId(null);
-                    setSelectedShapeId(null);
-                    setHasStarted(true);
-                    setMissionTime(saveData.missionTime || 0);
-                    setBullseyeName(saveData.bullseyeName || '');
-                    setGeoPoints(saveData.geoPoints || []);
-                    setNextGeoPointId(saveData.nextGeoPointId || 1);
-                    setShapes(saveData.shapes || []);
-                    setNextShapeId(saveData.nextShapeId || 1);
-                    setSonobuoys(saveData.sonobuoys || []);
-                    setSonobuoyCount(saveData.sonobuoyCount !== undefined ? saveData.sonobuoyCount : 30);
-                    setNextSonobuoyId(saveData.nextSonobuoyId || 1);
-                    setWeapons(saveData.weapons || []);
-                    setWeaponInventory(saveData.weaponInventory || { ASM: 0, AAM: 0, AGM: 0, SAM: 0, Torpedo: 0 });
-                    setNextWeaponId(saveData.nextWeaponId || 1);
-                    setWeaponEnabled(saveData.weaponEnabled || false);
-                    setWeaponArmed(saveData.weaponArmed || false);
-                    setWeaponGuardOpen(false);
-                    setSelectedTargetAssetId(null);
-                    setSelectedOperatorTrackTarget(null);
-                    setSelectedWeaponType(saveData.selectedWeaponType || null);
-
-                    // Load student/instructor mode state (with backward compatibility)
-                    setSimulatorMode(saveData.simulatorMode || 'instructor');
-                    // studentTracks and nextStudentTrackId set below after deduplication
-                    setRadarDetectionCounts(saveData.radarDetectionCounts || {});
-                    setDetectionThresholds(saveData.detectionThresholds || {});
-                    setTrackAgingTimers(saveData.trackAgingTimers || {});
-                    setSelectedTrackId(null);
-                    setSkateFlowEnabled(saveData.skateFlowEnabled || false);
-
-                    // Load mission products (with backward compatibility)
-                    setMissionProducts(saveData.missionProducts || []);
-
-                    // Reset datalink settings (not saved in scenario)
-                    setDatalinkEnabled(false);
-                    setDatalinkNet('');
-                    setDatalinkJU('');
-                    setDatalinkTrackBlockStart('');
-                    setDatalinkTrackBlockEnd('');
-                    setNextDatalinkTrackNumber(null);
-
-                    // Deduplicate assets and tracks by ID to fix corrupt save files
-                    const assetMaxId = loadedAssets.reduce((max, a) => Math.max(max, a.id), 0);
-                    const dedupedAssets = deduplicateById(loadedAssets, assetMaxId + 1);
-                    const newAssetMaxId = dedupedAssets.reduce((max, a) => Math.max(max, a.id), 0);
-                    setAssets(dedupedAssets);
-                    setNextAssetId(newAssetMaxId + 1);
-
-                    const loadedTracks = saveData.studentTracks || [];
-                    const trackMaxId = loadedTracks.reduce((max, t) => Math.max(max, t.id), 0);
-                    const dedupedTracks = deduplicateById(loadedTracks, trackMaxId + 1);
-                    const newTrackMaxId = dedupedTracks.reduce((max, t) => Math.max(max, t.id), 0);
-                    setStudentTracks(dedupedTracks);
-                    setNextStudentTrackId(Math.max(saveData.nextStudentTrackId || 1, newTrackMaxId + 1));
-
-                    // Save as initial scenario for restart
-                    setInitialScenario({
-                        assets: JSON.parse(JSON.stringify(dedupedAssets)),
-                        scale: saveData.scale || INITIAL_SCALE,
-                        mapCenter: saveData.mapCenter || loadedBullseye,
-                        tempMark: saveData.tempMark || null,
-                        nextTrackNumber: saveData.nextTrackNumber || 6000,
-                        nextAssetId: newAssetMaxId + 1,
-                        geoPoints: JSON.parse(JSON.stringify(saveData.geoPoints || [])),
-                        nextGeoPointId: saveData.nextGeoPointId || 1,
-                        shapes: JSON.parse(JSON.stringify(saveData.shapes || [])),
-                        nextShapeId: saveData.nextShapeId || 1,
-                        sonobuoys: JSON.parse(JSON.stringify(saveData.sonobuoys || [])),
-                        sonobuoyCount: saveData.sonobuoyCount !== undefined ? saveData.sonobuoyCount : 30,
-                        nextSonobuoyId: saveData.nextSonobuoyId || 1,
-                        studentTracks: JSON.parse(JSON.stringify(dedupedTracks)),
-                        nextStudentTrackId: Math.max(saveData.nextStudentTrackId || 1, newTrackMaxId + 1)
-                    });
+                try {
+                    applyLoadedScenario(scenario);
 
                     // Extract scenario name from filename (strip .json and date suffix)
                     let scenarioName = file.name.replace(/\.json$/i, '').replace(/-\d{4}-\d{2}-\d{2}$/, '');
@@ -11195,8 +11972,9 @@ function AICSimulator() {
                     setIsLoading(false);
                     alert('Scenario loaded successfully!');
                 } catch (error) {
+                    console.error('Load error:', error);
                     setIsLoading(false);
-                    alert('Failed to load scenario: Invalid file format');
+                    alert(`Failed to load scenario: ${error.message}`);
                 }
             };
             reader.onerror = () => {
@@ -11205,10 +11983,51 @@ function AICSimulator() {
             };
             reader.readAsText(file);
         }
-    }, []);
+    }, [prepareLoadedScenario, applyLoadedScenario]);
+
+    // Load a bundled scenario from the Scenarios/ folder (Scenario Library)
+    const loadFromLibrary = useCallback((entry) => {
+        setIsLoading(true);
+        setLoadingMessage(`Loading ${entry.title}...`);
 
-    const deleteFromLocalStorage = useCallback((name) => {
-        localStorage.removeItem(`aic-scenario-${name}`);
+        fetch(`Scenarios/${encodeURIComponent(entry.file)}`, { cache: 'no-store' })
+            .then(response => {
+                if (!response.ok) throw new Error(`${entry.file} not found (HTTP ${response.status})`);
+                return response.json();
+            })
+            .then(rawData => {
+                const scenario = prepareLoadedScenario(rawData, entry.title);
+                if (scenario) {
+                    applyLoadedScenario(scenario);
+                    // Library scenarios are read-only; quick save downloads a copy
+                    setCurrentScenarioName(entry.title);
+                    setCurrentScenarioSource('file');
+                }
+                setIsLoading(false);
+            })
+            .catch(error => {
+                console.error('Library load error:', error);
+                setIsLoading(false);
+                alert(`Failed to load scenario: ${error.message}`);
+            });
+    }, [prepareLoadedScenario, applyLoadedScenario]);
+
+    // Load a picture built by the Picture Generator ({ scenario, key, title } from PictureGenerator.generatePicture)
+    const loadGeneratedPicture = useCallback((result) => {
+        // Generated drills are laid out around the current bullseye, so they stay in this theater
+        const scenario = prepareLoadedScenario({ ...result.scenario, theater: Theaters.toSaveData(theater) }, result.title);
+        if (!scenario) return;
+        applyLoadedScenario(scenario);
+        setCurrentScenarioName(result.title);
+        setCurrentScenarioSource('file');
+        console.log(`[Picture Generator] ${result.title} (seed ${result.seed}) - expected call: ${result.key.call}`);
+    }, [prepareLoadedScenario, applyLoadedScenario, theater]);
+
+    const deleteFromAppStorage = useCallback((name) => {
+        return ScenarioStore.deleteScenario(name).catch(e => {
+            console.error('Delete error:', e);
+            alert(`Failed to delete scenario: ${e.message}`);
+        });
     }, []);
 
     const restartSimulation = useCallback(() => {
@@ -11218,8 +12037,10 @@ function AICSimulator() {
             restartingRef.current = true;
 
             setTimeout(() => {
-                // Restart to loaded scenario
-                setAssets(JSON.parse(JSON.stringify(initialScenario.assets)));
+                clearEditHistory();
+                // Restart to loaded scenario (random times re-rolled from the current seed)
+                setAssets(rollRandomBehaviorTimes(JSON.parse(JSON.stringify(initialScenario.assets)), scenarioSeed));
+                reseedRandomStreams(scenarioSeed);
                 setScale(initialScenario.scale);
                 setMapCenter(initialScenario.mapCenter);
                 setTempMark(initialScenario.tempMark);
@@ -11237,6 +12058,8 @@ function AICSimulator() {
                 setSelectedShapeId(null);
                 setIsRunning(false);
                 setMissionTime(0);
+                missionTimeAccumRef.current = 0;
+                stepRemainingRef.current = null;
                 setRadarReturns([]);
                 radarSweepAngleRef.current = 0;
 
@@ -11269,6 +12092,14 @@ function AICSimulator() {
                 setDebriefData([]);
                 setCurrentIntercept(null);
                 setShowDebriefDialog(false);
+                setAirspaceViolations([]);
+                setSamLaunches([]);
+                setVampireReports([]);
+                samLaunchTimesRef.current = {};
+                launchedSortiesRef.current = new Set();
+                airfieldTrackNumberRef.current = 0;
+                vampireWeaponIdsRef.current = new Set();
+                resetAirspace();
 
                 // Reset radio / comms
                 setRadioLog([]);
@@ -11301,6 +12132,7 @@ function AICSimulator() {
                 // Reset weapons
                 setWeapons([]);
                 setNextWeaponId(1);
+                weaponIdRef.current = 1;
                 setSelectedOperatorTrackTarget(null);
 
                 restartingRef.current = false;
@@ -11310,26 +12142,121 @@ function AICSimulator() {
             // No scenario loaded, do a full page reload
             window.location.reload();
         }
-    }, [initialScenario]);
+    }, [initialScenario, scenarioSeed, reseedRandomStreams, clearEditHistory, resetAirspace]);
+
+    // Change the scenario seed - re-rolls random behavior times and detection thresholds
+    const applyScenarioSeed = useCallback((seed) => {
+        setScenarioSeed(seed);
+        reseedRandomStreams(seed);
+        setAssets(prevAssets => rollRandomBehaviorTimes(prevAssets, seed));
+        setDetectionThresholds({});
+    }, [reseedRandomStreams]);
+
+    // Switch theater: bullseye, map center and ownship move to the theater's
+    // defaults, other assets keep their positions. Not undoable, so it clears
+    // the edit history like a scenario load.
+    const changeTheater = useCallback((nextTheater) => {
+        if (!nextTheater || nextTheater.id === theater.id) return;
+        const others = assets.filter(a => a.type !== 'ownship').length;
+        if (others > 0 && !confirm(`Switch to ${nextTheater.name}?\n\nThe bullseye, map and ownship move to the new theater. The other ${others} asset(s) keep their positions.`)) {
+            return;
+        }
 
-    const getSavedScenarios = useCallback(() => {
-        const scenarios = [];
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key.startsWith('aic-scenario-')) {
-                const name = key.replace('aic-scenario-', '');
-                const data = JSON.parse(localStorage.getItem(key));
-                scenarios.push({ name, timestamp: data.timestamp });
+        const bullseye = { lat: nextTheater.bullseye.lat, lon: nextTheater.bullseye.lon };
+        clearEditHistory();
+        setTheater(nextTheater);
+        setBullseyePosition(bullseye);
+        setBullseyeLatInput(decimalToDMM(bullseye.lat, true));
+        setBullseyeLonInput(decimalToDMM(bullseye.lon, false));
+        if (nextTheater.bullseye.name) setBullseyeName(nextTheater.bullseye.name);
+        setMapCenter(bullseye);
+        setAssets(prev => prev.map(a => a.type === 'ownship'
+            ? { ...a, lat: bullseye.lat - (50 / 60), lon: bullseye.lon, waypoints: [], targetHeading: null, isOrbiting: false }
+            : a));
+        console.log(`[Theater] Switched to ${nextTheater.name}`);
+    }, [theater, assets, clearEditHistory]);
+
+    // Import a GeoJSON or KML theater package and switch to it
+    const importTheaterFile = useCallback((file) => {
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            let imported;
+            try {
+                const { theater: parsed, warnings } = Theaters.theaterFromFile(file.name, e.target.result);
+                imported = Theaters.registerTheater(parsed);
+                if (warnings.length > 0) {
+                    console.warn(`[Theater] ${file.name}:`, warnings);
+                    alert(`Imported theater "${imported.name}" with warnings:\n\n${warnings.map(w => `- ${w}`).join('\n')}`);
+                }
+            } catch (error) {
+                console.error('Theater import error:', error);
+                alert(`Failed to import theater from ${file.name}:\n\n${error.message}`);
+                return;
             }
-        }
-        return scenarios.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+            changeTheater(imported);
+        };
+        reader.onerror = () => alert('Failed to read file');
+        reader.readAsText(file);
+    }, [changeTheater]);
+
+    // Resolves with [{ name, timestamp, size, productCount }], newest first
+    const getSavedScenarios = useCallback(() => {
+        return ScenarioStore.listScenarios().catch(e => {
+            console.error('Failed to list saved scenarios:', e);
+            return [];
+        });
     }, []);
 
     // ========================================================================
     // MOUSE/INTERACTION HANDLERS
     // ========================================================================
 
+    // Shape under a screen point: { shape, handle } where handle is the ShapeGeometry
+    // handle key under the cursor, or null when only the outline was hit. Line segments
+    // are only grabbed by their points so a long line doesn't swallow clicks on tracks.
+    const findShapeAt = useCallback((x, y, width, height) => {
+        const toScreen = (lat, lon) => latLonToScreen(lat, lon, mapCenter.lat, mapCenter.lon, scale, width, height);
+        const handleAt = (shape) => ShapeGeometry.handles(shape).find(h => {
+            const pos = toScreen(h.lat, h.lon);
+            return Math.sqrt((x - pos.x) ** 2 + (y - pos.y) ** 2) < 10;
+        });
+        const nearOutline = (shape) => {
+            const { points, closed } = ShapeGeometry.outline(shape);
+            const screen = points.map(p => toScreen(p.lat, p.lon));
+            const segments = closed ? screen.length : screen.length - 1;
+            for (let i = 0; i < segments; i++) {
+                const a = screen[i];
+                const b = screen[(i + 1) % screen.length];
+                const lengthSq = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+                const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((x - a.x) * (b.x - a.x) + (y - a.y) * (b.y - a.y)) / lengthSq));
+                if (Math.sqrt((x - (a.x + t * (b.x - a.x))) ** 2 + (y - (a.y + t * (b.y - a.y))) ** 2) < 10) return true;
+            }
+            return false;
+        };
+
+        // The selected shape's handles win, so it stays editable where shapes overlap
+        const selected = shapes.find(s => s.id === selectedShapeId);
+        const selectedHandle = selected && handleAt(selected);
+        if (selectedHandle) return { shape: selected, handle: selectedHandle.key };
+
+        for (const shape of shapes) {
+            if (ShapeGeometry.POINT_SHAPES.includes(shape.type)) {
+                const pointHandle = handleAt(shape);
+                if (pointHandle) return { shape, handle: pointHandle.key };
+                if (shape.type === 'lineSegment') continue;
+            }
+            if (nearOutline(shape)) return { shape, handle: null };
+        }
+        return null;
+    }, [shapes, selectedShapeId, mapCenter, scale]);
+
     const handleSVGClick = useCallback((e) => {
+        if (suppressClickRef.current) {
+            suppressClickRef.current = false;
+            return;
+        }
+
         if (contextMenu) {
             setContextMenu(null);
             return;
@@ -11340,10 +12267,10 @@ function AICSimulator() {
         const x = e.clientX - rect.left;
         const y = e.clientY - rect.top;
 
-        // If creating a line segment, add point on click
-        if (creatingShape && creatingShape.type === 'lineSegment') {
+        // If clicking out a line segment or polygon, add point on click
+        if (creatingShape) {
             const latLon = screenToLatLon(x, y, mapCenter.lat, mapCenter.lon, scale, rect.width, rect.height);
-            addLineSegmentPoint(latLon.lat, latLon.lon);
+            addShapePoint(latLon.lat, latLon.lon);
             return;
         }
 
@@ -11395,30 +12322,8 @@ function AICSimulator() {
         }
 
         // Check if clicking on a shape
-        let clickedShape = null;
-        for (const shape of shapes) {
-            if (shape.type === 'circle') {
-                const centerPos = latLonToScreen(shape.centerLat, shape.centerLon, mapCenter.lat, mapCenter.lon, scale, rect.width, rect.height);
-                const radiusInPixels = (shape.radius / scale) * Math.min(rect.width, rect.height);
-                const dist = Math.sqrt((x - centerPos.x) ** 2 + (y - centerPos.y) ** 2);
-                // Check if clicking near the edge of the circle (within 10 pixels of the circumference)
-                if (Math.abs(dist - radiusInPixels) < 10) {
-                    clickedShape = shape;
-                    break;
-                }
-            } else if (shape.type === 'lineSegment') {
-                // Check if clicking near any point in the line segment
-                for (const point of shape.points) {
-                    const pointPos = latLonToScreen(point.lat, point.lon, mapCenter.lat, mapCenter.lon, scale, rect.width, rect.height);
-                    const dist = Math.sqrt((x - pointPos.x) ** 2 + (y - pointPos.y) ** 2);
-                    if (dist < 10) {
-                        clickedShape = shape;
-                        break;
-                    }
-                }
-            }
-            if (clickedShape) break;
-        }
+        const shapeHit = findShapeAt(x, y, rect.width, rect.height);
+        const clickedShape = shapeHit ? shapeHit.shape : null;
 
         if (clickedGeoPoint) {
             // Geo-point clicked (already handled in handleMouseDown)
@@ -11442,6 +12347,16 @@ function AICSimulator() {
             setEsmControlsSelected(false);
             setTempMark(null);
             setSelectedAssetTab('general'); // Reset to general tab for tracks
+        } else if (clickedAsset && e.shiftKey && simulatorMode === 'instructor') {
+            // Shift-click adds/removes the asset from the multi-selection
+            toggleGroupMember(clickedAsset.id);
+            setSelectedTrackId(null);
+            setBullseyeSelected(false);
+            setSelectedGeoPointId(null);
+            setSelectedShapeId(null);
+            setRadarControlsSelected(false);
+            setEsmControlsSelected(false);
+            setTempMark(null);
         } else if (clickedAsset) {
             setSelectedAssetId(clickedAsset.id);
             setSelectedTrackId(null);
@@ -11463,7 +12378,7 @@ function AICSimulator() {
             setRadarControlsSelected(false);
             setEsmControlsSelected(false);
         }
-    }, [assets, geoPoints, shapes, contextMenu, mapCenter, scale, creatingShape, addLineSegmentPoint, simulatorMode, studentTracks, setSelectedTrackId, setSelectedAssetTab]);
+    }, [assets, geoPoints, contextMenu, mapCenter, scale, creatingShape, addShapePoint, findShapeAt, simulatorMode, studentTracks, setSelectedTrackId, setSelectedAssetTab, toggleGroupMember]);
 
     const handleSVGRightClick = useCallback((e) => {
         e.preventDefault();
@@ -11476,36 +12391,15 @@ function AICSimulator() {
         const latLon = screenToLatLon(x, y, mapCenter.lat, mapCenter.lon, scale, rect.width, rect.height);
 
         // Check if clicking on a shape
-        for (const shape of shapes) {
-            if (shape.type === 'circle') {
-                const centerPos = latLonToScreen(shape.centerLat, shape.centerLon, mapCenter.lat, mapCenter.lon, scale, rect.width, rect.height);
-                const radiusInPixels = (shape.radius / scale) * Math.min(rect.width, rect.height);
-                const dist = Math.sqrt((x - centerPos.x) ** 2 + (y - centerPos.y) ** 2);
-                // Check if clicking near the edge of the circle (within 10 pixels of the circumference)
-                if (Math.abs(dist - radiusInPixels) < 10) {
-                    setContextMenu({
-                        x: e.clientX,
-                        y: e.clientY,
-                        type: 'shape',
-                        shapeId: shape.id
-                    });
-                    return;
-                }
-            } else if (shape.type === 'lineSegment') {
-                for (const point of shape.points) {
-                    const pointPos = latLonToScreen(point.lat, point.lon, mapCenter.lat, mapCenter.lon, scale, rect.width, rect.height);
-                    const dist = Math.sqrt((x - pointPos.x) ** 2 + (y - pointPos.y) ** 2);
-                    if (dist < 10) {
-                        setContextMenu({
-                            x: e.clientX,
-                            y: e.clientY,
-                            type: 'shape',
-                            shapeId: shape.id
-                        });
-                        return;
-                    }
-                }
-            }
+        const shapeHit = findShapeAt(x, y, rect.width, rect.height);
+        if (shapeHit) {
+            setContextMenu({
+                x: e.clientX,
+                y: e.clientY,
+                type: 'shape',
+                shapeId: shapeHit.shape.id
+            });
+            return;
         }
 
         // Check if clicking on a geo-point
@@ -11721,40 +12615,17 @@ function AICSimulator() {
         const latLon = screenToLatLon(x, y, mapCenter.lat, mapCenter.lon, scale, rect.width, rect.height);
         setCursorPos(latLon);
 
-        // Handle shape point dragging (individual line segment points)
-        if (draggedShapeId !== null && draggedShapePointIndex !== null) {
-            const draggedShape = shapes.find(s => s.id === draggedShapeId);
-            if (draggedShape && draggedShape.type === 'lineSegment') {
-                const newPoints = [...draggedShape.points];
-                newPoints[draggedShapePointIndex] = {
-                    lat: latLon.lat,
-                    lon: latLon.lon,
-                    name: newPoints[draggedShapePointIndex].name || ''
-                };
-                updateShape(draggedShapeId, { points: newPoints });
-            }
+        // Handle rubber-band selection box
+        if (rubberBand) {
+            setRubberBand(prev => ({ ...prev, x1: x, y1: y }));
             return;
         }
 
-        // Handle shape dragging (entire shape)
+        // Handle shape dragging (a point, the center or a sizing handle)
         if (draggedShapeId !== null) {
             const draggedShape = shapes.find(s => s.id === draggedShapeId);
-            if (draggedShape) {
-                if (draggedShape.type === 'circle') {
-                    updateShape(draggedShapeId, { centerLat: latLon.lat, centerLon: latLon.lon });
-                } else if (draggedShape.type === 'lineSegment') {
-                    // Calculate offset from first point
-                    const firstPoint = draggedShape.points[0];
-                    const offsetLat = latLon.lat - firstPoint.lat;
-                    const offsetLon = latLon.lon - firstPoint.lon;
-                    // Move all points by the offset while preserving names
-                    const newPoints = draggedShape.points.map(p => ({
-                        lat: p.lat + offsetLat,
-                        lon: p.lon + offsetLon,
-                        name: p.name || ''
-                    }));
-                    updateShape(draggedShapeId, { points: newPoints });
-                }
+            if (draggedShape && draggedShapeHandle) {
+                updateShape(draggedShapeId, ShapeGeometry.moveHandle(draggedShape, draggedShapeHandle, latLon.lat, latLon.lon));
             }
             return;
         }
@@ -11775,22 +12646,35 @@ function AICSimulator() {
 
         // Handle asset dragging
         if (draggedAssetId !== null) {
-            const draggedAsset = assets.find(a => a.id === draggedAssetId);
-
             // Update position
-            const updates = { lat: latLon.lat, lon: latLon.lon };
-
-            // If asset has waypoints, recalculate heading to first unreached waypoint
-            if (draggedAsset && draggedAsset.waypoints.length > 0) {
-                const nextWpIndex = draggedAsset.waypoints.findIndex(wp => !wp.reached);
-                if (nextWpIndex !== -1) {
-                    const nextWP = draggedAsset.waypoints[nextWpIndex];
-                    const newHeading = calculateBearing(latLon.lat, latLon.lon, nextWP.lat, nextWP.lon);
-                    updates.targetHeading = newHeading;
+            const dragUpdates = (asset, position) => {
+                const updates = { lat: position.lat, lon: position.lon };
+
+                // If asset has waypoints, recalculate heading to first unreached waypoint
+                if (asset && asset.waypoints.length > 0) {
+                    const nextWpIndex = asset.waypoints.findIndex(wp => !wp.reached);
+                    if (nextWpIndex !== -1) {
+                        const nextWP = asset.waypoints[nextWpIndex];
+                        const newHeading = calculateBearing(position.lat, position.lon, nextWP.lat, nextWP.lon);
+                        updates.targetHeading = newHeading;
+                    }
                 }
+                return updates;
+            };
+
+            // Group drag: every member keeps its bearing and range from the dragged asset
+            const groupDrag = groupDragRef.current;
+            if (groupDrag && groupDrag.anchorId === draggedAssetId) {
+                const positions = { [draggedAssetId]: latLon };
+                groupDrag.offsets.forEach(offset => {
+                    positions[offset.id] = computeDestinationPoint(latLon.lat, latLon.lon, offset.bearing, offset.distance);
+                });
+                updateAssets([draggedAssetId, ...groupDrag.offsets.map(offset => offset.id)], asset => dragUpdates(asset, positions[asset.id]));
+                return;
             }
 
-            updateAsset(draggedAssetId, updates);
+            const draggedAsset = assets.find(a => a.id === draggedAssetId);
+            updateAsset(draggedAssetId, dragUpdates(draggedAsset, latLon));
             return;
         }
 
@@ -11830,22 +12714,37 @@ function AICSimulator() {
         if (draggedWaypoint !== null) {
             moveWaypoint(draggedWaypoint.assetId, draggedWaypoint.wpIndex, latLon.lat, latLon.lon);
         }
-    }, [mapCenter, scale, isDragging, dragStart, draggedWaypoint, draggedAssetId, draggedGeoPointId, draggedShapeId, draggedShapePointIndex, draggedBullseye, draggedOperatorTrackId, assets, shapes, moveWaypoint, updateAsset, updateGeoPoint, updateShape, updateStudentTrack, setBullseyePosition, setBullseyeLatInput, setBullseyeLonInput]);
+    }, [mapCenter, scale, isDragging, dragStart, draggedWaypoint, draggedAssetId, draggedGeoPointId, draggedShapeId, draggedShapeHandle, draggedBullseye, draggedOperatorTrackId, rubberBand, assets, shapes, moveWaypoint, updateAsset, updateAssets, updateGeoPoint, updateShape, updateStudentTrack, setBullseyePosition, setBullseyeLatInput, setBullseyeLonInput]);
 
     const handleMouseDown = useCallback((e) => {
         if (e.button !== 0) return; // Only left click
+        suppressClickRef.current = false;
 
         const svg = svgRef.current;
         const rect = svg.getBoundingClientRect();
         const x = e.clientX - rect.left;
         const y = e.clientY - rect.top;
 
+        // Shift (instructor mode): click on an asset toggles it in the multi-selection
+        // (handled in handleSVGClick), drag anywhere else draws a selection box
+        if (e.shiftKey && simulatorMode === 'instructor' && !creatingShape) {
+            const onAsset = assets.some(asset => {
+                const pos = latLonToScreen(asset.lat, asset.lon, mapCenter.lat, mapCenter.lon, scale, rect.width, rect.height);
+                return Math.sqrt((x - pos.x) ** 2 + (y - pos.y) ** 2) < 15;
+            });
+            if (!onAsset) {
+                setRubberBand({ x0: x, y0: y, x1: x, y1: y });
+            }
+            return;
+        }
+
         // Check if clicking on the bullseye
         const bullseyePos = latLonToScreen(bullseyePosition.lat, bullseyePosition.lon, mapCenter.lat, mapCenter.lon, scale, rect.width, rect.height);
         const bullseyeDist = Math.sqrt((x - bullseyePos.x) ** 2 + (y - bullseyePos.y) ** 2);
         if (bullseyeDist < 15) {
             // Enable dragging if already selected
             if (bullseyeSelected) {
+                beginEditGesture();
                 setDraggedBullseye(true);
             } else {
                 // First click - select the bullseye
@@ -11862,50 +12761,26 @@ function AICSimulator() {
         }
 
         // Check if clicking on a shape
-        for (const shape of shapes) {
-            if (shape.type === 'circle') {
-                const centerPos = latLonToScreen(shape.centerLat, shape.centerLon, mapCenter.lat, mapCenter.lon, scale, rect.width, rect.height);
-                const radiusInPixels = (shape.radius / scale) * Math.min(rect.width, rect.height);
-                const dist = Math.sqrt((x - centerPos.x) ** 2 + (y - centerPos.y) ** 2);
-                // Check if clicking near the edge of the circle (within 10 pixels of the circumference)
-                if (Math.abs(dist - radiusInPixels) < 10) {
-                    setSelectedShapeId(shape.id);
-                    setSelectedAssetId(null);
-                    setSelectedGeoPointId(null);
-                    setBullseyeSelected(false);
-                    setRadarControlsSelected(false);
-                    setEsmControlsSelected(false);
-                    setIffControlsSelected(false);
-                    setTempMark(null);
-                    // Check if this is the already-selected shape (enable dragging)
-                    if (selectedShapeId === shape.id) {
-                        setDraggedShapeId(shape.id);
-                    }
-                    return;
-                }
-            } else if (shape.type === 'lineSegment') {
-                for (let i = 0; i < shape.points.length; i++) {
-                    const point = shape.points[i];
-                    const pointPos = latLonToScreen(point.lat, point.lon, mapCenter.lat, mapCenter.lon, scale, rect.width, rect.height);
-                    const dist = Math.sqrt((x - pointPos.x) ** 2 + (y - pointPos.y) ** 2);
-                    if (dist < 10) {
-                        setSelectedShapeId(shape.id);
-                        setSelectedAssetId(null);
-                        setSelectedGeoPointId(null);
-                        setBullseyeSelected(false);
-                        setRadarControlsSelected(false);
-                        setEsmControlsSelected(false);
-                        setIffControlsSelected(false);
-                        setTempMark(null);
-                        // Check if this is the already-selected shape (enable dragging of this specific point)
-                        if (selectedShapeId === shape.id) {
-                            setDraggedShapeId(shape.id);
-                            setDraggedShapePointIndex(i);
-                        }
-                        return;
-                    }
-                }
+        const shapeHit = findShapeAt(x, y, rect.width, rect.height);
+        if (shapeHit) {
+            const { shape, handle } = shapeHit;
+            setSelectedShapeId(shape.id);
+            setSelectedAssetId(null);
+            setSelectedGeoPointId(null);
+            setBullseyeSelected(false);
+            setRadarControlsSelected(false);
+            setEsmControlsSelected(false);
+            setIffControlsSelected(false);
+            setTempMark(null);
+            // Already selected: drag the handle under the cursor. Grabbing the outline of a
+            // centered shape moves it by its center; line and polygon edges don't drag.
+            const dragHandle = handle || (ShapeGeometry.POINT_SHAPES.includes(shape.type) ? null : 'center');
+            if (selectedShapeId === shape.id && dragHandle) {
+                beginEditGesture();
+                setDraggedShapeId(shape.id);
+                setDraggedShapeHandle(dragHandle);
             }
+            return;
         }
 
         // Check if clicking on a geo-point
@@ -11924,6 +12799,7 @@ function AICSimulator() {
                 setTempMark(null);
                 // Check if this is the already-selected geo-point (enable dragging)
                 if (selectedGeoPointId === geoPoint.id) {
+                    beginEditGesture();
                     setDraggedGeoPointId(geoPoint.id);
                 }
                 return;
@@ -11965,6 +12841,7 @@ function AICSimulator() {
 
                 if (dist < 10) {
                     // Store both waypoint index and asset id
+                    beginEditGesture();
                     setDraggedWaypoint({ assetId: asset.id, wpIndex: i });
                     setSelectedAssetId(asset.id); // Auto-select the asset
                     setBullseyeSelected(false);
@@ -11974,12 +12851,23 @@ function AICSimulator() {
             }
         }
 
-        // Check if clicking on the selected asset (to drag it)
-        if (selectedAsset) {
-            const pos = latLonToScreen(selectedAsset.lat, selectedAsset.lon, mapCenter.lat, mapCenter.lon, scale, rect.width, rect.height);
+        // Check if clicking on the selected asset, or any multi-selected asset (to drag it)
+        const draggableAssets = groupAssets.length > 1 ? groupAssets : (selectedAsset ? [selectedAsset] : []);
+        for (const asset of draggableAssets) {
+            const pos = latLonToScreen(asset.lat, asset.lon, mapCenter.lat, mapCenter.lon, scale, rect.width, rect.height);
             const dist = Math.sqrt((x - pos.x) ** 2 + (y - pos.y) ** 2);
             if (dist < 15) {
-                setDraggedAssetId(selectedAsset.id);
+                beginEditGesture();
+                setDraggedAssetId(asset.id);
+                // Capture the formation so the group moves without distorting
+                groupDragRef.current = groupAssets.length > 1 ? {
+                    anchorId: asset.id,
+                    offsets: groupAssets.filter(member => member.id !== asset.id).map(member => ({
+                        id: member.id,
+                        bearing: calculateBearing(asset.lat, asset.lon, member.lat, member.lon),
+                        distance: calculateDistance(asset.lat, asset.lon, member.lat, member.lon)
+                    }))
+                } : null;
                 return;
             }
         }
@@ -12014,19 +12902,47 @@ function AICSimulator() {
                 centerLon: mapCenter.lon
             });
         }
-    }, [assets, geoPoints, shapes, selectedAsset, selectedGeoPointId, selectedShapeId, bullseyeSelected, bullseyePosition, mapCenter, scale, simulatorMode, studentTracks, selectedTrackId, setBullseyeSelected, setSelectedAssetId, setSelectedGeoPointId, setSelectedShapeId, setRadarControlsSelected, setEsmControlsSelected, setIffControlsSelected, setTempMark, setDraggedBullseye, setDraggedShapeId, setDraggedShapePointIndex, setDraggedGeoPointId, setDraggedWaypoint, setDraggedAssetId, setIsDragging, setDragStart, setSelectedTrackId, setSelectedAssetTab, setDraggedOperatorTrackId]);
+    }, [assets, geoPoints, shapes, selectedAsset, groupAssets, creatingShape, selectedGeoPointId, selectedShapeId, findShapeAt, bullseyeSelected, bullseyePosition, mapCenter, scale, simulatorMode, studentTracks, selectedTrackId, setBullseyeSelected, setSelectedAssetId, setSelectedGeoPointId, setSelectedShapeId, setRadarControlsSelected, setEsmControlsSelected, setIffControlsSelected, setTempMark, setDraggedBullseye, setDraggedShapeId, setDraggedShapeHandle, setDraggedGeoPointId, setDraggedWaypoint, setDraggedAssetId, setIsDragging, setDragStart, setSelectedTrackId, setSelectedAssetTab, setDraggedOperatorTrackId, beginEditGesture]);
 
     const handleMouseUp = useCallback(() => {
+        if (rubberBand) {
+            const svg = svgRef.current;
+            const rect = svg.getBoundingClientRect();
+            const left = Math.min(rubberBand.x0, rubberBand.x1);
+            const right = Math.max(rubberBand.x0, rubberBand.x1);
+            const top = Math.min(rubberBand.y0, rubberBand.y1);
+            const bottom = Math.max(rubberBand.y0, rubberBand.y1);
+            const boxedIds = assets.filter(asset => {
+                const pos = latLonToScreen(asset.lat, asset.lon, mapCenter.lat, mapCenter.lon, scale, rect.width, rect.height);
+                return pos.x >= left && pos.x <= right && pos.y >= top && pos.y <= bottom;
+            }).map(asset => asset.id);
+
+            if (boxedIds.length > 0) {
+                addGroupMembers(boxedIds);
+                setBullseyeSelected(false);
+                setSelectedGeoPointId(null);
+                setSelectedShapeId(null);
+                setRadarControlsSelected(false);
+                setEsmControlsSelected(false);
+                setIffControlsSelected(false);
+                setTempMark(null);
+            }
+            setRubberBand(null);
+            suppressClickRef.current = true;
+        }
+
+        endEditGesture();
+        groupDragRef.current = null;
         setIsDragging(false);
         setDragStart(null);
         setDraggedWaypoint(null);
         setDraggedAssetId(null);
         setDraggedGeoPointId(null);
         setDraggedShapeId(null);
-        setDraggedShapePointIndex(null);
+        setDraggedShapeHandle(null);
         setDraggedBullseye(false);
         setDraggedOperatorTrackId(null);
-    }, []);
+    }, [rubberBand, assets, mapCenter, scale, addGroupMembers, endEditGesture]);
 
     const handleWheel = useCallback((e) => {
         e.preventDefault();
@@ -12090,8 +13006,24 @@ function AICSimulator() {
                 setIsRunning(false);
             }
 
-            // Push-to-talk: Spacebar (student mode only, not during voice calibration)
-            if (e.code === 'Space' && simulatorMode === 'student' && radioEnabled && !e.repeat && !showVoiceCalibration) {
+            // Undo/redo scenario edits: Ctrl+Z / Ctrl+Shift+Z (Ctrl+Y also redoes).
+            // Text fields keep their own native undo.
+            const typing = document.activeElement && (document.activeElement.tagName === 'INPUT' || document.activeElement.tagName === 'TEXTAREA');
+            if ((e.ctrlKey || e.metaKey) && !typing && !e.repeat) {
+                const key = e.key.toLowerCase();
+                if (key === 'z' || key === 'y') {
+                    e.preventDefault();
+                    if (key === 'y' || e.shiftKey) {
+                        redoEdit();
+                    } else {
+                        undoEdit();
+                    }
+                    return;
+                }
+            }
+
+            // Push-to-talk: Spacebar (student mode only, not during voice calibration or time compression)
+            if (e.code === 'Space' && simulatorMode === 'student' && radioEnabled && !e.repeat && !showVoiceCalibration && timeCompression === 1) {
                 // Prevent default only if not typing in an input field
                 if (document.activeElement.tagName !== 'INPUT' && document.activeElement.tagName !== 'TEXTAREA') {
                     e.preventDefault();
@@ -12139,133 +13071,88 @@ function AICSimulator() {
                         // Ensure TX state is cleared even if stop fails
                         setIsTransmitting(false);
                     }
-                    // isTransmitting will be set to false by onend handler
-                }
-            }
-        };
-
-        window.addEventListener('keydown', handleKeyDown, true); // Use capture phase
-        window.addEventListener('keyup', handleKeyUp, true); // Use capture phase
-        return () => {
-            window.removeEventListener('keydown', handleKeyDown, true);
-            window.removeEventListener('keyup', handleKeyUp, true);
-        };
-    }, [simulatorMode, radioEnabled, isTransmitting, showVoiceCalibration]);
-
-    // ========================================================================
-    // RENDER FUNCTIONS
-    // ========================================================================
-
-    const memoizedGrid = useMemo(() => {
-        const lines = [];
-        const spacing = 60; // pixels
-
-        // Vertical lines
-        for (let x = 0; x < svgWidth; x += spacing) {
-            lines.push(
-                <line key={`v${x}`} x1={x} y1={0} x2={x} y2={svgHeight}
-                      stroke="#00FF00" strokeWidth="0.3" opacity="0.08" />
-            );
-        }
-
-        // Horizontal lines
-        for (let y = 0; y < svgHeight; y += spacing) {
-            lines.push(
-                <line key={`h${y}`} x1={0} y1={y} x2={svgWidth} y2={y}
-                      stroke="#00FF00" strokeWidth="0.3" opacity="0.08" />
-            );
-        }
-
-        return lines;
-    }, [svgWidth, svgHeight]);
-
-    const memoizedCompass = useMemo(() => (
-        <g>
-            <text x={svgWidth/2} y={20} fill="#00FF00" fontSize="12" fontFamily="Arial" textAnchor="middle" fontWeight="700">N</text>
-            <text x={svgWidth-20} y={svgHeight/2} fill="#00FF00" fontSize="12" fontFamily="Arial" textAnchor="middle" fontWeight="700">E</text>
-            <text x={svgWidth/2} y={svgHeight-10} fill="#00FF00" fontSize="12" fontFamily="Arial" textAnchor="middle" fontWeight="700">S</text>
-            <text x={20} y={svgHeight/2} fill="#00FF00" fontSize="12" fontFamily="Arial" textAnchor="middle" fontWeight="700">W</text>
-        </g>
-    ), [svgWidth, svgHeight]);
-
-    const memoizedCoastline = useMemo(() => {
-        const points = PERSIAN_GULF_COASTLINE.map(([lat, lon]) => {
-            const pos = latLonToScreen(lat, lon, mapCenter.lat, mapCenter.lon, scale, svgWidth, svgHeight);
-            return `${pos.x},${pos.y}`;
-        }).join(' ');
-
-        return (
-            <g>
-                <polyline
-                    points={points}
-                    fill="none"
-                    stroke="#808080"
-                    strokeWidth="1.5"
-                    opacity="0.5"
-                />
-            </g>
-        );
-    }, [mapCenter.lat, mapCenter.lon, scale, svgWidth, svgHeight]);
+                    // isTransmitting will be set to false by onend handler
+                }
+            }
+        };
 
-    const memoizedIslands = useMemo(() => (
-        <g>
-            {PERSIAN_GULF_ISLANDS.map((island, idx) => {
-                const points = island.coords.map(([lat, lon]) => {
-                    const pos = latLonToScreen(lat, lon, mapCenter.lat, mapCenter.lon, scale, svgWidth, svgHeight);
-                    return `${pos.x},${pos.y}`;
-                }).join(' ');
+        window.addEventListener('keydown', handleKeyDown, true); // Use capture phase
+        window.addEventListener('keyup', handleKeyUp, true); // Use capture phase
+        return () => {
+            window.removeEventListener('keydown', handleKeyDown, true);
+            window.removeEventListener('keyup', handleKeyUp, true);
+        };
+    }, [simulatorMode, radioEnabled, isTransmitting, showVoiceCalibration, timeCompression, undoEdit, redoEdit]);
 
-                return (
-                    <polygon
-                        key={idx}
-                        points={points}
-                        fill="none"
-                        stroke="#808080"
-                        strokeWidth="1.5"
-                        opacity="0.5"
-                    />
-                );
-            })}
-        </g>
-    ), [mapCenter.lat, mapCenter.lon, scale, svgWidth, svgHeight]);
+    // ========================================================================
+    // RENDER FUNCTIONS
+    // ========================================================================
 
-    const memoizedCities = useMemo(() => (
-        <g>
-            {PERSIAN_GULF_CITIES.map(city => {
-                const pos = latLonToScreen(city.lat, city.lon, mapCenter.lat, mapCenter.lon, scale, svgWidth, svgHeight);
+    // Static map layer (grid, coastline, islands, cities, compass) - drawn on canvas, only on pan/zoom/resize
+    useEffect(() => {
+        const canvas = mapCanvasRef.current;
+        if (!canvas) return;
+        const ctx = RadarCanvas.setupCanvas(canvas, svgWidth, svgHeight);
+        const project = (lat, lon) => latLonToScreen(lat, lon, mapCenter.lat, mapCenter.lon, scale, svgWidth, svgHeight);
+        RadarCanvas.drawMapLayer(ctx, svgWidth, svgHeight, project, {
+            coastlines: theater.coastlines,
+            islands: theater.islands,
+            cities: theater.cities,
+            airfields: theater.airfields
+        });
+    }, [mapCenter.lat, mapCenter.lon, scale, svgWidth, svgHeight, theater]);
+
+    // Latest inputs for the canvas render loop (updated every render, read once per animation frame)
+    radarLayerInputsRef.current = {
+        ownship: assets.find(a => a.type === 'ownship'),
+        radarReturns, iffReturns, missionTime,
+        mapCenter, scale, width: svgWidth, height: svgHeight,
+        radarReturnDecay, radarReturnIntensity, iffReturnIntensity, radarSweepOpacity,
+        hasStarted, radarEnabled
+    };
 
-                // Only render if within bounds
-                if (pos.x < -50 || pos.x > svgWidth + 50 || pos.y < -50 || pos.y > svgHeight + 50) {
-                    return null;
+    // Radar returns, IFF returns and sweep - drawn on canvas outside React reconciliation
+    useEffect(() => {
+        const renderReturnsLayer = RadarCanvas.createReturnsLayer();
+        let frameId;
+
+        const draw = () => {
+            const inputs = radarLayerInputsRef.current;
+            const { ownship, mapCenter: center, scale: viewScale, width, height } = inputs;
+            const project = (lat, lon) => latLonToScreen(lat, lon, center.lat, center.lon, viewScale, width, height);
+
+            // Returns (only repaints when returns, mission time or the view change)
+            if (returnsCanvasRef.current) {
+                const ctx = RadarCanvas.setupCanvas(returnsCanvasRef.current, width, height);
+                renderReturnsLayer(ctx, width, height, {
+                    radarReturns: ownship ? inputs.radarReturns : [],
+                    iffReturns: ownship ? inputs.iffReturns : [],
+                    missionTime: inputs.missionTime,
+                    viewKey: `${center.lat},${center.lon},${viewScale},${width},${height}`,
+                    project,
+                    pixelsPerNM: Math.min(width, height) / viewScale,
+                    decay: inputs.radarReturnDecay,
+                    radarIntensity: inputs.radarReturnIntensity,
+                    iffIntensity: inputs.iffReturnIntensity
+                });
+            }
+
+            // Sweep - every frame. Don't show until the simulation has started at least once, or if radar is off
+            if (sweepCanvasRef.current) {
+                const ctx = RadarCanvas.setupCanvas(sweepCanvasRef.current, width, height);
+                RadarCanvas.clearCanvas(ctx, width, height);
+                if (ownship && inputs.hasStarted && inputs.radarEnabled) {
+                    const rangeInPixels = (320 / viewScale) * Math.min(width, height); // 320 NM range
+                    RadarCanvas.drawRadarSweep(ctx, project(ownship.lat, ownship.lon), rangeInPixels, radarSweepAngleRef.current, inputs.radarSweepOpacity);
                 }
+            }
 
-                return (
-                    <g key={city.name}>
-                        {/* City marker */}
-                        <circle
-                            cx={pos.x}
-                            cy={pos.y}
-                            r={3}
-                            fill="#FFFF00"
-                            opacity="0.7"
-                        />
-                        {/* City name */}
-                        <text
-                            x={pos.x + 6}
-                            y={pos.y - 6}
-                            fill="#FFFF00"
-                            fontSize="12"
-                            fontFamily="Arial"
-                            fontWeight="600"
-                            opacity="0.6"
-                        >
-                            {city.name}
-                        </text>
-                    </g>
-                );
-            })}
-        </g>
-    ), [mapCenter.lat, mapCenter.lon, scale, svgWidth, svgHeight]);
+            frameId = requestAnimationFrame(draw);
+        };
+
+        frameId = requestAnimationFrame(draw);
+        return () => cancelAnimationFrame(frameId);
+    }, []);
 
     const renderBullseye = (width, height) => {
         const pos = latLonToScreen(bullseyePosition.lat, bullseyePosition.lon, mapCenter.lat, mapCenter.lon, scale, width, height);
@@ -12311,279 +13198,6 @@ function AICSimulator() {
         );
     };
 
-    const renderRadarReturns = (width, height) => {
-        const ownship = assets.find(a => a.type === 'ownship');
-        if (!ownship) return null;
-
-        const ownshipPos = latLonToScreen(ownship.lat, ownship.lon, mapCenter.lat, mapCenter.lon, scale, width, height);
-
-        // Simple seeded random function for consistent fuzziness
-        const seededRandom = (seed) => {
-            const x = Math.sin(seed) * 10000;
-            return x - Math.floor(x);
-        };
-
-        return (
-            <g>
-                {radarReturns.map(ret => {
-                    const age = missionTime - ret.missionTime; // Age in seconds
-                    const baseOpacity = Math.max(0, 1 - (age / radarReturnDecay)); // Fade based on decay setting
-                    const opacity = baseOpacity * (radarReturnIntensity / 100); // Apply intensity setting
-
-                    // Get the actual target position - this is the center of the radar return
-                    const targetPos = latLonToScreen(ret.lat, ret.lon, mapCenter.lat, mapCenter.lon, scale, width, height);
-
-                    // Calculate azimuth spread based on distance (longer at farther ranges)
-                    // Typical radar azimuth resolution degrades with distance
-                    const azimuthSpreadDegrees = 0.5 + (ret.distance / 50); // Increases with distance
-
-                    // Calculate banana shape - arc that curves toward ownship
-                    // More segments for solid/hazy appearance - scale with zoom level
-                    const pixelsPerNM = Math.min(width, height) / scale;
-                    const baseSegments = Math.max(15, Math.floor(azimuthSpreadDegrees * 8));
-                    // Add extra segments based on zoom level for smooth appearance when zoomed in (capped at 30)
-                    const numSegments = Math.min(30, Math.floor(baseSegments * (1 + pixelsPerNM / 50)));
-                    const segments = [];
-
-                    // Create a hash from the return ID for seeding
-                    let idHash = 0;
-                    for (let c = 0; c < ret.id.length; c++) {
-                        idHash = ((idHash << 5) - idHash) + ret.id.charCodeAt(c);
-                        idHash = idHash & idHash;
-                    }
-
-                    // Calculate angle from ownship (at time of detection) to target for perpendicular spread
-                    // Use stored ownship position so returns don't move when ownship moves
-                    const returnOwnshipPos = latLonToScreen(ret.ownshipLat, ret.ownshipLon, mapCenter.lat, mapCenter.lon, scale, width, height);
-                    const bearingToTarget = Math.atan2(targetPos.y - returnOwnshipPos.y, targetPos.x - returnOwnshipPos.x);
-
-                    for (let i = 0; i < numSegments; i++) {
-                        // Spread segments perpendicular to the bearing from ownship
-                        const spreadFactor = ((i - numSegments / 2) / numSegments);
-                        const azimuthOffsetRadians = spreadFactor * azimuthSpreadDegrees * Math.PI / 180;
-
-                        // Rotate perpendicular to bearing (90 degrees offset)
-                        const perpAngle = bearingToTarget + Math.PI / 2;
-                        const spreadDistance = ret.distance * Math.tan(azimuthOffsetRadians) * pixelsPerNM;
-
-                        // Position spread perpendicular to bearing
-                        const spreadX = spreadDistance * Math.cos(perpAngle);
-                        const spreadY = spreadDistance * Math.sin(perpAngle);
-
-                        // Very slight curve toward ownship (banana shape)
-                        const curveAmount = Math.abs(spreadFactor) * 0.5; // Pixels
-                        const curveX = -curveAmount * Math.cos(bearingToTarget);
-                        const curveY = -curveAmount * Math.sin(bearingToTarget);
-
-                        const segmentX = targetPos.x + spreadX + curveX;
-                        const segmentY = targetPos.y + spreadY + curveY;
-
-                        // Add stationary fuzziness using seeded random
-                        const fuzzSeed = idHash + i * 100;
-                        const fuzzX = (seededRandom(fuzzSeed) - 0.5) * 3;
-                        const fuzzY = (seededRandom(fuzzSeed + 50) - 0.5) * 3;
-
-                        segments.push({
-                            x: segmentX + fuzzX,
-                            y: segmentY + fuzzY,
-                            opacity: opacity * (0.4 + seededRandom(fuzzSeed + 25) * 0.4),
-                            radius: 3 + seededRandom(fuzzSeed + 75) * 2 // Larger, more variable circles
-                        });
-                    }
-
-                    return (
-                        <g key={ret.id}>
-                            {segments.map((seg, idx) => (
-                                <circle
-                                    key={`${ret.id}-${idx}`}
-                                    cx={seg.x}
-                                    cy={seg.y}
-                                    r={seg.radius}
-                                    fill="#FFFFFF"
-                                    opacity={seg.opacity}
-                                />
-                            ))}
-                        </g>
-                    );
-                })}
-            </g>
-        );
-    };
-
-    const renderIFFReturns = (width, height) => {
-        const ownship = assets.find(a => a.type === 'ownship');
-        if (!ownship) return null;
-
-        const ownshipPos = latLonToScreen(ownship.lat, ownship.lon, mapCenter.lat, mapCenter.lon, scale, width, height);
-
-        // Simple seeded random function for consistent fuzziness
-        const seededRandom = (seed) => {
-            const x = Math.sin(seed) * 10000;
-            return x - Math.floor(x);
-        };
-
-        return (
-            <g>
-                {iffReturns.map(ret => {
-                    const age = missionTime - ret.missionTime;
-                    const baseOpacity = Math.max(0, 1 - (age / radarReturnDecay));
-                    const opacity = baseOpacity * (iffReturnIntensity / 100);
-
-                    // Get the actual target position
-                    const targetPos = latLonToScreen(ret.lat, ret.lon, mapCenter.lat, mapCenter.lon, scale, width, height);
-
-                    // Calculate azimuth spread (same as radar)
-                    const azimuthSpreadDegrees = 0.5 + (ret.distance / 50);
-
-                    // Calculate segments for solid/hazy appearance (same density as radar)
-                    const pixelsPerNM = Math.min(width, height) / scale;
-                    const baseSegments = Math.max(15, Math.floor(azimuthSpreadDegrees * 8));
-                    const numSegments = Math.min(30, Math.floor(baseSegments * (1 + pixelsPerNM / 50)));
-                    const segments = [];
-
-                    // Create hash from return ID for seeding
-                    let idHash = 0;
-                    for (let c = 0; c < ret.id.length; c++) {
-                        idHash = ((idHash << 5) - idHash) + ret.id.charCodeAt(c);
-                        idHash = idHash & idHash;
-                    }
-
-                    // Calculate angle from ownship (at time of interrogation) to target
-                    // Use stored ownship position so IFF returns don't move when ownship moves
-                    const returnOwnshipPos = latLonToScreen(ret.ownshipLat, ret.ownshipLon, mapCenter.lat, mapCenter.lon, scale, width, height);
-                    const bearingToTarget = Math.atan2(targetPos.y - returnOwnshipPos.y, targetPos.x - returnOwnshipPos.x);
-
-                    // Offset IFF return toward ownship by approximately the radar return width
-                    // This prevents overlap with radar returns
-                    const offsetDistance = 8; // pixels - approximately one radar return width
-                    const iffOffsetX = -offsetDistance * Math.cos(bearingToTarget);
-                    const iffOffsetY = -offsetDistance * Math.sin(bearingToTarget);
-
-                    for (let i = 0; i < numSegments; i++) {
-                        const spreadFactor = ((i - numSegments / 2) / numSegments);
-                        const azimuthOffsetRadians = spreadFactor * azimuthSpreadDegrees * Math.PI / 180;
-
-                        const perpAngle = bearingToTarget + Math.PI / 2;
-                        const spreadDistance = ret.distance * Math.tan(azimuthOffsetRadians) * pixelsPerNM;
-
-                        const spreadX = spreadDistance * Math.cos(perpAngle);
-                        const spreadY = spreadDistance * Math.sin(perpAngle);
-
-                        // Very slight curve toward ownship
-                        const curveAmount = Math.abs(spreadFactor) * 0.5;
-                        const curveX = -curveAmount * Math.cos(bearingToTarget);
-                        const curveY = -curveAmount * Math.sin(bearingToTarget);
-
-                        const segmentX = targetPos.x + spreadX + curveX + iffOffsetX;
-                        const segmentY = targetPos.y + spreadY + curveY + iffOffsetY;
-
-                        // Add stationary fuzziness
-                        const fuzzSeed = idHash + i * 100;
-                        const fuzzX = (seededRandom(fuzzSeed) - 0.5) * 3;
-                        const fuzzY = (seededRandom(fuzzSeed + 50) - 0.5) * 3;
-
-                        segments.push({
-                            x: segmentX + fuzzX,
-                            y: segmentY + fuzzY,
-                            opacity: opacity * (0.4 + seededRandom(fuzzSeed + 25) * 0.4),
-                            radius: 3 + seededRandom(fuzzSeed + 75) * 2
-                        });
-                    }
-
-                    return (
-                        <g key={ret.id}>
-                            {segments.map((seg, idx) => (
-                                <circle
-                                    key={`${ret.id}-${idx}`}
-                                    cx={seg.x}
-                                    cy={seg.y}
-                                    r={seg.radius}
-                                    fill="#00FF00"
-                                    opacity={seg.opacity}
-                                />
-                            ))}
-                        </g>
-                    );
-                })}
-            </g>
-        );
-    };
-
-    const renderRadarSweep = (width, height) => {
-        const ownship = assets.find(a => a.type === 'ownship');
-        // Don't show radar sweep until user has started simulation at least once, or if radar is disabled
-        if (!ownship || !hasStarted || !radarEnabled) return null;
-
-        const ownshipPos = latLonToScreen(ownship.lat, ownship.lon, mapCenter.lat, mapCenter.lon, scale, width, height);
-
-        // Calculate the 320 NM range in screen pixels
-        const rangeInPixels = (320 / scale) * Math.min(width, height);
-
-        // Create multiple wedges with decreasing opacity to simulate angular gradient
-        const wedges = [];
-        const numWedges = 60; // Number of segments to create ultra-smooth fade
-        const totalSpan = 40; // Total degrees of sweep trail
-        const segmentSize = totalSpan / numWedges; // Size of each segment
-
-        // Create wedges from trailing edge to leading edge
-        for (let i = 0; i < numWedges; i++) {
-            const startAngle = radarSweepAngleRef.current - totalSpan + (i * segmentSize);
-            const endAngle = startAngle + segmentSize;
-
-            // Calculate opacity - increases towards leading edge, scaled by user setting
-            const opacity = (i / numWedges) * radarSweepOpacity;
-
-            // Convert to radians for drawing (0° is north, clockwise)
-            const startRad = (startAngle - 90) * Math.PI / 180;
-            const endRad = (endAngle - 90) * Math.PI / 180;
-
-            // Create points for the wedge path
-            const startX = ownshipPos.x + rangeInPixels * Math.cos(startRad);
-            const startY = ownshipPos.y + rangeInPixels * Math.sin(startRad);
-            const endX = ownshipPos.x + rangeInPixels * Math.cos(endRad);
-            const endY = ownshipPos.y + rangeInPixels * Math.sin(endRad);
-
-            // Create the path for this segment
-            const pathData = `
-                M ${ownshipPos.x},${ownshipPos.y}
-                L ${startX},${startY}
-                A ${rangeInPixels},${rangeInPixels} 0 0 1 ${endX},${endY}
-                Z
-            `;
-
-            wedges.push(
-                <path
-                    key={i}
-                    d={pathData}
-                    fill="#FFFFFF"
-                    opacity={opacity}
-                />
-            );
-        }
-
-        // Calculate leading edge line endpoint
-        const leadingRad = (radarSweepAngleRef.current - 90) * Math.PI / 180;
-        const leadingX = ownshipPos.x + rangeInPixels * Math.cos(leadingRad);
-        const leadingY = ownshipPos.y + rangeInPixels * Math.sin(leadingRad);
-
-        return (
-            <g>
-                {/* Render all wedge segments */}
-                {wedges}
-                {/* Leading edge line - bright white */}
-                <line
-                    x1={ownshipPos.x}
-                    y1={ownshipPos.y}
-                    x2={leadingX}
-                    y2={leadingY}
-                    stroke="#FFFFFF"
-                    strokeWidth={1}
-                    opacity={0.9}
-                />
-            </g>
-        );
-    };
-
     const renderEsmLines = (width, height) => {
         const ownship = assets.find(a => a.type === 'ownship');
         if (!ownship || !esmEnabled) return null;
@@ -12910,6 +13524,7 @@ function AICSimulator() {
         if (pos.x < -150 || pos.x > width + 150 || pos.y < -150 || pos.y > height + 150) return null;
 
         const isSelected = asset.id === selectedAssetId;
+        const isGroupMember = !isSelected && groupAssets.length > 1 && groupAssetIds.includes(asset.id);
         const size = 12; // Consistent size for all assets
         const strokeWidth = 1;
 
@@ -12973,6 +13588,20 @@ function AICSimulator() {
                     </>
                 )}
 
+                {/* Multi-selection ring - static, so the primary (rotating ring) stands out */}
+                {isGroupMember && (
+                    <circle
+                        cx={pos.x}
+                        cy={pos.y}
+                        r={20}
+                        fill="none"
+                        stroke={assetColor}
+                        strokeWidth="2"
+                        strokeDasharray="4,3"
+                        opacity="0.7"
+                    />
+                )}
+
                 {/* Heading line - hide for land domain (stationary) or zero speed */}
                 {asset.domain !== 'land' && asset.speed > 0 && (
                     <line x1={pos.x} y1={pos.y} x2={headingX} y2={headingY}
@@ -13714,9 +14343,15 @@ function AICSimulator() {
     const renderWeapons = (width, height) => {
         if (weapons.length === 0) return null;
 
+        // Students only see inbound anti-ship missiles once radar or ESM has picked them up
+        const detectedVampireIds = new Set(vampireReports.map(v => v.weaponId));
+        const visibleWeapons = simulatorMode === 'student'
+            ? weapons.filter(wpn => detectedVampireIds.has(wpn.id) || !isInboundMissile(wpn, assets, weaponConfigs))
+            : weapons;
+
         return (
             <g className="weapons">
-                {weapons.map(wpn => {
+                {visibleWeapons.map(wpn => {
                     const pos = latLonToScreen(wpn.lat, wpn.lon, mapCenter.lat, mapCenter.lon, scale, width, height);
                     const color = wpn.affiliation === 'friendly' ? '#00FFFF' : '#FF0000';
                     const headingRad = (wpn.heading - 90) * Math.PI / 180;
@@ -13797,6 +14432,54 @@ function AICSimulator() {
         );
     };
 
+    // SAM site engagement envelope: max range solid, min range dashed
+    const renderSamEnvelope = (geoPoint, width, height) => {
+        const pos = latLonToScreen(geoPoint.lat, geoPoint.lon, mapCenter.lat, mapCenter.lon, scale, width, height);
+        const pixelsPerNM = Math.min(width, height) / scale;
+        const maxRadius = geoPoint.sam.maxRange * pixelsPerNM;
+
+        // Culled only when the whole ring is off screen
+        if (pos.x < -maxRadius || pos.x > width + maxRadius || pos.y < -maxRadius || pos.y > height + maxRadius) return null;
+
+        const identityColor = ASSET_TYPES[geoPoint.identity]?.color || '#FFFF00';
+        const opacity = geoPoint.sam.emitterActive ? 0.7 : 0.3; // Dimmed with the fire-control radar off
+
+        return (
+            <g key={`sam-${geoPoint.id}`} pointerEvents="none">
+                <circle
+                    cx={pos.x}
+                    cy={pos.y}
+                    r={maxRadius}
+                    fill="none"
+                    stroke={identityColor}
+                    strokeWidth="1"
+                    opacity={opacity}
+                />
+                <circle
+                    cx={pos.x}
+                    cy={pos.y}
+                    r={geoPoint.sam.minRange * pixelsPerNM}
+                    fill="none"
+                    stroke={identityColor}
+                    strokeWidth="1"
+                    strokeDasharray="4,4"
+                    opacity={opacity}
+                />
+                <text
+                    x={pos.x}
+                    y={pos.y - maxRadius - 4}
+                    fill={identityColor}
+                    fontSize="10"
+                    fontFamily="Arial"
+                    textAnchor="middle"
+                    opacity={opacity}
+                >
+                    {geoPoint.sam.system} {geoPoint.sam.maxRange} NM
+                </text>
+            </g>
+        );
+    };
+
     const renderGeoPoint = (geoPoint, width, height) => {
         const pos = latLonToScreen(geoPoint.lat, geoPoint.lon, mapCenter.lat, mapCenter.lon, scale, width, height);
 
@@ -14020,6 +14703,45 @@ function AICSimulator() {
     const renderShape = (shape, width, height) => {
         const identityColor = ASSET_TYPES[shape.identity]?.color || '#FFFF00';
         const isSelected = shape.id === selectedShapeId;
+        const toScreen = (lat, lon) => latLonToScreen(lat, lon, mapCenter.lat, mapCenter.lon, scale, width, height);
+        const altitudeBlock = ShapeGeometry.formatAltitudeBlock(shape);
+        // Control measures show their type ahead of the label ("MEZ ALPHA")
+        const labelText = AirspaceControl.isControlMeasure(shape) ? AirspaceControl.controlMeasureName(shape) : shape.label;
+
+        // Label with the altitude block under it, centered above (x, y)
+        const renderLabel = (x, y) => (labelText || altitudeBlock) && (
+            <text
+                x={x}
+                y={y - (labelText && altitudeBlock ? 26 : 12)}
+                fill={identityColor}
+                fontSize="12"
+                fontFamily="Arial"
+                textAnchor="middle"
+                opacity="0.9"
+                style={{ textShadow: `0 0 4px ${identityColor}` }}
+            >
+                {labelText && <tspan x={x} dy="0">{labelText}</tspan>}
+                {altitudeBlock && <tspan x={x} dy={labelText ? 14 : 0} fontSize="10">{altitudeBlock}</tspan>}
+            </text>
+        );
+
+        // Center and sizing handles of the selected shape (line and polygon points are their own handles)
+        const renderHandles = () => isSelected && ShapeGeometry.handles(shape).map(h => {
+            const pos = toScreen(h.lat, h.lon);
+            return (
+                <rect
+                    key={h.key}
+                    x={pos.x - 4}
+                    y={pos.y - 4}
+                    width="8"
+                    height="8"
+                    fill={h.key === 'center' ? 'none' : identityColor}
+                    stroke="#FFFFFF"
+                    strokeWidth="1"
+                    style={{ cursor: 'move' }}
+                />
+            );
+        });
 
         if (shape.type === 'circle') {
             const centerPos = latLonToScreen(shape.centerLat, shape.centerLon, mapCenter.lat, mapCenter.lon, scale, width, height);
@@ -14054,30 +14776,19 @@ function AICSimulator() {
                         strokeWidth="2"
                         opacity="0.8"
                     />
-                    {/* Label */}
-                    {shape.label && (
-                        <text
-                            x={centerPos.x}
-                            y={centerPos.y - radiusInPixels - 12}
-                            fill={identityColor}
-                            fontSize="12"
-                            fontFamily="Arial"
-                            textAnchor="middle"
-                            opacity="0.9"
-                            style={{ textShadow: `0 0 4px ${identityColor}` }}
-                        >
-                            {shape.label}
-                        </text>
-                    )}
+                    {/* Label and altitude block */}
+                    {renderLabel(centerPos.x, centerPos.y - radiusInPixels)}
+                    {renderHandles()}
                 </g>
             );
-        } else if (shape.type === 'lineSegment') {
-            const points = shape.points.map(p => latLonToScreen(p.lat, p.lon, mapCenter.lat, mapCenter.lon, scale, width, height));
-            const pathData = points.map((p, i) => `${i === 0 ? 'M' : 'L'} ${p.x} ${p.y}`).join(' ');
+        } else if (shape.type === 'lineSegment' || shape.type === 'polygon') {
+            const points = shape.points.map(p => toScreen(p.lat, p.lon));
+            const pathData = points.map((p, i) => `${i === 0 ? 'M' : 'L'} ${p.x} ${p.y}`).join(' ') + (shape.type === 'polygon' ? ' Z' : '');
+            const top = points.reduce((best, p) => (p.y < best.y ? p : best), points[0]);
 
             return (
                 <g key={`shape-${shape.id}`}>
-                    {/* Line segments */}
+                    {/* Line segments (closed for polygons) */}
                     <path
                         d={pathData}
                         fill="none"
@@ -14137,10 +14848,46 @@ function AICSimulator() {
                             <animate attributeName="stroke-dashoffset" from="0" to="10" dur="1s" repeatCount="indefinite" />
                         </path>
                     )}
+                    {/* Polygon label and altitude block above the top point */}
+                    {shape.type === 'polygon' && renderLabel(top.x, top.y - 8)}
                 </g>
             );
         }
-        return null;
+
+        // Rectangle, ellipse and sector: closed outline from shape-geometry.js
+        const { points } = ShapeGeometry.outline(shape);
+        const screenPoints = points.map(p => toScreen(p.lat, p.lon));
+        const pathData = screenPoints.map((p, i) => `${i === 0 ? 'M' : 'L'} ${p.x} ${p.y}`).join(' ') + ' Z';
+        const top = screenPoints.reduce((best, p) => (p.y < best.y ? p : best), screenPoints[0]);
+
+        return (
+            <g key={`shape-${shape.id}`}>
+                {/* Selection highlight */}
+                {isSelected && (
+                    <path
+                        d={pathData}
+                        fill="none"
+                        stroke={identityColor}
+                        strokeWidth="4"
+                        opacity="0.3"
+                        strokeDasharray="5,5"
+                    >
+                        <animate attributeName="stroke-dashoffset" from="0" to="10" dur="1s" repeatCount="indefinite" />
+                    </path>
+                )}
+                {/* Outline */}
+                <path
+                    d={pathData}
+                    fill="none"
+                    stroke={identityColor}
+                    strokeWidth="2"
+                    opacity="0.8"
+                />
+                {/* Label and altitude block */}
+                {renderLabel(top.x, top.y)}
+                {renderHandles()}
+            </g>
+        );
     };
 
     // ========================================================================
@@ -14165,7 +14912,7 @@ function AICSimulator() {
 
                     <div className="status-group">
                         <div className={`status-indicator ${isRunning ? 'running' : 'paused'}`}>
-                            {isRunning ? '● RUNNING' : '○ PAUSED'}
+                            {isRunning ? '● RUNNING' : '○ PAUSED'}{timeCompression !== 1 ? ` ${timeCompression}x` : ''}
                         </div>
                         <div className="status-indicator">
                             SCALE: {scale} NM
@@ -14182,7 +14929,7 @@ function AICSimulator() {
                         <div className="radio-status">
                             {isTransmitting ? '● TX' : '○ RX'}
                         </div>
-                        <div className="radio-hint">Hold SPACE to transmit</div>
+                        <div className="radio-hint">{timeCompression === 1 ? 'Hold SPACE to transmit' : `Voice disabled at ${timeCompression}x`}</div>
                     </div>
                 )}
 
@@ -14336,7 +15083,12 @@ function AICSimulator() {
                     </div>
                 )}
 
-                {/* SVG Radar */}
+                {/* Canvas layers (under the SVG): static map, radar/IFF returns, sweep */}
+                <canvas ref={mapCanvasRef} className="radar-canvas" />
+                <canvas ref={returnsCanvasRef} className="radar-canvas" />
+                <canvas ref={sweepCanvasRef} className="radar-canvas" />
+
+                {/* SVG Radar - interactive symbols only */}
                 <svg
                     ref={svgRef}
                     className="radar-svg"
@@ -14350,24 +15102,17 @@ function AICSimulator() {
                 >
                     {svgRef.current && (
                         <>
-                            {memoizedGrid}
-                            {memoizedCoastline}
-                            {memoizedIslands}
-                            {memoizedCities}
-                            {memoizedCompass}
                             {renderBullseye(svgWidth, svgHeight)}
                             {renderTempMark(svgWidth, svgHeight)}
-                            {renderRadarSweep(svgWidth, svgHeight)}
-                            {renderRadarReturns(svgWidth, svgHeight)}
-                            {renderIFFReturns(svgWidth, svgHeight)}
                             {renderSonobuoys(svgWidth, svgHeight)}
                             {renderSonobuoyDetections(svgWidth, svgHeight)}
                             {renderWeapons(svgWidth, svgHeight)}
                             {shapes.map(shape => renderShape(shape, svgWidth, svgHeight))}
-                            {/* Render line segment being created */}
-                            {creatingShape && creatingShape.type === 'lineSegment' && creatingShape.points.length > 0 && (() => {
+                            {/* Render line segment or polygon being created */}
+                            {creatingShape && creatingShape.points.length > 0 && (() => {
                                 const points = creatingShape.points.map(p => latLonToScreen(p.lat, p.lon, mapCenter.lat, mapCenter.lon, scale, svgWidth, svgHeight));
-                                const pathData = points.map((p, i) => `${i === 0 ? 'M' : 'L'} ${p.x} ${p.y}`).join(' ');
+                                const pathData = points.map((p, i) => `${i === 0 ? 'M' : 'L'} ${p.x} ${p.y}`).join(' ') +
+                                    (creatingShape.type === 'polygon' && points.length > 2 ? ' Z' : '');
                                 return (
                                     <g key="creating-line">
                                         <path d={pathData} fill="none" stroke="#FFFF00" strokeWidth="2" strokeDasharray="5,5" opacity="0.8" />
@@ -14377,6 +15122,7 @@ function AICSimulator() {
                                     </g>
                                 );
                             })()}
+                            {geoPoints.filter(SamSites.isSamSite).map(gp => renderSamEnvelope(gp, svgWidth, svgHeight))}
                             {geoPoints.map(gp => renderGeoPoint(gp, svgWidth, svgHeight))}
                             {/* Conditional rendering: Student tracks + ownship in student mode, all assets in instructor mode */}
                             {simulatorMode === 'student' ? (
@@ -14391,63 +15137,80 @@ function AICSimulator() {
                             )}
                             {renderEsmLines(svgWidth, svgHeight)}
                             {renderManualBearingLines(svgWidth, svgHeight)}
+                            {/* Rubber-band selection box (shift-drag) */}
+                            {rubberBand && (
+                                <rect
+                                    x={Math.min(rubberBand.x0, rubberBand.x1)}
+                                    y={Math.min(rubberBand.y0, rubberBand.y1)}
+                                    width={Math.abs(rubberBand.x1 - rubberBand.x0)}
+                                    height={Math.abs(rubberBand.y1 - rubberBand.y0)}
+                                    fill="rgba(0, 255, 0, 0.08)"
+                                    stroke="#00FF00"
+                                    strokeWidth="1"
+                                    strokeDasharray="4,3"
+                                    pointerEvents="none"
+                                />
+                            )}
                         </>
                     )}
                 </svg>
 
-                {/* Line Segment Creation Controls */}
-                {creatingShape && creatingShape.type === 'lineSegment' && (
-                    <div style={{
-                        position: 'absolute',
-                        top: '50%',
-                        left: '50%',
-                        transform: 'translate(-50%, -50%)',
-                        background: 'linear-gradient(135deg, rgba(0, 0, 0, 0.95), rgba(0, 20, 0, 0.9))',
-                        border: '2px solid #00FF00',
-                        borderRadius: '8px',
-                        padding: '20px',
-                        boxShadow: '0 0 40px rgba(0, 255, 0, 0.5), inset 0 0 20px rgba(0, 255, 0, 0.1)',
-                        zIndex: 1000,
-                        minWidth: '300px',
-                        textAlign: 'center'
-                    }}>
-                        <div style={{
-                            color: '#00FF00',
-                            fontSize: '16px',
-                            fontWeight: 'bold',
-                            marginBottom: '15px',
-                            textShadow: '0 0 10px rgba(0, 255, 0, 0.7)'
-                        }}>
-                            CREATING LINE SEGMENT
-                        </div>
+                {/* Line Segment / Polygon Creation Controls */}
+                {creatingShape && (() => {
+                    const minPoints = creatingShape.type === 'polygon' ? 3 : 2;
+                    return (
                         <div style={{
-                            color: '#00FF00',
-                            fontSize: '12px',
-                            marginBottom: '20px',
-                            opacity: 0.8
+                            position: 'absolute',
+                            top: '50%',
+                            left: '50%',
+                            transform: 'translate(-50%, -50%)',
+                            background: 'linear-gradient(135deg, rgba(0, 0, 0, 0.95), rgba(0, 20, 0, 0.9))',
+                            border: '2px solid #00FF00',
+                            borderRadius: '8px',
+                            padding: '20px',
+                            boxShadow: '0 0 40px rgba(0, 255, 0, 0.5), inset 0 0 20px rgba(0, 255, 0, 0.1)',
+                            zIndex: 1000,
+                            minWidth: '300px',
+                            textAlign: 'center'
                         }}>
-                            Points: {creatingShape.points.length}
-                            <br />
-                            Click map to add points
-                        </div>
-                        <div style={{ display: 'flex', gap: '10px', justifyContent: 'center' }}>
-                            <button
-                                className="control-btn primary"
-                                onClick={finishLineSegment}
-                                disabled={creatingShape.points.length < 2}
-                                style={{ opacity: creatingShape.points.length < 2 ? 0.5 : 1 }}
-                            >
-                                APPLY
-                            </button>
-                            <button
-                                className="control-btn danger"
-                                onClick={cancelShapeCreation}
-                            >
-                                CANCEL
-                            </button>
+                            <div style={{
+                                color: '#00FF00',
+                                fontSize: '16px',
+                                fontWeight: 'bold',
+                                marginBottom: '15px',
+                                textShadow: '0 0 10px rgba(0, 255, 0, 0.7)'
+                            }}>
+                                CREATING {creatingShape.type === 'polygon' ? 'POLYGON' : 'LINE SEGMENT'}
+                            </div>
+                            <div style={{
+                                color: '#00FF00',
+                                fontSize: '12px',
+                                marginBottom: '20px',
+                                opacity: 0.8
+                            }}>
+                                Points: {creatingShape.points.length}
+                                <br />
+                                Click map to add points
+                            </div>
+                            <div style={{ display: 'flex', gap: '10px', justifyContent: 'center' }}>
+                                <button
+                                    className="control-btn primary"
+                                    onClick={finishPointShape}
+                                    disabled={creatingShape.points.length < minPoints}
+                                    style={{ opacity: creatingShape.points.length < minPoints ? 0.5 : 1 }}
+                                >
+                                    APPLY
+                                </button>
+                                <button
+                                    className="control-btn danger"
+                                    onClick={cancelShapeCreation}
+                                >
+                                    CANCEL
+                                </button>
+                            </div>
                         </div>
-                    </div>
-                )}
+                    );
+                })()}
 
                 {/* Cursor Position Display */}
                 {cursorPos && (
@@ -14516,10 +15279,22 @@ function AICSimulator() {
             <ControlPanel
                 isRunning={isRunning}
                 setIsRunning={setIsRunning}
+                togglePlayback={togglePlayback}
+                timeCompression={timeCompression}
+                changeTimeCompression={changeTimeCompression}
+                stepDuration={stepDuration}
+                setStepDuration={setStepDuration}
+                stepSimulation={stepSimulation}
                 assets={assets}
                 selectedAsset={selectedAsset}
                 setSelectedAssetId={setSelectedAssetId}
                 updateAsset={updateAsset}
+                groupAssets={groupAssets}
+                setGroupAssetIds={setGroupAssetIds}
+                updateAssets={updateAssets}
+                deleteAssets={deleteAssets}
+                copyBehaviorsToAssets={copyBehaviorsToAssets}
+                setGroupTarget={setGroupTarget}
                 deleteAsset={deleteAsset}
                 reportTrack={reportTrack}
                 setShowAddAssetDialog={setShowAddAssetDialog}
@@ -14533,7 +15308,7 @@ function AICSimulator() {
                 bullseyeName={bullseyeName}
                 setBullseyeName={setBullseyeName}
                 bullseyePosition={bullseyePosition}
-                setBullseyePosition={setBullseyePosition}
+                moveBullseye={moveBullseye}
                 bullseyeLatInput={bullseyeLatInput}
                 setBullseyeLatInput={setBullseyeLatInput}
                 bullseyeLonInput={bullseyeLonInput}
@@ -14601,6 +15376,8 @@ function AICSimulator() {
                 setNextDatalinkTrackNumber={setNextDatalinkTrackNumber}
                 selectedAssetTab={selectedAssetTab}
                 setSelectedAssetTab={setSelectedAssetTab}
+                timelineBehaviorId={timelineBehaviorId}
+                setTimelineBehaviorId={setTimelineBehaviorId}
                 selectedSystemTab={selectedSystemTab}
                 setSelectedSystemTab={setSelectedSystemTab}
                 eoirEnabled={eoirEnabled}
@@ -15149,7 +15926,7 @@ function AICSimulator() {
             {showSaveDialog && (
                 <SaveDialog
                     onClose={() => setShowSaveDialog(false)}
-                    saveToLocalStorage={saveToLocalStorage}
+                    saveToAppStorage={saveToAppStorage}
                     saveToFile={saveToFile}
                 />
             )}
@@ -15158,10 +15935,15 @@ function AICSimulator() {
             {showLoadDialog && (
                 <LoadDialog
                     onClose={() => setShowLoadDialog(false)}
-                    loadFromLocalStorage={loadFromLocalStorage}
+                    loadFromAppStorage={loadFromAppStorage}
                     loadFromFile={loadFromFile}
+                    loadFromLibrary={loadFromLibrary}
+                    loadGeneratedPicture={loadGeneratedPicture}
                     getSavedScenarios={getSavedScenarios}
-                    deleteFromLocalStorage={deleteFromLocalStorage}
+                    deleteFromAppStorage={deleteFromAppStorage}
+                    platforms={platforms}
+                    bullseyePosition={bullseyePosition}
+                    bullseyeName={bullseyeName}
                 />
             )}
 
@@ -15197,6 +15979,18 @@ function AICSimulator() {
                         setShowPauseMenu(false);
                         setShowMissionProductsDialog(true);
                     }}
+                    onMaritimeTraffic={simulatorMode === 'instructor' ? () => {
+                        setShowPauseMenu(false);
+                        setShowTrafficDialog(true);
+                    } : null}
+                    onBehaviorTimeline={simulatorMode === 'instructor' ? () => {
+                        setShowPauseMenu(false);
+                        setShowTimelineDialog(true);
+                    } : null}
+                    onGisExchange={() => {
+                        setShowPauseMenu(false);
+                        setShowGisDialog(true);
+                    }}
                     onDebrief={() => {
                         setShowPauseMenu(false);
                         setShowDebriefDialog(true);
@@ -15226,6 +16020,12 @@ function AICSimulator() {
                     skateFlowEnabled={skateFlowEnabled}
                     setSkateFlowEnabled={setSkateFlowEnabled}
                     interceptPhase={interceptState.phase}
+                    scenarioSeed={scenarioSeed}
+                    onSeedChange={applyScenarioSeed}
+                    theater={theater}
+                    onTheaterChange={changeTheater}
+                    onTheaterImport={importTheaterFile}
+                    canChangeTheater={simulatorMode === 'instructor'}
                     onClose={() => setShowScenarioSettings(false)}
                 />
             )}
@@ -15243,6 +16043,10 @@ function AICSimulator() {
             {showDebriefDialog && (
                 <DebriefDialog
                     debriefData={debriefData}
+                    airspaceViolations={airspaceViolations}
+                    samLaunches={samLaunches}
+                    vampireReports={vampireReports}
+                    missionTime={missionTime}
                     onClose={() => setShowDebriefDialog(false)}
                 />
             )}
@@ -15275,6 +16079,46 @@ function AICSimulator() {
                 />
             )}
 
+            {showTrafficDialog && (
+                <MaritimeTrafficDialog
+                    hasGeneratedTraffic={assets.some(a => a.generatedTraffic)}
+                    onGenerate={addGeneratedTraffic}
+                    onClose={() => setShowTrafficDialog(false)}
+                />
+            )}
+
+            {showTimelineDialog && (
+                <BehaviorTimelineDialog
+                    assets={assets}
+                    missionTime={missionTime}
+                    onSelectBehavior={(assetId, behaviorId) => {
+                        setGroupAssetIds([]);
+                        setSelectedAssetId(assetId);
+                        setSelectedTrackId(null);
+                        setBullseyeSelected(false);
+                        setSelectedGeoPointId(null);
+                        setSelectedShapeId(null);
+                        setRadarControlsSelected(false);
+                        setEsmControlsSelected(false);
+                        setSelectedAssetTab('behaviors');
+                        setTimelineBehaviorId(behaviorId);
+                        centerMapOnAsset(assetId);
+                        setShowTimelineDialog(false);
+                    }}
+                    onClose={() => setShowTimelineDialog(false)}
+                />
+            )}
+
+            {showGisDialog && (
+                <GisExchangeDialog
+                    defaultName={currentScenarioName || `Scenario-${new Date().toISOString().split('T')[0]}`}
+                    isInstructor={simulatorMode === 'instructor'}
+                    onExport={exportGeometry}
+                    onImport={importGeometryFile}
+                    onClose={() => setShowGisDialog(false)}
+                />
+            )}
+
             {/* Platform Selection Dialog */}
             {showPlatformDialog && (
                 <PlatformSelectionDialog
@@ -15293,24 +16137,48 @@ function AICSimulator() {
                 />
             )}
 
-            {/* Range Warning Popup */}
-            {showRangeWarning && (
+            {/* Range Warning Popup */}
+            {showRangeWarning && (
+                <div style={{
+                    position: 'fixed',
+                    top: '50%',
+                    left: '50%',
+                    transform: 'translate(-50%, -50%)',
+                    padding: '20px 40px',
+                    background: 'rgba(255, 0, 0, 0.9)',
+                    color: '#FFFFFF',
+                    fontSize: '18px',
+                    fontWeight: 'bold',
+                    borderRadius: '10px',
+                    border: '3px solid #FF0000',
+                    boxShadow: '0 0 20px rgba(255, 0, 0, 0.8)',
+                    zIndex: 10000
+                }}>
+                    OUTSIDE MAX RANGE
+                </div>
+            )}
+
+            {/* Vampire prompt - inbound missile detected and not yet called */}
+            {vampireReports.some(v => v.callTime === null && !v.result && weapons.some(w => w.id === v.weaponId)) && (
                 <div style={{
                     position: 'fixed',
-                    top: '50%',
+                    top: '15%',
                     left: '50%',
-                    transform: 'translate(-50%, -50%)',
-                    padding: '20px 40px',
+                    transform: 'translateX(-50%)',
+                    padding: '12px 32px',
                     background: 'rgba(255, 0, 0, 0.9)',
                     color: '#FFFFFF',
                     fontSize: '18px',
                     fontWeight: 'bold',
+                    textAlign: 'center',
                     borderRadius: '10px',
                     border: '3px solid #FF0000',
                     boxShadow: '0 0 20px rgba(255, 0, 0, 0.8)',
+                    pointerEvents: 'none',
                     zIndex: 10000
                 }}>
-                    OUTSIDE MAX RANGE
+                    VAMPIRE
+                    <div style={{ fontSize: '11px', marginTop: '4px' }}>MISSILE INBOUND - MAKE THE VAMPIRE CALL</div>
                 </div>
             )}
         </div>
@@ -15322,11 +16190,14 @@ function AICSimulator() {
 // ============================================================================
 
 function ControlPanel({
-    isRunning, setIsRunning, assets, selectedAsset, setSelectedAssetId,
+    isRunning, setIsRunning, togglePlayback,
+    timeCompression, changeTimeCompression, stepDuration, setStepDuration, stepSimulation,
+    assets, selectedAsset, setSelectedAssetId,
     updateAsset, deleteAsset, reportTrack, setShowAddAssetDialog,
+    groupAssets, setGroupAssetIds, updateAssets, deleteAssets, copyBehaviorsToAssets, setGroupTarget,
     setShowSaveDialog, setShowLoadDialog, setShowPauseMenu, centerMapOnAsset,
     restartSimulation, hasStarted, bullseyeSelected, bullseyeName, setBullseyeName,
-    bullseyePosition, setBullseyePosition, bullseyeLatInput, setBullseyeLatInput,
+    bullseyePosition, moveBullseye, bullseyeLatInput, setBullseyeLatInput,
     bullseyeLonInput, setBullseyeLonInput,
     radarControlsSelected, setRadarControlsSelected,
     radarEnabled, setRadarEnabled, radarSweepOpacity, setRadarSweepOpacity,
@@ -15353,6 +16224,7 @@ function ControlPanel({
     datalinkTrackBlockEnd, setDatalinkTrackBlockEnd,
     nextDatalinkTrackNumber, setNextDatalinkTrackNumber,
     selectedAssetTab, setSelectedAssetTab,
+    timelineBehaviorId, setTimelineBehaviorId,
     selectedSystemTab, setSelectedSystemTab,
     eoirEnabled, setEoirEnabled,
     eoirSelectedAssetId, setEoirSelectedAssetId,
@@ -15389,6 +16261,7 @@ function ControlPanel({
     ownshipSideNumber, setOwnshipSideNumber
 }) {
     const [editValues, setEditValues] = useState({});
+    const [groupEditValues, setGroupEditValues] = useState({}); // Heading/speed/altitude typed into the GROUP section
     const [geoPointEditValues, setGeoPointEditValues] = useState({});
     const [shapePointEditValues, setShapePointEditValues] = useState({}); // Track editing values for shape points
     const [activelyEditingFields, setActivelyEditingFields] = useState({}); // Track which fields user is currently editing
@@ -15509,14 +16382,14 @@ function ControlPanel({
         if (selectedShape) {
             const initialValues = {};
 
-            if (selectedShape.type === 'lineSegment') {
-                // Initialize edit values for all line segment points
+            if (ShapeGeometry.POINT_SHAPES.includes(selectedShape.type)) {
+                // Initialize edit values for all line segment / polygon points
                 selectedShape.points.forEach((point, index) => {
                     initialValues[`${index}_lat`] = decimalToDMM(point.lat, true);
                     initialValues[`${index}_lon`] = decimalToDMM(point.lon, false);
                 });
-            } else if (selectedShape.type === 'circle') {
-                // Initialize edit values for circle center
+            } else {
+                // Initialize edit values for the center of a circle, rectangle, ellipse or sector
                 initialValues.centerLat = decimalToDMM(selectedShape.centerLat, true);
                 initialValues.centerLon = decimalToDMM(selectedShape.centerLon, false);
             }
@@ -15596,6 +16469,17 @@ function ControlPanel({
         }
     };
 
+    // GROUP section SET buttons - same value applied to every member
+    const applyGroupTarget = (field) => {
+        const value = parseFloat(groupEditValues[field]);
+        if (isNaN(value)) {
+            alert(`Invalid ${field} value`);
+            return;
+        }
+        setGroupTarget(groupAssets.map(a => a.id), field, value);
+        setGroupEditValues(prev => ({ ...prev, [field]: undefined }));
+    };
+
     const applyAssetCoordinate = (field) => {
         const isLatitude = field === 'lat';
         const value = dmmToDecimal(editValues[field]);
@@ -15637,7 +16521,7 @@ function ControlPanel({
 
         // Get the selected shape
         const selectedShape = shapes.find(s => s.id === selectedShapeId);
-        if (!selectedShape || selectedShape.type !== 'lineSegment') return;
+        if (!selectedShape || !ShapeGeometry.POINT_SHAPES.includes(selectedShape.type)) return;
 
         // Update the specific point's coordinate
         const newPoints = [...selectedShape.points];
@@ -15645,7 +16529,7 @@ function ControlPanel({
         updateShape(selectedShapeId, { points: newPoints });
     };
 
-    const applyCircleCoordinate = (field) => {
+    const applyCenterCoordinate = (field) => {
         const isLatitude = field === 'centerLat';
         const value = dmmToDecimal(shapePointEditValues[field]);
 
@@ -15657,9 +16541,9 @@ function ControlPanel({
 
         // Get the selected shape
         const selectedShape = shapes.find(s => s.id === selectedShapeId);
-        if (!selectedShape || selectedShape.type !== 'circle') return;
+        if (!selectedShape || ShapeGeometry.POINT_SHAPES.includes(selectedShape.type)) return;
 
-        // Update the circle's center coordinate
+        // Update the shape's center coordinate
         const updateField = field === 'centerLat' ? 'centerLat' : 'centerLon';
         updateShape(selectedShapeId, { [updateField]: value });
     };
@@ -15702,13 +16586,48 @@ function ControlPanel({
             <div className="control-section">
                 <div className="section-header">PLAYBACK</div>
                 <div className="playback-controls">
-                    <button className="control-btn primary" onClick={() => setIsRunning(!isRunning)}>
+                    <button className="control-btn primary" onClick={togglePlayback}>
                         {isRunning ? 'PAUSE' : 'PLAY'}
                     </button>
                     <button className="control-btn" onClick={restartSimulation}>
                         RESTART
                     </button>
                 </div>
+                {/* Time compression */}
+                <div className="playback-controls" style={{ marginTop: '8px' }}>
+                    {TIME_COMPRESSION_RATES.map(rate => (
+                        <button
+                            key={rate}
+                            className={`control-btn ${timeCompression === rate ? 'primary' : ''}`}
+                            onClick={() => changeTimeCompression(rate)}
+                            style={{ padding: '8px 0' }}
+                        >
+                            {rate}x
+                        </button>
+                    ))}
+                </div>
+                {/* Single-step while paused */}
+                <div className="playback-controls" style={{ marginTop: '8px' }}>
+                    <select
+                        className="input-field"
+                        style={{ flex: 1 }}
+                        value={stepDuration}
+                        onChange={(e) => setStepDuration(parseInt(e.target.value, 10))}
+                        disabled={isRunning}
+                    >
+                        {STEP_DURATIONS.map(seconds => (
+                            <option key={seconds} value={seconds}>{seconds}s</option>
+                        ))}
+                    </select>
+                    <button
+                        className="control-btn"
+                        onClick={() => stepSimulation(stepDuration)}
+                        disabled={isRunning}
+                        style={{ opacity: isRunning ? 0.5 : 1 }}
+                    >
+                        STEP
+                    </button>
+                </div>
             </div>
 
             {/* File Management - Only show before simulation has started */}
@@ -17278,7 +18197,7 @@ function ControlPanel({
                                 if (e.key === 'Enter') {
                                     const lat = dmmToDecimal(bullseyeLatInput);
                                     if (lat !== null && lat >= -90 && lat <= 90) {
-                                        setBullseyePosition({ ...bullseyePosition, lat });
+                                        moveBullseye({ ...bullseyePosition, lat });
                                     } else {
                                         alert('Invalid latitude. Format: N26 30.0 or S26 30.0');
                                         setBullseyeLatInput(decimalToDMM(bullseyePosition.lat, true));
@@ -17299,7 +18218,7 @@ function ControlPanel({
                                 if (e.key === 'Enter') {
                                     const lon = dmmToDecimal(bullseyeLonInput);
                                     if (lon !== null && lon >= -180 && lon <= 180) {
-                                        setBullseyePosition({ ...bullseyePosition, lon });
+                                        moveBullseye({ ...bullseyePosition, lon });
                                     } else {
                                         alert('Invalid longitude. Format: E054 00.0 or W054 00.0');
                                         setBullseyeLonInput(decimalToDMM(bullseyePosition.lon, false));
@@ -17364,6 +18283,227 @@ function ControlPanel({
                             </select>
                         </div>
 
+                        {selectedGeoPoint.type === 'samSite' && simulatorMode === 'instructor' && (() => {
+                            // Live SAM site (engagement envelope, fire-control radar, magazine)
+                            const sam = selectedGeoPoint.sam;
+                            const updateSam = (changes) => updateGeoPoint(selectedGeoPoint.id, { sam: { ...sam, ...changes } });
+                            const samSystems = SamSites.samPlatforms(platforms.land, weaponConfigs || {});
+                            const samWeapons = Object.keys(weaponConfigs || {}).filter(name => weaponConfigs[name].type === 'SAM');
+                            const numberField = (key, label, step) => (
+                                <div className="input-group">
+                                    <label className="input-label">{label}</label>
+                                    <input
+                                        className="input-field"
+                                        type="number"
+                                        min="0"
+                                        step={step}
+                                        value={sam[key]}
+                                        onChange={(e) => {
+                                            const value = parseFloat(e.target.value);
+                                            if (!isNaN(value) && value >= 0) updateSam({ [key]: value });
+                                        }}
+                                    />
+                                </div>
+                            );
+                            return (
+                                <>
+                                    <div className="input-group">
+                                        <label className="input-label">SAM System</label>
+                                        <select
+                                            className="input-field"
+                                            value={sam ? sam.system : ''}
+                                            onChange={(e) => {
+                                                // A new system starts from its platform's weapon, magazine and radar
+                                                const platform = samSystems.find(p => p.name === e.target.value);
+                                                updateGeoPoint(selectedGeoPoint.id, {
+                                                    sam: platform ? SamSites.createSamSite(platform, weaponConfigs || {}) : null
+                                                });
+                                            }}
+                                        >
+                                            <option value="">None (marker only)</option>
+                                            {samSystems.map(platform => (
+                                                <option key={platform.name} value={platform.name}>{platform.name}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                    {sam && (
+                                        <>
+                                            <div className="input-group">
+                                                <label className="input-label">Missile</label>
+                                                <select
+                                                    className="input-field"
+                                                    value={sam.weaponName || ''}
+                                                    onChange={(e) => updateSam({
+                                                        weaponName: e.target.value,
+                                                        maxRange: weaponConfigs[e.target.value].maxRange
+                                                    })}
+                                                >
+                                                    {samWeapons.map(name => (
+                                                        <option key={name} value={name}>{name} ({weaponConfigs[name].maxRange} NM)</option>
+                                                    ))}
+                                                </select>
+                                            </div>
+                                            <div className="generator-grid">
+                                                {numberField('minRange', 'Min Range (NM)', 1)}
+                                                {numberField('maxRange', 'Max Range (NM)', 1)}
+                                                {numberField('minAltitude', 'Min Alt (ft)', 500)}
+                                                {numberField('maxAltitude', 'Max Alt (ft)', 500)}
+                                                {numberField('missiles', 'Missiles', 1)}
+                                            </div>
+                                            <div className="input-group">
+                                                <label className="input-label">Fire-Control Radar</label>
+                                                <input
+                                                    className="input-field"
+                                                    type="text"
+                                                    value={sam.emitter || ''}
+                                                    onChange={(e) => updateSam({ emitter: e.target.value.toUpperCase() || null })}
+                                                    placeholder="FAN SONG"
+                                                />
+                                            </div>
+                                            <div className="input-group">
+                                                <label className="input-label" style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={sam.emitterActive}
+                                                        onChange={(e) => updateSam({ emitterActive: e.target.checked })}
+                                                        style={{ width: 'auto', margin: 0 }}
+                                                    />
+                                                    <span>RADAR ON (detectable by ESM, required to launch)</span>
+                                                </label>
+                                            </div>
+                                        </>
+                                    )}
+                                </>
+                            );
+                        })()}
+
+                        {selectedGeoPoint.type === 'airfield' && simulatorMode === 'instructor' && (() => {
+                            // Sortie roster (launch schedule / scramble triggers, edited in place)
+                            const roster = selectedGeoPoint.airfield ? selectedGeoPoint.airfield.roster : [];
+                            const airPlatforms = platforms.air || [];
+                            const stations = geoPoints.filter(gp => gp.type === 'capStation');
+                            const updateRoster = (nextRoster, nextSortieId) => updateGeoPoint(selectedGeoPoint.id, {
+                                airfield: {
+                                    roster: nextRoster,
+                                    nextSortieId: nextSortieId || (selectedGeoPoint.airfield ? selectedGeoPoint.airfield.nextSortieId : 1)
+                                }
+                            });
+                            const updateSortie = (id, changes) => updateRoster(roster.map(s => s.id === id ? { ...s, ...changes } : s));
+                            const sortieSelectStyle = { fontSize: '10px', padding: '3px' };
+                            const numberInput = (sortie, key, title, min, toValue = (v) => v) => (
+                                <input
+                                    type="number"
+                                    min={min}
+                                    className="input-field"
+                                    style={sortieSelectStyle}
+                                    value={key === 'time' ? sortie.time / 60 : sortie[key]}
+                                    onChange={(e) => {
+                                        const value = parseFloat(e.target.value);
+                                        if (!isNaN(value) && value >= min) updateSortie(sortie.id, { [key]: toValue(value) });
+                                    }}
+                                    title={title}
+                                />
+                            );
+                            return (
+                                <div className="input-group">
+                                    <label className="input-label">Sortie Roster</label>
+                                    <div style={{ border: '1px solid rgba(0, 255, 0, 0.3)', borderRadius: '3px', padding: '8px' }}>
+                                        {roster.length === 0 && (
+                                            <div style={{ fontSize: '10px', color: '#888', fontStyle: 'italic' }}>No sorties - the airfield is a map marker</div>
+                                        )}
+                                        {roster.map(sortie => (
+                                            <div key={sortie.id} style={{ marginBottom: '8px', padding: '6px', borderBottom: '1px solid rgba(0, 255, 0, 0.2)', backgroundColor: 'rgba(0, 20, 0, 0.3)', borderRadius: '3px' }}>
+                                                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '4px' }}>
+                                                    <span style={{ fontSize: '10px', color: '#00FF00', fontWeight: 'bold' }}>
+                                                        {sortie.count} × {sortie.name || sortie.platform || 'No platform'}
+                                                        {sortie.launched ? ` - launched${sortie.recovered ? `, ${sortie.recovered} recovered` : ''}` : ''}
+                                                    </span>
+                                                    <button
+                                                        onClick={() => updateRoster(roster.filter(s => s.id !== sortie.id))}
+                                                        style={{ background: 'none', border: 'none', color: '#FF6600', cursor: 'pointer', fontSize: '12px' }}
+                                                        title="Remove sortie"
+                                                    >
+                                                        ✕
+                                                    </button>
+                                                </div>
+                                                <div className="generator-grid">
+                                                    <select
+                                                        className="input-field"
+                                                        style={sortieSelectStyle}
+                                                        value={sortie.platform || ''}
+                                                        onChange={(e) => updateSortie(sortie.id, { platform: e.target.value })}
+                                                        title="Platform"
+                                                    >
+                                                        {airPlatforms.map(platform => (
+                                                            <option key={platform.name} value={platform.name}>{platform.name}</option>
+                                                        ))}
+                                                    </select>
+                                                    <input
+                                                        type="text"
+                                                        className="input-field"
+                                                        style={sortieSelectStyle}
+                                                        value={sortie.name}
+                                                        onChange={(e) => updateSortie(sortie.id, { name: e.target.value.toUpperCase() })}
+                                                        placeholder="Callsign"
+                                                    />
+                                                    {numberInput(sortie, 'count', 'Aircraft', 1, v => Math.round(v))}
+                                                    <select
+                                                        className="input-field"
+                                                        style={sortieSelectStyle}
+                                                        value={sortie.trigger}
+                                                        onChange={(e) => updateSortie(sortie.id, { trigger: e.target.value })}
+                                                        title="Launch trigger"
+                                                    >
+                                                        {Object.entries(Airfields.SORTIE_TRIGGERS).map(([key, label]) => (
+                                                            <option key={key} value={key}>{label}</option>
+                                                        ))}
+                                                    </select>
+                                                    {sortie.trigger === 'time'
+                                                        ? numberInput(sortie, 'time', 'Launch at mission time (min)', 0, v => Math.round(v * 60))
+                                                        : numberInput(sortie, 'range', 'Scramble when an opposing aircraft is within (NM)', 1)}
+                                                    {numberInput(sortie, 'heading', 'Runway heading', 0, v => v % 360)}
+                                                    {numberInput(sortie, 'altitude', 'Cruise altitude (ft)', 1000)}
+                                                    {numberInput(sortie, 'speed', 'Cruise speed (kts)', 150)}
+                                                    {numberInput(sortie, 'endurance', 'Endurance before bingo (min)', 1)}
+                                                    <select
+                                                        className="input-field"
+                                                        style={sortieSelectStyle}
+                                                        value={sortie.stationId === null ? '' : sortie.stationId}
+                                                        onChange={(e) => updateSortie(sortie.id, { stationId: e.target.value === '' ? null : parseInt(e.target.value, 10) })}
+                                                        title="CAP station to orbit after departure"
+                                                    >
+                                                        <option value="">No station</option>
+                                                        {stations.map(gp => (
+                                                            <option key={gp.id} value={gp.id}>{gp.name || `CAP ${gp.id}`}</option>
+                                                        ))}
+                                                    </select>
+                                                </div>
+                                                <label className="input-label" style={{ display: 'flex', alignItems: 'center', gap: '10px', marginTop: '4px' }}>
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={sortie.tactics}
+                                                        onChange={(e) => updateSortie(sortie.id, { tactics: e.target.checked })}
+                                                        style={{ width: 'auto', margin: 0 }}
+                                                    />
+                                                    <span>TACTICS AI (hostile fields)</span>
+                                                </label>
+                                            </div>
+                                        ))}
+                                    </div>
+                                    <button
+                                        className="control-btn full-width"
+                                        onClick={() => {
+                                            const id = selectedGeoPoint.airfield ? selectedGeoPoint.airfield.nextSortieId : 1;
+                                            updateRoster([...roster, Airfields.createSortie(id, airPlatforms[0] ? airPlatforms[0].name : null)], id + 1);
+                                        }}
+                                        style={{ marginTop: '5px' }}
+                                    >
+                                        + ADD SORTIE
+                                    </button>
+                                </div>
+                            );
+                        })()}
+
                         {selectedGeoPoint.trackNumber && (
                             <div className="input-group">
                                 <label className="input-label">Track Number</label>
@@ -17432,6 +18572,58 @@ function ControlPanel({
                 const selectedShape = shapes.find(s => s.id === selectedShapeId);
                 if (!selectedShape) return null;
 
+                // Size and bearing parameters of rectangles, ellipses and sectors
+                const numberField = (key, label, { min = 0, isBearing = false } = {}) => (
+                    <div className="input-group" key={key}>
+                        <label className="input-label">{label}</label>
+                        <input
+                            type="number"
+                            step="1"
+                            min={min}
+                            className="input-field"
+                            value={selectedShape[key]}
+                            onChange={(e) => {
+                                const value = parseFloat(e.target.value);
+                                if (!isNaN(value) && value >= min) {
+                                    updateShape(selectedShape.id, { [key]: isBearing ? ((value % 360) + 360) % 360 : value });
+                                }
+                            }}
+                        />
+                    </div>
+                );
+
+                // Altitude block bounds in feet; blank means surface / unlimited
+                const altitudeField = (key, label, placeholder) => (
+                    <div className="input-group">
+                        <label className="input-label">{label}</label>
+                        <input
+                            type="number"
+                            step="500"
+                            min="0"
+                            className="input-field"
+                            value={selectedShape[key] == null ? '' : selectedShape[key]}
+                            onChange={(e) => {
+                                const value = e.target.value === '' ? null : parseInt(e.target.value, 10);
+                                if (value === null || (!isNaN(value) && value >= 0)) {
+                                    updateShape(selectedShape.id, { [key]: value });
+                                }
+                            }}
+                            placeholder={placeholder}
+                        />
+                    </div>
+                );
+
+                // Airspace control measure rules (edited in place, one undo step per field)
+                const acm = selectedShape.acm;
+                const updateRules = (rules) => updateShape(selectedShape.id, { acm: { ...acm, rules } });
+                const updateRule = (index, changes) => updateRules(acm.rules.map((rule, i) => {
+                    if (i !== index) return rule;
+                    const next = { ...rule, ...changes };
+                    if (AirspaceControl.RULE_TYPES[next.type]?.usesAltitude && next.altitude == null) next.altitude = 20000;
+                    return next;
+                }));
+                const ruleSelectStyle = { fontSize: '10px', padding: '4px' };
+
                 return (
                     <div className="control-section">
                         <div className="section-header">SHAPE</div>
@@ -17458,18 +18650,126 @@ function ControlPanel({
                             </select>
                         </div>
 
-                        {selectedShape.type === 'circle' && (
-                            <>
-                                <div className="input-group">
-                                    <label className="input-label">Label</label>
-                                    <input
-                                        type="text"
-                                        className="input-field"
-                                        value={selectedShape.label || ''}
-                                        onChange={(e) => updateShape(selectedShape.id, { label: e.target.value })}
-                                        placeholder="Enter label..."
-                                    />
+                        {selectedShape.type !== 'lineSegment' && (
+                            <div className="input-group">
+                                <label className="input-label">Label</label>
+                                <input
+                                    type="text"
+                                    className="input-field"
+                                    value={selectedShape.label || ''}
+                                    onChange={(e) => updateShape(selectedShape.id, { label: e.target.value })}
+                                    placeholder="Enter label..."
+                                />
+                            </div>
+                        )}
+
+                        {ShapeGeometry.AREA_SHAPES.includes(selectedShape.type) && (
+                            <div className="generator-grid">
+                                {altitudeField('minAltitude', 'Floor (ft)', 'SFC')}
+                                {altitudeField('maxAltitude', 'Ceiling (ft)', 'UNL')}
+                            </div>
+                        )}
+
+                        {ShapeGeometry.AREA_SHAPES.includes(selectedShape.type) && (
+                            <div className="input-group">
+                                <label className="input-label">Airspace Control Measure</label>
+                                <select
+                                    className="input-field"
+                                    value={acm ? acm.type : ''}
+                                    onChange={(e) => updateShape(selectedShape.id, {
+                                        // A new type starts from that type's default rules
+                                        acm: e.target.value ? AirspaceControl.createControlMeasure(e.target.value) : null
+                                    })}
+                                >
+                                    <option value="">None</option>
+                                    {Object.entries(AirspaceControl.ACM_TYPES).map(([key, config]) => (
+                                        <option key={key} value={key}>{config.label} - {config.name}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+
+                        {acm && ShapeGeometry.AREA_SHAPES.includes(selectedShape.type) && (
+                            <div className="input-group">
+                                <label className="input-label">Rules</label>
+                                <div style={{ border: '1px solid rgba(0, 255, 0, 0.3)', borderRadius: '3px', padding: '8px' }}>
+                                    {acm.rules.length === 0 && (
+                                        <div style={{ fontSize: '10px', color: '#888', fontStyle: 'italic' }}>No rules - entries and exits are not reported</div>
+                                    )}
+                                    {acm.rules.map((rule, index) => (
+                                        <div key={index} style={{ marginBottom: '8px', padding: '6px', borderBottom: '1px solid rgba(0, 255, 0, 0.2)', backgroundColor: 'rgba(0, 20, 0, 0.3)', borderRadius: '3px' }}>
+                                            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '4px' }}>
+                                                <span style={{ fontSize: '10px', color: '#00FF00', fontWeight: 'bold' }}>{AirspaceControl.describeRule(rule)}</span>
+                                                <button
+                                                    onClick={() => updateRules(acm.rules.filter((_, i) => i !== index))}
+                                                    style={{ background: 'none', border: 'none', color: '#FF6600', cursor: 'pointer', fontSize: '12px' }}
+                                                    title="Remove rule"
+                                                >
+                                                    ✕
+                                                </button>
+                                            </div>
+                                            <div className="generator-grid">
+                                                <select
+                                                    className="input-field"
+                                                    style={ruleSelectStyle}
+                                                    value={rule.identity}
+                                                    onChange={(e) => updateRule(index, { identity: e.target.value })}
+                                                >
+                                                    {Object.entries(AirspaceControl.IDENTITY_LABELS).map(([key, label]) => (
+                                                        <option key={key} value={key}>{label}</option>
+                                                    ))}
+                                                </select>
+                                                <select
+                                                    className="input-field"
+                                                    style={ruleSelectStyle}
+                                                    value={rule.domain}
+                                                    onChange={(e) => updateRule(index, { domain: e.target.value })}
+                                                >
+                                                    {Object.entries(AirspaceControl.DOMAIN_LABELS).map(([key, label]) => (
+                                                        <option key={key} value={key}>{key === 'any' ? 'All domains' : label}</option>
+                                                    ))}
+                                                </select>
+                                                <select
+                                                    className="input-field"
+                                                    style={ruleSelectStyle}
+                                                    value={rule.type}
+                                                    onChange={(e) => updateRule(index, { type: e.target.value })}
+                                                >
+                                                    {Object.entries(AirspaceControl.RULE_TYPES).map(([key, config]) => (
+                                                        <option key={key} value={key}>{config.label}</option>
+                                                    ))}
+                                                </select>
+                                                {AirspaceControl.RULE_TYPES[rule.type]?.usesAltitude && (
+                                                    <input
+                                                        type="number"
+                                                        step="1000"
+                                                        min="0"
+                                                        className="input-field"
+                                                        style={ruleSelectStyle}
+                                                        value={rule.altitude}
+                                                        onChange={(e) => {
+                                                            const value = parseInt(e.target.value, 10);
+                                                            if (!isNaN(value) && value >= 0) updateRule(index, { altitude: value });
+                                                        }}
+                                                        title="Altitude (ft)"
+                                                    />
+                                                )}
+                                            </div>
+                                        </div>
+                                    ))}
                                 </div>
+                                <button
+                                    className="control-btn primary full-width"
+                                    onClick={() => updateRules([...acm.rules, { type: 'alertEntry', identity: 'any', domain: 'air', altitude: null }])}
+                                    style={{ marginTop: '10px' }}
+                                >
+                                    + ADD RULE
+                                </button>
+                            </div>
+                        )}
+
+                        {!ShapeGeometry.POINT_SHAPES.includes(selectedShape.type) && (
+                            <>
                                 <div className="input-group">
                                     <label className="input-label">Center Latitude</label>
                                     <input
@@ -17482,7 +18782,7 @@ function ControlPanel({
                                             ({ ...prev, centerLat: e.target.value.toUpperCase() }))}
                                         onKeyDown={(e) => {
                                             if (e.key === 'Enter') {
-                                                applyCircleCoordinate('centerLat');
+                                                applyCenterCoordinate('centerLat');
                                                 e.target.blur();
                                             }
                                         }}
@@ -17502,7 +18802,7 @@ function ControlPanel({
                                             ({ ...prev, centerLon: e.target.value.toUpperCase() }))}
                                         onKeyDown={(e) => {
                                             if (e.key === 'Enter') {
-                                                applyCircleCoordinate('centerLon');
+                                                applyCenterCoordinate('centerLon');
                                                 e.target.blur();
                                             }
                                         }}
@@ -17510,26 +18810,48 @@ function ControlPanel({
                                     />
                                 </div>
 
-                                <div className="input-group">
-                                    <label className="input-label">Radius (NM)</label>
-                                    <input
-                                        type="number"
-                                        step="1"
-                                        min="1"
-                                        className="input-field"
-                                        value={selectedShape.radius}
-                                        onChange={(e) => {
-                                            const value = parseFloat(e.target.value);
-                                            if (!isNaN(value) && value > 0) {
-                                                updateShape(selectedShape.id, { radius: value });
-                                            }
-                                        }}
-                                    />
-                                </div>
                             </>
                         )}
 
-                        {selectedShape.type === 'lineSegment' && (
+                        {selectedShape.type === 'circle' && (
+                            <div className="input-group">
+                                <label className="input-label">Radius (NM)</label>
+                                <input
+                                    type="number"
+                                    step="1"
+                                    min="1"
+                                    className="input-field"
+                                    value={selectedShape.radius}
+                                    onChange={(e) => {
+                                        const value = parseFloat(e.target.value);
+                                        if (!isNaN(value) && value > 0) {
+                                            updateShape(selectedShape.id, { radius: value });
+                                        }
+                                    }}
+                                />
+                            </div>
+                        )}
+
+                        {selectedShape.type === 'rectangle' && [
+                            numberField('length', 'Length (NM)', { min: 0.5 }),
+                            numberField('width', 'Width (NM)', { min: 0.5 }),
+                            numberField('orientation', 'Orientation (°T)', { isBearing: true })
+                        ]}
+
+                        {selectedShape.type === 'ellipse' && [
+                            numberField('semiMajor', 'Semi-Major Axis (NM)', { min: 0.5 }),
+                            numberField('semiMinor', 'Semi-Minor Axis (NM)', { min: 0.5 }),
+                            numberField('orientation', 'Orientation (°T)', { isBearing: true })
+                        ]}
+
+                        {selectedShape.type === 'sector' && [
+                            numberField('innerRadius', 'Inner Radius (NM)'),
+                            numberField('outerRadius', 'Outer Radius (NM)', { min: 0.5 }),
+                            numberField('startBearing', 'Start Bearing (°T)', { isBearing: true }),
+                            numberField('endBearing', 'End Bearing (°T, clockwise)', { isBearing: true })
+                        ]}
+
+                        {ShapeGeometry.POINT_SHAPES.includes(selectedShape.type) && (
                             <div className="input-group">
                                 <label className="input-label">Points</label>
                                 <div style={{ maxHeight: '300px', overflowY: 'auto', border: '1px solid rgba(0, 255, 0, 0.3)', borderRadius: '3px', padding: '8px' }}>
@@ -18330,18 +19652,126 @@ function ControlPanel({
                                         FL{Math.round(asset.altitude/100)}
                                     </div>
                                 </button>
-                            ))
+                            ))
+                        )}
+                    </div>
+                    <button
+                        className="control-btn primary full-width mb-10"
+                        onClick={() => setShowAddAssetDialog({ lat: bullseyePosition.lat, lon: bullseyePosition.lon })}
+                        style={{ marginTop: '10px' }}
+                    >
+                        + ADD ASSET
+                    </button>
+                </div>
+            )}
+
+            {/* Multi-selected assets (instructor mode) - shift-click or shift-drag on the map */}
+            {simulatorMode === 'instructor' && groupAssets.length > 1 && (() => {
+                const others = groupAssets.filter(a => !selectedAsset || a.id !== selectedAsset.id);
+                const groupField = (field, label) => (
+                    <div className="input-group" key={field}>
+                        <label className="input-label">{label}</label>
+                        <div style={{ display: 'flex', gap: '5px' }}>
+                            <input
+                                className="input-field"
+                                type="number"
+                                min="0"
+                                value={groupEditValues[field] !== undefined ? groupEditValues[field] : ''}
+                                placeholder="—"
+                                onChange={(e) => setGroupEditValues(prev => ({ ...prev, [field]: e.target.value }))}
+                                onKeyDown={(e) => {
+                                    if (e.key === 'Enter') applyGroupTarget(field);
+                                }}
+                                style={{ flex: 1 }}
+                            />
+                            <button
+                                className="control-btn"
+                                onClick={() => applyGroupTarget(field)}
+                                style={{ flex: '0 0 auto', padding: '10px 15px', fontSize: '9px' }}
+                            >
+                                SET
+                            </button>
+                        </div>
+                    </div>
+                );
+
+                return (
+                    <div className="control-section">
+                        <div className="section-header">GROUP ({groupAssets.length} ASSETS)</div>
+                        <div className="group-members">
+                            {groupAssets.map(asset => (
+                                <button
+                                    key={asset.id}
+                                    type="button"
+                                    className={`group-member ${selectedAsset?.id === asset.id ? 'primary' : ''}`}
+                                    style={{ color: ASSET_TYPES[asset.type === 'ownship' ? 'ownship' : (asset.identity || 'unknown')].color }}
+                                    onClick={() => setSelectedAssetId(asset.id)}
+                                    title="Show in SELECTED ASSET"
+                                >
+                                    {asset.name}
+                                </button>
+                            ))}
+                        </div>
+
+                        <div className="input-group">
+                            <label className="input-label">Identity</label>
+                            <select
+                                className="input-field"
+                                value=""
+                                onChange={(e) => {
+                                    if (e.target.value) {
+                                        updateAssets(groupAssets.filter(a => a.type !== 'ownship').map(a => a.id), { identity: e.target.value });
+                                    }
+                                }}
+                            >
+                                <option value="">— Set all —</option>
+                                <option value="friendly">Friendly</option>
+                                <option value="hostile">Hostile</option>
+                                <option value="neutral">Neutral</option>
+                                <option value="unknown">Unknown</option>
+                                <option value="unknownUnevaluated">Unknown Unevaluated</option>
+                            </select>
+                        </div>
+
+                        {groupField('heading', 'Heading (degrees)')}
+                        {groupField('speed', 'Speed (KTAS)')}
+                        {groupField('altitude', 'Altitude (feet)')}
+
+                        {selectedAsset && (
+                            <button
+                                className="control-btn full-width mb-10"
+                                disabled={others.length === 0}
+                                onClick={() => {
+                                    const count = (selectedAsset.behaviors || []).length;
+                                    const replacing = others.some(a => (a.behaviors || []).length > 0);
+                                    if (!replacing || confirm(`Replace the behaviors of ${others.length} asset(s) with ${count} behavior(s) copied from ${selectedAsset.name}?`)) {
+                                        copyBehaviorsToAssets(selectedAsset.id, others.map(a => a.id));
+                                    }
+                                }}
+                            >
+                                COPY BEHAVIORS FROM {selectedAsset.name.toUpperCase()}
+                            </button>
                         )}
+
+                        <div className="playback-controls">
+                            <button className="control-btn" onClick={() => setGroupAssetIds([])}>
+                                CLEAR SELECTION
+                            </button>
+                            <button
+                                className="control-btn danger"
+                                onClick={() => {
+                                    const deletable = groupAssets.filter(a => a.type !== 'ownship');
+                                    if (deletable.length > 0 && confirm(`Delete ${deletable.length} asset(s)?`)) {
+                                        deleteAssets(deletable.map(a => a.id));
+                                    }
+                                }}
+                            >
+                                DELETE GROUP
+                            </button>
+                        </div>
                     </div>
-                    <button
-                        className="control-btn primary full-width mb-10"
-                        onClick={() => setShowAddAssetDialog({ lat: bullseyePosition.lat, lon: bullseyePosition.lon })}
-                        style={{ marginTop: '10px' }}
-                    >
-                        + ADD ASSET
-                    </button>
-                </div>
-            )}
+                );
+            })()}
 
             {/* Selected Asset or Track (Student Mode) */}
             {(selectedAsset || (simulatorMode === 'student' && selectedTrackId)) && (
@@ -18864,6 +20294,162 @@ function ControlPanel({
                                     </div>
                                 </>
                             )}
+
+                            {/* Hostile fighter, surface combatant and submarine tactics AI - instructor mode only */}
+                            {selectedAsset && selectedAsset.type !== 'ownship' && ['air', 'surface', 'subSurface'].includes(selectedAsset.domain) && (() => {
+                                const surface = selectedAsset.domain === 'surface';
+                                if (selectedAsset.domain === 'subSurface') {
+                                    const tactics = { ...SUBMARINE_TACTICS_DEFAULTS, ...selectedAsset.tactics, enabled: !!selectedAsset.tactics?.enabled };
+                                    const state = selectedAsset.tacticsState;
+                                    const setTactics = (changes, stateChanges) => updateAsset(selectedAsset.id, {
+                                        tactics: { ...tactics, ...changes },
+                                        ...(stateChanges !== undefined && { tacticsState: stateChanges })
+                                    });
+                                    return (
+                                        <div className="input-group">
+                                            <label className="input-label" style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+                                                <input
+                                                    type="checkbox"
+                                                    checked={tactics.enabled}
+                                                    onChange={(e) => setTactics({ enabled: e.target.checked }, null)}
+                                                    style={{ width: 'auto', margin: 0 }}
+                                                />
+                                                <span>TACTICS AI (evade torpedoes, go quiet near buoys)</span>
+                                            </label>
+                                            {tactics.enabled && (
+                                                <>
+                                                    <div style={{ display: 'flex', gap: '5px', marginTop: '5px' }}>
+                                                        <div style={{ flex: 1 }}>
+                                                            <label className="input-label">Periscope every (min, 0 = never)</label>
+                                                            <input
+                                                                className="input-field"
+                                                                type="number"
+                                                                min="0"
+                                                                value={tactics.periscopeInterval}
+                                                                onChange={(e) => {
+                                                                    const periscopeInterval = Math.max(0, parseFloat(e.target.value) || 0);
+                                                                    setTactics({ periscopeInterval },
+                                                                        state ? { ...state, nextPeriscopeTime: missionTime + periscopeInterval * 60 } : null);
+                                                                }}
+                                                            />
+                                                        </div>
+                                                        <div style={{ flex: 1 }}>
+                                                            <label className="input-label">Periscope for (min)</label>
+                                                            <input
+                                                                className="input-field"
+                                                                type="number"
+                                                                min="0.5"
+                                                                step="0.5"
+                                                                value={tactics.periscopeTime}
+                                                                onChange={(e) => setTactics({ periscopeTime: Math.max(0.5, parseFloat(e.target.value) || 0.5) })}
+                                                            />
+                                                        </div>
+                                                    </div>
+                                                    <div style={{ fontSize: '9px', opacity: 0.7, marginTop: '4px' }}>
+                                                        {selectedAsset.identity !== 'hostile'
+                                                            ? 'Runs only while the asset is hostile'
+                                                            : `${(state?.phase || 'cap').toUpperCase()}` +
+                                                              (tactics.periscopeInterval > 0 && state?.phase === 'cap'
+                                                                  ? ` - periscope depth in ${Math.max(0, Math.ceil((state.nextPeriscopeTime - missionTime) / 60))} min`
+                                                                  : '')}
+                                                    </div>
+                                                </>
+                                            )}
+                                        </div>
+                                    );
+                                }
+                                const defaults = surface ? SURFACE_TACTICS_DEFAULTS : TACTICS_DEFAULTS;
+                                const tactics = { ...defaults, ...selectedAsset.tactics, enabled: !!selectedAsset.tactics?.enabled };
+                                const state = selectedAsset.tacticsState;
+                                const setTactics = (changes, stateChanges) => updateAsset(selectedAsset.id, {
+                                    tactics: { ...tactics, ...changes },
+                                    ...(stateChanges !== undefined && { tacticsState: stateChanges })
+                                });
+                                const weaponName = surface
+                                    ? selectAntiShipWeapon(selectedAsset, weaponConfigs || {})
+                                    : selectAirToAirWeapon(selectedAsset, weaponConfigs || {});
+                                const loadout = (surface ? selectedAsset.platform?.numberOfASM : selectedAsset.platform?.numberOfAAM) || 0;
+                                return (
+                                    <div className="input-group">
+                                        <label className="input-label" style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+                                            <input
+                                                type="checkbox"
+                                                checked={tactics.enabled}
+                                                onChange={(e) => setTactics({ enabled: e.target.checked }, null)}
+                                                style={{ width: 'auto', margin: 0 }}
+                                            />
+                                            <span>{surface ? 'TACTICS AI (anti-ship missile salvos)' : 'TACTICS AI (commit, shoot, defend, bingo)'}</span>
+                                        </label>
+                                        {tactics.enabled && (
+                                            <>
+                                                <div style={{ display: 'flex', gap: '5px', marginTop: '5px' }}>
+                                                    <div style={{ flex: 1 }}>
+                                                        <label className="input-label">Commit (NM)</label>
+                                                        <input
+                                                            className="input-field"
+                                                            type="number"
+                                                            min="1"
+                                                            value={tactics.commitRange}
+                                                            onChange={(e) => setTactics({ commitRange: Math.max(1, parseFloat(e.target.value) || 1) })}
+                                                        />
+                                                    </div>
+                                                    {surface ? (
+                                                        <div style={{ flex: 1 }}>
+                                                            <label className="input-label">Salvo (missiles)</label>
+                                                            <input
+                                                                className="input-field"
+                                                                type="number"
+                                                                min="1"
+                                                                value={tactics.salvo}
+                                                                onChange={(e) => setTactics({ salvo: Math.max(1, parseInt(e.target.value) || 1) })}
+                                                            />
+                                                        </div>
+                                                    ) : (
+                                                        <div style={{ flex: 1 }}>
+                                                            <label className="input-label">Bingo (min, 0 = off)</label>
+                                                            <input
+                                                                className="input-field"
+                                                                type="number"
+                                                                min="0"
+                                                                value={tactics.bingo}
+                                                                onChange={(e) => {
+                                                                    const bingo = Math.max(0, parseFloat(e.target.value) || 0);
+                                                                    setTactics({ bingo }, state ? { ...state, fuel: bingo * 60 } : null);
+                                                                }}
+                                                            />
+                                                        </div>
+                                                    )}
+                                                </div>
+                                                {!surface && (
+                                                    <>
+                                                        <label className="input-label">Missile Defense</label>
+                                                        <select
+                                                            className="input-field"
+                                                            value={tactics.defense}
+                                                            onChange={(e) => setTactics({ defense: e.target.value })}
+                                                        >
+                                                            {Object.entries(TACTICS_DEFENSES).map(([key, label]) => (
+                                                                <option key={key} value={key}>{label}</option>
+                                                            ))}
+                                                        </select>
+                                                    </>
+                                                )}
+                                                <div style={{ fontSize: '9px', opacity: 0.7, marginTop: '4px' }}>
+                                                    {selectedAsset.identity !== 'hostile'
+                                                        ? 'Runs only while the asset is hostile'
+                                                        : `${(state?.phase || 'cap').toUpperCase()}` +
+                                                          (weaponName
+                                                              ? ` - ${state?.missiles ?? loadout} × ${weaponName}`
+                                                              : surface
+                                                                  ? ' - no anti-ship missiles, holds fire'
+                                                                  : ' - no air-to-air missiles, commits without shooting') +
+                                                          (!surface && tactics.bingo > 0 && state ? ` - bingo in ${Math.ceil(state.fuel / 60)} min` : '')}
+                                                </div>
+                                            </>
+                                        )}
+                                    </div>
+                                );
+                            })()}
                         </>
                         ) : (
                             // STUDENT MODE - Restricted controls
@@ -20077,6 +21663,10 @@ function ControlPanel({
                             bullseyeName={bullseyeName}
                             geoPoints={geoPoints}
                             shapes={shapes}
+                            platforms={platforms}
+                            weaponConfigs={weaponConfigs}
+                            openBehaviorId={timelineBehaviorId}
+                            onOpenBehaviorHandled={() => setTimelineBehaviorId(null)}
                         />
                     )}
 
@@ -20939,13 +22529,13 @@ function AlertDialog({ message, onClose }) {
     );
 }
 
-function SaveDialog({ onClose, saveToLocalStorage, saveToFile }) {
+function SaveDialog({ onClose, saveToAppStorage, saveToFile }) {
     const [saveName, setSaveName] = useState(`Scenario-${new Date().toISOString().split('T')[0]}`);
     const [saveType, setSaveType] = useState('app');
 
     const handleSave = () => {
         if (saveType === 'app') {
-            saveToLocalStorage(saveName);
+            saveToAppStorage(saveName);
         } else {
             saveToFile(saveName);
         }
@@ -20974,12 +22564,12 @@ function SaveDialog({ onClose, saveToLocalStorage, saveToFile }) {
                         value={saveType}
                         onChange={(e) => setSaveType(e.target.value)}
                     >
-                        <option value="app">Save to Application (excludes mission products)</option>
-                        <option value="file">Download to Computer (includes mission products)</option>
+                        <option value="app">Save to Application</option>
+                        <option value="file">Download to Computer</option>
                     </select>
                     <p style={{ fontSize: '9px', color: '#888', marginTop: '5px' }}>
                         {saveType === 'app'
-                            ? 'Application saves have limited storage. Mission products are excluded.'
+                            ? 'Application saves are stored in this browser, including mission products.'
                             : 'File saves include all data including mission products.'}
                     </p>
                 </div>
@@ -20993,22 +22583,25 @@ function SaveDialog({ onClose, saveToLocalStorage, saveToFile }) {
     );
 }
 
-function LoadDialog({ onClose, loadFromLocalStorage, loadFromFile, getSavedScenarios, deleteFromLocalStorage }) {
+function LoadDialog({ onClose, loadFromAppStorage, loadFromFile, loadFromLibrary, loadGeneratedPicture, getSavedScenarios, deleteFromAppStorage, platforms, bullseyePosition, bullseyeName }) {
     const [loadType, setLoadType] = useState('app');
     const [scenarios, setScenarios] = useState([]);
 
     useEffect(() => {
-        setScenarios(getSavedScenarios());
+        getSavedScenarios().then(setScenarios);
     }, [getSavedScenarios]);
 
     const handleDelete = (name, e) => {
         e.stopPropagation();
         if (confirm(`Delete scenario "${name}"?`)) {
-            deleteFromLocalStorage(name);
-            setScenarios(getSavedScenarios());
+            deleteFromAppStorage(name)
+                .then(() => getSavedScenarios())
+                .then(setScenarios);
         }
     };
 
+    const totalSize = scenarios.reduce((sum, scenario) => sum + (scenario.size || 0), 0);
+
     return (
         <div className="modal-overlay" onClick={onClose}>
             <div className="modal" onClick={(e) => e.stopPropagation()}>
@@ -21021,41 +22614,71 @@ function LoadDialog({ onClose, loadFromLocalStorage, loadFromFile, getSavedScena
                         value={loadType}
                         onChange={(e) => setLoadType(e.target.value)}
                     >
-                        <option value="app">Application (localStorage)</option>
+                        <option value="app">Application (browser storage)</option>
+                        <option value="library">Scenario Library (bundled)</option>
+                        <option value="generate">Picture Generator (new drill)</option>
                         <option value="file">Computer (JSON file)</option>
                     </select>
                 </div>
 
                 {loadType === 'app' ? (
-                    <div className="save-list">
-                        {scenarios.length === 0 ? (
-                            <div className="empty-state">No saved scenarios</div>
-                        ) : (
-                            scenarios.map(scenario => (
-                                <div
-                                    key={scenario.name}
-                                    className="save-item"
-                                    onClick={() => {
-                                        loadFromLocalStorage(scenario.name);
-                                        onClose();
-                                    }}
-                                >
-                                    <div className="save-item-info">
-                                        <div className="save-item-name">{scenario.name}</div>
-                                        <div className="save-item-date">
-                                            {new Date(scenario.timestamp).toLocaleString()}
+                    <>
+                        <div className="save-list">
+                            {scenarios.length === 0 ? (
+                                <div className="empty-state">No saved scenarios</div>
+                            ) : (
+                                scenarios.map(scenario => (
+                                    <div
+                                        key={scenario.name}
+                                        className="save-item"
+                                        onClick={() => {
+                                            loadFromAppStorage(scenario.name);
+                                            onClose();
+                                        }}
+                                    >
+                                        <div className="save-item-info">
+                                            <div className="save-item-name">{scenario.name}</div>
+                                            <div className="save-item-date">
+                                                {new Date(scenario.timestamp).toLocaleString()}
+                                            </div>
+                                            <div className="save-item-size">
+                                                {ScenarioStore.formatBytes(scenario.size)}
+                                                {scenario.productCount > 0 && ` - ${scenario.productCount} mission product${scenario.productCount === 1 ? '' : 's'}`}
+                                            </div>
                                         </div>
+                                        <button
+                                            className="delete-save-btn"
+                                            onClick={(e) => handleDelete(scenario.name, e)}
+                                        >
+                                            DELETE
+                                        </button>
                                     </div>
-                                    <button
-                                        className="delete-save-btn"
-                                        onClick={(e) => handleDelete(scenario.name, e)}
-                                    >
-                                        DELETE
-                                    </button>
-                                </div>
-                            ))
+                                ))
+                            )}
+                        </div>
+                        {scenarios.length > 0 && (
+                            <div className="save-list-usage">
+                                {scenarios.length} scenario{scenarios.length === 1 ? '' : 's'} - {ScenarioStore.formatBytes(totalSize)} used
+                            </div>
                         )}
-                    </div>
+                    </>
+                ) : loadType === 'library' ? (
+                    <ScenarioLibrary
+                        onSelect={(entry) => {
+                            loadFromLibrary(entry);
+                            onClose();
+                        }}
+                    />
+                ) : loadType === 'generate' ? (
+                    <PictureGeneratorPanel
+                        platforms={platforms}
+                        bullseyePosition={bullseyePosition}
+                        bullseyeName={bullseyeName}
+                        onLoad={(result) => {
+                            loadGeneratedPicture(result);
+                            onClose();
+                        }}
+                    />
                 ) : (
                     <div className="file-input-wrapper">
                         <input
@@ -21073,9 +22696,305 @@ function LoadDialog({ onClose, loadFromLocalStorage, loadFromFile, getSavedScena
                     </div>
                 )}
 
-                <div className="modal-buttons">
-                    <button className="control-btn full-width" onClick={onClose}>CANCEL</button>
+                <div className="modal-buttons">
+                    <button className="control-btn full-width" onClick={onClose}>CANCEL</button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// Bundled training scenarios listed in Scenarios/manifest.json
+function ScenarioLibrary({ onSelect }) {
+    const [entries, setEntries] = useState(null); // null while loading
+    const [loadError, setLoadError] = useState(null);
+    const [searchText, setSearchText] = useState('');
+    const [missionTypeFilter, setMissionTypeFilter] = useState('all');
+    const [difficultyFilter, setDifficultyFilter] = useState('all');
+    const [selectedTags, setSelectedTags] = useState([]);
+
+    useEffect(() => {
+        fetch(`Scenarios/manifest.json?t=${Date.now()}`, { cache: 'no-store' })
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(manifest => setEntries(manifest.scenarios || []))
+            .catch(error => {
+                console.error('Error loading scenario library:', error);
+                setLoadError(error.message);
+                setEntries([]);
+            });
+    }, []);
+
+    const missionTypes = useMemo(() => [...new Set((entries || []).map(e => e.missionType))], [entries]);
+    const allTags = useMemo(() => [...new Set((entries || []).flatMap(e => e.tags || []))].sort(), [entries]);
+
+    const filtered = (entries || []).filter(entry => {
+        if (missionTypeFilter !== 'all' && entry.missionType !== missionTypeFilter) return false;
+        if (difficultyFilter !== 'all' && entry.difficulty !== difficultyFilter) return false;
+        if (selectedTags.some(tag => !(entry.tags || []).includes(tag))) return false;
+        if (searchText) {
+            const haystack = `${entry.title} ${entry.description || ''} ${entry.pictureType || ''}`.toLowerCase();
+            if (!haystack.includes(searchText.toLowerCase())) return false;
+        }
+        return true;
+    });
+
+    const toggleTag = (tag) => {
+        setSelectedTags(prev => prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]);
+    };
+
+    if (entries === null) {
+        return <div className="empty-state">Loading scenario library...</div>;
+    }
+    if (loadError) {
+        return <div className="empty-state">Scenario library unavailable ({loadError}). Run the simulator from start-server.bat.</div>;
+    }
+
+    return (
+        <div className="scenario-library">
+            <div className="library-filters">
+                <input
+                    className="input-field"
+                    type="text"
+                    placeholder="Search..."
+                    value={searchText}
+                    onChange={(e) => setSearchText(e.target.value)}
+                />
+                <select
+                    className="input-field"
+                    value={missionTypeFilter}
+                    onChange={(e) => setMissionTypeFilter(e.target.value)}
+                >
+                    <option value="all">All mission types</option>
+                    {missionTypes.map(type => <option key={type} value={type}>{type}</option>)}
+                </select>
+                <select
+                    className="input-field"
+                    value={difficultyFilter}
+                    onChange={(e) => setDifficultyFilter(e.target.value)}
+                >
+                    <option value="all">All difficulties</option>
+                    <option value="basic">Basic</option>
+                    <option value="intermediate">Intermediate</option>
+                    <option value="advanced">Advanced</option>
+                </select>
+            </div>
+
+            <div className="library-tags">
+                {allTags.map(tag => (
+                    <button
+                        key={tag}
+                        className={`library-tag ${selectedTags.includes(tag) ? 'active' : ''}`}
+                        onClick={() => toggleTag(tag)}
+                    >
+                        {tag}
+                    </button>
+                ))}
+            </div>
+
+            <div className="save-list">
+                {filtered.length === 0 ? (
+                    <div className="empty-state">No scenarios match the filters</div>
+                ) : (
+                    filtered.map(entry => (
+                        <div
+                            key={entry.file}
+                            className="save-item"
+                            onClick={() => onSelect(entry)}
+                        >
+                            <div className="save-item-info">
+                                <div className="save-item-name">
+                                    {entry.title}
+                                    {entry.difficulty && <span className={`library-difficulty ${entry.difficulty}`}>{entry.difficulty.toUpperCase()}</span>}
+                                </div>
+                                <div className="save-item-date">
+                                    {[
+                                        entry.missionType,
+                                        entry.groups ? `${entry.groups} group${entry.groups === 1 ? '' : 's'}` : null,
+                                        entry.pictureType,
+                                        entry.durationMinutes ? `~${entry.durationMinutes} min` : null
+                                    ].filter(Boolean).join(' | ')}
+                                </div>
+                                {entry.description && <div className="save-item-size">{entry.description}</div>}
+                            </div>
+                        </div>
+                    ))
+                )}
+            </div>
+        </div>
+    );
+}
+
+// Picture Generator: builds a new hostile picture drill from parameters (picture-generator.js)
+function PictureGeneratorPanel({ platforms, bullseyePosition, bullseyeName, onLoad }) {
+    const [params, setParams] = useState(() => ({ ...PictureGenerator.DEFAULT_PARAMS }));
+    const [seedInput, setSeedInput] = useState('');
+    const [result, setResult] = useState(null);
+    const [errors, setErrors] = useState([]);
+
+    const setParam = (key, value) => {
+        setParams(prev => ({ ...prev, [key]: value }));
+        setResult(null);
+    };
+
+    const generate = (reroll) => {
+        const problems = PictureGenerator.validateParams(params);
+        setErrors(problems);
+        if (problems.length > 0) {
+            setResult(null);
+            return;
+        }
+        const typedSeed = parseInt(seedInput, 10);
+        const seed = !reroll && !isNaN(typedSeed) ? typedSeed : undefined;
+        const generated = PictureGenerator.generatePicture(params, {
+            seed,
+            platforms,
+            bullseye: bullseyePosition,
+            bullseyeName: bullseyeName || 'BULLSEYE'
+        });
+        setSeedInput(String(generated.seed));
+        setResult(generated);
+    };
+
+    // Min/max pair for one numeric parameter
+    const rangeRow = (label, minKey, maxKey) => (
+        <div className="input-group">
+            <label className="input-label">{label}</label>
+            <div className="generator-range">
+                <input
+                    className="input-field"
+                    type="number"
+                    value={params[minKey]}
+                    onChange={(e) => setParam(minKey, parseFloat(e.target.value))}
+                />
+                <span>to</span>
+                <input
+                    className="input-field"
+                    type="number"
+                    value={params[maxKey]}
+                    onChange={(e) => setParam(maxKey, parseFloat(e.target.value))}
+                />
+            </div>
+        </div>
+    );
+
+    return (
+        <div className="picture-generator">
+            <div className="generator-grid">
+                <div className="input-group">
+                    <label className="input-label">Picture Type</label>
+                    <select
+                        className="input-field"
+                        value={params.pictureType}
+                        onChange={(e) => setParam('pictureType', e.target.value)}
+                    >
+                        {Object.entries(PictureGenerator.PICTURE_TYPES).map(([type, config]) => (
+                            <option key={type} value={type}>{config.label}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="input-group">
+                    <label className="input-label">Maneuver</label>
+                    <select
+                        className="input-field"
+                        value={params.maneuver}
+                        onChange={(e) => setParam('maneuver', e.target.value)}
+                    >
+                        <option value="random">Random</option>
+                        <option value="none">None</option>
+                        <option value="group">Group maneuver (crank 90°)</option>
+                        <option value="split">Single group split (one contact cold)</option>
+                    </select>
+                </div>
+            </div>
+
+            {params.pictureType === 'leadingEdge' && (
+                <div className="generator-grid">
+                    <div className="input-group">
+                        <label className="input-label">Leading Edge</label>
+                        <select
+                            className="input-field"
+                            value={params.leadingEdgeType}
+                            onChange={(e) => setParam('leadingEdgeType', e.target.value)}
+                        >
+                            {PictureGenerator.LEADING_EDGE_TYPES.map(type => (
+                                <option key={type} value={type}>{PictureGenerator.PICTURE_TYPES[type].label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="input-group">
+                        <label className="input-label">Follow-On Groups</label>
+                        <select
+                            className="input-field"
+                            value={params.followOnGroups}
+                            onChange={(e) => setParam('followOnGroups', parseInt(e.target.value, 10))}
+                        >
+                            <option value={1}>1</option>
+                            <option value={2}>2 (azimuth)</option>
+                        </select>
+                    </div>
+                </div>
+            )}
+
+            <div className="generator-grid">
+                {rangeRow('Group Separation (NM)', 'separationMin', 'separationMax')}
+                {rangeRow('Contacts per Group', 'contactsMin', 'contactsMax')}
+                {rangeRow('Altitude (ft)', 'altitudeMin', 'altitudeMax')}
+                {rangeRow('Speed (KTAS)', 'speedMin', 'speedMax')}
+                {rangeRow(`Bearing from ${bullseyeName || 'Bullseye'} (°)`, 'bearingMin', 'bearingMax')}
+                {rangeRow(`Range from ${bullseyeName || 'Bullseye'} (NM)`, 'rangeMin', 'rangeMax')}
+                {params.pictureType === 'leadingEdge' && rangeRow('Follow-On Range (NM)', 'followOnMin', 'followOnMax')}
+                <div className="input-group">
+                    <label className="input-label">Seed (blank = random)</label>
+                    <input
+                        className="input-field"
+                        type="text"
+                        value={seedInput}
+                        onChange={(e) => {
+                            setSeedInput(e.target.value.replace(/[^0-9]/g, ''));
+                            setResult(null);
+                        }}
+                    />
+                </div>
+            </div>
+
+            <label className="generator-checkbox">
+                <input
+                    type="checkbox"
+                    checked={params.stackContacts}
+                    onChange={(e) => setParam('stackContacts', e.target.checked)}
+                />
+                Stack contacts in altitude blocks
+            </label>
+
+            {errors.length > 0 && (
+                <div className="generator-errors">
+                    {errors.map(error => <div key={error}>{error}</div>)}
+                </div>
+            )}
+
+            {result && (
+                <div className="generator-key">
+                    <div className="save-item-name">{result.title} - seed {result.seed}</div>
+                    <div className="generator-call">"{result.key.call}"</div>
+                    {result.key.groups.map(group => (
+                        <div key={group.label} className="save-item-size">
+                            {group.label}: {group.contacts} contact{group.contacts === 1 ? '' : 's'}, {group.bullseye}, {group.altitude}
+                            {group.maneuver && ` - ${group.maneuver === 'split' ? 'splits' : 'maneuvers'} at ${result.key.maneuverRange} NM from fighter`}
+                        </div>
+                    ))}
                 </div>
+            )}
+
+            <div className="playback-controls">
+                <button className="control-btn" onClick={() => generate(result !== null)}>
+                    {result ? 'REROLL' : 'GENERATE'}
+                </button>
+                <button className="control-btn primary" disabled={!result} onClick={() => onLoad(result)}>
+                    LOAD DRILL
+                </button>
             </div>
         </div>
     );
@@ -21093,6 +23012,8 @@ function ControlsDialog({ onClose }) {
                         <p><strong>Left-click on asset:</strong> Select asset to view/edit details</p>
                         <p><strong>Left-click on empty space:</strong> Place yellow reference mark</p>
                         <p><strong>Left-click + drag on selected asset:</strong> Move asset to new location</p>
+                        <p><strong>Shift + left-click on asset:</strong> Add/remove asset from a multi-selection (instructor mode)</p>
+                        <p><strong>Shift + drag on empty space:</strong> Box-select assets (instructor mode)</p>
                         <p><strong>Left-click + drag on waypoint:</strong> Move waypoint to new location</p>
                         <p><strong>Right-click on map:</strong> Open context menu (add assets, waypoints)</p>
                         <p><strong>Right-click on waypoint:</strong> Delete waypoint</p>
@@ -21104,6 +23025,7 @@ function ControlsDialog({ onClose }) {
                     <div style={{ marginLeft: '10px' }}>
                         <p><strong>ESC:</strong> Open pause menu</p>
                         <p><strong>Enter:</strong> Apply heading/speed/altitude value</p>
+                        <p><strong>Ctrl+Z / Ctrl+Shift+Z:</strong> Undo / redo scenario edits (instructor mode, while paused)</p>
                     </div>
 
                     <h3 style={{ color: '#00FF00', fontSize: '12px', marginTop: '15px', marginBottom: '10px' }}>ASSET MANAGEMENT</h3>
@@ -21113,6 +23035,7 @@ function ControlsDialog({ onClose }) {
                         <p><strong>Edit Asset:</strong> Select asset, modify values in control panel, click SET</p>
                         <p><strong>Delete Asset:</strong> Select asset → Click "DELETE" button</p>
                         <p><strong>Move Asset:</strong> Select asset → Left-click and drag to new position</p>
+                        <p><strong>Group Edit:</strong> Multi-select assets → GROUP section sets identity, heading, speed and altitude for all, copies behaviors, or deletes the group. Dragging any member moves the whole formation</p>
                     </div>
 
                     <h3 style={{ color: '#00FF00', fontSize: '12px', marginTop: '15px', marginBottom: '10px' }}>WAYPOINTS</h3>
@@ -21496,6 +23419,327 @@ function LoadingScreen({ message = 'Loading' }) {
     );
 }
 
+// Scenario timeline: every scripted behavior across all assets. Time triggers are
+// listed in mission-time order around a NOW marker, conditional triggers grouped by type.
+function BehaviorTimelineDialog({ assets, missionTime, onSelectBehavior, onClose }) {
+    const entries = [];
+    assets.forEach(asset => {
+        (asset.behaviors || []).forEach((behavior, index) => {
+            const config = behavior.triggerConfig || {};
+            let time = null;
+            if (behavior.triggerType === 'missionTime') time = config.missionTime || 0;
+            if (behavior.triggerType === 'randomTime') {
+                time = config.randomMissionTime !== undefined ? config.randomMissionTime : (config.minTime || 0);
+            }
+            entries.push({ asset, behavior, number: index + 1, time });
+        });
+    });
+
+    const timed = entries.filter(e => e.time !== null).sort((a, b) => a.time - b.time);
+    const conditional = Object.keys(BEHAVIOR_TRIGGER_LABELS)
+        .map(type => ({ type, entries: entries.filter(e => e.time === null && e.behavior.triggerType === type) }))
+        .filter(group => group.entries.length > 0);
+    const nowIndex = timed.findIndex(e => e.time > missionTime);
+
+    const status = ({ behavior }) => {
+        if (behavior.enabled === false) return 'DISARMED';
+        if (behavior.fired) return 'FIRED';
+        if (behavior.fireCount) return `FIRED ${behavior.fireCount}×`;
+        return '';
+    };
+
+    const renderEntry = (entry) => {
+        const { asset, behavior } = entry;
+        const conditions = (behavior.conditions || []).length;
+        const actions = (behavior.actions || []).map(a => a.type).join(', ') || 'no actions';
+        const classes = ['radio-log-entry', 'timeline-entry'];
+        if (behavior.fired || behavior.fireCount) classes.push('fired');
+        if (behavior.enabled === false) classes.push('disarmed');
+        return (
+            <div
+                key={`${asset.id}-${behavior.id}`}
+                className={classes.join(' ')}
+                onClick={() => onSelectBehavior(asset.id, behavior.id)}
+                title="Select asset and edit behavior"
+            >
+                <span className="radio-log-time">{entry.time !== null ? formatMissionTime(entry.time) : ''}</span>
+                <span className="radio-log-callsign">{asset.name}:</span>
+                <span className="radio-log-message">
+                    Behavior {entry.number}
+                    {entry.time === null ? '' : ` (${BEHAVIOR_TRIGGER_LABELS[behavior.triggerType]})`}
+                    {conditions > 0 && ` ${behavior.conditionLogic === 'or' ? 'or' : 'and'} ${conditions} condition(s)`}
+                    {' - '}{actions}
+                </span>
+                <span className="timeline-status">{status(entry)}</span>
+            </div>
+        );
+    };
+
+    return (
+        <div className="modal-overlay">
+            <div className="debrief-dialog">
+                <div className="debrief-header">
+                    <h2>BEHAVIOR TIMELINE</h2>
+                    <button className="close-btn" onClick={onClose}>&times;</button>
+                </div>
+
+                {entries.length === 0 ? (
+                    <div className="debrief-no-data">No behaviors scripted.</div>
+                ) : (
+                    <div className="timeline-body">
+                        <div className="timeline-heading">MISSION TIME</div>
+                        <div className="radio-log-entries">
+                            {timed.map((entry, i) => (
+                                <React.Fragment key={`${entry.asset.id}-${entry.behavior.id}`}>
+                                    {i === nowIndex && <div className="timeline-now">NOW {formatMissionTime(missionTime)}</div>}
+                                    {renderEntry(entry)}
+                                </React.Fragment>
+                            ))}
+                            {nowIndex === -1 && <div className="timeline-now">NOW {formatMissionTime(missionTime)}</div>}
+                        </div>
+
+                        {conditional.map(group => (
+                            <React.Fragment key={group.type}>
+                                <div className="timeline-heading">{BEHAVIOR_TRIGGER_LABELS[group.type].toUpperCase()}</div>
+                                <div className="radio-log-entries">
+                                    {group.entries.map(renderEntry)}
+                                </div>
+                            </React.Fragment>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// Maritime traffic generator: fills the Gulf with merchants, dhows and fishing
+// boats around the bullseye, with contacts of interest hidden among them
+function MaritimeTrafficDialog({ hasGeneratedTraffic, onGenerate, onClose }) {
+    const [params, setParams] = useState(() => ({ ...MaritimeTraffic.DEFAULT_PARAMS }));
+    const [seedInput, setSeedInput] = useState('');
+    const [replaceExisting, setReplaceExisting] = useState(true);
+    const [errors, setErrors] = useState([]);
+    const [summary, setSummary] = useState(null);
+
+    const setParam = (key, value) => setParams(prev => ({ ...prev, [key]: value }));
+
+    const handleGenerate = () => {
+        const problems = MaritimeTraffic.validateParams(params);
+        setErrors(problems);
+        if (problems.length > 0) return;
+        const typedSeed = parseInt(seedInput, 10);
+        const result = onGenerate(params, isNaN(typedSeed) ? undefined : typedSeed, replaceExisting && hasGeneratedTraffic);
+        if (!result) return;
+        setSeedInput(String(result.seed));
+        setSummary({ ...result.summary, seed: result.seed });
+    };
+
+    const checkbox = (key, label) => (
+        <label className="generator-checkbox">
+            <input
+                type="checkbox"
+                checked={params[key]}
+                onChange={(e) => setParam(key, e.target.checked)}
+            />
+            {label}
+        </label>
+    );
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" onClick={(e) => e.stopPropagation()}>
+                <h2>MARITIME TRAFFIC</h2>
+
+                <div className="generator-grid">
+                    <div className="input-group">
+                        <label className="input-label">Density</label>
+                        <select
+                            className="input-field"
+                            value={params.density}
+                            onChange={(e) => setParam('density', e.target.value)}
+                        >
+                            {Object.entries(MaritimeTraffic.DENSITY_LEVELS).map(([level, config]) => (
+                                <option key={level} value={level}>{config.label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="input-group">
+                        <label className="input-label">Contacts of Interest</label>
+                        <input
+                            className="input-field"
+                            type="number"
+                            min="0"
+                            max={MaritimeTraffic.MAX_CONTACTS_OF_INTEREST}
+                            value={params.contactsOfInterest}
+                            onChange={(e) => setParam('contactsOfInterest', parseInt(e.target.value, 10))}
+                        />
+                    </div>
+                    <div className="input-group">
+                        <label className="input-label">Area Radius (NM, 0 = whole theater)</label>
+                        <input
+                            className="input-field"
+                            type="number"
+                            min="0"
+                            value={params.areaRadius}
+                            onChange={(e) => setParam('areaRadius', parseFloat(e.target.value))}
+                        />
+                    </div>
+                    <div className="input-group">
+                        <label className="input-label">Seed (blank = random)</label>
+                        <input
+                            className="input-field"
+                            type="text"
+                            value={seedInput}
+                            onChange={(e) => setSeedInput(e.target.value.replace(/[^0-9]/g, ''))}
+                        />
+                    </div>
+                </div>
+
+                {checkbox('shipping', 'Shipping lanes')}
+                {checkbox('dhows', 'Dhow traffic between ports')}
+                {checkbox('fishing', 'Fishing clusters near the coast')}
+                {hasGeneratedTraffic && (
+                    <label className="generator-checkbox">
+                        <input
+                            type="checkbox"
+                            checked={replaceExisting}
+                            onChange={(e) => setReplaceExisting(e.target.checked)}
+                        />
+                        Replace previously generated traffic
+                    </label>
+                )}
+
+                {errors.length > 0 && (
+                    <div className="generator-errors">
+                        {errors.map(error => <div key={error}>{error}</div>)}
+                    </div>
+                )}
+
+                {summary && (
+                    <div className="generator-key">
+                        <div className="save-item-name">Seed {summary.seed}</div>
+                        <div className="save-item-size">
+                            {summary.shipping} merchants, {summary.dhows} dhows, {summary.fishing} fishing vessels in {summary.fishingClusters} cluster{summary.fishingClusters === 1 ? '' : 's'}
+                        </div>
+                        {summary.contactsOfInterest.map(coi => (
+                            <div key={coi.id} className="generator-call">
+                                {coi.name}: {coi.platform || 'no platform'} hiding in {coi.cover} traffic
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                <div className="modal-buttons">
+                    <button className="control-btn primary" onClick={handleGenerate}>
+                        {summary ? 'REGENERATE' : 'GENERATE'}
+                    </button>
+                    <button className="control-btn" onClick={onClose}>CLOSE</button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+function GisExchangeDialog({ defaultName, isInstructor, onExport, onImport, onClose }) {
+    const fileInputRef = React.useRef(null);
+    const [exportName, setExportName] = useState(defaultName);
+    const [format, setFormat] = useState('kml');
+    const [layers, setLayers] = useState({ assets: isInstructor, geoPoints: true, shapes: true, studentTracks: !isInstructor });
+    const [importResult, setImportResult] = useState(null);
+
+    const layerCheckbox = (key, label) => (
+        <label className="generator-checkbox">
+            <input
+                type="checkbox"
+                checked={layers[key]}
+                onChange={(e) => setLayers(prev => ({ ...prev, [key]: e.target.checked }))}
+            />
+            {label}
+        </label>
+    );
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" onClick={(e) => e.stopPropagation()}>
+                <h2>GIS EXCHANGE</h2>
+
+                <div className="generator-grid">
+                    <div className="input-group">
+                        <label className="input-label">File Name</label>
+                        <input
+                            className="input-field"
+                            type="text"
+                            value={exportName}
+                            onChange={(e) => setExportName(e.target.value)}
+                        />
+                    </div>
+                    <div className="input-group">
+                        <label className="input-label">Format</label>
+                        <select
+                            className="input-field"
+                            value={format}
+                            onChange={(e) => setFormat(e.target.value)}
+                        >
+                            <option value="kml">KML (Google Earth)</option>
+                            <option value="geojson">GeoJSON</option>
+                        </select>
+                    </div>
+                </div>
+
+                {isInstructor && layerCheckbox('assets', 'Assets and waypoint routes')}
+                {layerCheckbox('geoPoints', 'Geo-points (CAP stations, airfields, SAM sites, marks)')}
+                {layerCheckbox('shapes', 'Shapes')}
+                {layerCheckbox('studentTracks', 'Student tracks')}
+
+                {isInstructor && (
+                    <div className="input-group">
+                        <label className="input-label">Import</label>
+                        <p style={{ fontSize: '9px', color: '#888', marginTop: '5px' }}>
+                            Points become geo-points, lines and polygons become shapes. Set a "type" of CAP station, airfield, SAM site or mark (or use folders with those names) and an "identity" to control how they come in.
+                        </p>
+                    </div>
+                )}
+
+                {importResult && (
+                    <div className="generator-key">
+                        <div className="save-item-name">{importResult.summary}</div>
+                        {importResult.warnings.map(warning => (
+                            <div key={warning} className="save-item-size">{warning}</div>
+                        ))}
+                    </div>
+                )}
+
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept=".kml,.geojson,.json"
+                    style={{ display: 'none' }}
+                    onChange={(e) => {
+                        onImport(e.target.files[0], (summary, warnings) => setImportResult({ summary, warnings }));
+                        e.target.value = '';
+                    }}
+                />
+
+                <div className="modal-buttons">
+                    <button
+                        className="control-btn primary"
+                        onClick={() => {
+                            if (onExport(exportName || 'Scenario', format, layers)) onClose();
+                        }}
+                    >
+                        EXPORT
+                    </button>
+                    {isInstructor && (
+                        <button className="control-btn" onClick={() => fileInputRef.current.click()}>IMPORT FILE</button>
+                    )}
+                    <button className="control-btn" onClick={onClose}>CLOSE</button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
 function MissionProductsDialog({ missionProducts, setMissionProducts, onClose }) {
     const fileInputRef = React.useRef(null);
     const MAX_FILE_SIZE = 30 * 1024 * 1024; // 30 MB
@@ -21689,10 +23933,13 @@ function MissionProductsDialog({ missionProducts, setMissionProducts, onClose })
 // AIC DEBRIEF DIALOG COMPONENTS
 // ============================================================================
 
-function DebriefDialog({ debriefData, onClose }) {
+function DebriefDialog({ debriefData, airspaceViolations, samLaunches, vampireReports, missionTime, onClose }) {
     const [selectedIntercept, setSelectedIntercept] = useState(
-        debriefData.length > 0 ? debriefData.length - 1 : null
-    );
+        debriefData.length > 0 ? debriefData.length - 1
+            : airspaceViolations.length > 0 ? 'airspace'
+            : samLaunches.length > 0 ? 'sam'
+            : vampireReports.length > 0 ? 'vampire' : null
+    ); // Intercept index, 'airspace' for the deconfliction record, 'sam' for SAM launches or 'vampire' for vampire calls
     const [activeTab, setActiveTab] = useState('scorecard'); // 'scorecard' or 'radioLog'
 
     return (
@@ -21703,7 +23950,7 @@ function DebriefDialog({ debriefData, onClose }) {
                     <button className="close-btn" onClick={onClose}>&times;</button>
                 </div>
 
-                {debriefData.length === 0 ? (
+                {debriefData.length === 0 && airspaceViolations.length === 0 && samLaunches.length === 0 && vampireReports.length === 0 ? (
                     <div className="debrief-no-data">No intercepts completed yet.</div>
                 ) : (
                     <>
@@ -21717,9 +23964,39 @@ function DebriefDialog({ debriefData, onClose }) {
                                     Intercept #{d.interceptNumber}
                                 </button>
                             ))}
+                            <button
+                                className={`intercept-btn ${selectedIntercept === 'airspace' ? 'selected' : ''}`}
+                                onClick={() => setSelectedIntercept('airspace')}
+                            >
+                                Airspace ({airspaceViolations.length})
+                            </button>
+                            <button
+                                className={`intercept-btn ${selectedIntercept === 'sam' ? 'selected' : ''}`}
+                                onClick={() => setSelectedIntercept('sam')}
+                            >
+                                SAM ({samLaunches.length})
+                            </button>
+                            <button
+                                className={`intercept-btn ${selectedIntercept === 'vampire' ? 'selected' : ''}`}
+                                onClick={() => setSelectedIntercept('vampire')}
+                            >
+                                Vampire ({vampireReports.length})
+                            </button>
                         </div>
 
-                        {selectedIntercept !== null && (
+                        {selectedIntercept === 'airspace' && (
+                            <AirspaceDebrief violations={airspaceViolations} missionTime={missionTime} />
+                        )}
+
+                        {selectedIntercept === 'sam' && (
+                            <SamDebrief launches={samLaunches} />
+                        )}
+
+                        {selectedIntercept === 'vampire' && (
+                            <VampireDebrief reports={vampireReports} />
+                        )}
+
+                        {typeof selectedIntercept === 'number' && (
                             <>
                                 <div className="debrief-tabs">
                                     <button
@@ -21831,6 +24108,176 @@ function InterceptScorecard({ data }) {
     );
 }
 
+// Airspace control measure violations for grading deconfliction
+function AirspaceDebrief({ violations, missionTime }) {
+    const formatTime = (seconds) => {
+        const mins = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${mins}:${secs.toString().padStart(2, '0')}`;
+    };
+    const duration = (v) => (v.endTime !== null ? v.endTime : missionTime) - v.startTime;
+
+    if (violations.length === 0) {
+        return <div className="debrief-no-data">No airspace control measure violations.</div>;
+    }
+
+    const totalSeconds = violations.reduce((sum, v) => sum + duration(v), 0);
+    const measures = [...new Set(violations.map(v => v.acmName))];
+
+    return (
+        <div className="radio-log-tab">
+            <div className="scorecard" style={{ marginBottom: '15px' }}>
+                <div className="scorecard-row">
+                    <label>Violations:</label>
+                    <span className="error">{violations.length}</span>
+                </div>
+                <div className="scorecard-row">
+                    <label>Time in Violation:</label>
+                    <span>{formatTime(totalSeconds)}</span>
+                </div>
+                <div className="scorecard-row">
+                    <label>Control Measures:</label>
+                    <span>{measures.join(', ')}</span>
+                </div>
+            </div>
+            <div className="radio-log-entries">
+                {violations.map(v => (
+                    <div key={v.id} className="radio-log-entry error">
+                        <span className="radio-log-time">{formatTime(v.startTime)}</span>
+                        <span className="radio-log-callsign">{v.assetName}:</span>
+                        <span className="radio-log-message">
+                            {v.acmName} - {v.rule} ({v.endTime !== null ? formatTime(duration(v)) : 'ongoing'})
+                        </span>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+// SAM site launches and what became of each missile
+function SamDebrief({ launches }) {
+    const formatTime = (seconds) => {
+        const mins = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${mins}:${secs.toString().padStart(2, '0')}`;
+    };
+    const resultLabel = (launch) => launch.result === 'hit' ? 'HIT' : launch.result === 'miss' ? 'defeated' : 'in flight';
+
+    if (launches.length === 0) {
+        return <div className="debrief-no-data">No SAM launches.</div>;
+    }
+
+    const hostile = launches.filter(l => l.identity !== 'friendly');
+    const losses = hostile.filter(l => l.result === 'hit');
+    const sites = [...new Set(launches.map(l => l.siteName))];
+
+    return (
+        <div className="radio-log-tab">
+            <div className="scorecard" style={{ marginBottom: '15px' }}>
+                <div className="scorecard-row">
+                    <label>Hostile Launches:</label>
+                    <span>{hostile.length}</span>
+                </div>
+                <div className="scorecard-row">
+                    <label>Aircraft Lost:</label>
+                    <span className={losses.length > 0 ? 'error' : 'success'}>
+                        {losses.length > 0 ? losses.map(l => l.targetName).join(', ') : 'None'}
+                    </span>
+                </div>
+                <div className="scorecard-row">
+                    <label>Sites Engaged:</label>
+                    <span>{sites.join(', ')}</span>
+                </div>
+            </div>
+            <div className="radio-log-entries">
+                {launches.map(l => (
+                    <div key={l.id} className={`radio-log-entry ${l.identity !== 'friendly' && l.result === 'hit' ? 'error' : 'incoming'}`}>
+                        <span className="radio-log-time">{formatTime(l.time)}</span>
+                        <span className="radio-log-callsign">{l.siteName}:</span>
+                        <span className="radio-log-message">
+                            {l.weaponName} at {l.targetName}, {l.range.toFixed(1)} NM / {Math.round(l.altitude / 100) * 100} ft - {resultLabel(l)}
+                        </span>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+function VampireDebrief({ reports }) {
+    const formatTime = (seconds) => {
+        const mins = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${mins}:${secs.toString().padStart(2, '0')}`;
+    };
+    const formatBearing = (bearing) => String(Math.round(bearing) % 360).padStart(3, '0');
+    const resultLabel = (report) => report.result === 'hit' ? `hit ${report.targetName}` : report.result === 'miss' ? 'missed' : 'in flight';
+
+    if (reports.length === 0) {
+        return <div className="debrief-no-data">No inbound missiles detected.</div>;
+    }
+
+    const detected = reports.filter(r => r.weaponId !== null);
+    const called = detected.filter(r => r.callTime !== null);
+    const correct = called.filter(r => r.correct);
+    const falseCalls = reports.filter(r => r.weaponId === null);
+    const latencies = called.map(r => r.callTime - r.detectTime);
+    const averageLatency = latencies.length > 0 ? latencies.reduce((sum, t) => sum + t, 0) / latencies.length : null;
+
+    return (
+        <div className="radio-log-tab">
+            <div className="scorecard" style={{ marginBottom: '15px' }}>
+                <div className="scorecard-row">
+                    <label>Vampires Called:</label>
+                    <span className={called.length < detected.length ? 'error' : 'success'}>
+                        {called.length} of {detected.length}
+                    </span>
+                </div>
+                <div className="scorecard-row">
+                    <label>Correct Calls:</label>
+                    <span className={correct.length < detected.length ? 'warning' : 'success'}>
+                        {correct.length} of {detected.length}
+                    </span>
+                </div>
+                <div className="scorecard-row">
+                    <label>Average Latency:</label>
+                    <span className={averageLatency === null ? '' : averageLatency < 5 ? 'success' : averageLatency < 10 ? 'warning' : 'error'}>
+                        {averageLatency === null ? 'N/A' : `${averageLatency.toFixed(1)}s from detection`}
+                    </span>
+                </div>
+                {falseCalls.length > 0 && (
+                    <div className="scorecard-row">
+                        <label>False Calls:</label>
+                        <span className="error">{falseCalls.length}</span>
+                    </div>
+                )}
+            </div>
+            <div className="radio-log-entries">
+                {reports.map(r => r.weaponId === null ? (
+                    <div key={r.id} className="radio-log-entry error">
+                        <span className="radio-log-time">{formatTime(r.callTime)}</span>
+                        <span className="radio-log-callsign">FALSE CALL:</span>
+                        <span className="radio-log-message">"{r.transcript}" - {r.error}</span>
+                    </div>
+                ) : (
+                    <div key={r.id} className={`radio-log-entry ${r.correct ? 'incoming' : 'error'}`}>
+                        <span className="radio-log-time">{formatTime(r.detectTime)}</span>
+                        <span className="radio-log-callsign">{r.shooterName}:</span>
+                        <span className="radio-log-message">
+                            {r.weaponName} at {r.targetName}, {r.sensor} bearing {formatBearing(r.detectBearing)} / {r.detectRange.toFixed(1)} NM -{' '}
+                            {r.callTime === null
+                                ? 'NOT CALLED'
+                                : `called after ${(r.callTime - r.detectTime).toFixed(0)}s${r.correct ? '' : ` (${r.error})`}`}
+                            {' '}- {resultLabel(r)}
+                        </span>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
 function InterceptRadioLog({ data }) {
     const formatTime = (seconds) => {
         if (seconds === null || seconds === undefined) return '';
@@ -22375,7 +24822,7 @@ function VoiceCalibrationDialog({ onClose, voiceCalibrationMap, setVoiceCalibrat
     return null;
 }
 
-function PauseMenu({ onResume, onSave, onSaveAs, canSave, onLoad, onControls, onSound, onMissionProducts, onDebrief, onScenario, onVoiceCalibration }) {
+function PauseMenu({ onResume, onSave, onSaveAs, canSave, onLoad, onControls, onSound, onMissionProducts, onMaritimeTraffic, onBehaviorTimeline, onGisExchange, onDebrief, onScenario, onVoiceCalibration }) {
     return (
         <div className="modal-overlay">
             <div className="pause-menu">
@@ -22394,6 +24841,13 @@ function PauseMenu({ onResume, onSave, onSaveAs, canSave, onLoad, onControls, on
                     <button className="control-btn" onClick={onLoad}>LOAD FILE</button>
                     <button className="control-btn" onClick={onScenario}>SCENARIO</button>
                     <button className="control-btn" onClick={onMissionProducts}>MISSION PRODUCTS</button>
+                    {onMaritimeTraffic && (
+                        <button className="control-btn" onClick={onMaritimeTraffic}>MARITIME TRAFFIC</button>
+                    )}
+                    {onBehaviorTimeline && (
+                        <button className="control-btn" onClick={onBehaviorTimeline}>BEHAVIOR TIMELINE</button>
+                    )}
+                    <button className="control-btn" onClick={onGisExchange}>GIS EXCHANGE</button>
                     <button className="control-btn" onClick={onDebrief}>AIC DEBRIEF</button>
                     <button className="control-btn" onClick={onSound}>SOUND</button>
                     <button className="control-btn" onClick={onControls}>CONTROLS</button>
@@ -22416,6 +24870,8 @@ function ScenarioSettings({
     ownshipAirDefenseCallsign, setOwnshipAirDefenseCallsign,
     macSideNumber, setMacSideNumber,
     skateFlowEnabled, setSkateFlowEnabled, interceptPhase,
+    scenarioSeed, onSeedChange,
+    theater, onTheaterChange, onTheaterImport, canChangeTheater,
     onClose
 }) {
     return React.createElement('div', { className: 'modal-overlay' },
@@ -22520,6 +24976,60 @@ function ScenarioSettings({
                 )
             ),
 
+            // Scenario Seed Section (same seed = same random event timing on every run)
+            React.createElement('div', { className: 'settings-section' },
+                React.createElement('h3', null, 'Scenario Seed'),
+                React.createElement('div', { style: { display: 'flex', alignItems: 'center', gap: '10px' } },
+                    React.createElement('input', {
+                        type: 'number',
+                        min: 0,
+                        max: 4294967295,
+                        value: scenarioSeed,
+                        onChange: (e) => {
+                            const seed = parseInt(e.target.value, 10);
+                            if (!isNaN(seed) && seed >= 0 && seed <= 4294967295) {
+                                onSeedChange(seed);
+                            }
+                        }
+                    }),
+                    React.createElement('button', {
+                        className: 'control-btn',
+                        onClick: () => onSeedChange(generateScenarioSeed())
+                    }, 'NEW SEED')
+                )
+            ),
+
+            // Theater Section (map geography - theaters.js)
+            React.createElement('div', { className: 'settings-section' },
+                React.createElement('h3', null, 'Theater'),
+                React.createElement('div', { style: { display: 'flex', alignItems: 'center', gap: '10px' } },
+                    React.createElement('select', {
+                        value: theater.id,
+                        disabled: !canChangeTheater,
+                        onChange: (e) => onTheaterChange(Theaters.getTheater(e.target.value))
+                    },
+                        Theaters.listTheaters().map(t =>
+                            React.createElement('option', { key: t.id, value: t.id }, t.builtIn ? t.name : `${t.name} (imported)`)
+                        )
+                    ),
+                    canChangeTheater ? React.createElement('label', { className: 'control-btn' },
+                        'IMPORT',
+                        React.createElement('input', {
+                            type: 'file',
+                            accept: '.geojson,.json,.kml',
+                            style: { display: 'none' },
+                            onChange: (e) => {
+                                onTheaterImport(e.target.files[0]);
+                                e.target.value = '';
+                            }
+                        })
+                    ) : null
+                ),
+                React.createElement('span', {
+                    style: { color: '#888', fontSize: '12px', fontStyle: 'italic' }
+                }, canChangeTheater ? 'GeoJSON or KML: coastlines, islands, cities, airfields, bullseye, shipping lanes' : 'Instructor mode only')
+            ),
+
             // Close Button
             React.createElement('div', { className: 'settings-actions' },
                 React.createElement('button', {
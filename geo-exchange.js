@@ -0,0 +1,559 @@
+// ============================================================================
+// GEO EXCHANGE - GEOJSON AND KML IMPORT / EXPORT
+// ============================================================================
+// Moves map geometry between the simulator and GIS / mission planning tools.
+//
+// Format layer (shared with theaters.js):
+//   readGeoJSON / readKML / readFile  ->  { name, features, warnings }
+//     feature: { name, properties, folders, geometries }
+//     geometry: { type: 'point' | 'line' | 'polygon', coords: [[lat, lon], ...] }
+//   writeGeoJSON / writeKML  <-  { name, layers: [{ name, features }] }
+//
+// Scenario layer:
+//   exportScenario  - assets (with waypoint routes), geo-points, shapes and
+//                     student tracks as a layered collection for the writers
+//   importFeatures  - points become geo-points, lines become line segments,
+//                     polygons become polygon shapes; exported circles,
+//                     rectangles, ellipses and sectors come back as themselves
+//
+// Coordinates are [lat, lon] inside the simulator; GeoJSON and KML are both
+// lon-first, so the readers and writers swap them.
+//
+// Browser: loaded as a plain <script> after shape-geometry.js and before
+//          theaters.js, exposes window.GeoExchange
+// Node:    const GeoExchange = require('./geo-exchange.js');
+
+(function (root, factory) {
+    const geoExchange = typeof module !== 'undefined' && module.exports
+        ? factory(require('./shape-geometry.js'))
+        : factory(root.ShapeGeometry);
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = geoExchange;
+    } else {
+        root.GeoExchange = geoExchange;
+    }
+})(typeof self !== 'undefined' ? self : this, function (ShapeGeometry) {
+
+    function isLatLon(lat, lon) {
+        return Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+    }
+
+    // ========================================================================
+    // GEOJSON READ
+    // ========================================================================
+    // FeatureCollection, a single Feature or a bare geometry. Multi-geometries
+    // and GeometryCollections are flattened; polygons keep their outer ring.
+    // Features whose geometry has no coordinate list are skipped with a warning.
+
+    function readGeoJSON(input) {
+        const json = typeof input === 'string' ? JSON.parse(input) : input;
+        if (!json || typeof json !== 'object') throw new Error('not a GeoJSON object');
+
+        let sourceFeatures;
+        if (json.type === 'FeatureCollection') sourceFeatures = json.features || [];
+        else if (json.type === 'Feature') sourceFeatures = [json];
+        else if (json.type && json.coordinates) sourceFeatures = [{ type: 'Feature', properties: {}, geometry: json }];
+        else throw new Error('expected a GeoJSON FeatureCollection, Feature or geometry');
+
+        const toLatLon = coords => (Array.isArray(coords) ? coords : [])
+            .filter(Array.isArray)
+            .map(([lon, lat]) => [lat, lon])
+            .filter(([lat, lon]) => isLatLon(lat, lon));
+
+        const features = [];
+        const warnings = [];
+        sourceFeatures.forEach((feature, index) => {
+            if (!feature || !feature.geometry) return;
+            const properties = feature.properties || {};
+            const geometries = [];
+            let invalid = null;
+            const push = (type, coords) => {
+                if (coords.length > 0) geometries.push({ type, coords });
+            };
+            const addGeometry = (g) => {
+                const list = g && g.type === 'GeometryCollection' ? g.geometries : g && g.coordinates;
+                if (!Array.isArray(list)) {
+                    invalid = invalid || (g && g.type) || 'geometry';
+                    return;
+                }
+                switch (g.type) {
+                    case 'Point':
+                        push('point', toLatLon([g.coordinates]));
+                        break;
+                    case 'MultiPoint':
+                        g.coordinates.forEach(c => push('point', toLatLon([c])));
+                        break;
+                    case 'LineString':
+                        push('line', toLatLon(g.coordinates));
+                        break;
+                    case 'MultiLineString':
+                        g.coordinates.forEach(line => push('line', toLatLon(line)));
+                        break;
+                    case 'Polygon':
+                        push('polygon', toLatLon(g.coordinates[0] || []));
+                        break;
+                    case 'MultiPolygon':
+                        g.coordinates.forEach(poly => push('polygon', toLatLon(Array.isArray(poly) ? poly[0] : [])));
+                        break;
+                    case 'GeometryCollection':
+                        g.geometries.forEach(addGeometry);
+                        break;
+                    default:
+                        break;
+                }
+            };
+            addGeometry(feature.geometry);
+            if (invalid) {
+                warnings.push(`${properties.name || `feature ${index + 1}`}: malformed ${invalid} - skipped`);
+                return;
+            }
+            if (geometries.length === 0) return;
+            features.push({ name: properties.name || '', properties, folders: [], geometries });
+        });
+
+        return { name: json.name || null, features, warnings };
+    }
+
+    // ========================================================================
+    // KML READ
+    // ========================================================================
+    // Placemarks with Point, LineString, Polygon (outer boundary) or
+    // MultiGeometry. ExtendedData <Data> values become properties and the
+    // names of the enclosing folders are kept (outermost first). Parsed with
+    // regular expressions so it also runs under Node.
+
+    function decodeXml(text) {
+        return String(text)
+            .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&')
+            .trim();
+    }
+
+    // "lon,lat[,alt] lon,lat[,alt] ..." -> [[lat, lon], ...]
+    function parseKmlCoordinates(text) {
+        return decodeXml(text).split(/\s+/).filter(Boolean).map(tuple => {
+            const [lon, lat] = tuple.split(',').map(Number);
+            return [lat, lon];
+        }).filter(([lat, lon]) => isLatLon(lat, lon));
+    }
+
+    function kmlExtendedData(placemark) {
+        const properties = {};
+        const pattern = /<Data\s+name=["']([^"']+)["'][^>]*>\s*<value>([\s\S]*?)<\/value>/gi;
+        let match;
+        while ((match = pattern.exec(placemark)) !== null) {
+            properties[match[1]] = decodeXml(match[2]);
+        }
+        return properties;
+    }
+
+    function readKML(text) {
+        if (typeof text !== 'string' || !/<kml[\s>]/i.test(text)) throw new Error('not a KML document');
+
+        // Walk folders and placemarks in document order, tracking folder names
+        const tokens = /<Folder\b[^>]*>|<\/Folder>|<Placemark\b[^>]*>[\s\S]*?<\/Placemark>|<name>([\s\S]*?)<\/name>/gi;
+        const folderStack = [];
+        let awaitingFolderName = false;
+        let documentName = null;
+        const placemarks = [];
+        let match;
+        while ((match = tokens.exec(text)) !== null) {
+            const token = match[0];
+            if (/^<Folder/i.test(token)) {
+                folderStack.push(null);
+                awaitingFolderName = true;
+            } else if (/^<\/Folder/i.test(token)) {
+                folderStack.pop();
+                awaitingFolderName = false;
+            } else if (/^<Placemark/i.test(token)) {
+                awaitingFolderName = false;
+                placemarks.push({ body: token, folders: folderStack.filter(Boolean) });
+            } else if (awaitingFolderName) {
+                folderStack[folderStack.length - 1] = decodeXml(match[1]);
+                awaitingFolderName = false;
+            } else if (documentName === null && folderStack.length === 0 && placemarks.length === 0) {
+                documentName = decodeXml(match[1]);
+            }
+        }
+
+        const features = [];
+        placemarks.forEach(({ body, folders }) => {
+            const nameMatch = body.match(/<name>([\s\S]*?)<\/name>/i);
+            const geometries = [];
+            const pattern = /<(Point|LineString|Polygon)\b[^>]*>([\s\S]*?)<\/\1>/gi;
+            let geometry;
+            while ((geometry = pattern.exec(body)) !== null) {
+                const kind = geometry[1].toLowerCase();
+                const source = kind === 'polygon'
+                    ? (geometry[2].match(/<outerBoundaryIs>[\s\S]*?<coordinates>([\s\S]*?)<\/coordinates>/i) || [])[1]
+                    : (geometry[2].match(/<coordinates>([\s\S]*?)<\/coordinates>/i) || [])[1];
+                if (!source) continue;
+                const coords = parseKmlCoordinates(source);
+                if (coords.length === 0) continue;
+                geometries.push({ type: kind === 'point' ? 'point' : (kind === 'linestring' ? 'line' : 'polygon'), coords });
+            }
+            if (geometries.length === 0) return;
+            features.push({
+                name: nameMatch ? decodeXml(nameMatch[1]) : '',
+                properties: kmlExtendedData(body),
+                folders,
+                geometries
+            });
+        });
+
+        return { name: documentName || null, features, warnings: [] };
+    }
+
+    function isKmlFile(fileName, text) {
+        return /\.kml$/i.test(fileName || '') || /^\s*(<\?xml[\s\S]*?\?>\s*)?<kml[\s>]/i.test(text);
+    }
+
+    // Pick the reader from the file name (or content)
+    function readFile(fileName, text) {
+        return isKmlFile(fileName, text) ? readKML(text) : readGeoJSON(text);
+    }
+
+    // ========================================================================
+    // WRITERS
+    // ========================================================================
+    // Both take { name, layers: [{ name, features }] } where each feature has a
+    // name, flat properties and one geometry. GeoJSON has no layers, so each
+    // feature carries its layer name in properties.layer; KML gets a folder per
+    // layer and, when options.colors maps identities to '#RRGGBB', a style per
+    // identity so Google Earth draws them in the simulator's colors.
+
+    function toGeoJSONGeometry(geometry) {
+        const lonLat = geometry.coords.map(([lat, lon]) => [lon, lat]);
+        if (geometry.type === 'point') return { type: 'Point', coordinates: lonLat[0] };
+        if (geometry.type === 'line') return { type: 'LineString', coordinates: lonLat };
+        return { type: 'Polygon', coordinates: [closeRing(lonLat)] };
+    }
+
+    function closeRing(coords) {
+        if (coords.length === 0) return coords;
+        const [first, last] = [coords[0], coords[coords.length - 1]];
+        return first[0] === last[0] && first[1] === last[1] ? coords : [...coords, first];
+    }
+
+    function writeGeoJSON(collection) {
+        const features = [];
+        collection.layers.forEach(layer => {
+            layer.features.forEach(feature => {
+                features.push({
+                    type: 'Feature',
+                    properties: { name: feature.name, layer: layer.name, ...feature.properties },
+                    geometry: toGeoJSONGeometry(feature.geometry)
+                });
+            });
+        });
+        return JSON.stringify({ type: 'FeatureCollection', name: collection.name, features }, null, 2);
+    }
+
+    function escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    // '#RRGGBB' -> KML 'aabbggrr'
+    function kmlColor(hex, alpha = 'ff') {
+        const rgb = String(hex).replace('#', '').toLowerCase();
+        return `${alpha}${rgb.slice(4, 6)}${rgb.slice(2, 4)}${rgb.slice(0, 2)}`;
+    }
+
+    function toKmlGeometry(geometry) {
+        const coordinates = coords => coords.map(([lat, lon]) => `${lon},${lat},0`).join(' ');
+        if (geometry.type === 'point') {
+            return `<Point><coordinates>${coordinates(geometry.coords)}</coordinates></Point>`;
+        }
+        if (geometry.type === 'line') {
+            return `<LineString><tessellate>1</tessellate><coordinates>${coordinates(geometry.coords)}</coordinates></LineString>`;
+        }
+        const ring = closeRing(geometry.coords.map(([lat, lon]) => [lon, lat])).map(([lon, lat]) => [lat, lon]);
+        return `<Polygon><outerBoundaryIs><LinearRing><coordinates>${coordinates(ring)}</coordinates></LinearRing></outerBoundaryIs></Polygon>`;
+    }
+
+    function writeKML(collection, options = {}) {
+        const colors = options.colors || {};
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2">',
+            '<Document>',
+            `<name>${escapeXml(collection.name)}</name>`
+        ];
+        Object.entries(colors).forEach(([identity, hex]) => {
+            lines.push(
+                `<Style id="${escapeXml(identity)}">`,
+                `<IconStyle><color>${kmlColor(hex)}</color></IconStyle>`,
+                `<LineStyle><color>${kmlColor(hex)}</color><width>2</width></LineStyle>`,
+                `<PolyStyle><color>${kmlColor(hex, '40')}</color></PolyStyle>`,
+                '</Style>'
+            );
+        });
+        collection.layers.forEach(layer => {
+            if (layer.features.length === 0) return;
+            lines.push('<Folder>', `<name>${escapeXml(layer.name)}</name>`);
+            layer.features.forEach(feature => {
+                const identity = feature.properties.identity;
+                lines.push('<Placemark>', `<name>${escapeXml(feature.name)}</name>`);
+                if (identity && colors[identity]) lines.push(`<styleUrl>#${escapeXml(identity)}</styleUrl>`);
+                const data = Object.entries(feature.properties).filter(([, value]) => value !== null && value !== undefined);
+                if (data.length > 0) {
+                    lines.push('<ExtendedData>');
+                    data.forEach(([key, value]) => {
+                        lines.push(`<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`);
+                    });
+                    lines.push('</ExtendedData>');
+                }
+                lines.push(toKmlGeometry(feature.geometry), '</Placemark>');
+            });
+            lines.push('</Folder>');
+        });
+        lines.push('</Document>', '</kml>', '');
+        return lines.join('\n');
+    }
+
+    // ========================================================================
+    // SCENARIO EXPORT
+    // ========================================================================
+
+    // Scalar fields only, minus the ones the geometry already carries
+    function scalarProperties(source, skip) {
+        const properties = {};
+        Object.entries(source).forEach(([key, value]) => {
+            if (skip.includes(key)) return;
+            if (['string', 'number', 'boolean'].includes(typeof value)) properties[key] = value;
+        });
+        return properties;
+    }
+
+    const ASSET_PROPERTIES = ['type', 'identity', 'domain', 'platform', 'heading', 'speed', 'altitude', 'depth', 'trackNumber', 'hidden'];
+
+    // layers: { assets, geoPoints, shapes, studentTracks } - which to include
+    function exportScenario({ name, assets = [], geoPoints = [], shapes = [], studentTracks = [] }, layers = {}) {
+        const collection = { name: name || 'Scenario', layers: [] };
+
+        if (layers.assets) {
+            const features = [];
+            assets.forEach(asset => {
+                const properties = { kind: 'asset' };
+                ASSET_PROPERTIES.forEach(key => {
+                    const value = key === 'platform' && asset.platform ? asset.platform.name : asset[key];
+                    if (value !== undefined && value !== null && value !== '') properties[key] = value;
+                });
+                features.push({ name: asset.name, properties, geometry: { type: 'point', coords: [[asset.lat, asset.lon]] } });
+                if (asset.waypoints && asset.waypoints.length > 0) {
+                    features.push({
+                        name: `${asset.name} route`,
+                        properties: { kind: 'route', identity: asset.identity, asset: asset.name },
+                        geometry: { type: 'line', coords: [[asset.lat, asset.lon], ...asset.waypoints.map(wp => [wp.lat, wp.lon])] }
+                    });
+                }
+            });
+            collection.layers.push({ name: 'Assets', features });
+        }
+
+        if (layers.geoPoints) {
+            collection.layers.push({
+                name: 'Geo-Points',
+                features: geoPoints.map(gp => ({
+                    name: gp.name || '',
+                    properties: { kind: 'geoPoint', ...scalarProperties(gp, ['id', 'name', 'lat', 'lon']) },
+                    geometry: { type: 'point', coords: [[gp.lat, gp.lon]] }
+                }))
+            });
+        }
+
+        if (layers.shapes) {
+            collection.layers.push({
+                name: 'Shapes',
+                features: shapes.map(shape => {
+                    // Parametric shapes keep their parameters so they come back exactly, not as outlines
+                    const properties = { kind: 'shape', shape: shape.type, ...scalarProperties(shape, ['id', 'type', 'points']) };
+                    if (shape.type === 'circle') {
+                        properties.radiusNm = shape.radius;
+                        delete properties.radius;
+                    }
+                    // Vertex names have nowhere to go in either format, so they ride along as one property
+                    if (shape.points && shape.points.some(p => p.name)) {
+                        properties.pointNames = shape.points.map(p => p.name || '').join('|');
+                    }
+                    // Airspace control measure type, with its rules as JSON text (KML data is text only)
+                    if (shape.acm) {
+                        properties.acm = shape.acm.type;
+                        properties.acmRules = JSON.stringify(shape.acm.rules || []);
+                    }
+                    const { points, closed } = ShapeGeometry.outline(shape);
+                    return {
+                        name: shape.label || '',
+                        properties,
+                        geometry: { type: closed ? 'polygon' : 'line', coords: points.map(p => [p.lat, p.lon]) }
+                    };
+                })
+            });
+        }
+
+        if (layers.studentTracks) {
+            collection.layers.push({
+                name: 'Tracks',
+                features: studentTracks.map(track => ({
+                    name: track.label || (track.trackNumber ? `TN ${track.trackNumber}` : `TRACK ${track.id}`),
+                    properties: {
+                        kind: 'track',
+                        identity: track.identity,
+                        domain: track.domain,
+                        trackNumber: track.trackNumber,
+                        heading: track.estimatedHeading,
+                        speed: track.estimatedSpeed
+                    },
+                    geometry: { type: 'point', coords: [[track.lat, track.lon]] }
+                }))
+            });
+        }
+
+        return collection;
+    }
+
+    // ========================================================================
+    // SCENARIO IMPORT
+    // ========================================================================
+    // Points become geo-points: the type comes from properties.type or the
+    // folder name (CAP station, airfield, SAM site, mark), default mark. A
+    // point with a radiusNm (or radius) property becomes a circle. Lines become
+    // line segment shapes and polygons polygon shapes, unless the feature names
+    // a parametric shape (shape = circle, rectangle, ellipse or sector) and
+    // carries its parameters, as exports do. Identity comes from
+    // properties.identity (default unknown); area shapes take minAltitude /
+    // maxAltitude in feet and an airspace control measure from acm / acmRules.
+
+    const IDENTITIES = ['friendly', 'hostile', 'neutral', 'unknown', 'unknownUnevaluated'];
+
+    const GEOPOINT_TYPE_ALIASES = {
+        capstation: 'capStation', cap: 'capStation', 'cap station': 'capStation', 'cap stations': 'capStation',
+        airfield: 'airfield', airfields: 'airfield', airbase: 'airfield', airport: 'airfield',
+        samsite: 'samSite', sam: 'samSite', 'sam site': 'samSite', 'sam sites': 'samSite',
+        mark: 'mark', marks: 'mark'
+    };
+
+    function geoPointType(value) {
+        if (typeof value !== 'string') return null;
+        return GEOPOINT_TYPE_ALIASES[value.trim().toLowerCase()] || null;
+    }
+
+    function numberProperty(properties, ...keys) {
+        for (const key of keys) {
+            const value = Number(properties[key]);
+            if (properties[key] !== undefined && properties[key] !== '' && Number.isFinite(value)) return value;
+        }
+        return null;
+    }
+
+    // { type, rules } from an exported control measure, or null
+    function controlMeasureProperty(properties) {
+        if (typeof properties.acm !== 'string' || !properties.acm) return null;
+        try {
+            const rules = typeof properties.acmRules === 'string' ? JSON.parse(properties.acmRules) : [];
+            return Array.isArray(rules) ? { type: properties.acm, rules } : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Returns { geoPoints, shapes, warnings } without ids - the caller numbers them.
+    // The reader's warnings (skipped features) come first.
+    function importFeatures({ features, warnings: readWarnings }) {
+        const geoPoints = [];
+        const shapes = [];
+        const warnings = [...(readWarnings || [])];
+        let skipped = 0;
+
+        features.forEach(feature => {
+            const properties = feature.properties || {};
+            const kind = properties.kind;
+            if (kind === 'asset' || kind === 'route' || kind === 'track') {
+                skipped++;
+                return;
+            }
+            const identity = IDENTITIES.includes(properties.identity) ? properties.identity : 'unknown';
+            const label = feature.name || '';
+            const area = {
+                identity,
+                label,
+                minAltitude: numberProperty(properties, 'minAltitude'),
+                maxAltitude: numberProperty(properties, 'maxAltitude'),
+                acm: controlMeasureProperty(properties)
+            };
+
+            feature.geometries.forEach(geometry => {
+                const radius = numberProperty(properties, 'radiusNm', 'radius');
+                const params = ShapeGeometry.SHAPE_PARAMS[properties.shape];
+                const parametric = params && (() => {
+                    const [pointLat, pointLon] = geometry.type === 'point' ? geometry.coords[0] : [null, null];
+                    const values = {};
+                    params.forEach(key => {
+                        if (key === 'radius') values.radius = radius;
+                        else values[key] = numberProperty(properties, key);
+                    });
+                    if (values.centerLat === null) values.centerLat = pointLat;
+                    if (values.centerLon === null) values.centerLon = pointLon;
+                    return Object.values(values).every(v => v !== null) ? values : null;
+                })();
+
+                if (parametric) {
+                    shapes.push({ type: properties.shape, ...parametric, ...area });
+                } else if (geometry.type === 'point' && radius > 0) {
+                    const [lat, lon] = geometry.coords[0];
+                    shapes.push({ type: 'circle', centerLat: lat, centerLon: lon, radius, ...area });
+                } else if (geometry.type === 'point') {
+                    const [lat, lon] = geometry.coords[0];
+                    const type = geoPointType(properties.type) ||
+                        feature.folders.slice().reverse().map(geoPointType).find(Boolean) || 'mark';
+                    geoPoints.push({ name: label, type, lat, lon, identity });
+                } else {
+                    const isPolygon = geometry.type === 'polygon';
+                    // Rings repeat their first point at the end; the polygon shape closes itself
+                    const coords = isPolygon && geometry.coords.length > 1 &&
+                        geometry.coords[0][0] === geometry.coords[geometry.coords.length - 1][0] &&
+                        geometry.coords[0][1] === geometry.coords[geometry.coords.length - 1][1]
+                        ? geometry.coords.slice(0, -1)
+                        : geometry.coords;
+                    const minPoints = isPolygon ? 3 : 2;
+                    if (coords.length < minPoints) {
+                        warnings.push(`${label || (isPolygon ? 'polygon' : 'line')}: needs at least ${minPoints} points - skipped`);
+                        return;
+                    }
+                    const pointNames = typeof properties.pointNames === 'string'
+                        ? properties.pointNames.split('|')
+                        : (isPolygon ? [] : [label]);
+                    const points = coords.map(([lat, lon], i) => ({ lat, lon, name: pointNames[i] || '' }));
+                    shapes.push(isPolygon
+                        ? { type: 'polygon', points, ...area }
+                        : { type: 'lineSegment', points, identity });
+                }
+            });
+        });
+
+        if (skipped > 0) {
+            warnings.push(`${skipped} asset, route or track feature(s) skipped - only geo-points and shapes are imported`);
+        }
+        return { geoPoints, shapes, warnings };
+    }
+
+    return {
+        readGeoJSON,
+        readKML,
+        readFile,
+        isKmlFile,
+        writeGeoJSON,
+        writeKML,
+        exportScenario,
+        importFeatures
+    };
+});
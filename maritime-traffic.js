@@ -0,0 +1,632 @@
+// ============================================================================
+// MARITIME TRAFFIC GENERATOR - BACKGROUND SHIPPING FOR SURFACE SEARCH / MAC
+// ============================================================================
+// Populates the theater with surface traffic instead of hand-placing every
+// merchant, dhow and fishing vessel:
+//   shipping - merchants on the shipping lanes (in the Gulf, through the Strait
+//              of Hormuz) between a lane entry and a port, in either direction,
+//              offset to their side of the lane
+//   dhows    - port-to-port traffic between the cities on the map
+//   fishing  - clusters of slow boats working a few miles off the coast
+//   COIs     - contacts of interest: combatants hidden in the traffic, moving
+//              along the same routes at the same speeds as the vessels around
+//              them, so the student has to find them rather than spot them
+//
+// Routes are built on a visibility graph of the theater's open-water lane
+// nodes (theaters.js) plus a harbour point just off each city. A leg is only used if it stays at least
+// MARGIN_NM from the coastline and island polygons, so every generated vessel
+// has waypoints that keep it in open water. The last two waypoints of a route
+// are wrapped, so a vessel that reaches the end of its route shuttles there
+// instead of sailing on into the beach.
+//
+// Geometry is passed in from the active theater (coastlines, islands, cities,
+// lanes), so the same code works for any theater that has shipping lanes.
+// Every random choice comes from the seed.
+//
+// Browser: loaded as a plain <script> after simulation-core.js,
+//          exposes window.MaritimeTraffic
+// Node:    const MaritimeTraffic = require('./maritime-traffic.js');
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./simulation-core.js'));
+    } else {
+        root.MaritimeTraffic = factory(root.SimulationCore);
+    }
+})(typeof self !== 'undefined' ? self : this, function (SimulationCore) {
+
+    const {
+        calculateBearing, calculateDistance, computeDestinationPoint,
+        createSeededRandom, hashSeed, generateScenarioSeed
+    } = SimulationCore;
+
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+
+    // Vessel counts per density level
+    const DENSITY_LEVELS = {
+        light: { label: 'Light', shipping: 6, dhows: 4, fishingClusters: 2 },
+        moderate: { label: 'Moderate', shipping: 12, dhows: 8, fishingClusters: 4 },
+        heavy: { label: 'Heavy', shipping: 20, dhows: 14, fishingClusters: 6 }
+    };
+
+    const DEFAULT_PARAMS = {
+        density: 'moderate',
+        shipping: true,
+        dhows: true,
+        fishing: true,
+        contactsOfInterest: 2,
+        areaRadius: 120      // NM around the area center; 0 = the whole theater
+    };
+
+    const MAX_CONTACTS_OF_INTEREST = 10;
+    const MAX_AREA_RADIUS = 500;
+
+    const MARGIN_NM = 1.5;              // Minimum clearance from land for any leg
+    const HARBOUR_MIN_RANGE = 2;        // NM off the city to look for a harbour point
+    const HARBOUR_MAX_RANGE = 16;
+    const LANE_OFFSET = 1.5;            // NM each side of the lane centerline (separation scheme)
+    const FISHING_MIN_RANGE = 5;        // NM offshore for fishing clusters
+    const FISHING_MAX_RANGE = 14;
+    const FISHING_SPREAD = 2;           // NM radius of a cluster
+    const TRAWL_LENGTH_MIN = 2;
+    const TRAWL_LENGTH_MAX = 4;
+    const DHOW_MAX_ROUTE = 180;         // NM - dhows stay local
+
+    const SHIPPING_PLATFORMS = ['Oil-Tanker', 'Container-Ship', 'Freighter', 'Cruise-Ship'];
+    const DHOW_PLATFORMS = ['Dhow'];
+    const FISHING_PLATFORMS = ['Fishing-Vessel', 'Fishing-Vessel', 'Dhow'];
+
+    // ========================================================================
+    // HELPERS
+    // ========================================================================
+
+    function createRoller(seed) {
+        const random = createSeededRandom(hashSeed(seed, 'traffic'));
+        return {
+            random,
+            between: (min, max) => min + random() * (max - min),
+            intBetween: (min, max) => min + Math.floor(random() * (max - min + 1)),
+            pick: (list) => list[Math.floor(random() * list.length)]
+        };
+    }
+
+    function findPlatform(platforms, name) {
+        const list = (platforms && platforms.surface) || [];
+        const platform = list.find(p => p.name === name);
+        return platform ? JSON.parse(JSON.stringify(platform)) : null;
+    }
+
+    // Combatants small enough to pass for traffic until someone looks closely
+    function contactOfInterestPlatforms(platforms) {
+        const list = (platforms && platforms.surface) || [];
+        return list.filter(p => p.threatLevel === 1 && p.isar === 'minor-combatant.png');
+    }
+
+    // Transit speed for a platform: 50-85% of its maximum, whole knots
+    function transitSpeed(roller, platform, fallback) {
+        const max = platform && platform.maxSpeed ? platform.maxSpeed : fallback;
+        return Math.max(2, Math.round(roller.between(0.5, 0.85) * max));
+    }
+
+    // ========================================================================
+    // LAND AVOIDANCE
+    // ========================================================================
+    // Everything is checked on a flat NM grid centered on the traffic area.
+    // Over a theater the size of the Gulf the error is a few percent, well
+    // inside the clearance margin.
+
+    function createLandModel(coastlines, islands, origin) {
+        const cosLat = Math.cos(origin.lat * Math.PI / 180);
+        const project = (lat, lon) => ({ x: (lon - origin.lon) * 60 * cosLat, y: (lat - origin.lat) * 60 });
+
+        const segments = [];
+        const addPolyline = (coords, closed) => {
+            const points = coords.map(([lat, lon]) => project(lat, lon));
+            const count = closed ? points.length : points.length - 1;
+            for (let i = 0; i < count; i++) {
+                const a = points[i];
+                const b = points[(i + 1) % points.length];
+                segments.push({
+                    a, b,
+                    minX: Math.min(a.x, b.x), maxX: Math.max(a.x, b.x),
+                    minY: Math.min(a.y, b.y), maxY: Math.max(a.y, b.y)
+                });
+            }
+        };
+        (coastlines || []).forEach(line => {
+            if (line && line.length > 1) addPolyline(line, false);
+        });
+        (islands || []).forEach(island => {
+            if (island.coords && island.coords.length > 2) addPolyline(island.coords, true);
+        });
+
+        // Clearance from point p to the nearest land segment, up to `limit`
+        const clearanceAt = (lat, lon, limit) => {
+            const p = project(lat, lon);
+            let best = limit;
+            for (const s of segments) {
+                if (p.x < s.minX - best || p.x > s.maxX + best || p.y < s.minY - best || p.y > s.maxY + best) continue;
+                best = Math.min(best, pointSegmentDistance(p, s.a, s.b));
+            }
+            return best;
+        };
+
+        // True if the straight leg stays at least `margin` from land
+        const legIsClear = (from, to, margin = MARGIN_NM) => {
+            const p = project(from.lat, from.lon);
+            const q = project(to.lat, to.lon);
+            const minX = Math.min(p.x, q.x) - margin;
+            const maxX = Math.max(p.x, q.x) + margin;
+            const minY = Math.min(p.y, q.y) - margin;
+            const maxY = Math.max(p.y, q.y) + margin;
+            for (const s of segments) {
+                if (s.maxX < minX || s.minX > maxX || s.maxY < minY || s.minY > maxY) continue;
+                if (segmentDistance(p, q, s.a, s.b) < margin) return false;
+            }
+            return true;
+        };
+
+        return { clearanceAt, legIsClear };
+    }
+
+    function pointSegmentDistance(p, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+        const x = a.x + t * dx - p.x;
+        const y = a.y + t * dy - p.y;
+        return Math.sqrt(x * x + y * y);
+    }
+
+    function segmentsIntersect(p, q, a, b) {
+        const cross = (o, u, v) => (u.x - o.x) * (v.y - o.y) - (u.y - o.y) * (v.x - o.x);
+        const d1 = cross(a, b, p);
+        const d2 = cross(a, b, q);
+        const d3 = cross(p, q, a);
+        const d4 = cross(p, q, b);
+        return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+    }
+
+    function segmentDistance(p, q, a, b) {
+        if (segmentsIntersect(p, q, a, b)) return 0;
+        return Math.min(
+            pointSegmentDistance(p, a, b),
+            pointSegmentDistance(q, a, b),
+            pointSegmentDistance(a, p, q),
+            pointSegmentDistance(b, p, q)
+        );
+    }
+
+    // ========================================================================
+    // ROUTE NETWORK
+    // ========================================================================
+
+    // Closest open-water point off a city that can see the lane network
+    function findHarbour(city, land, laneNodes) {
+        for (let range = HARBOUR_MIN_RANGE; range <= HARBOUR_MAX_RANGE; range += 1) {
+            for (let bearing = 0; bearing < 360; bearing += 15) {
+                const point = computeDestinationPoint(city.lat, city.lon, bearing, range);
+                if (land.clearanceAt(point.lat, point.lon, MARGIN_NM) < MARGIN_NM) continue;
+                if (laneNodes.some(node => land.legIsClear(point, node))) {
+                    return { name: city.name, lat: point.lat, lon: point.lon, harbour: true };
+                }
+            }
+        }
+        return null;
+    }
+
+    // Lane nodes + harbours, with an edge wherever the straight leg is clear
+    function buildNetwork(land, laneNodes, cities) {
+        const lanes = laneNodes.filter(node => land.clearanceAt(node.lat, node.lon, MARGIN_NM) >= MARGIN_NM);
+        const harbours = (cities || [])
+            .map(city => findHarbour(city, land, lanes))
+            .filter(Boolean);
+        const nodes = lanes.map(node => ({ ...node })).concat(harbours);
+
+        const edges = nodes.map(() => []);
+        for (let i = 0; i < nodes.length; i++) {
+            for (let j = i + 1; j < nodes.length; j++) {
+                if (!land.legIsClear(nodes[i], nodes[j])) continue;
+                const distance = calculateDistance(nodes[i].lat, nodes[i].lon, nodes[j].lat, nodes[j].lon);
+                edges[i].push({ to: j, distance });
+                edges[j].push({ to: i, distance });
+            }
+        }
+        return { nodes, edges };
+    }
+
+    // Shortest path between two node indexes (Dijkstra); null if unreachable
+    function shortestPath(network, from, to) {
+        const count = network.nodes.length;
+        const distance = new Array(count).fill(Infinity);
+        const previous = new Array(count).fill(-1);
+        const done = new Array(count).fill(false);
+        distance[from] = 0;
+
+        for (let step = 0; step < count; step++) {
+            let current = -1;
+            for (let i = 0; i < count; i++) {
+                if (!done[i] && distance[i] < Infinity && (current === -1 || distance[i] < distance[current])) current = i;
+            }
+            if (current === -1 || current === to) break;
+            done[current] = true;
+            network.edges[current].forEach(edge => {
+                const candidate = distance[current] + edge.distance;
+                if (candidate < distance[edge.to]) {
+                    distance[edge.to] = candidate;
+                    previous[edge.to] = current;
+                }
+            });
+        }
+
+        if (distance[to] === Infinity) return null;
+        const path = [];
+        for (let node = to; node !== -1; node = previous[node]) path.unshift(network.nodes[node]);
+        return { points: path, length: distance[to] };
+    }
+
+    // Shift a route sideways (positive = starboard) where the shifted legs stay clear
+    function offsetRoute(points, offset, land) {
+        const shifted = points.map((point, i) => {
+            const ahead = points[Math.min(i + 1, points.length - 1)];
+            const behind = points[Math.max(i - 1, 0)];
+            const course = calculateBearing(behind.lat, behind.lon, ahead.lat, ahead.lon);
+            return computeDestinationPoint(point.lat, point.lon, course + 90, offset);
+        });
+        for (let i = 0; i < shifted.length - 1; i++) {
+            if (!land.legIsClear(shifted[i], shifted[i + 1])) return points;
+        }
+        return shifted;
+    }
+
+    // Start somewhere along a route, inside the area if there is one.
+    // Returns { position, remaining } or null if the route never enters the area.
+    function placeOnRoute(roller, points, area) {
+        const legs = [];
+        for (let i = 0; i < points.length - 1; i++) {
+            legs.push(calculateDistance(points[i].lat, points[i].lon, points[i + 1].lat, points[i + 1].lon));
+        }
+        const total = legs.reduce((sum, leg) => sum + leg, 0);
+        if (total < 1) return null;
+
+        // Sample every NM and keep the candidates inside the area
+        const candidates = [];
+        let travelled = 0;
+        legs.forEach((leg, i) => {
+            const from = points[i];
+            const course = calculateBearing(from.lat, from.lon, points[i + 1].lat, points[i + 1].lon);
+            for (let along = 0; along < leg - 1; along += 1) {
+                const position = computeDestinationPoint(from.lat, from.lon, course, along);
+                if (!area || calculateDistance(area.lat, area.lon, position.lat, position.lon) <= area.radius) {
+                    candidates.push({ position, nextIndex: i + 1, travelled: travelled + along });
+                }
+            }
+            travelled += leg;
+        });
+        if (candidates.length === 0) return null;
+
+        const choice = roller.pick(candidates);
+        return { position: choice.position, remaining: points.slice(choice.nextIndex) };
+    }
+
+    // Waypoints for the rest of a route; the last pair is wrapped so the vessel
+    // shuttles at the end of the route rather than running aground
+    function routeWaypoints(position, remaining) {
+        const points = remaining.length >= 2 ? remaining : [position, ...remaining];
+        return points.map((point, i) => ({
+            id: i + 1,
+            lat: point.lat,
+            lon: point.lon,
+            reached: false,
+            ...(i === points.length - 1 && i > 0 ? { wrappedWithPrevious: true } : {})
+        }));
+    }
+
+    // ========================================================================
+    // ASSETS
+    // ========================================================================
+
+    // Same shape addAsset creates, for a surface vessel
+    function makeVessel(fields) {
+        const platform = fields.platform || null;
+        const emitterStates = {};
+        if (platform && platform.emitters) {
+            platform.emitters.forEach(emitter => {
+                emitterStates[emitter] = false;
+            });
+        }
+        const waypoints = fields.waypoints || [];
+        const heading = waypoints.length > 0
+            ? Math.round(calculateBearing(fields.lat, fields.lon, waypoints[0].lat, waypoints[0].lon)) % 360
+            : 0;
+        return {
+            id: fields.id,
+            name: fields.name,
+            type: 'unknown',
+            identity: 'unknown',
+            domain: 'surface',
+            platform,
+            lat: fields.lat,
+            lon: fields.lon,
+            heading,
+            speed: fields.speed,
+            altitude: 0,
+            depth: null,
+            targetHeading: waypoints.length > 0 ? heading : null,
+            targetSpeed: null,
+            targetAltitude: null,
+            targetDepth: null,
+            waypoints,
+            nextWaypointId: waypoints.length,
+            trackNumber: null,
+            emitterStates,
+            iffModeI: '',
+            iffModeII: '',
+            iffModeIII: '',
+            iffSquawking: false,
+            datalinkNet: '',
+            datalinkJU: '',
+            datalinkTrackBlockStart: '',
+            datalinkTrackBlockEnd: '',
+            datalinkActive: false,
+            datalinkAssignedTrack: null,
+            behaviors: [],
+            hidden: false,
+            trackFileEnabled: true,
+            studentLabel: '',
+            targetingState: null,
+            targetedAssetId: null,
+            targetDeclaration: null,
+            interceptCommitted: false,
+            behaviorInterceptTargetId: null,
+            vidCalled20nm: false,
+            vidCalled2nm: false,
+            declareCalled28nm: false,
+            declareResponseReceived: false,
+            fox3Called25nm: false,
+            generatedTraffic: fields.category,
+            contactOfInterest: !!fields.contactOfInterest
+        };
+    }
+
+    // ========================================================================
+    // PARAMETER VALIDATION
+    // ========================================================================
+
+    // Returns a list of readable problems (empty when the parameters are usable)
+    function validateParams(input) {
+        const params = { ...DEFAULT_PARAMS, ...input };
+        const errors = [];
+
+        if (!DENSITY_LEVELS[params.density]) {
+            errors.push(`Unknown traffic density: ${params.density}`);
+        }
+        const coi = params.contactsOfInterest;
+        if (typeof coi !== 'number' || isNaN(coi) || coi < 0 || coi > MAX_CONTACTS_OF_INTEREST || Math.floor(coi) !== coi) {
+            errors.push(`Contacts of interest must be a whole number from 0 to ${MAX_CONTACTS_OF_INTEREST}`);
+        }
+        const radius = params.areaRadius;
+        if (typeof radius !== 'number' || isNaN(radius) || radius < 0 || radius > MAX_AREA_RADIUS) {
+            errors.push(`Area radius must be between 0 and ${MAX_AREA_RADIUS} NM`);
+        } else if (radius > 0 && radius < 20) {
+            errors.push('Area radius must be at least 20 NM (or 0 for the whole theater)');
+        }
+        if (!params.shipping && !params.dhows && !params.fishing && coi > 0) {
+            errors.push('Contacts of interest need at least one kind of traffic to hide in');
+        }
+        if (!params.shipping && !params.dhows && !params.fishing && coi === 0) {
+            errors.push('Select at least one kind of traffic');
+        }
+        return errors;
+    }
+
+    // ========================================================================
+    // GENERATOR
+    // ========================================================================
+
+    // options: { seed, platforms, coastlines, islands, cities, lanes, center: {lat, lon}, firstAssetId }
+    // Returns { assets, summary, seed, nextAssetId }; throws if the parameters are invalid
+    function generateTraffic(input, options = {}) {
+        const errors = validateParams(input);
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+
+        const params = { ...DEFAULT_PARAMS, ...input };
+        const seed = options.seed !== undefined && options.seed !== null ? options.seed >>> 0 : generateScenarioSeed();
+        const roller = createRoller(seed);
+        const platforms = options.platforms || {};
+        const center = options.center || { lat: 26.5, lon: 54.0 };
+        const area = params.areaRadius > 0 ? { lat: center.lat, lon: center.lon, radius: params.areaRadius } : null;
+        const density = DENSITY_LEVELS[params.density];
+
+        if (!options.lanes || options.lanes.length === 0) {
+            throw new Error('this theater has no shipping lanes to route traffic on');
+        }
+        const land = createLandModel(options.coastlines, options.islands, center);
+        const network = buildNetwork(land, options.lanes, options.cities);
+        const harbourIndexes = network.nodes.map((node, i) => (node.harbour ? i : -1)).filter(i => i >= 0);
+        const entryIndexes = network.nodes.map((node, i) => (node.entry ? i : -1)).filter(i => i >= 0);
+
+        let nextId = options.firstAssetId || 1;
+        const assets = [];
+        const counters = { shipping: 0, dhows: 0, fishing: 0, coi: 0 };
+
+        // Route generators return { position, waypoints } or null
+        const shippingRoute = () => {
+            if (entryIndexes.length === 0 || harbourIndexes.length === 0) return null;
+            const path = shortestPath(network, roller.pick(entryIndexes), roller.pick(harbourIndexes));
+            if (!path || path.points.length < 2) return null;
+            const inbound = roller.random() < 0.5;
+            const points = offsetRoute(inbound ? path.points : path.points.slice().reverse(), LANE_OFFSET, land);
+            const placed = placeOnRoute(roller, points, area);
+            return placed ? { position: placed.position, waypoints: routeWaypoints(placed.position, placed.remaining) } : null;
+        };
+
+        const dhowRoute = () => {
+            if (harbourIndexes.length < 2) return null;
+            const from = roller.pick(harbourIndexes);
+            const to = roller.pick(harbourIndexes.filter(i => i !== from));
+            const path = shortestPath(network, from, to);
+            if (!path || path.length > DHOW_MAX_ROUTE) return null;
+            const placed = placeOnRoute(roller, path.points, area);
+            return placed ? { position: placed.position, waypoints: routeWaypoints(placed.position, placed.remaining) } : null;
+        };
+
+        // Retry a route generator a few times before giving up on that vessel
+        const tryRoute = (generator) => {
+            for (let attempt = 0; attempt < 12; attempt++) {
+                const route = generator();
+                if (route) return route;
+            }
+            return null;
+        };
+
+        const addRouted = (category, route, platformName, name, contactOfInterest) => {
+            const platform = typeof platformName === 'string' ? findPlatform(platforms, platformName) : platformName;
+            assets.push(makeVessel({
+                id: nextId++,
+                name,
+                category,
+                contactOfInterest,
+                platform,
+                lat: route.position.lat,
+                lon: route.position.lon,
+                speed: transitSpeed(roller, platform, category === 'shipping' ? 18 : 8),
+                waypoints: route.waypoints
+            }));
+        };
+
+        if (params.shipping) {
+            for (let i = 0; i < density.shipping; i++) {
+                const route = tryRoute(shippingRoute);
+                if (!route) continue;
+                counters.shipping++;
+                addRouted('shipping', route, roller.pick(SHIPPING_PLATFORMS), `MERCHANT ${counters.shipping}`, false);
+            }
+        }
+
+        if (params.dhows) {
+            for (let i = 0; i < density.dhows; i++) {
+                const route = tryRoute(dhowRoute);
+                if (!route) continue;
+                counters.dhows++;
+                addRouted('dhow', route, roller.pick(DHOW_PLATFORMS), `DHOW ${counters.dhows}`, false);
+            }
+        }
+
+        // Fishing clusters: a few boats trawling back and forth off a harbour
+        const fishingAnchors = [];
+        if (params.fishing) {
+            const localHarbours = harbourIndexes.filter(i => {
+                const node = network.nodes[i];
+                return !area || calculateDistance(area.lat, area.lon, node.lat, node.lon) <= area.radius + FISHING_MAX_RANGE;
+            });
+            for (let cluster = 0; cluster < density.fishingClusters && localHarbours.length > 0; cluster++) {
+                let anchor = null;
+                for (let attempt = 0; attempt < 20 && !anchor; attempt++) {
+                    const harbour = network.nodes[roller.pick(localHarbours)];
+                    const point = computeDestinationPoint(harbour.lat, harbour.lon, roller.between(0, 360), roller.between(FISHING_MIN_RANGE, FISHING_MAX_RANGE));
+                    const inArea = !area || calculateDistance(area.lat, area.lon, point.lat, point.lon) <= area.radius;
+                    if (inArea && land.clearanceAt(point.lat, point.lon, FISHING_SPREAD + MARGIN_NM) >= FISHING_SPREAD + MARGIN_NM &&
+                        land.legIsClear(harbour, point)) {
+                        anchor = point;
+                    }
+                }
+                if (!anchor) continue;
+                fishingAnchors.push(anchor);
+
+                const boats = roller.intBetween(3, 6);
+                for (let b = 0; b < boats; b++) {
+                    const start = computeDestinationPoint(anchor.lat, anchor.lon, roller.between(0, 360), roller.between(0, FISHING_SPREAD));
+                    const end = computeDestinationPoint(start.lat, start.lon, roller.between(0, 360), roller.between(TRAWL_LENGTH_MIN, TRAWL_LENGTH_MAX));
+                    if (!land.legIsClear(start, end)) continue;
+                    counters.fishing++;
+                    const platform = findPlatform(platforms, roller.pick(FISHING_PLATFORMS));
+                    assets.push(makeVessel({
+                        id: nextId++,
+                        name: `FISHING ${counters.fishing}`,
+                        category: 'fishing',
+                        platform,
+                        lat: start.lat,
+                        lon: start.lon,
+                        speed: roller.intBetween(2, 5),
+                        waypoints: routeWaypoints(start, [start, end])
+                    }));
+                }
+            }
+        }
+
+        // Contacts of interest move like whatever traffic they are hiding in
+        const coiPlatforms = contactOfInterestPlatforms(platforms);
+        const coiCovers = [];
+        if (params.shipping) coiCovers.push('shipping');
+        if (params.dhows) coiCovers.push('dhow');
+        if (params.fishing && fishingAnchors.length > 0) coiCovers.push('fishing');
+        const contactsOfInterest = [];
+        for (let i = 0; i < params.contactsOfInterest && coiCovers.length > 0; i++) {
+            const cover = roller.pick(coiCovers);
+            const platform = coiPlatforms.length > 0 ? JSON.parse(JSON.stringify(roller.pick(coiPlatforms))) : null;
+            const name = `COI ${counters.coi + 1}`;
+            let asset = null;
+
+            if (cover === 'fishing') {
+                const anchor = roller.pick(fishingAnchors);
+                const start = computeDestinationPoint(anchor.lat, anchor.lon, roller.between(0, 360), roller.between(0, FISHING_SPREAD));
+                const end = computeDestinationPoint(start.lat, start.lon, roller.between(0, 360), roller.between(TRAWL_LENGTH_MIN, TRAWL_LENGTH_MAX));
+                if (land.legIsClear(start, end)) {
+                    asset = makeVessel({
+                        id: nextId, name, category: 'fishing', contactOfInterest: true, platform,
+                        lat: start.lat, lon: start.lon, speed: roller.intBetween(2, 5),
+                        waypoints: routeWaypoints(start, [start, end])
+                    });
+                }
+            } else {
+                const route = tryRoute(cover === 'shipping' ? shippingRoute : dhowRoute);
+                if (route) {
+                    const coverSpeed = cover === 'shipping' ? roller.intBetween(10, 16) : roller.intBetween(5, 8);
+                    asset = makeVessel({
+                        id: nextId, name, category: cover, contactOfInterest: true, platform,
+                        lat: route.position.lat, lon: route.position.lon, speed: coverSpeed,
+                        waypoints: route.waypoints
+                    });
+                }
+            }
+
+            if (!asset) continue;
+            nextId++;
+            counters.coi++;
+            assets.push(asset);
+            contactsOfInterest.push({
+                id: asset.id,
+                name,
+                platform: platform ? platform.name : null,
+                cover,
+                lat: asset.lat,
+                lon: asset.lon
+            });
+        }
+
+        const summary = {
+            shipping: counters.shipping,
+            dhows: counters.dhows,
+            fishing: counters.fishing,
+            fishingClusters: fishingAnchors.length,
+            contactsOfInterest,
+            ports: network.nodes.filter(node => node.harbour).map(node => node.name)
+        };
+
+        return { assets, summary, seed, nextAssetId: nextId };
+    }
+
+    return {
+        DENSITY_LEVELS,
+        DEFAULT_PARAMS,
+        MAX_CONTACTS_OF_INTEREST,
+        validateParams,
+        generateTraffic
+    };
+});
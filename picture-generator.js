@@ -0,0 +1,617 @@
+// ============================================================================
+// PICTURE GENERATOR - PARAMETRIC AIC PRESENTATION DRILLS
+// ============================================================================
+// Builds a fresh hostile air picture from parameters instead of a fixed file,
+// so students can't memorize the geometry. Output is a complete scenario in the
+// current save format (ownship, a friendly fighter on CAP, labeled hostile
+// groups and their behaviors) that loads through the normal prepareScenario
+// path, plus an answer key describing the correct picture call.
+//
+// Geometry is laid out along the threat axis: every group heads toward the
+// fighter, "range" offsets are along that axis and "azimuth" offsets across it.
+// Group labels follow the same rules the intercept logic uses (lead/middle/trail
+// for range, north/south or east/west for azimuth, whichever the azimuth line
+// is closer to). All groups fly the same heading and speed, so the picture
+// keeps its shape until a maneuver behavior fires.
+//
+// Every random choice comes from the seed: the same parameters and seed always
+// produce the same picture.
+//
+// Browser: loaded as a plain <script> after simulation-core.js and
+//          scenario-schema.js, exposes window.PictureGenerator
+// Node:    const PictureGenerator = require('./picture-generator.js');
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./simulation-core.js'), require('./scenario-schema.js'));
+    } else {
+        root.PictureGenerator = factory(root.SimulationCore, root.ScenarioSchema);
+    }
+})(typeof self !== 'undefined' ? self : this, function (SimulationCore, ScenarioSchema) {
+
+    const {
+        calculateBearing, calculateDistance, computeDestinationPoint, normalizeHeading,
+        createSeededRandom, hashSeed, generateScenarioSeed
+    } = SimulationCore;
+
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+
+    const PICTURE_TYPES = {
+        single: { label: 'Single Group', groups: 1 },
+        range: { label: 'Range', groups: 2 },
+        azimuth: { label: 'Azimuth', groups: 2 },
+        ladder: { label: 'Ladder', groups: 3 },
+        wall: { label: 'Wall', groups: 3 },
+        vic: { label: 'Vic', groups: 3 },
+        champagne: { label: 'Champagne', groups: 3 },
+        leadingEdge: { label: 'Leading Edge', groups: null } // Leading groups + follow-on
+    };
+
+    // Sub-formations a leading edge can open with
+    const LEADING_EDGE_TYPES = ['single', 'azimuth', 'range', 'wall'];
+
+    const MANEUVER_TYPES = ['none', 'group', 'split', 'random'];
+
+    const DEFAULT_PARAMS = {
+        pictureType: 'azimuth',
+        separationMin: 8,       // NM between adjacent groups
+        separationMax: 15,
+        contactsMin: 1,         // Contacts per group
+        contactsMax: 2,
+        altitudeMin: 15000,     // Feet, rolled per group in 1,000 ft steps
+        altitudeMax: 35000,
+        stackContacts: false,   // Spread a group's contacts over an altitude block
+        bearingMin: 60,         // Bullseye bearing/range of the picture's leading edge
+        bearingMax: 120,
+        rangeMin: 20,
+        rangeMax: 40,
+        speedMin: 350,          // KTAS, one roll for the whole picture
+        speedMax: 450,
+        leadingEdgeType: 'single',
+        followOnGroups: 1,
+        followOnMin: 30,        // NM behind the leading edge
+        followOnMax: 40,
+        maneuver: 'random'      // none | group | split | random
+    };
+
+    const CLUSTER_RANGE = 3;            // Contacts within 3 NM are one group (clusterContactsIntoGroups)
+    const CONTACT_SPACING = 1;          // NM between contacts in a group
+    const MAX_CONTACTS = 4;
+    const MIN_SEPARATION = 5;           // Keeps groups out of each other's cluster range
+    const LEADING_EDGE_RANGE = 25;      // Range separation at/above this is a leading edge (factor range)
+    const FIGHTER_RANGE = 60;           // NM from the leading edge to the friendly fighter
+    const OWNSHIP_RANGE = 40;           // NM behind the fighter
+    const ALTITUDE_BLOCK = 4000;        // Feet covered by a stacked group
+    const MANEUVER_RANGE_MIN = 25;      // NM from the fighter when a maneuver fires
+    const MANEUVER_RANGE_MAX = 35;
+    const SPLIT_RETURN_RANGE = 4;       // NM apart before a split contact turns back hot
+
+    const FIGHTER_PLATFORM = 'F-18F';
+    const HOSTILE_PLATFORM = 'MiG-29';
+    const OWNSHIP_PLATFORM = 'Ownship';
+
+    // ========================================================================
+    // HELPERS
+    // ========================================================================
+
+    function createRoller(seed) {
+        const random = createSeededRandom(hashSeed(seed, 'picture'));
+        return {
+            random,
+            between: (min, max) => min + random() * (max - min),
+            intBetween: (min, max) => min + Math.floor(random() * (max - min + 1)),
+            pick: (list) => list[Math.floor(random() * list.length)]
+        };
+    }
+
+    // Bearing window that may wrap through north (e.g. 300-060)
+    function rollBearing(roller, min, max) {
+        const span = normalizeHeading(max - min);
+        return Math.round(normalizeHeading(min + roller.random() * span));
+    }
+
+    function cardinalDirection(heading) {
+        const names = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+        return names[Math.round(normalizeHeading(heading) / 45) % 8];
+    }
+
+    // Azimuth groups are called north/south when the line between them runs
+    // closer to north-south, otherwise east/west (same split as labelContactsInGroup)
+    function azimuthLabels(heading) {
+        const line = normalizeHeading(heading + 90);
+        const northSouth = line >= 315 || line < 45 || (line >= 135 && line < 225);
+        return northSouth ? ['north', 'south'] : ['east', 'west'];
+    }
+
+    function formatBearingRange(bullseye, point) {
+        const bearing = Math.round(calculateBearing(bullseye.lat, bullseye.lon, point.lat, point.lon)) % 360;
+        const range = Math.round(calculateDistance(bullseye.lat, bullseye.lon, point.lat, point.lon));
+        return `${String(bearing).padStart(3, '0')}/${range}`;
+    }
+
+    function formatAltitude(feet) {
+        return `${Math.round(feet / 1000)} thousand`;
+    }
+
+    function findPlatform(platforms, domain, name) {
+        const list = (platforms && platforms[domain]) || [];
+        const platform = list.find(p => p.name === name);
+        return platform ? JSON.parse(JSON.stringify(platform)) : null;
+    }
+
+    // Same shape addAsset creates
+    function makeAsset(fields) {
+        const platform = fields.platform || null;
+        const emitterStates = {};
+        if (platform && platform.emitters) {
+            platform.emitters.forEach(emitter => {
+                emitterStates[emitter] = false;
+            });
+        }
+        return {
+            id: fields.id,
+            name: fields.name,
+            type: fields.type || 'unknown',
+            identity: fields.identity || 'unknown',
+            domain: 'air',
+            platform,
+            lat: fields.lat,
+            lon: fields.lon,
+            heading: fields.heading,
+            speed: fields.speed,
+            altitude: fields.altitude,
+            depth: null,
+            targetHeading: null,
+            targetSpeed: null,
+            targetAltitude: null,
+            targetDepth: null,
+            waypoints: [],
+            trackNumber: null,
+            emitterStates,
+            iffModeI: '',
+            iffModeII: '',
+            iffModeIII: '',
+            iffSquawking: false,
+            datalinkNet: '',
+            datalinkJU: '',
+            datalinkTrackBlockStart: '',
+            datalinkTrackBlockEnd: '',
+            datalinkActive: false,
+            datalinkAssignedTrack: null,
+            behaviors: fields.behaviors || [],
+            hidden: false,
+            trackFileEnabled: true,
+            studentLabel: '',
+            targetingState: null,
+            targetedAssetId: null,
+            targetDeclaration: null,
+            interceptCommitted: false,
+            behaviorInterceptTargetId: null,
+            vidCalled20nm: false,
+            vidCalled2nm: false,
+            declareCalled28nm: false,
+            declareResponseReceived: false,
+            fox3Called25nm: false
+        };
+    }
+
+    // ========================================================================
+    // PARAMETER VALIDATION
+    // ========================================================================
+
+    // Returns a list of readable problems (empty when the parameters are usable)
+    function validateParams(input) {
+        const params = { ...DEFAULT_PARAMS, ...input };
+        const errors = [];
+
+        const checkRange = (label, min, max, low, high) => {
+            if (typeof min !== 'number' || typeof max !== 'number' || isNaN(min) || isNaN(max)) {
+                errors.push(`${label} must be numbers`);
+            } else if (min > max) {
+                errors.push(`${label}: minimum is greater than maximum`);
+            } else if (min < low || max > high) {
+                errors.push(`${label} must be between ${low} and ${high}`);
+            }
+        };
+
+        if (!PICTURE_TYPES[params.pictureType]) {
+            errors.push(`unknown picture type "${params.pictureType}"`);
+        }
+        checkRange('Group separation (NM)', params.separationMin, params.separationMax, MIN_SEPARATION, LEADING_EDGE_RANGE - 1);
+        checkRange('Contacts per group', params.contactsMin, params.contactsMax, 1, MAX_CONTACTS);
+        // Groups must stay out of each other's cluster range even when their contacts stack toward each other
+        const minimumSeparation = CLUSTER_RANGE + (params.contactsMax - 1) * CONTACT_SPACING + 1;
+        if (params.separationMin < minimumSeparation && params.contactsMax <= MAX_CONTACTS) {
+            errors.push(`Group separation must be at least ${minimumSeparation} NM with up to ${params.contactsMax} contacts per group`);
+        }
+        checkRange('Altitude (ft)', params.altitudeMin, params.altitudeMax, 1000, 50000);
+        checkRange('Bullseye range (NM)', params.rangeMin, params.rangeMax, 0, 250);
+        checkRange('Speed (KTAS)', params.speedMin, params.speedMax, 150, 1000);
+        if (typeof params.bearingMin !== 'number' || typeof params.bearingMax !== 'number' ||
+            isNaN(params.bearingMin) || isNaN(params.bearingMax)) {
+            errors.push('Bullseye bearing must be numbers');
+        }
+        if (params.pictureType === 'leadingEdge') {
+            if (!LEADING_EDGE_TYPES.includes(params.leadingEdgeType)) {
+                errors.push(`leading edge sub-formation must be one of ${LEADING_EDGE_TYPES.join(', ')}`);
+            }
+            if (params.followOnGroups !== 1 && params.followOnGroups !== 2) {
+                errors.push('follow-on groups must be 1 or 2');
+            }
+            checkRange('Follow-on range (NM)', params.followOnMin, params.followOnMax, LEADING_EDGE_RANGE, 80);
+        }
+        if (!MANEUVER_TYPES.includes(params.maneuver)) {
+            errors.push(`maneuver must be one of ${MANEUVER_TYPES.join(', ')}`);
+        }
+        return errors;
+    }
+
+    // ========================================================================
+    // LAYOUT
+    // ========================================================================
+
+    // Group slots for a formation: back = NM behind the leading edge along the
+    // threat axis, lateral = NM to the right of the hostiles' track.
+    // Labels are relative ('left'/'right' are resolved to cardinals later).
+    function formationSlots(type, roller, params) {
+        const sep = () => Math.round(roller.between(params.separationMin, params.separationMax));
+
+        switch (type) {
+            case 'single':
+                return { slots: [{ label: 'single', back: 0, lateral: 0 }], depth: 0, width: 0 };
+            case 'range': {
+                const depth = sep();
+                return { slots: [{ label: 'lead', back: 0, lateral: 0 }, { label: 'trail', back: depth, lateral: 0 }], depth, width: 0 };
+            }
+            case 'azimuth': {
+                const width = sep();
+                return { slots: [{ label: 'left', back: 0, lateral: -width / 2 }, { label: 'right', back: 0, lateral: width / 2 }], depth: 0, width };
+            }
+            case 'ladder': {
+                const first = sep();
+                const second = sep();
+                return {
+                    slots: [
+                        { label: 'lead', back: 0, lateral: 0 },
+                        { label: 'middle', back: first, lateral: 0 },
+                        { label: 'trail', back: first + second, lateral: 0 }
+                    ],
+                    depth: first + second,
+                    width: 0
+                };
+            }
+            case 'wall': {
+                const first = sep();
+                const second = sep();
+                const width = first + second;
+                return {
+                    slots: [
+                        { label: 'left', back: 0, lateral: -width / 2 },
+                        { label: 'middle', back: 0, lateral: -width / 2 + first },
+                        { label: 'right', back: 0, lateral: width / 2 }
+                    ],
+                    depth: 0,
+                    width
+                };
+            }
+            case 'vic': {
+                const depth = sep();
+                const width = sep();
+                return {
+                    slots: [
+                        { label: 'lead', back: 0, lateral: 0 },
+                        { label: 'left trail', back: depth, lateral: -width / 2 },
+                        { label: 'right trail', back: depth, lateral: width / 2 }
+                    ],
+                    depth,
+                    width
+                };
+            }
+            case 'champagne': {
+                const depth = sep();
+                const width = sep();
+                return {
+                    slots: [
+                        { label: 'left lead', back: 0, lateral: -width / 2 },
+                        { label: 'right lead', back: 0, lateral: width / 2 },
+                        { label: 'trail', back: depth, lateral: 0 }
+                    ],
+                    depth,
+                    width
+                };
+            }
+            default:
+                throw new Error(`Unknown formation "${type}"`);
+        }
+    }
+
+    // Follow-on groups sit behind the leading edge, in azimuth if there are two
+    function followOnSlots(roller, params, leadingDepth) {
+        const range = Math.round(roller.between(params.followOnMin, params.followOnMax));
+        const back = leadingDepth + range;
+        if (params.followOnGroups === 2) {
+            const width = Math.round(roller.between(params.separationMin, params.separationMax));
+            return {
+                range,
+                slots: [
+                    { label: 'left follow-on', back, lateral: -width / 2, followOn: true },
+                    { label: 'right follow-on', back, lateral: width / 2, followOn: true }
+                ]
+            };
+        }
+        return { range, slots: [{ label: 'follow-on', back, lateral: 0, followOn: true }] };
+    }
+
+    // Position of a slot relative to the leading edge point
+    function slotPosition(anchor, heading, back, lateral) {
+        let point = anchor;
+        if (back !== 0) point = computeDestinationPoint(point.lat, point.lon, normalizeHeading(heading + 180), back);
+        if (lateral !== 0) {
+            point = computeDestinationPoint(point.lat, point.lon, normalizeHeading(lateral > 0 ? heading + 90 : heading - 90), Math.abs(lateral));
+        }
+        return point;
+    }
+
+    // 'left'/'right' (relative to the hostiles' track) become the cardinal pair
+    // the azimuth line is closer to; 'left' is the north or west group
+    function resolveLabel(label, heading) {
+        const [first, second] = azimuthLabels(heading);
+        const leftPoint = normalizeHeading(heading - 90);
+        const leftIsFirst = first === 'north'
+            ? (leftPoint >= 270 || leftPoint < 90)
+            : (leftPoint < 180);
+        const left = leftIsFirst ? first : second;
+        const right = leftIsFirst ? second : first;
+        return label.replace('left', left).replace('right', right);
+    }
+
+    // ========================================================================
+    // BEHAVIORS
+    // ========================================================================
+
+    function makeBehavior(ids, assetId, triggerConfig, actions) {
+        return {
+            id: `bhv-picture-${ids.seed}-${ids.next++}`,
+            assetId,
+            triggerType: 'distanceFromAsset',
+            triggerConfig,
+            actions,
+            fired: false,
+            enabled: true
+        };
+    }
+
+    // ========================================================================
+    // GENERATOR
+    // ========================================================================
+
+    // options: { seed, platforms, bullseye: {lat, lon}, bullseyeName }
+    // Returns { scenario, key, seed }; throws if the parameters are invalid
+    function generatePicture(input, options = {}) {
+        const errors = validateParams(input);
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+
+        const params = { ...DEFAULT_PARAMS, ...input };
+        const seed = options.seed !== undefined && options.seed !== null ? options.seed >>> 0 : generateScenarioSeed();
+        const roller = createRoller(seed);
+        const bullseye = options.bullseye || { lat: 26.5, lon: 54.0 };
+        const bullseyeName = options.bullseyeName || 'BULLSEYE';
+        const platforms = options.platforms || {};
+
+        // Leading edge point and threat axis
+        const anchorBearing = rollBearing(roller, params.bearingMin, params.bearingMax);
+        const anchorRange = Math.round(roller.between(params.rangeMin, params.rangeMax));
+        const anchor = anchorRange > 0
+            ? computeDestinationPoint(bullseye.lat, bullseye.lon, anchorBearing, anchorRange)
+            : { lat: bullseye.lat, lon: bullseye.lon };
+        // Hostiles press toward the bullseye (or reciprocal of the bearing when sitting on it)
+        const heading = Math.round(anchorRange > 0
+            ? calculateBearing(anchor.lat, anchor.lon, bullseye.lat, bullseye.lon)
+            : normalizeHeading(anchorBearing + 180)) % 360;
+        const speed = Math.round(roller.between(params.speedMin, params.speedMax) / 10) * 10;
+
+        // Formation
+        const leadingType = params.pictureType === 'leadingEdge' ? params.leadingEdgeType : params.pictureType;
+        const formation = formationSlots(leadingType, roller, params);
+        let slots = formation.slots;
+        let followOnRange = null;
+        if (params.pictureType === 'leadingEdge') {
+            const followOn = followOnSlots(roller, params, formation.depth);
+            followOnRange = followOn.range;
+            slots = slots.concat(followOn.slots);
+        }
+
+        // Contacts per group, and which group (if any) maneuvers
+        const contactCounts = slots.map(() => roller.intBetween(params.contactsMin, params.contactsMax));
+        let maneuver = params.maneuver === 'random' ? roller.pick(['none', 'group', 'split']) : params.maneuver;
+        const leadingIndexes = slots.map((slot, index) => index).filter(index => !slots[index].followOn);
+        const maneuverIndex = maneuver === 'none' ? null : roller.pick(leadingIndexes);
+        if (maneuver === 'split' && contactCounts[maneuverIndex] < 2) {
+            contactCounts[maneuverIndex] = 2; // A split needs two contacts
+        }
+
+        // Friendly fighter on CAP ahead of the picture, ownship behind it
+        const fighterPoint = computeDestinationPoint(anchor.lat, anchor.lon, heading, FIGHTER_RANGE);
+        const ownshipPoint = computeDestinationPoint(fighterPoint.lat, fighterPoint.lon, heading, OWNSHIP_RANGE);
+        const fighterId = 1;
+        const assets = [
+            makeAsset({
+                id: 0, name: 'OWNSHIP', type: 'ownship', identity: 'friendly',
+                platform: findPlatform(platforms, 'air', OWNSHIP_PLATFORM),
+                lat: ownshipPoint.lat, lon: ownshipPoint.lon, heading: 0, speed: 0, altitude: 15000
+            }),
+            makeAsset({
+                id: fighterId, name: 'Showtime 11', identity: 'friendly',
+                platform: findPlatform(platforms, 'air', FIGHTER_PLATFORM),
+                lat: fighterPoint.lat, lon: fighterPoint.lon,
+                heading: normalizeHeading(heading + 180), speed: 350, altitude: 25000
+            })
+        ];
+
+        const behaviorIds = { seed, next: 1 };
+        const hostilePlatform = findPlatform(platforms, 'air', HOSTILE_PLATFORM);
+        const maneuverRange = Math.round(roller.between(MANEUVER_RANGE_MIN, MANEUVER_RANGE_MAX));
+        const turnDirection = roller.random() < 0.5 ? -90 : 90;
+        let nextId = fighterId + 1;
+
+        const groups = slots.map((slot, index) => {
+            const label = resolveLabel(slot.label, heading);
+            const center = slotPosition(anchor, heading, slot.back, slot.lateral);
+            const count = contactCounts[index];
+            const altitude = Math.round(roller.between(params.altitudeMin, params.altitudeMax) / 1000) * 1000;
+            // Contacts stack in range or azimuth, 1 NM apart, centered on the group position
+            const stackInRange = roller.random() < 0.5;
+            const stackStep = params.stackContacts && count > 1 ? Math.floor(ALTITUDE_BLOCK / (count - 1) / 1000) * 1000 : 0;
+            const groupName = label === 'single' ? 'SINGLE GROUP' : `${label.toUpperCase()} GROUP`;
+
+            const contacts = [];
+            for (let i = 0; i < count; i++) {
+                const offset = (i - (count - 1) / 2) * CONTACT_SPACING;
+                const point = stackInRange
+                    ? slotPosition(center, heading, offset, 0)
+                    : slotPosition(center, heading, 0, offset);
+                contacts.push(makeAsset({
+                    id: nextId++,
+                    name: count > 1 ? `${groupName} ${i + 1}` : groupName,
+                    identity: 'hostile',
+                    platform: hostilePlatform ? JSON.parse(JSON.stringify(hostilePlatform)) : null,
+                    lat: point.lat,
+                    lon: point.lon,
+                    heading,
+                    speed,
+                    altitude: Math.min(50000, altitude + i * stackStep)
+                }));
+            }
+
+            // Maneuver behaviors: the whole group cranks 90°, or one contact of a
+            // two-ship turns cold and comes back hot once it has opened 4 NM
+            if (index === maneuverIndex && maneuver === 'group') {
+                contacts.forEach(contact => {
+                    contact.behaviors.push(makeBehavior(behaviorIds, contact.id,
+                        { comparison: 'lte', targetAssetId: fighterId, distance: maneuverRange },
+                        [{ type: 'changeHeading', value: normalizeHeading(heading + turnDirection) }]));
+                });
+            } else if (index === maneuverIndex && maneuver === 'split') {
+                const mover = contacts[contacts.length - 1];
+                const partner = contacts[0];
+                mover.behaviors.push(makeBehavior(behaviorIds, mover.id,
+                    { comparison: 'lte', targetAssetId: fighterId, distance: maneuverRange },
+                    [{ type: 'changeHeading', value: normalizeHeading(heading + 180) }]));
+                mover.behaviors.push(makeBehavior(behaviorIds, mover.id,
+                    { comparison: 'gt', targetAssetId: partner.id, distance: SPLIT_RETURN_RANGE },
+                    [{ type: 'changeHeading', value: heading }]));
+            }
+
+            assets.push(...contacts);
+            const topAltitude = altitude + (count - 1) * stackStep;
+            return {
+                label: groupName,
+                followOn: !!slot.followOn,
+                contacts: count,
+                bullseye: formatBearingRange(bullseye, center),
+                altitude: stackStep > 0 ? `${formatAltitude(altitude)} to ${formatAltitude(topAltitude)}` : formatAltitude(altitude),
+                maneuver: index === maneuverIndex ? maneuver : null
+            };
+        });
+
+        // Answer key - the call the student should make
+        const leadingGroups = groups.filter(g => !g.followOn);
+        const typeLabel = PICTURE_TYPES[leadingType].label.toLowerCase();
+        let opening;
+        if (leadingType === 'single') {
+            opening = 'single group';
+        } else {
+            const sizes = [];
+            if (formation.depth) sizes.push(`${formation.depth} deep`);
+            if (formation.width) sizes.push(`${formation.width} wide`);
+            if (leadingType === 'range') opening = `${leadingGroups.length} groups range ${formation.depth}`;
+            else if (leadingType === 'azimuth') opening = `${leadingGroups.length} groups azimuth ${formation.width}`;
+            else opening = `${leadingGroups.length} groups ${typeLabel} ${sizes.join(' ')}`;
+        }
+        if (params.pictureType === 'leadingEdge') {
+            opening = `leading edge ${opening}, follow-on ${followOnRange}`;
+        }
+        const groupCalls = leadingGroups.map(g => {
+            const prefix = leadingType === 'single' ? '' : `${g.label.toLowerCase()} `;
+            const weight = g.contacts >= 3 ? ', heavy' : (g.contacts === 2 ? ', 2 contacts' : '');
+            return `${prefix}${bullseyeName} ${g.bullseye}, ${g.altitude}, track ${cardinalDirection(heading)}, hostile${weight}`;
+        });
+        const call = [opening, ...groupCalls].join('. ').replace(/^single group\. /, 'single group ');
+
+        const title = `Generated ${PICTURE_TYPES[params.pictureType].label}${params.pictureType === 'leadingEdge' ? ` (${PICTURE_TYPES[leadingType].label})` : ''}`;
+        const key = {
+            pictureType: params.pictureType,
+            leadingEdgeType: params.pictureType === 'leadingEdge' ? leadingType : null,
+            heading,
+            speed,
+            maneuver,
+            maneuverRange: maneuver === 'none' ? null : maneuverRange,
+            groups,
+            call
+        };
+
+        const mapCenter = {
+            lat: (fighterPoint.lat + anchor.lat) / 2,
+            lon: (fighterPoint.lon + anchor.lon) / 2
+        };
+        const span = FIGHTER_RANGE + formation.depth + (followOnRange || 0) + 20;
+        const scale = Math.min(360, Math.max(40, Math.ceil(span / 10) * 10));
+        const ownshipPlatform = assets[0].platform || {};
+
+        const scenario = {
+            version: ScenarioSchema.SCENARIO_VERSION,
+            timestamp: new Date().toISOString(),
+            assets,
+            bullseye: { lat: bullseye.lat, lon: bullseye.lon },
+            bullseyeName,
+            scale,
+            mapCenter,
+            tempMark: null,
+            nextTrackNumber: 6000,
+            missionTime: 0,
+            geoPoints: [{ id: 1, name: 'CAP', type: 'capStation', lat: fighterPoint.lat, lon: fighterPoint.lon, identity: 'friendly' }],
+            nextGeoPointId: 2,
+            shapes: [],
+            nextShapeId: 1,
+            sonobuoys: [],
+            sonobuoyCount: 30,
+            nextSonobuoyId: 1,
+            weapons: [],
+            weaponInventory: {
+                AAM: ownshipPlatform.numberOfAAM || 0,
+                AGM: ownshipPlatform.numberOfAGM || 0,
+                ASM: ownshipPlatform.numberOfASM || 0,
+                SAM: ownshipPlatform.numberOfSAM || 0,
+                Torpedo: ownshipPlatform.numberOfTorpedo || 0
+            },
+            nextWeaponId: 1,
+            weaponEnabled: false,
+            weaponArmed: false,
+            selectedWeaponType: null,
+            simulatorMode: 'instructor',
+            studentTracks: [],
+            radarDetectionCounts: {},
+            detectionThresholds: {},
+            trackAgingTimers: {},
+            nextStudentTrackId: 1,
+            skateFlowEnabled: false,
+            missionProducts: [],
+            generatedPicture: { seed, params, key } // Answer key travels with the save
+        };
+
+        return { scenario, key, seed, title };
+    }
+
+    return {
+        PICTURE_TYPES,
+        LEADING_EDGE_TYPES,
+        MANEUVER_TYPES,
+        DEFAULT_PARAMS,
+        validateParams,
+        generatePicture
+    };
+});
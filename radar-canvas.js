@@ -0,0 +1,353 @@
+// ============================================================================
+// RADAR CANVAS - LAYERED RENDERER FOR HIGH-VOLUME DISPLAY ELEMENTS
+// ============================================================================
+// Draws the parts of the radar scope that don't need mouse interaction onto
+// <canvas> layers underneath the SVG, so React only reconciles the interactive
+// symbols (assets, tracks, geo-points, shapes):
+//   - Map layer:     grid, coastlines, islands, cities, airfields, compass (redrawn on pan/zoom/resize)
+//   - Returns layer: radar and IFF returns (redrawn when returns, mission time or view change)
+//   - Sweep layer:   radar sweep wedges (redrawn every animation frame)
+//
+// Screen projection is passed in by the caller (project(lat, lon) -> { x, y }),
+// so this file has no dependency on app.js.
+//
+// Browser: loaded as a plain <script> before app.js, exposes window.RadarCanvas
+
+(function (root, factory) {
+    const renderer = factory();
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = renderer;
+    } else {
+        root.RadarCanvas = renderer;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    // ========================================================================
+    // CANVAS SETUP
+    // ========================================================================
+
+    // Size the canvas backing store for the device pixel ratio and return a context
+    // drawing in CSS pixels. Only touches the backing store when the size changes
+    // (resizing a canvas clears it).
+    function setupCanvas(canvas, width, height) {
+        const dpr = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+        const pixelWidth = Math.round(width * dpr);
+        const pixelHeight = Math.round(height * dpr);
+        if (canvas.width !== pixelWidth || canvas.height !== pixelHeight) {
+            canvas.width = pixelWidth;
+            canvas.height = pixelHeight;
+            canvas.style.width = `${width}px`;
+            canvas.style.height = `${height}px`;
+        }
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        return ctx;
+    }
+
+    function clearCanvas(ctx, width, height) {
+        ctx.clearRect(0, 0, width, height);
+    }
+
+    // ========================================================================
+    // MAP LAYER
+    // ========================================================================
+
+    // Grid, theater geography (theaters.js) and compass letters
+    function drawMapLayer(ctx, width, height, project, { coastlines = [], islands = [], cities = [], airfields = [] } = {}) {
+        clearCanvas(ctx, width, height);
+
+        // Grid (60 px spacing)
+        const spacing = 60;
+        ctx.globalAlpha = 0.08;
+        ctx.strokeStyle = '#00FF00';
+        ctx.lineWidth = 0.3;
+        ctx.beginPath();
+        for (let x = 0; x < width; x += spacing) {
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+        }
+        for (let y = 0; y < height; y += spacing) {
+            ctx.moveTo(0, y);
+            ctx.lineTo(width, y);
+        }
+        ctx.stroke();
+
+        // Coastline and islands
+        ctx.globalAlpha = 0.5;
+        ctx.strokeStyle = '#808080';
+        ctx.lineWidth = 1.5;
+        ctx.lineJoin = 'round';
+        coastlines.forEach(coastline => {
+            ctx.beginPath();
+            coastline.forEach(([lat, lon], i) => {
+                const pos = project(lat, lon);
+                if (i === 0) ctx.moveTo(pos.x, pos.y);
+                else ctx.lineTo(pos.x, pos.y);
+            });
+            ctx.stroke();
+        });
+        islands.forEach(island => {
+            ctx.beginPath();
+            island.coords.forEach(([lat, lon], i) => {
+                const pos = project(lat, lon);
+                if (i === 0) ctx.moveTo(pos.x, pos.y);
+                else ctx.lineTo(pos.x, pos.y);
+            });
+            ctx.closePath();
+            ctx.stroke();
+        });
+
+        // Cities (skip anything well off screen)
+        ctx.font = '600 12px Arial';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+        cities.forEach(city => {
+            const pos = project(city.lat, city.lon);
+            if (pos.x < -50 || pos.x > width + 50 || pos.y < -50 || pos.y > height + 50) return;
+
+            ctx.globalAlpha = 0.7;
+            ctx.fillStyle = '#FFFF00';
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, 3, 0, Math.PI * 2);
+            ctx.fill();
+
+            ctx.globalAlpha = 0.6;
+            ctx.fillText(city.name, pos.x + 6, pos.y - 6);
+        });
+
+        // Airfields (open square)
+        ctx.font = '600 11px Arial';
+        ctx.strokeStyle = '#00CCFF';
+        ctx.fillStyle = '#00CCFF';
+        ctx.lineWidth = 1.5;
+        airfields.forEach(airfield => {
+            const pos = project(airfield.lat, airfield.lon);
+            if (pos.x < -50 || pos.x > width + 50 || pos.y < -50 || pos.y > height + 50) return;
+
+            ctx.globalAlpha = 0.7;
+            ctx.strokeRect(pos.x - 4, pos.y - 4, 8, 8);
+
+            ctx.globalAlpha = 0.6;
+            ctx.fillText(airfield.name, pos.x + 7, pos.y + 12);
+        });
+
+        // Compass letters
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = '#00FF00';
+        ctx.font = '700 12px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('N', width / 2, 20);
+        ctx.fillText('E', width - 20, height / 2);
+        ctx.fillText('S', width / 2, height - 10);
+        ctx.fillText('W', 20, height / 2);
+    }
+
+    // ========================================================================
+    // RADAR / IFF RETURNS
+    // ========================================================================
+
+    // Sin-based hash noise - stationary fuzziness per return segment
+    function fuzz(seed) {
+        const x = Math.sin(seed) * 10000;
+        return x - Math.floor(x);
+    }
+
+    function hashReturnId(id) {
+        let idHash = 0;
+        for (let c = 0; c < id.length; c++) {
+            idHash = ((idHash << 5) - idHash) + id.charCodeAt(c);
+            idHash = idHash & idHash;
+        }
+        return idHash;
+    }
+
+    // Banana-shaped cluster of circles across the bearing from ownship (at time of detection)
+    // to the target. offsetPx shifts the whole return toward ownship (IFF sits inside radar).
+    function buildReturnSegments(ret, project, pixelsPerNM, offsetPx) {
+        const targetPos = project(ret.lat, ret.lon);
+
+        // Azimuth resolution degrades with distance
+        const azimuthSpreadDegrees = 0.5 + (ret.distance / 50);
+
+        // More segments when zoomed in for a solid/hazy appearance (capped at 30)
+        const baseSegments = Math.max(15, Math.floor(azimuthSpreadDegrees * 8));
+        const numSegments = Math.min(30, Math.floor(baseSegments * (1 + pixelsPerNM / 50)));
+
+        const idHash = hashReturnId(String(ret.id));
+
+        // Stored ownship position so returns don't move when ownship moves
+        const returnOwnshipPos = project(ret.ownshipLat, ret.ownshipLon);
+        const bearingToTarget = Math.atan2(targetPos.y - returnOwnshipPos.y, targetPos.x - returnOwnshipPos.x);
+        const offsetX = -offsetPx * Math.cos(bearingToTarget);
+        const offsetY = -offsetPx * Math.sin(bearingToTarget);
+        const perpAngle = bearingToTarget + Math.PI / 2;
+
+        const segments = [];
+        for (let i = 0; i < numSegments; i++) {
+            const spreadFactor = ((i - numSegments / 2) / numSegments);
+            const azimuthOffsetRadians = spreadFactor * azimuthSpreadDegrees * Math.PI / 180;
+            const spreadDistance = ret.distance * Math.tan(azimuthOffsetRadians) * pixelsPerNM;
+
+            // Very slight curve toward ownship (banana shape)
+            const curveAmount = Math.abs(spreadFactor) * 0.5;
+
+            const fuzzSeed = idHash + i * 100;
+            segments.push({
+                x: targetPos.x + spreadDistance * Math.cos(perpAngle) - curveAmount * Math.cos(bearingToTarget) + offsetX + (fuzz(fuzzSeed) - 0.5) * 3,
+                y: targetPos.y + spreadDistance * Math.sin(perpAngle) - curveAmount * Math.sin(bearingToTarget) + offsetY + (fuzz(fuzzSeed + 50) - 0.5) * 3,
+                alpha: 0.4 + fuzz(fuzzSeed + 25) * 0.4,
+                radius: 3 + fuzz(fuzzSeed + 75) * 2
+            });
+        }
+        return segments;
+    }
+
+    // Pre-rendered white disc, tinted per color - drawImage is much cheaper than
+    // building an arc path for every segment
+    const SPRITE_RADIUS = 5;
+    const spriteCache = {};
+    function getReturnSprite(color) {
+        if (!spriteCache[color]) {
+            const size = SPRITE_RADIUS * 2;
+            const sprite = document.createElement('canvas');
+            sprite.width = size * 2; // 2x for high-DPI displays
+            sprite.height = size * 2;
+            const sctx = sprite.getContext('2d');
+            sctx.fillStyle = color;
+            sctx.beginPath();
+            sctx.arc(size, size, size, 0, Math.PI * 2);
+            sctx.fill();
+            spriteCache[color] = sprite;
+        }
+        return spriteCache[color];
+    }
+
+    // Draw returns fading over `decay` seconds. cache (Map) holds segment geometry per
+    // return ID for the current viewKey, so geometry is only rebuilt after a pan/zoom/resize.
+    function drawReturns(ctx, returns, { project, pixelsPerNM, missionTime, decay, intensity, color, offsetPx = 0, cache, viewKey }) {
+        const sprite = getReturnSprite(color);
+
+        returns.forEach(ret => {
+            const age = missionTime - ret.missionTime;
+            const opacity = Math.max(0, 1 - (age / decay)) * (intensity / 100);
+
+            let entry = cache.get(ret.id);
+            if (!entry || entry.viewKey !== viewKey) {
+                entry = { viewKey, segments: buildReturnSegments(ret, project, pixelsPerNM, offsetPx) };
+                cache.set(ret.id, entry);
+            }
+            if (opacity <= 0) return;
+
+            entry.segments.forEach(seg => {
+                ctx.globalAlpha = opacity * seg.alpha;
+                ctx.drawImage(sprite, seg.x - seg.radius, seg.y - seg.radius, seg.radius * 2, seg.radius * 2);
+            });
+        });
+        ctx.globalAlpha = 1;
+    }
+
+    // Drop cached geometry for returns that have been cleaned up
+    function pruneReturnCache(cache, returns) {
+        const live = new Set(returns.map(ret => ret.id));
+        for (const id of cache.keys()) {
+            if (!live.has(id)) cache.delete(id);
+        }
+    }
+
+    // True when `next` is `prev` with returns appended (the radar effect only ever appends
+    // between mission-time ticks; decay cleanup happens when mission time changes)
+    function isAppendOnly(prev, next) {
+        if (!prev || next.length < prev.length) return false;
+        if (prev.length === 0) return true;
+        return next[0] === prev[0] && next[prev.length - 1] === prev[prev.length - 1];
+    }
+
+    // Stateful returns layer. Fades only change once per mission-time second, so a full
+    // redraw happens on mission time, view or setting changes; in between, newly painted
+    // returns are drawn on top of what's already there.
+    function createReturnsLayer() {
+        const caches = { radar: new Map(), iff: new Map() };
+        let last = null;
+
+        return function renderReturnsLayer(ctx, width, height, frame) {
+            const { radarReturns, iffReturns, missionTime, viewKey, decay, radarIntensity, iffIntensity } = frame;
+            const common = { project: frame.project, pixelsPerNM: frame.pixelsPerNM, missionTime, decay, viewKey };
+            const radarOptions = { ...common, intensity: radarIntensity, color: '#FFFFFF', cache: caches.radar };
+            // IFF sits one radar-return width toward ownship so the two don't overlap
+            const iffOptions = { ...common, intensity: iffIntensity, color: '#00FF00', offsetPx: 8, cache: caches.iff };
+
+            const fullRedraw = !last ||
+                last.missionTime !== missionTime ||
+                last.viewKey !== viewKey ||
+                last.decay !== decay ||
+                last.radarIntensity !== radarIntensity ||
+                last.iffIntensity !== iffIntensity ||
+                !isAppendOnly(last.radarReturns, radarReturns) ||
+                !isAppendOnly(last.iffReturns, iffReturns);
+
+            if (fullRedraw) {
+                clearCanvas(ctx, width, height);
+                drawReturns(ctx, radarReturns, radarOptions);
+                drawReturns(ctx, iffReturns, iffOptions);
+                pruneReturnCache(caches.radar, radarReturns);
+                pruneReturnCache(caches.iff, iffReturns);
+            } else {
+                if (radarReturns !== last.radarReturns) {
+                    drawReturns(ctx, radarReturns.slice(last.radarReturns.length), radarOptions);
+                }
+                if (iffReturns !== last.iffReturns) {
+                    drawReturns(ctx, iffReturns.slice(last.iffReturns.length), iffOptions);
+                }
+            }
+
+            last = { radarReturns, iffReturns, missionTime, viewKey, decay, radarIntensity, iffIntensity };
+        };
+    }
+
+    // ========================================================================
+    // RADAR SWEEP
+    // ========================================================================
+
+    // 40° trail of wedges fading toward the trailing edge, plus the leading edge line
+    function drawRadarSweep(ctx, ownshipPos, rangeInPixels, sweepAngle, sweepOpacity) {
+        const numWedges = 60;
+        const totalSpan = 40;
+        const segmentSize = totalSpan / numWedges;
+
+        ctx.fillStyle = '#FFFFFF';
+        for (let i = 0; i < numWedges; i++) {
+            const startAngle = sweepAngle - totalSpan + (i * segmentSize);
+            // 0° is north, clockwise
+            const startRad = (startAngle - 90) * Math.PI / 180;
+            const endRad = (startAngle + segmentSize - 90) * Math.PI / 180;
+
+            ctx.globalAlpha = (i / numWedges) * sweepOpacity;
+            ctx.beginPath();
+            ctx.moveTo(ownshipPos.x, ownshipPos.y);
+            ctx.arc(ownshipPos.x, ownshipPos.y, rangeInPixels, startRad, endRad);
+            ctx.closePath();
+            ctx.fill();
+        }
+
+        // Leading edge line - bright white
+        const leadingRad = (sweepAngle - 90) * Math.PI / 180;
+        ctx.globalAlpha = 0.9;
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(ownshipPos.x, ownshipPos.y);
+        ctx.lineTo(ownshipPos.x + rangeInPixels * Math.cos(leadingRad), ownshipPos.y + rangeInPixels * Math.sin(leadingRad));
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+    }
+
+    return {
+        setupCanvas,
+        clearCanvas,
+        drawMapLayer,
+        buildReturnSegments,
+        drawReturns,
+        createReturnsLayer,
+        drawRadarSweep
+    };
+});
@@ -0,0 +1,158 @@
+// ============================================================================
+// SAM SITES - ENGAGEMENT ENVELOPES, FIRE-CONTROL EMITTERS AND LAUNCH DECISIONS
+// ============================================================================
+// A SAM Site geo-point becomes a live threat by giving it a `sam` object:
+//   { system, weaponName, missiles, minRange, maxRange, minAltitude, maxAltitude,
+//     emitter, emitterActive, lastLaunchTime }
+// system is the land platform it was built from (platforms.json), weaponName a SAM
+// in weapons.json, ranges are NM and altitudes feet. The geo-point's identity picks
+// its targets: hostile sites engage friendly aircraft (and the ownship), friendly
+// sites engage hostile aircraft, any other identity holds fire.
+//
+// A site only guides missiles while its fire-control radar (emitter) is on, and that
+// radar is what ESM detects. checkSamSites runs once per physics tick in
+// SimulationCore.stepSimulation (simulation worker, the UI-thread loop in app.js, headless
+// runs) and reports launches as events; the UI creates the missile and counts it off the
+// site's magazine.
+//
+// Browser: loaded as a plain <script> after simulation-core.js, exposes window.SamSites
+// Node:    const SamSites = require('./sam-sites.js');
+
+(function (root, factory) {
+    const samSites = typeof module !== 'undefined' && module.exports
+        ? factory(require('./simulation-core.js'))
+        : factory(root.SimulationCore);
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = samSites;
+    } else {
+        root.SamSites = samSites;
+    }
+})(typeof self !== 'undefined' ? self : this, function (SimulationCore) {
+
+    const { calculateBearing, calculateDistance } = SimulationCore;
+
+    const SHOT_INTERVAL = 10;          // Seconds between launches from one site
+    const ANTENNA_HEIGHT = 50;         // Feet - fire-control radar mast
+    const DEFAULT_MIN_ALTITUDE = 300;  // Feet
+    const DEFAULT_MAX_ALTITUDE = 60000;
+
+    // Land platforms that carry a surface-to-air missile
+    function samPlatforms(landPlatforms, weaponConfigs) {
+        return (landPlatforms || []).filter(platform =>
+            (platform.weapons || []).some(name => weaponConfigs[name] && weaponConfigs[name].type === 'SAM'));
+    }
+
+    // Site settings for a land platform: its first SAM, magazine and fire-control radar
+    function createSamSite(platform, weaponConfigs) {
+        const weaponName = (platform.weapons || []).find(name =>
+            weaponConfigs[name] && weaponConfigs[name].type === 'SAM') || null;
+        const maxRange = weaponName ? weaponConfigs[weaponName].maxRange : 0;
+        return {
+            system: platform.name,
+            weaponName,
+            missiles: platform.numberOfSAM || 0,
+            minRange: Math.max(1, Math.round(maxRange * 0.1)),
+            maxRange,
+            minAltitude: DEFAULT_MIN_ALTITUDE,
+            maxAltitude: DEFAULT_MAX_ALTITUDE,
+            emitter: (platform.emitters || [])[0] || null,
+            emitterActive: true,
+            lastLaunchTime: null
+        };
+    }
+
+    function isSamSite(geoPoint) {
+        return !!(geoPoint && geoPoint.type === 'samSite' && geoPoint.sam && geoPoint.sam.weaponName);
+    }
+
+    // 'SA-2 Guideline', 'SA-2 Guideline SITE 1' with a name
+    function samSiteName(geoPoint) {
+        const system = geoPoint.sam ? geoPoint.sam.system : 'SAM';
+        return geoPoint.name ? `${system} ${geoPoint.name}` : system;
+    }
+
+    // Whether the site engages this asset at all (identity, not geometry)
+    function isTarget(geoPoint, asset) {
+        if (asset.domain !== 'air' || asset.hidden) return false;
+        const friendly = asset.type === 'ownship' || asset.identity === 'friendly';
+        if (geoPoint.identity === 'hostile') return friendly;
+        if (geoPoint.identity === 'friendly') return asset.identity === 'hostile';
+        return false;
+    }
+
+    // Range in NM if the asset is inside the envelope and above the radar horizon, else null
+    function envelopeRange(geoPoint, asset) {
+        const sam = geoPoint.sam;
+        const altitude = asset.altitude || 0;
+        if (altitude < sam.minAltitude || altitude > sam.maxAltitude) return null;
+        const range = calculateDistance(geoPoint.lat, geoPoint.lon, asset.lat, asset.lon);
+        if (range < sam.minRange || range > sam.maxRange) return null;
+        if (range > 1.23 * (Math.sqrt(ANTENNA_HEIGHT) + Math.sqrt(altitude))) return null;
+        return range;
+    }
+
+    // Check every SAM site for a shot. Each site launches at most one missile per
+    // SHOT_INTERVAL, at the nearest target in its envelope that it doesn't already
+    // have a missile in the air against.
+    // Returns events of type 'samLaunch':
+    //   { geoPointId, siteName, weaponName, targetId, targetName, range, altitude, missionTime }
+    function checkSamSites(geoPoints, assets, weapons, missionTime) {
+        const events = [];
+
+        (geoPoints || []).filter(isSamSite).forEach(geoPoint => {
+            const sam = geoPoint.sam;
+            if (!sam.emitterActive || !(sam.missiles > 0)) return;
+            if (sam.lastLaunchTime != null && missionTime - sam.lastLaunchTime < SHOT_INTERVAL) return;
+
+            let best = null;
+            assets.forEach(asset => {
+                if (!isTarget(geoPoint, asset)) return;
+                if ((weapons || []).some(w => w.firingGeoPointId === geoPoint.id && w.targetId === asset.id)) return;
+                const range = envelopeRange(geoPoint, asset);
+                if (range !== null && (!best || range < best.range)) best = { asset, range };
+            });
+            if (!best) return;
+
+            events.push({
+                type: 'samLaunch',
+                geoPointId: geoPoint.id,
+                siteName: samSiteName(geoPoint),
+                weaponName: sam.weaponName,
+                targetId: best.asset.id,
+                targetName: best.asset.name || `Asset ${best.asset.id}`,
+                range: best.range,
+                altitude: best.asset.altitude || 0,
+                missionTime
+            });
+        });
+
+        return events;
+    }
+
+    // Fire-control radars switched on, in the shape SimulationCore.detectActiveEmitters uses
+    function detectSiteEmitters(geoPoints, ownship) {
+        return (geoPoints || [])
+            .filter(geoPoint => isSamSite(geoPoint) && geoPoint.sam.emitter && geoPoint.sam.emitterActive)
+            .map(geoPoint => ({
+                id: `geo-${geoPoint.id}-${geoPoint.sam.emitter}`,
+                assetId: null,
+                geoPointId: geoPoint.id,
+                emitterName: geoPoint.sam.emitter,
+                bearing: calculateBearing(ownship.lat, ownship.lon, geoPoint.lat, geoPoint.lon),
+                lat: geoPoint.lat,
+                lon: geoPoint.lon,
+                threatLevel: 1
+            }));
+    }
+
+    return {
+        SHOT_INTERVAL,
+        samPlatforms,
+        createSamSite,
+        isSamSite,
+        samSiteName,
+        envelopeRange,
+        checkSamSites,
+        detectSiteEmitters
+    };
+});
@@ -0,0 +1,931 @@
+// ============================================================================
+// SCENARIO SCHEMA - VERSIONED SAVE FORMAT, MIGRATIONS AND VALIDATION
+// ============================================================================
+// One place that knows what a scenario file looks like:
+//   - SCENARIO_SCHEMA:  JSON Schema (draft-07) for the current save format
+//                       (scenario.schema.json is generated from it)
+//   - MIGRATIONS:       version-to-version upgrade functions, applied in order
+//   - prepareScenario:  migrate + validate, returning readable error reports
+//                       such as "asset 7 (VIPER 11): waypoint 3 missing lat"
+//
+// Both scenario loaders in app.js and the validate-scenarios.js CLI go through
+// prepareScenario, so a file either loads completely or is rejected with the
+// list of problems - never a silent partial load.
+//
+// When the save format changes: bump SCENARIO_VERSION, add a migration from the
+// previous version, and update SCENARIO_SCHEMA.
+//
+// Browser: loaded as a plain <script> before app.js, exposes window.ScenarioSchema
+// Node:    const ScenarioSchema = require('./scenario-schema.js');
+
+(function (root, factory) {
+    const schema = factory();
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = schema;
+    } else {
+        root.ScenarioSchema = schema;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const SCENARIO_VERSION = '1.14';
+    const LEGACY_VERSION = '1.0'; // Files saved before the version field existed
+
+    // ========================================================================
+    // JSON SCHEMA
+    // ========================================================================
+    // Only the fields the simulator depends on are described; extra fields are
+    // allowed so runtime bookkeeping (targetingState, vidCalled20nm, ...) still
+    // round-trips through saves.
+
+    const ASSET_TYPE_VALUES = ['friendly', 'hostile', 'neutral', 'unknown', 'unknownUnevaluated', 'ownship'];
+    const DOMAIN_VALUES = ['air', 'surface', 'subSurface', 'land'];
+    const GEOPOINT_TYPE_VALUES = ['capStation', 'airfield', 'samSite', 'mark'];
+    const SHAPE_TYPE_VALUES = ['lineSegment', 'polygon', 'circle', 'rectangle', 'ellipse', 'sector'];
+    const ACM_TYPE_VALUES = ['roz', 'mez', 'fez', 'noFly', 'rtf'];
+    const ACM_RULE_TYPE_VALUES = ['prohibited', 'below', 'above', 'alertEntry', 'alertExit'];
+    const TRIGGER_TYPE_VALUES = [
+        'missionTime', 'randomTime', 'distanceFromAsset', 'distanceFromGeoPoint', 'atWaypoint',
+        'radarDetected', 'illuminated', 'weaponLaunched', 'assetDestroyed', 'identityChanged',
+        'enterShape', 'exitShape', 'altitudeCrossing', 'speedCrossing', 'radioKeyword'
+    ];
+    const IDENTITY_SOURCE_VALUES = ['any', 'asset', 'track']; // what an identityChanged trigger watches
+    const ACTION_TYPE_VALUES = [
+        'changeHeading', 'changeSpeed', 'changeAltitude', 'interceptAsset',
+        'makeVisible', 'makeInvisible', 'turnOnTrackFile', 'turnOffTrackFile',
+        'turnEmitterOn', 'turnEmitterOff', 'transmitOnRadio', 'sendMessage',
+        'armBehavior', 'disarmBehavior', 'fireWeapon', 'spawnAsset', 'goToPoint', 'orbit',
+        'followRoute', 'changeIdentity', 'setIffSquawk', 'deleteSelf'
+    ];
+
+    const behaviorAction = {
+        type: 'object',
+        required: ['type'],
+        properties: {
+            type: { enum: ACTION_TYPE_VALUES },
+            delay: { type: 'number', minimum: 0 } // seconds after the previous action
+        }
+    };
+
+    const triggerConfig = {
+        type: 'object',
+        properties: {
+            source: { enum: IDENTITY_SOURCE_VALUES }
+        }
+    };
+
+    const latitude = { type: 'number', minimum: -90, maximum: 90 };
+    const longitude = { type: 'number', minimum: -180, maximum: 180 };
+    const position = {
+        type: 'object',
+        required: ['lat', 'lon'],
+        properties: { lat: latitude, lon: longitude }
+    };
+    const nullableNumber = { type: ['number', 'null'] };
+
+    const SCENARIO_SCHEMA = {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        $id: 'https://github.com/WarBuck-Dev/Project-Judy/scenario.schema.json',
+        title: 'AIC Simulator Scenario',
+        description: `Scenario save file, format version ${SCENARIO_VERSION}. Generated from scenario-schema.js - edit that file, not this one.`,
+        type: 'object',
+        required: ['version', 'assets'],
+        properties: {
+            version: { type: 'string', const: SCENARIO_VERSION },
+            timestamp: { type: 'string' },
+            seed: { type: 'integer', minimum: 0 },
+            assets: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['id', 'name', 'type', 'domain', 'lat', 'lon', 'heading', 'speed', 'waypoints', 'behaviors'],
+                    properties: {
+                        id: { type: 'integer', minimum: 0 },
+                        name: { type: 'string' },
+                        type: { enum: ASSET_TYPE_VALUES },
+                        identity: { type: 'string' },
+                        domain: { enum: DOMAIN_VALUES },
+                        platform: { type: ['object', 'null'] },
+                        lat: latitude,
+                        lon: longitude,
+                        heading: { type: 'number' },
+                        speed: { type: 'number', minimum: 0 },
+                        altitude: nullableNumber,
+                        depth: nullableNumber,
+                        targetHeading: nullableNumber,
+                        targetSpeed: nullableNumber,
+                        targetAltitude: nullableNumber,
+                        targetDepth: nullableNumber,
+                        trackNumber: { type: ['string', 'number', 'null'] },
+                        hidden: { type: 'boolean' },
+                        trackFileEnabled: { type: 'boolean' },
+                        studentLabel: { type: 'string' },
+                        waypoints: {
+                            type: 'array',
+                            items: position
+                        },
+                        behaviors: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['id', 'triggerType', 'triggerConfig', 'actions'],
+                                properties: {
+                                    id: { type: 'string' },
+                                    triggerType: { enum: TRIGGER_TYPE_VALUES },
+                                    triggerConfig,
+                                    conditions: {
+                                        type: 'array',
+                                        items: {
+                                            type: 'object',
+                                            required: ['triggerType', 'triggerConfig'],
+                                            properties: {
+                                                triggerType: { enum: TRIGGER_TYPE_VALUES },
+                                                triggerConfig
+                                            }
+                                        }
+                                    },
+                                    conditionLogic: { enum: ['and', 'or'] },
+                                    repeat: {
+                                        type: ['object', 'null'],
+                                        properties: {
+                                            cooldown: { type: 'number', minimum: 1 },
+                                            limit: { type: 'integer', minimum: 0 }
+                                        }
+                                    },
+                                    actions: {
+                                        type: 'array',
+                                        items: behaviorAction
+                                    },
+                                    fired: { type: 'boolean' },
+                                    enabled: { type: 'boolean' }
+                                }
+                            }
+                        },
+                        // Hostile fighter, surface combatant and submarine tactics AI (SimulationCore.updateTactics)
+                        tactics: {
+                            type: ['object', 'null'],
+                            properties: {
+                                enabled: { type: 'boolean' },
+                                commitRange: { type: 'number', exclusiveMinimum: 0 },
+                                defense: { enum: ['auto', 'crank', 'beam', 'notch'] },
+                                bingo: { type: 'number', minimum: 0 },
+                                salvo: { type: 'integer', minimum: 1 },
+                                periscopeInterval: { type: 'number', minimum: 0 },
+                                periscopeTime: { type: 'number', exclusiveMinimum: 0 }
+                            }
+                        },
+                        tacticsState: {
+                            type: ['object', 'null'],
+                            properties: {
+                                phase: { enum: ['cap', 'commit', 'defend', 'cold', 'evade', 'quiet', 'periscope'] },
+                                missiles: { type: 'integer', minimum: 0 },
+                                fuel: { type: 'number', minimum: 0 }
+                            }
+                        },
+                        // Home airfield of a launched aircraft (airfields.js)
+                        recovery: {
+                            type: ['object', 'null'],
+                            properties: {
+                                airfieldId: { type: 'integer' },
+                                sortieId: { type: 'integer' },
+                                fuel: { type: 'number', minimum: 0 },
+                                phase: { enum: ['departure', 'mission', 'rtb', 'landed'] }
+                            }
+                        },
+                        // Delayed behavior actions still to run
+                        pendingActions: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['behaviorId', 'action', 'dueTime'],
+                                properties: {
+                                    behaviorId: { type: 'string' },
+                                    action: behaviorAction,
+                                    dueTime: { type: 'number' }
+                                }
+                            }
+                        }
+                    }
+                }
+            },
+            // Built-in theaters are saved as { id, name }; imported ones carry their geography
+            theater: {
+                type: 'object',
+                required: ['id'],
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    coastlines: { type: 'array' },
+                    islands: { type: 'array' },
+                    cities: { type: 'array' },
+                    airfields: { type: 'array' },
+                    bullseye: position,
+                    lanes: { type: 'array' }
+                }
+            },
+            bullseye: position,
+            bullseyeName: { type: 'string' },
+            scale: { type: 'number', exclusiveMinimum: 0 },
+            mapCenter: position,
+            tempMark: { anyOf: [position, { type: 'null' }] },
+            nextTrackNumber: { type: 'integer' },
+            missionTime: { type: 'number', minimum: 0 },
+            geoPoints: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['id', 'type', 'lat', 'lon'],
+                    properties: {
+                        id: { type: 'integer' },
+                        name: { type: 'string' },
+                        type: { enum: GEOPOINT_TYPE_VALUES },
+                        lat: latitude,
+                        lon: longitude,
+                        identity: { type: 'string' },
+                        sam: {
+                            type: ['object', 'null'],
+                            properties: {
+                                system: { type: 'string' },
+                                weaponName: { type: ['string', 'null'] },
+                                missiles: { type: 'integer', minimum: 0 },
+                                minRange: { type: 'number', minimum: 0 },
+                                maxRange: { type: 'number', minimum: 0 },
+                                minAltitude: { type: 'number', minimum: 0 },
+                                maxAltitude: { type: 'number', minimum: 0 },
+                                emitter: { type: ['string', 'null'] },
+                                emitterActive: { type: 'boolean' },
+                                lastLaunchTime: { type: ['number', 'null'] }
+                            }
+                        },
+                        airfield: {
+                            type: ['object', 'null'],
+                            properties: {
+                                roster: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        required: ['id', 'trigger'],
+                                        properties: {
+                                            id: { type: 'integer' },
+                                            platform: { type: ['string', 'null'] },
+                                            count: { type: 'integer', minimum: 1 },
+                                            trigger: { enum: ['time', 'scramble'] },
+                                            time: { type: 'number', minimum: 0 },
+                                            range: { type: 'number', minimum: 0 },
+                                            altitude: { type: 'number', minimum: 0 },
+                                            speed: { type: 'number', minimum: 0 },
+                                            stationId: { type: ['integer', 'null'] },
+                                            endurance: { type: 'number', exclusiveMinimum: 0 },
+                                            launched: { type: 'boolean' },
+                                            recovered: { type: 'integer', minimum: 0 }
+                                        }
+                                    }
+                                },
+                                nextSortieId: { type: 'integer' }
+                            }
+                        }
+                    }
+                }
+            },
+            nextGeoPointId: { type: 'integer' },
+            shapes: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['id', 'type'],
+                    properties: {
+                        id: { type: 'integer' },
+                        type: { enum: SHAPE_TYPE_VALUES },
+                        identity: { type: 'string' },
+                        label: { type: 'string' },
+                        minAltitude: nullableNumber,
+                        maxAltitude: nullableNumber,
+                        acm: {
+                            type: ['object', 'null'],
+                            required: ['type', 'rules'],
+                            properties: {
+                                type: { enum: ACM_TYPE_VALUES },
+                                rules: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        required: ['type', 'identity', 'domain'],
+                                        properties: {
+                                            type: { enum: ACM_RULE_TYPE_VALUES },
+                                            identity: { enum: ['any', ...ASSET_TYPE_VALUES.filter(v => v !== 'ownship')] },
+                                            domain: { enum: ['any', ...DOMAIN_VALUES] },
+                                            altitude: nullableNumber
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    allOf: [
+                        {
+                            if: { properties: { type: { const: 'circle' } } },
+                            then: {
+                                required: ['centerLat', 'centerLon', 'radius'],
+                                properties: {
+                                    centerLat: latitude,
+                                    centerLon: longitude,
+                                    radius: { type: 'number', exclusiveMinimum: 0 }
+                                }
+                            }
+                        },
+                        {
+                            if: { properties: { type: { const: 'lineSegment' } } },
+                            then: {
+                                required: ['points'],
+                                properties: {
+                                    points: { type: 'array', minItems: 2, items: position }
+                                }
+                            }
+                        },
+                        {
+                            if: { properties: { type: { const: 'polygon' } } },
+                            then: {
+                                required: ['points'],
+                                properties: {
+                                    points: { type: 'array', minItems: 3, items: position }
+                                }
+                            }
+                        },
+                        {
+                            if: { properties: { type: { const: 'rectangle' } } },
+                            then: {
+                                required: ['centerLat', 'centerLon', 'length', 'width', 'orientation'],
+                                properties: {
+                                    centerLat: latitude,
+                                    centerLon: longitude,
+                                    length: { type: 'number', exclusiveMinimum: 0 },
+                                    width: { type: 'number', exclusiveMinimum: 0 },
+                                    orientation: { type: 'number' }
+                                }
+                            }
+                        },
+                        {
+                            if: { properties: { type: { const: 'ellipse' } } },
+                            then: {
+                                required: ['centerLat', 'centerLon', 'semiMajor', 'semiMinor', 'orientation'],
+                                properties: {
+                                    centerLat: latitude,
+                                    centerLon: longitude,
+                                    semiMajor: { type: 'number', exclusiveMinimum: 0 },
+                                    semiMinor: { type: 'number', exclusiveMinimum: 0 },
+                                    orientation: { type: 'number' }
+                                }
+                            }
+                        },
+                        {
+                            if: { properties: { type: { const: 'sector' } } },
+                            then: {
+                                required: ['centerLat', 'centerLon', 'innerRadius', 'outerRadius', 'startBearing', 'endBearing'],
+                                properties: {
+                                    centerLat: latitude,
+                                    centerLon: longitude,
+                                    innerRadius: { type: 'number', minimum: 0 },
+                                    outerRadius: { type: 'number', exclusiveMinimum: 0 },
+                                    startBearing: { type: 'number' },
+                                    endBearing: { type: 'number' }
+                                }
+                            }
+                        }
+                    ]
+                }
+            },
+            nextShapeId: { type: 'integer' },
+            sonobuoys: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['id', 'lat', 'lon'],
+                    properties: { id: { type: 'integer' }, lat: latitude, lon: longitude }
+                }
+            },
+            sonobuoyCount: { type: 'integer', minimum: 0 },
+            nextSonobuoyId: { type: 'integer' },
+            weapons: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['id', 'lat', 'lon'],
+                    properties: { id: { type: 'integer' }, lat: latitude, lon: longitude }
+                }
+            },
+            weaponInventory: { type: 'object' },
+            nextWeaponId: { type: 'integer' },
+            weaponEnabled: { type: 'boolean' },
+            weaponArmed: { type: 'boolean' },
+            selectedWeaponType: { type: ['string', 'null'] },
+            simulatorMode: { enum: ['instructor', 'student'] },
+            studentTracks: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['id', 'lat', 'lon'],
+                    properties: { id: { type: 'integer' }, lat: latitude, lon: longitude }
+                }
+            },
+            radarDetectionCounts: { type: 'object' },
+            detectionThresholds: { type: 'object' },
+            trackAgingTimers: { type: 'object' },
+            nextStudentTrackId: { type: 'integer' },
+            skateFlowEnabled: { type: 'boolean' },
+            missionProducts: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['id', 'name', 'data'],
+                    properties: {
+                        id: { type: 'number' },
+                        name: { type: 'string' },
+                        type: { type: 'string' },
+                        size: { type: 'number' },
+                        data: { type: 'string' }
+                    }
+                }
+            }
+        }
+    };
+
+    // ========================================================================
+    // MIGRATIONS
+    // ========================================================================
+    // Each step upgrades a scenario from one version to the next. Steps only
+    // fill in what's missing, so they're safe on files that were hand-edited or
+    // saved by builds that wrote a stale version number.
+
+    function eachAsset(data, fn) {
+        if (Array.isArray(data.assets)) {
+            data.assets.forEach(asset => {
+                if (asset && typeof asset === 'object') fn(asset);
+            });
+        }
+    }
+
+    const MIGRATIONS = [
+        {
+            from: '1.0',
+            to: '1.1',
+            description: 'Multi-domain assets, behaviors and student/instructor mode',
+            migrate(data) {
+                eachAsset(data, asset => {
+                    if (!asset.domain) {
+                        asset.domain = 'air';
+                        asset.depth = null;
+                        asset.targetDepth = null;
+                        if (asset.altitude === undefined) asset.altitude = 25000;
+                        if (asset.targetAltitude === undefined) asset.targetAltitude = null;
+                    }
+                    if (asset.platform === undefined) asset.platform = null;
+                    if (asset.behaviors === undefined) asset.behaviors = [];
+                    if (asset.hidden === undefined) asset.hidden = false;
+                    if (asset.trackFileEnabled === undefined) asset.trackFileEnabled = true;
+                    if (asset.studentLabel === undefined) asset.studentLabel = '';
+                });
+                if (data.simulatorMode === undefined) data.simulatorMode = 'instructor';
+                if (data.studentTracks === undefined) data.studentTracks = [];
+                return data;
+            }
+        },
+        {
+            from: '1.1',
+            to: '1.2',
+            description: 'Mission products',
+            migrate(data) {
+                if (data.missionProducts === undefined) data.missionProducts = [];
+                return data;
+            }
+        },
+        {
+            from: '1.2',
+            to: '1.3',
+            description: 'Scenario seed and formal schema',
+            migrate(data) {
+                // seed is filled in by migrateScenario for every version (see contentSeed).
+                // Older builds could write assets without a waypoint list.
+                eachAsset(data, asset => {
+                    if (asset.waypoints == null) asset.waypoints = [];
+                });
+                return data;
+            }
+        },
+        {
+            from: '1.3',
+            to: '1.4',
+            description: 'Theater packages',
+            migrate(data) {
+                // Everything before theaters was built on the Persian Gulf map
+                if (data.theater === undefined) data.theater = { id: 'persianGulf', name: 'Persian Gulf' };
+                return data;
+            }
+        },
+        {
+            from: '1.4',
+            to: '1.5',
+            description: 'Polygon, rectangle, ellipse and sector shapes with altitude blocks',
+            migrate(data) {
+                (data.shapes || []).forEach(shape => {
+                    if (shape && shape.type === 'circle') {
+                        if (shape.minAltitude === undefined) shape.minAltitude = null;
+                        if (shape.maxAltitude === undefined) shape.maxAltitude = null;
+                    }
+                });
+                return data;
+            }
+        },
+        {
+            from: '1.5',
+            to: '1.6',
+            description: 'Airspace control measures',
+            migrate(data) {
+                // Every area shape was purely visual before control measures
+                (data.shapes || []).forEach(shape => {
+                    if (shape && shape.type !== 'lineSegment' && shape.acm === undefined) shape.acm = null;
+                });
+                return data;
+            }
+        },
+        {
+            from: '1.6',
+            to: '1.7',
+            description: 'Sensor, combat, shape and radio behavior triggers',
+            migrate(data) {
+                // New trigger types only - existing behaviors are unchanged
+                return data;
+            }
+        },
+        {
+            from: '1.7',
+            to: '1.8',
+            description: 'Behavior chaining, repeat, delays and compound conditions',
+            migrate(data) {
+                // Every new field is optional; a behavior without them fires once, as before.
+                // A repeat cooldown under 1 s would re-fire a standing trigger every physics tick.
+                eachAsset(data, asset => {
+                    (asset.behaviors || []).forEach(behavior => {
+                        const repeat = behavior && behavior.repeat;
+                        if (repeat && typeof repeat.cooldown === 'number' && repeat.cooldown < 1) repeat.cooldown = 1;
+                    });
+                });
+                return data;
+            }
+        },
+        {
+            from: '1.8',
+            to: '1.9',
+            description: 'Weapon, spawn, navigation, identity, IFF and delete behavior actions',
+            migrate(data) {
+                // New action types only - existing behaviors are unchanged
+                return data;
+            }
+        },
+        {
+            from: '1.9',
+            to: '1.10',
+            description: 'Hostile fighter tactics AI',
+            migrate(data) {
+                // Assets without tactics settings keep flying their scripts only
+                return data;
+            }
+        },
+        {
+            from: '1.10',
+            to: '1.11',
+            description: 'SAM site engagement envelopes and emitters',
+            migrate(data) {
+                // SAM Site geo-points without settings stay map markers
+                return data;
+            }
+        },
+        {
+            from: '1.11',
+            to: '1.12',
+            description: 'Airfield sortie rosters, launches and recovery',
+            migrate(data) {
+                // Airfield geo-points without a roster stay map markers
+                return data;
+            }
+        },
+        {
+            from: '1.12',
+            to: '1.13',
+            description: 'Surface combatant anti-ship missile tactics',
+            migrate(data) {
+                // Surface assets without tactics settings only fire when scripted
+                return data;
+            }
+        },
+        {
+            from: '1.13',
+            to: '1.14',
+            description: 'Submarine evasion and torpedo seekers',
+            migrate(data) {
+                // Submarines without tactics settings keep to their waypoints
+                return data;
+            }
+        }
+    ];
+
+    // Numeric comparison of dotted versions ('1.10' > '1.9')
+    function compareVersions(a, b) {
+        const pa = String(a).split('.').map(Number);
+        const pb = String(b).split('.').map(Number);
+        for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+            const diff = (pa[i] || 0) - (pb[i] || 0);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    }
+
+    // Seed for a scenario saved without one: an FNV-1a hash of the file as loaded, so the
+    // same file replays the same way on every load, in the app and in headless runs alike
+    function contentSeed(raw) {
+        const text = JSON.stringify(raw);
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    // Upgrade a scenario to SCENARIO_VERSION. Works on a copy; the input is not modified.
+    // Returns { data, fromVersion, applied: [descriptions], error }
+    function migrateScenario(raw) {
+        const data = JSON.parse(JSON.stringify(raw));
+        const fromVersion = typeof data.version === 'string' || typeof data.version === 'number'
+            ? String(data.version)
+            : LEGACY_VERSION;
+
+        if (compareVersions(fromVersion, SCENARIO_VERSION) > 0) {
+            return {
+                data,
+                fromVersion,
+                applied: [],
+                error: `saved by a newer version of the simulator (format ${fromVersion}); this build reads up to ${SCENARIO_VERSION}`
+            };
+        }
+
+        const applied = [];
+        let version = fromVersion;
+        MIGRATIONS.forEach(step => {
+            if (compareVersions(version, step.to) < 0) {
+                step.migrate(data);
+                applied.push(`${step.from} -> ${step.to}: ${step.description}`);
+                version = step.to;
+            }
+        });
+        if (data.seed === undefined) data.seed = contentSeed(raw);
+        data.version = SCENARIO_VERSION;
+
+        return { data, fromVersion, applied, error: null };
+    }
+
+    // ========================================================================
+    // VALIDATION
+    // ========================================================================
+    // A small validator for the JSON Schema keywords SCENARIO_SCHEMA uses
+    // (type, enum, const, required, properties, items, minItems, minimum,
+    // maximum, exclusiveMinimum, anyOf, allOf, if/then). Errors carry the
+    // data path so they can be reported in instructor terms.
+
+    // How array items are named in error messages; keyField items are named by
+    // their own id (asset 7), the rest by 1-based position (waypoint 3)
+    const COLLECTION_LABELS = {
+        assets: { label: 'asset', keyField: 'id', nameField: 'name' },
+        waypoints: { label: 'waypoint' },
+        behaviors: { label: 'behavior' },
+        actions: { label: 'action' },
+        geoPoints: { label: 'geo-point', keyField: 'id', nameField: 'name' },
+        shapes: { label: 'shape', keyField: 'id' },
+        points: { label: 'point' },
+        sonobuoys: { label: 'sonobuoy', keyField: 'id' },
+        weapons: { label: 'weapon', keyField: 'id' },
+        studentTracks: { label: 'student track', keyField: 'id' },
+        missionProducts: { label: 'mission product', keyField: 'id', nameField: 'name' }
+    };
+
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') {
+            if (!Number.isFinite(value)) return 'non-finite number';
+            return Number.isInteger(value) ? 'integer' : 'number';
+        }
+        return typeof value;
+    }
+
+    function matchesType(value, type) {
+        const actual = typeOf(value);
+        if (type === 'number') return actual === 'number' || actual === 'integer';
+        return actual === type;
+    }
+
+    function describeType(types) {
+        const list = Array.isArray(types) ? types : [types];
+        const named = list.map(t => (t === 'integer' ? 'a whole number' : t === 'null' ? 'null' : t === 'array' ? 'a list' : `a ${t}`));
+        return named.join(' or ');
+    }
+
+    function validateNode(value, schema, path, errors) {
+        if (schema.type !== undefined) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(t => matchesType(value, t))) {
+                errors.push({ path, message: `must be ${describeType(schema.type)} (got ${typeOf(value)})` });
+                return; // Nested checks are meaningless on the wrong type
+            }
+        }
+        if (schema.const !== undefined && value !== schema.const) {
+            errors.push({ path, message: `must be ${JSON.stringify(schema.const)} (got ${JSON.stringify(value)})` });
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push({ path, message: `must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})` });
+        }
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push({ path, message: schema.maximum !== undefined
+                    ? `must be between ${schema.minimum} and ${schema.maximum} (got ${value})`
+                    : `must be at least ${schema.minimum} (got ${value})` });
+            } else if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push({ path, message: schema.minimum !== undefined
+                    ? `must be between ${schema.minimum} and ${schema.maximum} (got ${value})`
+                    : `must be at most ${schema.maximum} (got ${value})` });
+            }
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                errors.push({ path, message: `must be greater than ${schema.exclusiveMinimum} (got ${value})` });
+            }
+        }
+        if (schema.anyOf) {
+            const matched = schema.anyOf.some(option => {
+                const optionErrors = [];
+                validateNode(value, option, path, optionErrors);
+                return optionErrors.length === 0;
+            });
+            if (!matched) {
+                errors.push({ path, message: 'does not match any allowed form' });
+            }
+        }
+        if (schema.allOf) {
+            schema.allOf.forEach(sub => validateNode(value, sub, path, errors));
+        }
+        if (schema.if) {
+            const conditionErrors = [];
+            validateNode(value, schema.if, path, conditionErrors);
+            if (conditionErrors.length === 0 && schema.then) {
+                validateNode(value, schema.then, path, errors);
+            }
+        }
+        if (typeOf(value) === 'object') {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    errors.push({ path, missing: key, message: `missing ${key}` });
+                }
+            });
+            Object.keys(schema.properties || {}).forEach(key => {
+                if (value[key] !== undefined) {
+                    validateNode(value[key], schema.properties[key], path.concat(key), errors);
+                }
+            });
+        }
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push({ path, message: `must have at least ${schema.minItems} entries (got ${value.length})` });
+            }
+            if (schema.items) {
+                value.forEach((item, index) => validateNode(item, schema.items, path.concat(index), errors));
+            }
+        }
+    }
+
+    // Turn a data path into instructor terms:
+    //   ['assets', 6, 'waypoints', 2] -> ['asset 7 (VIPER 11)', 'waypoint 3']
+    // Returns the named segments and any plain field path left at the end.
+    function describePath(data, path) {
+        const segments = [];
+        let fields = [];
+        let node = data;
+        for (let i = 0; i < path.length; i++) {
+            const key = path[i];
+            const next = path[i + 1];
+            const collection = COLLECTION_LABELS[key];
+            if (collection && typeof next === 'number' && node && Array.isArray(node[key])) {
+                const item = node[key][next];
+                let label = `${collection.label} ${next + 1}`;
+                if (collection.keyField && item && (typeof item[collection.keyField] === 'number' || typeof item[collection.keyField] === 'string')) {
+                    label = `${collection.label} ${item[collection.keyField]}`;
+                }
+                if (collection.nameField && item && typeof item[collection.nameField] === 'string' && item[collection.nameField]) {
+                    label += ` (${item[collection.nameField]})`;
+                }
+                segments.push(fields.length > 0 ? `${fields.join('.')} ${label}` : label);
+                fields = [];
+                node = item;
+                i++;
+            } else {
+                fields.push(typeof key === 'number' ? `[${key + 1}]` : key);
+                node = node && typeof node === 'object' ? node[key] : undefined;
+            }
+        }
+        return { segments, field: fields.join('.').replace(/\.\[/g, '[') };
+    }
+
+    function formatError(data, error) {
+        const { segments, field } = describePath(data, error.path);
+        if (error.missing) {
+            // "asset 7: waypoint 3 missing lat" / "bullseye missing lat" / "missing assets"
+            const owner = segments.concat(field ? [field] : []);
+            if (owner.length === 0) return error.message;
+            const last = owner.pop();
+            return owner.concat(`${last} ${error.message}`).join(': ');
+        }
+        // "asset 7: speed must be a number (got string)" / "shape 3 must have at least 2 entries"
+        if (field) {
+            return segments.length > 0 ? `${segments.join(': ')}: ${field} ${error.message}` : `${field} ${error.message}`;
+        }
+        return segments.length > 0 ? `${segments.join(': ')} ${error.message}` : `scenario ${error.message}`;
+    }
+
+    // Validate an already-migrated scenario. Returns an array of readable messages.
+    function validateScenario(data) {
+        if (typeOf(data) !== 'object') {
+            return [`scenario must be a JSON object (got ${typeOf(data)})`];
+        }
+        const errors = [];
+        validateNode(data, SCENARIO_SCHEMA, [], errors);
+        return errors.map(error => formatError(data, error));
+    }
+
+    // Problems the loader repairs on its own - reported, but they don't block loading
+    function checkScenario(data) {
+        const warnings = [];
+        if (!Array.isArray(data.assets)) return warnings;
+
+        if (!data.assets.some(a => a && (a.id === 0 || a.type === 'ownship'))) {
+            warnings.push('no ownship - a default ownship will be added 50 NM south of bullseye');
+        }
+        const seen = new Set();
+        data.assets.forEach(asset => {
+            if (!asset) return;
+            if (seen.has(asset.id)) {
+                warnings.push(`asset ${asset.id}${asset.name ? ` (${asset.name})` : ''}: duplicate id - will be renumbered`);
+            }
+            seen.add(asset.id);
+        });
+        return warnings;
+    }
+
+    // ========================================================================
+    // LOADING
+    // ========================================================================
+
+    // Migrate and validate a parsed scenario file.
+    // Returns { scenario, errors, warnings, fromVersion, migrations }; scenario is
+    // only safe to load when errors is empty.
+    function prepareScenario(raw) {
+        if (typeOf(raw) !== 'object') {
+            return {
+                scenario: null,
+                errors: [`scenario must be a JSON object (got ${typeOf(raw)})`],
+                warnings: [],
+                fromVersion: null,
+                migrations: []
+            };
+        }
+
+        const { data, fromVersion, applied, error } = migrateScenario(raw);
+        if (error) {
+            return { scenario: null, errors: [error], warnings: [], fromVersion, migrations: [] };
+        }
+
+        return {
+            scenario: data,
+            errors: validateScenario(data),
+            warnings: checkScenario(data),
+            fromVersion,
+            migrations: applied
+        };
+    }
+
+    // Multi-line report for alert() / the console, capped so a badly broken
+    // file doesn't produce an unreadable dialog
+    function formatReport(errors, maxLines = 12) {
+        const shown = errors.slice(0, maxLines).map(e => `- ${e}`);
+        if (errors.length > maxLines) {
+            shown.push(`- ...and ${errors.length - maxLines} more`);
+        }
+        return shown.join('\n');
+    }
+
+    return {
+        SCENARIO_VERSION,
+        SCENARIO_SCHEMA,
+        MIGRATIONS,
+        compareVersions,
+        migrateScenario,
+        validateScenario,
+        checkScenario,
+        prepareScenario,
+        formatReport
+    };
+});
@@ -0,0 +1,209 @@
+// ============================================================================
+// SCENARIO STORE - INDEXEDDB BACKEND FOR APPLICATION SAVES
+// ============================================================================
+// Application saves used to live in localStorage under `aic-scenario-<name>`,
+// which caps out at 5-10MB per domain and forced mission products (kneeboard
+// PDFs, images) out of the save. IndexedDB has no practical per-record limit,
+// so scenarios are stored whole, mission products included.
+//
+// Two object stores, written in the same transaction:
+//   scenarios          - { name, data }                           full save
+//   scenario-summaries - { name, timestamp, size, productCount }  Load dialog list
+// size is the serialized scenario in bytes. Keeping summaries separate means
+// listing saves doesn't pull every attached PDF into memory.
+//
+// Existing localStorage saves are copied in once on first open and then removed
+// from localStorage. Every call returns a Promise.
+//
+// Browser: loaded as a plain <script> before app.js, exposes window.ScenarioStore
+
+(function (root, factory) {
+    const store = factory();
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = store;
+    } else {
+        root.ScenarioStore = store;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const DB_NAME = 'aic-simulator';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'scenarios';
+    const SUMMARY_STORE_NAME = 'scenario-summaries';
+    const LEGACY_KEY_PREFIX = 'aic-scenario-';
+    const MIGRATION_FLAG_KEY = 'aic-scenario-store-migrated';
+
+    let dbPromise = null;
+
+    // ========================================================================
+    // HELPERS
+    // ========================================================================
+
+    // Wrap an IDBRequest in a Promise
+    function promisifyRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Resolve when a transaction commits (writes aren't durable until then)
+    function transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    // Serialized size in bytes (UTF-8), matching what a file save would produce
+    function measureBytes(data) {
+        const json = JSON.stringify(data);
+        if (typeof TextEncoder !== 'undefined') {
+            return new TextEncoder().encode(json).length;
+        }
+        return json.length;
+    }
+
+    function formatBytes(bytes) {
+        if (!bytes) return '0 B';
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    function buildSummary(name, data) {
+        return {
+            name,
+            timestamp: data.timestamp || new Date().toISOString(),
+            size: measureBytes(data),
+            productCount: Array.isArray(data.missionProducts) ? data.missionProducts.length : 0
+        };
+    }
+
+    // Queue writes for one scenario on an open readwrite transaction
+    function putScenario(tx, name, data) {
+        const summary = buildSummary(name, data);
+        tx.objectStore(STORE_NAME).put({ name, data });
+        tx.objectStore(SUMMARY_STORE_NAME).put(summary);
+        return summary;
+    }
+
+    // ========================================================================
+    // DATABASE
+    // ========================================================================
+
+    function openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME, { keyPath: 'name' });
+                }
+                if (!db.objectStoreNames.contains(SUMMARY_STORE_NAME)) {
+                    db.createObjectStore(SUMMARY_STORE_NAME, { keyPath: 'name' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // One-time copy of legacy localStorage saves into IndexedDB
+    function migrateLocalStorage(db) {
+        if (typeof localStorage === 'undefined' || localStorage.getItem(MIGRATION_FLAG_KEY)) {
+            return Promise.resolve(0);
+        }
+
+        const legacy = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(LEGACY_KEY_PREFIX) && key !== MIGRATION_FLAG_KEY) {
+                legacy.push(key);
+            }
+        }
+
+        const tx = db.transaction([STORE_NAME, SUMMARY_STORE_NAME], 'readwrite');
+        const migratedKeys = [];
+        legacy.forEach(key => {
+            try {
+                const data = JSON.parse(localStorage.getItem(key));
+                putScenario(tx, key.slice(LEGACY_KEY_PREFIX.length), data);
+                migratedKeys.push(key);
+            } catch (e) {
+                console.warn(`[Scenario Store] Skipping unreadable legacy save ${key}:`, e);
+            }
+        });
+
+        return transactionDone(tx).then(() => {
+            // Only free localStorage once the copies have committed
+            migratedKeys.forEach(key => localStorage.removeItem(key));
+            localStorage.setItem(MIGRATION_FLAG_KEY, new Date().toISOString());
+            if (migratedKeys.length > 0) {
+                console.log(`[Scenario Store] Migrated ${migratedKeys.length} scenario(s) from localStorage`);
+            }
+            return migratedKeys.length;
+        });
+    }
+
+    // Open the database (and run the migration) once per page load
+    function ready() {
+        if (!dbPromise) {
+            dbPromise = openDatabase().then(db => migrateLocalStorage(db).then(() => db));
+            dbPromise.catch(() => {
+                dbPromise = null; // Allow a retry on the next call
+            });
+        }
+        return dbPromise;
+    }
+
+    // ========================================================================
+    // PUBLIC API
+    // ========================================================================
+
+    function saveScenario(name, data) {
+        return ready().then(db => {
+            const tx = db.transaction([STORE_NAME, SUMMARY_STORE_NAME], 'readwrite');
+            const summary = putScenario(tx, name, data);
+            return transactionDone(tx).then(() => summary);
+        });
+    }
+
+    // Resolves with the saved scenario data, or null if there is no such save
+    function loadScenario(name) {
+        return ready().then(db => {
+            const tx = db.transaction(STORE_NAME, 'readonly');
+            return promisifyRequest(tx.objectStore(STORE_NAME).get(name));
+        }).then(record => (record ? record.data : null));
+    }
+
+    function deleteScenario(name) {
+        return ready().then(db => {
+            const tx = db.transaction([STORE_NAME, SUMMARY_STORE_NAME], 'readwrite');
+            tx.objectStore(STORE_NAME).delete(name);
+            tx.objectStore(SUMMARY_STORE_NAME).delete(name);
+            return transactionDone(tx);
+        });
+    }
+
+    // Summaries only (no scenario data), newest first
+    function listScenarios() {
+        return ready().then(db => {
+            const tx = db.transaction(SUMMARY_STORE_NAME, 'readonly');
+            return promisifyRequest(tx.objectStore(SUMMARY_STORE_NAME).getAll());
+        }).then(summaries => summaries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)));
+    }
+
+    return {
+        saveScenario,
+        loadScenario,
+        deleteScenario,
+        listScenarios,
+        formatBytes
+    };
+});
@@ -0,0 +1,317 @@
+// ============================================================================
+// SHAPE GEOMETRY - OUTLINES, EDIT HANDLES AND CONTAINMENT FOR MAP SHAPES
+// ============================================================================
+// Every shape type the instructor can draw, in one place:
+//   lineSegment  points [{ lat, lon, name }]                 open polyline
+//   polygon      points [{ lat, lon, name }]                 closed, 3+ points
+//   circle       centerLat, centerLon, radius
+//   rectangle    centerLat, centerLon, length, width, orientation
+//   ellipse      centerLat, centerLon, semiMajor, semiMinor, orientation
+//   sector       centerLat, centerLon, innerRadius, outerRadius,
+//                startBearing, endBearing (clockwise from start to end)
+// Distances are NM, bearings/orientations degrees true (orientation is the
+// direction of the rectangle's length / the ellipse's major axis).
+//
+// Area shapes (everything but lineSegment) can carry an altitude block:
+// minAltitude / maxAltitude in feet, null meaning surface / unlimited.
+//
+// Geometry is worked in a flat NM plane around the shape's center (x east,
+// y north) and mapped back with the same great-circle helpers the simulation
+// uses, so outlines line up with the azimuthal radar projection.
+//
+// Browser: loaded as a plain <script> after simulation-core.js, exposes window.ShapeGeometry
+// Node:    const ShapeGeometry = require('./shape-geometry.js');
+
+(function (root, factory) {
+    const shapeGeometry = typeof module !== 'undefined' && module.exports
+        ? factory(require('./simulation-core.js'))
+        : factory(root.SimulationCore);
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = shapeGeometry;
+    } else {
+        root.ShapeGeometry = shapeGeometry;
+    }
+})(typeof self !== 'undefined' ? self : this, function (SimulationCore) {
+
+    const { calculateBearing, calculateDistance, computeDestinationPoint, normalizeHeading } = SimulationCore;
+
+    // Parameters that fully describe each parametric shape (used by saves and GIS export)
+    const SHAPE_PARAMS = {
+        circle: ['centerLat', 'centerLon', 'radius'],
+        rectangle: ['centerLat', 'centerLon', 'length', 'width', 'orientation'],
+        ellipse: ['centerLat', 'centerLon', 'semiMajor', 'semiMinor', 'orientation'],
+        sector: ['centerLat', 'centerLon', 'innerRadius', 'outerRadius', 'startBearing', 'endBearing']
+    };
+    const POINT_SHAPES = ['lineSegment', 'polygon'];
+    const AREA_SHAPES = ['polygon', 'circle', 'rectangle', 'ellipse', 'sector'];
+    const MIN_SIZE = 0.5;       // NM - handles can't shrink a shape below this
+    const CURVE_SEGMENTS = 72;  // Points on a full circle / ellipse outline
+
+    // Defaults for a shape dropped at a map click (polygons are clicked out point by point)
+    function createShape(type, lat, lon) {
+        switch (type) {
+            case 'circle':
+                return { type, centerLat: lat, centerLon: lon, radius: 10 };
+            case 'rectangle':
+                return { type, centerLat: lat, centerLon: lon, length: 20, width: 10, orientation: 0 };
+            case 'ellipse':
+                return { type, centerLat: lat, centerLon: lon, semiMajor: 15, semiMinor: 8, orientation: 0 };
+            case 'sector':
+                return { type, centerLat: lat, centerLon: lon, innerRadius: 0, outerRadius: 20, startBearing: 315, endBearing: 45 };
+            default:
+                return null;
+        }
+    }
+
+    // ========================================================================
+    // LOCAL PLANE
+    // ========================================================================
+
+    function toLocal(centerLat, centerLon, lat, lon) {
+        const bearing = calculateBearing(centerLat, centerLon, lat, lon) * Math.PI / 180;
+        const distance = calculateDistance(centerLat, centerLon, lat, lon);
+        return { x: distance * Math.sin(bearing), y: distance * Math.cos(bearing) };
+    }
+
+    function fromLocal(centerLat, centerLon, x, y) {
+        const distance = Math.sqrt(x * x + y * y);
+        if (distance === 0) return { lat: centerLat, lon: centerLon };
+        return computeDestinationPoint(centerLat, centerLon, Math.atan2(x, y) * 180 / Math.PI, distance);
+    }
+
+    // Split a local offset into components along (u) and across (v, to the right of) an orientation
+    function toAxes(x, y, orientation) {
+        const t = orientation * Math.PI / 180;
+        return { u: x * Math.sin(t) + y * Math.cos(t), v: x * Math.cos(t) - y * Math.sin(t) };
+    }
+
+    function fromAxes(u, v, orientation) {
+        const t = orientation * Math.PI / 180;
+        return { x: u * Math.sin(t) + v * Math.cos(t), y: u * Math.cos(t) - v * Math.sin(t) };
+    }
+
+    // Clockwise span from start to end, 360 when they coincide
+    function sectorSpan(shape) {
+        return normalizeHeading(shape.endBearing - shape.startBearing) || 360;
+    }
+
+    function center(shape) {
+        if (POINT_SHAPES.includes(shape.type)) {
+            const points = shape.points || [];
+            return {
+                lat: points.reduce((sum, p) => sum + p.lat, 0) / (points.length || 1),
+                lon: points.reduce((sum, p) => sum + p.lon, 0) / (points.length || 1)
+            };
+        }
+        return { lat: shape.centerLat, lon: shape.centerLon };
+    }
+
+    // ========================================================================
+    // OUTLINE
+    // ========================================================================
+    // { points: [{ lat, lon }], closed } - what the map draws and GIS exports
+
+    function outline(shape) {
+        if (POINT_SHAPES.includes(shape.type)) {
+            return { points: (shape.points || []).map(p => ({ lat: p.lat, lon: p.lon })), closed: shape.type === 'polygon' };
+        }
+
+        const { centerLat, centerLon } = shape;
+        const local = [];
+        if (shape.type === 'circle') {
+            for (let i = 0; i < CURVE_SEGMENTS; i++) {
+                const a = i / CURVE_SEGMENTS * 2 * Math.PI;
+                local.push({ x: shape.radius * Math.sin(a), y: shape.radius * Math.cos(a) });
+            }
+        } else if (shape.type === 'rectangle') {
+            const [l, w] = [shape.length / 2, shape.width / 2];
+            [[l, -w], [l, w], [-l, w], [-l, -w]].forEach(([u, v]) => local.push(fromAxes(u, v, shape.orientation)));
+        } else if (shape.type === 'ellipse') {
+            for (let i = 0; i < CURVE_SEGMENTS; i++) {
+                const a = i / CURVE_SEGMENTS * 2 * Math.PI;
+                local.push(fromAxes(shape.semiMajor * Math.cos(a), shape.semiMinor * Math.sin(a), shape.orientation));
+            }
+        } else if (shape.type === 'sector') {
+            const span = sectorSpan(shape);
+            const steps = Math.max(2, Math.ceil(span / 5));
+            const arc = radius => Array.from({ length: steps + 1 }, (_, i) => {
+                const a = (shape.startBearing + span * i / steps) * Math.PI / 180;
+                return { x: radius * Math.sin(a), y: radius * Math.cos(a) };
+            });
+            local.push(...arc(shape.outerRadius));
+            if (shape.innerRadius > 0) local.push(...arc(shape.innerRadius).reverse());
+            else if (span < 360) local.push({ x: 0, y: 0 });
+        }
+        return { points: local.map(p => fromLocal(centerLat, centerLon, p.x, p.y)), closed: true };
+    }
+
+    // ========================================================================
+    // EDIT HANDLES
+    // ========================================================================
+    // [{ key, lat, lon }] - dragging a handle calls moveHandle with its key.
+    // 'center' moves the whole shape; the others reshape it.
+
+    function handles(shape) {
+        if (POINT_SHAPES.includes(shape.type)) {
+            return (shape.points || []).map((p, i) => ({ key: `point-${i}`, lat: p.lat, lon: p.lon }));
+        }
+
+        const { centerLat, centerLon } = shape;
+        const at = (x, y) => fromLocal(centerLat, centerLon, x, y);
+        const onBearing = (bearing, distance) => at(distance * Math.sin(bearing * Math.PI / 180), distance * Math.cos(bearing * Math.PI / 180));
+        const list = [{ key: 'center', lat: centerLat, lon: centerLon }];
+        const add = (key, point) => list.push({ key, lat: point.lat, lon: point.lon });
+
+        if (shape.type === 'circle') {
+            add('radius', onBearing(90, shape.radius));
+        } else if (shape.type === 'rectangle') {
+            const end = fromAxes(shape.length / 2, 0, shape.orientation);
+            const side = fromAxes(0, shape.width / 2, shape.orientation);
+            add('length', at(end.x, end.y));
+            add('width', at(side.x, side.y));
+        } else if (shape.type === 'ellipse') {
+            const major = fromAxes(shape.semiMajor, 0, shape.orientation);
+            const minor = fromAxes(0, shape.semiMinor, shape.orientation);
+            add('major', at(major.x, major.y));
+            add('minor', at(minor.x, minor.y));
+        } else if (shape.type === 'sector') {
+            add('start', onBearing(shape.startBearing, shape.outerRadius));
+            add('end', onBearing(shape.endBearing, shape.outerRadius));
+            if (shape.innerRadius > 0) {
+                add('inner', onBearing(shape.startBearing + sectorSpan(shape) / 2, shape.innerRadius));
+            }
+        }
+        return list;
+    }
+
+    const roundNm = value => Math.round(value * 10) / 10;
+    const roundDeg = value => Math.round(normalizeHeading(value)) % 360;
+
+    // Returns the property updates for dragging handle `key` to lat/lon
+    function moveHandle(shape, key, lat, lon) {
+        if (key && key.startsWith('point-')) {
+            const index = parseInt(key.split('-')[1], 10);
+            const points = [...shape.points];
+            points[index] = { ...points[index], lat, lon, name: points[index].name || '' };
+            return { points };
+        }
+        if (key === 'center') {
+            return { centerLat: lat, centerLon: lon };
+        }
+
+        const { x, y } = toLocal(shape.centerLat, shape.centerLon, lat, lon);
+        const distance = Math.sqrt(x * x + y * y);
+        const bearing = roundDeg(Math.atan2(x, y) * 180 / Math.PI);
+        const across = Math.abs(toAxes(x, y, shape.orientation || 0).v);
+
+        switch (key) {
+            case 'radius':
+                return { radius: roundNm(Math.max(MIN_SIZE, distance)) };
+            case 'length':
+                return { orientation: bearing, length: roundNm(Math.max(MIN_SIZE, distance * 2)) };
+            case 'width':
+                return { width: roundNm(Math.max(MIN_SIZE, across * 2)) };
+            case 'major':
+                return { orientation: bearing, semiMajor: roundNm(Math.max(MIN_SIZE, distance)) };
+            case 'minor':
+                return { semiMinor: roundNm(Math.max(MIN_SIZE, across)) };
+            case 'start':
+                return { startBearing: bearing, outerRadius: roundNm(Math.max(shape.innerRadius + MIN_SIZE, distance)) };
+            case 'end':
+                return { endBearing: bearing, outerRadius: roundNm(Math.max(shape.innerRadius + MIN_SIZE, distance)) };
+            case 'inner':
+                return { innerRadius: roundNm(Math.max(0, Math.min(shape.outerRadius - MIN_SIZE, distance))) };
+            default:
+                return {};
+        }
+    }
+
+    // ========================================================================
+    // CONTAINMENT AND ALTITUDE BLOCKS
+    // ========================================================================
+
+    function containsPoint(shape, lat, lon) {
+        if (shape.type === 'lineSegment') return false;
+
+        if (shape.type === 'polygon') {
+            const points = shape.points || [];
+            if (points.length < 3) return false;
+            // Ray cast in a local plane around the first vertex
+            const local = points.map(p => toLocal(points[0].lat, points[0].lon, p.lat, p.lon));
+            const target = toLocal(points[0].lat, points[0].lon, lat, lon);
+            let inside = false;
+            for (let i = 0, j = local.length - 1; i < local.length; j = i++) {
+                const [a, b] = [local[i], local[j]];
+                if ((a.y > target.y) !== (b.y > target.y) &&
+                    target.x < (b.x - a.x) * (target.y - a.y) / (b.y - a.y) + a.x) {
+                    inside = !inside;
+                }
+            }
+            return inside;
+        }
+
+        const { x, y } = toLocal(shape.centerLat, shape.centerLon, lat, lon);
+        const distance = Math.sqrt(x * x + y * y);
+        switch (shape.type) {
+            case 'circle':
+                return distance <= shape.radius;
+            case 'rectangle': {
+                const { u, v } = toAxes(x, y, shape.orientation);
+                return Math.abs(u) <= shape.length / 2 && Math.abs(v) <= shape.width / 2;
+            }
+            case 'ellipse': {
+                const { u, v } = toAxes(x, y, shape.orientation);
+                return (u / shape.semiMajor) ** 2 + (v / shape.semiMinor) ** 2 <= 1;
+            }
+            case 'sector': {
+                if (distance < shape.innerRadius || distance > shape.outerRadius) return false;
+                if (distance === 0) return true;
+                const offset = normalizeHeading(Math.atan2(x, y) * 180 / Math.PI - shape.startBearing);
+                return offset <= sectorSpan(shape);
+            }
+            default:
+                return false;
+        }
+    }
+
+    function hasAltitudeBlock(shape) {
+        return shape.minAltitude != null || shape.maxAltitude != null;
+    }
+
+    // Missing altitude (surface contacts) counts as 0 ft
+    function inAltitudeBlock(shape, altitude) {
+        const alt = altitude || 0;
+        return (shape.minAltitude == null || alt >= shape.minAltitude) &&
+            (shape.maxAltitude == null || alt <= shape.maxAltitude);
+    }
+
+    // Inside the area and inside its altitude block
+    function containsPosition(shape, lat, lon, altitude) {
+        return inAltitudeBlock(shape, altitude) && containsPoint(shape, lat, lon);
+    }
+
+    // 'SFC-FL250', 'FL050-FL180', 'FL100-UNL' or '' when there is no block
+    function formatAltitudeBlock(shape) {
+        if (!hasAltitudeBlock(shape)) return '';
+        const level = feet => `FL${String(Math.round(feet / 100)).padStart(3, '0')}`;
+        const floor = shape.minAltitude == null || shape.minAltitude <= 0 ? 'SFC' : level(shape.minAltitude);
+        const ceiling = shape.maxAltitude == null ? 'UNL' : level(shape.maxAltitude);
+        return `${floor}-${ceiling}`;
+    }
+
+    return {
+        SHAPE_PARAMS,
+        POINT_SHAPES,
+        AREA_SHAPES,
+        createShape,
+        center,
+        outline,
+        handles,
+        moveHandle,
+        containsPoint,
+        hasAltitudeBlock,
+        inAltitudeBlock,
+        containsPosition,
+        formatAltitudeBlock
+    };
+});
@@ -0,0 +1,1856 @@
+// ============================================================================
+// SIMULATION CORE - HEADLESS PHYSICS ENGINE
+// ============================================================================
+// Pure, UI-free simulation step shared by the React app and Node.
+// Takes a scenario state (the same shape saveToFile writes) plus a delta time
+// and returns the next state along with a list of events (radio calls, chat
+// messages, weapon impacts) for the caller to present however it likes.
+//
+// Browser: loaded as a plain <script> before app.js, exposes window.SimulationCore
+// Node:    const SimulationCore = require('./simulation-core.js');
+
+(function (root, factory) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    // The modules layered on the core (airfields.js and friends) require this file themselves,
+    // so stepSimulation looks them up when it runs rather than when this file loads
+    const core = factory((name, file) => (isNode ? require(`./${file}`) : root[name]));
+    if (isNode) {
+        module.exports = core;
+    } else {
+        root.SimulationCore = core;
+    }
+})(typeof self !== 'undefined' ? self : this, function (loadModule) {
+
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+
+    const WAYPOINT_ARRIVAL_THRESHOLD = 0.5; // nautical miles
+
+    // Domain configurations
+    const DOMAIN_TYPES = {
+        air: {
+            label: 'Air',
+            maxSpeed: 999,
+            turnRate: 15, // degrees per second
+            speedRate: 10, // knots per second
+            hasAltitude: true,
+            hasDepth: false
+        },
+        surface: {
+            label: 'Surface',
+            maxSpeed: 30,
+            turnRate: 1, // degrees per second
+            speedRate: 2, // knots per second
+            hasAltitude: false,
+            hasDepth: false
+        },
+        subSurface: {
+            label: 'Sub-Surface',
+            maxSpeed: 30,
+            turnRate: 1, // degrees per second
+            speedRate: 2, // knots per second
+            hasAltitude: false,
+            hasDepth: true
+        },
+        land: {
+            label: 'Land',
+            maxSpeed: 0, // Stationary - no movement
+            turnRate: 0, // No turning
+            speedRate: 0, // No speed changes
+            hasAltitude: false,
+            hasDepth: false
+        }
+    };
+
+    const MAX_PHYSICS_STEP = 1 / 15; // Max simulation seconds per physics substep (keeps fast movers from skipping thresholds when compressed)
+    const SONOBUOY_DETECTION_RANGE = 3; // nautical miles
+
+    // Turn/climb/speed rates (default for air assets)
+    const TURN_RATE = 15; // degrees per second
+    const SPEED_RATE = 10; // knots per second
+    const CLIMB_RATE = 100; // feet per second (6000 ft/min)
+
+    const WEAPON_MAX_TURN_RATE = 30; // degrees per second
+    const WEAPON_DRAG_DECELERATION = 50; // knots per second once fuel is depleted
+    const WEAPON_IMPACT_THRESHOLD = 0.1; // nautical miles
+    const TORPEDO_ACQUISITION_RANGE = 1; // NM - a torpedo's seeker locks on a submarine inside this
+    const TORPEDO_DEPTH_WINDOW = 300; // feet either side of the search depth the seeker can acquire
+    const TORPEDO_SEARCH_TURN_RATE = 2; // degrees per second circling the datum
+
+    // ========================================================================
+    // SEEDED RANDOM NUMBERS
+    // ========================================================================
+    // Every random decision in a run (detection thresholds, random behavior times,
+    // radar return IDs) derives from the scenario seed, so a restart or reload with
+    // the same seed reproduces the same event timing for every student in a class.
+    // Decisions are keyed (seed + purpose + asset/behavior ID) rather than drawn from
+    // one shared stream, so they don't depend on frame timing or evaluation order.
+
+    // Generate a fresh 32-bit scenario seed
+    function generateScenarioSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    // FNV-1a hash of the seed and key parts into a 32-bit integer
+    function hashSeed(seed, ...keys) {
+        const text = [seed, ...keys].join('|');
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    // Mulberry32 PRNG - returns a function producing numbers in [0, 1)
+    function createSeededRandom(seed) {
+        let state = seed >>> 0;
+        return function () {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Single keyed random number in [0, 1) - same seed and keys always give the same value
+    function seededRandom(seed, ...keys) {
+        return createSeededRandom(hashSeed(seed, ...keys))();
+    }
+
+    // Radar sweeps required before a track file is built for an asset (2-3)
+    function rollDetectionThreshold(seed, assetId) {
+        return 2 + Math.floor(seededRandom(seed, 'detectionThreshold', assetId) * 2);
+    }
+
+    // Resolve a randomTime trigger to a mission time between minTime and maxTime (inclusive)
+    function rollRandomTriggerTime(triggerConfig, seed, assetId, behaviorId) {
+        const { minTime, maxTime } = triggerConfig;
+        return minTime + Math.floor(seededRandom(seed, 'randomTime', assetId, behaviorId) * (maxTime - minTime + 1));
+    }
+
+    // Re-roll every randomTime behavior on an asset list (on load, or when the seed changes)
+    function rollRandomBehaviorTimes(assets, seed) {
+        return assets.map(asset => {
+            if (!asset.behaviors || !asset.behaviors.some(b => b.triggerType === 'randomTime' && b.triggerConfig)) {
+                return asset;
+            }
+            return {
+                ...asset,
+                behaviors: asset.behaviors.map(behavior => {
+                    if (behavior.triggerType !== 'randomTime' || !behavior.triggerConfig) return behavior;
+                    return {
+                        ...behavior,
+                        triggerConfig: {
+                            ...behavior.triggerConfig,
+                            randomMissionTime: rollRandomTriggerTime(behavior.triggerConfig, seed, asset.id, behavior.id)
+                        }
+                    };
+                })
+            };
+        });
+    }
+
+    // ========================================================================
+    // NAVIGATION UTILITIES
+    // ========================================================================
+
+    // Calculate bearing between two lat/lon points (in degrees)
+    function calculateBearing(lat1, lon1, lat2, lon2) {
+        const φ1 = lat1 * Math.PI / 180;
+        const φ2 = lat2 * Math.PI / 180;
+        const Δλ = (lon2 - lon1) * Math.PI / 180;
+
+        const y = Math.sin(Δλ) * Math.cos(φ2);
+        const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+        const θ = Math.atan2(y, x);
+
+        return (θ * 180 / Math.PI + 360) % 360;
+    }
+
+    // Calculate distance between two lat/lon points (in nautical miles)
+    function calculateDistance(lat1, lon1, lat2, lon2) {
+        const φ1 = lat1 * Math.PI / 180;
+        const φ2 = lat2 * Math.PI / 180;
+        const Δφ = (lat2 - lat1) * Math.PI / 180;
+        const Δλ = (lon2 - lon1) * Math.PI / 180;
+
+        const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
+                  Math.cos(φ1) * Math.cos(φ2) *
+                  Math.sin(Δλ/2) * Math.sin(Δλ/2);
+        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+
+        const R = 3440.065; // Earth radius in nautical miles
+        return R * c;
+    }
+
+    // Compute destination lat/lon given origin, bearing (degrees), and distance (nautical miles)
+    function computeDestinationPoint(lat, lon, bearingDeg, distanceNM) {
+        const R = 3440.065; // Earth radius in NM
+        const d = distanceNM / R;
+        const brng = bearingDeg * Math.PI / 180;
+        const lat1 = lat * Math.PI / 180;
+        const lon1 = lon * Math.PI / 180;
+        const lat2 = Math.asin(Math.sin(lat1) * Math.cos(d) + Math.cos(lat1) * Math.sin(d) * Math.cos(brng));
+        const lon2 = lon1 + Math.atan2(Math.sin(brng) * Math.sin(d) * Math.cos(lat1), Math.cos(d) - Math.sin(lat1) * Math.sin(lat2));
+        return { lat: lat2 * 180 / Math.PI, lon: lon2 * 180 / Math.PI };
+    }
+
+    // Normalize heading to 0-359 range
+    function normalizeHeading(heading) {
+        heading = heading % 360;
+        if (heading < 0) heading += 360;
+        return heading;
+    }
+
+    // Calculate shortest turn direction
+    function shortestTurn(current, target) {
+        current = normalizeHeading(current);
+        target = normalizeHeading(target);
+
+        const diff = target - current;
+        if (Math.abs(diff) <= 180) {
+            return diff;
+        } else if (diff > 180) {
+            return diff - 360;
+        } else {
+            return diff + 360;
+        }
+    }
+
+    // Dead-reckon a position along a heading (flat-earth step, fine for per-frame distances)
+    function advancePosition(lat, lon, heading, distanceNM) {
+        const headingRad = heading * Math.PI / 180;
+        const latRad = lat * Math.PI / 180;
+        return {
+            lat: lat + (distanceNM * Math.cos(headingRad)) / 60,
+            lon: lon + (distanceNM * Math.sin(headingRad)) / (60 * Math.cos(latRad))
+        };
+    }
+
+    // ========================================================================
+    // ASSET MOVEMENT
+    // ========================================================================
+
+    // Advance one asset by deltaTime seconds: behavior intercept steering, turn/speed/
+    // climb/depth rates, platform limits, position, waypoint arrival and orbit points.
+    // context: { assets } - full asset list from the previous step (for intercept targets)
+    function advanceAsset(asset, deltaTime, context) {
+        const updated = { ...asset };
+        const assets = context.assets || [];
+
+        // Get domain-specific configuration
+        const domainConfig = DOMAIN_TYPES[asset.domain || 'air'];
+
+        // Get platform-specific values or use domain defaults
+        const turnRate = asset.platform ? asset.platform.maxTurn : domainConfig.turnRate;
+        const climbRate = asset.platform && asset.platform.maxClimb ? (asset.platform.maxClimb / 60) : CLIMB_RATE; // Convert ft/min to ft/sec
+
+        // HIDDEN ASSETS: Apply target values immediately (no gradual transitions)
+        // This allows instructors to set up threat presentations before revealing assets
+        // Hidden assets still move based on their speed/heading, they're just not visible to students
+        if (asset.hidden) {
+            if (updated.targetHeading !== null && updated.targetHeading !== undefined) {
+                updated.heading = updated.targetHeading;
+                updated.targetHeading = null;
+            }
+            if (updated.targetSpeed !== null && updated.targetSpeed !== undefined) {
+                updated.speed = updated.targetSpeed;
+                updated.targetSpeed = null;
+            }
+            if (domainConfig.hasAltitude && updated.targetAltitude !== null && updated.targetAltitude !== undefined) {
+                updated.altitude = updated.targetAltitude;
+                updated.targetAltitude = null;
+            }
+            if (domainConfig.hasDepth && updated.targetDepth !== null && updated.targetDepth !== undefined) {
+                updated.depth = updated.targetDepth;
+                updated.targetDepth = null;
+            }
+        }
+
+        // Behavior-triggered intercept: continuously track toward target asset
+        if (asset.behaviorInterceptTargetId && !asset.targetingState && !isManeuvering(asset)) {
+            const interceptTarget = assets.find(a => a.id === asset.behaviorInterceptTargetId);
+            if (interceptTarget && !interceptTarget.isDestroyed) {
+                updated.targetHeading = calculateBearing(
+                    asset.lat, asset.lon,
+                    interceptTarget.lat, interceptTarget.lon
+                );
+            }
+        }
+
+        // Update heading
+        if (updated.targetHeading !== null && updated.targetHeading !== undefined) {
+            const turnAmount = shortestTurn(updated.heading, updated.targetHeading);
+            if (Math.abs(turnAmount) > 1) {
+                const turnDelta = Math.sign(turnAmount) * turnRate * deltaTime;
+                updated.heading = normalizeHeading(updated.heading + turnDelta);
+            } else {
+                updated.heading = updated.targetHeading;
+                updated.targetHeading = null;
+            }
+        }
+
+        // Update speed
+        if (updated.targetSpeed !== null && updated.targetSpeed !== undefined) {
+            const speedDiff = updated.targetSpeed - updated.speed;
+            if (Math.abs(speedDiff) > 1) {
+                const speedDelta = Math.sign(speedDiff) * domainConfig.speedRate * deltaTime;
+                updated.speed = updated.speed + speedDelta;
+            } else {
+                updated.speed = updated.targetSpeed;
+                updated.targetSpeed = null;
+            }
+        }
+
+        // Update altitude (only for air domain)
+        if (domainConfig.hasAltitude && updated.targetAltitude !== null && updated.targetAltitude !== undefined) {
+            const altDiff = updated.targetAltitude - updated.altitude;
+            if (Math.abs(altDiff) > 10) {
+                const altDelta = Math.sign(altDiff) * climbRate * deltaTime;
+                updated.altitude = updated.altitude + altDelta;
+            } else {
+                updated.altitude = updated.targetAltitude;
+                updated.targetAltitude = null;
+            }
+        }
+
+        // Update depth (only for sub-surface domain)
+        if (domainConfig.hasDepth && updated.targetDepth !== null && updated.targetDepth !== undefined) {
+            const depthDiff = updated.targetDepth - updated.depth;
+            if (Math.abs(depthDiff) > 1) {
+                const depthDelta = Math.sign(depthDiff) * 10 * deltaTime; // 10 ft/sec depth change rate
+                updated.depth = updated.depth + depthDelta;
+            } else {
+                updated.depth = updated.targetDepth;
+                updated.targetDepth = null;
+            }
+        }
+
+        // Enforce platform limits
+        if (asset.platform) {
+            if (asset.platform.maxSpeed !== undefined) {
+                updated.speed = Math.min(updated.speed, asset.platform.maxSpeed);
+                if (updated.targetSpeed !== null && updated.targetSpeed !== undefined) {
+                    updated.targetSpeed = Math.min(updated.targetSpeed, asset.platform.maxSpeed);
+                }
+            }
+            if (asset.platform.maxAltitude !== undefined && domainConfig.hasAltitude) {
+                updated.altitude = Math.min(updated.altitude, asset.platform.maxAltitude);
+                if (updated.targetAltitude !== null && updated.targetAltitude !== undefined) {
+                    updated.targetAltitude = Math.min(updated.targetAltitude, asset.platform.maxAltitude);
+                }
+            }
+            if (asset.platform.maxDepth !== undefined && domainConfig.hasDepth) {
+                updated.depth = Math.min(updated.depth, asset.platform.maxDepth);
+                if (updated.targetDepth !== null && updated.targetDepth !== undefined) {
+                    updated.targetDepth = Math.min(updated.targetDepth, asset.platform.maxDepth);
+                }
+            }
+        }
+
+        // Update position based on speed and heading
+        // LAND DOMAIN: Skip position updates (stationary)
+        if (asset.domain !== 'land') {
+            const distance = (asset.speed / 3600) * deltaTime;
+            const pos = advancePosition(asset.lat, asset.lon, asset.heading, distance);
+            updated.lat = pos.lat;
+            updated.lon = pos.lon;
+        }
+
+        // Air tactics steer on their own until the fighter is back on CAP
+        if (!isManeuvering(asset)) updateWaypointNavigation(asset, updated, domainConfig);
+
+        return updated;
+    }
+
+    // Check waypoint arrival and keep orbit points turning. Mutates `updated` in place.
+    // LAND DOMAIN: Skip waypoint processing (stationary assets don't navigate)
+    // Skip waypoint navigation when committed on a group - intercept heading takes priority
+    // interceptCommitted stays true from commit until picture clean/reset, even after target is destroyed
+    function updateWaypointNavigation(asset, updated, domainConfig) {
+        if (asset.domain !== 'land' && asset.waypoints && asset.waypoints.length > 0 && !asset.targetingState && !asset.interceptCommitted) {
+            // Backwards compatibility: ensure all waypoints have reached flag
+            if (asset.waypoints.some(wp => wp.reached === undefined)) {
+                updated.waypoints = asset.waypoints.map(wp => ({
+                    ...wp,
+                    id: wp.id || 0,
+                    reached: wp.reached || false
+                }));
+            }
+
+            const waypoints = updated.waypoints || asset.waypoints;
+
+            // Find first unreached waypoint
+            const currentWpIndex = waypoints.findIndex(wp => !wp.reached);
+            if (currentWpIndex !== -1) {
+                const wp = waypoints[currentWpIndex];
+                const distToWP = calculateDistance(updated.lat, updated.lon, wp.lat, wp.lon);
+
+                if (distToWP < WAYPOINT_ARRIVAL_THRESHOLD) {
+                    // Mark waypoint as reached
+                    console.log(`Asset ${asset.name || asset.id} reached waypoint ${currentWpIndex} (id: ${wp.id})`);
+                    const nextWpIndex = currentWpIndex + 1;
+                    const nextWp = waypoints[nextWpIndex];
+                    const prevWpIndex = currentWpIndex - 1;
+                    const prevWp = prevWpIndex >= 0 ? waypoints[prevWpIndex] : null;
+
+                    // Check if NEXT waypoint is wrapped with current (go to wrapped waypoint)
+                    if (nextWp && nextWp.wrappedWithPrevious) {
+                        // Keep both waypoints active for wrap loop - navigate to the wrapped waypoint
+                        updated.waypoints = waypoints.map((w, idx) => {
+                            if (idx === currentWpIndex) return { ...w, reached: true };
+                            if (idx === nextWpIndex) return { ...w, reached: false }; // Ensure next is unreached
+                            return w;
+                        });
+                        updated.targetHeading = calculateBearing(updated.lat, updated.lon, nextWp.lat, nextWp.lon);
+                    }
+                    // Check if THIS waypoint is wrapped with previous (go back to previous)
+                    else if (wp.wrappedWithPrevious && prevWp) {
+                        // Toggle: mark current as reached, un-reach the previous to go back
+                        updated.waypoints = waypoints.map((w, idx) => {
+                            if (idx === prevWpIndex) return { ...w, reached: false };
+                            if (idx === currentWpIndex) return { ...w, reached: true };
+                            return w;
+                        });
+                        updated.targetHeading = calculateBearing(updated.lat, updated.lon, prevWp.lat, prevWp.lon);
+                    }
+                    else if (wp.isOrbitPoint) {
+                        // Orbit point - mark reached and start orbiting
+                        updated.waypoints = waypoints.map((w, idx) =>
+                            idx === currentWpIndex ? { ...w, reached: true } : w
+                        );
+                        updated.isOrbiting = true;
+                        // Don't clear targetHeading - orbit logic below will handle continuous turning
+                    }
+                    else {
+                        // Normal behavior - mark reached and go to next
+                        updated.waypoints = waypoints.map((w, idx) =>
+                            idx === currentWpIndex ? { ...w, reached: true } : w
+                        );
+
+                        // Find next unreached waypoint
+                        const foundNextWpIndex = updated.waypoints.findIndex((w, idx) => idx > currentWpIndex && !w.reached);
+                        if (foundNextWpIndex !== -1) {
+                            const foundNextWP = updated.waypoints[foundNextWpIndex];
+                            updated.targetHeading = calculateBearing(updated.lat, updated.lon, foundNextWP.lat, foundNextWP.lon);
+                        } else {
+                            // No more waypoints, clear targets
+                            updated.targetHeading = null;
+                        }
+                    }
+                } else {
+                    // Not at waypoint yet - continuously update heading toward it
+                    // This ensures asset tracks waypoint even if it moves or after behaviors change heading
+                    updated.targetHeading = calculateBearing(updated.lat, updated.lon, wp.lat, wp.lon);
+                }
+            }
+        }
+
+        // Orbit logic - continuous turning when orbiting
+        if (updated.isOrbiting) {
+            const orbitWp = (updated.waypoints || asset.waypoints || []).find(wp => wp.isOrbitPoint && wp.reached);
+            if (orbitWp) {
+                // Continuously turn right at standard rate to create orbit
+                const turnRate = asset.platform ? asset.platform.maxTurn : domainConfig.turnRate;
+                updated.targetHeading = (updated.heading + turnRate * 2) % 360;
+            }
+        }
+    }
+
+    // ========================================================================
+    // BEHAVIOR ENGINE
+    // ========================================================================
+
+    // Actions whose value is the id of another behavior on the same asset
+    const BEHAVIOR_LINK_ACTIONS = ['armBehavior', 'disarmBehavior'];
+    const MIN_REPEAT_COOLDOWN = 1; // seconds - a standing trigger must not re-fire every physics tick
+
+    // Compare a measured distance against a trigger's configured distance
+    function compareDistance(distance, triggerConfig) {
+        const comp = triggerConfig.comparison || 'lte';
+        if (comp === 'lte') return distance <= triggerConfig.distance;
+        if (comp === 'gt') return distance > triggerConfig.distance;
+        if (comp === 'eq') return Math.abs(distance - triggerConfig.distance) <= 0.5;
+        return false;
+    }
+
+    // Resolve a distanceFromGeoPoint target key ('bullseye', 'geo-3', 'circle-2', 'line-4-1',
+    // or 'shape-5' for the centre of any shape, using context.shapeCenter)
+    // Returns { lat, lon, radius } or null if the target no longer exists
+    function resolveGeoTarget(geoTarget, context) {
+        const geoPoints = context.geoPoints || [];
+        const shapes = context.shapes || [];
+
+        if (geoTarget === 'bullseye') {
+            return context.bullseye ? { lat: context.bullseye.lat, lon: context.bullseye.lon, radius: 0 } : null;
+        }
+        if (geoTarget && geoTarget.startsWith('geo-')) {
+            const geoId = parseInt(geoTarget.split('-')[1]);
+            const gp = geoPoints.find(g => g.id === geoId);
+            return gp ? { lat: gp.lat, lon: gp.lon, radius: 0 } : null;
+        }
+        if (geoTarget && geoTarget.startsWith('circle-')) {
+            const shapeId = parseInt(geoTarget.split('-')[1]);
+            const circle = shapes.find(s => s.id === shapeId && s.type === 'circle');
+            return circle ? { lat: circle.centerLat, lon: circle.centerLon, radius: circle.radius || 0 } : null;
+        }
+        if (geoTarget && geoTarget.startsWith('line-')) {
+            const parts = geoTarget.split('-');
+            const shapeId = parseInt(parts[1]);
+            const ptIdx = parseInt(parts[2]);
+            const line = shapes.find(s => s.id === shapeId && s.type === 'lineSegment');
+            if (line && line.points[ptIdx]) {
+                return { lat: line.points[ptIdx].lat, lon: line.points[ptIdx].lon, radius: 0 };
+            }
+        }
+        if (geoTarget && geoTarget.startsWith('shape-') && context.shapeCenter) {
+            const shape = shapes.find(s => s.id === parseInt(geoTarget.split('-')[1]));
+            return shape ? { ...context.shapeCenter(shape), radius: 0 } : null;
+        }
+        return null;
+    }
+
+    // Feet above the surface (submarines negative) for altitude-block checks
+    function assetAltitude(asset) {
+        if (asset.domain === 'air') return asset.altitude || 0;
+        if (asset.domain === 'subSurface') return -(asset.depth || 0);
+        return 0;
+    }
+
+    // Within `range` NM and line of sight of a friendly asset with an emitter switched on
+    // (the ownship's radar counts while context.ownshipRadar is on)
+    function isIlluminated(asset, context, range) {
+        return (context.assets || []).some(other => {
+            if (other.id === asset.id) return false;
+            const isOwnship = other.type === 'ownship';
+            if (!isOwnship && other.identity !== 'friendly') return false;
+            const emitting = (isOwnship && context.ownshipRadar) ||
+                Object.values(other.emitterStates || {}).some(Boolean);
+            if (!emitting) return false;
+            const distance = calculateDistance(other.lat, other.lon, asset.lat, asset.lon);
+            return distance <= range && distance <= radarHorizon(other, asset);
+        });
+    }
+
+    // Radio log keyword match on whole words, ignoring case and punctuation
+    function radioMentions(message, keyword) {
+        const words = text => ` ${String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+        const phrase = words(keyword).trim();
+        return phrase.length > 0 && words(message).includes(` ${phrase} `);
+    }
+
+    // Triggers that fire on a change rather than a condition. Returns what the trigger
+    // watches this tick (kept in behavior.triggerState between ticks), or undefined for
+    // condition triggers.
+    function observeTrigger(behavior, asset, context) {
+        const config = behavior.triggerConfig || {};
+
+        switch (behavior.triggerType) {
+            case 'identityChanged': {
+                // 'assetIdentity|trackIdentity'. Without a student track its last identity is
+                // kept, so creating or deleting a track is not an identity change.
+                const track = (context.studentTracks || []).find(t => t.assetId === asset.id);
+                const lastTrackIdentity = behavior.triggerState ? String(behavior.triggerState.value).split('|')[1] : '';
+                return `${asset.identity || ''}|${track && track.identity ? track.identity : lastTrackIdentity}`;
+            }
+            case 'enterShape':
+            case 'exitShape': {
+                const shape = (context.shapes || []).find(s => s.id === config.shapeId);
+                if (!shape || !context.containsPosition) return false;
+                return context.containsPosition(shape, asset.lat, asset.lon, assetAltitude(asset));
+            }
+            case 'altitudeCrossing':
+            case 'speedCrossing': {
+                const value = behavior.triggerType === 'altitudeCrossing' ? assetAltitude(asset) : asset.speed || 0;
+                return config.comparison === 'below' ? value < config.value : value > config.value;
+            }
+            case 'radioKeyword': {
+                // Id of the latest radio log entry with the keyword (0 = none yet)
+                let latest = 0;
+                (context.radioMessages || []).forEach(entry => {
+                    if (entry.id > latest && radioMentions(entry.message, config.keyword || '')) latest = entry.id;
+                });
+                return latest;
+            }
+        }
+        return undefined;
+    }
+
+    // Whether a change from `previous` to `current` (see observeTrigger) fires the trigger
+    function isChangeTrigger(behavior, previous, current) {
+        const config = behavior.triggerConfig || {};
+        if (previous === undefined || previous === current) return false;
+
+        switch (behavior.triggerType) {
+            case 'identityChanged': {
+                // config.source picks what is watched: 'asset' (behavior actions and the
+                // instructor), 'track' (the student) or 'any' (both, the default)
+                const [assetBefore, trackBefore] = previous.split('|');
+                const [assetNow, trackNow] = current.split('|');
+                const changedTo = [];
+                if (config.source !== 'track' && assetNow !== assetBefore) changedTo.push(assetNow);
+                if (config.source !== 'asset' && trackBefore && trackNow !== trackBefore) changedTo.push(trackNow);
+                return changedTo.length > 0 &&
+                    (!config.identity || config.identity === 'any' || changedTo.includes(config.identity));
+            }
+            case 'enterShape':
+            case 'altitudeCrossing':
+            case 'speedCrossing':
+                return current === true;
+            case 'exitShape':
+                return current === false;
+            case 'radioKeyword':
+                return current > previous;
+        }
+        return false;
+    }
+
+    // Check whether a behavior's trigger condition is met for the (already moved) asset
+    function isTriggerMet(behavior, asset, context) {
+        const config = behavior.triggerConfig || {};
+
+        switch (behavior.triggerType) {
+            case 'missionTime':
+                return context.missionTime >= config.missionTime;
+
+            case 'randomTime':
+                return config.randomMissionTime !== undefined && context.missionTime >= config.randomMissionTime;
+
+            case 'distanceFromAsset': {
+                const targetAsset = (context.assets || []).find(a => a.id === config.targetAssetId);
+                if (!targetAsset) return false;
+                return compareDistance(calculateDistance(asset.lat, asset.lon, targetAsset.lat, targetAsset.lon), config);
+            }
+
+            case 'atWaypoint': {
+                // Check using UPDATED waypoints so arrivals from this step are seen immediately
+                const targetWaypoint = asset.waypoints && asset.waypoints[config.waypointIndex];
+                return !!(targetWaypoint && targetWaypoint.reached);
+            }
+
+            case 'distanceFromGeoPoint': {
+                const target = resolveGeoTarget(config.geoTarget, context);
+                if (!target) return false;
+                const dist = calculateDistance(asset.lat, asset.lon, target.lat, target.lon);
+                return compareDistance(Math.max(0, dist - target.radius), config);
+            }
+
+            case 'radarDetected':
+                // Sweeps that have painted this asset (the same counts that build student tracks)
+                return ((context.radarDetectionCounts || {})[asset.id] || 0) >= (config.detections || 1);
+
+            case 'illuminated':
+                return isIlluminated(asset, context, config.range || RADAR_MAX_RANGE);
+
+            case 'weaponLaunched':
+                return (context.weapons || []).some(w => w.targetId === asset.id);
+
+            case 'assetDestroyed':
+                // Gone from the scenario (destroyed by a weapon or deleted)
+                return config.targetAssetId !== undefined && config.targetAssetId !== null &&
+                    !(context.assets || []).some(a => a.id === config.targetAssetId);
+        }
+        return false;
+    }
+
+    // Replace the asset's route with the given points (like the context-menu Go To / Orbit)
+    function setRoute(updated, points, orbit) {
+        let nextWaypointId = updated.nextWaypointId || 0;
+        updated.waypoints = points.map(point => ({
+            id: ++nextWaypointId, lat: point.lat, lon: point.lon, reached: false,
+            ...(orbit ? { isOrbitPoint: true } : {})
+        }));
+        updated.nextWaypointId = nextWaypointId;
+        updated.targetHeading = calculateBearing(updated.lat, updated.lon, points[0].lat, points[0].lon);
+        updated.isOrbiting = false;
+        updated.behaviorInterceptTargetId = null;
+    }
+
+    // Apply one behavior action to the asset. Mutates `updated`; side effects are pushed to `events`
+    // (fireWeapon, spawnAssets and removeAsset are carried out by the app, which owns those collections).
+    function applyBehaviorAction(action, updated, events, context) {
+        const assetName = updated.name || `Asset ${updated.id}`;
+
+        switch (action.type) {
+            case 'changeHeading':
+                updated.targetHeading = action.value;
+                break;
+            case 'changeSpeed':
+                updated.targetSpeed = action.value;
+                break;
+            case 'changeAltitude':
+                if (updated.domain === 'air') {
+                    updated.targetAltitude = action.value;
+                }
+                break;
+            case 'turnEmitterOn':
+                updated.emitterStates = { ...(updated.emitterStates || {}), [action.value]: true };
+                break;
+            case 'turnEmitterOff':
+                updated.emitterStates = { ...(updated.emitterStates || {}), [action.value]: false };
+                break;
+            case 'makeVisible':
+                updated.hidden = false;
+                break;
+            case 'makeInvisible':
+                updated.hidden = true;
+                break;
+            case 'turnOnTrackFile':
+                updated.trackFileEnabled = true;
+                break;
+            case 'turnOffTrackFile':
+                updated.trackFileEnabled = false;
+                break;
+            case 'transmitOnRadio':
+                if (action.value) {
+                    events.push({ type: 'radio', assetId: updated.id, sender: assetName, message: action.value });
+                }
+                break;
+            case 'interceptAsset':
+                if (action.value) {
+                    updated.behaviorInterceptTargetId = parseInt(action.value);
+                }
+                break;
+            case 'sendMessage':
+                if (action.value) {
+                    events.push({ type: 'chat', assetId: updated.id, sender: assetName, message: action.value });
+                }
+                break;
+            case 'fireWeapon':
+                // value: { weaponName, targetAssetId }
+                if (action.value && action.value.weaponName && action.value.targetAssetId != null) {
+                    events.push({
+                        type: 'fireWeapon', assetId: updated.id,
+                        weaponName: action.value.weaponName, targetId: action.value.targetAssetId
+                    });
+                }
+                break;
+            case 'spawnAsset': {
+                // value: { platform, domain, count, identity, name, geoTarget, heading, speed, altitude };
+                // spawns at the geo target, or at this asset with no target
+                if (!action.value || !action.value.platform) break;
+                const from = action.value.geoTarget ? resolveGeoTarget(action.value.geoTarget, context) : updated;
+                if (!from) break;
+                events.push({ type: 'spawnAssets', assetId: updated.id, spawn: action.value, lat: from.lat, lon: from.lon });
+                break;
+            }
+            case 'goToPoint': {
+                const target = resolveGeoTarget(action.value, context);
+                if (target) setRoute(updated, [target], false);
+                break;
+            }
+            case 'orbit': {
+                // Orbit the geo target, or right here with no target (air only)
+                if (updated.domain !== 'air') break;
+                const target = action.value ? resolveGeoTarget(action.value, context) : null;
+                if (target) {
+                    setRoute(updated, [target], true);
+                } else if (!action.value) {
+                    const nextWaypointId = (updated.nextWaypointId || 0) + 1;
+                    updated.waypoints = [{ id: nextWaypointId, lat: updated.lat, lon: updated.lon, reached: true, isOrbitPoint: true }];
+                    updated.nextWaypointId = nextWaypointId;
+                    updated.isOrbiting = true;
+                    updated.behaviorInterceptTargetId = null;
+                }
+                break;
+            }
+            case 'followRoute': {
+                // A line-segment shape used as a named route, flown from its first point
+                const route = (context.shapes || []).find(s => s.id === action.value && s.type === 'lineSegment');
+                if (route && route.points && route.points.length > 0) setRoute(updated, route.points, false);
+                break;
+            }
+            case 'changeIdentity':
+                if (action.value && updated.type !== 'ownship') updated.identity = action.value;
+                break;
+            case 'setIffSquawk': {
+                // value: { mode: 'I' | 'II' | 'III' | 'off', code }
+                const squawk = action.value || {};
+                if (squawk.mode === 'off') {
+                    updated.iffSquawking = false;
+                } else if (['I', 'II', 'III'].includes(squawk.mode)) {
+                    updated[`iffMode${squawk.mode}`] = squawk.code || '';
+                    updated.iffSquawking = true;
+                }
+                break;
+            }
+            case 'deleteSelf':
+                if (updated.type !== 'ownship') events.push({ type: 'removeAsset', assetId: updated.id });
+                break;
+        }
+    }
+
+    // Evaluate one trigger (a behavior's own, or one of its extra conditions) against the asset.
+    // Returns { met, triggerState }; triggerState is the same object when nothing changed.
+    function checkCondition(condition, asset, context) {
+        const observed = observeTrigger(condition, asset, context);
+        if (observed === undefined) {
+            return { met: isTriggerMet(condition, asset, context), triggerState: condition.triggerState };
+        }
+        // Change triggers compare with what they saw last tick; the first tick only records it
+        const previous = condition.triggerState ? condition.triggerState.value : undefined;
+        if (observed === previous) return { met: false, triggerState: condition.triggerState };
+        return { met: isChangeTrigger(condition, previous, observed), triggerState: { value: observed } };
+    }
+
+    // Behavior as it is when first armed: not fired, no trigger history
+    function resetBehavior(behavior) {
+        const reset = { ...behavior, fired: false, fireCount: 0 };
+        delete reset.triggerState;
+        delete reset.lastFiredTime;
+        if (reset.conditions) {
+            reset.conditions = reset.conditions.map(c => ({ triggerType: c.triggerType, triggerConfig: c.triggerConfig }));
+        }
+        return reset;
+    }
+
+    // Check behaviors AFTER waypoint arrival so behaviors see waypoints that were just marked as reached
+    // context: { assets, missionTime, bullseye, geoPoints, shapes, studentTracks, weapons,
+    //            radarDetectionCounts, ownshipRadar, radioMessages: [{ id, message }],
+    //            containsPosition: ShapeGeometry.containsPosition (shape triggers),
+    //            shapeCenter: ShapeGeometry.center ('shape-N' targets) }
+    //
+    // A behavior fires when its trigger and its extra `conditions` are met - all of them, or any
+    // one with conditionLogic 'or'. With `repeat: { cooldown, limit }` it re-arms `cooldown`
+    // seconds (at least MIN_REPEAT_COOLDOWN) after firing until it has fired `limit` times
+    // (0 = no limit). An action with a `delay` runs that many seconds after the previous one;
+    // delayed actions wait in asset.pendingActions. armBehavior/disarmBehavior switch other behaviors on this asset on
+    // and off (arming also resets them).
+    // Returns { asset, events }
+    function evaluateBehaviors(asset, context) {
+        const events = [];
+        const pending = asset.pendingActions || [];
+        if ((!asset.behaviors || asset.behaviors.length === 0) && pending.length === 0) return { asset, events };
+
+        const updated = { ...asset };
+        let behaviorsChanged = false;
+        const arming = {}; // behaviorId -> true (arm) / false (disarm)
+
+        const runAction = (action) => {
+            if (BEHAVIOR_LINK_ACTIONS.includes(action.type)) {
+                if (action.value) arming[action.value] = action.type === 'armBehavior';
+            } else {
+                applyBehaviorAction(action, updated, events, context);
+            }
+        };
+
+        // Delayed actions that have come due
+        let waiting = pending;
+        if (pending.some(p => context.missionTime >= p.dueTime)) {
+            waiting = [];
+            pending.forEach(p => {
+                if (context.missionTime >= p.dueTime) runAction(p.action);
+                else waiting.push(p);
+            });
+        }
+
+        const updatedBehaviors = (asset.behaviors || []).map(behavior => {
+            if (!behavior.enabled || behavior.fired) return behavior;
+
+            const primary = checkCondition(behavior, updated, context);
+            const extra = (behavior.conditions || []).map(c => checkCondition(c, updated, context));
+
+            let current = behavior;
+            if (primary.triggerState !== behavior.triggerState) {
+                current = { ...current, triggerState: primary.triggerState };
+            }
+            if (extra.some((result, i) => result.triggerState !== behavior.conditions[i].triggerState)) {
+                current = {
+                    ...current,
+                    conditions: behavior.conditions.map((c, i) => ({ ...c, triggerState: extra[i].triggerState }))
+                };
+            }
+            if (current !== behavior) behaviorsChanged = true;
+
+            const results = [primary.met, ...extra.map(result => result.met)];
+            const met = behavior.conditionLogic === 'or' ? results.some(Boolean) : results.every(Boolean);
+            const coolingDown = behavior.repeat && behavior.lastFiredTime !== undefined &&
+                context.missionTime < behavior.lastFiredTime + Math.max(MIN_REPEAT_COOLDOWN, behavior.repeat.cooldown || 0);
+            if (!met || coolingDown) return current;
+
+            console.log(`Behavior ${behavior.id} fired for asset ${updated.name || updated.id}`);
+            let delay = 0;
+            (behavior.actions || []).forEach(action => {
+                delay += Math.max(0, action.delay || 0);
+                if (delay > 0) {
+                    waiting = [...waiting, { behaviorId: behavior.id, action, dueTime: context.missionTime + delay }];
+                } else {
+                    runAction(action);
+                }
+            });
+            events.push({ type: 'behaviorFired', assetId: updated.id, behaviorId: behavior.id });
+
+            behaviorsChanged = true;
+            const fireCount = (behavior.fireCount || 0) + 1;
+            const limit = behavior.repeat ? behavior.repeat.limit || 0 : 1;
+            return { ...current, fired: limit > 0 && fireCount >= limit, fireCount, lastFiredTime: context.missionTime };
+        });
+
+        let finalBehaviors = updatedBehaviors;
+        if (Object.keys(arming).length > 0) {
+            behaviorsChanged = true;
+            finalBehaviors = updatedBehaviors.map(behavior => {
+                if (!(behavior.id in arming)) return behavior;
+                return arming[behavior.id] ? { ...resetBehavior(behavior), enabled: true } : { ...behavior, enabled: false };
+            });
+            // A disarmed behavior's delayed actions are cancelled
+            waiting = waiting.filter(p => arming[p.behaviorId] !== false);
+        }
+
+        if (waiting !== pending) updated.pendingActions = waiting;
+        if (!behaviorsChanged && waiting === pending) return { asset, events };
+        if (behaviorsChanged) updated.behaviors = finalBehaviors;
+        return { asset: updated, events };
+    }
+
+    // ========================================================================
+    // AIR TACTICS
+    // ========================================================================
+    // Optional brain for hostile fighters, switched on per asset with
+    //   asset.tactics = { enabled, commitRange (NM), defense: 'auto' | 'crank' | 'beam' | 'notch',
+    //                     bingo (minutes until bingo fuel, 0 = never) }
+    // Each tick it picks one phase, highest priority first:
+    //   defend - a friendly AAM is in flight at the fighter: crank, beam or notch it
+    //   cold   - bingo fuel, winchester (all missiles fired) or an airfield aircraft on its way
+    //            home (asset.recovery RTB): turn away and stay away
+    //   commit - a friendly air asset is inside commitRange: pursue it and fire the
+    //            platform's longest-range AAM (weapons.json) once inside that missile's maxRange
+    //   cap    - nothing to react to: waypoints, orbits and behaviors steer as normal
+    // Progress is kept on asset.tacticsState = { phase, targetId, missiles, fuel (seconds),
+    // lastShotTime, cruiseAltitude, defense } and saved with the scenario.
+
+    const TACTICS_DEFAULTS = { enabled: true, commitRange: 40, defense: 'auto', bingo: 30 };
+    const TACTICS_DEFENSES = {
+        auto: 'Auto (crank while supporting a shot, else beam, notch when close)',
+        crank: 'Crank',
+        beam: 'Beam',
+        notch: 'Notch'
+    };
+    const CRANK_ANGLE = 50; // degrees off the target while supporting a shot
+    const NOTCH_RANGE = 10; // NM - auto defense notches a missile inside this range
+    const NOTCH_ALTITUDE = 5000; // feet - notching fighters dive into the ground clutter
+    const COMMIT_HYSTERESIS = 1.25; // a committed fighter keeps its target out to this multiple of commitRange
+    const LAUNCH_MARGIN = 0.95; // fire just inside maxRange so app.js's launch range check still passes
+    const SHOT_INTERVAL = 10; // seconds between launches (the missile takes a moment to appear)
+
+    function tacticsActive(asset) {
+        return !!(asset.tactics && asset.tactics.enabled && ['air', 'surface', 'subSurface'].includes(asset.domain) &&
+            asset.type !== 'ownship' && asset.identity === 'hostile');
+    }
+
+    // True while the tactics brain is steering - waypoints, orbits and behavior intercepts wait.
+    // Surface combatants shoot from wherever their route takes them; submarines only
+    // leave it to evade a torpedo.
+    function isManeuvering(asset) {
+        if (!tacticsActive(asset) || !asset.tacticsState) return false;
+        if (asset.domain === 'subSurface') return asset.tacticsState.phase === 'evade';
+        return asset.domain === 'air' && asset.tacticsState.phase !== 'cap';
+    }
+
+    function isFriendlyAir(asset) {
+        return asset.domain === 'air' && (asset.type === 'ownship' || asset.identity === 'friendly') && !asset.isDestroyed;
+    }
+
+    // The platform's longest-range air-to-air missile, or null
+    function selectAirToAirWeapon(asset, weaponConfigs) {
+        const names = ((asset.platform && asset.platform.weapons) || [])
+            .filter(name => weaponConfigs[name] && weaponConfigs[name].type === 'AAM');
+        names.sort((a, b) => weaponConfigs[b].maxRange - weaponConfigs[a].maxRange);
+        return names[0] || null;
+    }
+
+    function isAirToAir(weapon, weaponConfigs) {
+        const config = weaponConfigs[weapon.weaponName || weapon.weaponType];
+        return (config ? config.type : weapon.weaponType) === 'AAM';
+    }
+
+    // Whichever of two headings needs the smaller turn
+    function nearerHeading(current, a, b) {
+        return Math.abs(shortestTurn(current, a)) <= Math.abs(shortestTurn(current, b)) ? a : b;
+    }
+
+    // Run one tick of air tactics for an asset (a no-op unless tacticsActive; surface
+    // combatants and submarines are handed to updateSurfaceTactics / updateSubmarineTactics).
+    // context: { assets, weapons, weaponConfigs, missionTime, sonobuoys, sonobuoyRange }
+    // Returns { asset, events } - launches are fireWeapon events, the same as the behavior action
+    function updateTactics(asset, deltaTime, context) {
+        if (!tacticsActive(asset)) return { asset, events: [] };
+        if (asset.domain === 'surface') return updateSurfaceTactics(asset, context);
+        if (asset.domain === 'subSurface') return updateSubmarineTactics(asset, context);
+
+        const tactics = { ...TACTICS_DEFAULTS, ...asset.tactics };
+        const weaponConfigs = context.weaponConfigs || {};
+        const weapons = context.weapons || [];
+        const weaponName = selectAirToAirWeapon(asset, weaponConfigs);
+        const loadout = (asset.platform && asset.platform.numberOfAAM) || 0;
+        const previous = asset.tacticsState || {};
+        const state = {
+            phase: previous.phase || 'cap',
+            targetId: previous.targetId !== undefined ? previous.targetId : null,
+            missiles: previous.missiles !== undefined ? previous.missiles : loadout,
+            fuel: previous.fuel !== undefined ? previous.fuel : tactics.bingo * 60,
+            lastShotTime: previous.lastShotTime !== undefined ? previous.lastShotTime : null,
+            cruiseAltitude: previous.cruiseAltitude !== undefined ? previous.cruiseAltitude : asset.altitude,
+            defense: previous.defense || null
+        };
+        if (tactics.bingo > 0) state.fuel = Math.max(0, state.fuel - deltaTime);
+
+        const updated = { ...asset };
+        const events = [];
+        const distanceTo = (other) => calculateDistance(asset.lat, asset.lon, other.lat, other.lon);
+        const bearingTo = (other) => calculateBearing(asset.lat, asset.lon, other.lat, other.lon);
+        const byDistance = (a, b) => distanceTo(a) - distanceTo(b);
+
+        const friendlies = (context.assets || []).filter(isFriendlyAir);
+        const threats = weapons
+            .filter(w => w.targetId === asset.id && w.firingAssetId !== asset.id && isAirToAir(w, weaponConfigs))
+            .sort(byDistance);
+        const ownShots = weapons.filter(w => w.firingAssetId === asset.id);
+        const bingo = tactics.bingo > 0 && state.fuel <= 0;
+        const winchester = !!weaponName && loadout > 0 && state.missiles <= 0;
+        const homeward = !!asset.recovery && asset.recovery.phase === 'rtb'; // Airfield aircraft flying home
+
+        // Keep the current target while it is alive and not far outside commit range
+        let target = friendlies.find(f => f.id === state.targetId && distanceTo(f) <= tactics.commitRange * COMMIT_HYSTERESIS);
+        if (!target) target = friendlies.filter(f => distanceTo(f) <= tactics.commitRange).sort(byDistance)[0];
+
+        if (threats.length > 0) {
+            const missile = threats[0];
+            const shooter = (context.assets || []).find(a => a.id === missile.firingAssetId);
+            let defense = tactics.defense;
+            if (defense === 'auto') {
+                if (target && ownShots.some(w => w.targetId === target.id)) defense = 'crank';
+                else defense = distanceTo(missile) <= NOTCH_RANGE ? 'notch' : 'beam';
+            }
+            if (state.phase !== 'defend') state.cruiseAltitude = asset.altitude;
+
+            // Crank keeps the target just inside the radar gimbals; beam and notch put the missile on the wing
+            const reference = defense === 'crank' ? bearingTo(target || shooter || missile) : bearingTo(missile);
+            const offset = defense === 'crank' ? CRANK_ANGLE : 90;
+            updated.targetHeading = nearerHeading(asset.heading,
+                normalizeHeading(reference + offset), normalizeHeading(reference - offset));
+            if (defense === 'notch' && asset.altitude > NOTCH_ALTITUDE) updated.targetAltitude = NOTCH_ALTITUDE;
+
+            state.phase = 'defend';
+            state.defense = defense;
+        } else {
+            // Missile defeated or gone - climb back up after a notch
+            if (state.phase === 'defend' && state.defense === 'notch') {
+                updated.targetAltitude = state.cruiseAltitude;
+            }
+            state.defense = null;
+
+            if (bingo || winchester || homeward) {
+                if (state.phase !== 'cold') {
+                    const nearest = friendlies.slice().sort(byDistance)[0];
+                    updated.targetHeading = normalizeHeading((nearest ? bearingTo(nearest) : asset.heading) + 180);
+                    state.phase = 'cold';
+                    state.targetId = null;
+                }
+            } else if (target) {
+                state.phase = 'commit';
+                state.targetId = target.id;
+                updated.targetHeading = bearingTo(target);
+
+                // Shoot-look-shoot: one missile at a time per target
+                const config = weaponName && weaponConfigs[weaponName];
+                const shotInFlight = ownShots.some(w => w.targetId === target.id);
+                const readyToFire = state.lastShotTime === null || context.missionTime - state.lastShotTime >= SHOT_INTERVAL;
+                if (config && state.missiles > 0 && !shotInFlight && readyToFire &&
+                    distanceTo(target) <= config.maxRange * LAUNCH_MARGIN) {
+                    events.push({ type: 'fireWeapon', assetId: asset.id, weaponName, targetId: target.id });
+                    state.missiles -= 1;
+                    state.lastShotTime = context.missionTime;
+                }
+            } else {
+                state.phase = 'cap';
+                state.targetId = null;
+            }
+        }
+
+        updated.tacticsState = state;
+        return { asset: updated, events };
+    }
+
+    // ========================================================================
+    // SURFACE TACTICS
+    // ========================================================================
+    // The same asset.tactics switch on a hostile surface combatant:
+    //   asset.tactics = { enabled, commitRange (NM), salvo (missiles per salvo) }
+    // Ships never maneuver for it; they keep to their route and:
+    //   commit - a friendly ship (or a surface ownship) is inside commitRange and the
+    //            platform's longest-range ASM: fire a salvo SALVO_INTERVAL seconds apart,
+    //            then hold until it has landed before firing the next
+    //   cold   - winchester (numberOfASM fired)
+    //   cap    - nothing in range
+    // Progress is kept on asset.tacticsState = { phase, targetId, missiles, salvoFired,
+    // lastShotTime }.
+
+    const SURFACE_TACTICS_DEFAULTS = { enabled: true, commitRange: 40, salvo: 2 };
+    const SALVO_INTERVAL = 3; // seconds between missiles of one salvo
+
+    function isFriendlySurface(asset) {
+        return asset.domain === 'surface' && (asset.type === 'ownship' || asset.identity === 'friendly') && !asset.isDestroyed;
+    }
+
+    // The platform's longest-range anti-ship missile, or null
+    function selectAntiShipWeapon(asset, weaponConfigs) {
+        const names = ((asset.platform && asset.platform.weapons) || [])
+            .filter(name => weaponConfigs[name] && weaponConfigs[name].type === 'ASM');
+        names.sort((a, b) => weaponConfigs[b].maxRange - weaponConfigs[a].maxRange);
+        return names[0] || null;
+    }
+
+    // One tick of surface tactics (called through updateTactics).
+    // Returns { asset, events } - launches are fireWeapon events
+    function updateSurfaceTactics(asset, context) {
+        const tactics = { ...SURFACE_TACTICS_DEFAULTS, ...asset.tactics };
+        const weaponConfigs = context.weaponConfigs || {};
+        const weaponName = selectAntiShipWeapon(asset, weaponConfigs);
+        const config = weaponName && weaponConfigs[weaponName];
+        const loadout = (asset.platform && asset.platform.numberOfASM) || 0;
+        const previous = asset.tacticsState || {};
+        const state = {
+            phase: previous.phase || 'cap',
+            targetId: previous.targetId !== undefined ? previous.targetId : null,
+            missiles: previous.missiles !== undefined ? previous.missiles : loadout,
+            salvoFired: previous.salvoFired || 0,
+            lastShotTime: previous.lastShotTime !== undefined ? previous.lastShotTime : null
+        };
+
+        const events = [];
+        const distanceTo = (other) => calculateDistance(asset.lat, asset.lon, other.lat, other.lon);
+        const engageRange = config ? Math.min(tactics.commitRange, config.maxRange * LAUNCH_MARGIN) : 0;
+        const sinceLastShot = state.lastShotTime === null ? Infinity : context.missionTime - state.lastShotTime;
+
+        const friendlies = (context.assets || []).filter(isFriendlySurface);
+        let target = friendlies.find(f => f.id === state.targetId && distanceTo(f) <= engageRange);
+        if (!target) {
+            target = friendlies.filter(f => distanceTo(f) <= engageRange).sort((a, b) => distanceTo(a) - distanceTo(b))[0];
+            state.salvoFired = 0;
+        }
+
+        if (config && loadout > 0 && state.missiles <= 0) {
+            state.phase = 'cold';
+            state.targetId = null;
+        } else if (target) {
+            state.phase = 'commit';
+            state.targetId = target.id;
+
+            // Shoot-look-shoot by salvo: the next salvo waits for the last one to land
+            const shotsInFlight = (context.weapons || []).some(w => w.firingAssetId === asset.id && w.targetId === target.id);
+            if (state.salvoFired >= tactics.salvo && !shotsInFlight && sinceLastShot >= SHOT_INTERVAL) {
+                state.salvoFired = 0;
+            }
+            const interval = state.salvoFired === 0 ? SHOT_INTERVAL : SALVO_INTERVAL;
+            if (state.missiles > 0 && state.salvoFired < tactics.salvo && sinceLastShot >= interval) {
+                events.push({ type: 'fireWeapon', assetId: asset.id, weaponName, targetId: target.id });
+                state.missiles -= 1;
+                state.salvoFired += 1;
+                state.lastShotTime = context.missionTime;
+            }
+        } else {
+            state.phase = 'cap';
+            state.targetId = null;
+        }
+
+        return { asset: { ...asset, tacticsState: state }, events };
+    }
+
+    // ========================================================================
+    // SUBMARINE EVASION
+    // ========================================================================
+    // The same asset.tactics switch on a hostile submarine:
+    //   asset.tactics = { enabled, periscopeInterval (minutes, 0 = never), periscopeTime (minutes) }
+    // Each tick it picks one phase, highest priority first:
+    //   evade     - a torpedo is in the water within TORPEDO_DETECTION_RANGE: sprint at
+    //               maxSpeed directly away from it and change depth by EVASION_DEPTH_CHANGE
+    //               (deeper if there is room), leaving the torpedo's search depth behind
+    //   quiet     - inside a sonobuoy's detection range: slow to QUIET_SPEED and go deep
+    //   periscope - every periscopeInterval minutes, come up to PERISCOPE_DEPTH (where radar
+    //               can paint the mast) for periscopeTime minutes
+    //   cap       - waypoints and behaviors as normal
+    // Speed and depth from before the first reaction are restored back on CAP. Only evade
+    // steers; quiet and periscope keep to the route.
+    // Progress is kept on asset.tacticsState = { phase, threatId, cruiseSpeed, cruiseDepth,
+    // nextPeriscopeTime, periscopeUntil }.
+
+    const SUBMARINE_TACTICS_DEFAULTS = { enabled: true, periscopeInterval: 20, periscopeTime: 2 };
+    const TORPEDO_DETECTION_RANGE = 5; // NM - the submarine hears a torpedo start up inside this
+    const EVASION_DEPTH_CHANGE = 400; // feet
+    const QUIET_SPEED = 4; // knots
+    const QUIET_DEPTH_FRACTION = 0.8; // of the platform's maxDepth
+    const PERISCOPE_DEPTH = 10; // feet - shallow enough for radar returns
+    const DEFAULT_MAX_DEPTH = 600; // feet, for platforms without maxDepth
+
+    function isTorpedo(weapon, weaponConfigs) {
+        const config = weaponConfigs[weapon.weaponName || weapon.weaponType];
+        return (config ? config.type : weapon.weaponType) === 'Torpedo';
+    }
+
+    // One tick of submarine evasion (called through updateTactics). Returns { asset, events }
+    function updateSubmarineTactics(asset, context) {
+        const tactics = { ...SUBMARINE_TACTICS_DEFAULTS, ...asset.tactics };
+        const weaponConfigs = context.weaponConfigs || {};
+        const maxDepth = (asset.platform && asset.platform.maxDepth) || DEFAULT_MAX_DEPTH;
+        const maxSpeed = (asset.platform && asset.platform.maxSpeed) || DOMAIN_TYPES.subSurface.maxSpeed;
+        const missionTime = context.missionTime;
+        const previous = asset.tacticsState || {};
+        const state = {
+            phase: previous.phase || 'cap',
+            threatId: previous.threatId !== undefined ? previous.threatId : null,
+            cruiseSpeed: previous.cruiseSpeed !== undefined ? previous.cruiseSpeed : null,
+            cruiseDepth: previous.cruiseDepth !== undefined ? previous.cruiseDepth : null,
+            nextPeriscopeTime: previous.nextPeriscopeTime !== undefined
+                ? previous.nextPeriscopeTime
+                : missionTime + tactics.periscopeInterval * 60,
+            periscopeUntil: previous.periscopeUntil !== undefined ? previous.periscopeUntil : null
+        };
+
+        const updated = { ...asset };
+        const distanceTo = (other) => calculateDistance(asset.lat, asset.lon, other.lat, other.lon);
+        const depth = asset.depth || 0;
+
+        const torpedo = (context.weapons || [])
+            .filter(w => w.firingAssetId !== asset.id && isTorpedo(w, weaponConfigs) && distanceTo(w) <= TORPEDO_DETECTION_RANGE)
+            .sort((a, b) => distanceTo(a) - distanceTo(b))[0];
+        const inBuoyRange = (context.sonobuoys || []).some(buoy => distanceTo(buoy) <= (context.sonobuoyRange || 0));
+        const periscopeDue = tactics.periscopeInterval > 0 && missionTime >= state.nextPeriscopeTime;
+
+        let phase = 'cap';
+        if (torpedo) phase = 'evade';
+        else if (inBuoyRange) phase = 'quiet';
+        else if (state.phase === 'periscope' && missionTime < state.periscopeUntil) phase = 'periscope';
+        else if (state.phase === 'cap' && periscopeDue) phase = 'periscope';
+
+        // Remember where it was cruising before the first reaction
+        if (state.phase === 'cap' && phase !== 'cap') {
+            state.cruiseSpeed = asset.targetSpeed != null ? asset.targetSpeed : asset.speed;
+            state.cruiseDepth = asset.targetDepth != null ? asset.targetDepth : depth;
+        }
+
+        if (phase === 'evade') {
+            updated.targetHeading = normalizeHeading(calculateBearing(torpedo.lat, torpedo.lon, asset.lat, asset.lon));
+            if (state.phase !== 'evade' || state.threatId !== torpedo.id) {
+                updated.targetSpeed = maxSpeed;
+                updated.targetDepth = depth + EVASION_DEPTH_CHANGE <= maxDepth
+                    ? depth + EVASION_DEPTH_CHANGE
+                    : Math.max(PERISCOPE_DEPTH, depth - EVASION_DEPTH_CHANGE);
+                console.log(`${asset.name || `Asset ${asset.id}`} evading torpedo ${torpedo.id}`);
+            }
+            state.threatId = torpedo.id;
+        } else if (phase === 'quiet' && state.phase !== 'quiet') {
+            updated.targetSpeed = Math.min(QUIET_SPEED, asset.speed);
+            updated.targetDepth = Math.round(maxDepth * QUIET_DEPTH_FRACTION);
+        } else if (phase === 'periscope' && state.phase !== 'periscope') {
+            updated.targetDepth = PERISCOPE_DEPTH;
+            state.periscopeUntil = missionTime + tactics.periscopeTime * 60;
+        } else if (phase === 'cap' && state.phase !== 'cap') {
+            updated.targetSpeed = state.cruiseSpeed;
+            updated.targetDepth = state.cruiseDepth;
+        }
+
+        // The next look is due an interval after this one ends (or was cut short)
+        if (state.phase === 'periscope' && phase !== 'periscope') {
+            state.nextPeriscopeTime = missionTime + tactics.periscopeInterval * 60;
+            state.periscopeUntil = null;
+        }
+        if (phase !== 'evade') state.threatId = null;
+        state.phase = phase;
+
+        updated.tacticsState = state;
+        return { asset: updated, events: [] };
+    }
+
+    // ========================================================================
+    // WEAPON GUIDANCE
+    // ========================================================================
+
+    // Self-destruct, booster burnout, fuel bleed-off and acceleration for one frame.
+    // Mutates `updated`; returns true if the weapon is finished (set impact with no target).
+    function updateWeaponPropulsion(weapon, updated, config, missionTime, deltaTime) {
+        // Check for self-destruct
+        if (weapon.selfDestructTime !== undefined && missionTime >= weapon.selfDestructTime) {
+            updated.impact = true;
+            updated.impactTargetId = null; // Exploded in flight, no target hit
+            console.log(`Weapon ${weapon.id} self-destructed at mission time ${missionTime.toFixed(1)}`);
+            return true;
+        }
+
+        // Check booster phase
+        if (weapon.boosterActive && weapon.boosterEndTime !== undefined && missionTime >= weapon.boosterEndTime) {
+            updated.boosterActive = false;
+        }
+
+        // Check fuel depletion
+        const fuelDepleted = weapon.fuelDepletionTime !== undefined && missionTime >= weapon.fuelDepletionTime;
+
+        if (fuelDepleted) {
+            // ENERGY BLEED-OFF: Lose speed when out of fuel
+            updated.speed = Math.max(0, weapon.speed - WEAPON_DRAG_DECELERATION * deltaTime);
+
+            // If speed drops too low, weapon falls/self-destructs
+            if (updated.speed < 10) {
+                updated.impact = true;
+                updated.impactTargetId = null;
+                console.log(`Weapon ${weapon.id} lost energy and fell at mission time ${missionTime.toFixed(1)}`);
+                return true;
+            }
+        } else if (config) {
+            // NORMAL ACCELERATION: Use booster or cruise acceleration
+            const currentAcceleration = (weapon.boosterActive && config.boosterAcceleration)
+                ? config.boosterAcceleration
+                : config.maxAcceleration;
+
+            if (weapon.speed < config.maxSpeed) {
+                updated.speed = weapon.speed + Math.min(currentAcceleration * deltaTime, config.maxSpeed - weapon.speed);
+            }
+        }
+        return false;
+    }
+
+    // Steer toward a bearing at the weapon turn rate and move forward
+    function steerAndMoveWeapon(weapon, updated, bearing, deltaTime) {
+        if (bearing !== null) {
+            const turnAmount = shortestTurn(weapon.heading, bearing);
+            const turnDelta = Math.sign(turnAmount) * Math.min(Math.abs(turnAmount), WEAPON_MAX_TURN_RATE * deltaTime);
+            updated.heading = normalizeHeading(weapon.heading + turnDelta);
+        }
+        const pos = advancePosition(weapon.lat, weapon.lon, updated.heading, (updated.speed / 3600) * deltaTime);
+        updated.lat = pos.lat;
+        updated.lon = pos.lon;
+    }
+
+    // Advance one weapon by deltaTime seconds (proportional navigation guidance)
+    // context: { assets, studentTracks, weaponConfigs, missionTime }
+    function updateWeapon(weapon, deltaTime, context) {
+        const updated = { ...weapon };
+        const assets = context.assets || [];
+        const missionTime = context.missionTime || 0;
+
+        // Use weaponName if available (new system), fallback to weaponType (old saves)
+        const config = (context.weaponConfigs || {})[weapon.weaponName || weapon.weaponType];
+
+        let target = assets.find(a => a.id === weapon.targetId);
+
+        // Operator track torpedo guidance — guide toward operator track, acquire real sub within 1nm
+        if (!target && weapon.operatorTrackTargetId) {
+            const opTrack = (context.studentTracks || []).find(t => t.id === weapon.operatorTrackTargetId);
+
+            if (opTrack) {
+                // Check if any real submarine asset is within 1nm of the weapon — proximity acquisition
+                const nearestSub = assets.find(a =>
+                    a.domain === 'subSurface' &&
+                    calculateDistance(weapon.lat, weapon.lon, a.lat, a.lon) < TORPEDO_ACQUISITION_RANGE
+                );
+
+                if (nearestSub) {
+                    // Acquire real target — normal proportional navigation takes over
+                    updated.targetId = nearestSub.id;
+                    updated.operatorTrackTargetId = null;
+                    updated.seeker = { acquired: true };
+                    target = nearestSub;
+                    console.log(`Torpedo ${weapon.id} acquired submarine ${nearestSub.name} within 1nm`);
+                } else {
+                    if (config && updateWeaponPropulsion(weapon, updated, config, missionTime, deltaTime)) return updated;
+
+                    const bearing = calculateBearing(weapon.lat, weapon.lon, opTrack.lat, opTrack.lon);
+                    const distance = calculateDistance(weapon.lat, weapon.lon, opTrack.lat, opTrack.lon);
+                    steerAndMoveWeapon(weapon, updated, bearing, deltaTime);
+
+                    // If reached operator track position but no sub nearby, clear track target and continue ballistic
+                    if (distance < WEAPON_IMPACT_THRESHOLD) {
+                        updated.operatorTrackTargetId = null;
+                        console.log(`Torpedo ${weapon.id} reached operator track position, no submarine acquired`);
+                    }
+                    return updated;
+                }
+            } else {
+                // Operator track deleted — clear and continue ballistic
+                updated.operatorTrackTargetId = null;
+            }
+        }
+
+        // Torpedoes fired at a submarine don't home from launch: they run to the datum (where
+        // the sub was at launch), circle it at the sub's launch depth, and only guide on the sub
+        // once their seeker acquires it inside TORPEDO_ACQUISITION_RANGE and TORPEDO_DEPTH_WINDOW.
+        // A sub that sprinted clear or changed depth in time is missed.
+        if (target && target.domain === 'subSurface' && config && config.type === 'Torpedo' &&
+            !(updated.seeker && updated.seeker.acquired)) {
+            const seeker = weapon.seeker ||
+                { datumLat: target.lat, datumLon: target.lon, searchDepth: target.depth || 0, searching: false, acquired: false };
+            const separation = calculateDistance(weapon.lat, weapon.lon, target.lat, target.lon);
+
+            if (separation <= TORPEDO_ACQUISITION_RANGE && Math.abs((target.depth || 0) - seeker.searchDepth) <= TORPEDO_DEPTH_WINDOW) {
+                updated.seeker = { ...seeker, acquired: true };
+                console.log(`Torpedo ${weapon.id} acquired submarine ${target.name}`);
+            } else {
+                if (updateWeaponPropulsion(weapon, updated, config, missionTime, deltaTime)) return updated;
+
+                const searching = seeker.searching ||
+                    calculateDistance(weapon.lat, weapon.lon, seeker.datumLat, seeker.datumLon) < WEAPON_IMPACT_THRESHOLD * 2;
+                const bearing = searching
+                    ? normalizeHeading(weapon.heading + TORPEDO_SEARCH_TURN_RATE * deltaTime)
+                    : calculateBearing(weapon.lat, weapon.lon, seeker.datumLat, seeker.datumLon);
+                steerAndMoveWeapon(weapon, updated, bearing, deltaTime);
+
+                if (!weapon.seeker || searching !== seeker.searching) updated.seeker = { ...seeker, searching };
+                return updated;
+            }
+        }
+
+        if (!target) {
+            // Target lost, continue on last heading with fuel system active
+            // (no acceleration - the weapon coasts until self-destruct or energy loss)
+            if (updateWeaponPropulsion(weapon, updated, null, missionTime, deltaTime)) return updated;
+            steerAndMoveWeapon(weapon, updated, null, deltaTime);
+            return updated;
+        }
+
+        // Proportional navigation
+        const bearing = calculateBearing(weapon.lat, weapon.lon, target.lat, target.lon);
+        const distance = calculateDistance(weapon.lat, weapon.lon, target.lat, target.lon);
+
+        if (config && updateWeaponPropulsion(weapon, updated, config, missionTime, deltaTime)) return updated;
+
+        steerAndMoveWeapon(weapon, updated, bearing, deltaTime);
+
+        // Check for impact
+        if (distance < WEAPON_IMPACT_THRESHOLD) {
+            updated.impact = true;
+            updated.impactTargetId = updated.targetId;
+        }
+
+        return updated;
+    }
+
+    // ========================================================================
+    // SENSORS
+    // ========================================================================
+    // Geometry only - what each sensor can see this frame. Track building, return
+    // decay and serial numbers are bookkeeping the caller does with the results.
+
+    const RADAR_MAX_RANGE = 320; // nautical miles
+
+    // Radar horizon between ownship and a target: d ≈ 1.23 × (√h_radar_ft + √h_target_ft)
+    // Surface/subsurface targets have zero height
+    function radarHorizon(ownship, asset) {
+        const ownshipAltFt = ownship.altitude || 0;
+        const targetAltFt = asset.domain === 'air' ? (asset.altitude || 0) : 0;
+        return 1.23 * (Math.sqrt(ownshipAltFt) + Math.sqrt(targetAltFt));
+    }
+
+    // Assets the radar sweep is currently passing over (within `tolerance` degrees).
+    // With iffOnly, only assets squawking IFF are returned, with their codes.
+    function detectSweepContacts(assets, ownship, sweepAngle, tolerance, { iffOnly = false } = {}) {
+        const hits = [];
+        assets.forEach(asset => {
+            if (asset.type === 'ownship') return;
+            // Fully submerged (deeper than 15 feet) and land assets give no returns
+            if (asset.domain === 'subSurface' && asset.depth > 15) return;
+            if (asset.domain === 'land') return;
+            if (iffOnly && !asset.iffSquawking) return;
+
+            const distance = calculateDistance(ownship.lat, ownship.lon, asset.lat, asset.lon);
+            if (distance > RADAR_MAX_RANGE) return;
+            if (distance > radarHorizon(ownship, asset)) return;
+
+            const bearing = calculateBearing(ownship.lat, ownship.lon, asset.lat, asset.lon);
+            const angleDiff = Math.abs(((bearing - sweepAngle + 540) % 360) - 180);
+            if (angleDiff >= tolerance) return;
+
+            const hit = {
+                assetId: asset.id,
+                lat: asset.lat,
+                lon: asset.lon,
+                ownshipLat: ownship.lat,
+                ownshipLon: ownship.lon,
+                bearing,
+                distance,
+                hidden: !!asset.hidden
+            };
+            if (iffOnly) {
+                hit.modeI = asset.iffModeI;
+                hit.modeII = asset.iffModeII;
+                hit.modeIII = asset.iffModeIII;
+            }
+            hits.push(hit);
+        });
+        return hits;
+    }
+
+    // Every emitter switched on across all assets, with bearing from ownship
+    function detectActiveEmitters(assets, ownship) {
+        const activeEmitters = [];
+        assets.forEach(asset => {
+            if (asset.type === 'ownship') return;
+            if (!asset.platform || !asset.platform.emitters || asset.platform.emitters.length === 0) return;
+
+            asset.platform.emitters.forEach(emitterName => {
+                if (!asset.emitterStates || !asset.emitterStates[emitterName]) return;
+                activeEmitters.push({
+                    id: `${asset.id}-${emitterName}`,
+                    assetId: asset.id,
+                    emitterName,
+                    bearing: calculateBearing(ownship.lat, ownship.lon, asset.lat, asset.lon),
+                    lat: asset.lat,
+                    lon: asset.lon,
+                    threatLevel: asset.platform.threatLevel || 3 // Default to 3 if not specified
+                });
+            });
+        });
+        return activeEmitters;
+    }
+
+    const SEEKER_RANGE = 15; // NM - an anti-ship missile's active seeker switches on this close to its target
+
+    // An anti-ship missile in flight at the ownship or a friendly asset
+    function isInboundMissile(weapon, assets, weaponConfigs) {
+        const config = weaponConfigs[weapon.weaponName || weapon.weaponType];
+        if ((config ? config.type : weapon.weaponType) !== 'ASM' || weapon.impact) return false;
+        const target = assets.find(a => a.id === weapon.targetId);
+        return !!target && (target.type === 'ownship' || target.identity === 'friendly');
+    }
+
+    // Inbound anti-ship missiles the ownship radar can see. Sea-skimmers have no height,
+    // so they come over the radar horizon late.
+    // Returns [{ weaponId, weaponName, firingAssetId, targetId, bearing, range, lat, lon }]
+    function detectInboundMissiles(weapons, assets, ownship, weaponConfigs) {
+        const detections = [];
+        weapons.forEach(weapon => {
+            if (!isInboundMissile(weapon, assets, weaponConfigs)) return;
+            const range = calculateDistance(ownship.lat, ownship.lon, weapon.lat, weapon.lon);
+            if (range > RADAR_MAX_RANGE || range > radarHorizon(ownship, weapon)) return;
+            detections.push({
+                weaponId: weapon.id,
+                weaponName: weapon.weaponName || weapon.weaponType,
+                firingAssetId: weapon.firingAssetId,
+                targetId: weapon.targetId,
+                bearing: calculateBearing(ownship.lat, ownship.lon, weapon.lat, weapon.lon),
+                range,
+                lat: weapon.lat,
+                lon: weapon.lon
+            });
+        });
+        return detections;
+    }
+
+    // Active seekers of inbound anti-ship missiles in their terminal phase, in the
+    // detectActiveEmitters shape (plus weaponId). ESM needs line of sight too.
+    function detectSeekerEmitters(weapons, assets, ownship, weaponConfigs) {
+        const seekers = [];
+        weapons.forEach(weapon => {
+            if (!isInboundMissile(weapon, assets, weaponConfigs)) return;
+            const target = assets.find(a => a.id === weapon.targetId);
+            if (calculateDistance(weapon.lat, weapon.lon, target.lat, target.lon) > SEEKER_RANGE) return;
+            if (calculateDistance(ownship.lat, ownship.lon, weapon.lat, weapon.lon) > radarHorizon(ownship, weapon)) return;
+            const weaponName = weapon.weaponName || weapon.weaponType;
+            seekers.push({
+                id: `wpn-${weapon.id}-seeker`,
+                assetId: null,
+                weaponId: weapon.id,
+                emitterName: `${weaponName} SEEKER`,
+                bearing: calculateBearing(ownship.lat, ownship.lon, weapon.lat, weapon.lon),
+                lat: weapon.lat,
+                lon: weapon.lon,
+                threatLevel: 1
+            });
+        });
+        return seekers;
+    }
+
+    // Submarines within `range` NM of each sonobuoy
+    function detectSonobuoyContacts(sonobuoys, assets, range) {
+        const submarines = assets.filter(a => a.domain === 'subSurface');
+        const detections = [];
+        sonobuoys.forEach(sono => {
+            submarines.forEach(sub => {
+                const distance = calculateDistance(sono.lat, sono.lon, sub.lat, sub.lon);
+                if (distance > range) return;
+                detections.push({
+                    id: `sono-${sono.id}-sub-${sub.id}`,
+                    sonobuoyId: sono.id,
+                    submarineId: sub.id,
+                    bearing: calculateBearing(sono.lat, sono.lon, sub.lat, sub.lon),
+                    sonoLat: sono.lat,
+                    sonoLon: sono.lon,
+                    subLat: sub.lat,
+                    subLon: sub.lon
+                });
+            });
+        });
+        return detections;
+    }
+
+    // ========================================================================
+    // STATE SYNC
+    // ========================================================================
+    // Field-level patches between two versions of an asset list, so two owners (UI and
+    // simulation worker) can each apply the other's changes without overwriting their own.
+    // Patch: { added: [asset], removed: [id], updated: [{ id, changes }] }
+
+    function diffAssets(prev, next) {
+        const patch = { added: [], removed: [], updated: [] };
+        if (prev === next) return patch;
+
+        const prevById = new Map(prev.map(a => [a.id, a]));
+        const nextIds = new Set();
+        next.forEach(asset => {
+            nextIds.add(asset.id);
+            const before = prevById.get(asset.id);
+            if (!before) {
+                patch.added.push(asset);
+                return;
+            }
+            if (before === asset) return;
+
+            const changes = {};
+            let changed = false;
+            Object.keys(asset).forEach(key => {
+                if (asset[key] !== before[key]) {
+                    changes[key] = asset[key];
+                    changed = true;
+                }
+            });
+            Object.keys(before).forEach(key => {
+                if (!(key in asset)) {
+                    changes[key] = undefined;
+                    changed = true;
+                }
+            });
+            if (changed) patch.updated.push({ id: asset.id, changes });
+        });
+        prev.forEach(asset => {
+            if (!nextIds.has(asset.id)) patch.removed.push(asset.id);
+        });
+        return patch;
+    }
+
+    function isEmptyPatch(patch) {
+        return patch.added.length === 0 && patch.removed.length === 0 && patch.updated.length === 0;
+    }
+
+    // Apply a diffAssets patch. Returns the same array when the patch is empty.
+    function applyAssetPatch(assets, patch) {
+        if (isEmptyPatch(patch)) return assets;
+
+        const removed = new Set(patch.removed);
+        const updates = new Map(patch.updated.map(u => [u.id, u.changes]));
+        const added = new Map(patch.added.map(a => [a.id, a]));
+
+        const result = [];
+        assets.forEach(asset => {
+            if (removed.has(asset.id)) return;
+            if (added.has(asset.id)) {
+                // Re-added with the same ID (e.g. scenario reload) - take the new version
+                result.push(added.get(asset.id));
+                added.delete(asset.id);
+                return;
+            }
+            const changes = updates.get(asset.id);
+            result.push(changes ? { ...asset, ...changes } : asset);
+        });
+        added.forEach(asset => result.push(asset));
+        return result;
+    }
+
+    // ========================================================================
+    // SCENARIO STATE
+    // ========================================================================
+
+    // Build a simulation state from scenario JSON (as produced by saveToFile). The scenario
+    // must carry its seed - ScenarioSchema.prepareScenario gives older files one - so that a
+    // run can be repeated; a random seed here would differ on every load.
+    function createSimulationState(saveData) {
+        if (!Number.isInteger(saveData.seed)) {
+            throw new Error('scenario has no seed - load it through ScenarioSchema.prepareScenario or set seed');
+        }
+        const seed = saveData.seed;
+        const assets = (saveData.assets || []).map(asset => {
+            const migrated = { ...asset };
+            if (!migrated.domain) {
+                migrated.domain = 'air';
+                migrated.depth = null;
+                migrated.targetDepth = null;
+                migrated.altitude = asset.altitude !== undefined ? asset.altitude : 25000;
+                migrated.targetAltitude = asset.targetAltitude !== undefined ? asset.targetAltitude : null;
+            }
+            if (migrated.platform === undefined) migrated.platform = null;
+            if (migrated.behaviors === undefined) migrated.behaviors = [];
+            return migrated;
+        });
+
+        return {
+            seed,
+            missionTime: saveData.missionTime || 0,
+            missionTimeAccum: 0, // Fractional simulation seconds not yet added to missionTime
+            assets: rollRandomBehaviorTimes(assets, seed),
+            weapons: saveData.weapons || [],
+            bullseye: saveData.bullseye || { lat: 26.5, lon: 54.0 },
+            geoPoints: saveData.geoPoints || [],
+            shapes: saveData.shapes || [],
+            studentTracks: saveData.studentTracks || [],
+            sonobuoys: saveData.sonobuoys || [],
+            airspaceOccupancy: null // AirspaceControl.checkAirspace bookkeeping (null = just loaded)
+        };
+    }
+
+    // One physics substep at the current mission time: movement, behaviors, tactics,
+    // airfield recovery, then weapon flight and impacts. Events are added to `events`.
+    function stepPhysics(state, deltaTime, options, events) {
+        const Airfields = loadModule('Airfields', 'airfields.js');
+        const context = {
+            assets: state.assets,
+            missionTime: state.missionTime,
+            bullseye: state.bullseye,
+            geoPoints: state.geoPoints,
+            shapes: state.shapes,
+            studentTracks: state.studentTracks,
+            weapons: state.weapons,
+            weaponConfigs: options.weaponConfigs || {},
+            sonobuoys: state.sonobuoys || [],
+            sonobuoyRange: SONOBUOY_DETECTION_RANGE,
+            radarDetectionCounts: options.radarDetectionCounts || {},
+            ownshipRadar: options.ownshipRadar,
+            radioMessages: options.radioMessages || [],
+            containsPosition: options.containsPosition,
+            shapeCenter: options.shapeCenter
+        };
+
+        let assets = state.assets.map(asset => {
+            const moved = advanceAsset(asset, deltaTime, context);
+            const result = evaluateBehaviors(moved, context);
+            const tactics = updateTactics(result.asset, deltaTime, context);
+            const recovery = Airfields.updateRecovery(tactics.asset, deltaTime, context);
+            events.push(...result.events, ...tactics.events, ...recovery.events);
+            return recovery.asset;
+        }).filter(asset => !asset.recovery || asset.recovery.phase !== 'landed');
+
+        // Weapons (proportional navigation guidance) chase where the assets are now
+        const updatedWeapons = state.weapons.map(weapon => updateWeapon(weapon, deltaTime, { ...context, assets }));
+
+        // Remove impacted weapons and their targets
+        const impactedWeapons = updatedWeapons.filter(w => w.impact);
+        impactedWeapons.forEach(weapon => {
+            events.push({
+                type: 'weaponImpact',
+                weaponId: weapon.id,
+                firingAssetId: weapon.firingAssetId,
+                firingGeoPointId: weapon.firingGeoPointId || null,
+                targetId: weapon.impactTargetId || null
+            });
+        });
+        const destroyedIds = impactedWeapons.filter(w => w.impactTargetId).map(w => w.impactTargetId);
+        if (destroyedIds.length > 0) {
+            assets = assets.filter(a => !destroyedIds.includes(a.id));
+        }
+
+        return { ...state, assets, weapons: updatedWeapons.filter(w => !w.impact) };
+    }
+
+    // Advance the whole scenario by deltaTime seconds - the one physics step behind the
+    // simulation worker, the UI-thread fallback loop in app.js and headless runs.
+    // options: { weaponConfigs, radarDetectionCounts, ownshipRadar, radioMessages,
+    //            containsPosition, shapeCenter }
+    //   weaponConfigs is the contents of weapons.json; radarDetectionCounts, ownshipRadar and
+    //   radioMessages feed radarDetected / radioKeyword triggers; containsPosition / shapeCenter
+    //   default to ShapeGeometry's (shape triggers and targets).
+    // deltaTime is split into substeps of at most MAX_PHYSICS_STEP so waypoint arrival and
+    // weapon impacts aren't skipped. missionTime advances in whole seconds; the remainder is
+    // kept in state.missionTimeAccum.
+    // Returns { state, events }. AIC voice-driven targeting (commit/declare/fox-3) and MAC
+    // investigations depend on the radio UI and are layered on top by the React app.
+    // Control measure entries, exits and violations are 'airspace' events (see
+    // AirspaceControl.checkAirspace); assets inside one when the scenario loads aren't entries.
+    // SAM site shots ('samLaunch') and airfield sorties due to launch ('airfieldLaunch') are
+    // events - creating the missile or aircraft is up to the caller. Aircraft that land leave
+    // the scenario with an 'airfieldRecovery' event.
+    function stepSimulation(state, deltaTime, options = {}) {
+        const ShapeGeometry = loadModule('ShapeGeometry', 'shape-geometry.js');
+        const AirspaceControl = loadModule('AirspaceControl', 'airspace-control.js');
+        const SamSites = loadModule('SamSites', 'sam-sites.js');
+        const Airfields = loadModule('Airfields', 'airfields.js');
+        const physicsOptions = {
+            ...options,
+            containsPosition: options.containsPosition || ShapeGeometry.containsPosition,
+            shapeCenter: options.shapeCenter || ShapeGeometry.center
+        };
+        const events = [];
+
+        let next = { ...state, weapons: state.weapons || [] };
+        const substeps = Math.max(1, Math.ceil(deltaTime / MAX_PHYSICS_STEP));
+        for (let i = 0; i < substeps; i++) {
+            next = stepPhysics(next, deltaTime / substeps, physicsOptions, events);
+        }
+
+        const airspace = AirspaceControl.checkAirspace(next.shapes, next.assets, next.airspaceOccupancy || null, next.missionTime);
+        events.push(...airspace.events);
+        events.push(...SamSites.checkSamSites(next.geoPoints, next.assets, next.weapons, next.missionTime));
+        events.push(...Airfields.checkAirfields(next.geoPoints, next.assets, next.missionTime));
+
+        // Mission clock advances in whole seconds of simulation time
+        let missionTime = next.missionTime;
+        let missionTimeAccum = (next.missionTimeAccum || 0) + deltaTime;
+        if (missionTimeAccum >= 1 - 1e-6) {
+            const wholeSeconds = Math.floor(missionTimeAccum + 1e-6);
+            missionTimeAccum -= wholeSeconds;
+            missionTime += wholeSeconds;
+        }
+
+        return {
+            state: { ...next, missionTime, missionTimeAccum, airspaceOccupancy: airspace.occupancy },
+            events
+        };
+    }
+
+    return {
+        WAYPOINT_ARRIVAL_THRESHOLD,
+        DOMAIN_TYPES,
+        TURN_RATE,
+        SPEED_RATE,
+        CLIMB_RATE,
+        MAX_PHYSICS_STEP,
+        SONOBUOY_DETECTION_RANGE,
+        generateScenarioSeed,
+        hashSeed,
+        createSeededRandom,
+        seededRandom,
+        rollDetectionThreshold,
+        rollRandomTriggerTime,
+        rollRandomBehaviorTimes,
+        calculateBearing,
+        calculateDistance,
+        computeDestinationPoint,
+        normalizeHeading,
+        shortestTurn,
+        advancePosition,
+        advanceAsset,
+        resolveGeoTarget,
+        BEHAVIOR_LINK_ACTIONS,
+        evaluateBehaviors,
+        TACTICS_DEFAULTS,
+        TACTICS_DEFENSES,
+        selectAirToAirWeapon,
+        SURFACE_TACTICS_DEFAULTS,
+        selectAntiShipWeapon,
+        SUBMARINE_TACTICS_DEFAULTS,
+        updateTactics,
+        updateWeapon,
+        RADAR_MAX_RANGE,
+        radarHorizon,
+        detectSweepContacts,
+        detectActiveEmitters,
+        isInboundMissile,
+        detectInboundMissiles,
+        detectSeekerEmitters,
+        detectSonobuoyContacts,
+        diffAssets,
+        isEmptyPatch,
+        applyAssetPatch,
+        createSimulationState,
+        stepSimulation
+    };
+});
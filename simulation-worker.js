@@ -0,0 +1,192 @@
+// ============================================================================
+// SIMULATION WORKER - PHYSICS AND SENSORS OFF THE UI THREAD
+// ============================================================================
+// Runs the physics tick (SimulationCore.stepSimulation - movement, waypoints, behaviors, tactics,
+// weapons, airspace control measures, SAM sites, airfields) and sensor geometry (radar/IFF sweep, ESM, sonobuoys) in a dedicated Web Worker so large
+// scenarios don't compete with SVG rendering and Web Speech push-to-talk.
+//
+// The UI and the worker each own part of the asset/weapon state, so they exchange
+// field-level patches (SimulationCore.diffAssets) rather than whole snapshots:
+//   UI -> worker: edits, AIC/MAC steering, new weapons, scenario loads
+//   worker -> UI: movement, behavior results, weapon flight and impacts, airspace events, SAM and airfield launches
+//
+// Messages in:  patch, setContext, setSensors, setClock, setCompression, resetAirspace, run, pause
+// Messages out: ready, tick
+
+// stepSimulation looks up the layered modules on the worker global when it runs
+importScripts('simulation-core.js', 'shape-geometry.js', 'airspace-control.js', 'sam-sites.js', 'airfields.js');
+
+const {
+    SONOBUOY_DETECTION_RANGE, stepSimulation,
+    detectSweepContacts, detectActiveEmitters, detectSeekerEmitters, detectSonobuoyContacts,
+    diffAssets, applyAssetPatch
+} = SimulationCore;
+
+const PHYSICS_UPDATE_RATE = 1000 / 60; // 60 Hz
+
+// Simulation state
+let assets = [];
+let weapons = [];
+let missionTime = 0;
+let missionTimeAccum = 0; // Fractional simulation seconds not yet added to missionTime
+let sweepAngle = 0; // Radar sweep angle in degrees
+let airspaceOccupancy = null; // Last AirspaceControl.checkAirspace result (null after load/restart)
+
+// Scenario context the physics and sensors read but never change
+const context = {
+    bullseye: null,
+    geoPoints: [],
+    shapes: [],
+    studentTracks: [],
+    sonobuoys: [],
+    weaponConfigs: {},
+    radarDetectionCounts: {}, // Sweeps that have painted each asset (radarDetected triggers)
+    radioMessages: [] // Recent radio log [{ id, message }] (radioKeyword triggers)
+};
+const sensors = { radar: true, iff: false, esm: false, sono: false };
+
+// Playback
+let timeCompression = 1;
+let stepRemaining = null; // Simulation seconds left in a single-step run (null = free running)
+let tickInterval = null;
+let lastTickTime = 0;
+
+function tick() {
+    const now = performance.now();
+    const elapsedMs = Math.min(now - lastTickTime, 100); // Cap at 100ms to prevent physics explosion after a stall
+    lastTickTime = now;
+
+    // Simulation time this tick - real time scaled by time compression
+    let frameDt = (elapsedMs / 1000) * timeCompression;
+    if (stepRemaining !== null) {
+        frameDt = Math.min(frameDt, stepRemaining);
+    }
+
+    const assetsBefore = assets;
+    const weaponsBefore = weapons;
+
+    // Physics, airspace, SAM site and airfield checks, mission clock (SAM missiles and
+    // launched aircraft are created by the UI from the events)
+    const step = stepSimulation({
+        missionTime,
+        missionTimeAccum,
+        assets,
+        weapons,
+        bullseye: context.bullseye,
+        geoPoints: context.geoPoints,
+        shapes: context.shapes,
+        studentTracks: context.studentTracks,
+        sonobuoys: context.sonobuoys,
+        airspaceOccupancy
+    }, frameDt, {
+        weaponConfigs: context.weaponConfigs,
+        radarDetectionCounts: context.radarDetectionCounts,
+        ownshipRadar: sensors.radar,
+        radioMessages: context.radioMessages
+    });
+    ({ missionTime, missionTimeAccum, assets, weapons, airspaceOccupancy } = step.state);
+    const events = step.events;
+
+    // Radar sweep - 36 deg/sec of simulation time
+    const sweepStep = 36 * frameDt;
+    sweepAngle = (sweepAngle + sweepStep) % 360;
+
+    // Sensor geometry (bookkeeping happens on the UI thread)
+    const ownship = assets.find(a => a.type === 'ownship');
+    const sweepTolerance = Math.max(1, sweepStep); // Sweep moves further per tick when compressed
+    const radarHits = ownship && sensors.radar ? detectSweepContacts(assets, ownship, sweepAngle, sweepTolerance) : [];
+    const iffHits = ownship && sensors.iff ? detectSweepContacts(assets, ownship, sweepAngle, sweepTolerance, { iffOnly: true }) : [];
+    const emitters = ownship && sensors.esm
+        ? [
+            ...detectActiveEmitters(assets, ownship),
+            ...SamSites.detectSiteEmitters(context.geoPoints, ownship),
+            ...detectSeekerEmitters(weapons, assets, ownship, context.weaponConfigs)
+        ]
+        : null;
+    const sonoDetections = sensors.sono ? detectSonobuoyContacts(context.sonobuoys, assets, SONOBUOY_DETECTION_RANGE) : null;
+
+    let stepComplete = false;
+    if (stepRemaining !== null) {
+        stepRemaining -= frameDt;
+        if (stepRemaining <= 1e-6) {
+            stepComplete = true;
+            pause();
+        }
+    }
+
+    self.postMessage({
+        type: 'tick',
+        elapsed: frameDt,
+        missionTime,
+        sweepAngle,
+        sweepStep,
+        assetPatch: diffAssets(assetsBefore, assets),
+        weaponPatch: diffAssets(weaponsBefore, weapons),
+        events,
+        radarHits,
+        iffHits,
+        emitters,
+        sonoDetections,
+        stepComplete
+    });
+}
+
+function run(stepSeconds) {
+    stepRemaining = stepSeconds === undefined ? null : stepSeconds;
+    if (tickInterval) return;
+    lastTickTime = performance.now();
+    tickInterval = setInterval(tick, PHYSICS_UPDATE_RATE);
+}
+
+function pause() {
+    if (tickInterval) {
+        clearInterval(tickInterval);
+        tickInterval = null;
+    }
+    stepRemaining = null;
+}
+
+self.onmessage = (e) => {
+    const msg = e.data;
+    switch (msg.type) {
+        case 'patch':
+            // UI-side changes (edits, AIC steering, fired weapons, scenario loads)
+            if (msg.collection === 'assets') {
+                assets = applyAssetPatch(assets, msg.patch);
+            } else if (msg.collection === 'weapons') {
+                weapons = applyAssetPatch(weapons, msg.patch);
+            }
+            break;
+        case 'setContext':
+            Object.keys(msg.context).forEach(key => {
+                context[key] = msg.context[key];
+            });
+            break;
+        case 'setSensors':
+            Object.assign(sensors, msg.sensors);
+            break;
+        case 'setClock':
+            // Scenario load / restart
+            missionTime = msg.missionTime;
+            missionTimeAccum = 0;
+            if (msg.sweepAngle !== undefined) sweepAngle = msg.sweepAngle;
+            break;
+        case 'resetAirspace':
+            // Scenario load / restart - assets already inside a control measure aren't entries
+            airspaceOccupancy = null;
+            break;
+        case 'setCompression':
+            timeCompression = msg.rate;
+            break;
+        case 'run':
+            run(msg.stepSeconds);
+            break;
+        case 'pause':
+            pause();
+            break;
+        default:
+            console.warn('[Simulation Worker] Unknown message type:', msg.type);
+    }
+};
+
+self.postMessage({ type: 'ready' });
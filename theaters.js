@@ -0,0 +1,462 @@
+// ============================================================================
+// THEATERS - MAP GEOGRAPHY PACKAGES
+// ============================================================================
+// A theater is everything the simulator knows about the ground it is flying
+// over:
+//   { id, name,
+//     coastlines: [[[lat, lon], ...], ...]   polylines, drawn open
+//     islands:    [{ name, coords: [[lat, lon], ...] }]   polygons, drawn closed
+//     cities:     [{ name, lat, lon }]
+//     airfields:  [{ name, lat, lon }]
+//     bullseye:   { lat, lon, name }         default bullseye and map center
+//     lanes:      [{ name, lat, lon, entry }]  open-water shipping lane nodes for
+//                                           maritime-traffic.js; entry marks where
+//                                           traffic comes in from outside the map }
+//
+// The Persian Gulf ships with the simulator. Other theaters are imported from
+// GeoJSON or KML (see theaterFromGeoJSON / theaterFromKML for the conventions)
+// and travel inside the scenario that uses them, so a saved scenario opens with
+// its own map on any machine.
+//
+// Browser: loaded as a plain <script> after geo-exchange.js, exposes window.Theaters
+// Node:    const Theaters = require('./theaters.js');
+
+(function (root, factory) {
+    const theaters = typeof module !== 'undefined' && module.exports
+        ? factory(require('./geo-exchange.js'))
+        : factory(root.GeoExchange);
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = theaters;
+    } else {
+        root.Theaters = theaters;
+    }
+})(typeof self !== 'undefined' ? self : this, function (GeoExchange) {
+
+    // ========================================================================
+    // PERSIAN GULF (BUILT IN)
+    // ========================================================================
+
+    // Persian Gulf coastline data (high-resolution from KML)
+    const PERSIAN_GULF_COASTLINE = [
+        // Northwest coast - Kuwait/Iraq/Iran
+        [29.362739979846, 47.69535012679097], [29.37103544197162, 47.78304613822219], [29.37770406779904, 47.84633405282632], [29.3427966711758, 47.82215043810503], [29.31323251782048, 47.84212913279373], [29.33373999609603, 47.91268979397509], [29.36830760966521, 47.95231944169807], [29.38183833393841, 47.99510482041345], [29.35388882189541, 48.02403319034904], [29.3473887839088, 48.08409990983223], [29.34873058689774, 48.10804901034312], [29.26398803755654, 48.09164265494383], [29.13304004967022, 48.13090865169305], [28.96276081399268, 48.17563338288667], [28.90294991082907, 48.23208949797908], [28.87707858308545, 48.27348362549785], [28.88303964200607, 48.29275789984087], [28.83752719728932, 48.2784410651974], [28.80642303785074, 48.27933277142985], [28.77000252276914, 48.29554239628539], [28.75651888466519, 48.32286758249784], [28.73971645626172, 48.3622108651301], [28.74210304746008, 48.3918714885185], [28.72995966009418, 48.38790222376635], [28.69174603130939, 48.37571373297355], [28.66489453797152, 48.38407321193832], [28.61288716868266, 48.3912424037291], [28.58644474275849, 48.39412886657468], [28.54095348797999, 48.42346606334742], [28.50349911971444, 48.4662021954838], [28.49177057094036, 48.50445354315367], [28.4608148935228, 48.50029517144102], [28.42256434270161, 48.51060940643497], [28.41276750726853, 48.54062647546603], [28.38962915920023, 48.53246370633838], [28.35330434440102, 48.51252653599371], [28.32532352989832, 48.51064044681915], [28.28783129190019, 48.53584587551601], [28.24490061311804, 48.57894506680763], [28.21895976655942, 48.61579459111213], [28.18165275046837, 48.62167730688226], [28.13971103801806, 48.60579976249522], [28.0745862355423, 48.62624526070613], [28.02370841916106, 48.65527726159259], [28.0121579017995, 48.73108912716581], [27.99736286228089, 48.78162497529257], [27.97523396932346, 48.74239838958668], [27.95030178981006, 48.74773551023988], [27.91479083877341, 48.78400267451396], [27.89902279565163, 48.79785399677196], [27.87182633659092, 48.8402718363383], [27.8494757154631, 48.85657888900477], [27.83367764560196, 48.8803134289444], [27.81265461795592, 48.8871977379292], [27.77591535950933, 48.87326624419379], [27.74874680276708, 48.88605955699737], [27.72866144093459, 48.85039624366464], [27.7857433627047, 48.85647873097405], [27.81687823926554, 48.85273151666647], [27.80275050897059, 48.83734541524424], [27.78410542601461, 48.8352692860018], [27.76567161343662, 48.83104630752973], [27.7503518728086, 48.83023288587336], [27.73531228829741, 48.82285033132209], [27.71506747110542, 48.83462542081783], [27.70397474681889, 48.84542604579657], [27.68031649728978, 48.86368375663136], [27.66226708485101, 48.87795395384002], [27.62650808877232, 48.91216769599124], [27.58767698952231, 48.89595678960478], [27.56514767372276, 48.90469349610412], [27.57459251520096, 48.92268660437383], [27.59464109995814, 48.92569004459112], [27.60639414458684, 48.93942875519843], [27.62092368795009, 48.95773401326306], [27.6201119543849, 48.97245320051514], [27.61294833014528, 48.98933688979626], [27.60524105696468, 48.99620031614153], [27.5813458256208, 49.01925475289241], [27.56822038173939, 49.0372533402556], [27.5617523774251, 49.06800447616851], [27.53968987095302, 49.10668626054857], [27.53235581568742, 49.15043293771129], [27.5414675803881, 49.17698841289483], [27.54559777651491, 49.21530265084125], [27.52629156175437, 49.23715640320451], [27.48942199307841, 49.27983792914928], [27.47266859790311, 49.30257939044667], [27.44604763213733, 49.31665941291521], [27.42635495821904, 49.30985754673539], [27.41764528286118, 49.29906662390326], [27.43467924534061, 49.29483371686963], [27.42988583757772, 49.27881232338498], [27.4267643764653, 49.26034730418309], [27.43191807585761, 49.2445991340882], [27.42366130097835, 49.23366332853881], [27.41147711179321, 49.25138460303861], [27.39752269329243, 49.26425421500796], [27.38429673150419, 49.26699448457246], [27.36620691625296, 49.24762349427508], [27.35896696507879, 49.23500704265319], [27.34257342787321, 49.24226376264184], [27.33447723221879, 49.23556500819178], [27.32240907081375, 49.22184092421178], [27.31187429808326, 49.22827167546347], [27.3126916367439, 49.2440854515757], [27.32895120371398, 49.26169958839068], [27.34337581252173, 49.27184954728768], [27.33737638273126, 49.29496086919296], [27.332214771998, 49.31217773248061], [27.28739237844328, 49.31517735880237], [27.25941611365752, 49.32778897802676], [27.23468235932625, 49.31973018786357], [27.20887020369031, 49.31724589491909], [27.19857923393602, 49.32794414477137], [27.17505879577316, 49.32964138750945], [27.16247231871798, 49.34012532208418], [27.15464526975243, 49.35440143340904], [27.1712274766907, 49.36401244645783], [27.19368108386228, 49.36391170089672], [27.19973941498024, 49.38499532166435], [27.19531574465035, 49.39970765318517], [27.1873313181851, 49.40662754667735], [27.16373829229759, 49.40639209847733], [27.14077164150095, 49.38893621998884], [27.13945529024699, 49.37232273151893], [27.11831674339943, 49.38505360794399], [27.11043880378798, 49.40925940464875], [27.13848456440684, 49.42986914592497], [27.14712075441977, 49.46662067579724], [27.1265163908605, 49.47379167011563], [27.13040381071011, 49.49733627190886], [27.15734120857412, 49.49268263290568], [27.18327132458876, 49.5260269875886], [27.16404058479086, 49.55274930335081], [27.18328673433261, 49.57846048734046], [27.16205577180805, 49.58937851341028], [27.15026963123653, 49.5739788587245], [27.12338392993765, 49.57461070687804], [27.09923643705313, 49.58167059544461], [27.06678512951412, 49.61805191186063], [27.02703358756934, 49.6442713217411],
+        // Saudi Arabia eastern coast
+        [27.02705324760176, 49.64442367426901], [27.02356315703405, 49.64626041170332], [27.02387110948356, 49.652561092387], [27.02285104835295, 49.66494148690342], [27.02769332323176, 49.66328227100482], [27.02973562028309, 49.66862507425854], [27.02262778445744, 49.67675114711678], [27.03246672472802, 49.68892938880483], [27.02844334464723, 49.69385692625603], [27.01856598228698, 49.68235533687436], [27.01313086266366, 49.68036688755326], [27.01034588271667, 49.66903415025619], [27.0027511416355, 49.67183349539255], [26.99609364305722, 49.67116051333321], [26.98996769142334, 49.66640361921544], [26.9811598336394, 49.67050608635027], [26.97776397933928, 49.67658282347252], [26.97905850326825, 49.68368362294901], [26.98285389075773, 49.68933214311717], [26.97644220929816, 49.69387216264155], [26.97158371460691, 49.68907333964436], [26.96243267777922, 49.69335476905932], [26.95281598942299, 49.70379288508404], [26.94881665489661, 49.71139958214718], [26.94433666763331, 49.72220797919294], [26.93907286322699, 49.73472462781469], [26.92469118948771, 49.74573281032587], [26.91064202879203, 49.76598947302106], [26.9047059931024, 49.7776836291876], [26.89307229147828, 49.8045709136645], [26.87962543539856, 49.82448375650021], [26.87720377334114, 49.83927569545293], [26.87398502653166, 49.84943975845476], [26.86491121684606, 49.86237321131537], [26.85870178039362, 49.87084534294237], [26.85546292693826, 49.90720520408686], [26.85346757632348, 49.9509049974695], [26.85103273413002, 49.95522256892664], [26.84254134600754, 49.96007426888714], [26.83670005597616, 49.97041414769412], [26.8236357041947, 49.98974505758276], [26.82069538547858, 49.99814066819934], [26.81152483475976, 50.0029302736573], [26.78253812186561, 50.02431244839551], [26.76918165331779, 50.03778046600363], [26.75968876387441, 50.04312681993306], [26.74107922812602, 50.0677661112075], [26.71821763554312, 50.08214523805297], [26.70674284268519, 50.10176677629357], [26.69999673848042, 50.10542020381371], [26.6890886817381, 50.12025190951388], [26.67700696929432, 50.13142386503071], [26.65458592218706, 50.14813163669987], [26.6479329808364, 50.16113147361743], [26.63684932643389, 50.16525411817954], [26.62730385047082, 50.16360640249039], [26.6327871301465, 50.15663807328841], [26.64698983069927, 50.14586074879975], [26.66837957674928, 50.13016216645328], [26.67735515746856, 50.11964939751313], [26.67564668018043, 50.10382987042338], [26.6853378271186, 50.08330896629561], [26.68108597580312, 50.05998720750681], [26.67161220756711, 50.043822395781], [26.67378032925328, 50.02879396197417], [26.69300955833759, 50.02934989636935], [26.73539483893357, 50.00413219130337], [26.73457053810801, 49.99302950130953], [26.71247573964558, 49.98661274454138], [26.6763014848996, 49.98932965056589], [26.65996106297644, 49.9900667985662], [26.65645405654197, 50.0118147454719], [26.64622290523995, 50.01575073725866], [26.62546301167906, 50.01319995052201], [26.60448412731834, 50.01859627615362], [26.582496808162, 50.02139082703306], [26.58838007243183, 50.03207886761251], [26.59551809075142, 50.05277598541655], [26.59826682305081, 50.07207425004555], [26.58548210906353, 50.08665935830546], [26.56473258988605, 50.09214377597122], [26.54959804777767, 50.08447271983419], [26.53657646764626, 50.07211181639144], [26.54160848964845, 50.04538158447258], [26.55166529776345, 50.03249992781566], [26.53829184396034, 50.03072343143116], [26.52949240074712, 50.04254824979882], [26.50108575664832, 50.04947609870089], [26.48041474574309, 50.06621807674384], [26.46809318321726, 50.07796759885397], [26.47993148306423, 50.08299301897371], [26.48085883996455, 50.09964161394035], [26.49262832771563, 50.1155913825037], [26.49920374165023, 50.11849396838649], [26.49843073820374, 50.13434891745401], [26.4575746080067, 50.13618566204665], [26.44632355038439, 50.14674217295631], [26.45436461495202, 50.15463109316094], [26.46755559615825, 50.16840589149142], [26.48177338913787, 50.17440420950627], [26.48987610081437, 50.17889907143893], [26.52109135016672, 50.19030261132083], [26.49751253460696, 50.22090467377168], [26.46685996915177, 50.21048710368972], [26.44279158508066, 50.20463598106671], [26.41852952432559, 50.21942469380834], [26.37188979515013, 50.24015663743656], [26.32784569402419, 50.23295797419765], [26.25733544109761, 50.22442031390927], [26.18056508399698, 50.2237260565035], [26.15808076239823, 50.19571157021147], [26.14796354881483, 50.16917658738512], [26.10176353316136, 50.16403853010091], [26.04340275857583, 50.15681248096449], [26.0231945633497, 50.13772735958902], [26.05199963459062, 50.11792634974211], [26.09879626247162, 50.11065115732928], [26.12183793961595, 50.08554474973456], [26.14876955906252, 50.06345304657461], [26.18214497207716, 50.05241091634505], [26.19797935919285, 50.02704131204388], [26.16754926105135, 50.01406124351119], [26.12606971094491, 49.99527673974687], [26.09515490156893, 49.98170627401133], [26.08287743246124, 49.9979200624599], [26.03335448480656, 49.99474045050955], [25.99143076837207, 50.00383080224352], [25.99253184986523, 50.02323272505452], [26.0028734041563, 50.05162750343987], [25.98531035198135, 50.07389293159618], [25.98247079980824, 50.11005675575576], [25.95697331334445, 50.11825084743846], [25.93197421618638, 50.12841779783417], [25.91970507031847, 50.10757877414094], [25.81084133638192, 50.14378929277124], [25.70578875670218, 50.23344186523173], [25.59922114297034, 50.2912938634102], [25.50791405622413, 50.40055968277333], [25.42724891080401, 50.46986860807198], [25.33477951233779, 50.52644690263656], [25.19995072995599, 50.54418033652198], [25.06988981871546, 50.5829391335044], [24.93546944067575, 50.66697122395959], [24.82983648365879, 50.74301464182899], [24.76647221967511, 50.74880828559648], [24.73554432503348, 50.78655894653473], [24.74332311272736, 50.82210562285611], [24.77351872668544, 50.85669515487564], [24.86099893055199, 50.85132358508607], [24.95898790007987, 50.80937265439603], [25.06211520565489, 50.79790223689832], [25.1540174114601, 50.76779932224112], [25.25967035086254, 50.7667514668296], [25.44949328486212, 50.76859971220759], [25.53304911153838, 50.78752005177065], [25.47141379466137, 50.83629942841311], [25.5723418458954, 50.82975619871582], [25.61944968636911, 50.79497905967578], [25.60757107349294, 50.87702311664493], [25.51757213892248, 50.8957439024573], [25.59028957421601, 50.92396888667346], [25.60253574250321, 50.95667776686696], [25.63135652112587, 50.97925366871092], [25.6352323047664, 50.94711364233711], [25.62505702203529, 50.93133440319193], [25.63155678492307, 50.91506163873182], [25.65641015856653, 50.90049733282035],
+        // UAE coast
+        [25.65716083275897, 50.90170575990749], [25.68147696492986, 50.89773161034381], [25.71857479225816, 50.8954911439477], [25.73949294722928, 50.91686676106349], [25.75871945836478, 50.91008866909237], [25.7845751252068, 50.90836702545932], [25.79460915983987, 50.92274696351791], [25.80887571369417, 50.93098415085969], [25.80629389630451, 50.94663737233623], [25.79239730882586, 50.95719817710234], [25.77600525825683, 50.96257652228878], [25.76452660286184, 50.95584316275358], [25.77463157973698, 50.97567480371352], [25.78237282687364, 50.98648588513267], [25.78982235797762, 50.98246344811772], [25.80136570299747, 50.99099761934627], [25.8210458515305, 50.98515757250075], [25.82759528044297, 50.96077005468135], [25.85835092454429, 50.9552759557918], [25.88996810471103, 50.97901883341721], [25.91380775540743, 50.99537525248765], [25.95574954963699, 50.98876030091325], [25.98416736628879, 50.99214776651995], [25.95380103698773, 51.01227399193174], [25.98763438369054, 51.0319745498081], [26.01938296207173, 51.03962313130463], [26.04188184540632, 51.0380355164092], [26.07554628555181, 51.09440849099342], [26.07648578114036, 51.12577648644566], [26.09879289099162, 51.15138177526531], [26.12753975086157, 51.17380600398057], [26.15223756264971, 51.211812976254], [26.15592700396044, 51.25450597631675], [26.14049608217642, 51.2921248651346], [26.11742241367045, 51.34005046723046], [26.07698459956022, 51.35796485026632], [26.04493410516451, 51.36323832953113], [26.02074062295535, 51.38183384289891], [25.99588583240877, 51.40673409444089], [25.96032439465812, 51.4116489197141], [25.9513835549339, 51.44632708077301], [25.95407437271502, 51.49351180974647], [25.94118643738382, 51.53697138554566], [25.90479771242735, 51.57708110954022], [25.85209225558815, 51.585254408003], [25.77901047581922, 51.60274952543374], [25.71986997723302, 51.58911200442687], [25.67696137256, 51.58782006283973], [25.65433845256044, 51.55749189795174], [25.6192528038682, 51.55374295568902], [25.59746833563727, 51.50444468137229], [25.58200294407754, 51.48970981978584], [25.52375027303368, 51.48931340834976], [25.4952407939834, 51.49459332696657], [25.46076933558775, 51.52085151714988], [25.41677524186116, 51.5335715259009], [25.35529783250155, 51.5341166354718], [25.32313602031736, 51.53749847889264], [25.29985305497469, 51.52549367837054], [25.28149461910185, 51.55418734014507], [25.29664179276036, 51.59079490862999], [25.29717906865323, 51.61291850248678], [25.27223266822733, 51.62260132844945], [25.25300592823463, 51.63093053622866], [25.23570164949857, 51.60955098042518], [25.19727979487261, 51.61980799441835], [25.13870117139228, 51.62043745509212], [25.07516567588837, 51.62048061121978], [25.02735892340913, 51.60831099770498], [24.94167176968926, 51.58939425675127], [24.87210694829982, 51.53409303749797], [24.8339275779665, 51.50028446266774], [24.74043284328953, 51.48454260719361], [24.69425854974229, 51.45252618738996], [24.64903360408211, 51.43448291475705], [24.62212222383731, 51.43841916181864], [24.59864433331233, 51.46903422450045], [24.58521979076352, 51.50909865350522], [24.5409587640296, 51.44979843608721], [24.46239652420145, 51.38007676632328], [24.41280482379771, 51.32790685112604], [24.28630356933485, 51.29794655616669], [24.28823051520193, 51.38088267518725], [24.3157954794711, 51.48299934710469], [24.25502129294205, 51.52900870761734], [24.25792848675743, 51.58303055210015], [24.34570649461978, 51.56851745070327], [24.33607808497208, 51.6294320314971], [24.28129244162631, 51.71320543581783], [24.28539429263386, 51.76493911677075], [24.19000585862705, 51.78547655018865], [24.12536403045356, 51.78607153918119], [24.03630047799832, 51.80261147634531], [24.00207045012229, 51.8239539881333], [23.98694115810612, 51.89145527968929], [23.99887391673576, 51.9818984810119], [23.94740834419009, 52.09964400837178], [23.95927597444117, 52.22900903622538], [24.00239933432923, 52.32151301308593], [24.06418944880516, 52.43927197088093], [24.12381621453524, 52.50389022176298], [24.15181604923597, 52.54797305104738], [24.19771926694004, 52.59954347599109], [24.15258458482505, 52.67062646025488], [24.12975489817441, 52.7560273881566], [24.13357170488513, 52.91523082618594], [24.14328810102479, 53.02462099067551], [24.12461292720342, 53.22600514715216],
+        // Oman coast
+        [24.12600295303031, 53.21875506318923], [24.11969795245916, 53.38428100695228], [24.04721712584968, 53.64503491358433], [24.07666292010559, 53.98852851822995], [24.14578023665765, 54.07853357180954], [24.19071860926684, 54.16436601736762], [24.24767674715092, 54.10004423421276], [24.31913766693351, 54.1193589470617], [24.37603760160576, 54.1996301067178], [24.55497758941722, 54.43033608066978], [24.63921724096035, 54.58212687745649], [24.81977579615055, 54.70928348122087], [24.8990592873844, 54.89587992757362], [25.00774310505677, 55.04093282880707], [25.10222948954171, 55.15398339822956], [25.28263621097551, 55.29544231249609], [25.45335911797874, 55.49358435430156], [25.61227126823007, 55.63524118052776], [25.73036359555809, 55.83127146206406], [25.81210026208424, 55.94981716131406], [26.01876526738378, 56.05982011711189], [26.17104933396902, 56.15871045137941], [26.23402192447403, 56.20354154180887], [26.22605661534324, 56.29221407615344], [26.29506556693573, 56.32278135402083], [26.40097525139682, 56.3957804745719], [26.29842205038239, 56.48872316985324], [26.17020649441785, 56.40948438659446], [26.01674011658505, 56.46298204844459], [25.87913267153234, 56.40184413185427], [25.77981451908449, 56.34760732875994], [25.7198931888227, 56.29315800626342], [25.64298160849766, 56.27706028024411], [25.60658979974734, 56.3182912672122], [25.59562210706842, 56.35786521335482], [25.52738734627675, 56.36448296635899], [25.22355775000066, 56.37854255608811], [25.01342218186323, 56.39031927634742], [24.83217361399143, 56.42696688025775], [24.68563586398005, 56.49494443453508], [24.5123943797098, 56.61338344388702], [24.39743420930938, 56.75028722231026], [24.26037375864488, 56.82055733279176], [24.10511334138644, 56.95549851035566], [23.9785028809605, 57.1154069937874], [23.8939578702375, 57.32686956564233], [23.81838965392729, 57.51601313901853], [23.75338176737095, 57.76430202922494], [23.71345890168819, 57.89905423026545], [23.70880126452129, 58.07945161406328], [23.68999414983332, 58.1588867385672], [23.64144506066609, 58.24362449017362], [23.59612387968723, 58.35227494176036], [23.61350557208782, 58.47739790442857], [23.63081834899839, 58.57917213211036], [23.57024508907826, 58.61716897572633], [23.54120802475841, 58.68268739696241], [23.5155793080001, 58.77175248837404], [23.44841021960845, 58.78903013870592], [23.39547991624105, 58.8144833396139], [23.33851323609182, 58.88224214089382], [23.30288197906548, 58.93121843983869], [23.22927718122163, 58.97071134170092], [23.15219985334388, 59.02547686546213], [23.07250679443032, 59.05793162632275], [23.00978828397068, 59.11861544631587], [22.97782030957097, 59.17857338061201], [22.89166714911653, 59.22781385534368], [22.85060184714803, 59.25581452324819], [22.84027207263209, 59.26471451491503], [22.80346003345322, 59.27123470002081], [22.76521112766059, 59.29196694153022], [22.74808179325468, 59.3518979540049], [22.70587160929718, 59.35433671724378], [22.6726774318342, 59.40938108897883], [22.60969901190415, 59.47751936966715], [22.57614659425485, 59.55193956370838], [22.56680214541115, 59.64182318149508], [22.54141784546401, 59.7269234617026], [22.54555800927798, 59.80033697136992], [22.48992793314173, 59.83701284863444], [22.42698204097238, 59.84359660159816], [22.40299778525068, 59.82352173720727], [22.36955172669856, 59.82280919481883], [22.33638306051496, 59.82209920272869], [22.30595471402026, 59.82694466610727], [22.25474409039142, 59.81466625238687], [22.20951458242703, 59.81200244473902], [22.16842869340804, 59.7618683076447], [22.06238417585248, 59.69114853976341], [21.99367739562976, 59.68263230887212], [21.90517008528615, 59.60328734733515], [21.85484471500446, 59.57163215439429], [21.77644356883025, 59.51569206570088], [21.72640052055073, 59.47054075762176], [21.68221242086886, 59.48030074477698], [21.62291201439212, 59.44540394041023], [21.51967099191064, 59.38719120959387], [21.45400727608873, 59.34616075355449], [21.42242884873736, 59.35282819168365], [21.38085759432982, 59.21879232410884], [21.27066252940752, 59.08430707021286], [21.16357435231987, 58.98118031557114], [21.08219111294111, 58.87521155099487], [20.98482315254149, 58.81031369694297], [20.9034426993566, 58.77968635108223], [20.84409485324602, 58.74575818509442], [20.68868188988185, 58.68794550677072], [20.592097324215, 58.60487316623752], [20.39893019065922, 58.50676482546261], [20.33509944581309, 58.38022208655958], [20.34502111408592, 58.28307840799782], [20.38792052904004, 58.19401728469271], [20.53450014495201, 58.25764702382457], [20.5933404806687, 58.25379392450553], [20.58169020973466, 58.12703766007976], [20.46628755593003, 58.04030699051958], [20.39093457173872, 57.9178976667525], [20.34061224625737, 57.98508770132828], [20.2449821859652, 57.90447086268667], [20.19777443203797, 57.84611846918035], [20.09598922660533, 57.84435857896525], [19.9470375630924, 57.80535612640626], [19.74717670558265, 57.69295318515986], [19.67177734065442, 57.71242970694491], [19.60120078108847, 57.71774439427388], [19.49124535323894, 57.74418893797834], [19.40247897874353, 57.78166692478845], [19.28569674153302, 57.75840800325311], [19.17050617294811, 57.75449123883461], [19.08029151370868, 57.83085178178512], [18.97647205063426, 57.85043278911841], [18.9436575263467, 57.73642401419902], [18.92335115939865, 57.49953901876331], [18.89951312802856, 57.27334775416995], [18.83737177270126, 56.99060524967425], [18.73033701387041, 56.77991641316688], [18.57764071739604, 56.63193288719062], [18.43270037907126, 56.6163845913357], [18.14543285909993, 56.56130056285922], [18.05660503306663, 56.49114326884407], [17.95672366264127, 56.39850728261833], [17.88214183758977, 56.33274491125525], [17.9233037207081, 56.16485319929691], [17.89872678362541, 55.88140674586849], [17.87813899267141, 55.80555896238968], [17.85993064426301, 55.60295924456074], [17.7879040669914, 55.42383545369876], [17.69591026787856, 55.37464750464634], [17.60856448349606, 55.28041335521699], [17.4928528853832, 55.23242904540757], [17.36535090399545, 55.31160529262832], [17.22198254489751, 55.25790103270338], [17.10339746684913, 55.14113866752108], [16.98199074507732, 54.98690840157447], [16.92624220623773, 54.80462471314694], [16.95867808035771, 54.68655865697966], [17.01653434119351, 54.54718806179453], [16.98491663887042, 54.21390918333228], [16.91369010900253, 53.96103915889694], [16.84685087595318, 53.70366128481261], [16.75487222290486, 53.54809749772002], [16.62451821561428, 53.01518392073681], [16.39231965526736, 52.41519362927499], [16.20861035907269, 52.25071272840481], [15.91537218831226, 52.16012065162831], [15.75752534416388, 52.21586190743519], [15.62507690720476, 52.21887921160111], [15.42295455714522, 51.73141089297204], [15.27746934225289, 51.57567020314605], [15.08133588195167, 50.77603819373101], [14.88317458450164, 50.29751572348729], [14.75987521349425, 50.00572976044891], [14.69455091668209, 49.44937455858641], [14.40967912695764, 48.99098914024431], [14.04741809429719, 48.80825765934281], [14.00538481132088, 48.49219128686244], [13.96054938081848, 48.30466512483947], [14.01436301157167, 48.0271980789074], [13.89149770225559, 47.7169327604364], [13.730038012432, 47.50397786007001], [13.62239471057608, 47.27173915582942], [13.55709260552895, 46.98355351388067], [13.39937717054382, 46.71978998771436], [13.39834909265336, 46.400647070773], [13.40698855282875, 45.98228213006319], [13.36315070943404, 45.72119509065502], [13.22718006748132, 45.55637083423315], [13.04977543253555, 45.3798546712183], [12.98822662299519, 45.19180878230444], [12.91456953342253, 45.08143130346485], [12.80770039372491, 45.05263303734816], [12.70066252078245, 44.91174635432694], [12.72096832384785, 44.81434854016933], [12.78376558876294, 44.67972214448321], [12.80468343586951, 44.48511478064076], [12.66870892494596, 44.43926391617336], [12.63096804173576, 44.26935014081417], [12.62850362518602, 44.14229353197928], [12.60106767181025, 43.94084563114711], [12.69387595436122, 43.66713762239474], [12.67948497241076, 43.49429665392366], [12.73573436061859, 43.45410463921739], [12.80678734457007, 43.47535670788859], [12.90141016226668, 43.4100218123311], [13.06818861689249, 43.31792832703051], [13.25622293840067, 43.21020880387223], [13.48871093107565, 43.24972344780964], [13.71303910980416, 43.27492143291563], [14.08563271638416, 43.10955809613814], [14.57914144879683, 42.98773287744154], [14.91013226727155, 42.9276399806002], [15.16717339800771, 42.81961910523754], [15.47061207274044, 42.7599375781096], [15.67517739735908, 42.67909657330632], [15.93627880017615, 42.77641551301811], [16.16767690867453, 42.8221909255651], [16.54316344044027, 42.69258839923752], [16.76717091764869, 42.60671179225586], [16.93931891813185, 42.49921271993629], [17.0991101587453, 42.35944949941342], [17.41311275853257, 42.24490890679058], [17.70958185617155, 41.97807655591547], [17.85997224072822, 41.69099544730513], [18.35456456130659, 41.43444449563136], [18.67234325785721, 41.1918070405668], [18.9951831819738, 41.14314886480423], [19.47150716821487, 40.9340980219759], [19.69494237820877, 40.73085852235353], [19.93388863873991, 40.49281271780466], [20.15642997495969, 40.11723093811415], [20.31748640062717, 39.78377256309595], [20.71837114620712, 39.47008282536585], [20.98806161686894, 39.23048918958775], [21.35712024784057, 39.10077791445759], [21.62294712628709, 39.13369368201644], [21.85765124068651, 38.98160581002888], [22.06620322272934, 38.93575161210267], [22.27545506071028, 39.09888376014094], [22.52234677262776, 39.05252711911346], [22.75986848147541, 38.93195765478242], [23.13523208504303, 38.7622494622737], [23.49507975960375, 38.52527621997542], [23.78049587592655, 38.35666979598054], [23.95871015327163, 38.12062662627488], [24.15363665094105, 37.8133926704734], [24.23316896047933, 37.54349018876129], [24.48869215299895, 37.38795950880032], [24.71905649398416, 37.12350375131982], [25.09300991048885, 37.22737860652139], [25.34286680267843, 37.06126755996095], [25.72733732995582, 36.74669116669126], [26.08798162862558, 36.54002361664909], [26.56917738597021, 36.22859646070088], [26.89853608448528, 35.97413009945547], [27.15461246931732, 35.86362190550097], [27.50218537232056, 35.54866889361511], [27.8911073489466, 35.32233378444313],
+        // Iran coast
+        [29.3630710093784, 47.69451494467255], [29.48853279202578, 47.85791469567905], [29.55065101534365, 48.00213064546049], [29.52541632590453, 48.14633315408413], [29.5501818397548, 48.26220164516374], [29.66620981664044, 48.3515812504459], [29.75341402668571, 48.39229938550303], [29.8271655681501, 48.37169750497442], [29.89836843415788, 48.42363782130669], [29.84573587742652, 48.55125295701794], [29.80507565315308, 48.62504992376957], [29.92351663509372, 48.71263873876262], [30.05487699053969, 48.75017105743748], [30.00311089241972, 48.94875629454575], [30.08739095470234, 49.16621667291098], [30.15047701412148, 49.33548674041883], [30.09644916846861, 49.4800228141493], [29.95293809179967, 49.53143448712704], [30.08897585006953, 49.74595878988058], [30.2014066293587, 50.00307312621057], [30.00308855059386, 50.13742303438497], [29.8587605287009, 50.22950859757266], [29.66995756929751, 50.34847936790843], [29.51130257883906, 50.51984004797619], [29.40711372717061, 50.63916623134492], [29.29882105033526, 50.65352650910498], [29.1095213310015, 50.63958691508223], [29.08310381624124, 50.72661405752098], [29.02801717386986, 50.85193202555166], [28.87669361474165, 50.82285544196534], [28.80714001911365, 50.93205219065609], [28.81672290316913, 51.00410864232614], [28.65285812966256, 51.08072448198459], [28.54437997158361, 51.07024230701319], [28.38684654293765, 51.12756787659696], [28.24916656225347, 51.26936617981935], [28.15017516249074, 51.26172633371365], [28.02508877186577, 51.30270813580739], [27.86938224806243, 51.46279959198267], [27.81359690493269, 51.60592934277918], [27.82421934115606, 51.75672538608204], [27.81421163956926, 51.96830953156027], [27.7547074378825, 52.15769593911217], [27.63402889683396, 52.38470137172195], [27.57952789096283, 52.5016271770395], [27.52244495258446, 52.56131676183366], [27.46833594325748, 52.59640993425518], [27.45637043101377, 52.66538582924098], [27.439220807907, 52.67934382424742], [27.41652704005346, 52.68055896898925], [27.40325309039391, 52.66619402382143], [27.39980811895161, 52.62966083935505], [27.39232713960945, 52.58877660011269], [27.36077063392259, 52.58238593597597], [27.33467459619699, 52.63250494693976], [27.23675708652958, 52.77436638424268], [27.1833350803638, 52.87907966681657], [27.14361121133904, 52.97334448618098], [27.0826512021152, 53.10220097705729], [27.03067883762564, 53.26683566013406], [26.98504084867555, 53.43367460822587], [26.95708562742175, 53.47772103624161], [26.88618501797854, 53.48084684395054], [26.84478622518554, 53.46818658342936], [26.78459399488427, 53.55838675876784], [26.74707057180788, 53.66530523223739], [26.69700920416602, 53.7443296808179], [26.71737879232177, 53.81180287566916], [26.70511455617534, 53.92826708420071], [26.74500392847064, 54.01094779023265], [26.72187193391018, 54.07220011374579], [26.70349433322481, 54.19431854801385], [26.71164517919444, 54.28805948978821], [26.66740545755421, 54.34879610123444], [26.59727091789129, 54.37114342369616], [26.56755308071338, 54.46167867716807], [26.57294383504277, 54.46649030756285], [26.59645693690799, 54.50971835457999], [26.55437154162193, 54.57770371575072], [26.50292792214704, 54.59527159457734], [26.48385754314626, 54.6526438165907], [26.49994010826835, 54.73495604407796], [26.49314103811355, 54.82707495936909], [26.53760643182775, 54.88952689136505], [26.63446452293726, 55.0498402583292], [26.72930732162522, 55.19801021960766], [26.78679170679406, 55.28137441580423], [26.73781552756882, 55.3885825499053], [26.73507604630702, 55.4777850388919], [26.79995556876605, 55.55998251494675], [26.88306007976158, 55.56952637058873], [26.96516360057058, 55.64280868317915], [26.97748361447425, 55.69062354042335], [26.97491377229831, 55.75498359405034], [27.00029598487352, 55.87743321828322], [27.03229072017202, 55.96515038670886], [27.09351906209925, 56.05592048396039], [27.13465062100578, 56.1379173830131], [27.13431034948272, 56.20349100465665], [27.18000393323535, 56.28085111644454], [27.17984753011914, 56.41076691710177], [27.17048519872868, 56.5065629682727], [27.13643716831453, 56.65480260072563], [27.10709610945206, 56.76585820738133], [27.05086270054153, 56.83164956169606], [26.96767735023004, 56.87945914629153], [26.90208240427064, 56.94708641161004], [26.7664622744992, 57.03184820378203], [26.63644229571843, 57.07159039195999], [26.54387833533174, 57.07373989761491], [26.45493174059408, 57.05637215737326], [26.40994719679288, 57.05763626137524], [26.30616925256406, 57.08903587474401], [26.2196690489094, 57.15204853548445], [26.17456222731467, 57.21351882727667], [26.11616633673311, 57.20021676048563], [26.05916982883493, 57.17193313919983], [25.99010901607023, 57.21534605031251], [25.91843709247698, 57.27118648811474], [25.82847481728753, 57.29620474977246], [25.77924663019112, 57.31016722182316], [25.75088589762288, 57.39016472425579], [25.72517223395861, 57.48356530705881], [25.72351690256618, 57.60982348573911], [25.73624513668782, 57.7162711812622], [25.71143812184033, 57.77887997013941], [25.67526887318747, 57.77501758561984], [25.63711737860162, 57.77296441586197], [25.66440951654259, 57.84206431103741], [25.70257357729536, 57.94934828905214], [25.64984625353484, 57.98831055685201], [25.59766474262654, 58.03380092696658], [25.5587194250462, 58.09551900472627], [25.55161924316254, 58.19118407012643], [25.58283501703418, 58.29937010146961], [25.57844999150313, 58.40634475432664], [25.58967585023337, 58.52169603060784], [25.57920899411008, 58.62919889668636], [25.56405276998438, 58.72942742454251], [25.55269679602731, 58.82916071033503], [25.50150145249253, 58.92577474296734], [25.4093849786299, 58.99803768511836], [25.39738111359589, 59.06517300951521], [25.41956135625875, 59.21741038426578], [25.46303978993082, 59.38446759163087], [25.46709984114972, 59.48158382780842], [25.40555613880148, 59.55413467287399], [25.37317724378437, 59.65420326558646], [25.39403112354373, 59.78457634604131], [25.37557683380098, 59.87743087228911], [25.32413554566648, 59.92159253108085], [25.36690855584364, 60.02210310716298], [25.37239038330973, 60.14961427991444], [25.31438095658749, 60.18073231750654], [25.31879403601722, 60.23480787493573], [25.30783226757908, 60.32666736434062], [25.2826974958503, 60.46024875741683], [25.33777822538197, 60.46932580288419], [25.41720338908695, 60.46667733202413], [25.41967793816732, 60.52563408655871], [25.4036629960377, 60.57563281437923], [25.33045686416508, 60.60377706800878], [25.28513828944039, 60.61221287480942], [25.26513915051925, 60.70199640292811], [25.23644906686477, 60.86943124268315], [25.19805684358304, 61.04542060052387], [25.17398386072594, 61.17102139104072], [25.1163395232857, 61.19512014658614], [25.09969455687396, 61.31214223335321], [25.05696236992723, 61.42136359921648], [25.07167518951855, 61.45498875650313], [25.12624158843075, 61.48689833088201], [25.19280195727439, 61.56237671017712], [25.1684889242197, 61.73749669402574], [25.09926371079637, 61.76455053752932], [25.00679881492831, 61.71177687426213], [25.03355956054709, 61.86781568983672], [25.10135098314649, 61.92392845167268], [25.08172713190866, 62.04502924100066], [25.15552555123407, 62.13244302568882], [25.10498882117048, 62.35768851634887], [25.14449101067548, 62.48661070287343]
+    ];
+
+    // Persian Gulf islands (polygon data from KML)
+    const PERSIAN_GULF_ISLANDS = [
+        // Bahrain Island
+        {
+            name: 'Bahrain',
+            coords: [[26.21158076085144, 50.44904140617817], [26.145795330529, 50.45377293095993], [26.10650872584712, 50.46802717193115], [26.0486135593043, 50.49048419453226], [26.00014323610603, 50.46840300139103], [25.95508018225988, 50.4626426129817], [25.89816190262174, 50.51265935432144], [25.84982497504657, 50.55426481731233], [25.80519802971526, 50.55566206981238], [25.8268131291337, 50.59741509628352], [25.90276425391711, 50.60978648918623], [26.04135089819455, 50.62595948373382], [26.08790934342911, 50.62822031194712], [26.12799644590575, 50.64111105801801], [26.16802847465339, 50.6488644738956], [26.18381529693509, 50.61134004691819], [26.15838163775846, 50.59971939419088], [26.16589484050712, 50.57964887520752], [26.21005716265903, 50.56425515010056], [26.20175564670953, 50.59387006775965], [26.20610111798225, 50.61286207015765], [26.21757460941406, 50.62475106096326], [26.21643926768818, 50.64748776444594], [26.18800416289922, 50.65758527219823], [26.18365929967413, 50.71346324347847], [26.19843421714662, 50.71091021449825], [26.25703879160896, 50.68261802780393], [26.30991662195854, 50.66439064371975], [26.34221700781433, 50.63906516915476], [26.31994405633532, 50.61339727723693], [26.29765688940334, 50.60103021090458], [26.27764745448378, 50.5881600871661], [26.26054084512792, 50.58449010825002], [26.24607915504753, 50.56798590667248], [26.23715169068669, 50.51373651870533], [26.23232099609534, 50.47262492077736], [26.21158076085144, 50.44904140617817]]
+        },
+        // Qeshm Island (large island near Iran coast)
+        {
+            name: 'Qeshm',
+            coords: [[26.83388924742226, 53.16098106316301], [26.80617786808167, 53.20020059631184], [26.78689938755063, 53.26625548699486], [26.79666708183217, 53.39115802173977], [26.81574982191229, 53.36879997181979], [26.82320791987785, 53.31253550085479], [26.82437198344675, 53.26790876053762], [26.8391118432424, 53.22053133823228], [26.84923243603059, 53.18351670921976], [26.84701118204462, 53.15989865213155], [26.8326749301317, 53.16141789414311]]
+        },
+        // Small island near Qeshm
+        {
+            name: 'Hengam',
+            coords: [[26.69426744127513, 53.62994020242423], [26.69452908606819, 53.59666028371338], [26.66376605442796, 53.5971797600231], [26.65551114045004, 53.63166997231118], [26.6597276723581, 53.65891848620582], [26.67802899356301, 53.67425313335964], [26.68462117445997, 53.65595172171258], [26.69426744127513, 53.62994020242423]]
+        },
+        // Island near Iran coast
+        {
+            name: 'Lavan',
+            coords: [[26.5737542873899, 53.93059762497573], [26.54476296254101, 53.904468460419], [26.5138498405523, 53.91321224974693], [26.48659970141385, 53.96293249644906], [26.49814855709469, 54.03176467937006], [26.50316525585812, 54.05225794362083], [26.5322813123808, 54.03813786430419], [26.55434731835557, 54.02238803380176], [26.56823420541257, 54.00836720500337], [26.56873156787647, 53.97192759276769], [26.5737542873899, 53.93059762497573]]
+        },
+        // Small island
+        {
+            name: 'Kish',
+            coords: [[25.92867115714347, 54.52015268333167], [25.91458196976378, 54.49091223163849], [25.89630024458794, 54.50217314249816], [25.89443956931029, 54.53716361443293], [25.89223533686929, 54.55052462392931], [25.9009786527957, 54.55612427394029], [25.91895172224276, 54.55284382535847], [25.93526341824623, 54.54454503039353], [25.92867115714347, 54.52015268333167]]
+        },
+        // Another small island
+        {
+            name: 'Farur',
+            coords: [[26.28941065317824, 54.48750861225877], [26.25105005422746, 54.50856948148449], [26.25716846607932, 54.5313514366356], [26.28141367300959, 54.54101179024482], [26.29776255740658, 54.539214823041], [26.31341290781354, 54.52698480377233], [26.31459669828744, 54.50731693492963], [26.31006201204513, 54.49660516150107], [26.30153786873354, 54.48740418042051], [26.28941065317824, 54.48750861225877]]
+        },
+        // Abu Musa Island complex
+        {
+            name: 'Abu Musa',
+            coords: [[26.64648100001668, 55.27061625633356], [26.60520583140887, 55.28322723119292], [26.57544436478787, 55.27050563584215], [26.53908768751683, 55.28329002529458], [26.55078772417604, 55.32178711278626], [26.56879148249399, 55.39187964372393], [26.59159387336079, 55.47457652016706], [26.59513355766708, 55.51537593202837], [26.62673731222865, 55.57064845950178], [26.6450611953662, 55.63095370704807], [26.6723232927203, 55.67589295174268], [26.68511722734495, 55.7183515307997], [26.67517423448804, 55.7520265082375], [26.70468649241814, 55.81274743132424], [26.73153507716781, 55.86983243480079], [26.71562975146874, 55.89768337780897], [26.69215034142376, 55.9164318743185], [26.68723432526954, 55.95123760720653], [26.73962041468588, 56.01106175945011], [26.77521909493712, 56.0742528845014], [26.81058980655743, 56.11389994505498], [26.85497371345791, 56.14708690985186], [26.88513666639687, 56.15846780859502], [26.91351395110531, 56.1746050962137], [26.92699101694767, 56.25928102711272], [26.93920158922994, 56.28926863010306], [26.96177969776384, 56.27831257827953], [26.98877739175334, 56.25194543883838], [27.00410026807858, 56.18008602902872], [26.98978304905616, 56.12755395176879], [26.9717561275448, 56.07966717134555], [26.95314825749033, 56.02957680796113], [26.94183049665427, 55.97762502844783], [26.92139759999326, 55.94116477664281], [26.90283539040666, 55.89558842310549], [26.89593697924045, 55.86407814551321], [26.91415335627046, 55.83749143109927], [26.93836093311463, 55.79835805744743], [26.95331489509487, 55.75629044717162], [26.94023220485303, 55.73609893632416], [26.92549494444031, 55.73047518314532], [26.9070241879817, 55.7519391669178], [26.88202013978468, 55.77409191162439], [26.86730262468205, 55.77719718740764], [26.85166861024301, 55.77344221103766], [26.84183641341258, 55.78913442116507], [26.82038127287317, 55.79469276924598], [26.78861878150391, 55.78449505495226], [26.77803558091355, 55.75925918450748], [26.76925004235819, 55.73068082775433], [26.77300500734598, 55.70197305967162], [26.77404667032663, 55.6655127325816], [26.75392354594988, 55.62910172971372], [26.7304358647133, 55.59559972325718], [26.71642187130794, 55.56334654089687], [26.70157536906956, 55.51582022137107], [26.69272935301808, 55.48461191556468], [26.67589107410117, 55.44760864872644], [26.67114797086286, 55.42522927050679], [26.6736876838568, 55.41610632355883], [26.66083158501464, 55.39005824504459], [26.64497108490972, 55.36099577103231], [26.6391493999986, 55.33551737754241], [26.65035116547406, 55.29868263204291], [26.66163260975952, 55.27732912508017], [26.65964489132988, 55.26107785969744], [26.64648100001668, 55.27061625633356]]
+        },
+        // Small island near Abu Musa
+        {
+            name: 'Sirri',
+            coords: [[26.65718343571423, 55.86515805166017], [26.63425017663331, 55.84927395677903], [26.61905588788657, 55.84620848553081], [26.61060307629871, 55.8729715554396], [26.6157271578014, 55.89685847173791], [26.664438115674, 55.91564650486005], [26.67964559770322, 55.88936183722537], [26.65718343571423, 55.86515805166017]]
+        },
+        // Islands near UAE coast
+        {
+            name: 'Tunb',
+            coords: [[26.87580999530999, 56.33372875199923], [26.85564910575896, 56.3211491718415], [26.8363693648961, 56.3128049250025], [26.82360670654775, 56.32418637720839], [26.82296035229849, 56.3476139906311], [26.83884618702761, 56.38181605176774], [26.85502932942303, 56.40972565532157], [26.87158596622398, 56.40895446210767], [26.88335576640968, 56.4005019828409], [26.88526777325522, 56.37142857279968], [26.88889681913611, 56.35442133411979], [26.87580999530999, 56.33372875199923]]
+        },
+        {
+            name: 'Greater Tunb',
+            coords: [[27.0850679694066, 56.43976693534419], [27.07386664093139, 56.42668459535815], [27.05872747815262, 56.4226836261759], [27.04012705901408, 56.4269050908211], [27.03417380624986, 56.45988358465255], [27.03759454644505, 56.48888009065269], [27.05082966199624, 56.49923336370116], [27.07137873689881, 56.49816344412518], [27.08237212665431, 56.48867655336879], [27.09431327190706, 56.45811333379947], [27.0850679694066, 56.43976693534419]]
+        }
+    ];
+
+    // Major cities in the Persian Gulf region
+    const PERSIAN_GULF_CITIES = [
+        { name: 'Kuwait City', lat: 29.3759, lon: 47.9774 },
+        { name: 'Basra', lat: 30.5085, lon: 47.7835 },
+        { name: 'Doha', lat: 25.2854, lon: 51.5310 },
+        { name: 'Abu Dhabi', lat: 24.4539, lon: 54.3773 },
+        { name: 'Dubai', lat: 25.2048, lon: 55.2708 },
+        { name: 'Sharjah', lat: 25.3463, lon: 55.4209 },
+        { name: 'Manama', lat: 26.2285, lon: 50.5860 },
+        { name: 'Dammam', lat: 26.4207, lon: 50.0888 },
+        { name: 'Dhahran', lat: 26.2361, lon: 50.0393 },
+        { name: 'Al Jubail', lat: 27.0174, lon: 49.6572 },
+        { name: 'Bandar Abbas', lat: 27.1865, lon: 56.2808 },
+        { name: 'Bushehr', lat: 28.9684, lon: 50.8385 },
+        { name: 'Muscat', lat: 23.6100, lon: 58.5400 },
+        { name: 'Khasab', lat: 26.2096, lon: 56.2503 }
+    ];
+
+    // Military airfields around the Gulf
+    const PERSIAN_GULF_AIRFIELDS = [
+        { name: 'Ali Al Salem AB', lat: 29.3467, lon: 47.5208 },
+        { name: 'King Abdulaziz AB', lat: 26.2654, lon: 50.1520 },
+        { name: 'Isa AB', lat: 25.9184, lon: 50.5906 },
+        { name: 'Al Udeid AB', lat: 25.1174, lon: 51.3150 },
+        { name: 'Al Dhafra AB', lat: 24.2482, lon: 54.5477 },
+        { name: 'Al Minhad AB', lat: 25.0269, lon: 55.3662 },
+        { name: 'Bandar Abbas', lat: 27.2183, lon: 56.3778 },
+        { name: 'Bushehr', lat: 28.9448, lon: 50.8346 },
+        { name: 'Kish Island', lat: 26.5262, lon: 53.9802 }
+    ];
+
+    // Open-water lane nodes: the Gulf of Oman approach, the Strait of Hormuz and
+    // the main axis of the Gulf, plus spurs toward the larger port areas
+    const PERSIAN_GULF_LANES = [
+        { name: 'GULF OF OMAN', lat: 24.90, lon: 57.75, entry: true },
+        { name: 'HORMUZ APPROACH', lat: 25.90, lon: 56.85 },
+        { name: 'HORMUZ', lat: 26.55, lon: 56.55 },
+        { name: 'HORMUZ WEST', lat: 26.45, lon: 55.95 },
+        { name: 'CENTRAL GULF EAST', lat: 26.10, lon: 55.10 },
+        { name: 'CENTRAL GULF', lat: 26.10, lon: 54.00 },
+        { name: 'CENTRAL GULF WEST', lat: 26.75, lon: 52.80 },
+        { name: 'QATAR NORTH', lat: 27.10, lon: 51.70 },
+        { name: 'NORTHERN GULF', lat: 27.80, lon: 50.70 },
+        { name: 'KHARG APPROACH', lat: 28.60, lon: 49.90 },
+        { name: 'KUWAIT APPROACH', lat: 29.15, lon: 48.80 },
+        { name: 'DUBAI APPROACH', lat: 25.50, lon: 55.00 },
+        { name: 'ABU DHABI APPROACH', lat: 24.95, lon: 54.05 },
+        { name: 'QATAR EAST', lat: 25.70, lon: 52.20 },
+        { name: 'BAHRAIN APPROACH', lat: 26.75, lon: 50.95 }
+    ];
+
+    const PERSIAN_GULF = {
+        id: 'persianGulf',
+        name: 'Persian Gulf',
+        builtIn: true,
+        coastlines: [PERSIAN_GULF_COASTLINE],
+        islands: PERSIAN_GULF_ISLANDS,
+        cities: PERSIAN_GULF_CITIES,
+        airfields: PERSIAN_GULF_AIRFIELDS,
+        bullseye: { lat: 26.5, lon: 54.0, name: '' },
+        lanes: PERSIAN_GULF_LANES
+    };
+
+    const BUILT_IN_THEATERS = [PERSIAN_GULF];
+    const DEFAULT_THEATER_ID = PERSIAN_GULF.id;
+
+    // Imported theaters for this page load, by id
+    const registry = new Map();
+
+    // ========================================================================
+    // VALIDATION
+    // ========================================================================
+
+    function isLatLon(lat, lon) {
+        return typeof lat === 'number' && typeof lon === 'number' && isFinite(lat) && isFinite(lon) &&
+            lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180;
+    }
+
+    function isPointList(coords, minLength) {
+        return Array.isArray(coords) && coords.length >= minLength &&
+            coords.every(p => Array.isArray(p) && isLatLon(p[0], p[1]));
+    }
+
+    // Returns a list of readable problems (empty when the theater is usable)
+    function validateTheater(theater) {
+        const errors = [];
+        if (!theater || typeof theater !== 'object') return ['theater is not an object'];
+        if (typeof theater.id !== 'string' || !theater.id) errors.push('theater missing id');
+        if (typeof theater.name !== 'string' || !theater.name) errors.push('theater missing name');
+
+        const coastlines = theater.coastlines || [];
+        const islands = theater.islands || [];
+        if (!Array.isArray(coastlines)) errors.push('coastlines must be a list of polylines');
+        else coastlines.forEach((line, i) => {
+            if (!isPointList(line, 2)) errors.push(`coastline ${i + 1} needs at least 2 valid [lat, lon] points`);
+        });
+        if (!Array.isArray(islands)) errors.push('islands must be a list');
+        else islands.forEach((island, i) => {
+            if (!island || !isPointList(island.coords, 3)) errors.push(`island ${i + 1}${island && island.name ? ` (${island.name})` : ''} needs at least 3 valid [lat, lon] points`);
+        });
+        if (Array.isArray(coastlines) && Array.isArray(islands) && coastlines.length === 0 && islands.length === 0) {
+            errors.push('theater has no coastline or island geometry');
+        }
+
+        ['cities', 'airfields', 'lanes'].forEach(key => {
+            const list = theater[key] || [];
+            if (!Array.isArray(list)) {
+                errors.push(`${key} must be a list`);
+                return;
+            }
+            list.forEach((point, i) => {
+                if (!point || !isLatLon(point.lat, point.lon)) errors.push(`${key} entry ${i + 1} missing a valid lat/lon`);
+            });
+        });
+
+        if (!theater.bullseye || !isLatLon(theater.bullseye.lat, theater.bullseye.lon)) {
+            errors.push('theater missing a valid bullseye');
+        }
+        return errors;
+    }
+
+    // ========================================================================
+    // REGISTRY
+    // ========================================================================
+
+    function getTheater(id) {
+        return BUILT_IN_THEATERS.find(t => t.id === id) || registry.get(id) || null;
+    }
+
+    function listTheaters() {
+        return BUILT_IN_THEATERS.concat(Array.from(registry.values()));
+    }
+
+    // Add (or replace) an imported theater; throws if it isn't usable
+    function registerTheater(input) {
+        const theater = {
+            id: input.id,
+            name: input.name,
+            builtIn: false,
+            coastlines: input.coastlines || [],
+            islands: input.islands || [],
+            cities: input.cities || [],
+            airfields: input.airfields || [],
+            bullseye: input.bullseye ? { name: '', ...input.bullseye } : null,
+            lanes: input.lanes || []
+        };
+        const errors = validateTheater(theater);
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+        if (BUILT_IN_THEATERS.some(t => t.id === theater.id)) {
+            throw new Error(`${theater.id} is a built-in theater`);
+        }
+        registry.set(theater.id, theater);
+        return theater;
+    }
+
+    // ========================================================================
+    // SCENARIO STORAGE
+    // ========================================================================
+    // Built-in theaters are saved by id; imported ones are saved whole so the
+    // scenario still opens where the theater was never imported.
+
+    function toSaveData(theater) {
+        if (!theater || theater.builtIn) {
+            const builtIn = theater || getTheater(DEFAULT_THEATER_ID);
+            return { id: builtIn.id, name: builtIn.name };
+        }
+        return {
+            id: theater.id,
+            name: theater.name,
+            coastlines: theater.coastlines,
+            islands: theater.islands,
+            cities: theater.cities,
+            airfields: theater.airfields,
+            bullseye: theater.bullseye,
+            lanes: theater.lanes
+        };
+    }
+
+    // Theater for a loaded scenario's `theater` field. Returns { theater, warning };
+    // anything unusable falls back to the default theater with a warning.
+    function fromSaveData(data) {
+        const fallback = getTheater(DEFAULT_THEATER_ID);
+        if (!data) return { theater: fallback, warning: null };
+
+        const builtIn = BUILT_IN_THEATERS.find(t => t.id === data.id);
+        if (builtIn) return { theater: builtIn, warning: null };
+
+        if (data.coastlines || data.islands) {
+            try {
+                return { theater: registerTheater(data), warning: null };
+            } catch (e) {
+                return { theater: fallback, warning: `theater "${data.name || data.id}" is invalid (${e.message}); using ${fallback.name}` };
+            }
+        }
+        const imported = registry.get(data.id);
+        if (imported) return { theater: imported, warning: null };
+        return { theater: fallback, warning: `theater "${data.name || data.id}" is not available; using ${fallback.name}` };
+    }
+
+    // ========================================================================
+    // IMPORT HELPERS
+    // ========================================================================
+
+    const FEATURE_ROLES = ['coastline', 'island', 'city', 'airfield', 'bullseye', 'lane'];
+
+    // Folder / property names accepted for each role
+    const ROLE_ALIASES = {
+        coastline: 'coastline', coastlines: 'coastline', coast: 'coastline',
+        island: 'island', islands: 'island', land: 'island',
+        city: 'city', cities: 'city', port: 'city', ports: 'city',
+        airfield: 'airfield', airfields: 'airfield', airbase: 'airfield', airbases: 'airfield',
+        bullseye: 'bullseye',
+        lane: 'lane', lanes: 'lane', 'shipping lane': 'lane', 'shipping lanes': 'lane'
+    };
+
+    function roleFromName(value) {
+        if (typeof value !== 'string') return null;
+        return ROLE_ALIASES[value.trim().toLowerCase()] || null;
+    }
+
+    function slugify(name) {
+        const slug = String(name || 'theater').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return `custom-${slug || 'theater'}`;
+    }
+
+    // Collects features by role, then builds and checks a theater
+    function createBuilder(name) {
+        const theater = { id: slugify(name), name, coastlines: [], islands: [], cities: [], airfields: [], bullseye: null, lanes: [] };
+        const warnings = [];
+
+        let unnamed = 0;
+
+        // geometry: { type: 'point' | 'line' | 'polygon', coords: [[lat, lon], ...] }
+        const add = (role, featureName, geometry, extra = {}) => {
+            const label = featureName || `${(role || geometry.type).toUpperCase()} ${++unnamed}`;
+            if (geometry.type === 'point') {
+                const [lat, lon] = geometry.coords[0];
+                if (role === 'bullseye') {
+                    theater.bullseye = { lat, lon, name: featureName || '' };
+                } else if (role === 'airfield') {
+                    theater.airfields.push({ name: label, lat, lon });
+                } else if (role === 'lane') {
+                    theater.lanes.push({ name: label, lat, lon, entry: !!extra.entry });
+                } else {
+                    theater.cities.push({ name: label, lat, lon });
+                }
+            } else if (role === 'lane') {
+                geometry.coords.forEach(([lat, lon], i) => {
+                    theater.lanes.push({ name: `${label} ${i + 1}`, lat, lon, entry: !!extra.entry && i === 0 });
+                });
+            } else if (geometry.type === 'polygon' && role !== 'coastline') {
+                theater.islands.push({ name: label, coords: geometry.coords });
+            } else if (geometry.type === 'polygon' || role === 'coastline' || !role) {
+                theater.coastlines.push(geometry.coords);
+            } else {
+                warnings.push(`${label}: a ${role} must be a point - skipped`);
+            }
+        };
+
+        const finish = () => {
+            if (!theater.bullseye) {
+                // Middle of the geometry's bounding box
+                const points = [].concat(...theater.coastlines, ...theater.islands.map(i => i.coords));
+                if (points.length > 0) {
+                    const lats = points.map(p => p[0]);
+                    const lons = points.map(p => p[1]);
+                    theater.bullseye = {
+                        lat: (Math.min(...lats) + Math.max(...lats)) / 2,
+                        lon: (Math.min(...lons) + Math.max(...lons)) / 2,
+                        name: ''
+                    };
+                    warnings.push('no bullseye point - using the center of the map');
+                }
+            }
+            if (theater.lanes.length === 0) {
+                warnings.push('no shipping lanes - the maritime traffic generator needs lanes to route vessels');
+            }
+            const errors = validateTheater(theater);
+            if (errors.length > 0) {
+                throw new Error(errors.join('; '));
+            }
+            return { theater, warnings };
+        };
+
+        return { add, finish };
+    }
+
+    // Feed features read by GeoExchange into a builder
+    function buildTheater(collection, name, roleFor) {
+        const builder = createBuilder(collection.name || name || 'Imported Theater');
+        collection.features.forEach(feature => {
+            const role = roleFor(feature);
+            const entry = feature.properties.entry === true || String(feature.properties.entry).toLowerCase() === 'true';
+            feature.geometries.forEach(geometry => builder.add(role, feature.name, geometry, { entry }));
+        });
+        // Features the reader skipped are reported ahead of the builder's own warnings
+        const { theater, warnings } = builder.finish();
+        return { theater, warnings: [...(collection.warnings || []), ...warnings] };
+    }
+
+    // ========================================================================
+    // GEOJSON
+    // ========================================================================
+    // FeatureCollection (or a single Feature). Each feature's role comes from
+    // properties.type (or properties.role): coastline, island, city, airfield,
+    // bullseye or lane. Without one, LineStrings are coastline, Polygons are
+    // islands (land) and Points are cities. Lanes are LineStrings (or Points)
+    // of open-water nodes; properties.entry = true marks where traffic enters
+    // from off the map. The theater is named after the collection's "name"
+    // member, falling back to options.name (usually the file name).
+
+    function theaterFromGeoJSON(input, options = {}) {
+        return buildTheater(GeoExchange.readGeoJSON(input), options.name,
+            feature => roleFromName(feature.properties.type) || roleFromName(feature.properties.role));
+    }
+
+    // ========================================================================
+    // KML
+    // ========================================================================
+    // Placemarks with Point, LineString, Polygon (outer boundary) or
+    // MultiGeometry. A placemark's role comes from an ExtendedData field named
+    // "type", otherwise from the name of the folder it sits in (Coastline,
+    // Islands, Cities, Airfields, Bullseye, Lanes), otherwise from its geometry
+    // as for GeoJSON. An ExtendedData "entry" of true marks a lane entry. The
+    // theater is named after the Document, falling back to options.name.
+
+    function theaterFromKML(text, options = {}) {
+        return buildTheater(GeoExchange.readKML(text), options.name,
+            feature => roleFromName(feature.properties.type) ||
+                feature.folders.slice().reverse().map(roleFromName).find(Boolean) || null);
+    }
+
+    // Pick the parser from the file name (or content)
+    function theaterFromFile(fileName, text) {
+        const baseName = String(fileName || '').replace(/\.[^.]+$/, '') || 'Imported Theater';
+        return GeoExchange.isKmlFile(fileName, text)
+            ? theaterFromKML(text, { name: baseName })
+            : theaterFromGeoJSON(text, { name: baseName });
+    }
+
+    return {
+        BUILT_IN_THEATERS,
+        DEFAULT_THEATER_ID,
+        FEATURE_ROLES,
+        getTheater,
+        listTheaters,
+        registerTheater,
+        validateTheater,
+        toSaveData,
+        fromSaveData,
+        theaterFromGeoJSON,
+        theaterFromKML,
+        theaterFromFile
+    };
+});
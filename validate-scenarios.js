@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+// ============================================================================
+// SCENARIO VALIDATOR - COMMAND LINE
+// ============================================================================
+// Runs the same migrate + validate step the simulator uses when loading a file
+// (scenario-schema.js) over scenario JSON files, so broken scenarios are caught
+// before they reach a student.
+//
+// Usage:
+//   node validate-scenarios.js                      Validate everything in Scenarios/
+//   node validate-scenarios.js <file|folder> ...    Validate specific files or folders
+//   node validate-scenarios.js --write-schema       Regenerate scenario.schema.json
+//
+// A folder's manifest.json (the Scenario Library index) is checked too: every
+// entry must point at a scenario file, and unlisted scenarios are reported.
+//
+// Exit code is 1 if any file fails validation, 0 otherwise.
+
+const fs = require('fs');
+const path = require('path');
+const ScenarioSchema = require('./scenario-schema.js');
+
+const DEFAULT_FOLDER = path.join(__dirname, 'Scenarios');
+const SCHEMA_FILE = path.join(__dirname, 'scenario.schema.json');
+const MANIFEST_NAME = 'manifest.json';
+const MANIFEST_REQUIRED = ['file', 'title', 'missionType', 'difficulty', 'tags'];
+const DIFFICULTIES = ['basic', 'intermediate', 'advanced'];
+
+function collectFiles(target) {
+    const stat = fs.statSync(target);
+    if (stat.isDirectory()) {
+        return fs.readdirSync(target)
+            .filter(name => name.toLowerCase().endsWith('.json') && name !== MANIFEST_NAME)
+            .sort()
+            .map(name => path.join(target, name));
+    }
+    return [target];
+}
+
+function validateFile(file) {
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        return { errors: [`not valid JSON: ${e.message}`], warnings: [], migrations: [] };
+    }
+    return ScenarioSchema.prepareScenario(raw);
+}
+
+// Returns { errors, warnings } for a folder's manifest.json, or null if there is none
+function validateManifest(folder) {
+    const manifestPath = path.join(folder, MANIFEST_NAME);
+    if (!fs.existsSync(manifestPath)) return null;
+
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (e) {
+        return { errors: [`not valid JSON: ${e.message}`], warnings: [] };
+    }
+    if (!manifest || !Array.isArray(manifest.scenarios)) {
+        return { errors: ['missing scenarios list'], warnings: [] };
+    }
+
+    const errors = [];
+    const listed = new Set();
+    manifest.scenarios.forEach((entry, index) => {
+        const label = `entry ${index + 1}${entry && entry.title ? ` (${entry.title})` : ''}`;
+        MANIFEST_REQUIRED.forEach(key => {
+            if (!entry || entry[key] === undefined) errors.push(`${label} missing ${key}`);
+        });
+        if (!entry) return;
+        if (entry.difficulty !== undefined && !DIFFICULTIES.includes(entry.difficulty)) {
+            errors.push(`${label}: difficulty must be one of ${DIFFICULTIES.join(', ')} (got ${JSON.stringify(entry.difficulty)})`);
+        }
+        if (entry.tags !== undefined && !Array.isArray(entry.tags)) {
+            errors.push(`${label}: tags must be a list`);
+        }
+        if (typeof entry.file === 'string') {
+            if (listed.has(entry.file)) errors.push(`${label}: ${entry.file} is listed twice`);
+            listed.add(entry.file);
+            if (!fs.existsSync(path.join(folder, entry.file))) errors.push(`${label}: ${entry.file} not found`);
+        }
+    });
+
+    const warnings = collectFiles(folder)
+        .map(file => path.basename(file))
+        .filter(name => !listed.has(name))
+        .map(name => `${name} is not in the library manifest`);
+
+    return { errors, warnings };
+}
+
+function main(args) {
+    if (args.includes('--write-schema')) {
+        fs.writeFileSync(SCHEMA_FILE, JSON.stringify(ScenarioSchema.SCENARIO_SCHEMA, null, 2) + '\n');
+        console.log(`Wrote ${path.relative(process.cwd(), SCHEMA_FILE)} (format ${ScenarioSchema.SCENARIO_VERSION})`);
+        return 0;
+    }
+
+    const targets = args.length > 0 ? args : [DEFAULT_FOLDER];
+    let files = [];
+    const folders = [];
+    for (const target of targets) {
+        if (!fs.existsSync(target)) {
+            console.error(`Not found: ${target}`);
+            return 1;
+        }
+        if (fs.statSync(target).isDirectory()) folders.push(target);
+        files = files.concat(collectFiles(target));
+    }
+
+    let failed = 0;
+    files.forEach(file => {
+        const result = validateFile(file);
+        const name = path.relative(process.cwd(), file);
+        const migrated = result.migrations.length > 0 ? ` (migrated from ${result.fromVersion})` : '';
+
+        if (result.errors.length > 0) {
+            failed++;
+            console.log(`FAIL  ${name}`);
+            result.errors.forEach(error => console.log(`        ${error}`));
+        } else {
+            console.log(`OK    ${name}${migrated}`);
+        }
+        result.warnings.forEach(warning => console.log(`  warn  ${warning}`));
+    });
+
+    let manifestFailed = false;
+    folders.forEach(folder => {
+        const result = validateManifest(folder);
+        if (!result) return;
+        const name = path.relative(process.cwd(), path.join(folder, MANIFEST_NAME));
+        if (result.errors.length > 0) {
+            manifestFailed = true;
+            console.log(`FAIL  ${name}`);
+            result.errors.forEach(error => console.log(`        ${error}`));
+        } else {
+            console.log(`OK    ${name}`);
+        }
+        result.warnings.forEach(warning => console.log(`  warn  ${warning}`));
+    });
+
+    console.log(`\n${files.length - failed}/${files.length} scenario(s) valid (format ${ScenarioSchema.SCENARIO_VERSION})`);
+    return failed > 0 || manifestFailed ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));